@@ -0,0 +1,436 @@
+'use strict';
+
+/**
+ * Adapter plugins
+ *
+ * A plugin adds a provider without patching the broker. It is a local
+ * directory or file under <project>/.cliagents/plugins/ or
+ * ~/.cliagents/plugins/, or a module listed in the "plugins" array of
+ * config/adapters.json (or CLIAGENTS_ADAPTER_PLUGINS, comma-separated).
+ *
+ * The module exports one bundle, an array of bundles, or a function that
+ * receives the plugin SDK (base classes) and returns either:
+ *
+ *   module.exports = ({ BaseLLMAdapter, BaseStatusDetector, BasePromptParser }) => ({
+ *     apiVersion: 1,
+ *     name: 'acme-cli',
+ *     createAdapter: (options) => new AcmeAdapter(options), // or Adapter: AcmeAdapter
+ *     StatusDetector: AcmeDetector,                           // optional
+ *     PromptParser: AcmePromptParser,                         // optional
+ *     outputStrategy: { extract(output) {}, stableMarkers: [] }, // optional
+ *     checkAuth: () => ({ authenticated: true, reason: '...' }) // optional
+ *   });
+ *
+ * Every component is validated (the adapter against validateAdapterContract)
+ * before anything is registered. A plugin that fails to load or validate is
+ * recorded as a load error and reported by /orchestration/adapters; it never
+ * stops the broker.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BaseLLMAdapter = require('../core/base-llm-adapter');
+const BaseStatusDetector = require('../status-detectors/base');
+const { registerDetector } = require('../status-detectors/factory');
+const { BasePromptParser, registerParser } = require('../interceptor/prompt-parsers');
+const { registerOutputStrategy } = require('../utils/output-extractor');
+const { TerminalStatus } = require('../models/terminal-status');
+const { ACTIVE_BROKER_ADAPTERS } = require('./active-surface');
+const { ADAPTER_NAME_PATTERN, defaultAdaptersConfigPath } = require('./configured-adapters');
+const { validateAdapterContract } = require('./contract');
+
+const PLUGIN_API_VERSION = 1;
+const PLUGIN_FILE_EXTENSIONS = new Set(['.js', '.cjs']);
+const MARKER_FIELDS = ['stableMarkers', 'runningMarkers', 'errorMarkers'];
+
+// Handed to plugin modules that export a function
+const PLUGIN_SDK = Object.freeze({
+  apiVersion: PLUGIN_API_VERSION,
+  BaseLLMAdapter,
+  BaseStatusDetector,
+  BasePromptParser,
+  TerminalStatus
+});
+
+// name -> { bundle, plugin } of every registered plugin adapter
+const registeredPlugins = new Map();
+let lastReport = { plugins: [], errors: [] };
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function defaultPluginDirs(projectRoot = process.cwd()) {
+  return [
+    { source: 'project', dir: path.join(projectRoot, '.cliagents', 'plugins') },
+    { source: 'personal', dir: path.join(os.homedir(), '.cliagents', 'plugins') }
+  ];
+}
+
+/**
+ * Module specifiers from the "plugins" array of the adapters config. Entries
+ * are a string or { module, options, enabled }.
+ */
+function readConfiguredPluginSpecs(configPath = defaultAdaptersConfigPath()) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    // Missing or broken config is reported by loadAdapterDefinitions
+    return { specs: [], errors: [] };
+  }
+  const raw = config?.plugins;
+  if (raw === undefined) {
+    return { specs: [], errors: [] };
+  }
+  if (!Array.isArray(raw)) {
+    return { specs: [], errors: [{ plugin: configPath, adapter: null, message: `${configPath}: plugins must be an array` }] };
+  }
+
+  const specs = [];
+  const errors = [];
+  raw.forEach((entry, index) => {
+    const moduleName = typeof entry === 'string' ? entry.trim() : String(entry?.module || '').trim();
+    if (!moduleName) {
+      errors.push({ plugin: `plugins[${index}]`, adapter: null, message: `plugins[${index}] needs a module name or path` });
+      return;
+    }
+    if (entry?.options !== undefined && !isPlainObject(entry.options)) {
+      errors.push({ plugin: moduleName, adapter: null, message: `${moduleName}: options must be an object` });
+      return;
+    }
+    if (entry?.enabled === false) {
+      return;
+    }
+    specs.push({ module: moduleName, options: entry?.options || {} });
+  });
+  return { specs, errors };
+}
+
+function listPluginEntries(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+      console.warn(`[Adapters] Could not read plugin directory ${dir}: ${error.message}`);
+    }
+    return [];
+  }
+  return entries
+    .filter((entry) => !entry.name.startsWith('.') && (
+      entry.isDirectory() || (entry.isFile() && PLUGIN_FILE_EXTENSIONS.has(path.extname(entry.name)))
+    ))
+    .map((entry) => path.join(dir, entry.name))
+    .sort();
+}
+
+/**
+ * Every plugin module to load, in registration order: project directory,
+ * personal directory, then configured modules.
+ *
+ * @returns {Array<{ source, specifier, target, options, resolve: () => string }>}
+ */
+function discoverAdapterPlugins(options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+  const dirs = options.adapterPluginDirs
+    ? options.adapterPluginDirs.map((dir) => ({ source: 'directory', dir: path.resolve(projectRoot, dir) }))
+    : defaultPluginDirs(projectRoot);
+
+  const candidates = [];
+  for (const { source, dir } of dirs) {
+    for (const entryPath of listPluginEntries(dir)) {
+      candidates.push({ source, specifier: entryPath, target: entryPath, options: {}, resolve: () => require.resolve(entryPath) });
+    }
+  }
+
+  for (const spec of options.pluginSpecs || []) {
+    const isPath = spec.module.startsWith('.') || path.isAbsolute(spec.module);
+    const target = isPath ? path.resolve(projectRoot, spec.module) : spec.module;
+    candidates.push({
+      source: isPath ? 'path' : 'package',
+      specifier: spec.module,
+      target,
+      options: spec.options,
+      resolve: () => require.resolve(target, { paths: [projectRoot] })
+    });
+  }
+  return candidates;
+}
+
+function readVersionFile(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).version || null;
+  } catch {
+    return null;
+  }
+}
+
+// Packages: nearest package.json above the entry point. Local plugins: only a
+// package.json inside the plugin directory itself.
+function readPluginVersion(candidate, resolvedPath) {
+  if (candidate.source === 'package') {
+    let dir = path.dirname(resolvedPath);
+    for (let depth = 0; depth < 3; depth += 1, dir = path.dirname(dir)) {
+      const version = readVersionFile(dir);
+      if (version) {
+        return version;
+      }
+    }
+    return null;
+  }
+  try {
+    return fs.statSync(candidate.target).isDirectory() ? readVersionFile(candidate.target) : null;
+  } catch {
+    return null;
+  }
+}
+
+function validateMarkers(strategy, name) {
+  for (const field of MARKER_FIELDS) {
+    const markers = strategy[field];
+    if (markers === undefined) {
+      continue;
+    }
+    if (!Array.isArray(markers) || !markers.every((marker) => typeof marker === 'string' || marker instanceof RegExp)) {
+      throw new Error(`${name}: outputStrategy.${field} must be an array of strings or regular expressions`);
+    }
+  }
+}
+
+/**
+ * Check one bundle's shape. Throws with the first problem found.
+ */
+function normalizePluginBundle(raw) {
+  if (!isPlainObject(raw)) {
+    throw new Error('plugin must export an object, an array of objects, or a function returning them');
+  }
+  const name = String(raw.name || '').trim();
+  if (!ADAPTER_NAME_PATTERN.test(name)) {
+    throw new Error(`${name || '(unnamed)'}: adapter names use lowercase letters, digits, dashes, or underscores`);
+  }
+  if (raw.apiVersion !== PLUGIN_API_VERSION) {
+    throw new Error(`${name}: apiVersion must be ${PLUGIN_API_VERSION} (got ${raw.apiVersion === undefined ? 'none' : JSON.stringify(raw.apiVersion)})`);
+  }
+  if (ACTIVE_BROKER_ADAPTERS.includes(name)) {
+    throw new Error(`${name}: name is taken by a built-in adapter`);
+  }
+
+  let createAdapter;
+  if (typeof raw.createAdapter === 'function') {
+    createAdapter = raw.createAdapter;
+  } else if (typeof raw.Adapter === 'function') {
+    createAdapter = (adapterOptions) => new raw.Adapter(adapterOptions);
+  } else {
+    throw new Error(`${name}: export createAdapter(options) or an Adapter class`);
+  }
+
+  if (raw.StatusDetector !== undefined && typeof raw.StatusDetector?.prototype?.detectStatus !== 'function') {
+    throw new Error(`${name}: StatusDetector must be a class with detectStatus() (extend BaseStatusDetector)`);
+  }
+  if (raw.PromptParser !== undefined && typeof raw.PromptParser?.prototype?.parse !== 'function') {
+    throw new Error(`${name}: PromptParser must be a class with parse() (extend BasePromptParser)`);
+  }
+  if (raw.outputStrategy !== undefined) {
+    if (!isPlainObject(raw.outputStrategy) || typeof raw.outputStrategy.extract !== 'function') {
+      throw new Error(`${name}: outputStrategy must be an object with extract(output)`);
+    }
+    validateMarkers(raw.outputStrategy, name);
+  }
+  if (raw.checkAuth !== undefined && typeof raw.checkAuth !== 'function') {
+    throw new Error(`${name}: checkAuth must be a function`);
+  }
+
+  return {
+    name,
+    version: raw.version ? String(raw.version) : null,
+    description: String(raw.description || '').trim() || null,
+    createAdapter,
+    StatusDetector: raw.StatusDetector || null,
+    PromptParser: raw.PromptParser || null,
+    outputStrategy: raw.outputStrategy || null,
+    checkAuth: raw.checkAuth || null
+  };
+}
+
+/**
+ * Build the adapter for a bundle and check it against the adapter contract.
+ */
+function createPluginAdapter(bundle, adapterOptions = {}) {
+  const adapter = bundle.createAdapter({ ...adapterOptions, name: bundle.name });
+  if (!adapter || typeof adapter !== 'object') {
+    throw new Error(`${bundle.name}: createAdapter() did not return an adapter`);
+  }
+  if (!adapter.name || adapter.name === 'base') {
+    adapter.name = bundle.name;
+  } else if (adapter.name !== bundle.name) {
+    throw new Error(`${bundle.name}: adapter reports name '${adapter.name}'`);
+  }
+
+  const validation = validateAdapterContract(adapter);
+  if (!validation.valid) {
+    const problems = [
+      ...validation.missingMethods.map((method) => `missing ${method}()`),
+      ...validation.inheritedRequiredMethods.map((method) => `${method}() is not overridden`)
+    ];
+    throw new Error(`${bundle.name}: adapter does not satisfy the adapter contract (${problems.join(', ')})`);
+  }
+  return adapter;
+}
+
+function loadPluginBundles(candidate) {
+  const resolvedPath = candidate.resolve();
+  let exported = require(resolvedPath);
+  if (typeof exported === 'function') {
+    exported = exported(PLUGIN_SDK);
+  }
+  return { resolvedPath, bundles: Array.isArray(exported) ? exported : [exported] };
+}
+
+/**
+ * Discover, validate and register adapter plugins on a session manager.
+ * A bundle's detector, prompt parser and output strategy are registered
+ * only once its adapter has been accepted.
+ *
+ * @param {SessionManager} manager
+ * @param {Object} [options]
+ * @param {string} [options.projectRoot] - Defaults to process.cwd()
+ * @param {string[]} [options.adapterPluginDirs] - Replace the default plugin directories
+ * @param {Array<string|Object>} [options.adapterPlugins] - Extra module specifiers
+ * @param {string} [options.adaptersConfigPath]
+ * @returns {{ plugins: Object[], errors: Array<{plugin, adapter, message}> }}
+ */
+function registerAdapterPlugins(manager, options = {}) {
+  const configured = readConfiguredPluginSpecs(options.adaptersConfigPath || defaultAdaptersConfigPath());
+  const envSpecs = String(process.env.CLIAGENTS_ADAPTER_PLUGINS || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map((module) => ({ module, options: {} }));
+  const optionSpecs = (options.adapterPlugins || []).map((entry) => (
+    typeof entry === 'string' ? { module: entry, options: {} } : { module: entry.module, options: entry.options || {} }
+  ));
+
+  const candidates = discoverAdapterPlugins({
+    ...options,
+    pluginSpecs: [...configured.specs, ...envSpecs, ...optionSpecs]
+  });
+  const plugins = [];
+  const errors = [...configured.errors];
+  const seenPaths = new Set();
+
+  for (const candidate of candidates) {
+    let loaded;
+    try {
+      loaded = loadPluginBundles(candidate);
+    } catch (error) {
+      errors.push({ plugin: candidate.specifier, adapter: null, message: `${candidate.specifier}: ${error.message}` });
+      continue;
+    }
+    if (seenPaths.has(loaded.resolvedPath)) {
+      continue;
+    }
+    seenPaths.add(loaded.resolvedPath);
+
+    for (const raw of loaded.bundles) {
+      const adapterName = isPlainObject(raw) && typeof raw.name === 'string' ? raw.name : null;
+      try {
+        const bundle = normalizePluginBundle(raw);
+        if (typeof manager.getAdapter === 'function' && manager.getAdapter(bundle.name)) {
+          throw new Error(`${bundle.name}: an adapter with this name is already registered`);
+        }
+        const adapter = createPluginAdapter(bundle, candidate.options);
+
+        manager.registerAdapter(bundle.name, adapter);
+        if (bundle.StatusDetector) {
+          registerDetector(bundle.name, bundle.StatusDetector);
+        }
+        if (bundle.PromptParser) {
+          registerParser(bundle.name, bundle.PromptParser);
+        }
+        if (bundle.outputStrategy) {
+          registerOutputStrategy(bundle.name, bundle.outputStrategy);
+        }
+
+        const plugin = {
+          name: bundle.name,
+          source: candidate.source,
+          specifier: candidate.specifier,
+          path: loaded.resolvedPath,
+          version: bundle.version || readPluginVersion(candidate, loaded.resolvedPath),
+          description: bundle.description,
+          components: [
+            'adapter',
+            ...(bundle.StatusDetector ? ['statusDetector'] : []),
+            ...(bundle.PromptParser ? ['promptParser'] : []),
+            ...(bundle.outputStrategy ? ['outputStrategy'] : [])
+          ]
+        };
+        registeredPlugins.set(bundle.name, { bundle, plugin });
+        plugins.push(plugin);
+      } catch (error) {
+        errors.push({ plugin: candidate.specifier, adapter: adapterName, message: error.message });
+      }
+    }
+  }
+
+  for (const error of errors) {
+    console.warn(`[Adapters] Skipping adapter plugin: ${error.message}`);
+  }
+  lastReport = { plugins, errors };
+  return lastReport;
+}
+
+/**
+ * Plugins registered by the last registerAdapterPlugins call and the load
+ * errors it collected.
+ */
+function getAdapterPluginReport() {
+  return lastReport;
+}
+
+/**
+ * Registration record of a plugin adapter, or null.
+ */
+function getAdapterPlugin(name) {
+  return registeredPlugins.get(name)?.plugin || null;
+}
+
+/**
+ * Authentication state reported by a plugin's checkAuth(), or null when the
+ * adapter is not a plugin.
+ */
+function getAdapterPluginAuthState(name) {
+  const entry = registeredPlugins.get(name);
+  if (!entry) {
+    return null;
+  }
+  if (!entry.bundle.checkAuth) {
+    return { authenticated: null, reason: 'Plugin does not report authentication' };
+  }
+  try {
+    const state = entry.bundle.checkAuth() || {};
+    return {
+      authenticated: typeof state.authenticated === 'boolean' ? state.authenticated : null,
+      reason: state.reason ? String(state.reason) : 'Reported by plugin'
+    };
+  } catch (error) {
+    return { authenticated: false, reason: `Plugin auth check failed: ${error.message}` };
+  }
+}
+
+module.exports = {
+  PLUGIN_API_VERSION,
+  PLUGIN_SDK,
+  createPluginAdapter,
+  defaultPluginDirs,
+  discoverAdapterPlugins,
+  getAdapterPlugin,
+  getAdapterPluginAuthState,
+  getAdapterPluginReport,
+  normalizePluginBundle,
+  readConfiguredPluginSpecs,
+  registerAdapterPlugins
+};
@@ -0,0 +1,237 @@
+'use strict';
+
+/**
+ * Config-registered adapters
+ *
+ * The five CLI adapters in active-surface.js are always registered. Further
+ * adapter instances (OpenAI-compatible APIs such as Ollama, Groq or
+ * OpenRouter, the Gemini API, and the Amazon Q, Mistral Vibe and GitHub
+ * Copilot CLIs) are enabled through config/adapters.json:
+ *
+ *   {
+ *     "adapters": {
+ *       "ollama": {
+ *         "class": "openai-compat",
+ *         "baseURL": "http://localhost:11434/v1",
+ *         "staticModels": ["llama3.1:8b"]
+ *       },
+ *       "groq": {
+ *         "class": "openai-compat",
+ *         "baseURL": "https://api.groq.com/openai/v1",
+ *         "apiKeyEnv": "GROQ_API_KEY"
+ *       }
+ *     }
+ *   }
+ *
+ * Entries with "enabled": false are skipped. Each instance must pass
+ * validateAdapterContract before it is registered; entries that fail are
+ * reported as load errors instead of stopping the broker.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { ACTIVE_BROKER_ADAPTERS } = require('./active-surface');
+const { validateAdapterContract } = require('./contract');
+
+// Required lazily so a class whose SDK is missing only fails its own entries
+const CONFIGURABLE_ADAPTER_CLASSES = Object.freeze({
+  'openai-compat': () => require('./openai-compat'),
+  'gemini-api': () => require('./gemini-api'),
+  'amazon-q': () => require('./amazon-q'),
+  'mistral-vibe': () => require('./mistral-vibe'),
+  'github-copilot': () => require('./github-copilot')
+});
+
+const ADAPTER_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// name -> normalized definition of every registered config adapter
+const registeredDefinitions = new Map();
+
+function defaultAdaptersConfigPath() {
+  return path.join(process.cwd(), 'config', 'adapters.json');
+}
+
+function normalizeStaticModels(value, name) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${name}: staticModels must be an array`);
+  }
+  return value.map((model, index) => {
+    if (typeof model === 'string' && model.trim()) {
+      return { id: model.trim(), name: model.trim() };
+    }
+    const id = String(model?.id || '').trim();
+    if (!id) {
+      throw new Error(`${name}: staticModels[${index}] needs an id`);
+    }
+    return { id, name: String(model.name || id).trim(), ...(model.description ? { description: String(model.description) } : {}) };
+  });
+}
+
+function normalizeAdapterDefinition(name, raw) {
+  if (!ADAPTER_NAME_PATTERN.test(name)) {
+    throw new Error(`${name}: adapter names use lowercase letters, digits, dashes, or underscores`);
+  }
+  if (ACTIVE_BROKER_ADAPTERS.includes(name)) {
+    throw new Error(`${name}: name is taken by a built-in adapter`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${name}: expected an object`);
+  }
+  const className = String(raw.class || '').trim();
+  if (!Object.prototype.hasOwnProperty.call(CONFIGURABLE_ADAPTER_CLASSES, className)) {
+    throw new Error(`${name}: class must be one of ${Object.keys(CONFIGURABLE_ADAPTER_CLASSES).join(', ')}`);
+  }
+  const baseURL = String(raw.baseURL || '').trim() || null;
+  if (className === 'openai-compat' && !baseURL) {
+    throw new Error(`${name}: baseURL is required for openai-compat adapters`);
+  }
+  const apiKeyEnv = String(raw.apiKeyEnv || '').trim() || null;
+  if (apiKeyEnv && !ENV_NAME_PATTERN.test(apiKeyEnv)) {
+    throw new Error(`${name}: apiKeyEnv must be an environment variable name`);
+  }
+  if (raw.options !== undefined && (!raw.options || typeof raw.options !== 'object' || Array.isArray(raw.options))) {
+    throw new Error(`${name}: options must be an object`);
+  }
+  return {
+    name,
+    className,
+    enabled: raw.enabled !== false,
+    description: String(raw.description || '').trim() || null,
+    providerName: String(raw.providerName || '').trim() || null,
+    baseURL,
+    apiKeyEnv,
+    defaultModel: String(raw.defaultModel || '').trim() || null,
+    staticModels: normalizeStaticModels(raw.staticModels, name),
+    timeout: Number.isFinite(raw.timeout) && raw.timeout > 0 ? raw.timeout : null,
+    options: raw.options || {}
+  };
+}
+
+/**
+ * Read and validate the adapters config file. A missing file means no
+ * extra adapters.
+ *
+ * @returns {{ configPath: string, definitions: Object[], errors: Array<{adapter, message}> }}
+ */
+function loadAdapterDefinitions(configPath = defaultAdaptersConfigPath()) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { configPath, definitions: [], errors: [] };
+    }
+    return { configPath, definitions: [], errors: [{ adapter: null, message: `${configPath}: ${error.message}` }] };
+  }
+
+  const definitions = [];
+  const errors = [];
+  for (const [name, raw] of Object.entries(config?.adapters || {})) {
+    if (name.startsWith('_')) {
+      continue;
+    }
+    try {
+      definitions.push(normalizeAdapterDefinition(name, raw));
+    } catch (error) {
+      errors.push({ adapter: name, message: error.message });
+    }
+  }
+  return { configPath, definitions, errors };
+}
+
+/**
+ * Instantiate one definition and check it against the adapter contract.
+ * Throws when the class cannot load or the instance breaks the contract.
+ */
+function createConfiguredAdapter(definition, env = process.env) {
+  const AdapterClass = CONFIGURABLE_ADAPTER_CLASSES[definition.className]();
+  const apiKey = definition.apiKeyEnv ? (env[definition.apiKeyEnv] || null) : null;
+  const adapter = new AdapterClass({
+    ...definition.options,
+    name: definition.name,
+    ...(definition.providerName ? { providerName: definition.providerName } : {}),
+    ...(definition.baseURL ? { baseURL: definition.baseURL } : {}),
+    ...(apiKey ? { apiKey } : {}),
+    ...(definition.staticModels ? { staticModels: definition.staticModels } : {}),
+    ...(definition.defaultModel ? { defaultModel: definition.defaultModel, model: definition.defaultModel } : {}),
+    ...(definition.timeout ? { timeout: definition.timeout } : {})
+  });
+
+  // Keys stay in the SDK client; adapter config is echoed by /adapters
+  if (adapter.config && typeof adapter.config === 'object') {
+    delete adapter.config.apiKey;
+  }
+  if (definition.staticModels && Array.isArray(adapter.availableModels)) {
+    adapter.availableModels = definition.staticModels;
+  }
+
+  const validation = validateAdapterContract(adapter);
+  if (!validation.valid) {
+    const problems = [
+      ...validation.missingMethods.map((method) => `missing ${method}()`),
+      ...validation.inheritedRequiredMethods.map((method) => `${method}() is not overridden`)
+    ];
+    throw new Error(`${definition.name}: ${definition.className} does not satisfy the adapter contract (${problems.join(', ')})`);
+  }
+  return { adapter, warnings: validation.warnings };
+}
+
+/**
+ * Register the enabled adapters from config on a session manager.
+ *
+ * @param {SessionManager} manager
+ * @param {Object} [options]
+ * @param {string} [options.adaptersConfigPath]
+ * @param {Object} [options.env]
+ * @returns {{ configPath, registered: string[], disabled: string[], errors: Array<{adapter, message}> }}
+ */
+function registerConfiguredAdapters(manager, options = {}) {
+  const { configPath, definitions, errors } = loadAdapterDefinitions(
+    options.adaptersConfigPath || defaultAdaptersConfigPath()
+  );
+  const registered = [];
+  const disabled = [];
+
+  for (const definition of definitions) {
+    if (!definition.enabled) {
+      disabled.push(definition.name);
+      continue;
+    }
+    if (typeof manager.getAdapter === 'function' && manager.getAdapter(definition.name)) {
+      errors.push({ adapter: definition.name, message: `${definition.name}: an adapter with this name is already registered` });
+      continue;
+    }
+    try {
+      const { adapter } = createConfiguredAdapter(definition, options.env || process.env);
+      manager.registerAdapter(definition.name, adapter);
+      registeredDefinitions.set(definition.name, definition);
+      registered.push(definition.name);
+    } catch (error) {
+      errors.push({ adapter: definition.name, message: error.message });
+    }
+  }
+
+  for (const error of errors) {
+    console.warn(`[Adapters] Skipping configured adapter: ${error.message}`);
+  }
+  return { configPath, registered, disabled, errors };
+}
+
+function getConfiguredAdapterDefinition(name) {
+  return registeredDefinitions.get(name) || null;
+}
+
+module.exports = {
+  ADAPTER_NAME_PATTERN,
+  CONFIGURABLE_ADAPTER_CLASSES,
+  createConfiguredAdapter,
+  defaultAdaptersConfigPath,
+  getConfiguredAdapterDefinition,
+  loadAdapterDefinitions,
+  registerConfiguredAdapters
+};
@@ -272,6 +272,14 @@ class GitHubCopilotAdapter extends BaseLLMAdapter {
     return { sessionId, status: 'terminated' };
   }
 
+  isSessionActive(sessionId) {
+    return this.sessions.has(sessionId);
+  }
+
+  getActiveSessions() {
+    return Array.from(this.sessions.keys());
+  }
+
   async interrupt(sessionId) {
     const proc = this.activeProcesses.get(sessionId);
     if (proc) {
@@ -4,7 +4,8 @@
  * Generic adapter for any provider exposing an OpenAI-compatible chat completions API.
  * Covers: Ollama (local), MiniMax, DeepSeek, Groq, Together AI, OpenRouter, LM Studio, etc.
  *
- * Usage — register named instances in server/index.js:
+ * Usage — enable named instances in config/adapters.json (see
+ * src/adapters/configured-adapters.js), or register them programmatically:
  *   manager.registerAdapter('ollama', new OpenAICompatAdapter({
  *     baseURL: 'http://localhost:11434/v1',
  *     apiKey: 'unused',
@@ -17,6 +17,16 @@ const {
   serializeRuntimeCapabilities
 } = require('../runtime/host-model');
 const { redactSecretsInText, redactSecretObject } = require('../security/secret-redaction');
+const { getModelPriceTable } = require('../services/model-pricing');
+const {
+  AUDIT_CHANNELS,
+  AUDIT_GENESIS_HASH,
+  AUDIT_OUTCOMES,
+  computeAuditEntryHash,
+  normalizeAuditError,
+  prepareAuditArgs,
+  verifyAuditEntries
+} = require('../security/audit-log');
 
 /**
  * Generate a unique ID for shared memory entries
@@ -153,6 +163,34 @@ function normalizeWritePathList(value) {
   return normalized.sort();
 }
 
+/**
+ * Normalize dependsOn input: assignment ids or { assignmentId, condition } objects
+ */
+function normalizeTaskAssignmentDependencyList(value) {
+  const rawEntries = Array.isArray(value)
+    ? value
+    : (typeof value === 'string' ? value.split(',') : (value ? [value] : []));
+  const normalized = new Map();
+  for (const rawEntry of rawEntries) {
+    const entry = rawEntry && typeof rawEntry === 'object' ? rawEntry : { assignmentId: rawEntry };
+    const dependsOnAssignmentId = String(
+      entry.assignmentId || entry.dependsOnAssignmentId || entry.id || ''
+    ).trim();
+    if (!dependsOnAssignmentId) {
+      continue;
+    }
+    const rawCondition = String(entry.condition || 'completed').trim().toLowerCase();
+    const condition = normalizeEnumValue(rawCondition, TASK_ASSIGNMENT_DEPENDENCY_CONDITIONS, null);
+    if (!condition) {
+      const error = new Error(`dependsOn condition must be one of completed, integrated: ${rawCondition}`);
+      error.code = 'invalid_dependency';
+      throw error;
+    }
+    normalized.set(dependsOnAssignmentId, { dependsOnAssignmentId, condition });
+  }
+  return Array.from(normalized.values());
+}
+
 function writePathsOverlap(leftPaths = [], rightPaths = []) {
   const left = normalizeWritePathList(leftPaths);
   const right = normalizeWritePathList(rightPaths);
@@ -420,6 +458,18 @@ function buildUsageWhereClause(options = {}) {
     clauses.push('usage_records.participant_id = ?');
     params.push(options.participantId);
   }
+  if (options.adapter) {
+    clauses.push('usage_records.adapter = ?');
+    params.push(options.adapter);
+  }
+  if (Number.isFinite(options.since)) {
+    clauses.push('usage_records.created_at >= ?');
+    params.push(options.since);
+  }
+  if (Number.isFinite(options.until)) {
+    clauses.push('usage_records.created_at < ?');
+    params.push(options.until);
+  }
 
   return {
     whereSql: clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '',
@@ -442,7 +492,13 @@ const ROOT_IO_RETENTION_CLASSES = new Set(['raw-bounded', 'summary-indefinite',
 const MEMORY_SUMMARY_EDGE_NAMESPACES = new Set(['structural', 'derivation', 'execution']);
 const MEMORY_SUMMARY_EDGE_KINDS = new Set(['contains', 'continues', 'summarizes', 'supersedes', 'derived_from', 'blocks', 'unblocks']);
 const DISPATCH_REQUEST_STATUSES = new Set(['queued', 'claimed', 'spawned', 'deferred', 'cancelled', 'failed']);
+const WORKFLOW_EXECUTION_STATUSES = new Set(['running', 'interrupted', 'completed', 'failed', 'cancelled']);
+const TASK_WORKTREE_STATUSES = new Set(['active', 'removed']);
+const WORKFLOW_EXECUTION_STEP_STATUSES = new Set(['running', 'completed', 'failed']);
+const TASK_ASSIGNMENT_DEPENDENCY_CONDITIONS = new Set(['completed', 'integrated']);
 const DISPATCH_REQUEST_COALESCABLE_STATUSES = new Set(['queued', 'claimed', 'deferred']);
+// Terminal states in which a spawned dispatch still occupies scheduler capacity
+const DISPATCH_ACTIVE_TERMINAL_STATUSES = ['processing', 'waiting_permission', 'waiting_user_answer'];
 const TASK_SESSION_BINDING_STATUSES = new Set(['active', 'superseded', 'failed', 'cancelled']);
 const CONTEXT_RETENTION_CLASSES = new Set(['raw-bounded', 'summary-indefinite', 'metadata-indefinite']);
 const MEMORY_RECORD_TYPE_ALIASES = new Map([
@@ -512,6 +568,35 @@ function normalizeTerminalInputKind(value, fallback = 'message') {
   return TERMINAL_INPUT_KINDS.has(normalized) ? normalized : fallback;
 }
 
+// Root sessions linked to a task through the task itself, its runs, rooms,
+// and assignment terminals. Binds the task id four times.
+const TASK_ROOT_SESSIONS_SQL = `
+  SELECT root_session_id
+  FROM tasks
+  WHERE id = ?
+    AND root_session_id IS NOT NULL
+    AND TRIM(root_session_id) <> ''
+  UNION
+  SELECT root_session_id
+  FROM runs
+  WHERE task_id = ?
+    AND root_session_id IS NOT NULL
+    AND TRIM(root_session_id) <> ''
+  UNION
+  SELECT root_session_id
+  FROM rooms
+  WHERE task_id = ?
+    AND root_session_id IS NOT NULL
+    AND TRIM(root_session_id) <> ''
+  UNION
+  SELECT t.root_session_id
+  FROM task_assignments ta
+  JOIN terminals t ON t.terminal_id = ta.terminal_id
+  WHERE ta.task_id = ?
+    AND t.root_session_id IS NOT NULL
+    AND TRIM(t.root_session_id) <> ''
+`;
+
 function clampLimit(value, fallback = 100, max = 500) {
   const parsed = Number.parseInt(value, 10);
   if (!Number.isFinite(parsed) || parsed <= 0) {
@@ -607,6 +692,111 @@ function normalizeProjectionTimestamp(value) {
   return Number.isFinite(parsed) ? parsed : null;
 }
 
+const MEMORY_SEARCH_SOURCES = Object.freeze([
+  'messages',
+  'room_messages',
+  'findings',
+  'context',
+  'memory_snapshots',
+  'root_io_events'
+]);
+
+function memorySearchError(message, param = 'q') {
+  const error = new Error(message);
+  error.code = 'invalid_request';
+  error.param = param;
+  return error;
+}
+
+/**
+ * Turn a user search string into an FTS5 MATCH expression. Bare words are
+ * ANDed, "quoted text" is a phrase, `word*` is a prefix, and an uppercase OR
+ * between terms is kept. Everything else is quoted so punctuation in the
+ * input cannot produce FTS5 syntax errors.
+ */
+function buildMemorySearchMatch(query) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    if (match[1] !== undefined) {
+      const words = match[1].match(/[\p{L}\p{N}_]+/gu) || [];
+      if (words.length > 0) {
+        terms.push(`"${words.join(' ')}"`);
+      }
+      continue;
+    }
+    const raw = match[2];
+    if (raw === 'OR') {
+      if (terms.length > 0 && terms[terms.length - 1] !== 'OR') {
+        terms.push('OR');
+      }
+      continue;
+    }
+    const words = raw.match(/[\p{L}\p{N}_]+/gu) || [];
+    if (words.length === 0) {
+      continue;
+    }
+    const prefix = raw.endsWith('*') ? '*' : '';
+    terms.push(`"${words.join(' ')}"${prefix}`);
+  }
+  while (terms[terms.length - 1] === 'OR') {
+    terms.pop();
+  }
+  if (terms.length === 0) {
+    throw memorySearchError('q must contain at least one word to search for');
+  }
+  return terms.join(' ');
+}
+
+// Usage report group-by dimensions. day/hour bucket created_at in UTC; bucket
+// is the role group used by summarizeUsageAttribution.
+const USAGE_REPORT_INTERVALS = Object.freeze(['day', 'hour']);
+const USAGE_REPORT_DIMENSIONS = Object.freeze([
+  ...USAGE_REPORT_INTERVALS,
+  'adapter',
+  'provider',
+  'model',
+  'role',
+  'bucket',
+  'project'
+]);
+
+function buildUsageReportGroupSql(dimension) {
+  switch (dimension) {
+    case 'day':
+      return "strftime('%Y-%m-%d', usage_records.created_at / 1000, 'unixepoch')";
+    case 'hour':
+      return "strftime('%Y-%m-%dT%H:00:00Z', usage_records.created_at / 1000, 'unixepoch')";
+    case 'adapter':
+    case 'provider':
+    case 'model':
+      return `COALESCE(NULLIF(usage_records.${dimension}, ''), 'unknown')`;
+    case 'project':
+      return "COALESCE(NULLIF(usage_records.project_id, ''), 'unassigned')";
+    case 'role':
+    case 'bucket':
+      return buildUsageRoleSql();
+    default:
+      return null;
+  }
+}
+
+const BUDGET_SCOPE_TYPES = Object.freeze(['root', 'task', 'project']);
+const DEFAULT_BUDGET_WARN_THRESHOLDS = Object.freeze([0.5, 0.8, 0.9]);
+
+function budgetError(message, param, code = 'invalid_request') {
+  const error = new Error(message);
+  error.code = code;
+  error.param = param;
+  return error;
+}
+
+const MEMORY_EMBEDDING_ITEM_TYPES = Object.freeze(['snapshot', 'finding', 'decision', 'message_window']);
+// Conversation messages are embedded in fixed windows of user/assistant turns per terminal
+const MEMORY_EMBEDDING_WINDOW_SIZE = 6;
+const MEMORY_EMBEDDING_WINDOW_MESSAGE_CHARS = 600;
+
 function normalizeEnumValue(value, allowedValues, fallback = null) {
   const normalized = String(value || '').trim().toLowerCase();
   if (allowedValues.has(normalized)) {
@@ -823,6 +1013,10 @@ class OrchestrationDB {
 
     // Run migrations
     this._runMigrations(schemaPath, migrationsDir);
+
+    // Notified after each usage record insert (see onUsageRecorded)
+    this._usageListeners = new Set();
+    this.priceTable = options.priceTable || null;
   }
 
   /**
@@ -978,6 +1172,11 @@ class OrchestrationDB {
           ? 'CREATE INDEX IF NOT EXISTS idx_messages_root_session_created ON messages(root_session_id, created_at);'
           : '';
 
+        // DROP TABLE drops its triggers (e.g. the memory search index sync)
+        const triggerSql = this.db.prepare(
+          "SELECT sql FROM sqlite_master WHERE type = 'trigger' AND tbl_name = 'messages' AND sql IS NOT NULL"
+        ).all().map((row) => `${row.sql};`).join('\n');
+
         this.db.exec('SAVEPOINT migrate_messages_remove_fk');
         try {
           this.db.exec(`
@@ -1009,6 +1208,7 @@ class OrchestrationDB {
             CREATE INDEX IF NOT EXISTS idx_messages_terminal_created ON messages(terminal_id, created_at);
             CREATE INDEX IF NOT EXISTS idx_messages_trace ON messages(trace_id);
             ${rootSessionIdIndexSql}
+            ${triggerSql}
           `);
           this.db.exec('RELEASE SAVEPOINT migrate_messages_remove_fk');
         } catch (migrationError) {
@@ -3664,6 +3864,77 @@ class OrchestrationDB {
     }));
   }
 
+  /**
+   * Session events in insertion order across all roots, for live streams.
+   * `streamId` is the table rowid: global and increasing, unlike the per-root
+   * sequence_no. `order: 'desc'` returns the newest matching events first.
+   * With `matchAny`, rootSessionIds and sessionIds are alternatives rather
+   * than both required.
+   */
+  listSessionEventStream(options = {}) {
+    const clauses = [];
+    const params = [];
+    const addListFilter = (column, values) => {
+      const list = (Array.isArray(values) ? values : [values])
+        .map((value) => String(value || '').trim())
+        .filter(Boolean);
+      if (list.length > 0) {
+        clauses.push(`${column} IN (${list.map(() => '?').join(', ')})`);
+        params.push(...list);
+      }
+    };
+
+    if (options.matchAny) {
+      // Topic subscribers want events from any of their roots or terminals
+      const scopeStart = clauses.length;
+      addListFilter('root_session_id', options.rootSessionIds);
+      addListFilter('session_id', options.sessionIds);
+      const scopeClauses = clauses.splice(scopeStart);
+      clauses.push(scopeClauses.length > 0 ? `(${scopeClauses.join(' OR ')})` : '0');
+    } else {
+      addListFilter('root_session_id', options.rootSessionIds);
+      addListFilter('session_id', options.sessionIds);
+    }
+    addListFilter('event_type', options.eventTypes);
+    addListFilter('run_id', options.runIds);
+    const taskId = String(options.taskId || '').trim();
+    if (taskId) {
+      clauses.push(`root_session_id IN (${TASK_ROOT_SESSIONS_SQL})`);
+      params.push(taskId, taskId, taskId, taskId);
+    }
+    if (Number.isInteger(options.afterStreamId) && options.afterStreamId >= 0) {
+      clauses.push('rowid > ?');
+      params.push(options.afterStreamId);
+    }
+
+    const whereSql = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const order = options.order === 'desc' ? 'DESC' : 'ASC';
+    const limit = clampLimit(options.limit, 100, 1000);
+    return this.db.prepare(`
+      SELECT rowid AS stream_id, * FROM session_events ${whereSql}
+      ORDER BY rowid ${order}
+      LIMIT ?
+    `).all(...params, limit).map((row) => ({
+      ...row,
+      payload_json: parseJsonField(row.payload_json),
+      metadata: parseJsonField(row.metadata)
+    }));
+  }
+
+  listTaskRootSessionIds(taskId) {
+    const normalizedTaskId = String(taskId || '').trim();
+    if (!normalizedTaskId) {
+      return [];
+    }
+    return this.db.prepare(TASK_ROOT_SESSIONS_SQL)
+      .all(normalizedTaskId, normalizedTaskId, normalizedTaskId, normalizedTaskId)
+      .map((row) => row.root_session_id);
+  }
+
+  getLatestSessionEventStreamId() {
+    return this.db.prepare('SELECT COALESCE(MAX(rowid), 0) AS stream_id FROM session_events').get().stream_id;
+  }
+
   listSessionEventsForTask(taskId, options = {}) {
     const normalizedTaskId = String(taskId || '').trim();
     if (!normalizedTaskId) {
@@ -3672,32 +3943,7 @@ class OrchestrationDB {
 
     const limit = clampLimit(options.limit, 10, 50);
     return this.db.prepare(`
-      WITH task_roots(root_session_id) AS (
-        SELECT root_session_id
-        FROM tasks
-        WHERE id = ?
-          AND root_session_id IS NOT NULL
-          AND TRIM(root_session_id) <> ''
-        UNION
-        SELECT root_session_id
-        FROM runs
-        WHERE task_id = ?
-          AND root_session_id IS NOT NULL
-          AND TRIM(root_session_id) <> ''
-        UNION
-        SELECT root_session_id
-        FROM rooms
-        WHERE task_id = ?
-          AND root_session_id IS NOT NULL
-          AND TRIM(root_session_id) <> ''
-        UNION
-        SELECT t.root_session_id
-        FROM task_assignments ta
-        JOIN terminals t ON t.terminal_id = ta.terminal_id
-        WHERE ta.task_id = ?
-          AND t.root_session_id IS NOT NULL
-          AND TRIM(t.root_session_id) <> ''
-      )
+      WITH task_roots(root_session_id) AS (${TASK_ROOT_SESSIONS_SQL})
       SELECT se.*
       FROM session_events se
       JOIN task_roots tr ON tr.root_session_id = se.root_session_id
@@ -4670,6 +4916,83 @@ class OrchestrationDB {
     return claim.immediate();
   }
 
+  /**
+   * Dispatches the scheduler may claim now: queued, deferred past their
+   * defer time, or claimed with an expired claim and no terminal yet.
+   * Ordered by when each became due.
+   */
+  listReadyDispatchRequests(options = {}) {
+    if (!this._hasTable('dispatch_requests')) {
+      return [];
+    }
+
+    const now = Number.isFinite(options.now) ? options.now : Date.now();
+    const clauses = [`
+      terminal_id IS NULL
+      AND (
+        status = 'queued'
+        OR (status = 'deferred' AND (defer_until IS NULL OR defer_until <= ?))
+        OR (status = 'claimed' AND (claim_expires_at IS NULL OR claim_expires_at <= ?))
+      )
+    `];
+    const params = [now, now];
+    const requestKinds = (Array.isArray(options.requestKinds) ? options.requestKinds : [])
+      .map((kind) => String(kind || '').trim().toLowerCase())
+      .filter(Boolean);
+    if (requestKinds.length > 0) {
+      clauses.push(`request_kind IN (${requestKinds.map(() => '?').join(', ')})`);
+      params.push(...requestKinds);
+    }
+
+    const limit = clampLimit(options.limit, 100, 500);
+    return this.db.all(`
+      SELECT *
+      FROM dispatch_requests
+      WHERE ${clauses.join(' AND ')}
+      ORDER BY COALESCE(defer_until, created_at) ASC, created_at ASC, dispatch_request_id ASC
+      LIMIT ?
+    `, ...params, limit).map((row) => this._parseDispatchRequestRow(row));
+  }
+
+  /**
+   * Dispatches currently occupying capacity: live claims, and spawned
+   * dispatches whose terminal is still working. Each entry carries the
+   * terminal adapter and status when known.
+   */
+  listActiveDispatchRequests(options = {}) {
+    if (!this._hasTable('dispatch_requests')) {
+      return [];
+    }
+
+    const now = Number.isFinite(options.now) ? options.now : Date.now();
+    const limit = clampLimit(options.limit, 500, 2000);
+    const hasTerminals = this._hasTable('terminals');
+    const placeholders = DISPATCH_ACTIVE_TERMINAL_STATUSES.map(() => '?').join(', ');
+    const rows = hasTerminals
+      ? this.db.all(`
+        SELECT d.*, t.adapter AS terminal_adapter, t.status AS terminal_status
+        FROM dispatch_requests d
+        LEFT JOIN terminals t ON t.terminal_id = d.terminal_id
+        WHERE (d.status = 'claimed' AND d.claim_expires_at IS NOT NULL AND d.claim_expires_at > ?)
+          OR (d.status = 'spawned' AND t.status IN (${placeholders}))
+        ORDER BY d.updated_at DESC, d.dispatch_request_id ASC
+        LIMIT ?
+      `, now, ...DISPATCH_ACTIVE_TERMINAL_STATUSES, limit)
+      : this.db.all(`
+        SELECT *
+        FROM dispatch_requests
+        WHERE status = 'claimed' AND claim_expires_at IS NOT NULL AND claim_expires_at > ?
+        ORDER BY updated_at DESC, dispatch_request_id ASC
+        LIMIT ?
+      `, now, limit);
+
+    return rows.map((row) => ({
+      ...this._parseDispatchRequestRow(row),
+      terminalAdapter: row.terminal_adapter || null,
+      terminalStatus: row.terminal_status || null
+    }));
+  }
+
   _parseRunContextSnapshotRow(row) {
     if (!row) {
       return null;
@@ -5030,109 +5353,545 @@ class OrchestrationDB {
     return result.changes;
   }
 
-  // =================
-  // Inbox Operations
-  // =================
-
-  /**
-   * Queue a message for delivery
-   */
-  queueMessage(senderId, receiverId, message, priority = 0) {
-    const result = this.db.run(`
-      INSERT INTO inbox (sender_id, receiver_id, message, priority)
-      VALUES (?, ?, ?, ?)
-    `, senderId, receiverId, message, priority);
-    return result.lastID;
-  }
-
-  /**
-   * Get pending messages for a receiver
-   */
-  getPendingMessages(receiverId = null, limit = 10) {
-    let sql = `
-      SELECT * FROM inbox
-      WHERE status = 'pending'
-    `;
-    const params = [];
+  // =============================
+  // Workflow Executions
+  // =============================
 
-    if (receiverId) {
-      sql += ' AND receiver_id = ?';
-      params.push(receiverId);
+  _parseWorkflowExecutionRow(row) {
+    if (!row) {
+      return null;
     }
 
-    sql += ' ORDER BY priority DESC, created_at ASC LIMIT ?';
-    params.push(limit);
-
-    return this.db.all(sql, ...params);
+    return {
+      id: row.workflow_execution_id,
+      workflowExecutionId: row.workflow_execution_id,
+      workflowName: row.workflow_name,
+      workflowSource: row.workflow_source || null,
+      definition: parseJsonField(row.definition_json),
+      status: row.status,
+      initialMessage: row.initial_message,
+      options: parseJsonField(row.options_json) || {},
+      runId: row.run_id || null,
+      rootSessionId: row.root_session_id || null,
+      ownerId: row.owner_id || null,
+      resumeCount: row.resume_count || 0,
+      cancelRequestedAt: row.cancel_requested_at || null,
+      error: row.error || null,
+      metadata: parseJsonField(row.metadata) || {},
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      completedAt: row.completed_at || null
+    };
   }
 
-  /**
-   * Mark message as delivered
-   */
-  markDelivered(messageId) {
-    this.db.run(`
-      UPDATE inbox
-      SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `, messageId);
+  _parseWorkflowExecutionStepRow(row) {
+    return {
+      sequence: row.sequence,
+      path: row.step_path,
+      stepId: row.step_id || null,
+      profile: row.profile || null,
+      role: row.role || null,
+      adapter: row.adapter || null,
+      type: row.step_type || null,
+      status: row.status,
+      iteration: row.iteration || 0,
+      terminalId: row.terminal_id || null,
+      result: parseJsonField(row.result_json),
+      error: row.error || null,
+      startedAt: row.started_at,
+      completedAt: row.completed_at || null
+    };
   }
 
-  /**
-   * Mark message as failed
-   */
-  markFailed(messageId, error) {
-    this.db.run(`
-      UPDATE inbox
-      SET status = 'failed',
-          error = ?,
-          attempts = attempts + 1,
-          last_attempt_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `, error, messageId);
+  _parseWorkflowExecutionDecisionRow(row) {
+    return {
+      ...(parseJsonField(row.details_json) || {}),
+      sequence: row.sequence,
+      kind: row.decision_kind,
+      path: row.step_path,
+      stepId: row.step_id || null,
+      expression: row.expression || null,
+      result: row.result === 1,
+      outcome: row.outcome,
+      decidedAt: row.decided_at
+    };
   }
 
-  /**
-   * Increment attempt count
-   */
-  incrementAttempt(messageId) {
+  createWorkflowExecution(input = {}) {
+    if (!this._hasTable('workflow_executions')) {
+      return null;
+    }
+
+    const workflowExecutionId = String(input.workflowExecutionId || input.id || `wf-${generateId()}`).trim();
+    const workflowName = String(input.workflowName || '').trim();
+    if (!workflowName) {
+      throw new Error('workflowName is required');
+    }
+    const status = normalizeEnumValue(input.status, WORKFLOW_EXECUTION_STATUSES, 'running');
+    const now = Number.isFinite(input.createdAt) ? input.createdAt : Date.now();
+    const options = input.options && typeof input.options === 'object' && !Array.isArray(input.options)
+      ? redactSecretObject({ ...input.options })
+      : {};
+    const metadata = input.metadata && typeof input.metadata === 'object' && !Array.isArray(input.metadata)
+      ? redactSecretObject({ ...input.metadata })
+      : {};
+
     this.db.run(`
-      UPDATE inbox
-      SET attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `, messageId);
+      INSERT INTO workflow_executions (
+        workflow_execution_id,
+        workflow_name,
+        workflow_source,
+        definition_json,
+        status,
+        initial_message,
+        options_json,
+        run_id,
+        root_session_id,
+        owner_id,
+        owner_heartbeat_at,
+        resume_count,
+        metadata,
+        created_at,
+        updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?)
+    `,
+    workflowExecutionId,
+    workflowName,
+    String(input.workflowSource || '').trim() || null,
+    JSON.stringify(input.definition || {}),
+    status,
+    String(input.initialMessage || ''),
+    JSON.stringify(options),
+    String(input.runId || '').trim() || null,
+    String(input.rootSessionId || '').trim() || null,
+    String(input.ownerId || '').trim() || null,
+    String(input.ownerId || '').trim() ? now : null,
+    JSON.stringify(metadata),
+    now,
+    now);
+
+    return this.getWorkflowExecution(workflowExecutionId);
+  }
+
+  getWorkflowExecution(workflowExecutionId) {
+    if (!this._hasTable('workflow_executions')) {
+      return null;
+    }
+    const row = this.db.get('SELECT * FROM workflow_executions WHERE workflow_execution_id = ?', workflowExecutionId);
+    return this._parseWorkflowExecutionRow(row);
   }
 
   /**
-   * Get inbox stats for a terminal
+   * Get one workflow execution with its persisted steps and decisions.
    */
-  getInboxStats(terminalId) {
-    return this.db.get(`
-      SELECT
-        COUNT(*) as total,
-        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
-        SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered,
-        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
-      FROM inbox
-      WHERE receiver_id = ?
-    `, terminalId);
-  }
-
-  // =================
-  // Trace Operations
-  // =================
+  getWorkflowExecutionDetail(workflowExecutionId) {
+    const execution = this.getWorkflowExecution(workflowExecutionId);
+    if (!execution) {
+      return null;
+    }
 
-  /**
-   * Create a new trace
-   */
-  createTrace(traceId, parentTerminalId, name, metadata = null) {
-    this.db.run(`
-      INSERT INTO traces (trace_id, parent_terminal_id, name, metadata)
-      VALUES (?, ?, ?, ?)
-    `, traceId, parentTerminalId, name, metadata ? JSON.stringify(metadata) : null);
-    return traceId;
+    return {
+      ...execution,
+      steps: this.db.all(`
+        SELECT * FROM workflow_execution_steps
+        WHERE workflow_execution_id = ?
+        ORDER BY sequence ASC
+      `, workflowExecutionId).map((row) => this._parseWorkflowExecutionStepRow(row)),
+      decisions: this.db.all(`
+        SELECT * FROM workflow_execution_decisions
+        WHERE workflow_execution_id = ?
+        ORDER BY sequence ASC
+      `, workflowExecutionId).map((row) => this._parseWorkflowExecutionDecisionRow(row))
+    };
   }
 
-  /**
+  listWorkflowExecutions(options = {}) {
+    if (!this._hasTable('workflow_executions')) {
+      return [];
+    }
+
+    const clauses = [];
+    const params = [];
+    const statuses = (Array.isArray(options.status) ? options.status : [options.status])
+      .map((status) => normalizeEnumValue(status, WORKFLOW_EXECUTION_STATUSES))
+      .filter(Boolean);
+    if (statuses.length > 0) {
+      clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    const workflowName = String(options.workflowName || '').trim();
+    if (workflowName) {
+      clauses.push('workflow_name = ?');
+      params.push(workflowName);
+    }
+    const rootSessionId = String(options.rootSessionId || '').trim();
+    if (rootSessionId) {
+      clauses.push('root_session_id = ?');
+      params.push(rootSessionId);
+    }
+
+    const whereSql = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const limit = clampLimit(options.limit, 50, 500);
+    return this.db.all(`
+      SELECT *
+      FROM workflow_executions
+      ${whereSql}
+      ORDER BY created_at DESC, workflow_execution_id ASC
+      LIMIT ?
+    `, ...params, limit).map((row) => this._parseWorkflowExecutionRow(row));
+  }
+
+  updateWorkflowExecution(workflowExecutionId, patch = {}) {
+    if (!this._hasTable('workflow_executions')) {
+      return null;
+    }
+
+    const updates = [];
+    const params = [];
+    if (patch.status !== undefined) {
+      const status = normalizeEnumValue(patch.status, WORKFLOW_EXECUTION_STATUSES);
+      if (!status) {
+        throw new Error(`status must be one of ${Array.from(WORKFLOW_EXECUTION_STATUSES).join(', ')}`);
+      }
+      updates.push('status = ?');
+      params.push(status);
+    }
+    if (patch.runId !== undefined) {
+      updates.push('run_id = ?');
+      params.push(String(patch.runId || '').trim() || null);
+    }
+    if (patch.ownerId !== undefined) {
+      updates.push('owner_id = ?');
+      params.push(String(patch.ownerId || '').trim() || null);
+    }
+    if (patch.ownerHeartbeatAt !== undefined || patch.ownerId !== undefined) {
+      // Claiming an execution counts as a heartbeat from the new owner
+      updates.push('owner_heartbeat_at = ?');
+      params.push(patch.ownerHeartbeatAt !== undefined
+        ? normalizeOptionalInteger(patch.ownerHeartbeatAt)
+        : (Number.isFinite(patch.updatedAt) ? patch.updatedAt : Date.now()));
+    }
+    if (patch.resumeCount !== undefined) {
+      updates.push('resume_count = ?');
+      params.push(normalizeInteger(patch.resumeCount, 0));
+    }
+    if (patch.cancelRequestedAt !== undefined) {
+      updates.push('cancel_requested_at = ?');
+      params.push(normalizeOptionalInteger(patch.cancelRequestedAt));
+    }
+    if (patch.error !== undefined) {
+      updates.push('error = ?');
+      params.push(patch.error ? truncateText(redactSecretsInText(String(patch.error)).content, 4000) : null);
+    }
+    if (patch.completedAt !== undefined) {
+      updates.push('completed_at = ?');
+      params.push(normalizeOptionalInteger(patch.completedAt));
+    }
+    if (patch.metadata !== undefined) {
+      const metadata = patch.metadata && typeof patch.metadata === 'object' && !Array.isArray(patch.metadata)
+        ? redactSecretObject({ ...patch.metadata })
+        : {};
+      updates.push('metadata = ?');
+      params.push(JSON.stringify(metadata));
+    }
+
+    if (updates.length === 0) {
+      return this.getWorkflowExecution(workflowExecutionId);
+    }
+
+    updates.push('updated_at = ?');
+    params.push(Number.isFinite(patch.updatedAt) ? patch.updatedAt : Date.now());
+    params.push(workflowExecutionId);
+
+    const expectedStatuses = Array.isArray(patch.expectedStatuses) ? patch.expectedStatuses : null;
+    const guardSql = expectedStatuses && expectedStatuses.length > 0
+      ? ` AND status IN (${expectedStatuses.map(() => '?').join(', ')})`
+      : '';
+    const result = this.db.run(`
+      UPDATE workflow_executions
+      SET ${updates.join(', ')}
+      WHERE workflow_execution_id = ?${guardSql}
+    `, ...params, ...(expectedStatuses || []));
+
+    if (expectedStatuses && result.changes === 0) {
+      return null;
+    }
+    return this.getWorkflowExecution(workflowExecutionId);
+  }
+
+  /**
+   * Refresh the owner heartbeat on every running execution of one broker.
+   */
+  touchWorkflowExecutionOwner(ownerId, options = {}) {
+    if (!this._hasTable('workflow_executions') || !ownerId) {
+      return 0;
+    }
+    const now = Number.isFinite(options.now) ? options.now : Date.now();
+    return this.db.run(`
+      UPDATE workflow_executions
+      SET owner_heartbeat_at = ?
+      WHERE status = 'running'
+        AND owner_id = ?
+    `, now, String(ownerId)).changes;
+  }
+
+  /**
+   * Owners of running executions with their latest heartbeat (rows written
+   * before heartbeats existed fall back to updated_at).
+   */
+  listRunningWorkflowExecutionOwners() {
+    if (!this._hasTable('workflow_executions')) {
+      return [];
+    }
+    return this.db.all(`
+      SELECT owner_id, MAX(COALESCE(owner_heartbeat_at, updated_at)) AS heartbeat_at
+      FROM workflow_executions
+      WHERE status = 'running'
+      GROUP BY owner_id
+    `).map((row) => ({ ownerId: row.owner_id || null, heartbeatAt: row.heartbeat_at }));
+  }
+
+  /**
+   * Mark running executions of the given (dead) owners as interrupted so they
+   * can be resumed. A null entry matches executions without an owner.
+   */
+  markInterruptedWorkflowExecutions(ownerIds, options = {}) {
+    if (!this._hasTable('workflow_executions')) {
+      return 0;
+    }
+    const owners = (Array.isArray(ownerIds) ? ownerIds : [ownerIds]);
+    const named = owners.filter((ownerId) => ownerId).map((ownerId) => String(ownerId));
+    const clauses = [];
+    if (owners.some((ownerId) => !ownerId)) {
+      clauses.push('owner_id IS NULL');
+    }
+    if (named.length > 0) {
+      clauses.push(`owner_id IN (${named.map(() => '?').join(', ')})`);
+    }
+    if (clauses.length === 0) {
+      return 0;
+    }
+    const now = Number.isFinite(options.now) ? options.now : Date.now();
+    return this.db.run(`
+      UPDATE workflow_executions
+      SET status = 'interrupted',
+          updated_at = ?
+      WHERE status = 'running'
+        AND (${clauses.join(' OR ')})
+    `, now, ...named).changes;
+  }
+
+  upsertWorkflowExecutionStep(workflowExecutionId, step = {}) {
+    if (!this._hasTable('workflow_execution_steps')) {
+      return null;
+    }
+    const status = normalizeEnumValue(step.status, WORKFLOW_EXECUTION_STEP_STATUSES, 'running');
+    const result = step.result === undefined || step.result === null
+      ? null
+      : JSON.stringify(redactSecretObject({ ...step.result }));
+
+    this.db.run(`
+      INSERT INTO workflow_execution_steps (
+        workflow_execution_id,
+        sequence,
+        step_path,
+        step_id,
+        profile,
+        role,
+        adapter,
+        step_type,
+        status,
+        iteration,
+        terminal_id,
+        result_json,
+        error,
+        started_at,
+        completed_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (workflow_execution_id, sequence) DO UPDATE SET
+        step_path = excluded.step_path,
+        step_id = excluded.step_id,
+        profile = excluded.profile,
+        role = excluded.role,
+        adapter = excluded.adapter,
+        step_type = excluded.step_type,
+        status = excluded.status,
+        iteration = excluded.iteration,
+        terminal_id = excluded.terminal_id,
+        result_json = excluded.result_json,
+        error = excluded.error,
+        started_at = excluded.started_at,
+        completed_at = excluded.completed_at
+    `,
+    workflowExecutionId,
+    normalizeInteger(step.sequence, 0),
+    String(step.path || ''),
+    step.stepId || null,
+    step.profile || null,
+    step.role || null,
+    step.adapter || null,
+    step.type || null,
+    status,
+    normalizeInteger(step.iteration, 0),
+    step.terminalId || null,
+    result,
+    step.error ? truncateText(redactSecretsInText(String(step.error)).content, 4000) : null,
+    Number.isFinite(step.startedAt) ? step.startedAt : Date.now(),
+    normalizeOptionalInteger(step.completedAt));
+    this.db.run(
+      'UPDATE workflow_executions SET updated_at = ? WHERE workflow_execution_id = ?',
+      Date.now(),
+      workflowExecutionId
+    );
+    return true;
+  }
+
+  appendWorkflowExecutionDecision(workflowExecutionId, decision = {}) {
+    if (!this._hasTable('workflow_execution_decisions')) {
+      return null;
+    }
+    const {
+      sequence,
+      kind,
+      path: stepPath,
+      stepId,
+      expression,
+      result,
+      outcome,
+      decidedAt,
+      ...details
+    } = decision;
+
+    this.db.run(`
+      INSERT OR IGNORE INTO workflow_execution_decisions (
+        workflow_execution_id,
+        sequence,
+        decision_kind,
+        step_path,
+        step_id,
+        expression,
+        result,
+        outcome,
+        details_json,
+        decided_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    workflowExecutionId,
+    normalizeInteger(sequence, 0),
+    kind,
+    String(stepPath || ''),
+    stepId || null,
+    expression || null,
+    result ? 1 : 0,
+    String(outcome || ''),
+    JSON.stringify(details),
+    Number.isFinite(decidedAt) ? decidedAt : Date.now());
+    return true;
+  }
+
+  // =================
+  // Inbox Operations
+  // =================
+
+  /**
+   * Queue a message for delivery
+   */
+  queueMessage(senderId, receiverId, message, priority = 0) {
+    const result = this.db.run(`
+      INSERT INTO inbox (sender_id, receiver_id, message, priority)
+      VALUES (?, ?, ?, ?)
+    `, senderId, receiverId, message, priority);
+    return result.lastID;
+  }
+
+  /**
+   * Get pending messages for a receiver
+   */
+  getPendingMessages(receiverId = null, limit = 10) {
+    let sql = `
+      SELECT * FROM inbox
+      WHERE status = 'pending'
+    `;
+    const params = [];
+
+    if (receiverId) {
+      sql += ' AND receiver_id = ?';
+      params.push(receiverId);
+    }
+
+    sql += ' ORDER BY priority DESC, created_at ASC LIMIT ?';
+    params.push(limit);
+
+    return this.db.all(sql, ...params);
+  }
+
+  /**
+   * Mark message as delivered
+   */
+  markDelivered(messageId) {
+    this.db.run(`
+      UPDATE inbox
+      SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, messageId);
+  }
+
+  /**
+   * Mark message as failed
+   */
+  markFailed(messageId, error) {
+    this.db.run(`
+      UPDATE inbox
+      SET status = 'failed',
+          error = ?,
+          attempts = attempts + 1,
+          last_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, error, messageId);
+  }
+
+  /**
+   * Increment attempt count
+   */
+  incrementAttempt(messageId) {
+    this.db.run(`
+      UPDATE inbox
+      SET attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, messageId);
+  }
+
+  /**
+   * Get inbox stats for a terminal
+   */
+  getInboxStats(terminalId) {
+    return this.db.get(`
+      SELECT
+        COUNT(*) as total,
+        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
+        SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered,
+        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+      FROM inbox
+      WHERE receiver_id = ?
+    `, terminalId);
+  }
+
+  // =================
+  // Trace Operations
+  // =================
+
+  /**
+   * Create a new trace
+   */
+  createTrace(traceId, parentTerminalId, name, metadata = null) {
+    this.db.run(`
+      INSERT INTO traces (trace_id, parent_terminal_id, name, metadata)
+      VALUES (?, ?, ?, ?)
+    `, traceId, parentTerminalId, name, metadata ? JSON.stringify(metadata) : null);
+    return traceId;
+  }
+
+  /**
    * Get trace by ID
    */
   getTrace(traceId) {
@@ -5591,9 +6350,24 @@ class OrchestrationDB {
       metadataJson,
       createdAt
     ];
+    let projectId = null;
     if (this._hasColumn('usage_records', 'project_id')) {
+      projectId = this._resolveProjectIdForUsage(usage);
       columns.splice(columns.length - 1, 0, 'project_id');
-      values.splice(values.length - 1, 0, this._resolveProjectIdForUsage(usage));
+      values.splice(values.length - 1, 0, projectId);
+    }
+    if (this._hasColumn('usage_records', 'estimated_cost_usd')) {
+      const estimate = this._estimateUsageCost({
+        adapter: usage.adapter,
+        model: usage.model,
+        inputTokens: normalizeInteger(usage.inputTokens, 0),
+        outputTokens: normalizeInteger(usage.outputTokens, 0),
+        reasoningTokens: normalizeInteger(usage.reasoningTokens, 0),
+        cachedInputTokens: normalizeInteger(usage.cachedInputTokens, 0),
+        createdAt
+      });
+      columns.splice(columns.length - 1, 0, 'estimated_cost_usd', 'price_table_version', 'price_id');
+      values.splice(values.length - 1, 0, estimate.estimatedCostUsd, estimate.version, estimate.priceId);
     }
 
     const result = this.db.run(`
@@ -5643,37 +6417,163 @@ class OrchestrationDB {
       }
     }
 
+    for (const listener of this._usageListeners) {
+      try {
+        listener({
+          usageRecordId,
+          rootSessionId,
+          terminalId: usage.terminalId,
+          runId: usage.runId || null,
+          taskId: usage.taskId || null,
+          projectId,
+          createdAt
+        });
+      } catch (error) {
+        console.warn('[db] Usage listener failed:', error.message);
+      }
+    }
+
     return usageRecordId;
   }
 
-  addUsageRecordFromMetadata(input = {}) {
-    const usageInput = input && typeof input === 'object' ? input : {};
-    const terminalId = String(usageInput.terminalId || '').trim();
-    if (!terminalId) {
-      return null;
+  /**
+   * Price table used for estimatedCostUsd; config/model-pricing.json unless
+   * one was passed to the constructor.
+   */
+  getPriceTable() {
+    if (!this.priceTable) {
+      this.priceTable = getModelPriceTable();
     }
+    return this.priceTable;
+  }
 
-    const metadata = usageInput.metadata;
-    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
-      return null;
+  _estimateUsageCost(record) {
+    try {
+      return this.getPriceTable().estimate(record);
+    } catch (error) {
+      console.warn('[db] Usage cost estimate failed:', error.message);
+      return { estimatedCostUsd: null, priceId: null, version: null };
     }
+  }
 
-    const usageRecord = buildUsageRecordFromMetadata({
-      rootSessionId: usageInput.rootSessionId || null,
-      terminalId,
-      runId: usageInput.runId || null,
-      taskId: usageInput.taskId || null,
-      taskAssignmentId: usageInput.taskAssignmentId || null,
-      participantId: usageInput.participantId || null,
-      adapter: usageInput.adapter || null,
-      provider: usageInput.provider || null,
-      model: usageInput.model || null,
-      role: usageInput.role || null,
-      sourceConfidence: usageInput.sourceConfidence || null,
-      createdAt: usageInput.createdAt
-    }, metadata);
-
-    if (!usageRecord) {
+  /**
+   * Re-estimate stored usage records with the current price table.
+   * Reported cost_usd is never changed. With dryRun, nothing is written.
+   * affectedScopes lists each distinct root session / task / project whose
+   * records changed, so callers can re-evaluate budgets over them.
+   * @returns {Object} { priceTableVersion, scanned, updated, estimatedCostUsdBefore, estimatedCostUsdAfter, affectedScopes }
+   */
+  recomputeUsageCostEstimates(options = {}) {
+    const { whereSql, params } = buildUsageWhereClause(options);
+    const priceTable = this.getPriceTable();
+    const batchSize = clampLimit(options.batchSize, 500, 5000);
+    const update = this.db.prepare(`
+      UPDATE usage_records
+      SET estimated_cost_usd = ?, price_table_version = ?, price_id = ?
+      WHERE id = ?
+    `);
+    const result = {
+      priceTableVersion: priceTable.getVersion(),
+      dryRun: options.dryRun === true,
+      scanned: 0,
+      updated: 0,
+      estimatedCostUsdBefore: 0,
+      estimatedCostUsdAfter: 0,
+      affectedScopes: []
+    };
+    const affectedScopes = new Map();
+    let afterId = 0;
+    for (;;) {
+      const rows = this.db.all(`
+        SELECT id, adapter, model, input_tokens, output_tokens, reasoning_tokens, cached_input_tokens,
+          created_at, estimated_cost_usd, price_table_version, price_id, root_session_id, task_id, project_id
+        FROM usage_records
+        ${whereSql ? `${whereSql} AND` : 'WHERE'} usage_records.id > ?
+        ORDER BY id ASC
+        LIMIT ?
+      `, ...params, afterId, batchSize);
+      if (rows.length === 0) {
+        break;
+      }
+      const changes = [];
+      for (const row of rows) {
+        const estimate = priceTable.estimate({
+          adapter: row.adapter,
+          model: row.model,
+          inputTokens: row.input_tokens,
+          outputTokens: row.output_tokens,
+          reasoningTokens: row.reasoning_tokens,
+          cachedInputTokens: row.cached_input_tokens,
+          createdAt: row.created_at
+        });
+        result.scanned += 1;
+        result.estimatedCostUsdBefore += row.estimated_cost_usd || 0;
+        result.estimatedCostUsdAfter += estimate.estimatedCostUsd || 0;
+        if (row.estimated_cost_usd !== estimate.estimatedCostUsd
+          || row.price_table_version !== estimate.version
+          || row.price_id !== estimate.priceId) {
+          changes.push([estimate.estimatedCostUsd, estimate.version, estimate.priceId, row.id]);
+          const scopeKey = JSON.stringify([row.root_session_id, row.task_id, row.project_id]);
+          if (!affectedScopes.has(scopeKey)) {
+            affectedScopes.set(scopeKey, {
+              rootSessionId: row.root_session_id || null,
+              taskId: row.task_id || null,
+              projectId: row.project_id || null
+            });
+          }
+        }
+      }
+      if (!result.dryRun && changes.length > 0) {
+        this.db.transaction(() => {
+          for (const change of changes) {
+            update.run(...change);
+          }
+        }).immediate();
+      }
+      result.updated += changes.length;
+      afterId = rows[rows.length - 1].id;
+    }
+    result.affectedScopes = [...affectedScopes.values()];
+    return result;
+  }
+
+  /**
+   * Register a callback run synchronously after every usage record insert.
+   * @returns {Function} Unsubscribe function
+   */
+  onUsageRecorded(listener) {
+    this._usageListeners.add(listener);
+    return () => this._usageListeners.delete(listener);
+  }
+
+  addUsageRecordFromMetadata(input = {}) {
+    const usageInput = input && typeof input === 'object' ? input : {};
+    const terminalId = String(usageInput.terminalId || '').trim();
+    if (!terminalId) {
+      return null;
+    }
+
+    const metadata = usageInput.metadata;
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      return null;
+    }
+
+    const usageRecord = buildUsageRecordFromMetadata({
+      rootSessionId: usageInput.rootSessionId || null,
+      terminalId,
+      runId: usageInput.runId || null,
+      taskId: usageInput.taskId || null,
+      taskAssignmentId: usageInput.taskAssignmentId || null,
+      participantId: usageInput.participantId || null,
+      adapter: usageInput.adapter || null,
+      provider: usageInput.provider || null,
+      model: usageInput.model || null,
+      role: usageInput.role || null,
+      sourceConfidence: usageInput.sourceConfidence || null,
+      createdAt: usageInput.createdAt
+    }, metadata);
+
+    if (!usageRecord) {
       return null;
     }
 
@@ -5709,6 +6609,8 @@ class OrchestrationDB {
       taskId: row.task_id || null,
       projectId: row.project_id || null,
       taskAssignmentId: row.task_assignment_id || null,
+      reportedCostUsd: row.cost_usd ?? null,
+      estimatedCostUsd: row.estimated_cost_usd ?? null,
       effectiveRole: normalizeUsageRole(row.effective_role),
       roleGroup: classifyUsageRoleBucket(row.effective_role)
     }));
@@ -5729,6 +6631,10 @@ class OrchestrationDB {
         COALESCE(SUM(cached_input_tokens), 0) AS cached_input_tokens,
         COALESCE(SUM(total_tokens), 0) AS total_tokens,
         COALESCE(SUM(cost_usd), 0) AS cost_usd,
+        COALESCE(SUM(estimated_cost_usd), 0) AS estimated_cost_usd,
+        COALESCE(SUM(COALESCE(cost_usd, estimated_cost_usd)), 0) AS effective_cost_usd,
+        COUNT(cost_usd) AS reported_cost_record_count,
+        COUNT(estimated_cost_usd) AS estimated_cost_record_count,
         COALESCE(SUM(duration_ms), 0) AS duration_ms
       FROM usage_records
       ${whereSql}
@@ -5742,6 +6648,11 @@ class OrchestrationDB {
       cachedInputTokens: row.cached_input_tokens || 0,
       totalTokens: row.total_tokens || 0,
       costUsd: row.cost_usd || 0,
+      reportedCostUsd: row.cost_usd || 0,
+      estimatedCostUsd: row.estimated_cost_usd || 0,
+      effectiveCostUsd: row.effective_cost_usd || 0,
+      reportedCostRecordCount: row.reported_cost_record_count || 0,
+      estimatedCostRecordCount: row.estimated_cost_record_count || 0,
       durationMs: row.duration_ms || 0
     };
   }
@@ -5787,6 +6698,10 @@ class OrchestrationDB {
         COALESCE(SUM(cached_input_tokens), 0) AS cached_input_tokens,
         COALESCE(SUM(total_tokens), 0) AS total_tokens,
         COALESCE(SUM(cost_usd), 0) AS cost_usd,
+        COALESCE(SUM(estimated_cost_usd), 0) AS estimated_cost_usd,
+        COALESCE(SUM(COALESCE(cost_usd, estimated_cost_usd)), 0) AS effective_cost_usd,
+        COUNT(cost_usd) AS reported_cost_record_count,
+        COUNT(estimated_cost_usd) AS estimated_cost_record_count,
         COALESCE(SUM(duration_ms), 0) AS duration_ms
       ${fromClause}
       ${whereSql}
@@ -5802,6 +6717,11 @@ class OrchestrationDB {
       cachedInputTokens: row.cached_input_tokens || 0,
       totalTokens: row.total_tokens || 0,
       costUsd: row.cost_usd || 0,
+      reportedCostUsd: row.cost_usd || 0,
+      estimatedCostUsd: row.estimated_cost_usd || 0,
+      effectiveCostUsd: row.effective_cost_usd || 0,
+      reportedCostRecordCount: row.reported_cost_record_count || 0,
+      estimatedCostRecordCount: row.estimated_cost_record_count || 0,
       durationMs: row.duration_ms || 0
     }));
   }
@@ -5815,11 +6735,11 @@ class OrchestrationDB {
     });
 
     const grouped = {
-      planning: { key: 'planning', recordCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 },
-      judging: { key: 'judging', recordCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 },
-      execution: { key: 'execution', recordCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 },
-      supervision: { key: 'supervision', recordCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 },
-      unknown: { key: 'unknown', recordCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 }
+      planning: { key: 'planning', recordCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, estimatedCostUsd: 0 },
+      judging: { key: 'judging', recordCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, estimatedCostUsd: 0 },
+      execution: { key: 'execution', recordCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, estimatedCostUsd: 0 },
+      supervision: { key: 'supervision', recordCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, estimatedCostUsd: 0 },
+      unknown: { key: 'unknown', recordCount: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, estimatedCostUsd: 0 }
     };
 
     for (const entry of roleBreakdown) {
@@ -5829,6 +6749,7 @@ class OrchestrationDB {
       bucket.outputTokens += entry.outputTokens || 0;
       bucket.totalTokens += entry.totalTokens || 0;
       bucket.costUsd += entry.costUsd || 0;
+      bucket.estimatedCostUsd += entry.estimatedCostUsd || 0;
     }
 
     const totalTokens = summary.totalTokens || 0;
@@ -5849,6 +6770,118 @@ class OrchestrationDB {
     };
   }
 
+  /**
+   * Roll usage up by any combination of USAGE_REPORT_DIMENSIONS within the
+   * usual usage filters (since/until, adapter, projectId, rootSessionId, ...).
+   * Rows carry one field per dimension plus the summarizeUsage totals and are
+   * ordered by time period, then by total tokens.
+   * @returns {{ rows: Object[], truncated: boolean }}
+   */
+  listUsageReport(options = {}) {
+    const usageOptions = options && typeof options === 'object' ? options : {};
+    const groupBy = Array.isArray(usageOptions.groupBy) ? usageOptions.groupBy : [];
+    const groupSql = groupBy.map((dimension) => buildUsageReportGroupSql(dimension));
+    if (groupSql.some((expr) => !expr)) {
+      throw new Error(`Unsupported usage report dimension: ${groupBy[groupSql.indexOf(null)]}`);
+    }
+    const limit = clampLimit(usageOptions.limit, 5000, 50000);
+    const { whereSql, params } = buildUsageWhereClause(usageOptions);
+    const selectSql = groupSql.map((expr, index) => `${expr} AS g${index},`).join('\n        ');
+
+    const rows = this.db.all(`
+      SELECT
+        ${selectSql}
+        COUNT(*) AS record_count,
+        COALESCE(SUM(input_tokens), 0) AS input_tokens,
+        COALESCE(SUM(output_tokens), 0) AS output_tokens,
+        COALESCE(SUM(reasoning_tokens), 0) AS reasoning_tokens,
+        COALESCE(SUM(cached_input_tokens), 0) AS cached_input_tokens,
+        COALESCE(SUM(total_tokens), 0) AS total_tokens,
+        COALESCE(SUM(cost_usd), 0) AS cost_usd,
+        COALESCE(SUM(estimated_cost_usd), 0) AS estimated_cost_usd,
+        COALESCE(SUM(COALESCE(cost_usd, estimated_cost_usd)), 0) AS effective_cost_usd,
+        COUNT(cost_usd) AS reported_cost_record_count,
+        COUNT(estimated_cost_usd) AS estimated_cost_record_count,
+        COALESCE(SUM(duration_ms), 0) AS duration_ms
+      FROM usage_records
+      LEFT JOIN run_participants rp ON rp.id = usage_records.participant_id
+      LEFT JOIN terminals t ON t.terminal_id = usage_records.terminal_id
+      ${whereSql}
+      ${groupSql.length ? `GROUP BY ${groupSql.join(', ')}` : ''}
+    `, ...params);
+
+    // Several roles fold into one bucket, so merge after mapping keys
+    const merged = new Map();
+    for (const row of rows) {
+      if (!row.record_count) {
+        continue;
+      }
+      const keys = {};
+      groupBy.forEach((dimension, index) => {
+        const value = row[`g${index}`];
+        if (dimension === 'role') {
+          keys[dimension] = normalizeUsageRole(value);
+        } else if (dimension === 'bucket') {
+          keys[dimension] = classifyUsageRoleBucket(value);
+        } else {
+          keys[dimension] = value;
+        }
+      });
+      const mergeKey = JSON.stringify(groupBy.map((dimension) => keys[dimension]));
+      const entry = merged.get(mergeKey) || {
+        ...keys,
+        recordCount: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        reasoningTokens: 0,
+        cachedInputTokens: 0,
+        totalTokens: 0,
+        costUsd: 0,
+        reportedCostUsd: 0,
+        estimatedCostUsd: 0,
+        effectiveCostUsd: 0,
+        reportedCostRecordCount: 0,
+        estimatedCostRecordCount: 0,
+        durationMs: 0
+      };
+      entry.recordCount += row.record_count || 0;
+      entry.inputTokens += row.input_tokens || 0;
+      entry.outputTokens += row.output_tokens || 0;
+      entry.reasoningTokens += row.reasoning_tokens || 0;
+      entry.cachedInputTokens += row.cached_input_tokens || 0;
+      entry.totalTokens += row.total_tokens || 0;
+      entry.costUsd += row.cost_usd || 0;
+      entry.reportedCostUsd += row.cost_usd || 0;
+      entry.estimatedCostUsd += row.estimated_cost_usd || 0;
+      entry.effectiveCostUsd += row.effective_cost_usd || 0;
+      entry.reportedCostRecordCount += row.reported_cost_record_count || 0;
+      entry.estimatedCostRecordCount += row.estimated_cost_record_count || 0;
+      entry.durationMs += row.duration_ms || 0;
+      merged.set(mergeKey, entry);
+    }
+
+    const interval = groupBy.find((dimension) => USAGE_REPORT_INTERVALS.includes(dimension)) || null;
+    const sorted = [...merged.values()].sort((left, right) => {
+      if (interval && left[interval] !== right[interval]) {
+        return left[interval] < right[interval] ? -1 : 1;
+      }
+      if (left.totalTokens !== right.totalTokens) {
+        return right.totalTokens - left.totalTokens;
+      }
+      for (const dimension of groupBy) {
+        if (left[dimension] !== right[dimension]) {
+          return String(left[dimension]) < String(right[dimension]) ? -1 : 1;
+        }
+      }
+      return 0;
+    });
+
+    return {
+      rows: sorted.slice(0, limit),
+      truncated: sorted.length > limit
+    };
+  }
+
   /**
    * Get message history for a terminal
    * @param {string} terminalId - Terminal ID
@@ -6553,6 +7586,7 @@ class OrchestrationDB {
     const now = Number.isFinite(input.createdAt) ? input.createdAt : Date.now();
     const startedAt = Number.isFinite(input.startedAt) ? input.startedAt : null;
     const completedAt = Number.isFinite(input.completedAt) ? input.completedAt : null;
+    const dependsOn = normalizeTaskAssignmentDependencyList(input.dependsOn ?? input.depends_on ?? []);
 
     if (!taskId) {
       throw new Error('taskId is required');
@@ -6610,10 +7644,16 @@ class OrchestrationDB {
     addOptionalColumn('review_status', reviewStatus);
     addOptionalColumn('integrated_at', integratedAt);
 
-    this.db.prepare(`
-      INSERT INTO task_assignments (${columns.join(', ')})
-      VALUES (${columns.map(() => '?').join(', ')})
-    `).run(...values);
+    const insert = this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO task_assignments (${columns.join(', ')})
+        VALUES (${columns.map(() => '?').join(', ')})
+      `).run(...values);
+      if (dependsOn.length > 0 && this._hasTable('task_assignment_dependencies')) {
+        this._writeTaskAssignmentDependencies(taskId, id, dependsOn, now);
+      }
+    });
+    insert.immediate();
 
     return this.getTaskAssignment(id);
   }
@@ -6623,173 +7663,580 @@ class OrchestrationDB {
     return this._parseTaskAssignmentRow(row);
   }
 
-  listTaskAssignments(taskId, options = {}) {
-    const clauses = ['task_id = ?'];
-    const params = [taskId];
-    if (options.status) {
+  getTaskAssignmentByTerminalId(terminalId) {
+    const row = this.db.prepare(`
+      SELECT *
+      FROM task_assignments
+      WHERE terminal_id = ?
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `).get(terminalId);
+    return this._parseTaskAssignmentRow(row);
+  }
+
+  /**
+   * Assignments across all tasks whose metadata.mergeConflict has the given
+   * status, e.g. 'resolving' ones waiting on a resolver child
+   */
+  listTaskAssignmentsByMergeConflictStatus(status) {
+    return this.db.prepare(`
+      SELECT *
+      FROM task_assignments
+      WHERE json_extract(metadata, '$.mergeConflict.status') = ?
+      ORDER BY updated_at ASC, id ASC
+    `).all(String(status || '')).map((row) => this._parseTaskAssignmentRow(row));
+  }
+
+  listTaskAssignments(taskId, options = {}) {
+    const clauses = ['task_id = ?'];
+    const params = [taskId];
+    if (options.status) {
+      clauses.push('status = ?');
+      params.push(String(options.status));
+    }
+    const limit = clampLimit(options.limit, 100, 500);
+    return this.db.prepare(`
+      SELECT *
+      FROM task_assignments
+      WHERE ${clauses.join(' AND ')}
+      ORDER BY created_at ASC, id ASC
+      LIMIT ?
+    `).all(...params, limit).map((row) => this._parseTaskAssignmentRow(row));
+  }
+
+  updateTaskAssignment(assignmentId, patch = {}) {
+    const updates = [];
+    const params = [];
+    if (patch.terminalId !== undefined) {
+      updates.push('terminal_id = ?');
+      params.push(String(patch.terminalId || '').trim() || null);
+    }
+    if (patch.role !== undefined) {
+      updates.push('role = ?');
+      params.push(String(patch.role || '').trim().toLowerCase());
+    }
+    if (patch.instructions !== undefined) {
+      updates.push('instructions = ?');
+      params.push(String(patch.instructions || '').trim());
+    }
+    if (patch.adapter !== undefined) {
+      updates.push('adapter = ?');
+      params.push(String(patch.adapter || '').trim() || null);
+    }
+    if (patch.model !== undefined) {
+      updates.push('model = ?');
+      params.push(String(patch.model || '').trim() || null);
+    }
+    if (patch.reasoningEffort !== undefined || patch.reasoning_effort !== undefined || patch.effort !== undefined) {
+      if (this._hasColumn('task_assignments', 'reasoning_effort')) {
+        updates.push('reasoning_effort = ?');
+        params.push(normalizeReasoningEffort(patch.reasoningEffort ?? patch.reasoning_effort ?? patch.effort));
+      }
+    }
+    if (patch.status !== undefined) {
+      updates.push('status = ?');
+      params.push(String(patch.status || '').trim().toLowerCase() || 'queued');
+    }
+    if (patch.worktreePath !== undefined) {
+      updates.push('worktree_path = ?');
+      params.push(String(patch.worktreePath || '').trim() || null);
+    }
+    if (patch.worktreeBranch !== undefined) {
+      updates.push('worktree_branch = ?');
+      params.push(String(patch.worktreeBranch || '').trim() || null);
+    }
+    if (patch.baseBranch !== undefined || patch.base_branch !== undefined) {
+      if (this._hasColumn('task_assignments', 'base_branch')) {
+        updates.push('base_branch = ?');
+        params.push(String((patch.baseBranch ?? patch.base_branch) || '').trim() || null);
+      }
+    }
+    if (patch.branchName !== undefined || patch.branch_name !== undefined) {
+      if (this._hasColumn('task_assignments', 'branch_name')) {
+        updates.push('branch_name = ?');
+        params.push(String((patch.branchName ?? patch.branch_name) || '').trim() || null);
+      }
+    }
+    if (patch.mergeTarget !== undefined || patch.merge_target !== undefined) {
+      if (this._hasColumn('task_assignments', 'merge_target')) {
+        updates.push('merge_target = ?');
+        params.push(String((patch.mergeTarget ?? patch.merge_target) || '').trim() || null);
+      }
+    }
+    if (patch.branchStatus !== undefined || patch.branch_status !== undefined) {
+      if (this._hasColumn('task_assignments', 'branch_status')) {
+        updates.push('branch_status = ?');
+        params.push(normalizeTaskAssignmentBranchStatus(patch.branchStatus ?? patch.branch_status, null));
+      }
+    }
+    if (patch.writePaths !== undefined || patch.write_paths !== undefined) {
+      if (this._hasColumn('task_assignments', 'write_paths')) {
+        const writePaths = normalizeWritePathList(patch.writePaths ?? patch.write_paths ?? []);
+        updates.push('write_paths = ?');
+        params.push(writePaths.length > 0 ? JSON.stringify(writePaths) : null);
+      }
+    }
+    if (patch.pathLeaseId !== undefined || patch.path_lease_id !== undefined) {
+      if (this._hasColumn('task_assignments', 'path_lease_id')) {
+        updates.push('path_lease_id = ?');
+        params.push(String((patch.pathLeaseId ?? patch.path_lease_id) || '').trim() || null);
+      }
+    }
+    if (patch.baseSha !== undefined || patch.base_sha !== undefined) {
+      if (this._hasColumn('task_assignments', 'base_sha')) {
+        updates.push('base_sha = ?');
+        params.push(String((patch.baseSha ?? patch.base_sha) || '').trim() || null);
+      }
+    }
+    if (patch.headSha !== undefined || patch.head_sha !== undefined) {
+      if (this._hasColumn('task_assignments', 'head_sha')) {
+        updates.push('head_sha = ?');
+        params.push(String((patch.headSha ?? patch.head_sha) || '').trim() || null);
+      }
+    }
+    if (patch.diffStats !== undefined || patch.diff_stats !== undefined) {
+      if (this._hasColumn('task_assignments', 'diff_stats')) {
+        const diffStats = patch.diffStats ?? patch.diff_stats;
+        updates.push('diff_stats = ?');
+        params.push(diffStats == null ? null : (typeof diffStats === 'string' ? diffStats : JSON.stringify(diffStats)));
+      }
+    }
+    if (patch.testStatus !== undefined || patch.test_status !== undefined) {
+      if (this._hasColumn('task_assignments', 'test_status')) {
+        updates.push('test_status = ?');
+        params.push(String((patch.testStatus ?? patch.test_status) || '').trim() || null);
+      }
+    }
+    if (patch.reviewStatus !== undefined || patch.review_status !== undefined) {
+      if (this._hasColumn('task_assignments', 'review_status')) {
+        updates.push('review_status = ?');
+        params.push(String((patch.reviewStatus ?? patch.review_status) || '').trim() || null);
+      }
+    }
+    if (patch.integratedAt !== undefined || patch.integrated_at !== undefined) {
+      if (this._hasColumn('task_assignments', 'integrated_at')) {
+        updates.push('integrated_at = ?');
+        params.push(Number.isFinite(patch.integratedAt ?? patch.integrated_at) ? (patch.integratedAt ?? patch.integrated_at) : null);
+      }
+    }
+    if (patch.acceptanceCriteria !== undefined) {
+      updates.push('acceptance_criteria = ?');
+      params.push(typeof patch.acceptanceCriteria === 'string' ? patch.acceptanceCriteria : null);
+    }
+    if (patch.metadata !== undefined) {
+      const metadata = patch.metadata && typeof patch.metadata === 'object' && !Array.isArray(patch.metadata)
+        ? patch.metadata
+        : {};
+      updates.push('metadata = ?');
+      params.push(JSON.stringify(metadata));
+    }
+    if (patch.startedAt !== undefined) {
+      updates.push('started_at = ?');
+      params.push(Number.isFinite(patch.startedAt) ? patch.startedAt : null);
+    }
+    if (patch.completedAt !== undefined) {
+      updates.push('completed_at = ?');
+      params.push(Number.isFinite(patch.completedAt) ? patch.completedAt : null);
+    }
+
+    if (updates.length === 0) {
+      return this.getTaskAssignment(assignmentId);
+    }
+
+    const updatedAt = Number.isFinite(patch.updatedAt) ? patch.updatedAt : Date.now();
+    updates.push('updated_at = ?');
+    params.push(updatedAt);
+    params.push(assignmentId);
+
+    this.db.prepare(`
+      UPDATE task_assignments
+      SET ${updates.join(', ')}
+      WHERE id = ?
+    `).run(...params);
+    return this.getTaskAssignment(assignmentId);
+  }
+
+  _parseTaskAssignmentDependencyRow(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      taskId: row.task_id,
+      taskAssignmentId: row.task_assignment_id,
+      dependsOnAssignmentId: row.depends_on_assignment_id,
+      condition: row.condition || 'completed',
+      createdAt: row.created_at
+    };
+  }
+
+  listTaskAssignmentDependencies(options = {}) {
+    if (!this._hasTable('task_assignment_dependencies')) {
+      return [];
+    }
+
+    const clauses = [];
+    const params = [];
+    if (options.taskId) {
+      clauses.push('task_id = ?');
+      params.push(String(options.taskId));
+    }
+    if (options.taskAssignmentId) {
+      clauses.push('task_assignment_id = ?');
+      params.push(String(options.taskAssignmentId));
+    }
+    if (options.dependsOnAssignmentId) {
+      clauses.push('depends_on_assignment_id = ?');
+      params.push(String(options.dependsOnAssignmentId));
+    }
+    const whereSql = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db.prepare(`
+      SELECT *
+      FROM task_assignment_dependencies
+      ${whereSql}
+      ORDER BY created_at ASC, task_assignment_id ASC, depends_on_assignment_id ASC
+    `).all(...params).map((row) => this._parseTaskAssignmentDependencyRow(row));
+  }
+
+  /**
+   * Replace the upstream edges of an assignment. Throws with code
+   * `invalid_dependency` for unknown or cross-task upstreams and
+   * `dependency_cycle` (with `error.cycle`) when an edge would close a cycle.
+   */
+  setTaskAssignmentDependencies(assignmentId, dependsOn = [], options = {}) {
+    if (!this._hasTable('task_assignment_dependencies')) {
+      return [];
+    }
+
+    const assignment = this.getTaskAssignment(assignmentId);
+    if (!assignment) {
+      throw new Error(`Task assignment not found: ${assignmentId}`);
+    }
+    const dependencies = normalizeTaskAssignmentDependencyList(dependsOn);
+    const now = Number.isFinite(options.now) ? options.now : Date.now();
+
+    const replace = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM task_assignment_dependencies WHERE task_assignment_id = ?').run(assignment.id);
+      this._writeTaskAssignmentDependencies(assignment.taskId, assignment.id, dependencies, now);
+    });
+    replace.immediate();
+
+    return this.listTaskAssignmentDependencies({ taskAssignmentId: assignment.id });
+  }
+
+  _writeTaskAssignmentDependencies(taskId, assignmentId, dependencies, now) {
+    for (const dependency of dependencies) {
+      const upstream = dependency.dependsOnAssignmentId === assignmentId
+        ? null
+        : this.getTaskAssignment(dependency.dependsOnAssignmentId);
+      if (!upstream || upstream.taskId !== taskId) {
+        const error = new Error(dependency.dependsOnAssignmentId === assignmentId
+          ? `Assignment ${assignmentId} cannot depend on itself`
+          : `dependsOn assignment ${dependency.dependsOnAssignmentId} not found for task ${taskId}`);
+        error.code = 'invalid_dependency';
+        error.dependsOnAssignmentId = dependency.dependsOnAssignmentId;
+        throw error;
+      }
+    }
+
+    const cycle = this.findTaskAssignmentDependencyCycle(
+      assignmentId,
+      dependencies.map((dependency) => dependency.dependsOnAssignmentId)
+    );
+    if (cycle) {
+      const error = new Error(`dependsOn would create a cycle: ${cycle.join(' -> ')}`);
+      error.code = 'dependency_cycle';
+      error.cycle = cycle;
+      throw error;
+    }
+
+    const insert = this.db.prepare(`
+      INSERT INTO task_assignment_dependencies (
+        task_id,
+        task_assignment_id,
+        depends_on_assignment_id,
+        condition,
+        created_at
+      ) VALUES (?, ?, ?, ?, ?)
+    `);
+    for (const dependency of dependencies) {
+      insert.run(taskId, assignmentId, dependency.dependsOnAssignmentId, dependency.condition, now);
+    }
+  }
+
+  /**
+   * Path of assignment ids (downstream first) that edges from assignmentId to
+   * dependsOnIds would close into a cycle, or null when the graph stays acyclic.
+   */
+  findTaskAssignmentDependencyCycle(assignmentId, dependsOnIds = []) {
+    if (!this._hasTable('task_assignment_dependencies')) {
+      return null;
+    }
+
+    const listUpstream = this.db.prepare(`
+      SELECT depends_on_assignment_id
+      FROM task_assignment_dependencies
+      WHERE task_assignment_id = ?
+    `);
+    const visited = new Set();
+    const walk = (nodeId, trail) => {
+      if (nodeId === assignmentId) {
+        return [...trail, nodeId];
+      }
+      if (visited.has(nodeId)) {
+        return null;
+      }
+      visited.add(nodeId);
+      for (const row of listUpstream.all(nodeId)) {
+        const found = walk(row.depends_on_assignment_id, [...trail, nodeId]);
+        if (found) {
+          return found;
+        }
+      }
+      return null;
+    };
+
+    for (const dependsOnId of dependsOnIds) {
+      const found = walk(dependsOnId, [assignmentId]);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Hand a superseded assignment's edges to its replacement: the replacement
+   * inherits the upstream edges and downstream assignments wait on it instead.
+   */
+  transferTaskAssignmentDependencies(fromAssignmentId, toAssignmentId) {
+    if (!this._hasTable('task_assignment_dependencies')) {
+      return [];
+    }
+
+    const transfer = this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT OR IGNORE INTO task_assignment_dependencies (
+          task_id,
+          task_assignment_id,
+          depends_on_assignment_id,
+          condition,
+          created_at
+        )
+        SELECT task_id, ?, depends_on_assignment_id, condition, created_at
+        FROM task_assignment_dependencies
+        WHERE task_assignment_id = ?
+      `).run(toAssignmentId, fromAssignmentId);
+      this.db.prepare(`
+        UPDATE OR IGNORE task_assignment_dependencies
+        SET depends_on_assignment_id = ?
+        WHERE depends_on_assignment_id = ?
+      `).run(toAssignmentId, fromAssignmentId);
+      this.db.prepare(`
+        DELETE FROM task_assignment_dependencies
+        WHERE depends_on_assignment_id = ?
+      `).run(fromAssignmentId);
+    });
+    transfer.immediate();
+
+    return this.listTaskAssignmentDependencies({ dependsOnAssignmentId: toAssignmentId });
+  }
+
+  findTaskAssignmentByWorktreePath(worktreePath) {
+    const normalizedPath = String(worktreePath || '').trim();
+    if (!normalizedPath) {
+      return null;
+    }
+    const row = this.db.prepare(`
+      SELECT *
+      FROM task_assignments
+      WHERE worktree_path = ?
+      ORDER BY updated_at DESC, id DESC
+      LIMIT 1
+    `).get(normalizedPath);
+    return row ? this._parseTaskAssignmentRow(row) : null;
+  }
+
+  _parseTaskWorktreeRow(row) {
+    if (!row) {
+      return null;
+    }
+
+    return {
+      worktreePath: row.worktree_path,
+      repoRoot: row.repo_root || null,
+      taskId: row.task_id || null,
+      taskAssignmentId: row.task_assignment_id || null,
+      branch: row.branch || null,
+      status: row.status,
+      sizeBytes: row.size_bytes ?? null,
+      sizeMeasuredAt: row.size_measured_at || null,
+      lastActivityAt: row.last_activity_at,
+      removedAt: row.removed_at || null,
+      removedReason: row.removed_reason || null,
+      metadata: parseJsonField(row.metadata) || {},
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  getTaskWorktree(worktreePath) {
+    if (!this._hasTable('task_worktrees')) {
+      return null;
+    }
+    const row = this.db.prepare('SELECT * FROM task_worktrees WHERE worktree_path = ?').get(String(worktreePath || ''));
+    return this._parseTaskWorktreeRow(row);
+  }
+
+  /**
+   * Register a worktree, or refresh its owner and activity. Re-registering a
+   * removed worktree makes it active again.
+   */
+  upsertTaskWorktree(input = {}) {
+    if (!this._hasTable('task_worktrees')) {
+      return null;
+    }
+
+    const worktreePath = String(input.worktreePath || '').trim();
+    if (!worktreePath) {
+      throw new Error('worktreePath is required');
+    }
+    const now = Number.isFinite(input.lastActivityAt) ? input.lastActivityAt : Date.now();
+    const existing = this.getTaskWorktree(worktreePath);
+    const metadata = {
+      ...(existing?.metadata || {}),
+      ...(input.metadata && typeof input.metadata === 'object' && !Array.isArray(input.metadata) ? input.metadata : {})
+    };
+
+    this.db.prepare(`
+      INSERT INTO task_worktrees (
+        worktree_path,
+        repo_root,
+        task_id,
+        task_assignment_id,
+        branch,
+        status,
+        last_activity_at,
+        metadata,
+        created_at,
+        updated_at
+      ) VALUES (?, ?, ?, ?, ?, 'active', ?, ?, ?, ?)
+      ON CONFLICT(worktree_path) DO UPDATE SET
+        repo_root = COALESCE(excluded.repo_root, task_worktrees.repo_root),
+        task_id = COALESCE(excluded.task_id, task_worktrees.task_id),
+        task_assignment_id = COALESCE(excluded.task_assignment_id, task_worktrees.task_assignment_id),
+        branch = COALESCE(excluded.branch, task_worktrees.branch),
+        status = 'active',
+        last_activity_at = MAX(excluded.last_activity_at, task_worktrees.last_activity_at),
+        removed_at = NULL,
+        removed_reason = NULL,
+        metadata = excluded.metadata,
+        updated_at = excluded.updated_at
+    `).run(
+      worktreePath,
+      String(input.repoRoot || '').trim() || null,
+      String(input.taskId || '').trim() || null,
+      String(input.taskAssignmentId || '').trim() || null,
+      String(input.branch || '').trim() || null,
+      now,
+      JSON.stringify(metadata),
+      now,
+      now
+    );
+    return this.getTaskWorktree(worktreePath);
+  }
+
+  listTaskWorktrees(options = {}) {
+    if (!this._hasTable('task_worktrees')) {
+      return [];
+    }
+
+    const clauses = [];
+    const params = [];
+    const status = normalizeEnumValue(options.status, TASK_WORKTREE_STATUSES);
+    if (status) {
       clauses.push('status = ?');
-      params.push(String(options.status));
+      params.push(status);
     }
-    const limit = clampLimit(options.limit, 100, 500);
+    if (options.repoRoot) {
+      clauses.push('repo_root = ?');
+      params.push(String(options.repoRoot));
+    }
+    if (options.taskId) {
+      clauses.push('task_id = ?');
+      params.push(String(options.taskId));
+    }
+    if (options.taskAssignmentId) {
+      clauses.push('task_assignment_id = ?');
+      params.push(String(options.taskAssignmentId));
+    }
+    const whereSql = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const limit = clampLimit(options.limit, 500, 5000);
     return this.db.prepare(`
       SELECT *
-      FROM task_assignments
-      WHERE ${clauses.join(' AND ')}
-      ORDER BY created_at ASC, id ASC
+      FROM task_worktrees
+      ${whereSql}
+      ORDER BY last_activity_at ASC, worktree_path ASC
       LIMIT ?
-    `).all(...params, limit).map((row) => this._parseTaskAssignmentRow(row));
+    `).all(...params, limit).map((row) => this._parseTaskWorktreeRow(row));
   }
 
-  updateTaskAssignment(assignmentId, patch = {}) {
+  updateTaskWorktree(worktreePath, patch = {}) {
+    if (!this._hasTable('task_worktrees')) {
+      return null;
+    }
+
     const updates = [];
     const params = [];
-    if (patch.terminalId !== undefined) {
-      updates.push('terminal_id = ?');
-      params.push(String(patch.terminalId || '').trim() || null);
-    }
-    if (patch.role !== undefined) {
-      updates.push('role = ?');
-      params.push(String(patch.role || '').trim().toLowerCase());
-    }
-    if (patch.instructions !== undefined) {
-      updates.push('instructions = ?');
-      params.push(String(patch.instructions || '').trim());
-    }
-    if (patch.adapter !== undefined) {
-      updates.push('adapter = ?');
-      params.push(String(patch.adapter || '').trim() || null);
-    }
-    if (patch.model !== undefined) {
-      updates.push('model = ?');
-      params.push(String(patch.model || '').trim() || null);
-    }
-    if (patch.reasoningEffort !== undefined || patch.reasoning_effort !== undefined || patch.effort !== undefined) {
-      if (this._hasColumn('task_assignments', 'reasoning_effort')) {
-        updates.push('reasoning_effort = ?');
-        params.push(normalizeReasoningEffort(patch.reasoningEffort ?? patch.reasoning_effort ?? patch.effort));
-      }
-    }
     if (patch.status !== undefined) {
-      updates.push('status = ?');
-      params.push(String(patch.status || '').trim().toLowerCase() || 'queued');
-    }
-    if (patch.worktreePath !== undefined) {
-      updates.push('worktree_path = ?');
-      params.push(String(patch.worktreePath || '').trim() || null);
-    }
-    if (patch.worktreeBranch !== undefined) {
-      updates.push('worktree_branch = ?');
-      params.push(String(patch.worktreeBranch || '').trim() || null);
-    }
-    if (patch.baseBranch !== undefined || patch.base_branch !== undefined) {
-      if (this._hasColumn('task_assignments', 'base_branch')) {
-        updates.push('base_branch = ?');
-        params.push(String((patch.baseBranch ?? patch.base_branch) || '').trim() || null);
-      }
-    }
-    if (patch.branchName !== undefined || patch.branch_name !== undefined) {
-      if (this._hasColumn('task_assignments', 'branch_name')) {
-        updates.push('branch_name = ?');
-        params.push(String((patch.branchName ?? patch.branch_name) || '').trim() || null);
-      }
-    }
-    if (patch.mergeTarget !== undefined || patch.merge_target !== undefined) {
-      if (this._hasColumn('task_assignments', 'merge_target')) {
-        updates.push('merge_target = ?');
-        params.push(String((patch.mergeTarget ?? patch.merge_target) || '').trim() || null);
-      }
-    }
-    if (patch.branchStatus !== undefined || patch.branch_status !== undefined) {
-      if (this._hasColumn('task_assignments', 'branch_status')) {
-        updates.push('branch_status = ?');
-        params.push(normalizeTaskAssignmentBranchStatus(patch.branchStatus ?? patch.branch_status, null));
-      }
-    }
-    if (patch.writePaths !== undefined || patch.write_paths !== undefined) {
-      if (this._hasColumn('task_assignments', 'write_paths')) {
-        const writePaths = normalizeWritePathList(patch.writePaths ?? patch.write_paths ?? []);
-        updates.push('write_paths = ?');
-        params.push(writePaths.length > 0 ? JSON.stringify(writePaths) : null);
-      }
-    }
-    if (patch.pathLeaseId !== undefined || patch.path_lease_id !== undefined) {
-      if (this._hasColumn('task_assignments', 'path_lease_id')) {
-        updates.push('path_lease_id = ?');
-        params.push(String((patch.pathLeaseId ?? patch.path_lease_id) || '').trim() || null);
-      }
-    }
-    if (patch.baseSha !== undefined || patch.base_sha !== undefined) {
-      if (this._hasColumn('task_assignments', 'base_sha')) {
-        updates.push('base_sha = ?');
-        params.push(String((patch.baseSha ?? patch.base_sha) || '').trim() || null);
+      const status = normalizeEnumValue(patch.status, TASK_WORKTREE_STATUSES);
+      if (!status) {
+        throw new Error(`status must be one of ${Array.from(TASK_WORKTREE_STATUSES).join(', ')}`);
       }
+      updates.push('status = ?');
+      params.push(status);
     }
-    if (patch.headSha !== undefined || patch.head_sha !== undefined) {
-      if (this._hasColumn('task_assignments', 'head_sha')) {
-        updates.push('head_sha = ?');
-        params.push(String((patch.headSha ?? patch.head_sha) || '').trim() || null);
-      }
+    if (patch.repoRoot !== undefined) {
+      updates.push('repo_root = ?');
+      params.push(String(patch.repoRoot || '').trim() || null);
     }
-    if (patch.diffStats !== undefined || patch.diff_stats !== undefined) {
-      if (this._hasColumn('task_assignments', 'diff_stats')) {
-        const diffStats = patch.diffStats ?? patch.diff_stats;
-        updates.push('diff_stats = ?');
-        params.push(diffStats == null ? null : (typeof diffStats === 'string' ? diffStats : JSON.stringify(diffStats)));
-      }
+    if (patch.sizeBytes !== undefined) {
+      updates.push('size_bytes = ?');
+      params.push(normalizeOptionalInteger(patch.sizeBytes));
     }
-    if (patch.testStatus !== undefined || patch.test_status !== undefined) {
-      if (this._hasColumn('task_assignments', 'test_status')) {
-        updates.push('test_status = ?');
-        params.push(String((patch.testStatus ?? patch.test_status) || '').trim() || null);
-      }
+    if (patch.sizeMeasuredAt !== undefined) {
+      updates.push('size_measured_at = ?');
+      params.push(normalizeOptionalInteger(patch.sizeMeasuredAt));
     }
-    if (patch.reviewStatus !== undefined || patch.review_status !== undefined) {
-      if (this._hasColumn('task_assignments', 'review_status')) {
-        updates.push('review_status = ?');
-        params.push(String((patch.reviewStatus ?? patch.review_status) || '').trim() || null);
-      }
+    if (patch.lastActivityAt !== undefined) {
+      updates.push('last_activity_at = MAX(last_activity_at, ?)');
+      params.push(normalizeOptionalInteger(patch.lastActivityAt) || 0);
     }
-    if (patch.integratedAt !== undefined || patch.integrated_at !== undefined) {
-      if (this._hasColumn('task_assignments', 'integrated_at')) {
-        updates.push('integrated_at = ?');
-        params.push(Number.isFinite(patch.integratedAt ?? patch.integrated_at) ? (patch.integratedAt ?? patch.integrated_at) : null);
-      }
+    if (patch.removedAt !== undefined) {
+      updates.push('removed_at = ?');
+      params.push(normalizeOptionalInteger(patch.removedAt));
     }
-    if (patch.acceptanceCriteria !== undefined) {
-      updates.push('acceptance_criteria = ?');
-      params.push(typeof patch.acceptanceCriteria === 'string' ? patch.acceptanceCriteria : null);
+    if (patch.removedReason !== undefined) {
+      updates.push('removed_reason = ?');
+      params.push(String(patch.removedReason || '').trim() || null);
     }
     if (patch.metadata !== undefined) {
-      const metadata = patch.metadata && typeof patch.metadata === 'object' && !Array.isArray(patch.metadata)
-        ? patch.metadata
-        : {};
       updates.push('metadata = ?');
-      params.push(JSON.stringify(metadata));
-    }
-    if (patch.startedAt !== undefined) {
-      updates.push('started_at = ?');
-      params.push(Number.isFinite(patch.startedAt) ? patch.startedAt : null);
-    }
-    if (patch.completedAt !== undefined) {
-      updates.push('completed_at = ?');
-      params.push(Number.isFinite(patch.completedAt) ? patch.completedAt : null);
+      params.push(JSON.stringify(patch.metadata && typeof patch.metadata === 'object' ? patch.metadata : {}));
     }
-
     if (updates.length === 0) {
-      return this.getTaskAssignment(assignmentId);
+      return this.getTaskWorktree(worktreePath);
     }
 
-    const updatedAt = Number.isFinite(patch.updatedAt) ? patch.updatedAt : Date.now();
     updates.push('updated_at = ?');
-    params.push(updatedAt);
-    params.push(assignmentId);
-
+    params.push(Number.isFinite(patch.updatedAt) ? patch.updatedAt : Date.now());
+    params.push(worktreePath);
     this.db.prepare(`
-      UPDATE task_assignments
+      UPDATE task_worktrees
       SET ${updates.join(', ')}
-      WHERE id = ?
+      WHERE worktree_path = ?
     `).run(...params);
-    return this.getTaskAssignment(assignmentId);
+    return this.getTaskWorktree(worktreePath);
   }
 
   getTaskLinkCounts(taskId) {
@@ -8077,6 +9524,10 @@ class OrchestrationDB {
         COALESCE(SUM(cached_input_tokens), 0) AS cached_input_tokens,
         COALESCE(SUM(total_tokens), 0) AS total_tokens,
         COALESCE(SUM(cost_usd), 0) AS cost_usd,
+        COALESCE(SUM(estimated_cost_usd), 0) AS estimated_cost_usd,
+        COALESCE(SUM(COALESCE(cost_usd, estimated_cost_usd)), 0) AS effective_cost_usd,
+        COUNT(cost_usd) AS reported_cost_record_count,
+        COUNT(estimated_cost_usd) AS estimated_cost_record_count,
         COALESCE(SUM(duration_ms), 0) AS duration_ms
       FROM usage_records
       WHERE root_session_id = ?
@@ -8090,6 +9541,11 @@ class OrchestrationDB {
       cachedInputTokens: row?.cached_input_tokens || 0,
       totalTokens: row?.total_tokens || 0,
       costUsd: row?.cost_usd || 0,
+      reportedCostUsd: row?.cost_usd || 0,
+      estimatedCostUsd: row?.estimated_cost_usd || 0,
+      effectiveCostUsd: row?.effective_cost_usd || 0,
+      reportedCostRecordCount: row?.reported_cost_record_count || 0,
+      estimatedCostRecordCount: row?.estimated_cost_record_count || 0,
       durationMs: row?.duration_ms || 0
     };
   }
@@ -8215,6 +9671,7 @@ class OrchestrationDB {
       terminalId: row.terminal_id || null,
       actionKind: row.action_kind,
       payload: parseJsonField(row.payload_json),
+      tokenName: row.token_name || null,
       createdAt: row.created_at
     };
   }
@@ -8223,6 +9680,7 @@ class OrchestrationDB {
     const runId = String(input.runId || '').trim();
     const actionKind = String(input.actionKind || '').trim();
     const terminalId = input.terminalId ? String(input.terminalId).trim() : null;
+    const tokenName = input.tokenName ? String(input.tokenName).trim() : null;
     const payload = input.payload;
     const now = Number.isFinite(input.createdAt) ? input.createdAt : Date.now();
 
@@ -8251,9 +9709,9 @@ class OrchestrationDB {
     const payloadJson = payload == null ? null : JSON.stringify(payload);
 
     this.db.prepare(`
-      INSERT INTO operator_actions (action_id, run_id, terminal_id, action_kind, payload_json, created_at)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(id, runId, terminalId, actionKind, payloadJson, now);
+      INSERT INTO operator_actions (action_id, run_id, terminal_id, action_kind, payload_json, token_name, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, runId, terminalId, actionKind, payloadJson, tokenName, now);
 
     return this.getOperatorAction(id);
   }
@@ -8385,56 +9843,251 @@ class OrchestrationDB {
       return [];
     }
 
-    const clauses = ['run_id = ?'];
-    const params = [normalizedRunId];
+    const clauses = ['run_id = ?'];
+    const params = [normalizedRunId];
+
+    if (options.blockedReason) {
+      clauses.push('blocked_reason = ?');
+      params.push(String(options.blockedReason).trim());
+    }
+
+    if (options.activeOnly) {
+      clauses.push('unblocked_at IS NULL');
+    }
+
+    const whereSql = `WHERE ${clauses.join(' AND ')}`;
+    const limit = clampLimit(options.limit, 50, 200);
+
+    const rows = this.db.prepare(`
+      SELECT * FROM run_blocked_states ${whereSql}
+      ORDER BY created_at ASC, id ASC
+      LIMIT ?
+    `).all(...params, limit);
+
+    return rows.map((row) => this._parseRunBlockedStateRow(row));
+  }
+
+  unblockRun(runId, input = {}) {
+    const normalizedRunId = String(runId || '').trim();
+    if (!normalizedRunId) {
+      throw new Error('runId is required');
+    }
+    this._requireRun(normalizedRunId);
+
+    const now = Number.isFinite(input.unblockedAt) ? input.unblockedAt : Date.now();
+    const unblockReason = input.unblockReason != null ? String(input.unblockReason).trim() : null;
+
+    const result = this.db.prepare(`
+      UPDATE run_blocked_states
+      SET unblocked_at = ?, unblock_reason = ?
+      WHERE run_id = ? AND unblocked_at IS NULL
+    `).run(now, unblockReason, normalizedRunId);
+
+    if (result.changes === 0) {
+      throw new Error(`No active blocked state found for run: ${normalizedRunId}`);
+    }
+
+    return {
+      runId: normalizedRunId,
+      unblockedAt: now,
+      unblockReason,
+      unblockedCount: result.changes
+    };
+  }
+
+  // =====================
+  // Budgets
+  // =====================
+  // Token, cost, and wall-clock limits per root session, task, or project.
+  // Evaluation and enforcement live in BudgetService; these methods only
+  // persist budget rows.
+
+  _parseBudgetRow(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      id: row.budget_id,
+      scopeType: row.scope_type,
+      scopeId: row.scope_id,
+      maxTokens: row.max_tokens ?? null,
+      maxCostUsd: row.max_cost_usd ?? null,
+      maxWallClockMs: row.max_wall_clock_ms ?? null,
+      warnThresholds: parseJsonField(row.warn_thresholds) || [],
+      hardCap: row.hard_cap === 1,
+      state: row.state,
+      lastWarnedThreshold: row.last_warned_threshold ?? null,
+      gateRunId: row.gate_run_id || null,
+      overrideExpiresAt: row.override_expires_at ?? null,
+      metadata: parseJsonField(row.metadata),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      evaluatedAt: row.evaluated_at ?? null
+    };
+  }
+
+  _normalizeBudgetLimits(input = {}, existing = null) {
+    const limits = {};
+    for (const [key, column] of [['maxTokens', 'max_tokens'], ['maxCostUsd', 'max_cost_usd'], ['maxWallClockMs', 'max_wall_clock_ms']]) {
+      if (input[key] === undefined) {
+        limits[column] = existing ? existing[key] : null;
+        continue;
+      }
+      if (input[key] === null) {
+        limits[column] = null;
+        continue;
+      }
+      const parsed = Number(input[key]);
+      if (!Number.isFinite(parsed) || parsed <= 0) {
+        throw budgetError(`${key} must be a positive number or null`, key);
+      }
+      limits[column] = key === 'maxCostUsd' ? parsed : Math.round(parsed);
+    }
+    if (limits.max_tokens === null && limits.max_cost_usd === null && limits.max_wall_clock_ms === null) {
+      throw budgetError('a budget needs at least one of maxTokens, maxCostUsd, or maxWallClockMs', 'maxTokens');
+    }
+    return limits;
+  }
+
+  _normalizeBudgetThresholds(value) {
+    if (value === undefined || value === null) {
+      return [...DEFAULT_BUDGET_WARN_THRESHOLDS];
+    }
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const thresholds = list.map((entry) => Number(entry));
+    if (thresholds.some((entry) => !Number.isFinite(entry) || entry <= 0 || entry >= 1)) {
+      throw budgetError('warnThresholds must be fractions between 0 and 1', 'warnThresholds');
+    }
+    return [...new Set(thresholds)].sort((left, right) => left - right);
+  }
+
+  createBudget(input = {}) {
+    const scopeType = String(input.scopeType || '').trim().toLowerCase();
+    const scopeId = String(input.scopeId || '').trim();
+    if (!BUDGET_SCOPE_TYPES.includes(scopeType)) {
+      throw budgetError(`scopeType must be one of ${BUDGET_SCOPE_TYPES.join(', ')}`, 'scopeType');
+    }
+    if (!scopeId) {
+      throw budgetError('scopeId is required', 'scopeId');
+    }
+    if (this.getBudgetForScope(scopeType, scopeId)) {
+      throw budgetError(`A budget already exists for ${scopeType} ${scopeId}`, 'scopeId', 'budget_exists');
+    }
+    const limits = this._normalizeBudgetLimits(input);
+    const id = input.id || `budget_${generateId()}`;
+    const now = Date.now();
+
+    this.db.prepare(`
+      INSERT INTO budgets (
+        budget_id, scope_type, scope_id, max_tokens, max_cost_usd, max_wall_clock_ms,
+        warn_thresholds, hard_cap, metadata, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      id,
+      scopeType,
+      scopeId,
+      limits.max_tokens,
+      limits.max_cost_usd,
+      limits.max_wall_clock_ms,
+      JSON.stringify(this._normalizeBudgetThresholds(input.warnThresholds)),
+      input.hardCap === false ? 0 : 1,
+      input.metadata == null ? null : JSON.stringify(input.metadata),
+      now,
+      now
+    );
+    return this.getBudget(id);
+  }
+
+  getBudget(budgetId) {
+    const row = this.db.prepare('SELECT * FROM budgets WHERE budget_id = ?').get(String(budgetId || '').trim());
+    return this._parseBudgetRow(row);
+  }
+
+  getBudgetForScope(scopeType, scopeId) {
+    const row = this.db.prepare('SELECT * FROM budgets WHERE scope_type = ? AND scope_id = ?').get(scopeType, scopeId);
+    return this._parseBudgetRow(row);
+  }
 
-    if (options.blockedReason) {
-      clauses.push('blocked_reason = ?');
-      params.push(String(options.blockedReason).trim());
+  listBudgets(options = {}) {
+    if (!this._hasTable('budgets')) {
+      return [];
     }
-
-    if (options.activeOnly) {
-      clauses.push('unblocked_at IS NULL');
+    const clauses = [];
+    const params = [];
+    if (options.scopeType) {
+      clauses.push('scope_type = ?');
+      params.push(String(options.scopeType).trim().toLowerCase());
     }
-
-    const whereSql = `WHERE ${clauses.join(' AND ')}`;
-    const limit = clampLimit(options.limit, 50, 200);
-
-    const rows = this.db.prepare(`
-      SELECT * FROM run_blocked_states ${whereSql}
-      ORDER BY created_at ASC, id ASC
+    if (options.scopeId) {
+      clauses.push('scope_id = ?');
+      params.push(String(options.scopeId).trim());
+    }
+    const states = normalizeProjectionList(options.states || options.state);
+    if (states.length > 0) {
+      clauses.push(`state IN (${states.map(() => '?').join(', ')})`);
+      params.push(...states);
+    }
+    const whereSql = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db.prepare(`
+      SELECT * FROM budgets ${whereSql}
+      ORDER BY created_at ASC, budget_id ASC
       LIMIT ?
-    `).all(...params, limit);
-
-    return rows.map((row) => this._parseRunBlockedStateRow(row));
+    `).all(...params, clampLimit(options.limit, 100, 500)).map((row) => this._parseBudgetRow(row));
   }
 
-  unblockRun(runId, input = {}) {
-    const normalizedRunId = String(runId || '').trim();
-    if (!normalizedRunId) {
-      throw new Error('runId is required');
+  /**
+   * Budgets that cover any of the given root session, task, or project
+   */
+  listBudgetsForScopes(scopes = {}) {
+    if (!this._hasTable('budgets')) {
+      return [];
     }
-    this._requireRun(normalizedRunId);
-
-    const now = Number.isFinite(input.unblockedAt) ? input.unblockedAt : Date.now();
-    const unblockReason = input.unblockReason != null ? String(input.unblockReason).trim() : null;
-
-    const result = this.db.prepare(`
-      UPDATE run_blocked_states
-      SET unblocked_at = ?, unblock_reason = ?
-      WHERE run_id = ? AND unblocked_at IS NULL
-    `).run(now, unblockReason, normalizedRunId);
-
-    if (result.changes === 0) {
-      throw new Error(`No active blocked state found for run: ${normalizedRunId}`);
+    const pairs = [
+      ['root', scopes.rootSessionId],
+      ['task', scopes.taskId],
+      ['project', scopes.projectId]
+    ].filter(([, scopeId]) => String(scopeId || '').trim());
+    if (pairs.length === 0) {
+      return [];
     }
+    return this.db.prepare(`
+      SELECT * FROM budgets
+      WHERE ${pairs.map(() => '(scope_type = ? AND scope_id = ?)').join(' OR ')}
+      ORDER BY created_at ASC
+    `).all(...pairs.flatMap(([scopeType, scopeId]) => [scopeType, String(scopeId).trim()]))
+      .map((row) => this._parseBudgetRow(row));
+  }
 
-    return {
-      runId: normalizedRunId,
-      unblockedAt: now,
-      unblockReason,
-      unblockedCount: result.changes
+  updateBudget(budgetId, patch = {}) {
+    const existing = this.getBudget(budgetId);
+    if (!existing) {
+      return null;
+    }
+    const limits = this._normalizeBudgetLimits(patch, existing);
+    const assignments = {
+      ...limits,
+      warn_thresholds: patch.warnThresholds !== undefined
+        ? JSON.stringify(this._normalizeBudgetThresholds(patch.warnThresholds))
+        : undefined,
+      hard_cap: patch.hardCap !== undefined ? (patch.hardCap === false ? 0 : 1) : undefined,
+      state: patch.state,
+      last_warned_threshold: patch.lastWarnedThreshold,
+      gate_run_id: patch.gateRunId,
+      override_expires_at: patch.overrideExpiresAt,
+      metadata: patch.metadata !== undefined ? JSON.stringify(patch.metadata) : undefined,
+      evaluated_at: patch.evaluatedAt,
+      updated_at: Date.now()
     };
+    const columns = Object.keys(assignments).filter((column) => assignments[column] !== undefined);
+    this.db.prepare(`
+      UPDATE budgets SET ${columns.map((column) => `${column} = ?`).join(', ')}
+      WHERE budget_id = ?
+    `).run(...columns.map((column) => assignments[column]), existing.id);
+    return this.getBudget(existing.id);
+  }
+
+  deleteBudget(budgetId) {
+    return this.db.prepare('DELETE FROM budgets WHERE budget_id = ?').run(String(budgetId || '').trim()).changes > 0;
   }
 
   _buildRunMemoryBundle(scopeId, options = {}) {
@@ -9138,6 +10791,470 @@ class OrchestrationDB {
     })[0] || null;
   }
 
+  /**
+   * Ranked full-text search over the memory search index (migration 0031).
+   * Hits carry a highlighted snippet and the scope of the source row; `raw`
+   * passes `q` to FTS5 unchanged (NEAR, column filters, and so on).
+   */
+  searchMemory(options = {}) {
+    if (!this._hasTable('memory_search_docs')) {
+      const error = new Error('memory search index is not available; apply migration 0031_memory_search_fts.sql');
+      error.code = 'memory_read_model_unavailable';
+      throw error;
+    }
+
+    const queryText = String(options.q || '').trim();
+    if (!queryText) {
+      throw memorySearchError('q is required');
+    }
+    const matchQuery = options.raw ? queryText : buildMemorySearchMatch(queryText);
+
+    const clauses = ['memory_search_fts MATCH ?'];
+    const params = [matchQuery];
+    const sources = normalizeProjectionList(options.sources);
+    const unknownSource = sources.find((source) => !MEMORY_SEARCH_SOURCES.includes(source));
+    if (unknownSource) {
+      throw memorySearchError(`sources must contain only ${MEMORY_SEARCH_SOURCES.join(', ')}`, 'sources');
+    }
+    if (sources.length > 0) {
+      clauses.push(`d.source_table IN (${sources.map(() => '?').join(', ')})`);
+      params.push(...sources);
+    }
+    const scopeColumns = [
+      ['d.root_session_id', options.rootSessionId],
+      ['d.task_id', options.taskId],
+      ['d.run_id', options.runId],
+      ['d.room_id', options.roomId],
+      ['d.terminal_id', options.terminalId]
+    ];
+    for (const [column, value] of scopeColumns) {
+      const normalized = String(value || '').trim();
+      if (normalized) {
+        clauses.push(`${column} = ?`);
+        params.push(normalized);
+      }
+    }
+    const since = normalizeProjectionTimestamp(options.since);
+    if (since !== null) {
+      clauses.push('d.created_at >= ?');
+      params.push(since);
+    }
+    const until = normalizeProjectionTimestamp(options.until);
+    if (until !== null) {
+      clauses.push('d.created_at <= ?');
+      params.push(until);
+    }
+
+    const orderSql = options.sort === 'recent'
+      ? 'd.created_at DESC, d.doc_id DESC'
+      : 'bm25(memory_search_fts, 4.0, 1.0) ASC, d.created_at DESC';
+    const limit = clampLimit(options.limit, 20, 200);
+    const offset = Math.max(0, Number.parseInt(options.offset, 10) || 0);
+    const [markStart, markEnd] = Array.isArray(options.highlight) ? options.highlight : ['<mark>', '</mark>'];
+
+    let rows;
+    try {
+      rows = this.db.prepare(`
+        SELECT
+          d.*,
+          bm25(memory_search_fts, 4.0, 1.0) AS bm25_score,
+          highlight(memory_search_fts, 0, ?, ?) AS title_highlight,
+          snippet(memory_search_fts, 1, ?, ?, '…', 24) AS body_snippet
+        FROM memory_search_fts
+        JOIN memory_search_docs d ON d.doc_id = memory_search_fts.rowid
+        WHERE ${clauses.join(' AND ')}
+        ORDER BY ${orderSql}
+        LIMIT ? OFFSET ?
+      `).all(markStart, markEnd, markStart, markEnd, ...params, limit, offset);
+    } catch (error) {
+      if (/fts5|syntax error|no such column/i.test(error.message)) {
+        throw memorySearchError(`invalid search query: ${error.message}`);
+      }
+      throw error;
+    }
+
+    return rows.map((row) => ({
+      recordKey: row.record_key,
+      sourceTable: row.source_table,
+      sourceId: row.source_id,
+      recordType: row.record_type,
+      score: Number((-row.bm25_score).toFixed(6)),
+      title: row.title_highlight || null,
+      snippet: row.body_snippet || '',
+      createdAt: row.created_at,
+      rootSessionId: row.root_session_id || null,
+      taskId: row.task_id || null,
+      runId: row.run_id || null,
+      roomId: row.room_id || null,
+      terminalId: row.terminal_id || null
+    }));
+  }
+
+  /**
+   * Collect memory items whose embedding for `embedderId` is missing or older
+   * than the source row. Items are grouped per source row: a snapshot or
+   * context row yields its summary plus one 'decision' item per key decision,
+   * and a terminal yields the message windows touched since its last sync.
+   * `limit` caps the number of groups so a group is never split.
+   */
+  listMemoryEmbeddingCandidates(options = {}) {
+    if (!this._hasTable('memory_embeddings')) {
+      return [];
+    }
+    const embedderId = String(options.embedderId || '').trim();
+    if (!embedderId) {
+      throw new Error('embedderId is required');
+    }
+    const limit = clampLimit(options.limit, 50, 500);
+    const existing = this.db.prepare(`
+      SELECT content_sha256 FROM memory_embeddings WHERE embedder_id = ? AND item_key = ?
+    `);
+    const groups = [];
+
+    const buildItem = (item) => ({
+      ...item,
+      existingSha256: existing.get(embedderId, item.itemKey)?.content_sha256 || null
+    });
+    const decisionItems = (sourceTable, row, scope, lineage) => {
+      const decisions = parseJsonField(row.key_decisions);
+      return (Array.isArray(decisions) ? decisions : [])
+        .map((decision) => truncateText(typeof decision === 'string' ? decision : JSON.stringify(decision), 1500))
+        .filter(Boolean)
+        .map((content) => buildItem({
+          itemKey: `${sourceTable}:${row.id}:decision:${crypto.createHash('sha256').update(content).digest('hex').slice(0, 16)}`,
+          itemType: 'decision',
+          sourceTable,
+          sourceId: row.id,
+          ...scope,
+          content,
+          sourceCursor: null,
+          lineage
+        }));
+    };
+
+    const snapshots = this.db.prepare(`
+      SELECT ms.*
+      FROM memory_snapshots ms
+      LEFT JOIN memory_embeddings e
+        ON e.embedder_id = ? AND e.item_key = 'memory_snapshots:' || ms.id
+      WHERE e.embedding_id IS NULL OR e.source_cursor < ms.updated_at
+      ORDER BY ms.updated_at ASC
+      LIMIT ?
+    `).all(embedderId, limit);
+    for (const row of snapshots) {
+      const scope = { rootSessionId: row.root_session_id || null, taskId: row.task_id || null, runId: row.run_id || null };
+      const lineage = [{ scopeType: 'memory_snapshot', scopeId: row.id }];
+      groups.push({
+        sourceTable: 'memory_snapshots',
+        sourceId: row.id,
+        items: [
+          buildItem({
+            itemKey: `memory_snapshots:${row.id}`,
+            itemType: 'snapshot',
+            sourceTable: 'memory_snapshots',
+            sourceId: row.id,
+            ...scope,
+            content: truncateText(row.brief, 4000) || '',
+            sourceCursor: row.updated_at,
+            lineage
+          }),
+          ...decisionItems('memory_snapshots', row, scope, lineage)
+        ]
+      });
+    }
+
+    if (groups.length < limit) {
+      const contexts = this.db.prepare(`
+        SELECT c.*, t.root_session_id AS terminal_root_session_id
+        FROM context c
+        LEFT JOIN terminals t ON t.terminal_id = c.agent_id
+        LEFT JOIN memory_embeddings e
+          ON e.embedder_id = ? AND e.item_key = 'context:' || c.id
+        WHERE e.embedding_id IS NULL
+        ORDER BY c.created_at ASC
+        LIMIT ?
+      `).all(embedderId, limit - groups.length);
+      for (const row of contexts) {
+        const scope = { rootSessionId: row.terminal_root_session_id || null, taskId: row.task_id || null, runId: null };
+        const lineage = [{ scopeType: 'context', scopeId: row.id }];
+        groups.push({
+          sourceTable: 'context',
+          sourceId: row.id,
+          items: [
+            buildItem({
+              itemKey: `context:${row.id}`,
+              itemType: 'snapshot',
+              sourceTable: 'context',
+              sourceId: row.id,
+              ...scope,
+              content: truncateText(row.summary, 4000) || '',
+              sourceCursor: row.created_at,
+              lineage
+            }),
+            ...decisionItems('context', row, scope, lineage)
+          ]
+        });
+      }
+    }
+
+    if (groups.length < limit) {
+      const findings = this.db.prepare(`
+        SELECT f.*, t.root_session_id AS terminal_root_session_id
+        FROM findings f
+        LEFT JOIN terminals t ON t.terminal_id = f.agent_id
+        LEFT JOIN memory_embeddings e
+          ON e.embedder_id = ? AND e.item_key = 'findings:' || f.id
+        WHERE e.embedding_id IS NULL
+        ORDER BY f.created_at ASC
+        LIMIT ?
+      `).all(embedderId, limit - groups.length);
+      for (const row of findings) {
+        groups.push({
+          sourceTable: 'findings',
+          sourceId: row.id,
+          items: [buildItem({
+            itemKey: `findings:${row.id}`,
+            itemType: 'finding',
+            sourceTable: 'findings',
+            sourceId: row.id,
+            rootSessionId: row.terminal_root_session_id || null,
+            taskId: row.task_id || null,
+            runId: null,
+            content: truncateText(`${row.type} ${row.severity || 'info'}: ${row.content}`, 4000) || '',
+            sourceCursor: row.created_at,
+            lineage: [{ scopeType: 'finding', scopeId: row.id }]
+          })]
+        });
+      }
+    }
+
+    if (groups.length < limit) {
+      const terminals = this.db.prepare(`
+        SELECT m.terminal_id, MAX(m.id) AS last_message_id
+        FROM messages m
+        WHERE m.role IN ('user', 'assistant')
+        GROUP BY m.terminal_id
+        HAVING MAX(m.id) > COALESCE((
+          SELECT MAX(e.source_cursor)
+          FROM memory_embeddings e
+          WHERE e.embedder_id = ? AND e.item_type = 'message_window' AND e.source_id = m.terminal_id
+        ), 0)
+        ORDER BY last_message_id ASC
+        LIMIT ?
+      `).all(embedderId, limit - groups.length);
+      for (const terminal of terminals) {
+        const cursor = this.db.prepare(`
+          SELECT MAX(source_cursor) AS cursor
+          FROM memory_embeddings
+          WHERE embedder_id = ? AND item_type = 'message_window' AND source_id = ?
+        `).get(embedderId, terminal.terminal_id)?.cursor || 0;
+        // Start at the window after the last full one so a partial window grows in place
+        const seen = this.db.prepare(`
+          SELECT COUNT(*) AS count FROM messages
+          WHERE terminal_id = ? AND role IN ('user', 'assistant') AND id <= ?
+        `).get(terminal.terminal_id, cursor).count;
+        const firstWindow = Math.floor(seen / MEMORY_EMBEDDING_WINDOW_SIZE);
+        const messages = this.db.prepare(`
+          SELECT id, role, content, root_session_id
+          FROM messages
+          WHERE terminal_id = ? AND role IN ('user', 'assistant')
+          ORDER BY id ASC
+          LIMIT -1 OFFSET ?
+        `).all(terminal.terminal_id, firstWindow * MEMORY_EMBEDDING_WINDOW_SIZE);
+
+        const items = [];
+        for (let start = 0; start < messages.length; start += MEMORY_EMBEDDING_WINDOW_SIZE) {
+          const window = messages.slice(start, start + MEMORY_EMBEDDING_WINDOW_SIZE);
+          const windowIndex = firstWindow + (start / MEMORY_EMBEDDING_WINDOW_SIZE);
+          items.push(buildItem({
+            itemKey: `messages:${terminal.terminal_id}:${windowIndex}`,
+            itemType: 'message_window',
+            sourceTable: 'messages',
+            sourceId: terminal.terminal_id,
+            rootSessionId: window.map((message) => message.root_session_id).find(Boolean) || null,
+            taskId: null,
+            runId: null,
+            content: window
+              .map((message) => `${message.role}: ${truncateText(message.content, MEMORY_EMBEDDING_WINDOW_MESSAGE_CHARS) || ''}`)
+              .join('\n'),
+            sourceCursor: window[window.length - 1].id,
+            lineage: window.map((message) => ({ scopeType: 'message', scopeId: String(message.id) }))
+          }));
+        }
+        groups.push({ sourceTable: 'messages', sourceId: terminal.terminal_id, items });
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Insert or replace the embedding for one memory item. Passing no vector
+   * only advances source_cursor (the source changed but its text did not).
+   */
+  upsertMemoryEmbedding(item = {}) {
+    const embedderId = String(item.embedderId || '').trim();
+    const itemKey = String(item.itemKey || '').trim();
+    if (!embedderId || !itemKey) {
+      throw new Error('embedderId and itemKey are required');
+    }
+    const now = Date.now();
+    if (!item.vector) {
+      this.db.prepare(`
+        UPDATE memory_embeddings
+        SET source_cursor = COALESCE(?, source_cursor), updated_at = ?
+        WHERE embedder_id = ? AND item_key = ?
+      `).run(item.sourceCursor ?? null, now, embedderId, itemKey);
+      return this.getMemoryEmbedding(embedderId, itemKey);
+    }
+    if (!MEMORY_EMBEDDING_ITEM_TYPES.includes(item.itemType)) {
+      throw new Error(`itemType must be one of ${MEMORY_EMBEDDING_ITEM_TYPES.join(', ')}`);
+    }
+
+    this.db.prepare(`
+      INSERT INTO memory_embeddings (
+        embedding_id, item_key, item_type, source_table, source_id,
+        root_session_id, task_id, run_id, content, content_sha256, source_cursor,
+        embedder_id, dimensions, vector, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(embedder_id, item_key) DO UPDATE SET
+        root_session_id = excluded.root_session_id,
+        task_id = excluded.task_id,
+        run_id = excluded.run_id,
+        content = excluded.content,
+        content_sha256 = excluded.content_sha256,
+        source_cursor = excluded.source_cursor,
+        dimensions = excluded.dimensions,
+        vector = excluded.vector,
+        updated_at = excluded.updated_at
+    `).run(
+      `emb_${generateId()}`,
+      itemKey,
+      item.itemType,
+      item.sourceTable,
+      String(item.sourceId),
+      item.rootSessionId || null,
+      item.taskId || null,
+      item.runId || null,
+      item.content,
+      item.contentSha256,
+      item.sourceCursor ?? null,
+      embedderId,
+      item.dimensions,
+      item.vector,
+      now,
+      now
+    );
+    return this.getMemoryEmbedding(embedderId, itemKey);
+  }
+
+  getMemoryEmbedding(embedderId, itemKey) {
+    const row = this.db.prepare(`
+      SELECT * FROM memory_embeddings WHERE embedder_id = ? AND item_key = ?
+    `).get(embedderId, itemKey);
+    return row ? this._parseMemoryEmbeddingRow(row) : null;
+  }
+
+  /**
+   * List stored embeddings for one embedder, vectors included, for
+   * brute-force similarity ranking.
+   */
+  listMemoryEmbeddings(options = {}) {
+    if (!this._hasTable('memory_embeddings')) {
+      return [];
+    }
+    // Zero-dimension rows are placeholders for items with no text
+    const clauses = ['embedder_id = ?', 'dimensions > 0'];
+    const params = [String(options.embedderId || '').trim()];
+    const itemTypes = normalizeProjectionList(options.itemTypes);
+    if (itemTypes.length > 0) {
+      clauses.push(`item_type IN (${itemTypes.map(() => '?').join(', ')})`);
+      params.push(...itemTypes);
+    }
+    if (options.excludeTaskId) {
+      clauses.push('(task_id IS NULL OR task_id <> ?)');
+      params.push(options.excludeTaskId);
+    }
+    if (options.excludeRootSessionId) {
+      clauses.push('(root_session_id IS NULL OR root_session_id <> ?)');
+      params.push(options.excludeRootSessionId);
+    }
+    return this.db.prepare(`
+      SELECT * FROM memory_embeddings
+      WHERE ${clauses.join(' AND ')}
+      ORDER BY updated_at DESC
+      LIMIT ?
+    `).all(...params, clampLimit(options.limit, 5000, 50000)).map((row) => this._parseMemoryEmbeddingRow(row));
+  }
+
+  /**
+   * Delete embeddings whose source row is gone, plus (when a source is given)
+   * that source's items of `itemType` not listed in keepItemKeys. Lineage
+   * edges of deleted embeddings are removed with them.
+   */
+  pruneMemoryEmbeddings(options = {}) {
+    if (!this._hasTable('memory_embeddings')) {
+      return 0;
+    }
+    const clauses = [];
+    const params = [];
+    if (options.sourceTable && options.sourceId !== undefined) {
+      const keep = Array.isArray(options.keepItemKeys) ? options.keepItemKeys : [];
+      clauses.push(`(
+        embedder_id = ? AND source_table = ? AND source_id = ? AND item_type = ?
+        ${keep.length > 0 ? `AND item_key NOT IN (${keep.map(() => '?').join(', ')})` : ''}
+      )`);
+      params.push(options.embedderId, options.sourceTable, String(options.sourceId), options.itemType, ...keep);
+    } else {
+      clauses.push(
+        "(source_table = 'memory_snapshots' AND NOT EXISTS (SELECT 1 FROM memory_snapshots s WHERE s.id = source_id))",
+        "(source_table = 'context' AND NOT EXISTS (SELECT 1 FROM context c WHERE c.id = source_id))",
+        "(source_table = 'findings' AND NOT EXISTS (SELECT 1 FROM findings f WHERE f.id = source_id))",
+        "(source_table = 'messages' AND NOT EXISTS (SELECT 1 FROM messages m WHERE m.terminal_id = source_id))"
+      );
+    }
+
+    const prune = this.db.transaction(() => {
+      const ids = this.db.prepare(`
+        SELECT embedding_id FROM memory_embeddings WHERE ${clauses.join(' OR ')}
+      `).all(...params).map((row) => row.embedding_id);
+      if (ids.length === 0) {
+        return 0;
+      }
+      const placeholders = ids.map(() => '?').join(', ');
+      if (this._hasTable('memory_summary_edges')) {
+        this.db.prepare(`
+          DELETE FROM memory_summary_edges
+          WHERE parent_scope_type = 'memory_embedding' AND parent_scope_id IN (${placeholders})
+        `).run(...ids);
+      }
+      this.db.prepare(`DELETE FROM memory_embeddings WHERE embedding_id IN (${placeholders})`).run(...ids);
+      return ids.length;
+    });
+    return prune.immediate();
+  }
+
+  _parseMemoryEmbeddingRow(row) {
+    return {
+      embeddingId: row.embedding_id,
+      itemKey: row.item_key,
+      itemType: row.item_type,
+      sourceTable: row.source_table,
+      sourceId: row.source_id,
+      rootSessionId: row.root_session_id || null,
+      taskId: row.task_id || null,
+      runId: row.run_id || null,
+      content: row.content,
+      contentSha256: row.content_sha256,
+      sourceCursor: row.source_cursor ?? null,
+      embedderId: row.embedder_id,
+      dimensions: row.dimensions,
+      vector: row.vector,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
   _parseMemoryEdgeRow(row) {
     if (!row) {
       return null;
@@ -9235,6 +11352,197 @@ class OrchestrationDB {
     return parseProjectionSourceRow(row);
   }
 
+  // =====================
+  // Audit Log
+  // =====================
+  // Append-only, hash-chained record of mutating HTTP requests and MCP tool
+  // invocations. Rows are never updated or deleted (enforced by triggers).
+
+  _parseAuditEntryRow(row) {
+    if (!row) {
+      return null;
+    }
+    return {
+      seq: row.seq,
+      entryId: row.entry_id,
+      channel: row.channel,
+      action: row.action,
+      method: row.method || null,
+      path: row.path || null,
+      actorSource: row.actor_source || null,
+      tokenName: row.token_name || null,
+      tokenId: row.token_id || null,
+      args: parseJsonField(row.args_json),
+      outcome: row.outcome,
+      statusCode: row.status_code ?? null,
+      error: row.error || null,
+      durationMs: row.duration_ms ?? null,
+      createdAt: row.created_at,
+      prevHash: row.prev_hash,
+      entryHash: row.entry_hash
+    };
+  }
+
+  /**
+   * Append an audit entry chained to the current head. Arguments are redacted
+   * and bounded with prepareAuditArgs before hashing.
+   */
+  appendAuditEntry(input = {}) {
+    if (!this._hasTable('audit_log')) {
+      return null;
+    }
+    const channel = String(input.channel || '').trim();
+    const action = String(input.action || '').trim();
+    const outcome = String(input.outcome || '').trim();
+    if (!AUDIT_CHANNELS.includes(channel)) {
+      throw new Error(`Invalid audit channel: ${channel}`);
+    }
+    if (!action) {
+      throw new Error('action is required');
+    }
+    if (!AUDIT_OUTCOMES.includes(outcome)) {
+      throw new Error(`Invalid audit outcome: ${outcome}`);
+    }
+
+    const entry = {
+      entryId: input.entryId || `audit_${generateId()}`,
+      channel,
+      action,
+      method: input.method ? String(input.method).toUpperCase() : null,
+      path: input.path ? String(input.path) : null,
+      actorSource: input.actorSource ? String(input.actorSource) : null,
+      tokenName: input.tokenName ? String(input.tokenName) : null,
+      tokenId: input.tokenId ? String(input.tokenId) : null,
+      args: prepareAuditArgs(input.args),
+      outcome,
+      statusCode: Number.isInteger(input.statusCode) ? input.statusCode : null,
+      error: normalizeAuditError(input.error),
+      durationMs: Number.isFinite(input.durationMs) ? Math.max(0, Math.round(input.durationMs)) : null,
+      createdAt: Number.isFinite(input.createdAt) ? input.createdAt : Date.now()
+    };
+
+    const append = this.db.transaction(() => {
+      const head = this.db.prepare('SELECT entry_hash FROM audit_log ORDER BY seq DESC LIMIT 1').get();
+      const prevHash = head?.entry_hash || AUDIT_GENESIS_HASH;
+      const entryHash = computeAuditEntryHash(prevHash, entry);
+      const result = this.db.prepare(`
+        INSERT INTO audit_log (
+          entry_id, channel, action, method, path, actor_source, token_name, token_id,
+          args_json, outcome, status_code, error, duration_ms, created_at, prev_hash, entry_hash
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        entry.entryId,
+        entry.channel,
+        entry.action,
+        entry.method,
+        entry.path,
+        entry.actorSource,
+        entry.tokenName,
+        entry.tokenId,
+        entry.args === null ? null : JSON.stringify(entry.args),
+        entry.outcome,
+        entry.statusCode,
+        entry.error,
+        entry.durationMs,
+        entry.createdAt,
+        prevHash,
+        entryHash
+      );
+      return result.lastInsertRowid;
+    });
+
+    const seq = append.immediate();
+    return this._parseAuditEntryRow(this.db.prepare('SELECT * FROM audit_log WHERE seq = ?').get(seq));
+  }
+
+  /**
+   * Query audit entries. Results are ordered by seq (newest first unless
+   * `order: 'asc'`); `afterSeq`/`beforeSeq` page through the log.
+   */
+  listAuditEntries(options = {}) {
+    if (!this._hasTable('audit_log')) {
+      return [];
+    }
+    const clauses = [];
+    const params = [];
+    const exactFilters = [
+      ['channel', 'channel'],
+      ['outcome', 'outcome'],
+      ['tokenName', 'token_name'],
+      ['actorSource', 'actor_source'],
+      ['action', 'action']
+    ];
+    for (const [option, column] of exactFilters) {
+      if (options[option]) {
+        clauses.push(`${column} = ?`);
+        params.push(String(options[option]).trim());
+      }
+    }
+    if (options.method) {
+      clauses.push('method = ?');
+      params.push(String(options.method).trim().toUpperCase());
+    }
+    if (options.pathPrefix) {
+      clauses.push("path LIKE ? ESCAPE '\\'");
+      params.push(`${String(options.pathPrefix).replace(/[\\%_]/g, (char) => `\\${char}`)}%`);
+    }
+    if (Number.isFinite(options.since)) {
+      clauses.push('created_at >= ?');
+      params.push(options.since);
+    }
+    if (Number.isFinite(options.until)) {
+      clauses.push('created_at < ?');
+      params.push(options.until);
+    }
+    if (Number.isFinite(options.afterSeq)) {
+      clauses.push('seq > ?');
+      params.push(options.afterSeq);
+    }
+    if (Number.isFinite(options.beforeSeq)) {
+      clauses.push('seq < ?');
+      params.push(options.beforeSeq);
+    }
+
+    const whereSql = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    const order = options.order === 'asc' ? 'ASC' : 'DESC';
+    const limit = clampLimit(options.limit, 100, 1000);
+    const rows = this.db.prepare(`
+      SELECT * FROM audit_log ${whereSql}
+      ORDER BY seq ${order}
+      LIMIT ?
+    `).all(...params, limit);
+    return rows.map((row) => this._parseAuditEntryRow(row));
+  }
+
+  /**
+   * Walk the whole chain from genesis and report the first broken entry.
+   */
+  verifyAuditChain(options = {}) {
+    if (!this._hasTable('audit_log')) {
+      return { valid: true, checked: 0, headSeq: null, headHash: AUDIT_GENESIS_HASH, brokenAt: null };
+    }
+    const batchSize = clampLimit(options.batchSize, 500, 5000);
+    const selectBatch = this.db.prepare('SELECT * FROM audit_log WHERE seq > ? ORDER BY seq ASC LIMIT ?');
+    let prevHash = AUDIT_GENESIS_HASH;
+    let afterSeq = 0;
+    let checked = 0;
+    for (;;) {
+      const entries = selectBatch.all(afterSeq, batchSize).map((row) => this._parseAuditEntryRow(row));
+      if (entries.length === 0) {
+        break;
+      }
+      const result = verifyAuditEntries(entries, { prevHash });
+      checked += result.checked;
+      if (!result.valid) {
+        return { valid: false, checked, headSeq: afterSeq || null, headHash: result.lastHash, brokenAt: result.brokenAt };
+      }
+      prevHash = result.lastHash;
+      afterSeq = entries[entries.length - 1].seq;
+    }
+    return { valid: true, checked, headSeq: afterSeq || null, headHash: prevHash, brokenAt: null };
+  }
+
   // =================
   // Utility Methods
   // =================
@@ -9298,6 +11606,11 @@ function closeDB() {
 }
 
 module.exports = {
+  BUDGET_SCOPE_TYPES,
+  MEMORY_EMBEDDING_ITEM_TYPES,
+  MEMORY_SEARCH_SOURCES,
+  USAGE_REPORT_DIMENSIONS,
+  USAGE_REPORT_INTERVALS,
   OrchestrationDB,
   getDB,
   closeDB
@@ -0,0 +1,67 @@
+-- Durable workflow executions
+-- TaskRouter persists each workflow execution, its agent steps, and its
+-- branch/loop/goto/condition decisions so an interrupted workflow can resume
+-- from its last completed step after a broker restart.
+
+CREATE TABLE IF NOT EXISTS workflow_executions (
+  workflow_execution_id TEXT PRIMARY KEY,
+  workflow_name TEXT NOT NULL,
+  workflow_source TEXT,
+  definition_json TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'interrupted', 'completed', 'failed', 'cancelled')),
+  initial_message TEXT NOT NULL,
+  options_json TEXT,
+  run_id TEXT,
+  root_session_id TEXT,
+  owner_id TEXT,
+  resume_count INTEGER NOT NULL DEFAULT 0,
+  cancel_requested_at INTEGER,
+  error TEXT,
+  metadata TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  completed_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_status_updated
+  ON workflow_executions(status, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_name_created
+  ON workflow_executions(workflow_name, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_workflow_executions_root_created
+  ON workflow_executions(root_session_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS workflow_execution_steps (
+  workflow_execution_id TEXT NOT NULL,
+  sequence INTEGER NOT NULL,
+  step_path TEXT NOT NULL,
+  step_id TEXT,
+  profile TEXT,
+  role TEXT,
+  adapter TEXT,
+  step_type TEXT,
+  status TEXT NOT NULL CHECK (status IN ('running', 'completed', 'failed')),
+  iteration INTEGER NOT NULL DEFAULT 0,
+  terminal_id TEXT,
+  result_json TEXT,
+  error TEXT,
+  started_at INTEGER NOT NULL,
+  completed_at INTEGER,
+  PRIMARY KEY (workflow_execution_id, sequence),
+  FOREIGN KEY (workflow_execution_id) REFERENCES workflow_executions(workflow_execution_id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS workflow_execution_decisions (
+  workflow_execution_id TEXT NOT NULL,
+  sequence INTEGER NOT NULL,
+  decision_kind TEXT NOT NULL CHECK (decision_kind IN ('condition', 'branch', 'loop', 'goto')),
+  step_path TEXT NOT NULL,
+  step_id TEXT,
+  expression TEXT,
+  result INTEGER NOT NULL DEFAULT 0,
+  outcome TEXT NOT NULL,
+  details_json TEXT,
+  decided_at INTEGER NOT NULL,
+  PRIMARY KEY (workflow_execution_id, sequence),
+  FOREIGN KEY (workflow_execution_id) REFERENCES workflow_executions(workflow_execution_id) ON DELETE CASCADE
+);
@@ -0,0 +1,20 @@
+-- Task assignment dependency graph
+-- An edge says task_assignment_id may only start once depends_on_assignment_id
+-- has completed (or, with condition 'integrated', once its branch is merged).
+-- Edges never cross tasks; the broker rejects edges that would form a cycle.
+
+CREATE TABLE IF NOT EXISTS task_assignment_dependencies (
+  task_id TEXT NOT NULL,
+  task_assignment_id TEXT NOT NULL,
+  depends_on_assignment_id TEXT NOT NULL,
+  condition TEXT NOT NULL DEFAULT 'completed'
+    CHECK (condition IN ('completed', 'integrated')),
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (task_assignment_id, depends_on_assignment_id),
+  CHECK (task_assignment_id <> depends_on_assignment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_assignment_dependencies_task
+  ON task_assignment_dependencies(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_assignment_dependencies_upstream
+  ON task_assignment_dependencies(depends_on_assignment_id);
@@ -0,0 +1,58 @@
+-- Worktree registry
+-- One row per assignment worktree the broker prepared, keyed by its resolved
+-- path. Rows track the owning assignment, the last measured checkout size, and
+-- the last broker activity so stale worktrees can be pruned by policy.
+-- Pruned worktrees keep their row with status 'removed'.
+
+CREATE TABLE IF NOT EXISTS task_worktrees (
+  worktree_path TEXT PRIMARY KEY,
+  repo_root TEXT,
+  task_id TEXT,
+  task_assignment_id TEXT,
+  branch TEXT,
+  status TEXT NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'removed')),
+  size_bytes INTEGER,
+  size_measured_at INTEGER,
+  last_activity_at INTEGER NOT NULL,
+  removed_at INTEGER,
+  removed_reason TEXT,
+  metadata TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_worktrees_status_activity
+  ON task_worktrees(status, last_activity_at);
+CREATE INDEX IF NOT EXISTS idx_task_worktrees_assignment
+  ON task_worktrees(task_assignment_id);
+CREATE INDEX IF NOT EXISTS idx_task_worktrees_repo
+  ON task_worktrees(repo_root, status);
+
+-- Adopt worktrees of existing assignments; relative paths are registered when
+-- the assignment is next prepared.
+INSERT OR IGNORE INTO task_worktrees (
+  worktree_path,
+  repo_root,
+  task_id,
+  task_assignment_id,
+  branch,
+  status,
+  last_activity_at,
+  metadata,
+  created_at,
+  updated_at
+)
+SELECT
+  a.worktree_path,
+  NULL,
+  a.task_id,
+  a.id,
+  COALESCE(a.worktree_branch, a.branch_name),
+  'active',
+  a.updated_at,
+  '{"backfilled":true}',
+  a.created_at,
+  a.updated_at
+FROM task_assignments a
+WHERE a.worktree_path LIKE '/%';
@@ -0,0 +1,8 @@
+-- Operator action attribution
+-- Name of the scoped API token that made the request recording the action.
+-- NULL when the broker API key (or unauthenticated localhost mode) was used,
+-- or when the broker recorded the action itself.
+
+ALTER TABLE operator_actions ADD COLUMN token_name TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_operator_actions_token_name ON operator_actions(token_name);
@@ -0,0 +1,42 @@
+-- Broker audit log
+-- Append-only record of every mutating HTTP request and MCP tool invocation.
+-- Each row stores the caller identity, redacted arguments, and outcome, and is
+-- chained to the previous row: entry_hash = sha256(prev_hash + canonical entry).
+-- Rewriting or removing a row breaks the chain from that point on; the
+-- triggers below reject UPDATE and DELETE outright.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  entry_id TEXT NOT NULL UNIQUE,
+  channel TEXT NOT NULL CHECK (channel IN ('http', 'mcp')),
+  action TEXT NOT NULL,
+  method TEXT,
+  path TEXT,
+  actor_source TEXT,
+  token_name TEXT,
+  token_id TEXT,
+  args_json TEXT,
+  outcome TEXT NOT NULL CHECK (outcome IN ('success', 'error', 'denied')),
+  status_code INTEGER,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at INTEGER NOT NULL,
+  prev_hash TEXT NOT NULL,
+  entry_hash TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_token_name ON audit_log(token_name, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at);
+
+CREATE TRIGGER IF NOT EXISTS trg_audit_log_no_update
+BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_audit_log_no_delete
+BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
@@ -0,0 +1,407 @@
+-- Full-text search over memory-bearing rows.
+--
+-- memory_search_docs holds one row per indexed source row with its scope;
+-- memory_search_fts is the FTS5 index keyed by doc_id. Triggers on each
+-- source table keep both in sync, and existing rows are backfilled below.
+-- Indexed sources: messages, room_messages, findings, context,
+-- memory_snapshots, and root_io_events output chunks.
+
+CREATE TABLE IF NOT EXISTS memory_search_docs (
+  doc_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  record_key TEXT NOT NULL UNIQUE,
+  source_table TEXT NOT NULL,
+  source_id TEXT NOT NULL,
+  record_type TEXT NOT NULL,
+  root_session_id TEXT,
+  task_id TEXT,
+  run_id TEXT,
+  room_id TEXT,
+  terminal_id TEXT,
+  created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_memory_search_docs_source_created ON memory_search_docs(source_table, created_at);
+CREATE INDEX IF NOT EXISTS idx_memory_search_docs_root ON memory_search_docs(root_session_id);
+CREATE INDEX IF NOT EXISTS idx_memory_search_docs_task ON memory_search_docs(task_id);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS memory_search_fts USING fts5(
+  title,
+  body,
+  tokenize = 'porter unicode61'
+);
+
+-- messages
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_messages_insert
+AFTER INSERT ON messages
+BEGIN
+  INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+  VALUES (
+    'messages:' || NEW.id,
+    'messages',
+    CAST(NEW.id AS TEXT),
+    'message',
+    COALESCE(
+      NULLIF(TRIM(NEW.root_session_id), ''),
+      (SELECT root_session_id FROM terminals WHERE terminal_id = NEW.terminal_id)
+    ),
+    COALESCE(
+      CASE WHEN json_valid(NEW.metadata) THEN json_extract(NEW.metadata, '$.taskId') END,
+      (SELECT task_id FROM task_assignments WHERE terminal_id = NEW.terminal_id LIMIT 1)
+    ),
+    CASE WHEN json_valid(NEW.metadata) THEN json_extract(NEW.metadata, '$.runId') END,
+    CASE WHEN json_valid(NEW.metadata) THEN json_extract(NEW.metadata, '$.roomId') END,
+    NEW.terminal_id,
+    NEW.created_at
+  );
+  INSERT INTO memory_search_fts (rowid, title, body)
+  VALUES ((SELECT doc_id FROM memory_search_docs WHERE record_key = 'messages:' || NEW.id), NEW.role, NEW.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_messages_update
+AFTER UPDATE OF content, root_session_id ON messages
+BEGIN
+  UPDATE memory_search_fts SET body = NEW.content
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'messages:' || NEW.id);
+  UPDATE memory_search_docs
+  SET root_session_id = COALESCE(NULLIF(TRIM(NEW.root_session_id), ''), root_session_id)
+  WHERE record_key = 'messages:' || NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_messages_delete
+AFTER DELETE ON messages
+BEGIN
+  DELETE FROM memory_search_fts
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'messages:' || OLD.id);
+  DELETE FROM memory_search_docs WHERE record_key = 'messages:' || OLD.id;
+END;
+
+-- room_messages
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_room_messages_insert
+AFTER INSERT ON room_messages
+BEGIN
+  INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+  SELECT
+    'room_messages:' || NEW.id,
+    'room_messages',
+    CAST(NEW.id AS TEXT),
+    'room_message',
+    r.root_session_id,
+    r.task_id,
+    NULL,
+    NEW.room_id,
+    NULL,
+    NEW.created_at
+  FROM (SELECT 1) AS one
+  LEFT JOIN rooms r ON r.id = NEW.room_id;
+  INSERT INTO memory_search_fts (rowid, title, body)
+  VALUES ((SELECT doc_id FROM memory_search_docs WHERE record_key = 'room_messages:' || NEW.id), NEW.role, NEW.content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_room_messages_update
+AFTER UPDATE OF content ON room_messages
+BEGIN
+  UPDATE memory_search_fts SET body = NEW.content
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'room_messages:' || NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_room_messages_delete
+AFTER DELETE ON room_messages
+BEGIN
+  DELETE FROM memory_search_fts
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'room_messages:' || OLD.id);
+  DELETE FROM memory_search_docs WHERE record_key = 'room_messages:' || OLD.id;
+END;
+
+-- findings (created_at may be in seconds)
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_findings_insert
+AFTER INSERT ON findings
+BEGIN
+  INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+  VALUES (
+    'findings:' || NEW.id,
+    'findings',
+    NEW.id,
+    'finding',
+    (SELECT root_session_id FROM tasks WHERE id = NEW.task_id),
+    NEW.task_id,
+    NULL,
+    NULL,
+    NEW.agent_id,
+    CASE WHEN NEW.created_at < 100000000000 THEN NEW.created_at * 1000 ELSE NEW.created_at END
+  );
+  INSERT INTO memory_search_fts (rowid, title, body)
+  VALUES (
+    (SELECT doc_id FROM memory_search_docs WHERE record_key = 'findings:' || NEW.id),
+    TRIM(COALESCE(NEW.type, '') || ' ' || COALESCE(NEW.severity, '')),
+    NEW.content
+  );
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_findings_update
+AFTER UPDATE OF content ON findings
+BEGIN
+  UPDATE memory_search_fts SET body = NEW.content
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'findings:' || NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_findings_delete
+AFTER DELETE ON findings
+BEGIN
+  DELETE FROM memory_search_fts
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'findings:' || OLD.id);
+  DELETE FROM memory_search_docs WHERE record_key = 'findings:' || OLD.id;
+END;
+
+-- context (created_at may be in seconds)
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_context_insert
+AFTER INSERT ON context
+BEGIN
+  INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+  VALUES (
+    'context:' || NEW.id,
+    'context',
+    NEW.id,
+    'context',
+    (SELECT root_session_id FROM tasks WHERE id = NEW.task_id),
+    NEW.task_id,
+    NULL,
+    NULL,
+    NEW.agent_id,
+    CASE WHEN NEW.created_at < 100000000000 THEN NEW.created_at * 1000 ELSE NEW.created_at END
+  );
+  INSERT INTO memory_search_fts (rowid, title, body)
+  VALUES (
+    (SELECT doc_id FROM memory_search_docs WHERE record_key = 'context:' || NEW.id),
+    'context',
+    TRIM(COALESCE(NEW.summary, '') || ' ' || COALESCE(NEW.key_decisions, '') || ' ' || COALESCE(NEW.pending_items, ''))
+  );
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_context_delete
+AFTER DELETE ON context
+BEGIN
+  DELETE FROM memory_search_fts
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'context:' || OLD.id);
+  DELETE FROM memory_search_docs WHERE record_key = 'context:' || OLD.id;
+END;
+
+-- memory_snapshots (upserted per scope, so updates re-index the body)
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_memory_snapshots_insert
+AFTER INSERT ON memory_snapshots
+BEGIN
+  INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+  VALUES (
+    'memory_snapshots:' || NEW.id,
+    'memory_snapshots',
+    NEW.id,
+    'memory_snapshot',
+    NEW.root_session_id,
+    NEW.task_id,
+    COALESCE(NEW.run_id, CASE WHEN NEW.scope = 'run' THEN NEW.scope_id END),
+    NULL,
+    NULL,
+    NEW.created_at
+  );
+  INSERT INTO memory_search_fts (rowid, title, body)
+  VALUES (
+    (SELECT doc_id FROM memory_search_docs WHERE record_key = 'memory_snapshots:' || NEW.id),
+    NEW.scope || ' snapshot',
+    TRIM(COALESCE(NEW.brief, '') || ' ' || COALESCE(NEW.key_decisions, '') || ' ' || COALESCE(NEW.pending_items, ''))
+  );
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_memory_snapshots_update
+AFTER UPDATE OF brief, key_decisions, pending_items ON memory_snapshots
+BEGIN
+  UPDATE memory_search_fts
+  SET body = TRIM(COALESCE(NEW.brief, '') || ' ' || COALESCE(NEW.key_decisions, '') || ' ' || COALESCE(NEW.pending_items, ''))
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'memory_snapshots:' || NEW.id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_memory_snapshots_delete
+AFTER DELETE ON memory_snapshots
+BEGIN
+  DELETE FROM memory_search_fts
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'memory_snapshots:' || OLD.id);
+  DELETE FROM memory_search_docs WHERE record_key = 'memory_snapshots:' || OLD.id;
+END;
+
+-- root_io_events output chunks (content_full is cleared when raw output expires)
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_root_io_events_insert
+AFTER INSERT ON root_io_events
+WHEN NEW.event_kind = 'output'
+BEGIN
+  INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+  VALUES (
+    'root_io_events:' || NEW.root_io_event_id,
+    'root_io_events',
+    NEW.root_io_event_id,
+    'root_io_event',
+    NEW.root_session_id,
+    NEW.task_id,
+    NEW.run_id,
+    NEW.room_id,
+    NEW.terminal_id,
+    NEW.occurred_at
+  );
+  INSERT INTO memory_search_fts (rowid, title, body)
+  VALUES (
+    (SELECT doc_id FROM memory_search_docs WHERE record_key = 'root_io_events:' || NEW.root_io_event_id),
+    COALESCE(NEW.parsed_role, 'output'),
+    COALESCE(NEW.content_full, NEW.content_preview, '')
+  );
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_root_io_events_update
+AFTER UPDATE OF content_full, content_preview ON root_io_events
+WHEN NEW.event_kind = 'output'
+BEGIN
+  UPDATE memory_search_fts
+  SET body = COALESCE(NEW.content_full, NEW.content_preview, '')
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'root_io_events:' || NEW.root_io_event_id);
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_memory_search_root_io_events_delete
+AFTER DELETE ON root_io_events
+WHEN OLD.event_kind = 'output'
+BEGIN
+  DELETE FROM memory_search_fts
+  WHERE rowid = (SELECT doc_id FROM memory_search_docs WHERE record_key = 'root_io_events:' || OLD.root_io_event_id);
+  DELETE FROM memory_search_docs WHERE record_key = 'root_io_events:' || OLD.root_io_event_id;
+END;
+
+-- Backfill existing rows
+
+INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+SELECT
+  'messages:' || m.id,
+  'messages',
+  CAST(m.id AS TEXT),
+  'message',
+  COALESCE(NULLIF(TRIM(m.root_session_id), ''), t.root_session_id),
+  COALESCE(
+    CASE WHEN json_valid(m.metadata) THEN json_extract(m.metadata, '$.taskId') END,
+    (SELECT ta.task_id FROM task_assignments ta WHERE ta.terminal_id = m.terminal_id LIMIT 1)
+  ),
+  CASE WHEN json_valid(m.metadata) THEN json_extract(m.metadata, '$.runId') END,
+  CASE WHEN json_valid(m.metadata) THEN json_extract(m.metadata, '$.roomId') END,
+  m.terminal_id,
+  m.created_at
+FROM messages m
+LEFT JOIN terminals t ON t.terminal_id = m.terminal_id;
+
+INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+SELECT
+  'room_messages:' || rm.id,
+  'room_messages',
+  CAST(rm.id AS TEXT),
+  'room_message',
+  r.root_session_id,
+  r.task_id,
+  NULL,
+  rm.room_id,
+  NULL,
+  rm.created_at
+FROM room_messages rm
+LEFT JOIN rooms r ON r.id = rm.room_id;
+
+INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+SELECT
+  'findings:' || f.id,
+  'findings',
+  f.id,
+  'finding',
+  t.root_session_id,
+  f.task_id,
+  NULL,
+  NULL,
+  f.agent_id,
+  CASE WHEN f.created_at < 100000000000 THEN f.created_at * 1000 ELSE f.created_at END
+FROM findings f
+LEFT JOIN tasks t ON t.id = f.task_id;
+
+INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+SELECT
+  'context:' || c.id,
+  'context',
+  c.id,
+  'context',
+  t.root_session_id,
+  c.task_id,
+  NULL,
+  NULL,
+  c.agent_id,
+  CASE WHEN c.created_at < 100000000000 THEN c.created_at * 1000 ELSE c.created_at END
+FROM context c
+LEFT JOIN tasks t ON t.id = c.task_id;
+
+INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+SELECT
+  'memory_snapshots:' || ms.id,
+  'memory_snapshots',
+  ms.id,
+  'memory_snapshot',
+  ms.root_session_id,
+  ms.task_id,
+  COALESCE(ms.run_id, CASE WHEN ms.scope = 'run' THEN ms.scope_id END),
+  NULL,
+  NULL,
+  ms.created_at
+FROM memory_snapshots ms;
+
+INSERT INTO memory_search_docs (record_key, source_table, source_id, record_type, root_session_id, task_id, run_id, room_id, terminal_id, created_at)
+SELECT
+  'root_io_events:' || rio.root_io_event_id,
+  'root_io_events',
+  rio.root_io_event_id,
+  'root_io_event',
+  rio.root_session_id,
+  rio.task_id,
+  rio.run_id,
+  rio.room_id,
+  rio.terminal_id,
+  rio.occurred_at
+FROM root_io_events rio
+WHERE rio.event_kind = 'output';
+
+INSERT INTO memory_search_fts (rowid, title, body)
+SELECT d.doc_id, m.role, m.content
+FROM memory_search_docs d
+JOIN messages m ON d.source_table = 'messages' AND d.source_id = CAST(m.id AS TEXT);
+
+INSERT INTO memory_search_fts (rowid, title, body)
+SELECT d.doc_id, rm.role, rm.content
+FROM memory_search_docs d
+JOIN room_messages rm ON d.source_table = 'room_messages' AND d.source_id = CAST(rm.id AS TEXT);
+
+INSERT INTO memory_search_fts (rowid, title, body)
+SELECT d.doc_id, TRIM(COALESCE(f.type, '') || ' ' || COALESCE(f.severity, '')), f.content
+FROM memory_search_docs d
+JOIN findings f ON d.source_table = 'findings' AND d.source_id = f.id;
+
+INSERT INTO memory_search_fts (rowid, title, body)
+SELECT
+  d.doc_id,
+  'context',
+  TRIM(COALESCE(c.summary, '') || ' ' || COALESCE(c.key_decisions, '') || ' ' || COALESCE(c.pending_items, ''))
+FROM memory_search_docs d
+JOIN context c ON d.source_table = 'context' AND d.source_id = c.id;
+
+INSERT INTO memory_search_fts (rowid, title, body)
+SELECT
+  d.doc_id,
+  ms.scope || ' snapshot',
+  TRIM(COALESCE(ms.brief, '') || ' ' || COALESCE(ms.key_decisions, '') || ' ' || COALESCE(ms.pending_items, ''))
+FROM memory_search_docs d
+JOIN memory_snapshots ms ON d.source_table = 'memory_snapshots' AND d.source_id = ms.id;
+
+INSERT INTO memory_search_fts (rowid, title, body)
+SELECT d.doc_id, COALESCE(rio.parsed_role, 'output'), COALESCE(rio.content_full, rio.content_preview, '')
+FROM memory_search_docs d
+JOIN root_io_events rio ON d.source_table = 'root_io_events' AND d.source_id = rio.root_io_event_id;
@@ -0,0 +1,37 @@
+-- Optional semantic index over memory items.
+--
+-- One row per embedded item and embedder. item_key identifies the source
+-- item (e.g. 'findings:<id>', 'messages:<terminal>:<window>') and
+-- content_sha256 lets a sync skip items whose text has not changed.
+-- Lineage back to the source rows is recorded in memory_summary_edges with
+-- parent_scope_type = 'memory_embedding'.
+
+CREATE TABLE IF NOT EXISTS memory_embeddings (
+  embedding_id TEXT PRIMARY KEY,
+  item_key TEXT NOT NULL,
+  item_type TEXT NOT NULL
+    CHECK (item_type IN ('snapshot', 'finding', 'decision', 'message_window')),
+  source_table TEXT NOT NULL,
+  source_id TEXT NOT NULL,
+  root_session_id TEXT,
+  task_id TEXT,
+  run_id TEXT,
+  content TEXT NOT NULL,
+  content_sha256 TEXT NOT NULL,
+  source_cursor INTEGER,
+  embedder_id TEXT NOT NULL,
+  dimensions INTEGER NOT NULL,
+  vector BLOB NOT NULL,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  UNIQUE(embedder_id, item_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_memory_embeddings_embedder_type
+  ON memory_embeddings(embedder_id, item_type);
+CREATE INDEX IF NOT EXISTS idx_memory_embeddings_source
+  ON memory_embeddings(source_table, source_id);
+CREATE INDEX IF NOT EXISTS idx_memory_embeddings_task
+  ON memory_embeddings(task_id);
+CREATE INDEX IF NOT EXISTS idx_memory_embeddings_root
+  ON memory_embeddings(root_session_id);
@@ -0,0 +1,33 @@
+-- Spending budgets for root sessions, tasks, and projects.
+--
+-- Each scope has at most one budget with optional limits on tokens
+-- (usage_records.total_tokens), USD (usage_records.cost_usd), and wall-clock
+-- time (summed usage_records.duration_ms). state is maintained by the budget
+-- service: 'warning' once a warn threshold is crossed, 'exceeded' once any
+-- limit is reached, and 'overridden' while an operator override lifts an
+-- exceeded cap. An exceeded hard cap blocks new child spawns and assignment
+-- starts; gate_run_id is the run carrying that block's run_blocked_states
+-- row and any operator_actions taken on it.
+
+CREATE TABLE IF NOT EXISTS budgets (
+  budget_id TEXT PRIMARY KEY,
+  scope_type TEXT NOT NULL CHECK (scope_type IN ('root', 'task', 'project')),
+  scope_id TEXT NOT NULL,
+  max_tokens INTEGER,
+  max_cost_usd REAL,
+  max_wall_clock_ms INTEGER,
+  warn_thresholds TEXT NOT NULL DEFAULT '[0.5,0.8,0.9]',
+  hard_cap INTEGER NOT NULL DEFAULT 1,
+  state TEXT NOT NULL DEFAULT 'ok'
+    CHECK (state IN ('ok', 'warning', 'exceeded', 'overridden')),
+  last_warned_threshold REAL,
+  gate_run_id TEXT,
+  override_expires_at INTEGER,
+  metadata TEXT,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  evaluated_at INTEGER,
+  UNIQUE(scope_type, scope_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_budgets_state ON budgets(state);
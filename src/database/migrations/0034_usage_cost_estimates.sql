@@ -0,0 +1,10 @@
+-- Estimated usage cost
+-- cost_usd stays the provider-reported cost (NULL when the provider does not
+-- report one). estimated_cost_usd is computed by the broker from the model
+-- price table for every record; price_table_version and price_id identify the
+-- table version and entry used, so history can be recomputed when prices
+-- change. estimated_cost_usd is NULL when no price entry matches.
+
+ALTER TABLE usage_records ADD COLUMN estimated_cost_usd REAL;
+ALTER TABLE usage_records ADD COLUMN price_table_version TEXT;
+ALTER TABLE usage_records ADD COLUMN price_id TEXT;
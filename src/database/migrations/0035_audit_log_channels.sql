@@ -0,0 +1,60 @@
+-- Audit WebSocket session mutations and local CLI actions
+-- Widens the audit_log channel check with 'ws' (create_session, send_message,
+-- terminate_session over /ws) and 'cli' (token mint/revoke). Rows are copied
+-- unchanged, so every entry hash and the chain stay valid.
+
+PRAGMA legacy_alter_table = ON;
+
+DROP TRIGGER IF EXISTS trg_audit_log_no_update;
+DROP TRIGGER IF EXISTS trg_audit_log_no_delete;
+
+CREATE TABLE audit_log_new (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  entry_id TEXT NOT NULL UNIQUE,
+  channel TEXT NOT NULL CHECK (channel IN ('http', 'mcp', 'ws', 'cli')),
+  action TEXT NOT NULL,
+  method TEXT,
+  path TEXT,
+  actor_source TEXT,
+  token_name TEXT,
+  token_id TEXT,
+  args_json TEXT,
+  outcome TEXT NOT NULL CHECK (outcome IN ('success', 'error', 'denied')),
+  status_code INTEGER,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at INTEGER NOT NULL,
+  prev_hash TEXT NOT NULL,
+  entry_hash TEXT NOT NULL
+);
+
+INSERT INTO audit_log_new (
+  seq, entry_id, channel, action, method, path, actor_source, token_name, token_id,
+  args_json, outcome, status_code, error, duration_ms, created_at, prev_hash, entry_hash
+)
+SELECT
+  seq, entry_id, channel, action, method, path, actor_source, token_name, token_id,
+  args_json, outcome, status_code, error, duration_ms, created_at, prev_hash, entry_hash
+FROM audit_log
+ORDER BY seq;
+
+DROP TABLE audit_log;
+ALTER TABLE audit_log_new RENAME TO audit_log;
+
+PRAGMA legacy_alter_table = OFF;
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_token_name ON audit_log(token_name, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at);
+
+CREATE TRIGGER IF NOT EXISTS trg_audit_log_no_update
+BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS trg_audit_log_no_delete
+BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
@@ -0,0 +1,7 @@
+-- Workflow execution owner heartbeats
+-- The broker that runs an execution refreshes owner_heartbeat_at while it is
+-- running. Another broker sharing the database marks the execution
+-- interrupted only when its owner is provably gone (the owner's process has
+-- exited or its heartbeat is stale), never while the owner is still alive.
+
+ALTER TABLE workflow_executions ADD COLUMN owner_heartbeat_at INTEGER;
@@ -7,6 +7,7 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
+const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
 const { spawnSync } = require('child_process');
@@ -28,6 +29,8 @@ const QwenCliAdapter = require('./adapters/qwen-cli');
 const OpencodeCliAdapter = require('./adapters/opencode-cli');
 const ClaudeCodeAdapter = require('./adapters/claude-code');
 const { registerActiveAdapters } = require('./adapters/runtime-registry');
+const { registerConfiguredAdapters } = require('./adapters/configured-adapters');
+const { registerAdapterPlugins } = require('./adapters/adapter-plugins');
 
 // Utilities
 const SessionWrapper = require('./utils/session-wrapper');
@@ -39,6 +42,14 @@ const {
   getConfiguredApiKey,
   getLocalApiKeyFilePaths
 } = require('./server/auth');
+const {
+  API_TOKEN_SCOPES,
+  listApiTokens,
+  mintApiToken,
+  revokeApiToken
+} = require('./server/api-tokens');
+const { verifyAuditEntries } = require('./security/audit-log');
+const { OrchestrationDB } = require('./database/db');
 
 // Transcription Service
 const { transcribeAudio } = require('./services/transcriptionService');
@@ -627,6 +638,698 @@ function printTrimHistoryUsage() {
   console.log('  --json                        Emit JSON instead of text');
 }
 
+function parseWorktreesArgs(rawArgs = []) {
+  const args = [...rawArgs];
+  const parsed = {
+    action: 'list',
+    status: 'active',
+    repoRoot: null,
+    taskId: null,
+    measure: false,
+    dryRun: false,
+    minIdleHours: null,
+    maxTotalBytes: null,
+    includeUnowned: false,
+    force: false,
+    json: false
+  };
+
+  if (args[0] && !args[0].startsWith('-')) {
+    parsed.action = args.shift();
+  }
+  if (!['list', 'prune'].includes(parsed.action)) {
+    throw new Error(`Unknown worktrees action: ${parsed.action}`);
+  }
+
+  while (args.length > 0) {
+    const token = args.shift();
+    switch (token) {
+      case '--status':
+        parsed.status = String(args.shift() || '').trim().toLowerCase();
+        if (!['active', 'removed', 'all'].includes(parsed.status)) {
+          throw new Error('Invalid --status value; expected active, removed, or all');
+        }
+        break;
+      case '--repo':
+        parsed.repoRoot = path.resolve(String(args.shift() || '.'));
+        break;
+      case '--task':
+        parsed.taskId = args.shift() || null;
+        break;
+      case '--measure':
+        parsed.measure = true;
+        break;
+      case '--dry-run':
+        parsed.dryRun = true;
+        break;
+      case '--min-idle-hours': {
+        const value = Number.parseFloat(String(args.shift() || '').trim());
+        if (!Number.isFinite(value) || value < 0) {
+          throw new Error('Invalid --min-idle-hours value; expected a non-negative number');
+        }
+        parsed.minIdleHours = value;
+        break;
+      }
+      case '--max-total-size':
+        parsed.maxTotalBytes = String(args.shift() || '').trim() || null;
+        break;
+      case '--include-unowned':
+        parsed.includeUnowned = true;
+        break;
+      case '--force':
+        parsed.force = true;
+        break;
+      case '--json':
+        parsed.json = true;
+        break;
+      case '--help':
+      case '-h':
+        parsed.help = true;
+        break;
+      default:
+        throw new Error(`Unknown worktrees argument: ${token}`);
+    }
+  }
+
+  return parsed;
+}
+
+function printWorktreesUsage() {
+  console.log('Usage: cliagents worktrees [list] [options]');
+  console.log('   or: cliagents worktrees prune [options]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --repo <path>                 Only worktrees of this repository (also lists unregistered ones)');
+  console.log('  --task <id>                   Only worktrees of this task');
+  console.log('  --status <status>             list: active (default), removed, or all');
+  console.log('  --measure                     list: measure checkout sizes now');
+  console.log('  --dry-run                     prune: show what would be removed');
+  console.log('  --min-idle-hours <n>          prune: idle time before removal (default 24)');
+  console.log('  --max-total-size <size>       prune: quota such as 20G; least recently used go first');
+  console.log('  --include-unowned             prune: also remove worktrees no assignment owns');
+  console.log('  --force                       prune: also remove worktrees with uncommitted changes');
+  console.log('  --json                        Emit JSON instead of text');
+}
+
+function formatByteSize(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return 'n/a';
+  }
+  const units = ['B', 'K', 'M', 'G', 'T'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)}${units[unit]}`;
+}
+
+const TOKEN_TTL_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse --expires as a duration (90m, 12h, 30d, 2w) or a date.
+ */
+function parseTokenExpiry(value, now = Date.now()) {
+  const raw = String(value || '').trim();
+  const duration = raw.match(/^(\d+)([mhdw])$/i);
+  if (duration) {
+    return now + Number(duration[1]) * TOKEN_TTL_UNITS_MS[duration[2].toLowerCase()];
+  }
+  const date = Date.parse(raw);
+  if (!raw || !Number.isFinite(date)) {
+    throw new Error('Invalid --expires value; expected a duration such as 12h, 30d, 2w or a date');
+  }
+  return date;
+}
+
+function parseTokensArgs(rawArgs = [], now = Date.now()) {
+  const args = [...rawArgs];
+  const parsed = {
+    action: 'list',
+    name: null,
+    scopes: [],
+    expiresAt: null,
+    all: false,
+    json: false
+  };
+
+  if (args[0] && !args[0].startsWith('-')) {
+    parsed.action = args.shift();
+  }
+  if (!['list', 'mint', 'revoke'].includes(parsed.action)) {
+    throw new Error(`Unknown tokens action: ${parsed.action}`);
+  }
+  if (parsed.action === 'revoke' && args[0] && !args[0].startsWith('-')) {
+    parsed.name = args.shift();
+  }
+
+  while (args.length > 0) {
+    const token = args.shift();
+    switch (token) {
+      case '--name':
+        parsed.name = String(args.shift() || '').trim() || null;
+        break;
+      case '--scope':
+      case '--scopes':
+        parsed.scopes.push(...String(args.shift() || '').split(',').map((scope) => scope.trim()).filter(Boolean));
+        break;
+      case '--expires':
+        parsed.expiresAt = parseTokenExpiry(args.shift(), now);
+        break;
+      case '--all':
+        parsed.all = true;
+        break;
+      case '--json':
+        parsed.json = true;
+        break;
+      case '--help':
+      case '-h':
+        parsed.help = true;
+        break;
+      default:
+        throw new Error(`Unknown tokens argument: ${token}`);
+    }
+  }
+
+  if (!parsed.help && parsed.action !== 'list' && !parsed.name) {
+    throw new Error(parsed.action === 'mint' ? 'tokens mint requires --name' : 'tokens revoke requires a token name or id');
+  }
+  return parsed;
+}
+
+function printTokensUsage() {
+  console.log('Usage: cliagents tokens [list] [--all] [--json]');
+  console.log('   or: cliagents tokens mint --name <name> --scope <scope> [--scope <scope>] [--expires <ttl>]');
+  console.log('   or: cliagents tokens revoke <name|id>');
+  console.log('');
+  console.log(`Scopes: ${API_TOKEN_SCOPES.join(', ')}`);
+  console.log('');
+  console.log('Options:');
+  console.log('  --name <name>                 mint: token name, recorded on operator actions');
+  console.log('  --scope <scope[,scope]>       mint: repeat or comma-separate');
+  console.log('  --expires <ttl|date>          mint: 90m, 12h, 30d, 2w, or a date (default: never)');
+  console.log('  --all                         list: include revoked and expired tokens');
+  console.log('  --json                        Emit JSON instead of text');
+}
+
+function formatTokenTimestamp(value) {
+  return value ? new Date(value).toISOString() : 'never';
+}
+
+/**
+ * Append a token mint or revoke to the broker's audit log. The CLI writes to
+ * the database directly so key rotation is recorded even when no broker is
+ * running; a failed audit write is reported but does not undo the change.
+ */
+function recordTokenAuditEntry(action, entry, storeOptions = {}, dependencies = {}) {
+  let db = dependencies.auditDb || null;
+  const ownsDb = !db;
+  try {
+    if (!db) {
+      const dataDir = storeOptions.dataDir
+        || process.env.CLIAGENTS_DATA_DIR
+        || path.join(process.cwd(), 'data');
+      db = new OrchestrationDB({ dataDir });
+    }
+    db.appendAuditEntry({
+      channel: 'cli',
+      action: `tokens ${action}`,
+      actorSource: 'cli',
+      ...entry
+    });
+  } catch (error) {
+    console.warn(`[tokens] Failed to record audit entry: ${error.message}`);
+  } finally {
+    if (ownsDb && db) {
+      db.close();
+    }
+  }
+}
+
+async function handleTokensCommand(rawArgs = [], dependencies = {}) {
+  const options = parseTokensArgs(rawArgs);
+  if (options.help) {
+    printTokensUsage();
+    return;
+  }
+
+  const storeOptions = dependencies.tokenStoreOptions || {};
+  if (options.action === 'mint') {
+    const startedAt = Date.now();
+    const args = { name: options.name, scopes: options.scopes, expiresAt: options.expiresAt };
+    let minted;
+    try {
+      minted = mintApiToken(args, storeOptions);
+    } catch (error) {
+      recordTokenAuditEntry('mint', { args, outcome: 'error', error, durationMs: Date.now() - startedAt }, storeOptions, dependencies);
+      throw error;
+    }
+    const { token, record } = minted;
+    recordTokenAuditEntry('mint', {
+      args: { ...args, scopes: record.scopes, expiresAt: record.expiresAt },
+      tokenName: record.name,
+      tokenId: record.id,
+      outcome: 'success',
+      durationMs: Date.now() - startedAt
+    }, storeOptions, dependencies);
+    if (options.json) {
+      console.log(JSON.stringify({ token, ...record }, null, 2));
+      return;
+    }
+    console.log(`Minted token ${record.name} (${record.id})`);
+    console.log(`  scopes: ${record.scopes.join(', ')}`);
+    console.log(`  expires: ${formatTokenTimestamp(record.expiresAt)}`);
+    console.log('');
+    console.log(`  ${token}`);
+    console.log('');
+    console.log('The token is shown once. Send it as Authorization: Bearer <token>.');
+    return;
+  }
+
+  if (options.action === 'revoke') {
+    const startedAt = Date.now();
+    let record;
+    try {
+      record = revokeApiToken(options.name, storeOptions);
+    } catch (error) {
+      recordTokenAuditEntry('revoke', { args: { name: options.name }, outcome: 'error', error, durationMs: Date.now() - startedAt }, storeOptions, dependencies);
+      throw error;
+    }
+    recordTokenAuditEntry('revoke', {
+      args: { name: options.name },
+      tokenName: record.name,
+      tokenId: record.id,
+      outcome: 'success',
+      durationMs: Date.now() - startedAt
+    }, storeOptions, dependencies);
+    if (options.json) {
+      console.log(JSON.stringify(record, null, 2));
+      return;
+    }
+    console.log(`Revoked token ${record.name} (${record.id})`);
+    return;
+  }
+
+  const tokens = listApiTokens({ ...storeOptions, includeInactive: options.all });
+  if (options.json) {
+    console.log(JSON.stringify({ tokens }, null, 2));
+    return;
+  }
+  if (tokens.length === 0) {
+    console.log(options.all ? 'No API tokens.' : 'No active API tokens.');
+    return;
+  }
+  for (const record of tokens) {
+    console.log(`${record.name}  ${record.id}  ${record.prefix}...`);
+    console.log(`  ${record.status}  scopes: ${record.scopes.join(', ')}  created: ${formatTokenTimestamp(record.createdAt)}  expires: ${formatTokenTimestamp(record.expiresAt)}`);
+  }
+}
+
+const AUDIT_EXPORT_PAGE_SIZE = 1000;
+
+/**
+ * Parse --since/--until as a look-back duration (90m, 12h, 30d, 2w) or a date.
+ */
+function parseAuditTime(value, flag, now = Date.now()) {
+  const raw = String(value || '').trim();
+  const duration = raw.match(/^(\d+)([mhdw])$/i);
+  if (duration) {
+    return now - Number(duration[1]) * TOKEN_TTL_UNITS_MS[duration[2].toLowerCase()];
+  }
+  const date = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+  if (!raw || !Number.isFinite(date)) {
+    throw new Error(`Invalid ${flag} value; expected a duration such as 12h, 30d, 2w or a date`);
+  }
+  return date;
+}
+
+function parseAuditArgs(rawArgs = [], now = Date.now()) {
+  const args = [...rawArgs];
+  const parsed = {
+    action: 'list',
+    since: null,
+    until: null,
+    tokenName: null,
+    channel: null,
+    outcome: null,
+    tool: null,
+    pathPrefix: null,
+    limit: 50,
+    format: 'ndjson',
+    output: null,
+    file: null,
+    json: false
+  };
+
+  if (args[0] && !args[0].startsWith('-')) {
+    parsed.action = args.shift();
+  }
+  if (!['list', 'export', 'verify'].includes(parsed.action)) {
+    throw new Error(`Unknown audit action: ${parsed.action}`);
+  }
+
+  while (args.length > 0) {
+    const token = args.shift();
+    switch (token) {
+      case '--since':
+        parsed.since = parseAuditTime(args.shift(), '--since', now);
+        break;
+      case '--until':
+        parsed.until = parseAuditTime(args.shift(), '--until', now);
+        break;
+      case '--token':
+        parsed.tokenName = String(args.shift() || '').trim() || null;
+        break;
+      case '--channel':
+        parsed.channel = String(args.shift() || '').trim().toLowerCase();
+        if (!['http', 'mcp', 'ws', 'cli'].includes(parsed.channel)) {
+          throw new Error('Invalid --channel value; expected http, mcp, ws, or cli');
+        }
+        break;
+      case '--outcome':
+        parsed.outcome = String(args.shift() || '').trim().toLowerCase();
+        if (!['success', 'error', 'denied'].includes(parsed.outcome)) {
+          throw new Error('Invalid --outcome value; expected success, error, or denied');
+        }
+        break;
+      case '--tool':
+        parsed.tool = String(args.shift() || '').trim() || null;
+        break;
+      case '--path':
+        parsed.pathPrefix = String(args.shift() || '').trim() || null;
+        break;
+      case '--limit': {
+        const value = Number.parseInt(String(args.shift() || '').trim(), 10);
+        if (!Number.isFinite(value) || value < 1) {
+          throw new Error('Invalid --limit value; expected a positive integer');
+        }
+        parsed.limit = value;
+        break;
+      }
+      case '--format':
+        parsed.format = String(args.shift() || '').trim().toLowerCase();
+        if (!['ndjson', 'json'].includes(parsed.format)) {
+          throw new Error('Invalid --format value; expected ndjson or json');
+        }
+        break;
+      case '--output':
+      case '-o':
+        parsed.output = path.resolve(String(args.shift() || ''));
+        break;
+      case '--file':
+        parsed.file = path.resolve(String(args.shift() || ''));
+        break;
+      case '--json':
+        parsed.json = true;
+        break;
+      case '--help':
+      case '-h':
+        parsed.help = true;
+        break;
+      default:
+        throw new Error(`Unknown audit argument: ${token}`);
+    }
+  }
+
+  return parsed;
+}
+
+function printAuditUsage() {
+  console.log('Usage: cliagents audit [list] [filters] [--limit <n>] [--json]');
+  console.log('   or: cliagents audit export [--since <when>] [--until <when>] [--format ndjson|json] [--output <file>]');
+  console.log('   or: cliagents audit verify [--file <export>]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --since <ttl|date>            Entries newer than 12h, 30d, ... ago or a date');
+  console.log('  --until <ttl|date>            Entries older than this');
+  console.log('  --token <name>                list: only calls made with this API token');
+  console.log('  --channel <http|mcp|ws|cli>   list: only HTTP requests, MCP tool calls, WebSocket sessions, or CLI actions');
+  console.log('  --outcome <outcome>           list: success, error, or denied');
+  console.log('  --tool <name>                 list: only this MCP tool');
+  console.log('  --path <prefix>               list: only HTTP paths starting with prefix');
+  console.log('  --limit <n>                   list: newest n entries (default 50)');
+  console.log('  --format <ndjson|json>        export: output format (default ndjson)');
+  console.log('  --output <file>               export: write to a file instead of stdout');
+  console.log('  --file <export>               verify: check an exported file instead of the broker');
+  console.log('  --json                        Emit JSON instead of text');
+}
+
+function buildAuditQuery(options, extra = {}) {
+  const query = new URLSearchParams();
+  const params = {
+    since: options.since,
+    until: options.until,
+    token_name: options.tokenName,
+    channel: options.channel,
+    outcome: options.outcome,
+    tool: options.tool,
+    path_prefix: options.pathPrefix,
+    ...extra
+  };
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== null && value !== undefined && value !== '') {
+      query.set(key, String(value));
+    }
+  }
+  return query.toString();
+}
+
+function formatAuditEntry(entry) {
+  const who = entry.tokenName || entry.actorSource || 'anonymous';
+  const status = entry.statusCode ? ` ${entry.statusCode}` : '';
+  const lines = [`#${entry.seq}  ${new Date(entry.createdAt).toISOString()}  ${entry.channel}  ${entry.action}`];
+  lines.push(`  ${entry.outcome}${status}  by: ${who}${entry.durationMs !== null ? `  ${entry.durationMs}ms` : ''}`);
+  if (entry.error) {
+    lines.push(`  error: ${entry.error}`);
+  }
+  return lines.join('\n');
+}
+
+// Accepts both export formats: NDJSON lines or a { entries } document
+function readAuditExportFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8').trim();
+  if (!raw) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed.entries) ? parsed.entries : [parsed];
+  } catch {
+    return raw.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+  }
+}
+
+async function handleAuditCommand(rawArgs = [], dependencies = {}) {
+  const options = parseAuditArgs(rawArgs);
+  if (options.help) {
+    printAuditUsage();
+    return;
+  }
+
+  const callJson = dependencies.callCliagentsJson || callCliagentsJson;
+  const write = dependencies.write || ((text) => process.stdout.write(text));
+
+  if (options.action === 'verify') {
+    let result;
+    if (options.file) {
+      const entries = readAuditExportFile(options.file);
+      // An export that starts mid-log can only be checked from its first entry on
+      const fromGenesis = entries.length === 0 || entries[0].seq === 1;
+      result = {
+        ...verifyAuditEntries(entries, fromGenesis ? {} : { prevHash: entries[0].prevHash }),
+        source: options.file,
+        fromGenesis
+      };
+    } else {
+      result = await callJson('/orchestration/audit/verify');
+    }
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (result.valid) {
+      console.log(`Audit chain intact: ${result.checked} entr${result.checked === 1 ? 'y' : 'ies'} verified`);
+      if (result.fromGenesis === false) {
+        console.log('  (export does not start at the first entry; earlier entries were not checked)');
+      }
+    } else {
+      console.log(`Audit chain broken at #${result.brokenAt.seq} (${result.brokenAt.entryId}): ${result.brokenAt.reason}`);
+      console.log(`  ${result.checked} entr${result.checked === 1 ? 'y' : 'ies'} verified before the break`);
+    }
+    if (!result.valid) {
+      throw new Error('audit chain verification failed');
+    }
+    return;
+  }
+
+  if (options.action === 'export') {
+    // Exports are contiguous seq ranges so the chain can be verified offline
+    const exportOptions = { since: options.since, until: options.until };
+    const entries = [];
+    let afterSeq = null;
+    let exported = 0;
+    if (options.output) {
+      fs.writeFileSync(options.output, '', { mode: 0o600 });
+    }
+    const emit = (text) => (options.output ? fs.appendFileSync(options.output, text) : write(text));
+    for (;;) {
+      const page = await callJson(`/orchestration/audit?${buildAuditQuery(exportOptions, {
+        order: 'asc',
+        limit: AUDIT_EXPORT_PAGE_SIZE,
+        after_seq: afterSeq
+      })}`);
+      if (options.format === 'ndjson') {
+        emit(page.entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+      } else {
+        entries.push(...page.entries);
+      }
+      exported += page.entries.length;
+      if (!page.pagination.hasMore) {
+        break;
+      }
+      afterSeq = page.pagination.nextAfterSeq;
+    }
+    if (options.format === 'json') {
+      emit(`${JSON.stringify({ entries }, null, 2)}\n`);
+    }
+    if (options.output) {
+      console.log(`Exported ${exported} audit entr${exported === 1 ? 'y' : 'ies'} to ${options.output}`);
+    }
+    return;
+  }
+
+  const result = await callJson(`/orchestration/audit?${buildAuditQuery(options, { limit: options.limit })}`);
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  if (result.entries.length === 0) {
+    console.log('No audit entries found.');
+    return;
+  }
+  for (const entry of result.entries) {
+    console.log(formatAuditEntry(entry));
+  }
+}
+
+function parseUsageArgs(rawArgs = [], now = Date.now()) {
+  const args = [...rawArgs];
+  const parsed = {
+    action: null,
+    since: null,
+    until: null,
+    adapter: null,
+    rootSessionId: null,
+    dryRun: false,
+    json: false
+  };
+
+  if (args[0] && !args[0].startsWith('-')) {
+    parsed.action = args.shift();
+  }
+
+  while (args.length > 0) {
+    const token = args.shift();
+    switch (token) {
+      case '--since':
+        parsed.since = parseAuditTime(args.shift(), '--since', now);
+        break;
+      case '--until':
+        parsed.until = parseAuditTime(args.shift(), '--until', now);
+        break;
+      case '--adapter':
+        parsed.adapter = String(args.shift() || '').trim() || null;
+        break;
+      case '--root':
+      case '--root-session-id':
+        parsed.rootSessionId = String(args.shift() || '').trim() || null;
+        break;
+      case '--dry-run':
+        parsed.dryRun = true;
+        break;
+      case '--json':
+        parsed.json = true;
+        break;
+      case '--help':
+      case '-h':
+        parsed.help = true;
+        break;
+      default:
+        throw new Error(`Unknown usage argument: ${token}`);
+    }
+  }
+
+  if (!parsed.help && !['prices', 'recompute-costs'].includes(parsed.action)) {
+    throw new Error(parsed.action ? `Unknown usage action: ${parsed.action}` : 'usage requires an action');
+  }
+  return parsed;
+}
+
+function printUsageCommandUsage() {
+  console.log('Usage: cliagents usage prices [--json]');
+  console.log('   or: cliagents usage recompute-costs [--since <when>] [--until <when>] [--adapter <adapter>] [--root <id>] [--dry-run]');
+  console.log('');
+  console.log('Options:');
+  console.log('  --since <ttl|date>            recompute-costs: records newer than 12h, 30d, ... ago or a date');
+  console.log('  --until <ttl|date>            recompute-costs: records older than this');
+  console.log('  --adapter <adapter>           recompute-costs: only this adapter');
+  console.log('  --root <id>                   recompute-costs: only this root session');
+  console.log('  --dry-run                     recompute-costs: report changes without writing them');
+  console.log('  --json                        Emit JSON instead of text');
+}
+
+function formatUsd(value) {
+  return `$${Number(value || 0).toFixed(4)}`;
+}
+
+async function handleUsageCommand(rawArgs = [], dependencies = {}) {
+  const options = parseUsageArgs(rawArgs);
+  if (options.help) {
+    printUsageCommandUsage();
+    return;
+  }
+
+  const callJson = dependencies.callCliagentsJson || callCliagentsJson;
+  if (options.action === 'prices') {
+    const result = await callJson('/orchestration/usage/prices');
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    console.log(`Price table ${result.priceTableVersion || '(none)'}${result.source ? ` from ${result.source}` : ''}`);
+    for (const entry of result.prices) {
+      const rates = [
+        `in ${entry.inputPerMillion ?? '-'}`,
+        `cached ${entry.cachedInputPerMillion ?? '-'}`,
+        `out ${entry.outputPerMillion ?? '-'}`,
+        `reasoning ${entry.reasoningPerMillion ?? '-'}`
+      ].join('  ');
+      console.log(`  ${entry.adapter} ${entry.model}  ${rates}  (USD/1M tokens, from ${entry.effectiveFrom.slice(0, 10)}${entry.effectiveUntil ? ` until ${entry.effectiveUntil.slice(0, 10)}` : ''})`);
+    }
+    return;
+  }
+
+  const result = await callJson('/orchestration/usage/recompute-costs', {
+    method: 'POST',
+    body: {
+      since: options.since ?? undefined,
+      until: options.until ?? undefined,
+      adapter: options.adapter ?? undefined,
+      rootSessionId: options.rootSessionId ?? undefined,
+      dryRun: options.dryRun
+    }
+  });
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  const verb = result.dryRun ? 'Would update' : 'Updated';
+  console.log(`${verb} ${result.updated} of ${result.scanned} usage record${result.scanned === 1 ? '' : 's'} with price table ${result.priceTableVersion}`);
+  console.log(`  estimated cost: ${formatUsd(result.estimatedCostUsdBefore)} -> ${formatUsd(result.estimatedCostUsdAfter)}`);
+  for (const budget of result.budgets || []) {
+    console.log(`  budget ${budget.id} (${budget.scopeType} ${budget.scopeId}): ${budget.state}`);
+  }
+}
+
 function parseConsoleArgs(rawArgs = []) {
   const args = [...rawArgs];
   const parsed = {
@@ -1753,6 +2456,74 @@ async function handleTrimHistoryCommand(rawArgs = [], dependencies = {}, default
   console.log('  preserved: broker logs, persisted messages, database records');
 }
 
+async function handleWorktreesCommand(rawArgs = [], dependencies = {}) {
+  const options = parseWorktreesArgs(rawArgs);
+  if (options.help) {
+    printWorktreesUsage();
+    return;
+  }
+
+  const callJson = dependencies.callCliagentsJson || callCliagentsJson;
+  if (options.action === 'prune') {
+    const result = await callJson('/orchestration/worktrees/prune', {
+      method: 'POST',
+      body: {
+        dryRun: options.dryRun,
+        minIdleHours: options.minIdleHours ?? undefined,
+        maxTotalBytes: options.maxTotalBytes || undefined,
+        includeUnowned: options.includeUnowned,
+        force: options.force,
+        repoRoot: options.repoRoot || undefined,
+        taskId: options.taskId || undefined
+      }
+    });
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    console.log(result.dryRun ? 'Worktree Prune Plan (dry run)' : 'Worktrees Pruned');
+    for (const entry of result.pruned) {
+      console.log(`  - ${entry.worktreePath} [${entry.disposition}, ${entry.trigger}] ${formatByteSize(entry.sizeBytes)}`);
+    }
+    for (const entry of result.failed) {
+      console.log(`  ! ${entry.worktreePath}: ${entry.error}`);
+    }
+    console.log(`  pruned: ${result.pruned.length}, kept: ${result.kept.length}, failed: ${result.failed.length}`);
+    console.log(`  reclaimed: ${formatByteSize(result.reclaimedBytes)}, remaining: ${formatByteSize(result.remainingBytes)}`);
+    if (result.quotaExceeded) {
+      console.log(`  quota of ${formatByteSize(result.policy.maxTotalBytes)} is still exceeded`);
+    }
+    return;
+  }
+
+  const query = new URLSearchParams({ status: options.status });
+  if (options.repoRoot) {
+    query.set('repoRoot', options.repoRoot);
+  }
+  if (options.taskId) {
+    query.set('taskId', options.taskId);
+  }
+  if (options.measure) {
+    query.set('measure', 'true');
+  }
+  const result = await callJson(`/orchestration/worktrees?${query.toString()}`);
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  if (result.worktrees.length === 0) {
+    console.log('No worktrees found.');
+    return;
+  }
+  for (const entry of result.worktrees) {
+    const owner = entry.taskAssignmentId ? `${entry.taskId}/${entry.taskAssignmentId}` : 'unowned';
+    const idleHours = entry.idleMs === null ? 'n/a' : `${(entry.idleMs / 3600000).toFixed(1)}h`;
+    console.log(`${entry.worktreePath}`);
+    console.log(`  ${entry.disposition}  branch: ${entry.branch || 'n/a'}  owner: ${owner}  size: ${formatByteSize(entry.sizeBytes)}  idle: ${idleHours}${entry.dirty ? '  dirty' : ''}`);
+  }
+  console.log(`${result.summary.existing} worktree(s) on disk, ${formatByteSize(result.summary.sizeBytes)} measured`);
+}
+
 async function getManagedRootResumeCandidate(rootSessionId, options = {}, dependencies = {}) {
   if (!rootSessionId) {
     return null;
@@ -2754,6 +3525,10 @@ module.exports = {
   handleListRootsCommand,
   handleAttachRootCommand,
   handleTrimHistoryCommand,
+  handleWorktreesCommand,
+  handleTokensCommand,
+  handleAuditCommand,
+  handleUsageCommand,
   handleAdoptCommand,
   handleConsoleCommand,
   handleServeCommand,
@@ -2764,6 +3539,10 @@ module.exports = {
   parseAdoptArgs,
   parseAttachRootArgs,
   parseTrimHistoryArgs,
+  parseWorktreesArgs,
+  parseTokensArgs,
+  parseAuditArgs,
+  parseUsageArgs,
   parseConsoleArgs,
   parseListRootsArgs,
   parseServeArgs,
@@ -2775,10 +3554,12 @@ module.exports = {
   createServer: (options = {}) => new AgentServer(options),
 
   // Create standalone session manager (without HTTP server)
-  // Register the active broker adapters
+  // Register the active broker adapters, those enabled in config/adapters.json and adapter plugins
   createSessionManager: (options = {}) => {
     const manager = new SessionManager(options);
     registerActiveAdapters(manager, options);
+    registerConfiguredAdapters(manager, options);
+    registerAdapterPlugins(manager, options);
 
     return manager;
   }
@@ -2824,11 +3605,31 @@ if (require.main === module) {
     return;
   }
 
+  if (command === 'worktrees') {
+    runCliCommand(handleWorktreesCommand(args.slice(1)), 'worktrees');
+    return;
+  }
+
   if (command === 'console') {
     runCliCommand(handleConsoleCommand(args.slice(1)), 'console');
     return;
   }
 
+  if (command === 'tokens') {
+    runCliCommand(handleTokensCommand(args.slice(1)), 'tokens');
+    return;
+  }
+
+  if (command === 'audit') {
+    runCliCommand(handleAuditCommand(args.slice(1)), 'audit');
+    return;
+  }
+
+  if (command === 'usage') {
+    runCliCommand(handleUsageCommand(args.slice(1)), 'usage');
+    return;
+  }
+
   if (command === 'root' && args[1] === 'attach') {
     runCliCommand(handleAttachRootCommand(args.slice(2)), 'root attach');
     return;
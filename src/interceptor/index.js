@@ -35,7 +35,8 @@ const {
   ClaudeCodePromptParser,
   GeminiPromptParser,
   CodexPromptParser,
-  getParser
+  getParser,
+  registerParser
 } = require('./prompt-parsers');
 
 module.exports = {
@@ -50,5 +51,6 @@ module.exports = {
   ClaudeCodePromptParser,
   GeminiPromptParser,
   CodexPromptParser,
-  getParser
+  getParser,
+  registerParser
 };
@@ -379,10 +379,27 @@ class CodexPromptParser extends BasePromptParser {
   }
 }
 
+/**
+ * Parser classes registered at runtime (adapter plugins), by adapter name
+ */
+const PARSER_REGISTRY = {};
+
+/**
+ * Register a prompt parser for an adapter
+ * @param {string} adapter - Adapter name
+ * @param {Class} ParserClass - Parser class (must extend BasePromptParser)
+ */
+function registerParser(adapter, ParserClass) {
+  PARSER_REGISTRY[adapter] = ParserClass;
+}
+
 /**
  * Factory to get parser for an adapter
  */
 function getParser(adapter) {
+  if (Object.prototype.hasOwnProperty.call(PARSER_REGISTRY, adapter)) {
+    return new PARSER_REGISTRY[adapter](adapter);
+  }
   switch (adapter) {
     case 'claude-code':
       return new ClaudeCodePromptParser();
@@ -408,5 +425,6 @@ module.exports = {
   ClaudeCodePromptParser,
   GeminiPromptParser,
   CodexPromptParser,
-  getParser
+  getParser,
+  registerParser
 };
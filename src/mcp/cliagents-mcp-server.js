@@ -218,6 +218,23 @@ async function callCliagents(method, path, body = null, requestTimeout = 600000)
   });
 }
 
+const AUDIT_REPORT_TIMEOUT_MS = 5000;
+
+// Report a tool invocation to the broker audit log; never fails the tool call
+async function recordToolAudit(toolCall, outcome, error = null) {
+  try {
+    await callCliagents('POST', '/orchestration/audit/mcp', {
+      tool: String(toolCall.name || 'unknown'),
+      arguments: toolCall.args && typeof toolCall.args === 'object' ? toolCall.args : null,
+      outcome,
+      error,
+      durationMs: Date.now() - toolCall.startedAt
+    }, AUDIT_REPORT_TIMEOUT_MS);
+  } catch {
+    // Broker unreachable; the tool result still goes back to the client
+  }
+}
+
 // Retry wrapper for quick operations (shared memory, etc.)
 async function callWithRetry(method, path, body = null, maxRetries = 3, timeout = 30000) {
   let lastError;
@@ -1427,21 +1444,22 @@ Timeout presets: "simple" (3 min), "standard" (10 min, default), "complex" (30 m
     name: 'run_workflow',
     description: `Execute a predefined multi-agent workflow. Launches multiple subagents (Gemini + Codex + Qwen) in parallel or sequence.
 
-Available workflows:
+Built-in workflows:
 - code-review: 3 PARALLEL agents — architecture/challenge (qwen-cli) + security/research (gemini-cli) + implementation review (codex-cli)
 - feature: SEQUENTIAL — plan (qwen) → implement (codex) → test (codex)
 - bugfix: SEQUENTIAL — research (gemini) → fix (codex) → test (codex)
 - full-cycle: Plan → implement → review → test → fix
 - research: research (gemini) → document (qwen)
 
-**ALWAYS use wait=false** (default). Workflows take 2-10 min. Returns terminal IDs to monitor with check_tasks_status or wait_for_tasks.`,
+Project (.cliagents/workflows/) and personal (~/.cliagents/workflows/) workflow definitions are also accepted; use list_workflows to see them.
+
+**ALWAYS use wait=false** (default). Workflows take 2-10 min. Built-in fan-out workflows return terminal IDs to monitor with check_tasks_status or wait_for_tasks. full-cycle and project or personal workflows (including ones that shadow a built-in name) start on the broker's step executor and return a workflow ID to monitor with get_workflow_status.`,
     inputSchema: {
       type: 'object',
       properties: {
         workflow: {
           type: 'string',
-          description: 'Workflow name',
-          enum: ['code-review', 'feature', 'bugfix', 'full-cycle', 'research']
+          description: 'Workflow name (built-in or a definition listed by list_workflows)'
         },
         message: {
           type: 'string',
@@ -1486,6 +1504,84 @@ Available workflows:
       required: ['workflow', 'message']
     }
   },
+  {
+    name: 'list_workflows',
+    description: `List workflows that run_workflow can execute.
+
+Workflows are discovered from three locations (in priority order):
+1. Project workflows: .cliagents/workflows/*.yaml|*.yml|*.json
+2. Personal workflows: ~/.cliagents/workflows/
+3. Built-in workflows bundled with cliagents
+
+Definition files that fail validation are listed with their errors.`,
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'get_workflow_status',
+    description: `Get the status of a workflow execution started by run_workflow (wait=true) or POST /orchestration/workflows/:name.
+
+Shows executed steps and every branch/loop/goto/condition decision. Workflow executions are persisted, so this also works for workflows interrupted by a broker restart.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workflowId: {
+          type: 'string',
+          description: 'Workflow execution ID (wf-...)'
+        }
+      },
+      required: ['workflowId']
+    }
+  },
+  {
+    name: 'resume_workflow',
+    description: `Resume an interrupted, failed, or cancelled workflow execution from its last completed step.
+
+Completed steps are replayed from stored results; only the remaining steps start new agents. By default the tool returns once the resume has started; use get_workflow_status to follow progress, or set wait=true to block until the workflow finishes.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workflowId: {
+          type: 'string',
+          description: 'Workflow execution ID (wf-...)'
+        },
+        reason: {
+          type: 'string',
+          description: 'Optional note recorded with the resume'
+        },
+        wait: {
+          type: 'boolean',
+          description: 'Wait for the workflow to finish (default: false)'
+        },
+        timeout: {
+          type: 'string',
+          enum: ['simple', 'standard', 'complex'],
+          description: 'Wait timeout tier when wait=true (default: complex)'
+        }
+      },
+      required: ['workflowId']
+    }
+  },
+  {
+    name: 'cancel_workflow',
+    description: 'Cancel a workflow execution. A running workflow stops before its next step; interrupted workflows are marked cancelled immediately. Cancelled workflows can be resumed later with resume_workflow.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workflowId: {
+          type: 'string',
+          description: 'Workflow execution ID (wf-...)'
+        },
+        reason: {
+          type: 'string',
+          description: 'Optional cancellation reason'
+        }
+      },
+      required: ['workflowId']
+    }
+  },
   {
     name: 'run_discussion',
     description: `Run a bounded multi-round discussion across multiple agents and optionally judge the result. Use this for structured debate, consensus building, or pushing multiple agents to challenge each other before deciding next steps.
@@ -2242,6 +2338,56 @@ This calls cliagents' direct-session discussion route and returns the completed
       required: ['scopeId']
     }
   },
+  {
+    name: 'search_memory',
+    description: 'Full-text search across durable memory: terminal messages, room messages, findings, context summaries, memory snapshots, and root output. Returns ranked hits with highlighted snippets and the root/task/terminal each came from. Use it to answer "where did we decide X".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Words to search for. Words are ANDed; use "quoted text" for a phrase, word* for a prefix, and OR between alternatives.'
+        },
+        sources: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['messages', 'room_messages', 'findings', 'context', 'memory_snapshots', 'root_io_events']
+          },
+          description: 'Limit the search to these sources. Default: all'
+        },
+        rootSessionId: {
+          type: 'string',
+          description: 'Only hits from this root session'
+        },
+        taskId: {
+          type: 'string',
+          description: 'Only hits from this task'
+        },
+        terminalId: {
+          type: 'string',
+          description: 'Only hits from this terminal'
+        },
+        since: {
+          type: 'integer',
+          description: 'Only hits created at or after this epoch-millisecond timestamp'
+        },
+        sort: {
+          type: 'string',
+          enum: ['relevance', 'recent'],
+          description: 'Order hits by relevance or newest first. Default: relevance'
+        },
+        limit: {
+          type: 'integer',
+          description: 'Maximum hits to return (max 50). Default: 10',
+          default: 10,
+          minimum: 1,
+          maximum: 50
+        }
+      },
+      required: ['query']
+    }
+  },
   {
     name: 'get_message_window',
     description: 'Get durable message history for a terminal, root session, or trace. Exactly one selector is required.',
@@ -2309,6 +2455,11 @@ This calls cliagents' direct-session discussion route and returns the completed
           type: 'string',
           description: 'Optional root session to associate with the task.'
         },
+        verify: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Optional verify commands (tests, lint) each assignment must pass in its worktree before integration.'
+        },
         metadata: {
           type: 'object',
           description: 'Optional task metadata.'
@@ -2416,6 +2567,25 @@ This calls cliagents' direct-session discussion route and returns the completed
           type: 'string',
           description: 'Optional acceptance criteria for the assignment.'
         },
+        dependsOn: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Optional upstream assignment IDs in the same task. The assignment starts automatically once every upstream meets dependencyCondition.'
+        },
+        dependencyCondition: {
+          type: 'string',
+          enum: ['completed', 'integrated'],
+          description: 'What each upstream must reach before this assignment starts. Default completed.'
+        },
+        autoStart: {
+          type: 'boolean',
+          description: 'Set false to keep a dependent assignment queued for a manual start once its dependencies are met. Default true.'
+        },
+        verify: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Optional verify commands for this assignment; replaces the task verify commands. An empty list opts out.'
+        },
         metadata: {
           type: 'object',
           description: 'Optional assignment metadata.'
@@ -2512,7 +2682,57 @@ This calls cliagents' direct-session discussion route and returns the completed
         assignmentId: { type: 'string', description: 'Assignment ID to integrate.' },
         mergeTarget: { type: 'string', description: 'Optional merge target override.' },
         force: { type: 'boolean', description: 'Allow integration before branchStatus is accepted.' },
-        completeAssignment: { type: 'boolean', description: 'Whether integration should mark the assignment completed. Default true.' }
+        completeAssignment: { type: 'boolean', description: 'Whether integration should mark the assignment completed. Default true.' },
+        onConflict: {
+          type: 'string',
+          enum: ['fail', 'record', 'resolve'],
+          description: 'Merge conflict handling: fail aborts (default), record keeps the conflicted merge on a scratch worktree, resolve also spawns a resolver child there.'
+        },
+        checkCommand: { type: 'string', description: 'Command that must pass in the scratch worktree before a resolved merge is completed.' },
+        resolverAdapter: { type: 'string', description: 'Optional adapter for the conflict resolver child.' },
+        discardConflict: { type: 'boolean', description: 'Discard a pending merge conflict scratch worktree and retry integration.' }
+      },
+      required: ['taskId', 'assignmentId']
+    }
+  },
+  {
+    name: 'get_task_assignment_diff',
+    description: 'Review an assignment branch without opening its worktree: per-file unified diff against the point it forked from, with renames and binary files marked. Paginated by file.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID that owns the assignment.' },
+        assignmentId: { type: 'string', description: 'Assignment ID to diff.' },
+        path: { type: 'string', description: 'Optional single file to show.' },
+        offset: { type: 'integer', description: 'Number of changed files to skip. Default 0.' },
+        limit: { type: 'integer', description: 'Changed files per page (max 100). Default 20.' },
+        base: { type: 'string', description: 'Optional base ref override. Defaults to the recorded base commit or branch.' },
+        maxBytes: { type: 'integer', description: 'Per-file patch cap in bytes. Default 65536.' }
+      },
+      required: ['taskId', 'assignmentId']
+    }
+  },
+  {
+    name: 'verify_task_assignment',
+    description: 'Run an assignment\'s verify commands (tests, lint) in its worktree and record the exit codes and output. Integration requires a passing verification of the branch head.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID that owns the assignment.' },
+        assignmentId: { type: 'string', description: 'Assignment ID to verify.' }
+      },
+      required: ['taskId', 'assignmentId']
+    }
+  },
+  {
+    name: 'complete_task_assignment_integration',
+    description: 'Complete a conflicted assignment integration after its scratch worktree is resolved: run the check command, commit the merge, and fast-forward the merge target.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: { type: 'string', description: 'Task ID that owns the assignment.' },
+        assignmentId: { type: 'string', description: 'Assignment ID with a pending merge conflict.' },
+        checkCommand: { type: 'string', description: 'Optional check command override.' }
       },
       required: ['taskId', 'assignmentId']
     }
@@ -3293,26 +3513,28 @@ async function handleRunWorkflow(args) {
     throw new Error(buildRootAttachRequiredMessage('run_workflow'));
   }
 
+  const workflowBody = {
+    message,
+    model,
+    modelsByAdapter,
+    workingDirectory,
+    rootSessionId: rootContext?.rootSessionId,
+    parentSessionId: rootContext?.rootSessionId,
+    sessionKind: 'workflow',
+    originClient: rootContext?.originClient,
+    externalSessionRef: rootContext?.externalSessionRef,
+    lineageDepth: rootContext ? 1 : undefined,
+    sessionMetadata: rootContext ? {
+      ...rootContext.sessionMetadata,
+      toolName: 'run_workflow'
+    } : undefined,
+    preferReuse,
+    forceFreshSession
+  };
+
   if (wait) {
     // Synchronous mode - wait for full completion (may timeout for long workflows)
-    const res = await callCliagents('POST', `/orchestration/workflows/${workflow}`, {
-      message,
-      model,
-      modelsByAdapter,
-      workingDirectory,
-      rootSessionId: rootContext?.rootSessionId,
-      parentSessionId: rootContext?.rootSessionId,
-      sessionKind: 'workflow',
-      originClient: rootContext?.originClient,
-      externalSessionRef: rootContext?.externalSessionRef,
-      lineageDepth: rootContext ? 1 : undefined,
-      sessionMetadata: rootContext ? {
-        ...rootContext.sessionMetadata,
-        toolName: 'run_workflow'
-      } : undefined,
-      preferReuse,
-      forceFreshSession
-    }, httpTimeout);
+    const res = await callCliagents('POST', `/orchestration/workflows/${workflow}`, workflowBody, httpTimeout);
 
     maybeThrowRootAttachError(res, 'run_workflow');
     if (res.status !== 200) {
@@ -3321,13 +3543,17 @@ async function handleRunWorkflow(args) {
 
     const results = res.data.results || [];
     const formattedResults = results.map(r =>
-      `### ${r.profile} (${r.type})\n${r.output || 'No output'}`
+      `### ${r.profile} (${r.type})\n${r.output || r.error || 'No output'}`
     ).join('\n\n---\n\n');
+    const decisions = res.data.decisions || [];
+    const formattedDecisions = decisions.length > 0
+      ? `Decisions:\n${decisions.map((d) => `- ${d.stepId || d.path} ${d.kind}${d.expression ? ` (${d.expression})` : ''}: ${d.outcome}`).join('\n')}\n\n`
+      : '';
 
     return {
       content: [{
         type: 'text',
-        text: `## Workflow: ${workflow}\n\nStatus: ${res.data.status}\n\n${formattedResults}`
+        text: `## Workflow: ${workflow}\n\nStatus: ${res.data.status}\n\n${formattedDecisions}${formattedResults}`
       }]
     };
   }
@@ -3356,32 +3582,43 @@ async function handleRunWorkflow(args) {
     ]
   };
 
-  const steps = workflowSteps[workflow];
+  // Project and personal definitions may shadow a built-in name, so the
+  // fan-out plans above apply only when the registry resolves to the built-in.
+  const listRes = await callCliagents('GET', '/orchestration/workflows');
+  if (listRes.status !== 200) {
+    throw new Error(`Failed to list workflows: ${JSON.stringify(listRes.data)}`);
+  }
+  const resolved = (Array.isArray(listRes.data) ? listRes.data : [])
+    .find((entry) => entry.name === workflow);
+  const steps = resolved?.source === 'builtin' ? workflowSteps[workflow] : null;
   if (!steps) {
-    throw new Error(`Unknown workflow: ${workflow}. Use wait=true for full-cycle workflow.`);
+    // Everything else (full-cycle and user-defined workflows) needs the
+    // broker's sequencing; start it there and return without waiting.
+    const startRes = await callCliagents('POST', `/orchestration/workflows/${encodeURIComponent(workflow)}`, {
+      ...workflowBody,
+      wait: false
+    });
+    maybeThrowRootAttachError(startRes, 'run_workflow');
+    if (startRes.status !== 202) {
+      throw new Error(`Workflow failed to start: ${JSON.stringify(startRes.data)}`);
+    }
+    const started = startRes.data || {};
+    return {
+      content: [{
+        type: 'text',
+        text: `## Workflow Started: ${workflow}\n\n**Mode:** Async (use get_workflow_status to monitor the execution)\n\nworkflow_id: ${started.workflowId}\nstatus: ${started.status || 'running'}\nsource: ${resolved?.source || 'unknown'}\n\nUse \`get_workflow_status({ workflowId: "${started.workflowId}" })\` to follow its steps and decisions.`
+      }]
+    };
   }
 
   // Start all steps in parallel (async)
   const terminalIds = [];
   for (const step of steps) {
     const routeRes = await callCliagents('POST', '/orchestration/route', {
-      message,
+      ...workflowBody,
       forceRole: step.role,
       forceAdapter: step.adapter,
-      model: resolveWorkflowStepModel(step, model, modelsByAdapter),
-      workingDirectory,
-      rootSessionId: rootContext?.rootSessionId,
-      parentSessionId: rootContext?.rootSessionId,
-      sessionKind: 'workflow',
-      originClient: rootContext?.originClient,
-      externalSessionRef: rootContext?.externalSessionRef,
-      lineageDepth: rootContext ? 1 : undefined,
-      sessionMetadata: rootContext ? {
-        ...rootContext.sessionMetadata,
-        toolName: 'run_workflow'
-      } : undefined,
-      preferReuse,
-      forceFreshSession
+      model: resolveWorkflowStepModel(step, model, modelsByAdapter)
     });
 
     maybeThrowRootAttachError(routeRes, 'run_workflow');
@@ -3402,6 +3639,164 @@ async function handleRunWorkflow(args) {
   };
 }
 
+async function handleListWorkflows() {
+  const res = await callCliagents('GET', '/orchestration/workflows?includeErrors=1');
+  if (res.status !== 200) {
+    throw new Error(`Failed to list workflows: ${JSON.stringify(res.data)}`);
+  }
+
+  const workflows = Array.isArray(res.data?.workflows) ? res.data.workflows : [];
+  const errors = Array.isArray(res.data?.errors) ? res.data.errors : [];
+  const bySource = { project: [], personal: [], builtin: [] };
+  for (const workflow of workflows) {
+    (bySource[workflow.source] || bySource.builtin).push(workflow);
+  }
+
+  let output = '# Available Workflows\n\n';
+  for (const [source, sourceWorkflows] of Object.entries(bySource)) {
+    if (sourceWorkflows.length === 0) continue;
+
+    output += `## ${source.charAt(0).toUpperCase() + source.slice(1)} Workflows\n\n`;
+    for (const workflow of sourceWorkflows) {
+      output += `### ${workflow.name}\n`;
+      output += `${workflow.displayName || workflow.name}: ${workflow.description || 'No description'}\n`;
+      output += `Steps: ${workflow.steps}\n`;
+      if (workflow.path) {
+        output += `Path: ${workflow.path}\n`;
+      }
+      output += '\n';
+    }
+  }
+
+  if (errors.length > 0) {
+    output += '## Invalid Definitions\n\n';
+    for (const entry of errors) {
+      output += `- ${entry.path}: ${(entry.errors || []).join('; ')}\n`;
+    }
+    output += '\n';
+  }
+
+  output += `---\nTotal: ${workflows.length} workflows`;
+  if (errors.length > 0) output += `, ${errors.length} invalid definition files`;
+
+  return {
+    content: [{
+      type: 'text',
+      text: output
+    }]
+  };
+}
+
+function formatWorkflowStatus(status) {
+  let output = `## Workflow ${status.workflowId || ''}`.trimEnd() + '\n\n';
+  output += `Name: ${status.name}\n`;
+  output += `Status: ${status.status}\n`;
+  if (status.runId) output += `Run: ${status.runId}\n`;
+  if (status.resumeCount) output += `Resumes: ${status.resumeCount}\n`;
+  if (status.error) output += `Error: ${status.error}\n`;
+
+  const steps = Array.isArray(status.steps) ? status.steps : [];
+  if (steps.length > 0) {
+    output += '\n### Steps\n';
+    for (const step of steps) {
+      const label = step.stepId || step.path;
+      const terminal = step.terminalId ? ` [${step.terminalId}]` : '';
+      output += `- ${label}: ${step.profile} ${step.status}${terminal}${step.error ? ` - ${step.error}` : ''}\n`;
+    }
+  }
+
+  const decisions = Array.isArray(status.decisions) ? status.decisions : [];
+  if (decisions.length > 0) {
+    output += '\n### Decisions\n';
+    for (const decision of decisions) {
+      const expression = decision.expression ? ` (${decision.expression})` : '';
+      output += `- ${decision.stepId || decision.path} ${decision.kind}${expression}: ${decision.outcome}\n`;
+    }
+  }
+
+  return output;
+}
+
+async function handleGetWorkflowStatus(args) {
+  const { workflowId } = args;
+  if (!workflowId) {
+    throw new Error('workflowId is required');
+  }
+
+  const res = await callCliagents('GET', `/orchestration/workflows/${encodeURIComponent(workflowId)}/status`);
+  if (res.status === 404) {
+    throw new Error(`Workflow ${workflowId} not found`);
+  }
+  if (res.status !== 200) {
+    throw new Error(`Failed to get workflow status: ${JSON.stringify(res.data)}`);
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: formatWorkflowStatus({ workflowId, ...res.data })
+    }]
+  };
+}
+
+async function handleResumeWorkflow(args) {
+  const { workflowId, reason, wait = false, timeout = 'complex' } = args;
+  if (!workflowId) {
+    throw new Error('workflowId is required');
+  }
+
+  const timeoutSeconds = TIMEOUTS[timeout] || TIMEOUTS.complex;
+  const res = await callCliagents('POST', `/orchestration/workflows/${encodeURIComponent(workflowId)}/resume`, {
+    reason,
+    wait: wait === true
+  }, wait === true ? (timeoutSeconds + 60) * 1000 : undefined);
+  if (res.status !== 200 && res.status !== 202) {
+    throw new Error(`Failed to resume workflow: ${JSON.stringify(res.data)}`);
+  }
+
+  if (res.status === 202) {
+    return {
+      content: [{
+        type: 'text',
+        text: `${formatWorkflowStatus({ workflowId, ...res.data })}\nResume started. Use get_workflow_status("${workflowId}") to follow progress.`
+      }]
+    };
+  }
+
+  const results = res.data.results || [];
+  const formattedResults = results.map(r =>
+    `### ${r.profile} (${r.type})\n${r.output || r.error || 'No output'}`
+  ).join('\n\n---\n\n');
+  return {
+    content: [{
+      type: 'text',
+      text: `## Workflow: ${res.data.workflowName}\n\nStatus: ${res.data.status}\nResumes: ${res.data.resumeCount || 1}\n\n${formattedResults}`
+    }]
+  };
+}
+
+async function handleCancelWorkflow(args) {
+  const { workflowId, reason } = args;
+  if (!workflowId) {
+    throw new Error('workflowId is required');
+  }
+
+  const res = await callCliagents('POST', `/orchestration/workflows/${encodeURIComponent(workflowId)}/cancel`, { reason });
+  if (res.status !== 200) {
+    throw new Error(`Failed to cancel workflow: ${JSON.stringify(res.data)}`);
+  }
+
+  const pending = res.data.status === 'running'
+    ? '\nCancellation requested; the workflow stops before its next step.'
+    : '';
+  return {
+    content: [{
+      type: 'text',
+      text: `${formatWorkflowStatus({ workflowId, ...res.data })}${pending}`
+    }]
+  };
+}
+
 async function handleListAgents() {
   // Fetch roles and adapters (new v3 API)
   const [rolesRes, adaptersRes] = await Promise.all([
@@ -4778,6 +5173,7 @@ async function handleCreateTask(args) {
     brief: args?.brief || null,
     workspaceRoot: args?.workspaceRoot,
     rootSessionId: args?.rootSessionId || rootContext?.rootSessionId || null,
+    verify: Array.isArray(args?.verify) ? args.verify : undefined,
     metadata: args?.metadata || {}
   });
   if (res.status !== 200) {
@@ -4889,6 +5285,11 @@ async function handleCreateTaskAssignment(args) {
     mergeTarget: args?.mergeTarget || args?.merge_target || null,
     writePaths: Array.isArray(args?.writePaths) ? args.writePaths : (Array.isArray(args?.write_paths) ? args.write_paths : undefined),
     acceptanceCriteria: args?.acceptanceCriteria || null,
+    dependsOn: Array.isArray(args?.dependsOn)
+      ? args.dependsOn.map((assignmentId) => ({ assignmentId, condition: args?.dependencyCondition || 'completed' }))
+      : undefined,
+    autoStart: typeof args?.autoStart === 'boolean' ? args.autoStart : undefined,
+    verify: Array.isArray(args?.verify) ? args.verify : undefined,
     metadata: args?.metadata || {}
   });
   if (res.status !== 200) {
@@ -4912,7 +5313,10 @@ async function handleCreateTaskAssignment(args) {
         assignment.reasoningEffort ? `reasoning_effort: ${assignment.reasoningEffort}` : null,
         assignment.branch?.branchName ? `branch: ${assignment.branch.branchName}` : null,
         assignment.branch?.status ? `branch_status: ${assignment.branch.status}` : null,
-        assignment.branch?.pathLeaseId ? `path_lease_id: ${assignment.branch.pathLeaseId}` : null
+        assignment.branch?.pathLeaseId ? `path_lease_id: ${assignment.branch.pathLeaseId}` : null,
+        Array.isArray(assignment.dependsOn) && assignment.dependsOn.length > 0
+          ? `depends_on: ${assignment.dependsOn.map((dependency) => `${dependency.assignmentId}:${dependency.condition}`).join(', ')}`
+          : null
       ].filter(Boolean).join('\n')
     }]
   };
@@ -4948,6 +5352,9 @@ async function handleListTaskAssignments(args) {
           assignment.adapter ? `adapter=${assignment.adapter}` : null,
           assignment.reasoningEffort ? `effort=${assignment.reasoningEffort}` : null,
           assignment.dispatch?.id ? `dispatch=${assignment.dispatch.id}:${assignment.dispatch.status || 'unknown'}` : null,
+          assignment.dependencyState && assignment.dependencyState !== 'none'
+            ? `depends_on=${(assignment.dependsOn || []).map((dependency) => dependency.assignmentId).join(',')}:${assignment.dependencyState}`
+            : null,
           Array.isArray(assignment.taskSessionBindings) && assignment.taskSessionBindings.length > 0
             ? `bindings=${assignment.taskSessionBindings.length}`
             : null,
@@ -5074,25 +5481,43 @@ async function handleIntegrateTaskAssignmentBranch(args) {
     {
       mergeTarget: args?.mergeTarget || args?.merge_target || null,
       force: args?.force === true,
-      completeAssignment: args?.completeAssignment !== false && args?.complete_assignment !== false
+      completeAssignment: args?.completeAssignment !== false && args?.complete_assignment !== false,
+      onConflict: args?.onConflict || args?.on_conflict || undefined,
+      checkCommand: args?.checkCommand || args?.check_command || undefined,
+      resolverAdapter: args?.resolverAdapter || args?.resolver_adapter || undefined,
+      discardConflict: args?.discardConflict === true
     }
   );
+  if (res.status === 202) {
+    return formatMergeConflict(args, res.data || {});
+  }
+  if (res.status === 409 && res.data?.error?.code === 'assignment_verification_failed') {
+    return formatVerification(args, res.data.error.verification || {}, '## Task Assignment Integration Blocked');
+  }
   if (res.status !== 200) {
     throw new Error(`Failed to integrate task assignment branch: ${JSON.stringify(res.data)}`);
   }
-  const assignment = res.data?.assignment || {};
-  const integration = res.data?.integration || {};
+  return formatIntegratedAssignment(args, res.data || {}, '## Task Assignment Branch Integrated');
+}
+
+function formatIntegratedAssignment(args, data, heading) {
+  const assignment = data.assignment || {};
+  const integration = data.integration || {};
   return {
     content: [{
       type: 'text',
       text: [
-        '## Task Assignment Branch Integrated',
+        heading,
         '',
         `task_id: ${args?.taskId || 'n/a'}`,
         `assignment_id: ${assignment.id || args?.assignmentId || 'n/a'}`,
         assignment.branch?.branchName ? `branch: ${assignment.branch.branchName}` : null,
         integration.targetBranch ? `merge_target: ${integration.targetBranch}` : null,
         integration.afterSha ? `head_sha: ${integration.afterSha}` : null,
+        Array.isArray(integration.resolvedConflicts) && integration.resolvedConflicts.length > 0
+          ? `resolved_conflicts: ${integration.resolvedConflicts.join(', ')}`
+          : null,
+        data.check ? `check: ${data.check.command} (exit ${data.check.exitCode})` : null,
         `assignment_status: ${assignment.status || 'n/a'}`,
         assignment.branch?.status ? `branch_status: ${assignment.branch.status}` : null
       ].filter(Boolean).join('\n')
@@ -5100,6 +5525,133 @@ async function handleIntegrateTaskAssignmentBranch(args) {
   };
 }
 
+function formatMergeConflict(args, data) {
+  const conflict = data.conflict || {};
+  return {
+    content: [{
+      type: 'text',
+      text: [
+        '## Task Assignment Merge Conflict',
+        '',
+        `task_id: ${args?.taskId || 'n/a'}`,
+        `assignment_id: ${data.assignment?.id || args?.assignmentId || 'n/a'}`,
+        `status: ${conflict.status || 'conflicted'}`,
+        conflict.targetBranch ? `merge_target: ${conflict.targetBranch}` : null,
+        conflict.scratchWorktreePath ? `scratch_worktree: ${conflict.scratchWorktreePath}` : null,
+        `conflicted_paths: ${(conflict.conflictedPaths || []).join(', ') || 'n/a'}`,
+        conflict.checkCommand ? `check_command: ${conflict.checkCommand}` : null,
+        conflict.resolver?.terminalId ? `resolver_terminal_id: ${conflict.resolver.terminalId}` : null,
+        conflict.resolverError ? `resolver_error: ${conflict.resolverError.message}` : null,
+        '',
+        conflict.resolver?.terminalId
+          ? 'The broker completes the merge when the resolver finishes and the check passes.'
+          : 'Resolve the conflicts in the scratch worktree, then call complete_task_assignment_integration.'
+      ].filter((line) => line !== null).join('\n')
+    }]
+  };
+}
+
+function formatVerification(args, verification, heading) {
+  const commands = Array.isArray(verification.commands) ? verification.commands : [];
+  return {
+    content: [{
+      type: 'text',
+      text: [
+        heading,
+        '',
+        `task_id: ${args?.taskId || 'n/a'}`,
+        `assignment_id: ${args?.assignmentId || 'n/a'}`,
+        `verification: ${verification.status || 'n/a'}`,
+        verification.reason ? `reason: ${verification.reason}` : null,
+        verification.headSha ? `head_sha: ${verification.headSha}` : null,
+        verification.runId ? `run_id: ${verification.runId}` : null,
+        '',
+        ...commands.map((command) => [
+          `- ${command.name}: ${command.command} -> ${command.passed ? 'passed' : 'failed'} (exit ${command.exitCode ?? 'n/a'}${command.timedOut ? ', timed out' : ''})`,
+          !command.passed && (command.stderrTail || command.stdoutTail)
+            ? `  ${String(command.stderrTail || command.stdoutTail).trim().split('\n').slice(-10).join('\n  ')}`
+            : null
+        ].filter(Boolean).join('\n'))
+      ].filter((line) => line !== null).join('\n')
+    }]
+  };
+}
+
+async function handleGetTaskAssignmentDiff(args) {
+  const params = new URLSearchParams();
+  for (const key of ['path', 'base']) {
+    if (args?.[key]) {
+      params.set(key, String(args[key]));
+    }
+  }
+  for (const key of ['offset', 'limit', 'maxBytes']) {
+    if (Number.isFinite(args?.[key])) {
+      params.set(key, String(args[key]));
+    }
+  }
+  const qs = params.toString();
+  const res = await callCliagents(
+    'GET',
+    `/orchestration/tasks/${encodeURIComponent(args?.taskId || '')}/assignments/${encodeURIComponent(args?.assignmentId || '')}/diff${qs ? `?${qs}` : ''}`
+  );
+  if (res.status !== 200) {
+    throw new Error(`Failed to read task assignment diff: ${JSON.stringify(res.data)}`);
+  }
+
+  const data = res.data || {};
+  const files = Array.isArray(data.files) ? data.files : [];
+  const pagination = data.pagination || {};
+  return {
+    content: [{
+      type: 'text',
+      text: [
+        '## Task Assignment Diff',
+        '',
+        `task_id: ${data.taskId || args?.taskId || 'n/a'}`,
+        `assignment_id: ${data.assignmentId || args?.assignmentId || 'n/a'}`,
+        data.branchName ? `branch: ${data.branchName}` : null,
+        `range: ${String(data.mergeBaseSha || '').slice(0, 12)}..${String(data.headSha || '').slice(0, 12)}`,
+        `totals: files=${data.totals?.files || 0} +${data.totals?.additions || 0} -${data.totals?.deletions || 0} binary=${data.totals?.binary || 0}`,
+        `showing: ${pagination.offset || 0}-${(pagination.offset || 0) + (pagination.returned || 0)} of ${pagination.total || 0}${pagination.hasMore ? ' (more: raise offset)' : ''}`,
+        '',
+        ...files.map((file) => [
+          `### ${file.oldPath ? `${file.oldPath} -> ${file.path}` : file.path} (${file.status}${file.similarity ? ` ${file.similarity}%` : ''})`,
+          file.binary
+            ? 'binary file'
+            : `+${file.additions} -${file.deletions}${file.truncated ? ` (patch truncated, ${file.patchBytes} bytes in full)` : ''}`,
+          file.patch ? `\`\`\`diff\n${file.patch.trimEnd()}\n\`\`\`` : null
+        ].filter(Boolean).join('\n'))
+      ].filter((line) => line !== null).join('\n')
+    }]
+  };
+}
+
+async function handleVerifyTaskAssignment(args) {
+  const res = await callCliagents(
+    'POST',
+    `/orchestration/tasks/${encodeURIComponent(args?.taskId || '')}/assignments/${encodeURIComponent(args?.assignmentId || '')}/verify`,
+    {}
+  );
+  if (res.status !== 200) {
+    throw new Error(`Failed to verify task assignment: ${JSON.stringify(res.data)}`);
+  }
+  return formatVerification(args, res.data?.verification || {}, '## Task Assignment Verification');
+}
+
+async function handleCompleteTaskAssignmentIntegration(args) {
+  const res = await callCliagents(
+    'POST',
+    `/orchestration/tasks/${encodeURIComponent(args?.taskId || '')}/assignments/${encodeURIComponent(args?.assignmentId || '')}/integrate/complete`,
+    {
+      checkCommand: args?.checkCommand || args?.check_command || undefined
+    }
+  );
+  if (res.status !== 200) {
+    throw new Error(`Failed to complete task assignment integration: ${JSON.stringify(res.data)}`);
+  }
+  return formatIntegratedAssignment(args, res.data || {}, '## Task Assignment Merge Completed');
+}
+
 async function handleCreateRoom(args) {
   const res = await callCliagents('POST', '/orchestration/rooms', {
     roomId: args?.roomId || null,
@@ -5533,6 +6085,9 @@ async function handleGetUsageSummary(args) {
         if (entry.costUsd) {
           parts.push(`cost_usd=${entry.costUsd}`);
         }
+        if (entry.estimatedCostUsd) {
+          parts.push(`estimated_cost_usd=${entry.estimatedCostUsd}`);
+        }
         return parts.join(' ');
       })
     ];
@@ -5564,6 +6119,9 @@ async function handleGetUsageSummary(args) {
   if (summary.costUsd) {
     secondaryLines.push(`cost_usd: ${summary.costUsd}`);
   }
+  if (summary.estimatedCostUsd) {
+    secondaryLines.push(`estimated_cost_usd: ${summary.estimatedCostUsd}${res.data?.pricing?.priceTableVersion ? ` (price table ${res.data.pricing.priceTableVersion})` : ''}`);
+  }
   if (summary.durationMs) {
     secondaryLines.push(`duration_ms: ${summary.durationMs}`);
   }
@@ -5625,6 +6183,16 @@ async function handleGetMemoryBundle(args) {
     text += `### Top Findings\n${bundle.findings.map(f => `- [${f.severity}/${f.type}] ${f.content}`).join('\n')}\n\n`;
   }
 
+  if (bundle.relevantMemories?.length > 0) {
+    text += `### Related Past Work\n`;
+    for (const item of bundle.relevantMemories) {
+      const scope = [item.taskId && `task=${item.taskId}`, item.rootSessionId && `root=${item.rootSessionId}`].filter(Boolean).join(' ');
+      const content = item.content.length > 300 ? `${item.content.slice(0, 300)}…` : item.content;
+      text += `- [${item.itemType} ${item.score.toFixed(2)}]${scope ? ` (${scope})` : ''} ${content.replace(/\s+/g, ' ')}\n`;
+    }
+    text += '\n';
+  }
+
   if (bundle.usage && bundle.usage.recordCount > 0) {
     text += `### Usage\n`;
     text += `- totalTokens=${bundle.usage.totalTokens} inputTokens=${bundle.usage.inputTokens} outputTokens=${bundle.usage.outputTokens} reasoningTokens=${bundle.usage.reasoningTokens}\n\n`;
@@ -5728,6 +6296,65 @@ async function handleGetMemoryBundle(args) {
   };
 }
 
+async function handleSearchMemory(args) {
+  const { query, sources, rootSessionId, taskId, terminalId, since, sort, limit = 10 } = args;
+  if (!query || !String(query).trim()) {
+    throw new Error('query is required');
+  }
+
+  const params = new URLSearchParams();
+  params.set('q', String(query));
+  params.set('mark', 'markdown');
+  params.set('limit', String(Math.min(Math.max(Number(limit) || 10, 1), 50)));
+  if (Array.isArray(sources) && sources.length > 0) params.set('sources', sources.join(','));
+  if (rootSessionId) params.set('root_session_id', rootSessionId);
+  if (taskId) params.set('task_id', taskId);
+  if (terminalId) params.set('terminal_id', terminalId);
+  if (since !== undefined && since !== null) params.set('since', String(since));
+  if (sort) params.set('sort', sort);
+
+  const res = await callWithRetry('GET', `/orchestration/memory/search?${params.toString()}`);
+
+  if (res.status !== 200) {
+    throw new Error(`Failed to search memory: ${JSON.stringify(res.data)}`);
+  }
+
+  const { hits, pagination } = res.data;
+  if (hits.length === 0) {
+    return {
+      content: [{
+        type: 'text',
+        text: `No memory matches "${query}".`
+      }]
+    };
+  }
+
+  let text = `## Memory Search: ${query}\n`;
+  text += `Hits: ${hits.length}${pagination.hasMore ? '+' : ''}\n\n`;
+  for (const hit of hits) {
+    const when = hit.createdAt ? new Date(hit.createdAt).toISOString().replace('T', ' ').split('.')[0] : 'unknown';
+    const lineage = [
+      hit.rootSessionId ? `root=${hit.rootSessionId}` : null,
+      hit.taskId ? `task=${hit.taskId}` : null,
+      hit.roomId ? `room=${hit.roomId}` : null,
+      hit.terminalId ? `terminal=${hit.terminalId}` : null
+    ].filter(Boolean).join(' ');
+    text += `### ${hit.recordKey} (${hit.recordType}) @ ${when}\n`;
+    text += `${hit.snippet}\n`;
+    if (lineage) {
+      text += `*${lineage}*\n`;
+    }
+    text += '\n';
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text
+    }]
+  };
+}
+
 async function handleGetMessageWindow(args) {
   const { terminalId, rootSessionId, traceId, afterId, limit = 100, role } = args;
 
@@ -5997,6 +6624,7 @@ async function handleGetSkill(args) {
 async function handleRequest(request) {
   const { id, method, params } = request;
   const isNotification = id === undefined || id === null;
+  let toolCall = null;
 
   try {
     switch (method) {
@@ -6028,6 +6656,7 @@ async function handleRequest(request) {
         }
         const { name, arguments: args } = params;
         let result;
+        toolCall = { name, args, startedAt: Date.now() };
 
         switch (name) {
           case 'delegate_task':
@@ -6057,6 +6686,18 @@ async function handleRequest(request) {
           case 'run_workflow':
             result = await handleRunWorkflow(args);
             break;
+          case 'list_workflows':
+            result = await handleListWorkflows(args);
+            break;
+          case 'get_workflow_status':
+            result = await handleGetWorkflowStatus(args);
+            break;
+          case 'resume_workflow':
+            result = await handleResumeWorkflow(args);
+            break;
+          case 'cancel_workflow':
+            result = await handleCancelWorkflow(args);
+            break;
           case 'run_discussion':
             result = await handleRunDiscussion(args);
             break;
@@ -6138,6 +6779,9 @@ async function handleRequest(request) {
           case 'get_memory_bundle':
             result = await handleGetMemoryBundle(args);
             break;
+          case 'search_memory':
+            result = await handleSearchMemory(args);
+            break;
           case 'get_message_window':
             result = await handleGetMessageWindow(args);
             break;
@@ -6165,6 +6809,15 @@ async function handleRequest(request) {
           case 'integrate_task_assignment_branch':
             result = await handleIntegrateTaskAssignmentBranch(args);
             break;
+          case 'complete_task_assignment_integration':
+            result = await handleCompleteTaskAssignmentIntegration(args);
+            break;
+          case 'get_task_assignment_diff':
+            result = await handleGetTaskAssignmentDiff(args);
+            break;
+          case 'verify_task_assignment':
+            result = await handleVerifyTaskAssignment(args);
+            break;
           case 'create_room':
             result = await handleCreateRoom(args);
             break;
@@ -6207,9 +6860,11 @@ async function handleRequest(request) {
             if (isNotification) {
               return null;
             }
+            await recordToolAudit(toolCall, 'error', `Unknown tool: ${name}`);
             return sendError(id, -32601, `Unknown tool: ${name}`);
         }
 
+        await recordToolAudit(toolCall, 'success');
         return sendResponse(id, result);
 
       default:
@@ -6222,6 +6877,9 @@ async function handleRequest(request) {
     if (isNotification) {
       return null;
     }
+    if (toolCall) {
+      await recordToolAudit(toolCall, 'error', error.message);
+    }
     return sendError(id, -32000, error.message);
   }
 }
@@ -6254,6 +6912,7 @@ module.exports = {
   buildRouteRequest,
   callCliagents,
   callWithRetry,
+  recordToolAudit,
   handleEnsureRootSession,
   handleAttachRootSession,
   handleLaunchRootSession,
@@ -6287,6 +6946,9 @@ module.exports = {
   handleStartTaskAssignment,
   handleUpdateTaskAssignmentBranch,
   handleIntegrateTaskAssignmentBranch,
+  handleCompleteTaskAssignmentIntegration,
+  handleGetTaskAssignmentDiff,
+  handleVerifyTaskAssignment,
   handleCreateRoom,
   handleListRooms,
   handleSendRoomMessage,
@@ -6298,6 +6960,7 @@ module.exports = {
   handleListRootSessions,
   handleListRuns,
   handleGetMemoryBundle,
+  handleSearchMemory,
   handleGetMessageWindow,
   handleResetRootSession,
   handleRequest,
@@ -6305,6 +6968,10 @@ module.exports = {
   setImplicitRootContext,
   handleRunDiscussion,
   handleRunWorkflow,
+  handleListWorkflows,
+  handleGetWorkflowStatus,
+  handleResumeWorkflow,
+  handleCancelWorkflow,
   handleWatchTasks,
   handleWaitForTasks,
   watchTasks,
@@ -2,7 +2,22 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execFileSync } = require('child_process');
+const { execFileSync, spawn } = require('child_process');
+
+const CONFLICT_MARKER_PATTERN = /^(<{7}|>{7})(\s|$)/m;
+const DEFAULT_CHECK_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_CHECK_OUTPUT_LIMIT = 64 * 1024;
+const DEFAULT_DIFF_PATCH_LIMIT = 64 * 1024;
+const DIFF_COMMAND_MAX_BUFFER = 32 * 1024 * 1024;
+const DIFF_STATUS_NAMES = {
+  A: 'added',
+  C: 'copied',
+  D: 'deleted',
+  M: 'modified',
+  R: 'renamed',
+  T: 'type_changed',
+  U: 'unmerged'
+};
 
 function runGit(repoPath, args = []) {
   return execFileSync('git', ['-C', repoPath, ...args], {
@@ -196,6 +211,173 @@ function readDiffStats(workspaceRoot, baseRef, headRef) {
   };
 }
 
+function runDiffCommand(repoRoot, args) {
+  return execFileSync('git', ['-C', repoRoot, ...args], {
+    encoding: 'utf8',
+    maxBuffer: DIFF_COMMAND_MAX_BUFFER,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+// `git diff --name-status -z`: status, then one path (two for renames/copies)
+function parseNameStatus(output) {
+  const tokens = output.split('\0');
+  const entries = [];
+  for (let index = 0; index < tokens.length;) {
+    const code = tokens[index];
+    if (!code) {
+      index += 1;
+      continue;
+    }
+    const letter = code[0];
+    const paired = letter === 'R' || letter === 'C';
+    const oldPath = tokens[index + 1];
+    const newPath = paired ? tokens[index + 2] : oldPath;
+    entries.push({
+      path: newPath,
+      oldPath: paired ? oldPath : null,
+      status: DIFF_STATUS_NAMES[letter] || 'unknown',
+      similarity: paired ? Number.parseInt(code.slice(1), 10) || null : null
+    });
+    index += paired ? 3 : 2;
+  }
+  return entries;
+}
+
+// `git diff --numstat -z`: "adds\tdels\tpath" or "adds\tdels\t" followed by old and new paths
+function parseNumstat(output) {
+  const tokens = output.split('\0');
+  const counts = new Map();
+  for (let index = 0; index < tokens.length;) {
+    const token = tokens[index];
+    if (!token) {
+      index += 1;
+      continue;
+    }
+    const [additions, deletions, inlinePath] = token.split('\t');
+    const binary = additions === '-' && deletions === '-';
+    let filePath = inlinePath;
+    index += 1;
+    if (!inlinePath) {
+      filePath = tokens[index + 1];
+      index += 2;
+    }
+    counts.set(filePath, {
+      additions: binary ? null : Number.parseInt(additions, 10) || 0,
+      deletions: binary ? null : Number.parseInt(deletions, 10) || 0,
+      binary
+    });
+  }
+  return counts;
+}
+
+/**
+ * Per-file diff of an assignment branch against the point it forked from.
+ * Files are listed with rename detection; patches are only read for the
+ * requested page and capped at `maxPatchBytes` each (or skipped with
+ * `includePatches: false`). Binary files carry no patch.
+ */
+function readAssignmentDiff(workspaceRoot, baseRef, headRef, options = {}) {
+  const repoRoot = resolveRepoRoot(workspaceRoot);
+  if (!repoRoot) {
+    throw new Error(`Unable to resolve git repository root for ${workspaceRoot}`);
+  }
+  const headCommit = headSha(repoRoot, headRef);
+  if (!headCommit) {
+    const error = new Error(`Unknown head ref: ${headRef}`);
+    error.code = 'diff_ref_not_found';
+    throw error;
+  }
+  const baseCommit = headSha(repoRoot, baseRef);
+  if (!baseCommit) {
+    const error = new Error(`Unknown base ref: ${baseRef}`);
+    error.code = 'diff_ref_not_found';
+    throw error;
+  }
+  const mergeBase = tryRunGit(repoRoot, ['merge-base', baseCommit, headCommit]) || baseCommit;
+  const range = [mergeBase, headCommit];
+  const renameArgs = ['-M', '--no-color', '--no-ext-diff'];
+
+  const entries = parseNameStatus(runDiffCommand(repoRoot, ['diff', '--name-status', '-z', ...renameArgs, ...range]));
+  const counts = parseNumstat(runDiffCommand(repoRoot, ['diff', '--numstat', '-z', ...renameArgs, ...range]));
+  const pathFilter = String(options.path || '').trim();
+  const files = entries
+    .map((entry) => ({ ...entry, ...(counts.get(entry.path) || { additions: 0, deletions: 0, binary: false }) }))
+    .filter((entry) => !pathFilter || entry.path === pathFilter || entry.oldPath === pathFilter);
+
+  const offset = Math.max(0, Number.parseInt(options.offset, 10) || 0);
+  const limit = Math.min(Math.max(1, Number.parseInt(options.limit, 10) || 20), 100);
+  const requestedContext = Number.parseInt(options.contextLines, 10);
+  const contextLines = Number.isFinite(requestedContext) ? Math.min(Math.max(0, requestedContext), 50) : 3;
+  const maxPatchBytes = Number.isFinite(options.maxPatchBytes) ? options.maxPatchBytes : DEFAULT_DIFF_PATCH_LIMIT;
+  const page = files.slice(offset, offset + limit).map((file) => {
+    if (file.binary || options.includePatches === false) {
+      return { ...file, patch: null, patchBytes: 0, truncated: false };
+    }
+    const pathspec = file.oldPath ? [file.oldPath, file.path] : [file.path];
+    const patch = runDiffCommand(repoRoot, ['diff', ...renameArgs, `-U${contextLines}`, ...range, '--', ...pathspec]);
+    const patchBytes = Buffer.byteLength(patch, 'utf8');
+    return {
+      ...file,
+      patch: patchBytes > maxPatchBytes ? Buffer.from(patch, 'utf8').subarray(0, maxPatchBytes).toString('utf8') : patch,
+      patchBytes,
+      truncated: patchBytes > maxPatchBytes
+    };
+  });
+
+  return {
+    repoRoot,
+    baseRef,
+    headRef,
+    baseSha: baseCommit,
+    headSha: headCommit,
+    mergeBaseSha: mergeBase,
+    totals: {
+      files: files.length,
+      additions: files.reduce((sum, file) => sum + (file.additions || 0), 0),
+      deletions: files.reduce((sum, file) => sum + (file.deletions || 0), 0),
+      binary: files.filter((file) => file.binary).length
+    },
+    files: page,
+    pagination: {
+      limit,
+      offset,
+      total: files.length,
+      returned: page.length,
+      hasMore: offset + page.length < files.length
+    }
+  };
+}
+
+/**
+ * Commits on `headRef` that are not on `baseRef`, newest first.
+ */
+function readCommitLog(workspaceRoot, baseRef, headRef, options = {}) {
+  const repoRoot = resolveRepoRoot(workspaceRoot);
+  if (!repoRoot || !baseRef || !headRef) {
+    return [];
+  }
+  const limit = Math.min(Math.max(1, Number.parseInt(options.limit, 10) || 50), 500);
+  const output = tryRunGit(repoRoot, [
+    'log',
+    `--max-count=${limit}`,
+    '--format=%H%x1f%an%x1f%at%x1f%s',
+    `${baseRef}..${headRef}`
+  ]) || '';
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [sha, author, timestamp, subject] = line.split('\x1f');
+      return {
+        sha,
+        author,
+        committedAt: Number.parseInt(timestamp, 10) * 1000 || null,
+        subject
+      };
+    });
+}
+
 function assertCleanWorkspace(repoRoot) {
   const status = tryRunGit(repoRoot, ['status', '--porcelain=v1']);
   if (status) {
@@ -231,8 +413,10 @@ function integrateAssignmentBranch(task, assignment, options = {}) {
     throw new Error(`assignment branch does not exist: ${branchName}`);
   }
 
+  let targetSha = null;
   try {
     runGit(repoRoot, ['checkout', targetBranch]);
+    targetSha = headSha(repoRoot, 'HEAD');
     runGit(repoRoot, ['merge', '--no-ff', '--no-edit', branchName]);
     const afterSha = headSha(repoRoot, 'HEAD');
     const diffStats = readDiffStats(repoRoot, beforeSha, afterSha);
@@ -247,15 +431,257 @@ function integrateAssignmentBranch(task, assignment, options = {}) {
       diffStats
     };
   } catch (error) {
-    throw new Error(`Failed to integrate assignment branch ${branchName} into ${targetBranch}: ${describeGitError(error)}`);
+    const conflictedPaths = targetSha ? listUnmergedPaths(repoRoot) : [];
+    if (conflictedPaths.length === 0) {
+      throw new Error(`Failed to integrate assignment branch ${branchName} into ${targetBranch}: ${describeGitError(error)}`);
+    }
+
+    // Never leave the primary workspace mid-merge
+    tryRunGit(repoRoot, ['merge', '--abort']);
+    const conflict = {
+      repoRoot,
+      targetBranch,
+      branchName,
+      originalBranch,
+      beforeSha,
+      targetSha,
+      branchHead,
+      conflictedPaths
+    };
+    if (options.onConflict === 'record' || options.onConflict === 'resolve') {
+      return {
+        conflicted: true,
+        conflict: {
+          ...conflict,
+          ...prepareConflictScratchWorktree(conflict, options)
+        }
+      };
+    }
+
+    const conflictError = new Error(
+      `Merge conflict integrating assignment branch ${branchName} into ${targetBranch}: ${conflictedPaths.join(', ')}`
+    );
+    conflictError.code = 'merge_conflict';
+    conflictError.conflict = conflict;
+    throw conflictError;
+  }
+}
+
+function listUnmergedPaths(worktreePath) {
+  const output = tryRunGit(worktreePath, ['diff', '--name-only', '--diff-filter=U']) || '';
+  return output.split('\n').map((line) => line.trim()).filter(Boolean).sort();
+}
+
+/**
+ * Replay a conflicted merge on a detached scratch worktree next to the repo so
+ * a resolver can edit the conflicted files without touching the primary
+ * workspace.
+ */
+function prepareConflictScratchWorktree(conflict, options = {}) {
+  const now = Number.isFinite(options.now) ? options.now : Date.now();
+  const safeBranch = conflict.branchName.replace(/[^a-zA-Z0-9._-]+/g, '__');
+  const scratchWorktreePath = options.scratchWorktreePath || path.join(
+    path.dirname(conflict.repoRoot),
+    `${path.basename(conflict.repoRoot)}-worktrees`,
+    `merge__${safeBranch}__${now.toString(36)}`
+  );
+
+  try {
+    runGit(conflict.repoRoot, ['worktree', 'add', '--detach', scratchWorktreePath, conflict.targetSha]);
+  } catch (error) {
+    throw new Error(`Failed to create merge scratch worktree ${scratchWorktreePath}: ${describeGitError(error)}`);
+  }
+  tryRunGit(scratchWorktreePath, ['merge', '--no-ff', '--no-edit', conflict.branchName]);
+
+  return {
+    scratchWorktreePath,
+    conflictedPaths: listUnmergedPaths(scratchWorktreePath)
+  };
+}
+
+/**
+ * Conflicted file excerpts for a resolver prompt, bounded per file.
+ */
+function readConflictContext(scratchWorktreePath, conflictedPaths = [], options = {}) {
+  const maxBytes = Number.isFinite(options.maxBytesPerFile) ? options.maxBytesPerFile : 4000;
+  return conflictedPaths.map((conflictedPath) => {
+    let content = '';
+    try {
+      content = fs.readFileSync(path.join(scratchWorktreePath, conflictedPath), 'utf8');
+    } catch {
+      return { path: conflictedPath, excerpt: null, truncated: false };
+    }
+    return {
+      path: conflictedPath,
+      excerpt: content.length > maxBytes ? content.slice(0, maxBytes) : content,
+      truncated: content.length > maxBytes
+    };
+  });
+}
+
+function removeConflictScratchWorktree(conflict) {
+  if (!conflict?.repoRoot || !conflict?.scratchWorktreePath) {
+    return false;
+  }
+  return tryRunGit(conflict.repoRoot, ['worktree', 'remove', '--force', conflict.scratchWorktreePath]) !== null;
+}
+
+/**
+ * Commit the resolved merge on the scratch worktree and fast-forward the merge
+ * target to it. Throws with code `merge_conflict_unresolved` while conflicts
+ * remain and `merge_target_moved` when the target advanced since detection.
+ */
+function finalizeConflictResolution(conflict) {
+  const scratchWorktreePath = String(conflict?.scratchWorktreePath || '').trim();
+  if (!scratchWorktreePath || !fs.existsSync(scratchWorktreePath)) {
+    throw new Error('merge conflict scratch worktree is missing');
+  }
+
+  runGit(scratchWorktreePath, ['add', '-A']);
+  const unresolvedPaths = new Set(listUnmergedPaths(scratchWorktreePath));
+  for (const conflictedPath of conflict.conflictedPaths || []) {
+    try {
+      const content = fs.readFileSync(path.join(scratchWorktreePath, conflictedPath), 'utf8');
+      if (CONFLICT_MARKER_PATTERN.test(content)) {
+        unresolvedPaths.add(conflictedPath);
+      }
+    } catch {}
+  }
+  if (unresolvedPaths.size > 0) {
+    const error = new Error(`merge conflicts remain in: ${Array.from(unresolvedPaths).sort().join(', ')}`);
+    error.code = 'merge_conflict_unresolved';
+    error.unresolvedPaths = Array.from(unresolvedPaths).sort();
+    throw error;
+  }
+
+  if (tryRunGit(scratchWorktreePath, ['rev-parse', '-q', '--verify', 'MERGE_HEAD'])) {
+    runGit(scratchWorktreePath, ['commit', '--no-edit']);
+  }
+  const mergeSha = headSha(scratchWorktreePath, 'HEAD');
+  if (tryRunGit(scratchWorktreePath, ['merge-base', '--is-ancestor', conflict.branchHead, mergeSha]) === null) {
+    const error = new Error(`resolved merge ${mergeSha} does not contain assignment branch head ${conflict.branchHead}`);
+    error.code = 'merge_conflict_unresolved';
+    error.unresolvedPaths = [];
+    throw error;
+  }
+
+  const repoRoot = conflict.repoRoot;
+  assertCleanWorkspace(repoRoot);
+  const beforeSha = headSha(repoRoot, 'HEAD');
+  const originalBranch = currentBranch(repoRoot);
+  runGit(repoRoot, ['checkout', conflict.targetBranch]);
+  const targetSha = headSha(repoRoot, 'HEAD');
+  try {
+    runGit(repoRoot, ['merge', '--ff-only', mergeSha]);
+  } catch (error) {
+    const moved = new Error(
+      `merge target ${conflict.targetBranch} moved from ${conflict.targetSha} to ${targetSha}; integrate again: ${describeGitError(error)}`
+    );
+    moved.code = 'merge_target_moved';
+    throw moved;
   }
+  const afterSha = headSha(repoRoot, 'HEAD');
+  removeConflictScratchWorktree(conflict);
+
+  return {
+    repoRoot,
+    targetBranch: conflict.targetBranch,
+    branchName: conflict.branchName,
+    originalBranch,
+    beforeSha,
+    branchHead: conflict.branchHead,
+    afterSha,
+    diffStats: readDiffStats(repoRoot, targetSha, afterSha),
+    resolvedConflicts: conflict.conflictedPaths || []
+  };
+}
+
+/**
+ * Run a shell check command (tests, lint) in a worktree and capture its output.
+ * Resolves with the result instead of rejecting on a non-zero exit.
+ */
+function runCheckCommand(cwd, command, options = {}) {
+  const timeoutMs = Number.isFinite(options.timeoutMs) ? options.timeoutMs : DEFAULT_CHECK_TIMEOUT_MS;
+  const outputLimit = Number.isFinite(options.maxOutputBytes) ? options.maxOutputBytes : DEFAULT_CHECK_OUTPUT_LIMIT;
+  const startedAt = Date.now();
+
+  return new Promise((resolve) => {
+    const output = { stdout: '', stderr: '' };
+    let timedOut = false;
+    let settled = false;
+    // Own process group so a timeout can kill whatever the shell started too
+    const detached = process.platform !== 'win32';
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached,
+      env: { ...process.env, ...(options.env || {}) },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const append = (stream) => (chunk) => {
+      if (output[stream].length < outputLimit) {
+        output[stream] = (output[stream] + chunk.toString('utf8')).slice(0, outputLimit);
+      }
+    };
+    child.stdout.on('data', append('stdout'));
+    child.stderr.on('data', append('stderr'));
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        if (detached && child.pid) {
+          process.kill(-child.pid, 'SIGKILL');
+        } else {
+          child.kill('SIGKILL');
+        }
+      } catch {
+        child.kill('SIGKILL');
+      }
+    }, timeoutMs);
+    const finish = (exitCode, signal, spawnError = null) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      resolve({
+        command,
+        cwd,
+        exitCode: Number.isInteger(exitCode) ? exitCode : null,
+        signal: signal || null,
+        passed: exitCode === 0 && !timedOut && !spawnError,
+        timedOut,
+        stdout: output.stdout,
+        stderr: spawnError ? `${output.stderr}${spawnError.message}` : output.stderr,
+        startedAt,
+        durationMs: Date.now() - startedAt
+      });
+    };
+    child.on('error', (error) => finish(null, null, error));
+    child.on('close', (exitCode, signal) => finish(exitCode, signal));
+    // A survivor that escaped the group can still hold the pipes open, so a
+    // timed-out check settles on exit rather than waiting for close
+    child.on('exit', (exitCode, signal) => {
+      if (timedOut) {
+        child.stdout.destroy();
+        child.stderr.destroy();
+        finish(exitCode, signal);
+      }
+    });
+  });
 }
 
 module.exports = {
   buildAssignmentBranchPlan,
+  finalizeConflictResolution,
   integrateAssignmentBranch,
+  listUnmergedPaths,
   normalizeWritePaths,
+  readAssignmentDiff,
   readBranchSnapshot,
+  readCommitLog,
+  readConflictContext,
   readDiffStats,
+  removeConflictScratchWorktree,
+  runCheckCommand,
   shouldAllocateBranch
 };
@@ -0,0 +1,339 @@
+'use strict';
+
+const { prepareTaskAssignmentWorktree } = require('./task-worktree');
+const { readBranchSnapshot, runCheckCommand } = require('./assignment-branching');
+
+const VERIFY_OUTPUT_TAIL_BYTES = 4 * 1024;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function tail(text, limit = VERIFY_OUTPUT_TAIL_BYTES) {
+  const value = String(text || '');
+  return value.length > limit ? value.slice(value.length - limit) : value;
+}
+
+function invalidVerify(message) {
+  const error = new Error(message);
+  error.code = 'invalid_verify';
+  return error;
+}
+
+/**
+ * Normalize a `verify` value into check command specs. Accepts a command
+ * string, or an array of strings and `{ name, command, timeoutMs }` objects.
+ * Throws with code invalid_verify on anything else.
+ */
+function normalizeVerifyCommands(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const entries = Array.isArray(value) ? value : [value];
+  return entries.map((entry, index) => {
+    const spec = typeof entry === 'string' ? { command: entry } : entry;
+    if (!isPlainObject(spec)) {
+      throw invalidVerify(`verify[${index}] must be a command string or an object with a command`);
+    }
+    const command = String(spec.command || '').trim();
+    if (!command) {
+      throw invalidVerify(`verify[${index}].command is required`);
+    }
+    const timeoutMs = spec.timeoutMs === undefined || spec.timeoutMs === null
+      ? null
+      : Number.parseInt(spec.timeoutMs, 10);
+    if (timeoutMs !== null && (!Number.isFinite(timeoutMs) || timeoutMs <= 0)) {
+      throw invalidVerify(`verify[${index}].timeoutMs must be a positive integer`);
+    }
+    return {
+      name: String(spec.name || '').trim() || `verify-${index + 1}`,
+      command,
+      timeoutMs
+    };
+  });
+}
+
+/**
+ * Verify commands for an assignment: its own `metadata.verify` when set
+ * (an empty list opts out), otherwise the task's `metadata.verify`.
+ */
+function resolveVerifyCommands(task, assignment) {
+  const own = assignment?.metadata?.verify;
+  if (own !== undefined && own !== null) {
+    return normalizeVerifyCommands(own);
+  }
+  return normalizeVerifyCommands(task?.metadata?.verify);
+}
+
+function readAssignmentHead(task, assignment) {
+  const branchName = assignment?.branchName || assignment?.worktreeBranch || null;
+  if (!branchName || !task?.workspaceRoot) {
+    return null;
+  }
+  return readBranchSnapshot(task.workspaceRoot, branchName).headSha || null;
+}
+
+/**
+ * A verification counts for integration when it passed against the branch
+ * head that would be merged.
+ */
+function isVerificationCurrent(verification, headSha) {
+  return verification?.status === 'passed'
+    && (!headSha || verification.headSha === headSha);
+}
+
+function describeFailure(results, dirty) {
+  const failed = results.find((result) => !result.passed);
+  if (failed) {
+    const exit = failed.timedOut
+      ? `timed out after ${failed.durationMs}ms`
+      : `exited ${failed.exitCode ?? failed.signal ?? 'unknown'}`;
+    return `verify command "${failed.name}" (${failed.command}) ${exit}`;
+  }
+  if (dirty) {
+    return 'assignment worktree has uncommitted changes that would not be integrated';
+  }
+  return null;
+}
+
+function recordVerificationRun(runLedger, task, assignment, verification, results) {
+  const runId = runLedger.createRun({
+    kind: 'implementation-run',
+    status: 'running',
+    hashInput: { message: results.map((result) => result.command).join('\n') },
+    inputSummary: `Verify assignment ${assignment.id}`,
+    workingDirectory: verification.workingDirectory,
+    initiator: 'orchestration/tasks/verify',
+    currentStep: 'verify',
+    metadata: {
+      taskAssignmentId: assignment.id,
+      verification: true,
+      trigger: verification.trigger,
+      headSha: verification.headSha
+    },
+    startedAt: verification.startedAt,
+    rootSessionId: task.rootSessionId || null,
+    taskId: task.id
+  });
+
+  for (const result of results) {
+    const endedAt = result.startedAt + result.durationMs;
+    const participantId = runLedger.addParticipant({
+      runId,
+      participantRole: 'verifier',
+      participantName: result.name,
+      adapter: 'shell',
+      status: result.passed ? 'completed' : 'failed',
+      failureClass: result.passed ? null : (result.timedOut ? 'timeout' : 'process_exit'),
+      metadata: { command: result.command },
+      startedAt: result.startedAt,
+      endedAt
+    });
+    runLedger.appendOutput({
+      runId,
+      participantId,
+      outputKind: result.passed ? 'participant_final' : 'participant_error',
+      content: [
+        `$ ${result.command}`,
+        result.stdout,
+        result.stderr ? `[stderr]\n${result.stderr}` : '',
+        `[exit ${result.exitCode ?? 'n/a'}${result.signal ? `, signal ${result.signal}` : ''}${result.timedOut ? ', timed out' : ''}]`
+      ].filter(Boolean).join('\n'),
+      metadata: {
+        command: result.command,
+        exitCode: result.exitCode,
+        signal: result.signal,
+        timedOut: result.timedOut,
+        durationMs: result.durationMs
+      },
+      createdAt: endedAt
+    });
+  }
+
+  const passed = verification.status === 'passed';
+  runLedger.updateRun(runId, {
+    status: passed ? 'completed' : 'failed',
+    currentStep: passed ? 'verified' : 'blocked',
+    failureClass: passed ? undefined : 'validation',
+    decisionSummary: passed ? 'verification passed' : verification.reason,
+    decisionSource: 'verify_commands',
+    completedAt: verification.completedAt,
+    lastHeartbeatAt: verification.completedAt,
+    durationMs: verification.completedAt - verification.startedAt
+  });
+
+  let blockedState = null;
+  if (!passed) {
+    blockedState = runLedger.appendRunBlockedState({
+      runId,
+      blockedReason: 'blocked_by_gate',
+      blockingDetail: `Integration of assignment ${assignment.id} blocked: ${verification.reason}`,
+      metadata: {
+        gate: 'assignment_verification',
+        taskId: task.id,
+        taskAssignmentId: assignment.id,
+        headSha: verification.headSha
+      },
+      createdAt: verification.completedAt
+    });
+  }
+
+  // A newer result supersedes the gate recorded by the previous verification
+  const previousRunId = assignment.metadata?.verification?.runId || null;
+  if (previousRunId && previousRunId !== runId && runLedger.getActiveBlockedState(previousRunId)) {
+    runLedger.unblockRun(previousRunId, {
+      unblockedAt: verification.completedAt,
+      unblockReason: passed ? 'verification_passed' : 'verification_rerun'
+    });
+  }
+
+  return { runId, blockedStateId: blockedState?.id || null };
+}
+
+/**
+ * Record an operator skipping an assignment's verify gate: a verification run
+ * whose `blocked_by_gate` state is lifted by an operator_override action, the
+ * way a budget override lifts a budget gate.
+ * @returns {{ runId: string, blockedStateId: string, operatorActionId: string }}
+ */
+function recordVerificationSkip(runLedger, task, assignment, options = {}) {
+  const now = options.now || Date.now();
+  const headSha = options.headSha || null;
+  const reason = options.reason || null;
+  const runId = runLedger.createRun({
+    kind: 'implementation-run',
+    status: 'failed',
+    hashInput: { message: `verification-skip:${assignment.id}:${headSha || ''}` },
+    inputSummary: `Skip verification of assignment ${assignment.id}`,
+    workingDirectory: assignment.worktreePath || null,
+    initiator: 'orchestration/tasks/integrate',
+    currentStep: 'blocked',
+    decisionSummary: 'verification skipped by an operator',
+    decisionSource: 'operator_override',
+    failureClass: 'validation',
+    metadata: {
+      taskAssignmentId: assignment.id,
+      verification: true,
+      skipped: true,
+      trigger: 'integrate',
+      headSha
+    },
+    startedAt: now,
+    completedAt: now,
+    rootSessionId: task.rootSessionId || null,
+    taskId: task.id
+  });
+  const blockedState = runLedger.appendRunBlockedState({
+    runId,
+    blockedReason: 'blocked_by_gate',
+    blockingDetail: `Integration of assignment ${assignment.id} requires passing verify commands`,
+    metadata: {
+      gate: 'assignment_verification',
+      taskId: task.id,
+      taskAssignmentId: assignment.id,
+      headSha
+    },
+    createdAt: now
+  });
+  const action = runLedger.appendOperatorAction({
+    runId,
+    actionKind: 'operator_override',
+    payload: {
+      gate: 'assignment_verification',
+      taskId: task.id,
+      taskAssignmentId: assignment.id,
+      headSha,
+      reason
+    },
+    tokenName: options.tokenName || null,
+    createdAt: now
+  });
+  runLedger.unblockRun(runId, { unblockedAt: now, unblockReason: 'operator_override' });
+
+  const previousRunId = assignment.metadata?.verification?.runId || null;
+  if (previousRunId && previousRunId !== runId && runLedger.getActiveBlockedState(previousRunId)) {
+    runLedger.unblockRun(previousRunId, { unblockedAt: now, unblockReason: 'operator_override' });
+  }
+
+  return { runId, blockedStateId: blockedState?.id || null, operatorActionId: action.actionId };
+}
+
+/**
+ * Run an assignment's verify commands in its prepared worktree.
+ * Every command runs even after a failure so the record shows the full
+ * picture. With a run ledger the commands become participants of a
+ * verification run, their output becomes run outputs, and a failure leaves a
+ * `blocked_by_gate` blocked state on that run.
+ */
+async function runAssignmentVerification(task, assignment, options = {}) {
+  const commands = options.commands || resolveVerifyCommands(task, assignment);
+  if (commands.length === 0) {
+    const error = new Error(`Assignment ${assignment.id} has no verify commands`);
+    error.code = 'verify_not_configured';
+    throw error;
+  }
+  if ((assignment.branchName || assignment.worktreeBranch) && !assignment.worktreePath) {
+    const error = new Error(`Assignment ${assignment.id} has a branch but no worktree to verify`);
+    error.code = 'assignment_worktree_missing';
+    throw error;
+  }
+
+  const prepared = prepareTaskAssignmentWorktree(task, assignment);
+  const workingDirectory = prepared.workingDirectory;
+  if (!workingDirectory) {
+    const error = new Error(`Assignment ${assignment.id} has no worktree or workspace to verify in`);
+    error.code = 'assignment_worktree_missing';
+    throw error;
+  }
+
+  const startedAt = Date.now();
+  const results = [];
+  for (const spec of commands) {
+    const result = await runCheckCommand(workingDirectory, spec.command, {
+      timeoutMs: spec.timeoutMs || options.timeoutMs || undefined,
+      env: { CLIAGENTS_TASK_ID: task.id, CLIAGENTS_TASK_ASSIGNMENT_ID: assignment.id }
+    });
+    results.push({ ...result, name: spec.name });
+  }
+
+  const dirty = prepared.isolation?.dirty === true;
+  const reason = describeFailure(results, dirty);
+  const verification = {
+    status: reason ? 'failed' : 'passed',
+    reason,
+    trigger: options.trigger || 'api',
+    workingDirectory,
+    headSha: prepared.isolation?.head || readAssignmentHead(task, assignment),
+    dirty,
+    startedAt,
+    completedAt: Date.now(),
+    runId: null,
+    blockedStateId: null,
+    commands: results.map((result) => ({
+      name: result.name,
+      command: result.command,
+      exitCode: result.exitCode,
+      signal: result.signal,
+      passed: result.passed,
+      timedOut: result.timedOut,
+      durationMs: result.durationMs,
+      stdoutTail: tail(result.stdout),
+      stderrTail: tail(result.stderr)
+    }))
+  };
+
+  if (options.runLedger) {
+    Object.assign(verification, recordVerificationRun(options.runLedger, task, assignment, verification, results));
+  }
+
+  return verification;
+}
+
+module.exports = {
+  isVerificationCurrent,
+  normalizeVerifyCommands,
+  readAssignmentHead,
+  recordVerificationSkip,
+  resolveVerifyCommands,
+  runAssignmentVerification
+};
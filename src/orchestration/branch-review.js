@@ -0,0 +1,106 @@
+'use strict';
+
+const { readAssignmentDiff, readCommitLog } = require('./assignment-branching');
+
+const DEFAULT_REVIEW_DIFF_BYTES = 200 * 1024;
+const REVIEW_FILE_PAGE_SIZE = 100;
+
+function describeFile(file) {
+  const name = file.oldPath ? `${file.oldPath} -> ${file.path}` : file.path;
+  const counts = file.binary ? 'binary' : `+${file.additions} -${file.deletions}`;
+  return `- ${file.status} ${name} (${counts})`;
+}
+
+/**
+ * Build pr-review input (`summary`, `diff`, `context`) from the commits and
+ * changes on `headRef` since it forked from `baseRef`. Patches are included
+ * whole, in file order, until `maxDiffBytes` is spent; files past the budget
+ * are still listed in the context. `source` describes what was reviewed.
+ */
+function buildBranchReviewInput(workspaceRoot, baseRef, headRef, options = {}) {
+  const maxDiffBytes = Number.isFinite(options.maxDiffBytes) && options.maxDiffBytes > 0
+    ? options.maxDiffBytes
+    : DEFAULT_REVIEW_DIFF_BYTES;
+
+  const files = [];
+  const patches = [];
+  const omittedPaths = [];
+  let diffBytes = 0;
+  let diff = null;
+  do {
+    diff = readAssignmentDiff(workspaceRoot, baseRef, headRef, {
+      offset: files.length,
+      limit: REVIEW_FILE_PAGE_SIZE,
+      maxPatchBytes: maxDiffBytes,
+      includePatches: diffBytes < maxDiffBytes
+    });
+    for (const file of diff.files) {
+      files.push(file);
+      if (file.binary) {
+        continue;
+      }
+      if (file.patch && !file.truncated && diffBytes + file.patchBytes <= maxDiffBytes) {
+        patches.push(file.patch);
+        diffBytes += file.patchBytes;
+      } else {
+        omittedPaths.push(file.path);
+      }
+    }
+  } while (diff.pagination.hasMore && diff.files.length > 0);
+
+  const commits = readCommitLog(workspaceRoot, diff.mergeBaseSha, diff.headSha, { limit: options.maxCommits });
+  const { totals } = diff;
+
+  const summary = [
+    options.title || null,
+    options.description ? `\n${options.description}\n` : null,
+    `Branch ${headRef} against ${baseRef} (${diff.mergeBaseSha.slice(0, 12)}..${diff.headSha.slice(0, 12)}): `
+      + `${totals.files} file(s) changed, +${totals.additions} -${totals.deletions}`
+      + (totals.binary ? `, ${totals.binary} binary` : '')
+      + '.',
+    '',
+    'Commits:',
+    ...(commits.length
+      ? commits.map((commit) => `- ${commit.sha.slice(0, 12)} ${commit.subject} (${commit.author})`)
+      : ['(none)'])
+  ].filter((line) => line !== null).join('\n');
+
+  const context = [
+    'Touched files:',
+    ...(files.length ? files.map(describeFile) : ['(none)']),
+    omittedPaths.length
+      ? `\nPatches omitted to stay within ${maxDiffBytes} bytes: ${omittedPaths.join(', ')}`
+      : null,
+    options.context ? `\n${options.context}` : null
+  ].filter((line) => line !== null).join('\n');
+
+  return {
+    summary,
+    diff: patches.join('\n') || '(no textual changes)',
+    context,
+    source: {
+      repoRoot: diff.repoRoot,
+      baseRef,
+      headRef,
+      baseSha: diff.baseSha,
+      headSha: diff.headSha,
+      mergeBaseSha: diff.mergeBaseSha,
+      totals,
+      commits,
+      files: files.map((file) => ({
+        path: file.path,
+        oldPath: file.oldPath,
+        status: file.status,
+        additions: file.additions,
+        deletions: file.deletions,
+        binary: file.binary
+      })),
+      diffBytes,
+      omittedPaths
+    }
+  };
+}
+
+module.exports = {
+  buildBranchReviewInput
+};
@@ -0,0 +1,370 @@
+/**
+ * BudgetService
+ *
+ * Evaluates spending budgets attached to root sessions, tasks, and projects
+ * each time a usage record lands, and gates new child spawns and assignment
+ * starts on them.
+ *
+ * A budget is measured against the summed usage_records of its scope:
+ * total_tokens, cost (reported cost_usd, else the price-table estimate), and
+ * duration_ms (wall-clock time of recorded provider turns). Crossing a warn
+ * threshold emits 'budget-warning' once per threshold. Reaching a limit emits
+ * 'budget-exceeded' and, for hard caps, opens a gate: a run for the budget
+ * carrying a `blocked_by_gate` blocked state. Spawns in the scope are refused
+ * while the gate is open. An operator override is recorded as an
+ * operator_actions row on that run and lifts the block, optionally until an
+ * expiry time.
+ */
+
+const EventEmitter = require('events');
+const { RunLedgerService } = require('./run-ledger');
+
+const USAGE_FILTER_KEYS = Object.freeze({
+  root: 'rootSessionId',
+  task: 'taskId',
+  project: 'projectId'
+});
+
+const LIMIT_DIMENSIONS = Object.freeze([
+  { key: 'tokens', limit: 'maxTokens', usage: 'totalTokens' },
+  { key: 'costUsd', limit: 'maxCostUsd', usage: 'effectiveCostUsd' },
+  { key: 'wallClockMs', limit: 'maxWallClockMs', usage: 'durationMs' }
+]);
+
+function budgetError(message, code, param) {
+  const error = new Error(message);
+  error.code = code;
+  if (param) {
+    error.param = param;
+  }
+  return error;
+}
+
+function describeExceeded(exceeded) {
+  return exceeded
+    .map((entry) => `${entry.dimension} ${Number(entry.used.toFixed(4))}/${entry.limit}`)
+    .join(', ');
+}
+
+class BudgetService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.db = options.db || null;
+    this.runLedger = options.runLedger || (this.db ? new RunLedgerService(this.db) : null);
+    this.logger = options.logger || console;
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Start evaluating budgets whenever a usage record is written
+   */
+  attach() {
+    if (this._unsubscribe || typeof this.db?.onUsageRecorded !== 'function') {
+      return;
+    }
+    this._unsubscribe = this.db.onUsageRecorded((record) => {
+      this.evaluateForUsage(record);
+    });
+  }
+
+  detach() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  createBudget(input = {}) {
+    return this.evaluate(this.db.createBudget(input));
+  }
+
+  updateBudget(budgetId, patch = {}) {
+    const updated = this.db.updateBudget(budgetId, {
+      maxTokens: patch.maxTokens,
+      maxCostUsd: patch.maxCostUsd,
+      maxWallClockMs: patch.maxWallClockMs,
+      warnThresholds: patch.warnThresholds,
+      hardCap: patch.hardCap,
+      metadata: patch.metadata
+    });
+    return updated ? this.evaluate(updated) : null;
+  }
+
+  deleteBudget(budgetId) {
+    const budget = this.db.getBudget(budgetId);
+    if (!budget) {
+      return false;
+    }
+    this._closeGate(budget, 'budget_deleted');
+    return this.db.deleteBudget(budget.id);
+  }
+
+  /**
+   * Current usage of a budget's scope and how close it is to each limit
+   */
+  measure(budget) {
+    const usage = this.db.summarizeUsage({ [USAGE_FILTER_KEYS[budget.scopeType]]: budget.scopeId });
+    const dimensions = LIMIT_DIMENSIONS
+      .filter((dimension) => budget[dimension.limit] !== null)
+      .map((dimension) => ({
+        dimension: dimension.key,
+        used: usage[dimension.usage] || 0,
+        limit: budget[dimension.limit],
+        ratio: (usage[dimension.usage] || 0) / budget[dimension.limit]
+      }));
+    return {
+      usage: {
+        totalTokens: usage.totalTokens,
+        costUsd: usage.effectiveCostUsd,
+        wallClockMs: usage.durationMs,
+        recordCount: usage.recordCount
+      },
+      dimensions,
+      peakRatio: dimensions.reduce((peak, entry) => Math.max(peak, entry.ratio), 0),
+      exceeded: dimensions.filter((entry) => entry.ratio >= 1)
+    };
+  }
+
+  /**
+   * Re-evaluate one budget, moving its state and gate and emitting events
+   * as limits and thresholds are crossed. Returns the budget with usage.
+   */
+  evaluate(budgetOrId, options = {}) {
+    let budget = typeof budgetOrId === 'string' ? this.db.getBudget(budgetOrId) : budgetOrId;
+    if (!budget) {
+      return null;
+    }
+    const now = options.now || Date.now();
+    const measurement = this.measure(budget);
+    const overrideActive = budget.state === 'overridden'
+      && (budget.overrideExpiresAt === null || budget.overrideExpiresAt > now);
+    const crossed = budget.warnThresholds.filter((threshold) => measurement.peakRatio >= threshold).pop() ?? null;
+
+    let nextState;
+    if (measurement.exceeded.length > 0) {
+      nextState = overrideActive ? 'overridden' : 'exceeded';
+    } else {
+      nextState = crossed !== null ? 'warning' : 'ok';
+    }
+
+    const patch = { state: nextState, lastWarnedThreshold: crossed, evaluatedAt: now };
+    if (nextState !== 'overridden') {
+      patch.overrideExpiresAt = null;
+    }
+    if (nextState === 'warning' && crossed > (budget.lastWarnedThreshold ?? 0)) {
+      this._emit('budget-warning', budget, measurement, { threshold: crossed });
+    }
+    if (nextState === 'exceeded' && budget.state !== 'exceeded') {
+      if (budget.hardCap) {
+        patch.gateRunId = this._openGate(budget, measurement, now);
+      }
+      this._emit('budget-exceeded', budget, measurement, { hardCap: budget.hardCap });
+    }
+    if ((nextState === 'ok' || nextState === 'warning') && (budget.state === 'exceeded' || budget.state === 'overridden')) {
+      this._closeGate(budget, 'budget_within_limits', now);
+    }
+
+    budget = this.db.updateBudget(budget.id, patch);
+    return { ...budget, ...measurement };
+  }
+
+  evaluateForUsage(record = {}) {
+    return this.evaluateForScopes([{
+      rootSessionId: record.rootSessionId,
+      taskId: record.taskId,
+      projectId: record.projectId
+    }]);
+  }
+
+  /**
+   * Re-evaluate each budget covering any of the given root session / task /
+   * project scopes once, e.g. after stored usage costs were recomputed
+   */
+  evaluateForScopes(scopeList = []) {
+    const budgets = new Map();
+    for (const scopes of scopeList) {
+      for (const budget of this.db.listBudgetsForScopes(scopes)) {
+        budgets.set(budget.id, budget);
+      }
+    }
+    return [...budgets.values()].map((budget) => {
+      try {
+        return this.evaluate(budget);
+      } catch (error) {
+        this.logger.warn(`[BudgetService] Evaluating budget ${budget.id} failed: ${error.message}`);
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  /**
+   * Whether a new child spawn or assignment start may proceed in the given
+   * root session / task. Expired overrides are re-evaluated first.
+   */
+  checkSpawn(scopes = {}) {
+    const rootSessionId = scopes.rootSessionId || null;
+    const taskId = scopes.taskId || null;
+    const projectId = scopes.projectId || this.db._resolveProjectIdForUsage({ taskId, terminalId: rootSessionId });
+    const blocking = this.db.listBudgetsForScopes({ rootSessionId, taskId, projectId })
+      .filter((budget) => budget.hardCap && (budget.state === 'exceeded' || budget.state === 'overridden'))
+      .map((budget) => this.evaluate(budget))
+      .filter((budget) => budget.state === 'exceeded');
+    return { allowed: blocking.length === 0, blocking };
+  }
+
+  /**
+   * Throw a `budget_exceeded` error, carrying the blocking budgets, when
+   * checkSpawn refuses the scopes. `action` names what was refused. With a
+   * runId, the refused run also gets the gate's `blocked_by_gate` state.
+   */
+  assertSpawnAllowed(scopes = {}, options = {}) {
+    const { allowed, blocking } = this.checkSpawn(scopes);
+    if (allowed) {
+      return;
+    }
+    const detail = blocking.map((budget) => `${budget.scopeType} budget ${budget.id} is exceeded`).join('; ');
+    const error = budgetError(`${options.action || 'spawn'} refused: ${detail}`, 'budget_exceeded');
+    error.budgets = blocking.map((budget) => ({
+      id: budget.id,
+      scopeType: budget.scopeType,
+      scopeId: budget.scopeId,
+      gateRunId: budget.gateRunId,
+      exceeded: budget.exceeded
+    }));
+    if (options.runId && this.runLedger && !this.runLedger.getActiveBlockedState(options.runId)) {
+      this.runLedger.appendRunBlockedState({
+        runId: options.runId,
+        blockedReason: 'blocked_by_gate',
+        blockingDetail: error.message,
+        metadata: {
+          gate: 'budget',
+          budgetIds: error.budgets.map((budget) => budget.id),
+          gateRunIds: error.budgets.map((budget) => budget.gateRunId)
+        }
+      });
+    }
+    throw error;
+  }
+
+  /**
+   * Lift an exceeded hard cap. The override is recorded on the budget's gate
+   * run and lasts until `expiresAt` (epoch ms) or, without one, until usage
+   * falls back under the limits (for example after limits are raised).
+   */
+  override(budgetId, options = {}) {
+    const budget = this.db.getBudget(budgetId);
+    if (!budget) {
+      throw budgetError(`Budget ${budgetId} not found`, 'budget_not_found');
+    }
+    if (budget.state !== 'exceeded' || !budget.gateRunId) {
+      throw budgetError(`Budget ${budget.id} is ${budget.state}; only an exceeded hard cap can be overridden`, 'budget_not_exceeded');
+    }
+    const now = Date.now();
+    const expiresAt = options.expiresAt === undefined || options.expiresAt === null ? null : Number(options.expiresAt);
+    if (expiresAt !== null && (!Number.isFinite(expiresAt) || expiresAt <= now)) {
+      throw budgetError('expiresAt must be a future epoch millisecond timestamp', 'invalid_request', 'expiresAt');
+    }
+
+    const action = this.runLedger.appendOperatorAction({
+      runId: budget.gateRunId,
+      actionKind: 'operator_override',
+      payload: {
+        budgetId: budget.id,
+        scopeType: budget.scopeType,
+        scopeId: budget.scopeId,
+        reason: options.reason || null,
+        expiresAt
+      },
+      tokenName: options.tokenName || null,
+      createdAt: now
+    });
+    this._closeGate(budget, 'operator_override', now);
+    const updated = this.db.updateBudget(budget.id, { state: 'overridden', overrideExpiresAt: expiresAt });
+    return { budget: { ...updated, ...this.measure(updated) }, operatorAction: action };
+  }
+
+  /**
+   * Run-ledger view of a budget's gate: its blocked states and operator actions
+   */
+  describeGate(budget) {
+    if (!budget?.gateRunId) {
+      return null;
+    }
+    return {
+      runId: budget.gateRunId,
+      activeBlockedState: this.runLedger.getActiveBlockedState(budget.gateRunId),
+      blockedStates: this.runLedger.listRunBlockedStates(budget.gateRunId),
+      operatorActions: this.runLedger.listOperatorActions(budget.gateRunId)
+    };
+  }
+
+  _openGate(budget, measurement, now) {
+    const detail = `Budget ${budget.id} for ${budget.scopeType} ${budget.scopeId} exceeded: ${describeExceeded(measurement.exceeded)}`;
+    let runId = budget.gateRunId;
+    if (!runId) {
+      const task = budget.scopeType === 'task' ? this.db.getTask(budget.scopeId) : null;
+      runId = this.runLedger.createRun({
+        kind: 'implementation-run',
+        status: 'failed',
+        hashInput: { message: `budget:${budget.id}` },
+        inputSummary: `Budget gate for ${budget.scopeType} ${budget.scopeId}`,
+        initiator: 'orchestration/budgets',
+        currentStep: 'blocked',
+        decisionSummary: detail,
+        decisionSource: 'budget',
+        failureClass: 'validation',
+        metadata: { budgetGate: true, budgetId: budget.id, scopeType: budget.scopeType, scopeId: budget.scopeId },
+        startedAt: now,
+        completedAt: now,
+        rootSessionId: budget.scopeType === 'root' ? budget.scopeId : (task?.rootSessionId || null),
+        taskId: budget.scopeType === 'task' ? budget.scopeId : null,
+        projectId: budget.scopeType === 'project' ? budget.scopeId : undefined
+      });
+    }
+    if (!this.runLedger.getActiveBlockedState(runId)) {
+      this.runLedger.appendRunBlockedState({
+        runId,
+        blockedReason: 'blocked_by_gate',
+        blockingDetail: detail,
+        metadata: {
+          gate: 'budget',
+          budgetId: budget.id,
+          scopeType: budget.scopeType,
+          scopeId: budget.scopeId,
+          exceeded: measurement.exceeded
+        },
+        createdAt: now
+      });
+    }
+    return runId;
+  }
+
+  _closeGate(budget, reason, now = Date.now()) {
+    if (budget.gateRunId && this.runLedger.getActiveBlockedState(budget.gateRunId)) {
+      this.runLedger.unblockRun(budget.gateRunId, { unblockedAt: now, unblockReason: reason });
+    }
+  }
+
+  _emit(type, budget, measurement, extra = {}) {
+    const task = budget.scopeType === 'task' ? this.db.getTask(budget.scopeId) : null;
+    const event = {
+      budgetId: budget.id,
+      scopeType: budget.scopeType,
+      scopeId: budget.scopeId,
+      rootSessionId: budget.scopeType === 'root' ? budget.scopeId : (task?.rootSessionId || null),
+      taskId: budget.scopeType === 'task' ? budget.scopeId : null,
+      usage: measurement.usage,
+      dimensions: measurement.dimensions,
+      ...extra
+    };
+    const message = type === 'budget-exceeded'
+      ? `exceeded: ${describeExceeded(measurement.exceeded)}`
+      : `crossed ${Math.round(extra.threshold * 100)}% of its limit`;
+    this.logger.warn(`[BudgetService] Budget ${budget.id} (${budget.scopeType} ${budget.scopeId}) ${message}`);
+    this.emit(type, event);
+  }
+}
+
+module.exports = {
+  BudgetService
+};
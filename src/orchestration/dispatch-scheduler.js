@@ -0,0 +1,344 @@
+/**
+ * DispatchScheduler
+ *
+ * Drains ready and deferred dispatch_requests inside the broker. Each sweep
+ * claims due dispatches atomically (claimDispatchRequest) and hands them to the
+ * executor registered for their request kind, while keeping the number of
+ * active dispatches under a global cap and optional per-adapter caps.
+ *
+ * A dispatch counts against capacity while its claim is live or while the
+ * terminal it spawned is still working. Dispatches without a known adapter
+ * only count against the global cap.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_SWEEP_INTERVAL_MS = 5000;
+const DEFAULT_MAX_CONCURRENT = 4;
+const DEFAULT_CLAIM_TTL_MS = 10 * 60 * 1000;
+const DEFAULT_SWEEP_LIMIT = 100;
+
+function parsePositiveInteger(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Parse per-adapter caps from an object or a "codex-cli=2,gemini-cli=1" string
+ */
+function parseAdapterLimits(value) {
+  if (!value) {
+    return {};
+  }
+
+  const entries = typeof value === 'string'
+    ? value.split(',').map((entry) => entry.split('='))
+    : Object.entries(value);
+  const limits = {};
+  for (const [rawAdapter, rawLimit] of entries) {
+    const adapter = String(rawAdapter || '').trim();
+    const limit = Number.parseInt(String(rawLimit ?? '').trim(), 10);
+    if (adapter && Number.isFinite(limit) && limit >= 0) {
+      limits[adapter] = limit;
+    }
+  }
+  return limits;
+}
+
+function resolveSchedulerOptions(options = {}) {
+  const env = options.env || process.env;
+  return {
+    enabled: options.enabled ?? env.CLIAGENTS_DISPATCH_SCHEDULER === '1',
+    intervalMs: parsePositiveInteger(
+      options.intervalMs ?? env.CLIAGENTS_DISPATCH_SCHEDULER_INTERVAL_MS,
+      DEFAULT_SWEEP_INTERVAL_MS
+    ),
+    maxConcurrent: parsePositiveInteger(
+      options.maxConcurrent ?? env.CLIAGENTS_DISPATCH_MAX_CONCURRENT,
+      DEFAULT_MAX_CONCURRENT
+    ),
+    adapterLimits: parseAdapterLimits(options.adapterLimits ?? env.CLIAGENTS_DISPATCH_ADAPTER_LIMITS),
+    claimTtlMs: Math.max(
+      1000,
+      parsePositiveInteger(options.claimTtlMs ?? env.CLIAGENTS_DISPATCH_STALE_MS, DEFAULT_CLAIM_TTL_MS)
+    ),
+    limit: parsePositiveInteger(options.limit, DEFAULT_SWEEP_LIMIT) || DEFAULT_SWEEP_LIMIT
+  };
+}
+
+/**
+ * Adapter a dispatch will run on: the spawned adapter when known, otherwise
+ * the adapter requested when the dispatch was created.
+ */
+function resolveDispatchAdapter(dispatch) {
+  const metadata = dispatch?.metadata || {};
+  return dispatch?.terminalAdapter
+    || metadata.adapter
+    || metadata.requestedAdapter
+    || null;
+}
+
+class DispatchScheduler {
+  constructor(options = {}) {
+    const resolved = resolveSchedulerOptions(options);
+    this.db = options.db || null;
+    this.logger = options.logger || console;
+    this.enabled = resolved.enabled;
+    this.intervalMs = resolved.intervalMs;
+    this.maxConcurrent = resolved.maxConcurrent;
+    this.adapterLimits = resolved.adapterLimits;
+    this.claimTtlMs = resolved.claimTtlMs;
+    this.limit = resolved.limit;
+    this.owner = options.owner || `dispatch-scheduler:${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.executors = new Map();
+    this.inFlight = new Map();
+    this.lastSweep = null;
+    this._intervalHandle = null;
+    this._sweeping = false;
+  }
+
+  /**
+   * Register the function that spawns dispatches of one request kind.
+   * The executor receives the claimed dispatch and is responsible for moving it
+   * to `spawned` (or `failed`/`cancelled`).
+   */
+  registerExecutor(requestKind, executor) {
+    const kind = String(requestKind || '').trim().toLowerCase();
+    if (!kind || typeof executor !== 'function') {
+      throw new Error('registerExecutor requires a request kind and an executor function');
+    }
+    this.executors.set(kind, executor);
+  }
+
+  isRunning() {
+    return Boolean(this._intervalHandle);
+  }
+
+  start() {
+    if (this._intervalHandle || !this.enabled || this.intervalMs === 0) {
+      return;
+    }
+
+    this._intervalHandle = setInterval(() => {
+      this.runOnce().catch((error) => {
+        this.logger.warn(`[DispatchScheduler] Sweep error: ${error.message}`);
+      });
+    }, this.intervalMs);
+
+    if (typeof this._intervalHandle.unref === 'function') {
+      this._intervalHandle.unref();
+    }
+  }
+
+  stop() {
+    if (this._intervalHandle) {
+      clearInterval(this._intervalHandle);
+      this._intervalHandle = null;
+    }
+  }
+
+  /**
+   * Claim and launch every dispatch that is due and fits under the caps.
+   * Launches run in the background; use waitForIdle() to await them.
+   */
+  async runOnce(options = {}) {
+    if (this._sweeping) {
+      return { skipped: true, reason: 'sweep_in_progress', started: [], blocked: [] };
+    }
+    if (!this.db || typeof this.db.listReadyDispatchRequests !== 'function') {
+      return { skipped: true, reason: 'dispatch_store_unavailable', started: [], blocked: [] };
+    }
+
+    this._sweeping = true;
+    try {
+      const now = Number.isFinite(options.now) ? options.now : Date.now();
+      const plan = this.planSweep({ now });
+      const started = [];
+      const blocked = [...plan.blocked];
+
+      for (const dispatch of plan.launchable) {
+        const claim = this.db.claimDispatchRequest(dispatch.id, {
+          claimOwner: this.owner,
+          ttlMs: this.claimTtlMs,
+          now
+        });
+        if (!claim.claimed) {
+          blocked.push({ dispatch: claim.dispatch || dispatch, reason: claim.reason || 'claim_conflict' });
+          continue;
+        }
+        this._launch(claim.dispatch);
+        started.push(claim.dispatch);
+      }
+
+      this.lastSweep = {
+        at: now,
+        started: started.map((dispatch) => dispatch.id),
+        blocked: blocked.map((entry) => ({ id: entry.dispatch.id, reason: entry.reason }))
+      };
+      return { skipped: false, started, blocked };
+    } finally {
+      this._sweeping = false;
+    }
+  }
+
+  /**
+   * Decide which ready dispatches fit under the global and per-adapter caps
+   * without claiming anything.
+   */
+  planSweep(options = {}) {
+    const now = Number.isFinite(options.now) ? options.now : Date.now();
+    const capacity = this.getCapacity({ now });
+    const ready = this.db.listReadyDispatchRequests({
+      now,
+      requestKinds: Array.from(this.executors.keys()),
+      limit: this.limit
+    });
+
+    const adapterActive = new Map(Object.entries(capacity.adapters).map(([adapter, entry]) => [adapter, entry.active]));
+    let globalActive = capacity.active;
+    const launchable = [];
+    const blocked = [];
+
+    for (const dispatch of ready) {
+      if (this.inFlight.has(dispatch.id)) {
+        continue;
+      }
+      if (globalActive >= this.maxConcurrent) {
+        blocked.push({ dispatch, reason: 'global_capacity' });
+        continue;
+      }
+      const adapter = resolveDispatchAdapter(dispatch);
+      const adapterLimit = adapter ? this.adapterLimits[adapter] : undefined;
+      if (Number.isFinite(adapterLimit) && (adapterActive.get(adapter) || 0) >= adapterLimit) {
+        blocked.push({ dispatch, reason: `adapter_capacity:${adapter}` });
+        continue;
+      }
+
+      launchable.push(dispatch);
+      globalActive += 1;
+      if (adapter) {
+        adapterActive.set(adapter, (adapterActive.get(adapter) || 0) + 1);
+      }
+    }
+
+    return { launchable, blocked, capacity };
+  }
+
+  /**
+   * Active dispatch counts against the configured caps
+   */
+  getCapacity(options = {}) {
+    const now = Number.isFinite(options.now) ? options.now : Date.now();
+    const active = typeof this.db?.listActiveDispatchRequests === 'function'
+      ? this.db.listActiveDispatchRequests({ now })
+      : [];
+    const activeIds = new Set(active.map((dispatch) => dispatch.id));
+    const entries = [
+      ...active,
+      ...Array.from(this.inFlight.values())
+        .filter((entry) => !activeIds.has(entry.dispatch.id))
+        .map((entry) => entry.dispatch)
+    ];
+
+    const adapters = {};
+    for (const adapter of Object.keys(this.adapterLimits)) {
+      adapters[adapter] = { limit: this.adapterLimits[adapter], active: 0, available: this.adapterLimits[adapter] };
+    }
+    for (const dispatch of entries) {
+      const adapter = resolveDispatchAdapter(dispatch);
+      if (!adapter) {
+        continue;
+      }
+      const limit = Number.isFinite(this.adapterLimits[adapter]) ? this.adapterLimits[adapter] : null;
+      const entry = adapters[adapter] || { limit, active: 0, available: null };
+      entry.active += 1;
+      entry.available = limit === null ? null : Math.max(0, limit - entry.active);
+      adapters[adapter] = entry;
+    }
+
+    return {
+      maxConcurrent: this.maxConcurrent,
+      active: entries.length,
+      available: Math.max(0, this.maxConcurrent - entries.length),
+      adapters,
+      activeDispatches: entries
+    };
+  }
+
+  /**
+   * Queue readout for GET /orchestration/dispatch
+   */
+  getSnapshot(options = {}) {
+    const now = Number.isFinite(options.now) ? options.now : Date.now();
+    const plan = this.db && typeof this.db.listReadyDispatchRequests === 'function'
+      ? this.planSweep({ now })
+      : { launchable: [], blocked: [], capacity: this.getCapacity({ now }) };
+    const deferred = typeof this.db?.listDispatchRequests === 'function'
+      ? this.db.listDispatchRequests({ status: 'deferred', limit: options.limit })
+        .filter((dispatch) => dispatch.deferUntil && dispatch.deferUntil > now)
+        .sort((left, right) => left.deferUntil - right.deferUntil)
+      : [];
+    const { activeDispatches, ...capacity } = plan.capacity;
+
+    return {
+      scheduler: {
+        enabled: this.enabled,
+        running: this.isRunning(),
+        owner: this.owner,
+        intervalMs: this.intervalMs,
+        claimTtlMs: this.claimTtlMs,
+        requestKinds: Array.from(this.executors.keys()),
+        inFlight: Array.from(this.inFlight.keys()),
+        lastSweep: this.lastSweep
+      },
+      capacity,
+      ready: [
+        ...plan.launchable.map((dispatch) => ({ dispatch, blockedReason: null })),
+        ...plan.blocked.map((entry) => ({ dispatch: entry.dispatch, blockedReason: entry.reason }))
+      ].map((entry) => ({ ...entry, adapter: resolveDispatchAdapter(entry.dispatch) })),
+      deferred: deferred.map((dispatch) => ({ dispatch, adapter: resolveDispatchAdapter(dispatch) })),
+      active: activeDispatches.map((dispatch) => ({ dispatch, adapter: resolveDispatchAdapter(dispatch) }))
+    };
+  }
+
+  /**
+   * Resolve once every launch started by this scheduler has settled
+   */
+  async waitForIdle() {
+    while (this.inFlight.size > 0) {
+      await Promise.allSettled(Array.from(this.inFlight.values()).map((entry) => entry.promise));
+    }
+  }
+
+  _launch(dispatch) {
+    const executor = this.executors.get(dispatch.requestKind);
+    const promise = Promise.resolve()
+      .then(() => executor(dispatch, { scheduler: this }))
+      .catch((error) => {
+        this.logger.warn(`[DispatchScheduler] Dispatch ${dispatch.id} failed: ${error.message}`);
+        const current = this.db.getDispatchRequest(dispatch.id);
+        if (current?.status === 'claimed' && current.claimOwner === this.owner) {
+          this.db.updateDispatchRequest(dispatch.id, {
+            status: 'failed',
+            metadata: {
+              ...(current.metadata || {}),
+              failed: true,
+              error: { message: error.message, code: error.code || null }
+            }
+          });
+        }
+      })
+      .finally(() => {
+        this.inFlight.delete(dispatch.id);
+      });
+    this.inFlight.set(dispatch.id, { dispatch, startedAt: Date.now(), promise });
+  }
+}
+
+module.exports = {
+  DispatchScheduler,
+  parseAdapterLimits,
+  resolveDispatchAdapter,
+  DEFAULT_SWEEP_INTERVAL_MS,
+  DEFAULT_MAX_CONCURRENT
+};
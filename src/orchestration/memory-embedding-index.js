@@ -0,0 +1,400 @@
+/**
+ * MemoryEmbeddingIndex
+ *
+ * Optional semantic index over memory snapshots, handoff summaries, findings,
+ * key decisions, and windows of conversation messages. Vectors live in the
+ * memory_embeddings table and every embedding is linked back to the rows it
+ * was built from with a 'derived_from' memory summary edge.
+ *
+ * The embedder is pluggable:
+ * - hashing (default): deterministic feature hashing, no model or network
+ * - openai: any OpenAI-compatible /embeddings endpoint, including local
+ *   servers such as Ollama, LM Studio, or llama.cpp
+ * - module: a local Node module exporting createEmbedder(options) or an
+ *   embedder object ({ id, dimensions, embed(texts) })
+ *
+ * Ranking is brute-force cosine similarity, which is fine for the few
+ * thousand items a broker accumulates.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const DEFAULT_HASHING_DIMENSIONS = 256;
+const DEFAULT_SYNC_INTERVAL_MS = 60000;
+const DEFAULT_SYNC_LIMIT = 50;
+const DEFAULT_EMBEDDER_TIMEOUT_MS = 30000;
+const EMBED_BATCH_SIZE = 32;
+
+function parsePositiveInteger(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+// 32-bit FNV-1a; stable across processes and platforms
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalizeVector(vector) {
+  let norm = 0;
+  for (const value of vector) {
+    norm += value * value;
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let index = 0; index < vector.length; index += 1) {
+      vector[index] /= norm;
+    }
+  }
+  return vector;
+}
+
+/**
+ * Deterministic embedder: unigrams and bigrams are hashed into signed
+ * buckets with sublinear term frequency, then L2-normalized. Texts that
+ * share vocabulary land close together; there is no notion of synonyms.
+ */
+function createHashingEmbedder(options = {}) {
+  const dimensions = parsePositiveInteger(options.dimensions, DEFAULT_HASHING_DIMENSIONS) || DEFAULT_HASHING_DIMENSIONS;
+  const embedOne = (text) => {
+    const tokens = tokenize(text);
+    const counts = new Map();
+    tokens.forEach((token, index) => {
+      counts.set(token, (counts.get(token) || 0) + 1);
+      if (index > 0) {
+        const bigram = `${tokens[index - 1]} ${token}`;
+        counts.set(bigram, (counts.get(bigram) || 0) + 0.5);
+      }
+    });
+    const vector = new Float32Array(dimensions);
+    for (const [feature, count] of counts) {
+      const hash = fnv1a(feature);
+      const sign = (fnv1a(`#${feature}`) & 1) ? -1 : 1;
+      vector[hash % dimensions] += sign * (1 + Math.log(count));
+    }
+    return normalizeVector(vector);
+  };
+
+  return {
+    id: `hashing-v1:${dimensions}`,
+    dimensions,
+    async embed(texts) {
+      return texts.map(embedOne);
+    }
+  };
+}
+
+/**
+ * Embedder backed by an OpenAI-compatible POST {baseUrl}/embeddings endpoint
+ */
+function createOpenAICompatibleEmbedder(options = {}) {
+  const baseUrl = String(options.baseUrl || '').trim().replace(/\/+$/, '');
+  const model = String(options.model || '').trim();
+  if (!baseUrl || !model) {
+    throw new Error('OpenAI-compatible embedder requires a base URL and model');
+  }
+  const timeoutMs = parsePositiveInteger(options.timeoutMs, DEFAULT_EMBEDDER_TIMEOUT_MS) || DEFAULT_EMBEDDER_TIMEOUT_MS;
+  const fetchImpl = options.fetch || fetch;
+
+  return {
+    id: `openai:${model}`,
+    dimensions: parsePositiveInteger(options.dimensions, 0) || null,
+    async embed(texts) {
+      const response = await fetchImpl(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {})
+        },
+        body: JSON.stringify({ model, input: texts }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        throw new Error(`Embedding request failed with ${response.status}: ${detail.slice(0, 200)}`);
+      }
+      const payload = await response.json();
+      const data = Array.isArray(payload?.data) ? [...payload.data] : [];
+      if (data.length !== texts.length) {
+        throw new Error(`Embedding response returned ${data.length} vectors for ${texts.length} inputs`);
+      }
+      data.sort((left, right) => (left.index ?? 0) - (right.index ?? 0));
+      return data.map((entry) => normalizeVector(Float32Array.from(entry.embedding || [])));
+    }
+  };
+}
+
+/**
+ * Load a local embedder module. It may export createEmbedder(options) or an
+ * embedder object directly; either way the result needs an id and embed().
+ */
+function loadModuleEmbedder(modulePath, options = {}) {
+  const loaded = require(path.resolve(String(modulePath)));
+  const embedder = typeof loaded.createEmbedder === 'function' ? loaded.createEmbedder(options) : loaded;
+  if (!embedder || typeof embedder.embed !== 'function' || !embedder.id) {
+    throw new Error(`Embedder module ${modulePath} must provide an id and an embed(texts) function`);
+  }
+  const embed = embedder.embed.bind(embedder);
+  return {
+    id: String(embedder.id),
+    dimensions: embedder.dimensions || null,
+    async embed(texts) {
+      const vectors = await embed(texts);
+      return vectors.map((vector) => normalizeVector(Float32Array.from(vector)));
+    }
+  };
+}
+
+/**
+ * Build the embedder selected by CLIAGENTS_EMBEDDER (hashing, openai, module)
+ */
+function createEmbedderFromEnv(env = process.env) {
+  const kind = String(env.CLIAGENTS_EMBEDDER || 'hashing').trim().toLowerCase();
+  const dimensions = env.CLIAGENTS_EMBEDDER_DIMENSIONS;
+  switch (kind) {
+    case 'hashing':
+      return createHashingEmbedder({ dimensions });
+    case 'openai':
+      return createOpenAICompatibleEmbedder({
+        baseUrl: env.CLIAGENTS_EMBEDDER_URL || 'https://api.openai.com/v1',
+        model: env.CLIAGENTS_EMBEDDER_MODEL || 'text-embedding-3-small',
+        apiKey: env.CLIAGENTS_EMBEDDER_API_KEY || env.OPENAI_API_KEY || null,
+        dimensions,
+        timeoutMs: env.CLIAGENTS_EMBEDDER_TIMEOUT_MS
+      });
+    case 'module':
+      if (!env.CLIAGENTS_EMBEDDER_MODULE) {
+        throw new Error('CLIAGENTS_EMBEDDER=module requires CLIAGENTS_EMBEDDER_MODULE');
+      }
+      return loadModuleEmbedder(env.CLIAGENTS_EMBEDDER_MODULE, {
+        model: env.CLIAGENTS_EMBEDDER_MODEL || null,
+        dimensions
+      });
+    default:
+      throw new Error(`Unknown CLIAGENTS_EMBEDDER "${kind}"; expected hashing, openai, or module`);
+  }
+}
+
+function vectorToBuffer(vector) {
+  const floats = Float32Array.from(vector);
+  return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+function bufferToVector(buffer) {
+  // Copy into a fresh ArrayBuffer; SQLite blobs are not guaranteed 4-byte aligned
+  return new Float32Array(Uint8Array.from(buffer).buffer);
+}
+
+function dot(left, right) {
+  const length = Math.min(left.length, right.length);
+  let sum = 0;
+  for (let index = 0; index < length; index += 1) {
+    sum += left[index] * right[index];
+  }
+  return sum;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+class MemoryEmbeddingIndex {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.db = options.db || null;
+    this.logger = options.logger || console;
+    this.enabled = options.enabled ?? env.CLIAGENTS_MEMORY_EMBEDDINGS === '1';
+    this.embedder = options.embedder || (this.enabled ? createEmbedderFromEnv(env) : createHashingEmbedder());
+    this.intervalMs = parsePositiveInteger(
+      options.intervalMs ?? env.CLIAGENTS_MEMORY_EMBEDDINGS_SYNC_MS,
+      DEFAULT_SYNC_INTERVAL_MS
+    );
+    this._intervalHandle = null;
+    this._syncing = null;
+  }
+
+  start() {
+    if (!this.enabled || this._intervalHandle || this.intervalMs === 0) {
+      return;
+    }
+    const sweep = () => {
+      this.sync().catch((error) => {
+        this.logger.warn(`[MemoryEmbeddingIndex] Sync failed: ${error.message}`);
+      });
+    };
+    this._intervalHandle = setInterval(sweep, this.intervalMs);
+    if (typeof this._intervalHandle.unref === 'function') {
+      this._intervalHandle.unref();
+    }
+    sweep();
+  }
+
+  stop() {
+    if (this._intervalHandle) {
+      clearInterval(this._intervalHandle);
+      this._intervalHandle = null;
+    }
+  }
+
+  /**
+   * Embed new and changed memory items. Concurrent calls share one pass.
+   */
+  sync(options = {}) {
+    if (!this._syncing) {
+      this._syncing = this._sync(options).finally(() => {
+        this._syncing = null;
+      });
+    }
+    return this._syncing;
+  }
+
+  async _sync(options = {}) {
+    const result = { embedderId: this.embedder.id, groups: 0, embedded: 0, unchanged: 0, pruned: 0 };
+    if (!this.db) {
+      return result;
+    }
+    result.pruned += this.db.pruneMemoryEmbeddings();
+
+    const groups = this.db.listMemoryEmbeddingCandidates({
+      embedderId: this.embedder.id,
+      limit: parsePositiveInteger(options.limit, DEFAULT_SYNC_LIMIT) || DEFAULT_SYNC_LIMIT
+    });
+    for (const group of groups) {
+      const items = group.items.map((item) => ({ ...item, contentSha256: sha256(item.content) }));
+      const stale = items.filter((item) => item.content && item.contentSha256 !== item.existingSha256);
+      // Empty text gets a zero-dimension placeholder so the source row stops
+      // being selected on every sweep; recall skips placeholders
+      const blank = items.filter((item) => !item.content && item.contentSha256 !== item.existingSha256);
+      for (const item of blank) {
+        this.db.upsertMemoryEmbedding({
+          ...item,
+          embedderId: this.embedder.id,
+          dimensions: 0,
+          vector: Buffer.alloc(0)
+        });
+        result.unchanged += 1;
+      }
+      for (const item of items) {
+        if (!stale.includes(item) && !blank.includes(item) && item.existingSha256) {
+          this.db.upsertMemoryEmbedding({ embedderId: this.embedder.id, itemKey: item.itemKey, sourceCursor: item.sourceCursor });
+          result.unchanged += 1;
+        }
+      }
+
+      for (let start = 0; start < stale.length; start += EMBED_BATCH_SIZE) {
+        const batch = stale.slice(start, start + EMBED_BATCH_SIZE);
+        const vectors = await this.embedder.embed(batch.map((item) => item.content));
+        batch.forEach((item, index) => {
+          const vector = vectors[index];
+          const embedding = this.db.upsertMemoryEmbedding({
+            ...item,
+            embedderId: this.embedder.id,
+            dimensions: vector.length,
+            vector: vectorToBuffer(vector)
+          });
+          this._linkLineage(embedding, item);
+          result.embedded += 1;
+        });
+      }
+
+      const decisionKeys = items.filter((item) => item.itemType === 'decision').map((item) => item.itemKey);
+      if (group.sourceTable !== 'messages' && group.sourceTable !== 'findings') {
+        result.pruned += this.db.pruneMemoryEmbeddings({
+          embedderId: this.embedder.id,
+          sourceTable: group.sourceTable,
+          sourceId: group.sourceId,
+          itemType: 'decision',
+          keepItemKeys: decisionKeys
+        });
+      }
+      result.groups += 1;
+    }
+    return result;
+  }
+
+  _linkLineage(embedding, item) {
+    for (const source of item.lineage || []) {
+      try {
+        this.db.appendMemorySummaryEdge({
+          edgeNamespace: 'derivation',
+          parentScopeType: 'memory_embedding',
+          parentScopeId: embedding.embeddingId,
+          childScopeType: source.scopeType,
+          childScopeId: source.scopeId,
+          edgeKind: 'derived_from',
+          metadata: {
+            source: 'memory-embedding-index',
+            itemKey: item.itemKey,
+            itemType: item.itemType,
+            embedderId: this.embedder.id
+          }
+        });
+      } catch (error) {
+        this.logger.warn(`[MemoryEmbeddingIndex] Lineage edge failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Rank indexed items against `text` and return the top `k`. Items from the
+   * excluded task or root are skipped so a bundle only recalls other work.
+   */
+  async findRelevant(text, options = {}) {
+    const query = String(text || '').trim();
+    const k = Math.min(50, parsePositiveInteger(options.k, 5) || 5);
+    if (!this.db || !query) {
+      return [];
+    }
+    const [queryVector] = await this.embedder.embed([query]);
+    const minScore = Number.isFinite(Number(options.minScore)) ? Number(options.minScore) : 0.05;
+    return this.db.listMemoryEmbeddings({
+      embedderId: this.embedder.id,
+      itemTypes: options.itemTypes,
+      excludeTaskId: options.excludeTaskId || null,
+      excludeRootSessionId: options.excludeRootSessionId || null
+    })
+      .map((row) => ({ row, score: dot(queryVector, bufferToVector(row.vector)) }))
+      .filter((entry) => entry.score >= minScore)
+      .sort((left, right) => right.score - left.score)
+      .slice(0, k)
+      .map(({ row, score }) => ({
+        embeddingId: row.embeddingId,
+        itemType: row.itemType,
+        sourceTable: row.sourceTable,
+        sourceId: row.sourceId,
+        rootSessionId: row.rootSessionId,
+        taskId: row.taskId,
+        runId: row.runId,
+        content: row.content,
+        score: Number(score.toFixed(6)),
+        updatedAt: row.updatedAt,
+        lineage: this.db.listMemorySummaryEdges({
+          parentScopeType: 'memory_embedding',
+          parentScopeId: row.embeddingId,
+          limit: 20
+        }).map((edge) => ({ scopeType: edge.childScopeType, scopeId: edge.childScopeId }))
+      }));
+  }
+
+  get isRunning() {
+    return Boolean(this._intervalHandle);
+  }
+}
+
+module.exports = {
+  MemoryEmbeddingIndex,
+  createEmbedderFromEnv,
+  createHashingEmbedder,
+  createOpenAICompatibleEmbedder,
+  loadModuleEmbedder
+};
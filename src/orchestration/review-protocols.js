@@ -594,6 +594,7 @@ async function runReviewProtocol(sessionManager, protocol, payload, options = {}
         workingDirectory: options.workDir || null,
         initiator: `orchestration/${protocol.name}`,
         metadata: {
+          ...options.runMetadata,
           reviewerCount: reviewers.length,
           hasJudge: Boolean(judgeSpec)
         },
@@ -707,6 +708,7 @@ async function runReviewProtocol(sessionManager, protocol, payload, options = {}
         completedAt,
         durationMs: completedAt - startedAt,
       metadata: {
+        ...options.runMetadata,
         reviewerCount: reviewerRuns.length,
         successCount: 0
       }
@@ -805,6 +807,7 @@ async function runReviewProtocol(sessionManager, protocol, payload, options = {}
       completedAt,
       durationMs: completedAt - startedAt,
       metadata: {
+        ...options.runMetadata,
         reviewerCount: reviewerRuns.length,
         successCount: successfulReviewers.length,
         failedReviewerCount: failedReviewers.length,
@@ -896,7 +899,52 @@ async function runPrReview(sessionManager, payload = {}, options = {}) {
   }, payload, options);
 }
 
+/**
+ * Compact record of a review protocol result: the final verdict with the
+ * judge's blockers, risks, and test gaps, or the reviewers' combined ones when
+ * there is no successful judge.
+ */
+function summarizeReviewDecision(result) {
+  if (!result?.success) {
+    return {
+      status: 'failed',
+      verdict: null,
+      source: null,
+      summary: (result?.reviewers || []).map((entry) => entry.error).filter(Boolean).join(' | ') || null,
+      blockers: [],
+      risks: [],
+      testGaps: [],
+      reviewerCount: result?.reviewerCount || 0,
+      successCount: 0,
+      runId: result?.runId || null
+    };
+  }
+
+  const verdict = result.decision.verdict;
+  const judged = result.judge?.success === true;
+  const sources = judged
+    ? [{ name: result.judge.name, structured: result.judge.structured }]
+    : result.reviewers.filter((entry) => entry.success);
+  return {
+    status: 'completed',
+    verdict,
+    source: result.decision.source,
+    summary: judged
+      ? summarizeText(result.judge.structured?.summary || result.judge.output)
+      : buildFallbackDecisionSummary(sources, verdict),
+    blockers: sources.flatMap((entry) => (entry.structured?.blockers || []).map((blocker) => (
+      judged ? blocker : { ...blocker, reviewer: entry.name }
+    ))),
+    risks: [...new Set(sources.flatMap((entry) => entry.structured?.risks || []))],
+    testGaps: [...new Set(sources.flatMap((entry) => entry.structured?.testGaps || []))],
+    reviewerCount: result.reviewerCount,
+    successCount: result.successCount,
+    runId: result.runId || null
+  };
+}
+
 module.exports = {
   runPlanReview,
-  runPrReview
+  runPrReview,
+  summarizeReviewDecision
 };
@@ -1108,6 +1108,7 @@ class RunLedgerService {
       terminalId: input.terminalId || null,
       actionKind: input.actionKind,
       payload: input.payload,
+      tokenName: input.tokenName || null,
       createdAt: input.createdAt
     });
   }
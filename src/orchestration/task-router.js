@@ -7,7 +7,9 @@
  * - Agent capabilities and availability
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const EventEmitter = require('events');
 const { getAgentProfiles, resolveProfile } = require('../services/agent-profiles');
@@ -15,8 +17,16 @@ const { getModelRoutingService } = require('../services/model-routing');
 const { isAdapterAuthenticated } = require('../utils/adapter-auth');
 const { getChildSessionSupport } = require('./child-session-support');
 const { AdapterReadinessService } = require('./adapter-readiness');
+const { WorkflowRegistry, BUILTIN_WORKFLOWS } = require('./workflow-registry');
+const { evaluateCondition, buildConditionScope } = require('./workflow-conditions');
 
 const ROUTE_TASK_RETRY_MAX_ATTEMPTS = 2;
+// Identifies workflow executions started by this broker process (host:pid:nonce)
+const WORKFLOW_OWNER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+// A broker refreshes the heartbeat on its running executions this often; an
+// owner whose heartbeat is older than WORKFLOW_OWNER_STALE_MS is treated as dead.
+const WORKFLOW_OWNER_HEARTBEAT_MS = 30 * 1000;
+const WORKFLOW_OWNER_STALE_MS = 5 * 60 * 1000;
 const DEFAULT_ROUTE_RETRY_DELAY_MS = 500;
 const MAX_ROUTE_RETRY_DELAY_MS = (() => {
   const parsed = Number.parseInt(process.env.CLIAGENTS_ROUTE_RETRY_DELAY_MAX_MS || '5000', 10);
@@ -53,6 +63,54 @@ function normalizeRouteRetryDelayMs(delayMs, fallbackMs) {
   return Math.min(normalized, MAX_ROUTE_RETRY_DELAY_MS);
 }
 
+/**
+ * Whether the process behind a workflow owner id is still running. Returns
+ * null when that cannot be checked: the owner is on another host, or the id
+ * predates the host:pid:nonce format.
+ */
+function isWorkflowOwnerProcessAlive(ownerId) {
+  const match = String(ownerId || '').match(/^(.+):(\d+):[0-9a-f]+$/);
+  if (!match || match[1] !== os.hostname()) {
+    return null;
+  }
+  try {
+    process.kill(Number(match[2]), 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Mark running workflow executions whose owning broker is provably gone as
+ * interrupted: its process on this host has exited, or it has not refreshed
+ * its heartbeat within staleMs. Executions of live brokers sharing the
+ * database are left running. Returns the number of executions marked.
+ */
+function sweepInterruptedWorkflowExecutions(store, options = {}) {
+  if (!store || typeof store.listRunningWorkflowExecutionOwners !== 'function') {
+    return 0;
+  }
+  const now = Number.isFinite(options.now) ? options.now : Date.now();
+  const staleMs = Number.isFinite(options.staleMs) ? options.staleMs : WORKFLOW_OWNER_STALE_MS;
+  const isOwnerAlive = options.isOwnerAlive || isWorkflowOwnerProcessAlive;
+
+  const deadOwners = store.listRunningWorkflowExecutionOwners()
+    .filter(({ ownerId, heartbeatAt }) => {
+      if (ownerId === WORKFLOW_OWNER_ID) {
+        return false;
+      }
+      if (!ownerId || isOwnerAlive(ownerId) === false) {
+        return true;
+      }
+      return !Number.isFinite(heartbeatAt) || heartbeatAt < now - staleMs;
+    })
+    .map(({ ownerId }) => ownerId);
+  return deadOwners.length > 0
+    ? store.markInterruptedWorkflowExecutions(deadOwners, { now })
+    : 0;
+}
+
 // Task types and their default agent mappings
 const TASK_TYPES = {
   PLAN: 'plan',
@@ -108,66 +166,8 @@ const TASK_TO_ROLE = {
   [TASK_TYPES.ARCHITECT]: 'architect'
 };
 
-// Workflow templates for complex tasks
-const WORKFLOWS = {
-  // Full development cycle: plan → implement → review → test → fix
-  'full-cycle': {
-    name: 'Full Development Cycle',
-    description: 'Complete workflow from planning to tested implementation',
-    steps: [
-      { profile: 'planner', type: 'plan', passOutput: true },
-      { profile: 'implementer', type: 'implement', passOutput: true },
-      { profile: 'reviewer-bugs', type: 'review-bugs', parallel: true },
-      { profile: 'reviewer-security', type: 'review-security', parallel: true },
-      { profile: 'tester', type: 'test', passOutput: true },
-      { profile: 'fixer', type: 'fix', condition: 'hasIssues' }
-    ]
-  },
-
-  // Code review: multiple reviewers in parallel
-  'code-review': {
-    name: 'Comprehensive Code Review',
-    description: 'Parallel review for bugs, security, and performance',
-    steps: [
-      { profile: 'reviewer-bugs', type: 'review-bugs', parallel: true },
-      { profile: 'reviewer-security', type: 'review-security', parallel: true },
-      { profile: 'reviewer-performance', type: 'review-performance', parallel: true }
-    ],
-    aggregateResults: true
-  },
-
-  // Feature development: plan → implement → test
-  'feature': {
-    name: 'Feature Development',
-    description: 'Plan, implement, and test a new feature',
-    steps: [
-      { profile: 'planner', type: 'plan', passOutput: true },
-      { profile: 'implementer', type: 'implement', passOutput: true },
-      { profile: 'tester', type: 'test' }
-    ]
-  },
-
-  // Bug fix: analyze → fix → test
-  'bugfix': {
-    name: 'Bug Fix',
-    description: 'Analyze bug, fix it, verify with tests',
-    steps: [
-      { profile: 'reviewer-bugs', type: 'review-bugs', passOutput: true },
-      { profile: 'fixer', type: 'fix', passOutput: true },
-      { profile: 'tester', type: 'test' }
-    ]
-  },
-
-  // Research and document
-  'research': {
-    name: 'Research & Document',
-    description: 'Research a topic and create documentation',
-    steps: [
-      { profile: 'researcher', type: 'research', passOutput: true },
-      { profile: 'documenter', type: 'document' }
-    ]
-  }
-};
+// Built-in workflow templates; user-defined workflows load through WorkflowRegistry
+const WORKFLOWS = BUILTIN_WORKFLOWS;
 
 class TaskRouter extends EventEmitter {
   constructor(sessionManager, options = {}) {
@@ -187,7 +187,54 @@ class TaskRouter extends EventEmitter {
       adapterAuthInspector: this.adapterAuthInspector,
       profileService: this.profileService
     });
+    this.workflowRegistry = options.workflowRegistry || new WorkflowRegistry({
+      projectRoot: options.workflowProjectRoot,
+      projectDir: options.workflowsProjectDir,
+      personalDir: options.workflowsPersonalDir,
+      knownTaskTypes: Object.values(TASK_TYPES)
+    });
+    // Overrides the per-adapter CLI startup wait before each workflow step (tests, warm pools)
+    this.workflowStepStartupDelayMs = Number.isFinite(options.workflowStepStartupDelayMs)
+      ? Math.max(0, options.workflowStepStartupDelayMs)
+      : null;
+    this.runLedger = options.runLedger || null;
+    // Hard-cap budgets are re-checked before every workflow step spawns a child
+    this.budgetService = options.budgetService || null;
+    this.workflowStore = options.db && typeof options.db.createWorkflowExecution === 'function'
+      ? options.db
+      : null;
     this.activeWorkflows = new Map();
+    this.activeWorkflowStates = new Map();
+    this.workflowHeartbeatTimer = null;
+    if (this.workflowStore) {
+      // Executions left running by a broker that has since died can no longer progress
+      sweepInterruptedWorkflowExecutions(this.workflowStore);
+    }
+  }
+
+  // Keeps this broker's running executions from looking abandoned to other brokers
+  _startWorkflowHeartbeat() {
+    if (!this.workflowStore || this.workflowHeartbeatTimer) {
+      return;
+    }
+    this.workflowHeartbeatTimer = setInterval(() => {
+      try {
+        this.workflowStore.touchWorkflowExecutionOwner(WORKFLOW_OWNER_ID);
+      } catch (error) {
+        console.warn('[TaskRouter] Workflow heartbeat failed:', error.message);
+      }
+    }, WORKFLOW_OWNER_HEARTBEAT_MS);
+    if (typeof this.workflowHeartbeatTimer.unref === 'function') {
+      this.workflowHeartbeatTimer.unref();
+    }
+  }
+
+  _stopWorkflowHeartbeat() {
+    if (!this.workflowHeartbeatTimer || this.activeWorkflowStates.size > 0) {
+      return;
+    }
+    clearInterval(this.workflowHeartbeatTimer);
+    this.workflowHeartbeatTimer = null;
   }
 
   async _getRuntimeAdapterInfo(adapterName) {
@@ -850,130 +897,765 @@ class TaskRouter extends EventEmitter {
 
   /**
    * Execute a predefined workflow
+   *
+   * Agent steps run in order (consecutive parallel steps run together).
+   * Control steps (`if`/`then`/`else`, `loop`/`until`, `goto`) and step
+   * `condition` expressions are evaluated against prior step results; every
+   * decision is kept on the workflow status and, when a run ledger is
+   * configured, appended to the workflow's run as a completed step.
    */
   async executeWorkflow(workflowName, initialMessage, options = {}) {
-    const workflow = WORKFLOWS[workflowName];
+    const state = this._prepareWorkflowExecution(workflowName, initialMessage, options);
+    return this._runWorkflowExecution(state);
+  }
+
+  /**
+   * Start a workflow and return once it is running; the execution continues
+   * in the background and its outcome is persisted.
+   */
+  startWorkflow(workflowName, initialMessage, options = {}) {
+    const state = this._prepareWorkflowExecution(workflowName, initialMessage, options);
+    this._runWorkflowExecution(state).catch(() => {});
+    return this.getWorkflowStatus(state.workflowId);
+  }
+
+  _prepareWorkflowExecution(workflowName, initialMessage, options = {}) {
+    const workflow = this.workflowRegistry.getWorkflow(workflowName);
     if (!workflow) {
-      throw new Error(`Unknown workflow: ${workflowName}. Available: ${Object.keys(WORKFLOWS).join(', ')}`);
+      throw new Error(`Unknown workflow: ${workflowName}. Available: ${this.workflowRegistry.listNames().join(', ')}`);
     }
 
     const workflowId = `wf-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-    const results = [];
-    let currentMessage = initialMessage;
+    const startedAt = Date.now();
+    const runId = this.runLedger
+      ? this.runLedger.createRun({
+          kind: this._resolveWorkflowRunKind(workflow.steps),
+          status: 'running',
+          hashInput: { workflowName, message: initialMessage },
+          inputSummary: String(initialMessage || '').slice(0, 240),
+          workingDirectory: options.workDir || null,
+          initiator: 'orchestration/workflows',
+          currentStep: 'starting',
+          metadata: { workflowId, workflowName, workflowSource: workflow.source || null },
+          startedAt,
+          rootSessionId: options.rootSessionId || null
+        })
+      : null;
 
-    this.activeWorkflows.set(workflowId, {
-      name: workflowName,
-      status: 'running',
-      startedAt: new Date(),
-      steps: []
+    if (this.workflowStore) {
+      this.workflowStore.createWorkflowExecution({
+        workflowExecutionId: workflowId,
+        workflowName,
+        workflowSource: workflow.source || null,
+        definition: workflow,
+        initialMessage,
+        options,
+        runId,
+        rootSessionId: options.rootSessionId || null,
+        ownerId: WORKFLOW_OWNER_ID,
+        createdAt: startedAt
+      });
+    }
+
+    const state = this._createWorkflowState({
+      workflowId,
+      workflowName,
+      workflow,
+      initialMessage,
+      options,
+      runId,
+      startedAt
     });
 
     this.emit('workflow-started', { workflowId, workflowName, steps: workflow.steps.length });
+    return state;
+  }
 
-    try {
-      // Group parallel steps
-      const stepGroups = this._groupParallelSteps(workflow.steps);
-
-      for (const group of stepGroups) {
-        if (group.parallel) {
-          // Execute parallel steps
-          const parallelResults = await Promise.all(
-            group.steps.map(step => this._executeStep(step, currentMessage, workflowId, options))
-          );
-          results.push(...parallelResults);
-
-          // Aggregate results if needed
-          if (workflow.aggregateResults) {
-            currentMessage = this._aggregateResults(parallelResults, currentMessage);
-          }
-        } else {
-          // Execute sequential step
-          const step = group.steps[0];
+  /**
+   * Resume an interrupted, failed, or cancelled workflow execution.
+   *
+   * The persisted definition is re-executed from the top: agent steps that
+   * already completed are replayed from their stored results (no terminal is
+   * started), so control flow reaches the same point and continues from the
+   * first step that had not completed.
+   */
+  async resumeWorkflow(workflowId, options = {}) {
+    const execution = this._getResumableWorkflowExecution(workflowId);
+    const { execution: claimed, state } = this._prepareWorkflowResume(execution, options);
 
-          // Check condition
-          if (step.condition && !this._evaluateCondition(step.condition, results)) {
-            continue;
-          }
+    this.emit('workflow-resumed', { workflowId, workflowName: claimed.workflowName, resumeCount: claimed.resumeCount });
+    return this._runWorkflowExecution(state);
+  }
 
-          const result = await this._executeStep(step, currentMessage, workflowId, options);
-          results.push(result);
+  /**
+   * Start resuming a workflow and return once it is running; the execution
+   * continues in the background and its outcome is persisted.
+   */
+  startWorkflowResume(workflowId, options = {}) {
+    const execution = this._getResumableWorkflowExecution(workflowId);
+    const { state } = this._prepareWorkflowResume(execution, options);
 
-          // Pass output to next step if configured
-          if (step.passOutput && result.output) {
-            currentMessage = `Previous step output:\n${result.output}\n\nOriginal task:\n${initialMessage}`;
-          }
-        }
+    this.emit('workflow-resumed', { workflowId, workflowName: execution.workflowName, resumeCount: execution.resumeCount + 1 });
+    this._runWorkflowExecution(state).catch(() => {});
+    return this.getWorkflowStatus(workflowId);
+  }
+
+  _getResumableWorkflowExecution(workflowId) {
+    if (!this.workflowStore) {
+      const error = new Error('Workflow resume requires persistent workflow storage');
+      error.code = 'workflow_store_unavailable';
+      throw error;
+    }
+
+    const execution = this.workflowStore.getWorkflowExecutionDetail(workflowId);
+    if (!execution) {
+      const error = new Error(`Workflow ${workflowId} not found`);
+      error.code = 'not_found';
+      throw error;
+    }
+    if (this.activeWorkflowStates.has(workflowId)) {
+      const error = new Error(`Workflow ${workflowId} is already running`);
+      error.code = 'workflow_running';
+      throw error;
+    }
+    if (execution.status === 'completed') {
+      const error = new Error(`Workflow ${workflowId} already completed`);
+      error.code = 'workflow_not_resumable';
+      throw error;
+    }
+    if (execution.status === 'running') {
+      const error = new Error(`Workflow ${workflowId} is already running`);
+      error.code = 'workflow_running';
+      throw error;
+    }
+    return execution;
+  }
+
+  _prepareWorkflowResume(execution, options = {}) {
+    const workflowId = execution.workflowExecutionId;
+    const claimed = this.workflowStore.updateWorkflowExecution(workflowId, {
+      status: 'running',
+      ownerId: WORKFLOW_OWNER_ID,
+      resumeCount: execution.resumeCount + 1,
+      cancelRequestedAt: null,
+      error: null,
+      completedAt: null,
+      expectedStatuses: [execution.status]
+    });
+    if (!claimed) {
+      const error = new Error(`Workflow ${workflowId} changed state while resuming; retry`);
+      error.code = 'workflow_running';
+      throw error;
+    }
+
+    if (this.runLedger && execution.runId) {
+      const resumedAt = Date.now();
+      this.runLedger.updateRun(execution.runId, {
+        status: 'running',
+        currentStep: 'resuming',
+        completedAt: null,
+        lastHeartbeatAt: resumedAt
+      });
+      this.runLedger.appendOperatorAction({
+        runId: execution.runId,
+        actionKind: 'operator_resume',
+        payload: {
+          workflowId,
+          previousStatus: execution.status,
+          resumeCount: claimed.resumeCount,
+          reason: options.reason || null
+        },
+        tokenName: options.tokenName || null,
+        createdAt: resumedAt
+      });
+    }
+
+    const state = this._createWorkflowState({
+      workflowId,
+      workflowName: execution.workflowName,
+      workflow: execution.definition,
+      initialMessage: execution.initialMessage,
+      options: execution.options || {},
+      runId: execution.runId,
+      startedAt: execution.createdAt,
+      journal: execution.steps,
+      decisions: execution.decisions,
+      resumeCount: claimed.resumeCount
+    });
+    return { execution: claimed, state };
+  }
+
+  /**
+   * Cancel a workflow execution.
+   * A workflow running in this process stops before its next step; the step
+   * already in flight finishes first. Persisted executions that are not running
+   * here (interrupted or orphaned) are marked cancelled immediately.
+   */
+  cancelWorkflow(workflowId, options = {}) {
+    const cancelledAt = Date.now();
+    const activeState = this.activeWorkflowStates.get(workflowId);
+    const execution = this.workflowStore ? this.workflowStore.getWorkflowExecution(workflowId) : null;
+
+    if (!activeState && !execution) {
+      const error = new Error(`Workflow ${workflowId} not found`);
+      error.code = 'not_found';
+      throw error;
+    }
+
+    const currentStatus = activeState ? activeState.status.status : execution.status;
+    if (['completed', 'failed', 'cancelled'].includes(currentStatus)) {
+      const error = new Error(`Workflow ${workflowId} is already ${currentStatus}`);
+      error.code = 'workflow_not_cancellable';
+      throw error;
+    }
+
+    const runId = activeState?.runId || execution?.runId || null;
+    if (this.runLedger && runId) {
+      this.runLedger.appendOperatorAction({
+        runId,
+        actionKind: 'operator_cancel',
+        payload: { workflowId, reason: options.reason || null },
+        tokenName: options.tokenName || null,
+        createdAt: cancelledAt
+      });
+    }
+
+    if (activeState) {
+      activeState.cancelRequested = true;
+      activeState.cancelReason = options.reason || null;
+      activeState.status.cancelRequestedAt = new Date(cancelledAt);
+      if (this.workflowStore) {
+        this.workflowStore.updateWorkflowExecution(workflowId, { cancelRequestedAt: cancelledAt });
       }
+      this.emit('workflow-cancel-requested', { workflowId });
+      return this.getWorkflowStatus(workflowId);
+    }
+
+    this.workflowStore.updateWorkflowExecution(workflowId, {
+      status: 'cancelled',
+      cancelRequestedAt: cancelledAt,
+      completedAt: cancelledAt,
+      error: options.reason ? `Cancelled: ${options.reason}` : 'Cancelled'
+    });
+    if (this.runLedger && runId) {
+      this.runLedger.updateRun(runId, {
+        status: 'cancelled',
+        currentStep: 'cancelled',
+        failureClass: 'cancelled',
+        completedAt: cancelledAt,
+        lastHeartbeatAt: cancelledAt
+      });
+    }
+    this.emit('workflow-cancelled', { workflowId });
+    return this.getWorkflowStatus(workflowId);
+  }
+
+  _createWorkflowState(input) {
+    const status = {
+      workflowId: input.workflowId,
+      name: input.workflowName,
+      status: 'running',
+      startedAt: new Date(input.startedAt),
+      runId: input.runId || null,
+      resumeCount: input.resumeCount || 0,
+      steps: [],
+      decisions: []
+    };
+    this.activeWorkflows.set(input.workflowId, status);
+
+    const state = {
+      workflowId: input.workflowId,
+      workflowName: input.workflowName,
+      workflow: input.workflow,
+      initialMessage: input.initialMessage,
+      options: input.options || {},
+      runId: input.runId || null,
+      status,
+      results: [],
+      stepsById: {},
+      currentMessage: input.initialMessage,
+      iteration: 0,
+      stepSequence: 0,
+      // Completed steps from earlier attempts, keyed by execution sequence
+      journal: new Map((input.journal || [])
+        .filter((step) => step.status !== 'running' && step.result)
+        .map((step) => [step.sequence, step])),
+      recordedDecisions: new Set((input.decisions || []).map((decision) => decision.sequence)),
+      cancelRequested: false,
+      cancelReason: null
+    };
+    this.activeWorkflowStates.set(input.workflowId, state);
+    this._startWorkflowHeartbeat();
+    return state;
+  }
+
+  async _runWorkflowExecution(state) {
+    const { workflowId, workflowName, status } = state;
+
+    try {
+      await this._executeWorkflowSteps(state.workflow.steps, state, { path: 'steps', topLevel: true });
 
-      this.activeWorkflows.get(workflowId).status = 'completed';
-      this.emit('workflow-completed', { workflowId, results });
+      status.status = 'completed';
+      this._finishWorkflowExecution(state, 'completed');
+      this.emit('workflow-completed', { workflowId, results: state.results });
 
       return {
         workflowId,
         workflowName,
         status: 'completed',
-        results
+        runId: state.runId,
+        results: state.results,
+        decisions: status.decisions
       };
 
     } catch (error) {
-      this.activeWorkflows.get(workflowId).status = 'failed';
-      this.activeWorkflows.get(workflowId).error = error.message;
-      this.emit('workflow-failed', { workflowId, error: error.message });
+      const finalStatus = error.code === 'workflow_cancelled' ? 'cancelled' : 'failed';
+      status.status = finalStatus;
+      status.error = error.message;
+      this._finishWorkflowExecution(state, finalStatus, error);
+      this.emit(finalStatus === 'cancelled' ? 'workflow-cancelled' : 'workflow-failed', { workflowId, error: error.message });
       throw error;
+    } finally {
+      this.activeWorkflowStates.delete(workflowId);
+      this._stopWorkflowHeartbeat();
     }
   }
 
+  _throwIfWorkflowCancelled(state) {
+    if (!state.cancelRequested) {
+      return;
+    }
+    const error = new Error(
+      `Workflow ${state.workflowId} was cancelled${state.cancelReason ? `: ${state.cancelReason}` : ''}`
+    );
+    error.code = 'workflow_cancelled';
+    throw error;
+  }
+
   /**
-   * Group workflow steps by parallel execution
+   * Execute one list of workflow steps (the top-level list or a branch/loop body).
+   * `goto` is only honoured at the top level; each goto step jumps at most
+   * maxIterations times before execution falls through.
    */
-  _groupParallelSteps(steps) {
-    const groups = [];
-    let currentParallelGroup = null;
+  async _executeWorkflowSteps(steps, state, { path: listPath, topLevel = false }) {
+    const gotoCounts = new Map();
+    let index = 0;
+
+    while (index < steps.length) {
+      this._throwIfWorkflowCancelled(state);
+      const step = steps[index];
+      const stepPath = `${listPath}[${index}]`;
 
-    for (const step of steps) {
       if (step.parallel) {
-        if (!currentParallelGroup) {
-          currentParallelGroup = { parallel: true, steps: [] };
+        const group = [];
+        while (index < steps.length && steps[index].parallel) {
+          group.push({ step: steps[index], path: `${listPath}[${index}]` });
+          index++;
         }
-        currentParallelGroup.steps.push(step);
-      } else {
-        if (currentParallelGroup) {
-          groups.push(currentParallelGroup);
-          currentParallelGroup = null;
+        const message = state.currentMessage;
+        const parallelResults = await Promise.all(
+          group.map((entry) => this._runWorkflowAgentStep(entry.step, message, state, entry.path))
+        );
+        if (state.workflow.aggregateResults) {
+          state.currentMessage = this._aggregateResults(parallelResults, state.currentMessage);
         }
-        groups.push({ parallel: false, steps: [step] });
+        continue;
+      }
+
+      if (step.if !== undefined) {
+        const result = this._evaluateWorkflowCondition(step.if, state);
+        const branch = result ? step.then : (step.else || null);
+        this._recordWorkflowDecision(state, {
+          kind: 'branch',
+          stepId: step.id || null,
+          path: stepPath,
+          expression: step.if,
+          result,
+          outcome: result ? 'then' : (step.else ? 'else' : 'none')
+        });
+        if (branch) {
+          await this._executeWorkflowSteps(branch, state, { path: `${stepPath}.${result ? 'then' : 'else'}` });
+        }
+        index++;
+        continue;
+      }
+
+      if (step.goto !== undefined) {
+        const result = step.when ? this._evaluateWorkflowCondition(step.when, state) : true;
+        const jumps = gotoCounts.get(index) || 0;
+        const jump = topLevel && result && jumps < step.maxIterations;
+        this._recordWorkflowDecision(state, {
+          kind: 'goto',
+          stepId: step.id || null,
+          path: stepPath,
+          expression: step.when || null,
+          result,
+          outcome: jump ? 'jump' : (result ? 'max_iterations_reached' : 'continue'),
+          target: step.goto,
+          iteration: jump ? jumps + 1 : jumps,
+          maxIterations: step.maxIterations
+        });
+        if (jump) {
+          gotoCounts.set(index, jumps + 1);
+          index = steps.findIndex((candidate) => candidate.id === step.goto);
+          continue;
+        }
+        index++;
+        continue;
+      }
+
+      if (step.loop !== undefined) {
+        const outerIteration = state.iteration;
+        for (let iteration = 1; ; iteration++) {
+          state.iteration = iteration;
+          await this._executeWorkflowSteps(step.loop, state, { path: `${stepPath}.loop` });
+          const done = this._evaluateWorkflowCondition(step.until, state);
+          const exhausted = !done && iteration >= step.maxIterations;
+          this._recordWorkflowDecision(state, {
+            kind: 'loop',
+            stepId: step.id || null,
+            path: stepPath,
+            expression: step.until,
+            result: done,
+            outcome: done ? 'exit' : (exhausted ? 'max_iterations_reached' : 'repeat'),
+            iteration,
+            maxIterations: step.maxIterations
+          });
+          if (done || exhausted) {
+            break;
+          }
+        }
+        state.iteration = outerIteration;
+        index++;
+        continue;
+      }
+
+      if (step.condition) {
+        const result = this._evaluateWorkflowCondition(step.condition, state);
+        this._recordWorkflowDecision(state, {
+          kind: 'condition',
+          stepId: step.id || null,
+          path: stepPath,
+          expression: step.condition,
+          result,
+          outcome: result ? 'run' : 'skip'
+        });
+        if (!result) {
+          index++;
+          continue;
+        }
+      }
+
+      const result = await this._runWorkflowAgentStep(step, state.currentMessage, state, stepPath);
+
+      // Pass output to next step if configured
+      if (step.passOutput && result.output) {
+        state.currentMessage = `Previous step output:\n${result.output}\n\nOriginal task:\n${state.initialMessage}`;
+      }
+      index++;
+    }
+  }
+
+  /**
+   * Run one agent step, tracking it on the workflow status, run ledger, and
+   * workflow store. Steps with continueOnError record a failed result instead
+   * of aborting. When resuming, a step whose sequence already completed is
+   * replayed from the stored result instead of being run again.
+   */
+  async _runWorkflowAgentStep(step, message, state, stepPath) {
+    const { profile, profileName } = this._resolveWorkflowStepProfile(step);
+    const role = step.role || TASK_TO_ROLE[step.type] || null;
+    const sequence = ++state.stepSequence;
+    const startedAt = Date.now();
+    const entry = {
+      sequence,
+      stepId: step.id || null,
+      path: stepPath,
+      profile: profileName,
+      role,
+      adapter: profile.adapter,
+      type: step.type || null,
+      status: 'running',
+      terminalId: null,
+      iteration: state.iteration,
+      startedAt: new Date(startedAt)
+    };
+    state.status.steps.push(entry);
+
+    const journaled = state.journal.get(sequence);
+    if (journaled && journaled.path === stepPath) {
+      const result = journaled.result;
+      this._recordWorkflowStepResult(state, step, entry, result);
+      entry.startedAt = new Date(journaled.startedAt);
+      entry.completedAt = journaled.completedAt ? new Date(journaled.completedAt) : null;
+      entry.replayed = true;
+      return result;
+    }
+
+    this._throwIfWorkflowCancelled(state);
+    this._throwIfWorkflowOverBudget(state, entry);
+    this._persistWorkflowStep(state, entry);
+
+    const ledger = this.runLedger && state.runId ? this.runLedger : null;
+    const participantId = ledger
+      ? ledger.addParticipant({
+          runId: state.runId,
+          participantRole: role || step.type || 'workflow-step',
+          participantName: profileName,
+          adapter: profile.adapter,
+          agentProfile: profileName,
+          status: 'running',
+          metadata: { stepId: entry.stepId, path: stepPath, sequence, iteration: state.iteration },
+          startedAt
+        })
+      : null;
+    const ledgerStepId = ledger
+      ? ledger.appendStep({
+          runId: state.runId,
+          participantId,
+          stepKey: `${stepPath}#${sequence}`,
+          stepName: `${step.id || stepPath}: ${profileName}`,
+          status: 'running',
+          metadata: { stepId: entry.stepId, path: stepPath, sequence, iteration: state.iteration },
+          startedAt
+        })
+      : null;
+    if (ledger) {
+      ledger.updateRun(state.runId, { currentStep: step.id || stepPath, lastHeartbeatAt: startedAt });
+    }
+
+    let result;
+    try {
+      result = await this._executeStep(step, message, state.workflowId, state.options);
+    } catch (error) {
+      if (!step.continueOnError) {
+        entry.status = 'failed';
+        entry.error = error.message;
+        entry.completedAt = new Date();
+        this._persistWorkflowStep(state, entry);
+        this._recordWorkflowStepLedgerOutcome(ledger, participantId, ledgerStepId, state, 'failed', error.message);
+        throw error;
       }
+      result = {
+        profile: profileName,
+        type: step.type || role,
+        role,
+        adapter: profile.adapter,
+        terminalId: null,
+        status: 'failed',
+        exitStatus: 1,
+        error: error.message,
+        output: ''
+      };
+    }
+
+    this._recordWorkflowStepResult(state, step, entry, result);
+    entry.completedAt = new Date();
+    this._persistWorkflowStep(state, entry, result);
+
+    this._recordWorkflowStepLedgerOutcome(
+      ledger,
+      participantId,
+      ledgerStepId,
+      state,
+      result.status,
+      result.status === 'completed' ? result.output : result.error
+    );
+    return result;
+  }
+
+  /**
+   * Refuse the next step's child spawn once a hard-cap budget over the
+   * workflow's root session is exceeded. The step is recorded as failed and
+   * the workflow run gets the budget gate's blocked state.
+   */
+  _throwIfWorkflowOverBudget(state, entry) {
+    const rootSessionId = state.options?.rootSessionId || null;
+    if (!this.budgetService || !rootSessionId) {
+      return;
+    }
+    try {
+      this.budgetService.assertSpawnAllowed({ rootSessionId }, {
+        action: `workflow ${state.workflowId} step ${entry.stepId || entry.path}`,
+        runId: state.runId || null
+      });
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      entry.completedAt = new Date();
+      this._persistWorkflowStep(state, entry);
+      throw error;
+    }
+  }
+
+  _recordWorkflowStepResult(state, step, entry, result) {
+    if (step.id) {
+      result.stepId = step.id;
+      state.stepsById[step.id] = result;
+    }
+    state.results.push(result);
+    entry.status = result.status;
+    entry.terminalId = result.terminalId || null;
+    if (result.error) {
+      entry.error = result.error;
     }
+  }
+
+  _persistWorkflowStep(state, entry, result = null) {
+    if (!this.workflowStore) {
+      return;
+    }
+    this.workflowStore.upsertWorkflowExecutionStep(state.workflowId, {
+      sequence: entry.sequence,
+      path: entry.path,
+      stepId: entry.stepId,
+      profile: entry.profile,
+      role: entry.role,
+      adapter: entry.adapter,
+      type: entry.type,
+      status: entry.status,
+      iteration: entry.iteration,
+      terminalId: entry.terminalId,
+      result,
+      error: entry.error || null,
+      startedAt: entry.startedAt.getTime(),
+      completedAt: entry.completedAt ? entry.completedAt.getTime() : null
+    });
+  }
+
+  _recordWorkflowStepLedgerOutcome(ledger, participantId, ledgerStepId, state, stepStatus, content) {
+    if (!ledger) {
+      return;
+    }
+    const completedAt = Date.now();
+    ledger.updateStep(ledgerStepId, { status: stepStatus, completedAt, lastHeartbeatAt: completedAt });
+    ledger.updateParticipant(participantId, { status: stepStatus, endedAt: completedAt, lastHeartbeatAt: completedAt });
+    ledger.appendOutput({
+      runId: state.runId,
+      participantId,
+      outputKind: stepStatus === 'completed' ? 'participant_final' : 'participant_error',
+      content: String(content || ''),
+      createdAt: completedAt
+    });
+  }
 
-    if (currentParallelGroup) {
-      groups.push(currentParallelGroup);
+  /**
+   * Evaluate a workflow condition expression against the results so far
+   */
+  _evaluateWorkflowCondition(expression, state) {
+    return evaluateCondition(expression, buildConditionScope({
+      results: state.results,
+      stepsById: state.stepsById,
+      iteration: state.iteration,
+      input: state.initialMessage,
+      workflowName: state.workflowName
+    }));
+  }
+
+  /**
+   * Record a branch/loop/goto/condition decision on the status, run ledger,
+   * and workflow store. Decisions re-evaluated while replaying a resumed
+   * workflow are kept on the status but not recorded twice.
+   */
+  _recordWorkflowDecision(state, decision) {
+    const record = {
+      sequence: state.status.decisions.length + 1,
+      ...decision,
+      decidedAt: new Date()
+    };
+    state.status.decisions.push(record);
+    if (state.recordedDecisions.has(record.sequence)) {
+      return record;
     }
+    this.emit('workflow-decision', { workflowId: state.workflowId, decision: record });
 
-    return groups;
+    const decidedAt = record.decidedAt.getTime();
+    if (this.workflowStore) {
+      this.workflowStore.appendWorkflowExecutionDecision(state.workflowId, { ...record, decidedAt });
+    }
+    if (this.runLedger && state.runId) {
+      this.runLedger.appendStep({
+        runId: state.runId,
+        stepKey: `decision-${record.sequence}`,
+        stepName: `${record.kind} ${record.stepId || record.path}: ${record.outcome}`,
+        status: 'completed',
+        metadata: { decision: { ...record, decidedAt } },
+        startedAt: decidedAt,
+        completedAt: decidedAt
+      });
+    }
+    return record;
+  }
+
+  _finishWorkflowExecution(state, finalStatus, error = null) {
+    const completedAt = Date.now();
+    if (this.workflowStore) {
+      this.workflowStore.updateWorkflowExecution(state.workflowId, {
+        status: finalStatus,
+        completedAt,
+        error: error ? error.message : null
+      });
+    }
+    if (!this.runLedger || !state.runId) {
+      return;
+    }
+
+    const decisions = state.status.decisions;
+    this.runLedger.updateRun(state.runId, {
+      status: finalStatus,
+      currentStep: finalStatus,
+      completedAt,
+      lastHeartbeatAt: completedAt,
+      durationMs: completedAt - state.status.startedAt.getTime(),
+      failureClass: error ? (finalStatus === 'cancelled' ? 'cancelled' : 'unknown') : undefined,
+      decisionSummary: decisions.length > 0
+        ? decisions.map((decision) => `${decision.stepId || decision.path} ${decision.kind}: ${decision.outcome}`).join('; ').slice(0, 1000)
+        : undefined,
+      decisionSource: decisions.length > 0 ? 'workflow_conditions' : undefined
+    });
+  }
+
+  /**
+   * Pick the run ledger kind for a workflow: research-only workflows are
+   * research runs, everything else is an implementation run.
+   */
+  _resolveWorkflowRunKind(steps) {
+    const roles = [];
+    const collect = (list) => {
+      for (const step of list || []) {
+        if (step.profile || step.role) {
+          roles.push(step.role || TASK_TO_ROLE[step.type] || null);
+        }
+        collect(step.then);
+        collect(step.else);
+        collect(step.loop);
+      }
+    };
+    collect(steps);
+    return roles.length > 0 && roles.every((role) => role === 'research' || role === 'document')
+      ? 'research-run'
+      : 'implementation-run';
   }
 
   /**
    * Execute a single workflow step
    */
   async _executeStep(step, message, workflowId, options = {}) {
-    const profile = this.profiles[step.profile];
-    if (!profile) {
-      throw new Error(`Unknown profile in workflow: ${step.profile}`);
-    }
+    const { profile, profileName } = this._resolveWorkflowStepProfile(step);
 
-    this.emit('step-started', { workflowId, profile: step.profile, type: step.type });
-    const stepRole = TASK_TO_ROLE[step.type] || null;
+    this.emit('step-started', { workflowId, profile: profileName, type: step.type || null });
+    const stepRole = step.role || TASK_TO_ROLE[step.type] || null;
     const stepModelSelection = await this._resolveModelSelection({
       adapter: profile.adapter,
       explicitModel: options.modelsByAdapter?.[profile.adapter] || options.model || null,
       profileModel: profile.model,
       role: stepRole,
-      taskType: step.type
+      taskType: step.type || null
     });
 
     const terminal = await this.sessionManager.createTerminal({
       adapter: profile.adapter,
-      agentProfile: step.profile,
+      agentProfile: profileName,
       systemPrompt: profile.systemPrompt,
       model: stepModelSelection.model,
       allowedTools: profile.allowedTools,
@@ -998,7 +1680,9 @@ class TaskRouter extends EventEmitter {
       'codex-cli': 8000,
       'qwen-cli': 5000
     };
-    const cliStartupDelay = cliStartupDelays[profile.adapter] || 5000;
+    const cliStartupDelay = Number.isFinite(this.workflowStepStartupDelayMs)
+      ? this.workflowStepStartupDelayMs
+      : (cliStartupDelays[profile.adapter] || 5000);
     await new Promise(resolve => setTimeout(resolve, cliStartupDelay));
 
     await this.sessionManager.sendInput(terminal.terminalId, message);
@@ -1007,11 +1691,15 @@ class TaskRouter extends EventEmitter {
     const timeoutMs = (profile.timeout || 300) * 1000;
     const output = await this.sessionManager.waitForCompletion(terminal.terminalId, timeoutMs);
 
-    this.emit('step-completed', { workflowId, profile: step.profile, terminalId: terminal.terminalId });
+    this.emit('step-completed', { workflowId, profile: profileName, terminalId: terminal.terminalId });
 
     return {
-      profile: step.profile,
-      type: step.type,
+      profile: profileName,
+      type: step.type || stepRole,
+      role: stepRole,
+      adapter: profile.adapter,
+      status: 'completed',
+      exitStatus: 0,
       terminalId: terminal.terminalId,
       model: stepModelSelection.model,
       modelRecommendation: stepModelSelection.recommendation,
@@ -1022,6 +1710,28 @@ class TaskRouter extends EventEmitter {
     };
   }
 
+  /**
+   * Resolve the agent profile for a workflow step.
+   * Steps name either a legacy profile or a role with an optional adapter.
+   */
+  _resolveWorkflowStepProfile(step) {
+    if (step.role) {
+      const profile = this.profileService.getProfileByRoleAndAdapter(step.role, step.adapter || null);
+      if (!profile) {
+        throw new Error(
+          `Unknown role/adapter in workflow: ${step.role}${step.adapter ? ` (${step.adapter})` : ''}`
+        );
+      }
+      return { profile, profileName: `${step.role}_${profile.adapter}` };
+    }
+
+    const profile = this.profiles[step.profile];
+    if (!profile) {
+      throw new Error(`Unknown profile in workflow: ${step.profile}`);
+    }
+    return { profile, profileName: step.profile };
+  }
+
   /**
    * Aggregate results from parallel steps
    */
@@ -1033,37 +1743,75 @@ class TaskRouter extends EventEmitter {
     return `## Aggregated Review Results\n\n${aggregated}\n\n## Original Task\n${originalMessage}`;
   }
 
-  /**
-   * Evaluate workflow step condition
-   */
-  _evaluateCondition(condition, previousResults) {
-    switch (condition) {
-      case 'hasIssues':
-        return previousResults.some(r =>
-          r.output && (
-            r.output.toLowerCase().includes('issue') ||
-            r.output.toLowerCase().includes('bug') ||
-            r.output.toLowerCase().includes('error') ||
-            r.output.toLowerCase().includes('vulnerability')
-          )
-        );
-      default:
-        return true;
-    }
-  }
-
   /**
    * Get available workflows
    */
   getWorkflows() {
-    return Object.entries(WORKFLOWS).map(([name, workflow]) => ({
+    return this.workflowRegistry.listWorkflows().map(({ name, workflow }) => ({
       name,
       displayName: workflow.name,
       description: workflow.description,
-      steps: workflow.steps.length
+      steps: workflow.steps.length,
+      source: workflow.source,
+      path: workflow.path || null
     }));
   }
 
+  /**
+   * Get one workflow definition with per-step role/adapter resolution
+   */
+  getWorkflowDefinition(workflowName) {
+    const workflow = this.workflowRegistry.getWorkflow(workflowName);
+    if (!workflow) {
+      return null;
+    }
+
+    return {
+      name: workflowName,
+      displayName: workflow.name,
+      description: workflow.description,
+      aggregateResults: workflow.aggregateResults === true,
+      source: workflow.source,
+      path: workflow.path || null,
+      steps: this._describeWorkflowSteps(workflow.steps)
+    };
+  }
+
+  _describeWorkflowSteps(steps) {
+    return steps.map((step) => {
+      if (step.if !== undefined) {
+        return {
+          ...step,
+          then: this._describeWorkflowSteps(step.then),
+          ...(step.else ? { else: this._describeWorkflowSteps(step.else) } : {})
+        };
+      }
+      if (step.loop !== undefined) {
+        return { ...step, loop: this._describeWorkflowSteps(step.loop) };
+      }
+      if (step.goto !== undefined) {
+        return { ...step };
+      }
+
+      const role = step.role || TASK_TO_ROLE[step.type] || null;
+      const profile = step.role
+        ? this.profileService.getProfileByRoleAndAdapter(step.role, step.adapter || null)
+        : this.profiles[step.profile];
+      return {
+        ...step,
+        role,
+        adapter: step.adapter || profile?.adapter || null
+      };
+    });
+  }
+
+  /**
+   * Get workflow definition files that failed validation
+   */
+  getWorkflowLoadErrors() {
+    return this.workflowRegistry.listErrors();
+  }
+
   /**
    * Get available task types
    */
@@ -1079,12 +1827,79 @@ class TaskRouter extends EventEmitter {
    * Get workflow status
    */
   getWorkflowStatus(workflowId) {
+    const activeState = this.activeWorkflowStates.get(workflowId);
+    if (activeState) {
+      return activeState.status;
+    }
+
+    const execution = this.workflowStore ? this.workflowStore.getWorkflowExecutionDetail(workflowId) : null;
+    if (execution) {
+      return this._formatWorkflowExecution(execution);
+    }
     return this.activeWorkflows.get(workflowId) || null;
   }
+
+  /**
+   * List persisted workflow executions (newest first)
+   */
+  listWorkflowExecutions(options = {}) {
+    if (!this.workflowStore) {
+      return [];
+    }
+    return this.workflowStore.listWorkflowExecutions(options).map((execution) => ({
+      workflowId: execution.workflowExecutionId,
+      name: execution.workflowName,
+      source: execution.workflowSource,
+      status: this.activeWorkflowStates.has(execution.workflowExecutionId)
+        ? this.activeWorkflowStates.get(execution.workflowExecutionId).status.status
+        : execution.status,
+      runId: execution.runId,
+      rootSessionId: execution.rootSessionId,
+      resumeCount: execution.resumeCount,
+      error: execution.error,
+      startedAt: new Date(execution.createdAt),
+      updatedAt: new Date(execution.updatedAt),
+      completedAt: execution.completedAt ? new Date(execution.completedAt) : null
+    }));
+  }
+
+  _formatWorkflowExecution(execution) {
+    return {
+      workflowId: execution.workflowExecutionId,
+      name: execution.workflowName,
+      status: execution.status,
+      startedAt: new Date(execution.createdAt),
+      completedAt: execution.completedAt ? new Date(execution.completedAt) : null,
+      runId: execution.runId,
+      resumeCount: execution.resumeCount,
+      ...(execution.cancelRequestedAt ? { cancelRequestedAt: new Date(execution.cancelRequestedAt) } : {}),
+      ...(execution.error ? { error: execution.error } : {}),
+      steps: execution.steps.map((step) => ({
+        sequence: step.sequence,
+        stepId: step.stepId,
+        path: step.path,
+        profile: step.profile,
+        role: step.role,
+        adapter: step.adapter,
+        type: step.type,
+        status: step.status,
+        terminalId: step.terminalId,
+        iteration: step.iteration,
+        startedAt: new Date(step.startedAt),
+        ...(step.completedAt ? { completedAt: new Date(step.completedAt) } : {}),
+        ...(step.error ? { error: step.error } : {})
+      })),
+      decisions: execution.decisions.map((decision) => ({
+        ...decision,
+        decidedAt: new Date(decision.decidedAt)
+      }))
+    };
+  }
 }
 
 module.exports = {
   TaskRouter,
   TASK_TYPES,
-  WORKFLOWS
+  WORKFLOWS,
+  sweepInterruptedWorkflowExecutions
 };
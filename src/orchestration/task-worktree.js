@@ -200,6 +200,49 @@ function listRegisteredWorktreePaths(repoRoot) {
     .map((worktreePath) => safeRealpath(worktreePath));
 }
 
+/**
+ * Parse `git worktree list --porcelain` for a repository. The primary
+ * checkout is the first entry and is flagged with `primary: true`.
+ */
+function listRepoWorktrees(repoRoot) {
+  const output = tryRunGit(['-C', repoRoot, 'worktree', 'list', '--porcelain']);
+  if (output === null) {
+    return [];
+  }
+  const entries = [];
+  let current = null;
+  for (const line of output.split('\n')) {
+    if (line.startsWith('worktree ')) {
+      current = {
+        path: safeRealpath(line.slice('worktree '.length).trim()),
+        head: null,
+        branch: null,
+        detached: false,
+        bare: false,
+        locked: false,
+        prunable: false,
+        primary: entries.length === 0
+      };
+      entries.push(current);
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('HEAD ')) {
+      current.head = line.slice('HEAD '.length).trim();
+    } else if (line.startsWith('branch ')) {
+      current.branch = line.slice('branch '.length).trim().replace(/^refs\/heads\//, '');
+    } else if (line === 'detached') {
+      current.detached = true;
+    } else if (line === 'bare') {
+      current.bare = true;
+    } else if (line === 'locked' || line.startsWith('locked ')) {
+      current.locked = true;
+    } else if (line === 'prunable' || line.startsWith('prunable ')) {
+      current.prunable = true;
+    }
+  }
+  return entries;
+}
+
 function assertRegisteredRepoWorktree(repoRoot, worktreePath) {
   const normalizedWorktreePath = safeRealpath(worktreePath);
   const registeredPaths = listRegisteredWorktreePaths(repoRoot);
@@ -388,5 +431,10 @@ function prepareTaskAssignmentWorktree(task, assignment) {
 }
 
 module.exports = {
-  prepareTaskAssignmentWorktree
+  buildAllowedWorktreeRoots,
+  isPathInside,
+  listRepoWorktrees,
+  prepareTaskAssignmentWorktree,
+  readWorktreeDetails,
+  safeRealpath
 };
@@ -0,0 +1,512 @@
+/**
+ * Workflow Conditions - Expression language for workflow step conditions
+ *
+ * Conditions are small boolean expressions evaluated against the results of
+ * steps that already ran. They are parsed once when a definition loads (so
+ * typos surface as validation errors) and evaluated without `eval`.
+ *
+ * Grammar:
+ *   expr       := or
+ *   or         := and (('||' | 'or') and)*
+ *   and        := unary (('&&' | 'and') unary)*
+ *   unary      := ('!' | 'not') unary | comparison
+ *   comparison := operand (('==' | '!=' | '<' | '<=' | '>' | '>=' | 'matches' | 'contains') operand)?
+ *   operand    := literal | /regex/flags | path | '(' expr ')'
+ *   path       := identifier ('.' identifier | '[' (string | number) ']')*
+ *
+ * Scope:
+ *   previous        - the most recent step result
+ *   steps.<id>      - results of steps that declare an `id`
+ *   hasIssues       - true when any prior result reports issues
+ *   iteration       - current loop/goto iteration (1-based, 0 outside loops)
+ *   input           - the original workflow message
+ *   workflow.name   - the workflow name
+ *
+ * Each step result exposes: output, status, exitStatus, verdict, json,
+ * hasIssues, profile, role, adapter, type.
+ */
+
+const CONDITION_ROOT_IDENTIFIERS = new Set([
+  'previous',
+  'steps',
+  'hasIssues',
+  'iteration',
+  'input',
+  'workflow'
+]);
+
+const COMPARISON_OPERATORS = new Set(['==', '!=', '<', '<=', '>', '>=', 'matches', 'contains']);
+const WORD_OPERATORS = new Map([
+  ['and', '&&'],
+  ['or', '||'],
+  ['not', '!'],
+  ['matches', 'matches'],
+  ['contains', 'contains']
+]);
+const LITERAL_WORDS = new Map([
+  ['true', true],
+  ['false', false],
+  ['null', null]
+]);
+
+// Phrases that report a clean result; they must not count as "has issues".
+const NEGATED_ISSUE_PATTERN = /\b(?:no|zero|0|without|not any|did not find any|didn't find any|found no)\s+(?:\w+\s+){0,2}(?:issues?|bugs?|errors?|vulnerabilit(?:y|ies)|problems?)\b/gi;
+const ISSUE_PATTERN = /\b(?:issues?|bugs?|errors?|vulnerabilit(?:y|ies)|problems?)\b/i;
+const CLEAN_VERDICTS = new Set(['approve', 'approved', 'pass', 'passed', 'ok', 'lgtm']);
+
+class WorkflowConditionError extends Error {
+  constructor(message, expression = null) {
+    super(expression ? `${message} in condition '${expression}'` : message);
+    this.name = 'WorkflowConditionError';
+    this.expression = expression;
+  }
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    const twoChars = source.slice(index, index + 2);
+    if (['&&', '||', '==', '!=', '<=', '>='].includes(twoChars)) {
+      tokens.push({ type: 'op', value: twoChars });
+      index += 2;
+      continue;
+    }
+    if (['<', '>', '!'].includes(char)) {
+      tokens.push({ type: 'op', value: char });
+      index++;
+      continue;
+    }
+    if (['(', ')', '[', ']', '.'].includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      index++;
+      continue;
+    }
+
+    if (char === '"' || char === '\'') {
+      let end = index + 1;
+      let value = '';
+      while (end < source.length && source[end] !== char) {
+        if (source[end] === '\\' && end + 1 < source.length) {
+          value += source[end + 1];
+          end += 2;
+          continue;
+        }
+        value += source[end];
+        end++;
+      }
+      if (end >= source.length) {
+        throw new WorkflowConditionError('Unterminated string', source);
+      }
+      tokens.push({ type: 'literal', value });
+      index = end + 1;
+      continue;
+    }
+
+    if (char === '/') {
+      let end = index + 1;
+      let pattern = '';
+      while (end < source.length && source[end] !== '/') {
+        if (source[end] === '\\' && end + 1 < source.length) {
+          pattern += source.slice(end, end + 2);
+          end += 2;
+          continue;
+        }
+        pattern += source[end];
+        end++;
+      }
+      if (end >= source.length) {
+        throw new WorkflowConditionError('Unterminated regex', source);
+      }
+      end++;
+      let flags = '';
+      while (end < source.length && /[a-z]/i.test(source[end])) {
+        flags += source[end];
+        end++;
+      }
+      try {
+        tokens.push({ type: 'regex', value: new RegExp(pattern, flags.replace(/g/g, '')) });
+      } catch (error) {
+        throw new WorkflowConditionError(`Invalid regex /${pattern}/${flags}: ${error.message}`, source);
+      }
+      index = end;
+      continue;
+    }
+
+    const numberMatch = source.slice(index).match(/^-?\d+(?:\.\d+)?/);
+    if (numberMatch) {
+      tokens.push({ type: 'literal', value: Number(numberMatch[0]) });
+      index += numberMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = source.slice(index).match(/^[A-Za-z_][A-Za-z0-9_-]*/);
+    if (wordMatch) {
+      const word = wordMatch[0];
+      if (WORD_OPERATORS.has(word)) {
+        tokens.push({ type: 'op', value: WORD_OPERATORS.get(word) });
+      } else if (LITERAL_WORDS.has(word)) {
+        tokens.push({ type: 'literal', value: LITERAL_WORDS.get(word) });
+      } else {
+        tokens.push({ type: 'identifier', value: word });
+      }
+      index += word.length;
+      continue;
+    }
+
+    throw new WorkflowConditionError(`Unexpected character '${char}'`, source);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a condition expression into an AST.
+ * @param {string} expression
+ * @returns {Object} AST node
+ * @throws {WorkflowConditionError}
+ */
+function parseConditionExpression(expression) {
+  const source = String(expression || '').trim();
+  if (!source) {
+    throw new WorkflowConditionError('Condition must be a non-empty expression');
+  }
+
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position] || null;
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const isPunct = (value) => peek()?.type === 'punct' && peek().value === value;
+  const expectPunct = (value) => {
+    if (!isPunct(value)) {
+      throw new WorkflowConditionError(`Expected '${value}'`, source);
+    }
+    position++;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isOp('||')) {
+      position++;
+      node = { type: 'logical', operator: '||', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseUnary();
+    while (isOp('&&')) {
+      position++;
+      node = { type: 'logical', operator: '&&', left: node, right: parseUnary() };
+    }
+    return node;
+  }
+
+  function parseUnary() {
+    if (isOp('!')) {
+      position++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    const token = peek();
+    if (token?.type === 'op' && COMPARISON_OPERATORS.has(token.value)) {
+      position++;
+      const right = parseOperand();
+      if (token.value === 'matches' && right.type === 'literal' && typeof right.value === 'string') {
+        try {
+          return { type: 'compare', operator: 'matches', left, right: { type: 'regex', value: new RegExp(right.value) } };
+        } catch (error) {
+          throw new WorkflowConditionError(`Invalid regex '${right.value}': ${error.message}`, source);
+        }
+      }
+      if (token.value === 'matches' && right.type !== 'regex') {
+        throw new WorkflowConditionError("'matches' requires a regex or string pattern", source);
+      }
+      return { type: 'compare', operator: token.value, left, right };
+    }
+    return left;
+  }
+
+  function parseOperand() {
+    const token = peek();
+    if (!token) {
+      throw new WorkflowConditionError('Unexpected end of expression', source);
+    }
+    if (token.type === 'literal') {
+      position++;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'regex') {
+      position++;
+      return { type: 'regex', value: token.value };
+    }
+    if (isPunct('(')) {
+      position++;
+      const node = parseOr();
+      expectPunct(')');
+      return node;
+    }
+    if (token.type === 'identifier') {
+      position++;
+      const segments = [token.value];
+      while (isPunct('.') || isPunct('[')) {
+        if (isPunct('.')) {
+          position++;
+          const next = peek();
+          if (next?.type !== 'identifier' && !(next?.type === 'literal' && typeof next.value === 'number')) {
+            throw new WorkflowConditionError("Expected property name after '.'", source);
+          }
+          position++;
+          segments.push(String(next.value));
+          continue;
+        }
+        position++;
+        const next = peek();
+        if (next?.type !== 'literal' || (typeof next.value !== 'string' && typeof next.value !== 'number')) {
+          throw new WorkflowConditionError("Expected string or number inside '[...]'", source);
+        }
+        position++;
+        segments.push(String(next.value));
+        expectPunct(']');
+      }
+      return { type: 'path', segments };
+    }
+    throw new WorkflowConditionError(`Unexpected token '${token.value}'`, source);
+  }
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new WorkflowConditionError(`Unexpected token '${String(peek().value)}'`, source);
+  }
+  return ast;
+}
+
+function collectRootIdentifiers(node, roots = new Set()) {
+  if (!node) {
+    return roots;
+  }
+  if (node.type === 'path') {
+    roots.add(node.segments[0]);
+  } else if (node.type === 'logical' || node.type === 'compare') {
+    collectRootIdentifiers(node.left, roots);
+    collectRootIdentifiers(node.right, roots);
+  } else if (node.type === 'not') {
+    collectRootIdentifiers(node.operand, roots);
+  }
+  return roots;
+}
+
+/**
+ * Validate a condition expression without evaluating it.
+ * @param {string} expression
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateConditionExpression(expression) {
+  try {
+    const ast = parseConditionExpression(expression);
+    const unknown = Array.from(collectRootIdentifiers(ast))
+      .filter((identifier) => !CONDITION_ROOT_IDENTIFIERS.has(identifier));
+    if (unknown.length > 0) {
+      return `unknown identifier '${unknown[0]}' in condition '${expression}'. Known: ${Array.from(CONDITION_ROOT_IDENTIFIERS).join(', ')}`;
+    }
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function resolvePath(scope, segments) {
+  let value = scope;
+  for (const segment of segments) {
+    if (value === null || value === undefined || typeof value !== 'object') {
+      return null;
+    }
+    value = Object.prototype.hasOwnProperty.call(value, segment) ? value[segment] : undefined;
+  }
+  return value === undefined ? null : value;
+}
+
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'regex':
+      return node.value;
+    case 'path':
+      return resolvePath(scope, node.segments);
+    case 'not':
+      return !evaluateNode(node.operand, scope);
+    case 'logical': {
+      const left = evaluateNode(node.left, scope);
+      if (node.operator === '&&') {
+        return Boolean(left) && Boolean(evaluateNode(node.right, scope));
+      }
+      return Boolean(left) || Boolean(evaluateNode(node.right, scope));
+    }
+    case 'compare': {
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+      switch (node.operator) {
+        case '==':
+          return left === right;
+        case '!=':
+          return left !== right;
+        case '<':
+          return left !== null && right !== null && left < right;
+        case '<=':
+          return left !== null && right !== null && left <= right;
+        case '>':
+          return left !== null && right !== null && left > right;
+        case '>=':
+          return left !== null && right !== null && left >= right;
+        case 'matches':
+          return left !== null && right instanceof RegExp && right.test(typeof left === 'string' ? left : JSON.stringify(left));
+        case 'contains':
+          if (Array.isArray(left)) {
+            return left.includes(right);
+          }
+          return typeof left === 'string' && right !== null && left.includes(String(right));
+        default:
+          return false;
+      }
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a condition expression against a scope.
+ * @param {string|Object} expression - Expression text or a parsed AST
+ * @param {Object} scope - Built with buildConditionScope()
+ * @returns {boolean}
+ */
+function evaluateCondition(expression, scope) {
+  const ast = typeof expression === 'string' ? parseConditionExpression(expression) : expression;
+  return Boolean(evaluateNode(ast, scope || {}));
+}
+
+function extractJsonPayload(output) {
+  const text = String(output || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  const candidates = [];
+  const fencePattern = /```(?:json)?\s*([\s\S]*?)```/gi;
+  let match;
+  while ((match = fencePattern.exec(text)) !== null) {
+    candidates.push(match[1].trim());
+  }
+  candidates.push(text);
+  const firstBrace = text.indexOf('{');
+  const lastBrace = text.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace > firstBrace) {
+    candidates.push(text.slice(firstBrace, lastBrace + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object') {
+        return parsed;
+      }
+    } catch {}
+  }
+  return null;
+}
+
+function detectIssues(output, json, verdict) {
+  if (verdict) {
+    return !CLEAN_VERDICTS.has(verdict);
+  }
+  if (json) {
+    for (const key of ['issues', 'blockers', 'bugs', 'findings', 'vulnerabilities']) {
+      if (Array.isArray(json[key])) {
+        return json[key].length > 0;
+      }
+    }
+  }
+  const text = String(output || '').replace(NEGATED_ISSUE_PATTERN, ' ');
+  return ISSUE_PATTERN.test(text);
+}
+
+/**
+ * Build the per-step view used in condition scopes.
+ * @param {Object} result - Step result from TaskRouter._executeStep
+ * @returns {Object}
+ */
+function buildStepConditionScope(result) {
+  if (!result) {
+    return null;
+  }
+  const output = typeof result.output === 'string' ? result.output : (result.output == null ? '' : String(result.output));
+  const json = extractJsonPayload(output);
+  const rawVerdict = json && (typeof json.verdict === 'string' ? json.verdict : (typeof json.status === 'string' ? json.status : null));
+  const verdict = rawVerdict ? rawVerdict.toLowerCase().trim() : null;
+  const status = result.status || 'completed';
+
+  return {
+    output,
+    status,
+    exitStatus: Number.isInteger(result.exitStatus) ? result.exitStatus : (status === 'completed' ? 0 : 1),
+    verdict,
+    json,
+    hasIssues: status !== 'completed' || detectIssues(output, json, verdict),
+    profile: result.profile || null,
+    role: result.role || null,
+    adapter: result.adapter || null,
+    type: result.type || null
+  };
+}
+
+/**
+ * Build the evaluation scope for a workflow condition.
+ * @param {Object} options
+ * @param {Object[]} options.results - Step results executed so far (in order)
+ * @param {Object} options.stepsById - Step results keyed by step id
+ * @param {number} options.iteration - Current loop iteration
+ * @param {string} options.input - Original workflow message
+ * @param {string} options.workflowName
+ * @returns {Object}
+ */
+function buildConditionScope(options = {}) {
+  const results = Array.isArray(options.results) ? options.results : [];
+  const previousScopes = results.map(buildStepConditionScope);
+  const steps = {};
+  for (const [id, result] of Object.entries(options.stepsById || {})) {
+    steps[id] = buildStepConditionScope(result);
+  }
+
+  return {
+    previous: previousScopes.length > 0 ? previousScopes[previousScopes.length - 1] : null,
+    steps,
+    hasIssues: previousScopes.some((scope) => scope.hasIssues),
+    iteration: Number.isInteger(options.iteration) ? options.iteration : 0,
+    input: options.input || '',
+    workflow: { name: options.workflowName || null }
+  };
+}
+
+module.exports = {
+  WorkflowConditionError,
+  CONDITION_ROOT_IDENTIFIERS,
+  parseConditionExpression,
+  validateConditionExpression,
+  evaluateCondition,
+  buildStepConditionScope,
+  buildConditionScope
+};
@@ -0,0 +1,537 @@
+/**
+ * WorkflowRegistry - Declarative workflow definitions for TaskRouter
+ *
+ * Workflows are discovered from three sources (in priority order):
+ * 1. Project workflows: <projectRoot>/.cliagents/workflows/
+ * 2. Personal workflows: ~/.cliagents/workflows/
+ * 3. Built-in workflows bundled with cliagents (BUILTIN_WORKFLOWS)
+ *
+ * Each file (.json, .yaml, or .yml) defines one workflow. The file name is the
+ * workflow name unless the document sets `id`. Higher-priority sources shadow
+ * lower-priority workflows with the same name.
+ *
+ * Directories are re-scanned on access when any definition file is added,
+ * removed, or modified, so edits take effect without a broker restart.
+ * Files that fail validation are skipped and reported through listErrors().
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseYaml } = require('../utils/simple-yaml');
+const { validateConditionExpression } = require('./workflow-conditions');
+
+const WORKFLOW_FILE_EXTENSIONS = new Set(['.json', '.yaml', '.yml']);
+const WORKFLOW_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+const WORKFLOW_SOURCES = ['project', 'personal', 'builtin'];
+const WORKFLOW_AGENT_STEP_FIELDS = new Set([
+  'id',
+  'profile',
+  'role',
+  'adapter',
+  'type',
+  'parallel',
+  'passOutput',
+  'condition',
+  'continueOnError'
+]);
+const WORKFLOW_BRANCH_STEP_FIELDS = new Set(['id', 'if', 'then', 'else']);
+const WORKFLOW_GOTO_STEP_FIELDS = new Set(['id', 'goto', 'when', 'maxIterations']);
+const WORKFLOW_LOOP_STEP_FIELDS = new Set(['id', 'loop', 'until', 'maxIterations']);
+const WORKFLOW_STEP_ID_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]{0,63}$/;
+const DEFAULT_WORKFLOW_MAX_ITERATIONS = 3;
+const MAX_WORKFLOW_MAX_ITERATIONS = 50;
+
+// Workflow templates for complex tasks
+const BUILTIN_WORKFLOWS = {
+  // Full development cycle: plan → implement → review → test → fix
+  'full-cycle': {
+    name: 'Full Development Cycle',
+    description: 'Complete workflow from planning to tested implementation',
+    steps: [
+      { profile: 'planner', type: 'plan', passOutput: true },
+      { profile: 'implementer', type: 'implement', passOutput: true },
+      { profile: 'reviewer-bugs', type: 'review-bugs', parallel: true },
+      { profile: 'reviewer-security', type: 'review-security', parallel: true },
+      { profile: 'tester', type: 'test', passOutput: true },
+      { profile: 'fixer', type: 'fix', condition: 'hasIssues' }
+    ]
+  },
+
+  // Code review: multiple reviewers in parallel
+  'code-review': {
+    name: 'Comprehensive Code Review',
+    description: 'Parallel review for bugs, security, and performance',
+    steps: [
+      { profile: 'reviewer-bugs', type: 'review-bugs', parallel: true },
+      { profile: 'reviewer-security', type: 'review-security', parallel: true },
+      { profile: 'reviewer-performance', type: 'review-performance', parallel: true }
+    ],
+    aggregateResults: true
+  },
+
+  // Feature development: plan → implement → test
+  'feature': {
+    name: 'Feature Development',
+    description: 'Plan, implement, and test a new feature',
+    steps: [
+      { profile: 'planner', type: 'plan', passOutput: true },
+      { profile: 'implementer', type: 'implement', passOutput: true },
+      { profile: 'tester', type: 'test' }
+    ]
+  },
+
+  // Bug fix: analyze → fix → test
+  'bugfix': {
+    name: 'Bug Fix',
+    description: 'Analyze bug, fix it, verify with tests',
+    steps: [
+      { profile: 'reviewer-bugs', type: 'review-bugs', passOutput: true },
+      { profile: 'fixer', type: 'fix', passOutput: true },
+      { profile: 'tester', type: 'test' }
+    ]
+  },
+
+  // Research and document
+  'research': {
+    name: 'Research & Document',
+    description: 'Research a topic and create documentation',
+    steps: [
+      { profile: 'researcher', type: 'research', passOutput: true },
+      { profile: 'documenter', type: 'document' }
+    ]
+  }
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeOptionalString(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text || null;
+}
+
+function checkUnknownFields(rawStep, allowedFields, label, errors) {
+  for (const key of Object.keys(rawStep)) {
+    if (!allowedFields.has(key)) {
+      errors.push(`${label} has unknown field '${key}'`);
+    }
+  }
+}
+
+function normalizeCondition(value, field, label, errors, { required = false } = {}) {
+  const expression = normalizeOptionalString(value);
+  if (!expression) {
+    if (required) {
+      errors.push(`${label} requires ${field}`);
+    }
+    return null;
+  }
+  const conditionError = validateConditionExpression(expression);
+  if (conditionError) {
+    errors.push(`${label}.${field}: ${conditionError}`);
+  }
+  return expression;
+}
+
+function normalizeMaxIterations(value, label, errors) {
+  if (value === undefined || value === null) {
+    return DEFAULT_WORKFLOW_MAX_ITERATIONS;
+  }
+  if (!Number.isInteger(value) || value < 1 || value > MAX_WORKFLOW_MAX_ITERATIONS) {
+    errors.push(`${label}.maxIterations must be an integer between 1 and ${MAX_WORKFLOW_MAX_ITERATIONS}`);
+    return DEFAULT_WORKFLOW_MAX_ITERATIONS;
+  }
+  return value;
+}
+
+function normalizeAgentStep(rawStep, label, errors, context) {
+  checkUnknownFields(rawStep, WORKFLOW_AGENT_STEP_FIELDS, label, errors);
+
+  const profile = normalizeOptionalString(rawStep.profile);
+  const role = normalizeOptionalString(rawStep.role);
+  const adapter = normalizeOptionalString(rawStep.adapter);
+  const type = normalizeOptionalString(rawStep.type);
+
+  if (!profile && !role) {
+    errors.push(`${label} requires either profile or role`);
+  }
+  if (profile && role) {
+    errors.push(`${label} must set profile or role, not both`);
+  }
+  if (adapter && !role) {
+    errors.push(`${label} adapter is only valid together with role`);
+  }
+  if (!type && profile) {
+    errors.push(`${label} requires type when profile is set`);
+  } else if (type && context.knownTaskTypes && !context.knownTaskTypes.has(type)) {
+    errors.push(`${label} has unknown type '${type}'. Known types: ${Array.from(context.knownTaskTypes).join(', ')}`);
+  }
+  for (const flag of ['parallel', 'passOutput', 'continueOnError']) {
+    if (rawStep[flag] !== undefined && typeof rawStep[flag] !== 'boolean') {
+      errors.push(`${label}.${flag} must be a boolean`);
+    }
+  }
+  const condition = normalizeCondition(rawStep.condition, 'condition', label, errors);
+  if (condition && rawStep.parallel === true) {
+    errors.push(`${label} condition is not supported on parallel steps`);
+  }
+
+  const step = {};
+  if (profile) step.profile = profile;
+  if (role) step.role = role;
+  if (adapter) step.adapter = adapter;
+  if (type) step.type = type;
+  if (rawStep.parallel === true) step.parallel = true;
+  if (rawStep.passOutput === true) step.passOutput = true;
+  if (rawStep.continueOnError === true) step.continueOnError = true;
+  if (condition) step.condition = condition;
+  return step;
+}
+
+function normalizeStepList(rawSteps, label, errors, context, depth) {
+  if (!Array.isArray(rawSteps) || rawSteps.length === 0) {
+    errors.push(`${label} must be a non-empty array`);
+    return [];
+  }
+  return rawSteps.map((rawStep, index) => normalizeStep(rawStep, `${label}[${index}]`, errors, context, depth));
+}
+
+function normalizeStep(rawStep, label, errors, context, depth) {
+  if (!isPlainObject(rawStep)) {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+
+  let step;
+  if (Object.prototype.hasOwnProperty.call(rawStep, 'if')) {
+    checkUnknownFields(rawStep, WORKFLOW_BRANCH_STEP_FIELDS, label, errors);
+    step = {
+      if: normalizeCondition(rawStep.if, 'if', label, errors, { required: true }),
+      then: normalizeStepList(rawStep.then, `${label}.then`, errors, context, depth + 1)
+    };
+    if (rawStep.else !== undefined) {
+      step.else = normalizeStepList(rawStep.else, `${label}.else`, errors, context, depth + 1);
+    }
+  } else if (Object.prototype.hasOwnProperty.call(rawStep, 'goto')) {
+    checkUnknownFields(rawStep, WORKFLOW_GOTO_STEP_FIELDS, label, errors);
+    const target = normalizeOptionalString(rawStep.goto);
+    if (!target) {
+      errors.push(`${label}.goto must name a step id`);
+    }
+    if (depth > 0) {
+      errors.push(`${label} goto is only supported on top-level steps`);
+    }
+    step = {
+      goto: target,
+      maxIterations: normalizeMaxIterations(rawStep.maxIterations, label, errors)
+    };
+    const when = normalizeCondition(rawStep.when, 'when', label, errors);
+    if (when) step.when = when;
+    context.gotoTargets.push({ label, target });
+  } else if (Object.prototype.hasOwnProperty.call(rawStep, 'loop')) {
+    checkUnknownFields(rawStep, WORKFLOW_LOOP_STEP_FIELDS, label, errors);
+    step = {
+      loop: normalizeStepList(rawStep.loop, `${label}.loop`, errors, context, depth + 1),
+      until: normalizeCondition(rawStep.until, 'until', label, errors, { required: true }),
+      maxIterations: normalizeMaxIterations(rawStep.maxIterations, label, errors)
+    };
+  } else {
+    step = normalizeAgentStep(rawStep, label, errors, context);
+  }
+
+  if (rawStep.id !== undefined) {
+    const id = normalizeOptionalString(rawStep.id);
+    if (!id || !WORKFLOW_STEP_ID_PATTERN.test(id)) {
+      errors.push(`${label}.id must start with a letter or '_' and contain only letters, digits, '_' or '-'`);
+    } else if (context.stepIds.has(id)) {
+      errors.push(`${label}.id '${id}' is already used by another step`);
+    } else {
+      context.stepIds.add(id);
+      if (depth === 0) {
+        context.topLevelIds.add(id);
+      }
+      step = { id, ...step };
+    }
+  }
+
+  return step;
+}
+
+/**
+ * Validate and normalize one workflow definition.
+ *
+ * Steps are agent steps (profile or role), `if`/`then`/`else` branches,
+ * `loop`/`until` blocks, or top-level `goto` jumps. Conditions are expressions
+ * in the workflow-conditions language and are parsed here so that typos fail
+ * at load time instead of mid-run.
+ *
+ * @param {string} name - Workflow name (registry key)
+ * @param {Object} definition - Raw definition (built-in object or parsed file)
+ * @param {Object} options
+ * @param {string[]|null} options.knownTaskTypes - Allowed step types (skip check when null)
+ * @returns {{ workflow: Object|null, errors: string[] }}
+ */
+function validateWorkflowDefinition(name, definition, options = {}) {
+  const errors = [];
+  const context = {
+    knownTaskTypes: Array.isArray(options.knownTaskTypes) ? new Set(options.knownTaskTypes) : null,
+    stepIds: new Set(),
+    topLevelIds: new Set(),
+    gotoTargets: []
+  };
+
+  if (!WORKFLOW_NAME_PATTERN.test(String(name || ''))) {
+    errors.push(`workflow name '${name}' must be 1-64 characters of letters, digits, '.', '_' or '-'`);
+  }
+
+  if (!isPlainObject(definition)) {
+    errors.push('workflow definition must be an object');
+    return { workflow: null, errors };
+  }
+
+  if (definition.description !== undefined && typeof definition.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (definition.aggregateResults !== undefined && typeof definition.aggregateResults !== 'boolean') {
+    errors.push('aggregateResults must be a boolean');
+  }
+
+  const rawSteps = definition.steps;
+  if (!Array.isArray(rawSteps) || rawSteps.length === 0) {
+    errors.push('steps must be a non-empty array');
+    return { workflow: null, errors };
+  }
+
+  const steps = normalizeStepList(rawSteps, 'steps', errors, context, 0);
+  for (const { label, target } of context.gotoTargets) {
+    if (target && !context.topLevelIds.has(target)) {
+      errors.push(`${label}.goto references unknown top-level step id '${target}'`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { workflow: null, errors };
+  }
+
+  return {
+    workflow: {
+      name: normalizeOptionalString(definition.displayName) || normalizeOptionalString(definition.name) || name,
+      description: normalizeOptionalString(definition.description) || '',
+      steps,
+      ...(definition.aggregateResults === true ? { aggregateResults: true } : {})
+    },
+    errors
+  };
+}
+
+/**
+ * Parse a workflow definition file by extension.
+ * @param {string} filePath
+ * @param {string} content
+ * @returns {Object}
+ */
+function parseWorkflowFile(filePath, content) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === '.json') {
+    return JSON.parse(content);
+  }
+  return parseYaml(content);
+}
+
+class WorkflowRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} options.projectRoot - Project root (defaults to process.cwd())
+   * @param {string} options.projectDir - Project workflows dir (default: <projectRoot>/.cliagents/workflows)
+   * @param {string} options.personalDir - Personal workflows dir (default: ~/.cliagents/workflows)
+   * @param {Object} options.builtinWorkflows - Built-in definitions (default: BUILTIN_WORKFLOWS)
+   * @param {string[]} options.knownTaskTypes - Allowed step types
+   */
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || process.cwd();
+    this.projectDir = options.projectDir
+      ? path.resolve(this.projectRoot, options.projectDir)
+      : path.join(this.projectRoot, '.cliagents', 'workflows');
+    this.personalDir = options.personalDir || path.join(os.homedir(), '.cliagents', 'workflows');
+    this.builtinWorkflows = options.builtinWorkflows || BUILTIN_WORKFLOWS;
+    this.knownTaskTypes = Array.isArray(options.knownTaskTypes) ? options.knownTaskTypes : null;
+
+    this.workflows = new Map();
+    this.errors = [];
+    this.signature = null;
+  }
+
+  _listDefinitionFiles(dir) {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        console.warn(`[WorkflowRegistry] Could not read ${dir}: ${error.message}`);
+      }
+      return [];
+    }
+
+    return entries
+      .filter((entry) => entry.isFile() && WORKFLOW_FILE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()))
+      .map((entry) => path.join(dir, entry.name))
+      .sort();
+  }
+
+  _computeSignature(filesBySource) {
+    const parts = [];
+    for (const [source, files] of Object.entries(filesBySource)) {
+      for (const filePath of files) {
+        try {
+          const stats = fs.statSync(filePath);
+          parts.push(`${source}:${filePath}:${stats.mtimeMs}:${stats.size}`);
+        } catch {
+          parts.push(`${source}:${filePath}:missing`);
+        }
+      }
+    }
+    return parts.join('|');
+  }
+
+  _loadFile(filePath, source) {
+    const fallbackName = path.basename(filePath, path.extname(filePath));
+    let definition;
+    try {
+      definition = parseWorkflowFile(filePath, fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return {
+        name: fallbackName,
+        workflow: null,
+        errors: [`could not parse ${path.basename(filePath)}: ${error.message}`]
+      };
+    }
+
+    const name = isPlainObject(definition) && normalizeOptionalString(definition.id)
+      ? normalizeOptionalString(definition.id)
+      : fallbackName;
+    const { workflow, errors } = validateWorkflowDefinition(name, definition, {
+      knownTaskTypes: this.knownTaskTypes
+    });
+    return {
+      name,
+      workflow: workflow ? { ...workflow, source, path: filePath } : null,
+      errors
+    };
+  }
+
+  /**
+   * Re-scan workflow directories when definition files changed.
+   * @param {boolean} force - Rebuild even when no file changed
+   */
+  reload(force = false) {
+    const filesBySource = {
+      project: this._listDefinitionFiles(this.projectDir),
+      personal: this._listDefinitionFiles(this.personalDir)
+    };
+    const signature = this._computeSignature(filesBySource);
+    if (!force && this.signature === signature) {
+      return;
+    }
+
+    const workflows = new Map();
+    const errors = [];
+
+    for (const source of WORKFLOW_SOURCES) {
+      if (source === 'builtin') {
+        for (const [name, definition] of Object.entries(this.builtinWorkflows)) {
+          if (!workflows.has(name)) {
+            workflows.set(name, { ...definition, source: 'builtin', path: null });
+          }
+        }
+        continue;
+      }
+
+      const claimedInSource = new Map();
+      for (const filePath of filesBySource[source]) {
+        const loaded = this._loadFile(filePath, source);
+        if (!loaded.workflow) {
+          errors.push({ name: loaded.name, source, path: filePath, errors: loaded.errors });
+          continue;
+        }
+        if (claimedInSource.has(loaded.name)) {
+          errors.push({
+            name: loaded.name,
+            source,
+            path: filePath,
+            errors: [`workflow '${loaded.name}' is already defined by ${claimedInSource.get(loaded.name)}`]
+          });
+          continue;
+        }
+        claimedInSource.set(loaded.name, filePath);
+        if (!workflows.has(loaded.name)) {
+          workflows.set(loaded.name, loaded.workflow);
+        }
+      }
+    }
+
+    for (const entry of errors) {
+      console.warn(`[WorkflowRegistry] Skipping ${entry.path}: ${entry.errors.join('; ')}`);
+    }
+
+    this.workflows = workflows;
+    this.errors = errors;
+    this.signature = signature;
+  }
+
+  /**
+   * Get a workflow definition by name
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  getWorkflow(name) {
+    this.reload();
+    return this.workflows.get(name) || null;
+  }
+
+  /**
+   * List workflow names in priority-resolved order
+   * @returns {string[]}
+   */
+  listNames() {
+    this.reload();
+    return Array.from(this.workflows.keys());
+  }
+
+  /**
+   * List all resolved workflows
+   * @returns {Array<Object>} entries of { name, workflow }
+   */
+  listWorkflows() {
+    this.reload();
+    return Array.from(this.workflows.entries()).map(([name, workflow]) => ({ name, workflow }));
+  }
+
+  /**
+   * List definition files that failed to load
+   * @returns {Array<{ name: string, source: string, path: string, errors: string[] }>}
+   */
+  listErrors() {
+    this.reload();
+    return this.errors.map((entry) => ({ ...entry, errors: [...entry.errors] }));
+  }
+
+  getDirectories() {
+    return {
+      project: this.projectDir,
+      personal: this.personalDir
+    };
+  }
+}
+
+module.exports = {
+  WorkflowRegistry,
+  BUILTIN_WORKFLOWS,
+  DEFAULT_WORKFLOW_MAX_ITERATIONS,
+  validateWorkflowDefinition,
+  parseWorkflowFile
+};
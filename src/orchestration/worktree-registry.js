@@ -0,0 +1,464 @@
+/**
+ * WorktreeRegistry
+ *
+ * Tracks the git worktrees the broker prepares for task assignments: which
+ * assignment owns each one, how large the checkout is, and when it was last
+ * used. Listings join the registry with `git worktree list` so worktrees that
+ * predate the registry or were created by hand show up too.
+ *
+ * Pruning removes worktrees whose assignment branch was integrated, whose
+ * assignment failed, was cancelled or superseded, or no longer exists, once
+ * they have been idle for `minIdleMs`. With a `maxTotalBytes` quota, younger
+ * prunable worktrees are also removed, least recently used first, until the
+ * total fits. Active, locked, and (unless forced) dirty worktrees are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  buildAllowedWorktreeRoots,
+  isPathInside,
+  listRepoWorktrees,
+  readWorktreeDetails,
+  safeRealpath
+} = require('./task-worktree');
+
+const DEFAULT_MIN_IDLE_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+const ABANDONED_ASSIGNMENT_STATUSES = new Set(['failed', 'cancelled', 'superseded']);
+const PRUNABLE_DISPOSITIONS = new Set(['integrated', 'abandoned', 'orphaned', 'missing']);
+const BYTE_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 };
+
+function tryRunGit(args) {
+  try {
+    return execFileSync('git', args, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe']
+    }).trim();
+  } catch {
+    return null;
+  }
+}
+
+function describeGitError(error) {
+  const stderr = error?.stderr ? String(error.stderr).trim() : '';
+  return stderr || error?.message || 'unknown git error';
+}
+
+/**
+ * Parse a byte count such as 1048576, "512M", or "5G". Returns null when the
+ * value is empty or malformed.
+ */
+function parseByteSize(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  }
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([bkmgt])?i?b?$/);
+  if (!match) {
+    return null;
+  }
+  return Math.floor(Number.parseFloat(match[1]) * BYTE_UNITS[match[2] || 'b']);
+}
+
+/**
+ * Apparent size of a directory tree. Symlinks are not followed and
+ * unreadable entries are skipped. The walk is asynchronous so measuring large
+ * checkouts (node_modules included) does not stall the broker's event loop.
+ */
+async function measureDirectorySize(rootPath) {
+  let total = 0;
+  const pending = [rootPath];
+  while (pending.length > 0) {
+    const current = pending.pop();
+    let entries;
+    try {
+      entries = await fs.promises.readdir(current, { withFileTypes: true });
+    } catch {
+      continue;
+    }
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(entryPath);
+      } else if (entry.isFile()) {
+        try {
+          total += (await fs.promises.lstat(entryPath)).size;
+        } catch {}
+      }
+    }
+  }
+  return total;
+}
+
+function resolvePrunePolicy(options = {}, env = process.env) {
+  const minIdleHours = Number.parseFloat(options.minIdleHours ?? env.CLIAGENTS_WORKTREE_PRUNE_MIN_IDLE_HOURS);
+  return {
+    minIdleMs: Number.isFinite(options.minIdleMs)
+      ? Math.max(0, options.minIdleMs)
+      : Math.max(0, (Number.isFinite(minIdleHours) ? minIdleHours : DEFAULT_MIN_IDLE_HOURS) * HOUR_MS),
+    maxTotalBytes: parseByteSize(options.maxTotalBytes ?? env.CLIAGENTS_WORKTREE_QUOTA),
+    includeUnowned: options.includeUnowned === true,
+    force: options.force === true,
+    dryRun: options.dryRun === true
+  };
+}
+
+function classifyWorktree(entry, assignment, assignmentStatus) {
+  if (!entry.exists) {
+    return 'missing';
+  }
+  if (!entry.taskAssignmentId) {
+    return 'unowned';
+  }
+  if (!assignment) {
+    return 'orphaned';
+  }
+  if (assignment.branchStatus === 'integrated' || assignment.integratedAt) {
+    return 'integrated';
+  }
+  if (ABANDONED_ASSIGNMENT_STATUSES.has(assignmentStatus) || assignment.branchStatus === 'failed') {
+    return 'abandoned';
+  }
+  return 'active';
+}
+
+class WorktreeRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - OrchestrationDB with task worktree helpers
+   * @param {Function} [options.resolveAssignmentStatus] - Effective status of an assignment
+   * @param {Object} [options.env]
+   * @param {Function} [options.now]
+   */
+  constructor(options = {}) {
+    this.db = options.db;
+    this.resolveAssignmentStatus = options.resolveAssignmentStatus || ((assignment) => assignment?.status || null);
+    this.env = options.env || process.env;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Register the worktree returned by prepareTaskAssignmentWorktree.
+   */
+  recordPrepared(task, assignment, prepared) {
+    if (!prepared?.worktreePath) {
+      return null;
+    }
+    return this.db.upsertTaskWorktree({
+      worktreePath: safeRealpath(prepared.worktreePath),
+      repoRoot: prepared.isolation?.repoRoot || null,
+      taskId: task?.id || assignment?.taskId || null,
+      taskAssignmentId: assignment?.id || null,
+      branch: prepared.worktreeBranch || null,
+      lastActivityAt: this.now()
+    });
+  }
+
+  /**
+   * Mark a registered worktree as used now.
+   */
+  touch(worktreePath) {
+    if (!worktreePath) {
+      return null;
+    }
+    const key = safeRealpath(worktreePath);
+    if (!this.db.getTaskWorktree(key)) {
+      return null;
+    }
+    return this.db.updateTaskWorktree(key, { lastActivityAt: this.now() });
+  }
+
+  _resolveRepoRoot(row) {
+    if (row.repoRoot) {
+      return row.repoRoot;
+    }
+    const task = row.taskId ? this.db.getTask(row.taskId) : null;
+    const repoRoot = task?.workspaceRoot
+      ? tryRunGit(['-C', task.workspaceRoot, 'rev-parse', '--show-toplevel'])
+      : null;
+    if (repoRoot && row.status === 'active') {
+      this.db.updateTaskWorktree(row.worktreePath, { repoRoot: path.resolve(repoRoot) });
+    }
+    return repoRoot ? path.resolve(repoRoot) : null;
+  }
+
+  _describe(row, gitEntry) {
+    const now = this.now();
+    const stat = fs.existsSync(row.worktreePath) ? fs.statSync(row.worktreePath) : null;
+    const exists = Boolean(stat?.isDirectory());
+    const details = exists && row.status !== 'removed' ? readWorktreeDetails(row.worktreePath) : null;
+    const assignment = row.taskAssignmentId ? this.db.getTaskAssignment(row.taskAssignmentId) : null;
+    const assignmentStatus = assignment ? this.resolveAssignmentStatus(assignment) : null;
+
+    const commitTime = details
+      ? Number.parseInt(tryRunGit(['-C', row.worktreePath, 'log', '-1', '--format=%ct']) || '', 10) * 1000 || null
+      : null;
+    const lastActivityAt = Math.max(row.lastActivityAt || 0, commitTime || 0, assignment?.updatedAt || 0) || null;
+    const entry = {
+      worktreePath: row.worktreePath,
+      repoRoot: row.repoRoot || null,
+      branch: gitEntry?.branch || details?.branch || row.branch || null,
+      head: gitEntry?.head || details?.head || null,
+      taskId: row.taskId || assignment?.taskId || null,
+      taskAssignmentId: row.taskAssignmentId || null,
+      assignmentStatus,
+      branchStatus: assignment?.branchStatus || null,
+      registryStatus: row.registryStatus || row.status,
+      exists,
+      gitRegistered: Boolean(gitEntry),
+      locked: gitEntry?.locked === true,
+      dirty: details?.dirty ?? null,
+      sizeBytes: row.sizeBytes ?? null,
+      sizeMeasuredAt: row.sizeMeasuredAt || null,
+      lastActivityAt,
+      idleMs: lastActivityAt ? Math.max(0, now - lastActivityAt) : null,
+      removedAt: row.removedAt || null,
+      removedReason: row.removedReason || null
+    };
+    entry.disposition = row.status === 'removed'
+      ? 'removed'
+      : classifyWorktree(entry, assignment, assignmentStatus);
+    return entry;
+  }
+
+  /**
+   * List registered worktrees (and, for active listings, unregistered git
+   * worktrees under the allowed worktree roots of the same repositories).
+   * Unregistered worktrees that belong to a known assignment are adopted into
+   * the registry.
+   *
+   * @param {Object} options
+   * @param {string} [options.status] - active (default), removed, or all
+   * @param {string} [options.repoRoot]
+   * @param {string} [options.taskId]
+   * @param {boolean} [options.measure] - Measure checkout sizes now instead of
+   *   reporting the last measured size
+   */
+  async list(options = {}) {
+    const status = options.status === 'all' ? null : (options.status || 'active');
+    const repoFilter = options.repoRoot ? safeRealpath(options.repoRoot) : null;
+    const rows = this.db.listTaskWorktrees({ status })
+      .map((row) => ({ ...row, repoRoot: this._resolveRepoRoot(row) }));
+
+    const gitEntriesByRepo = new Map();
+    const readGitEntries = (repoRoot) => {
+      if (!gitEntriesByRepo.has(repoRoot)) {
+        gitEntriesByRepo.set(repoRoot, listRepoWorktrees(repoRoot));
+      }
+      return gitEntriesByRepo.get(repoRoot);
+    };
+
+    if (status !== 'removed') {
+      const repoRoots = new Set(rows.filter((row) => row.status === 'active' && row.repoRoot).map((row) => row.repoRoot));
+      if (repoFilter) {
+        repoRoots.add(repoFilter);
+      }
+      const registered = new Set(this.db.listTaskWorktrees({}).map((row) => row.worktreePath));
+      for (const repoRoot of repoRoots) {
+        const allowedRoots = buildAllowedWorktreeRoots(repoRoot, repoRoot).map(safeRealpath);
+        for (const gitEntry of readGitEntries(repoRoot)) {
+          if (gitEntry.primary || gitEntry.bare || registered.has(gitEntry.path)) {
+            continue;
+          }
+          if (!allowedRoots.some((root) => isPathInside(gitEntry.path, root))) {
+            continue;
+          }
+          const owner = this.db.findTaskAssignmentByWorktreePath(gitEntry.path);
+          if (owner) {
+            rows.push({
+              ...this.db.upsertTaskWorktree({
+                worktreePath: gitEntry.path,
+                repoRoot,
+                taskId: owner.taskId,
+                taskAssignmentId: owner.id,
+                branch: gitEntry.branch,
+                lastActivityAt: owner.updatedAt,
+                metadata: { adopted: true }
+              }),
+              repoRoot
+            });
+          } else {
+            rows.push({
+              worktreePath: gitEntry.path,
+              repoRoot,
+              taskId: null,
+              taskAssignmentId: null,
+              branch: gitEntry.branch,
+              status: 'active',
+              registryStatus: 'unregistered',
+              lastActivityAt: null
+            });
+          }
+          registered.add(gitEntry.path);
+        }
+      }
+    }
+
+    const worktrees = rows
+      .filter((row) => !repoFilter || row.repoRoot === repoFilter)
+      .filter((row) => !options.taskId || row.taskId === options.taskId)
+      .map((row) => {
+        const gitEntry = row.repoRoot
+          ? readGitEntries(row.repoRoot).find((entry) => entry.path === row.worktreePath) || null
+          : null;
+        return this._describe(row, gitEntry);
+      });
+
+    if (options.measure) {
+      for (const entry of worktrees) {
+        if (!entry.exists || entry.disposition === 'removed') {
+          continue;
+        }
+        entry.sizeBytes = await measureDirectorySize(entry.worktreePath);
+        entry.sizeMeasuredAt = this.now();
+        if (entry.registryStatus !== 'unregistered') {
+          this.db.updateTaskWorktree(entry.worktreePath, {
+            sizeBytes: entry.sizeBytes,
+            sizeMeasuredAt: entry.sizeMeasuredAt
+          });
+        }
+      }
+    }
+
+    const byDisposition = {};
+    for (const entry of worktrees) {
+      byDisposition[entry.disposition] = (byDisposition[entry.disposition] || 0) + 1;
+    }
+    const present = worktrees.filter((entry) => entry.exists && entry.disposition !== 'removed');
+    return {
+      worktrees,
+      summary: {
+        count: worktrees.length,
+        existing: present.length,
+        sizeBytes: present.reduce((sum, entry) => sum + (entry.sizeBytes || 0), 0),
+        unmeasured: present.filter((entry) => entry.sizeBytes === null).length,
+        byDisposition
+      }
+    };
+  }
+
+  /**
+   * Remove stale worktrees according to the prune policy. With `dryRun` the
+   * plan is returned without touching anything. Checkouts are re-measured
+   * only when a quota is set; otherwise byte counts are the last measured
+   * sizes.
+   */
+  async prune(options = {}) {
+    const policy = resolvePrunePolicy(options, this.env);
+    const { worktrees } = await this.list({
+      repoRoot: options.repoRoot,
+      taskId: options.taskId,
+      measure: policy.maxTotalBytes !== null
+    });
+
+    const pruned = [];
+    const kept = [];
+    const deferred = [];
+    for (const entry of worktrees) {
+      const prunable = PRUNABLE_DISPOSITIONS.has(entry.disposition)
+        || (entry.disposition === 'unowned' && policy.includeUnowned);
+      if (!prunable) {
+        kept.push({ entry, reason: entry.disposition === 'unowned' ? 'unowned' : 'assignment_active' });
+      } else if (entry.locked) {
+        kept.push({ entry, reason: 'locked' });
+      } else if (entry.dirty && !policy.force) {
+        kept.push({ entry, reason: 'dirty' });
+      } else if (entry.disposition === 'missing') {
+        pruned.push({ entry, trigger: 'missing' });
+      } else if ((entry.idleMs ?? Infinity) >= policy.minIdleMs) {
+        pruned.push({ entry, trigger: 'age' });
+      } else {
+        deferred.push(entry);
+      }
+    }
+
+    const totalBytes = worktrees
+      .filter((entry) => entry.exists)
+      .reduce((sum, entry) => sum + (entry.sizeBytes || 0), 0);
+    let remainingBytes = totalBytes - pruned.reduce((sum, item) => sum + (item.entry.sizeBytes || 0), 0);
+    for (const entry of deferred) {
+      if (policy.maxTotalBytes !== null && remainingBytes > policy.maxTotalBytes) {
+        pruned.push({ entry, trigger: 'quota' });
+        remainingBytes -= entry.sizeBytes || 0;
+      } else {
+        kept.push({ entry, reason: 'too_recent' });
+      }
+    }
+
+    const failed = [];
+    if (!policy.dryRun) {
+      const touchedRepos = new Set();
+      for (const item of [...pruned]) {
+        const { entry } = item;
+        try {
+          if (entry.exists) {
+            if (!entry.repoRoot) {
+              throw new Error('repository root is unknown');
+            }
+            const args = ['-C', entry.repoRoot, 'worktree', 'remove'];
+            if (policy.force) {
+              args.push('--force');
+            }
+            execFileSync('git', [...args, entry.worktreePath], { stdio: ['ignore', 'pipe', 'pipe'] });
+          }
+        } catch (error) {
+          pruned.splice(pruned.indexOf(item), 1);
+          failed.push({ entry, error: describeGitError(error) });
+          remainingBytes += entry.sizeBytes || 0;
+          continue;
+        }
+        if (entry.repoRoot) {
+          touchedRepos.add(entry.repoRoot);
+        }
+        if (entry.registryStatus !== 'unregistered') {
+          this.db.updateTaskWorktree(entry.worktreePath, {
+            status: 'removed',
+            removedAt: this.now(),
+            removedReason: `${entry.disposition}:${item.trigger}`
+          });
+        }
+      }
+      for (const repoRoot of touchedRepos) {
+        tryRunGit(['-C', repoRoot, 'worktree', 'prune']);
+      }
+    }
+
+    const compact = (entry) => ({
+      worktreePath: entry.worktreePath,
+      repoRoot: entry.repoRoot,
+      branch: entry.branch,
+      taskId: entry.taskId,
+      taskAssignmentId: entry.taskAssignmentId,
+      disposition: entry.disposition,
+      sizeBytes: entry.sizeBytes,
+      idleMs: entry.idleMs
+    });
+    return {
+      dryRun: policy.dryRun,
+      policy: {
+        minIdleMs: policy.minIdleMs,
+        maxTotalBytes: policy.maxTotalBytes,
+        includeUnowned: policy.includeUnowned,
+        force: policy.force
+      },
+      pruned: pruned.map((item) => ({ ...compact(item.entry), trigger: item.trigger })),
+      kept: kept.map((item) => ({ ...compact(item.entry), reason: item.reason })),
+      failed: failed.map((item) => ({ ...compact(item.entry), error: item.error })),
+      totalBytes,
+      reclaimedBytes: pruned.reduce((sum, item) => sum + (item.entry.sizeBytes || 0), 0),
+      remainingBytes,
+      quotaExceeded: policy.maxTotalBytes !== null && remainingBytes > policy.maxTotalBytes
+    };
+  }
+}
+
+module.exports = {
+  WorktreeRegistry,
+  measureDirectorySize,
+  parseByteSize,
+  resolvePrunePolicy
+};
@@ -0,0 +1,180 @@
+/**
+ * Audit Routes - REST API endpoints for the broker audit log
+ *
+ * Provides endpoints for:
+ * - Querying audit entries (mutating HTTP requests and MCP tool calls)
+ * - Verifying the hash chain
+ * - Recording MCP tool invocations reported by the MCP server
+ */
+
+const express = require('express');
+const { getDB } = require('../database/db');
+const { AUDIT_CHANNELS, AUDIT_OUTCOMES } = require('../security/audit-log');
+
+const MAX_AUDIT_PAGE = 1000;
+
+function sendRouteError(res, status, code, message, param) {
+  return res.status(status).json({
+    error: {
+      code,
+      message,
+      ...(param ? { param } : {})
+    }
+  });
+}
+
+function invalidRequest(message, param) {
+  const error = new Error(message);
+  error.code = 'invalid_request';
+  error.param = param;
+  return error;
+}
+
+function parseIntegerQuery(value, { fallback, min = 0, max = Number.MAX_SAFE_INTEGER, param }) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < min || String(parsed) !== String(value).trim()) {
+    throw invalidRequest(`${param} must be an integer >= ${min}`, param);
+  }
+  return Math.min(parsed, max);
+}
+
+// Epoch milliseconds or an ISO 8601 date
+function parseTimeQuery(value, param) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const text = String(value).trim();
+  const parsed = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+  if (!Number.isFinite(parsed)) {
+    throw invalidRequest(`${param} must be epoch milliseconds or an ISO 8601 date`, param);
+  }
+  return parsed;
+}
+
+function parseEnumQuery(value, allowed, param) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const text = String(value).trim();
+  if (!allowed.includes(text)) {
+    throw invalidRequest(`${param} must be one of ${allowed.join(', ')}`, param);
+  }
+  return text;
+}
+
+function createAuditRouter(options = {}) {
+  const router = express.Router();
+  const db = options.db || getDB();
+
+  /**
+   * GET /orchestration/audit
+   * Query audit entries, newest first. Page backwards with before_seq or
+   * forwards (order=asc) with after_seq.
+   */
+  router.get('/', (req, res) => {
+    try {
+      const order = parseEnumQuery(req.query.order, ['asc', 'desc'], 'order') || 'desc';
+      const requestedLimit = parseIntegerQuery(req.query.limit, {
+        fallback: 100,
+        min: 1,
+        max: MAX_AUDIT_PAGE,
+        param: 'limit'
+      });
+      const filters = {
+        channel: parseEnumQuery(req.query.channel, AUDIT_CHANNELS, 'channel'),
+        outcome: parseEnumQuery(req.query.outcome, AUDIT_OUTCOMES, 'outcome'),
+        tokenName: req.query.token_name || undefined,
+        actorSource: req.query.actor_source || undefined,
+        action: req.query.action || req.query.tool || undefined,
+        method: req.query.method || undefined,
+        pathPrefix: req.query.path_prefix || undefined,
+        since: parseTimeQuery(req.query.since, 'since'),
+        until: parseTimeQuery(req.query.until, 'until'),
+        afterSeq: parseIntegerQuery(req.query.after_seq, { fallback: undefined, min: 0, param: 'after_seq' }),
+        beforeSeq: parseIntegerQuery(req.query.before_seq, { fallback: undefined, min: 1, param: 'before_seq' })
+      };
+
+      const rows = db.listAuditEntries({ ...filters, order, limit: requestedLimit + 1 });
+      const hasMore = rows.length > requestedLimit;
+      const entries = rows.slice(0, requestedLimit);
+      const last = entries[entries.length - 1];
+
+      res.json({
+        entries,
+        pagination: {
+          returned: entries.length,
+          limit: requestedLimit,
+          order,
+          hasMore,
+          nextAfterSeq: hasMore && order === 'asc' ? last.seq : null,
+          nextBeforeSeq: hasMore && order === 'desc' ? last.seq : null
+        }
+      });
+    } catch (error) {
+      if (error.code === 'invalid_request') {
+        return sendRouteError(res, 400, error.code, error.message, error.param);
+      }
+      console.error('[audit] Query error:', error.message);
+      res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+  });
+
+  /**
+   * GET /orchestration/audit/verify
+   * Recompute the hash chain from genesis and report the first broken entry.
+   */
+  router.get('/verify', (req, res) => {
+    try {
+      res.json(db.verifyAuditChain());
+    } catch (error) {
+      console.error('[audit] Verify error:', error.message);
+      res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+  });
+
+  /**
+   * POST /orchestration/audit/mcp
+   * Record an MCP tool invocation. The caller identity comes from the
+   * credentials the MCP server used for this request.
+   */
+  router.post('/mcp', (req, res) => {
+    try {
+      const { tool, arguments: toolArgs, outcome, error, durationMs } = req.body || {};
+      if (typeof tool !== 'string' || !tool.trim()) {
+        return sendRouteError(res, 400, 'invalid_request', 'tool is required', 'tool');
+      }
+      if (!AUDIT_OUTCOMES.includes(outcome)) {
+        return sendRouteError(res, 400, 'invalid_request', `outcome must be one of ${AUDIT_OUTCOMES.join(', ')}`, 'outcome');
+      }
+
+      const entry = db.appendAuditEntry({
+        channel: 'mcp',
+        action: tool.trim(),
+        actorSource: req.auth?.source || null,
+        tokenName: req.auth?.tokenName || null,
+        tokenId: req.auth?.tokenId || null,
+        args: toolArgs && typeof toolArgs === 'object' ? toolArgs : null,
+        outcome,
+        error,
+        durationMs: Number(durationMs)
+      });
+      res.status(201).json({ entry });
+    } catch (error) {
+      console.error('[audit] MCP record error:', error.message);
+      res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
@@ -0,0 +1,214 @@
+/**
+ * Budget Routes - REST API endpoints for spending budgets
+ *
+ * Provides endpoints for:
+ * - Creating, listing, updating, and deleting budgets per root session, task, or project
+ * - Checking whether a spawn would be refused by an exceeded hard cap
+ * - Recording operator overrides of exceeded hard caps
+ */
+
+const express = require('express');
+const { getDB, BUDGET_SCOPE_TYPES } = require('../database/db');
+
+const BUDGET_STATES = ['ok', 'warning', 'exceeded', 'overridden'];
+
+function sendRouteError(res, status, code, message, param) {
+  return res.status(status).json({
+    error: {
+      code,
+      message,
+      ...(param ? { param } : {})
+    }
+  });
+}
+
+function invalidRequest(message, param) {
+  const error = new Error(message);
+  error.code = 'invalid_request';
+  error.param = param;
+  return error;
+}
+
+function parseIntegerQuery(value, { fallback, min = 0, max = Number.MAX_SAFE_INTEGER, param }) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < min || String(parsed) !== String(value).trim()) {
+    throw invalidRequest(`${param} must be an integer >= ${min}`, param);
+  }
+  return Math.min(parsed, max);
+}
+
+function parseEnumQuery(value, allowed, param) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const text = String(value).trim();
+  if (!allowed.includes(text)) {
+    throw invalidRequest(`${param} must be one of ${allowed.join(', ')}`, param);
+  }
+  return text;
+}
+
+function pickBudgetInput(body = {}) {
+  return {
+    scopeType: body.scopeType ?? body.scope_type,
+    scopeId: body.scopeId ?? body.scope_id,
+    maxTokens: body.maxTokens ?? body.max_tokens,
+    maxCostUsd: body.maxCostUsd ?? body.max_cost_usd,
+    maxWallClockMs: body.maxWallClockMs ?? body.max_wall_clock_ms,
+    warnThresholds: body.warnThresholds ?? body.warn_thresholds,
+    hardCap: body.hardCap ?? body.hard_cap,
+    metadata: body.metadata
+  };
+}
+
+function sendBudgetError(res, error, label) {
+  if (error.code === 'invalid_request') {
+    return sendRouteError(res, 400, error.code, error.message, error.param);
+  }
+  if (error.code === 'budget_not_found') {
+    return sendRouteError(res, 404, error.code, error.message);
+  }
+  if (error.code === 'budget_exists' || error.code === 'budget_not_exceeded') {
+    return sendRouteError(res, 409, error.code, error.message, error.param);
+  }
+  console.error(`[budgets] ${label} error:`, error.message);
+  return sendRouteError(res, 500, 'internal_error', error.message);
+}
+
+function createBudgetsRouter(options = {}) {
+  const router = express.Router();
+  const db = options.db || getDB();
+  const budgetService = options.budgetService;
+
+  /**
+   * GET /orchestration/budgets
+   * List budgets, optionally filtered by scope_type, scope_id, and state.
+   */
+  router.get('/', (req, res) => {
+    try {
+      const budgets = db.listBudgets({
+        scopeType: parseEnumQuery(req.query.scope_type, BUDGET_SCOPE_TYPES, 'scope_type'),
+        scopeId: req.query.scope_id || undefined,
+        states: parseEnumQuery(req.query.state, BUDGET_STATES, 'state'),
+        limit: parseIntegerQuery(req.query.limit, { fallback: 100, min: 1, max: 500, param: 'limit' })
+      });
+      res.json({ budgets: budgets.map((budget) => ({ ...budget, ...budgetService.measure(budget) })) });
+    } catch (error) {
+      return sendBudgetError(res, error, 'List');
+    }
+  });
+
+  /**
+   * POST /orchestration/budgets
+   * Create a budget. Body: { scopeType, scopeId, maxTokens?, maxCostUsd?,
+   * maxWallClockMs?, warnThresholds?, hardCap?, metadata? }
+   */
+  router.post('/', (req, res) => {
+    try {
+      const budget = budgetService.createBudget(pickBudgetInput(req.body));
+      res.status(201).json({ budget });
+    } catch (error) {
+      return sendBudgetError(res, error, 'Create');
+    }
+  });
+
+  /**
+   * GET /orchestration/budgets/check?root_session_id=&task_id=
+   * Whether a new child spawn or assignment start would be allowed.
+   */
+  router.get('/check', (req, res) => {
+    try {
+      const rootSessionId = req.query.root_session_id || null;
+      const taskId = req.query.task_id || null;
+      if (!rootSessionId && !taskId && !req.query.project_id) {
+        throw invalidRequest('root_session_id, task_id, or project_id is required', 'root_session_id');
+      }
+      const result = budgetService.checkSpawn({
+        rootSessionId,
+        taskId,
+        projectId: req.query.project_id || null
+      });
+      res.json(result);
+    } catch (error) {
+      return sendBudgetError(res, error, 'Check');
+    }
+  });
+
+  /**
+   * GET /orchestration/budgets/:id
+   * A budget with its current usage and gate run history.
+   */
+  router.get('/:id', (req, res) => {
+    try {
+      const budget = budgetService.evaluate(req.params.id);
+      if (!budget) {
+        return sendRouteError(res, 404, 'budget_not_found', `Budget ${req.params.id} not found`);
+      }
+      res.json({ budget, gate: budgetService.describeGate(budget) });
+    } catch (error) {
+      return sendBudgetError(res, error, 'Get');
+    }
+  });
+
+  /**
+   * PATCH /orchestration/budgets/:id
+   * Change limits, warn thresholds, hard cap, or metadata, then re-evaluate.
+   */
+  router.patch('/:id', (req, res) => {
+    try {
+      const { scopeType, scopeId, ...patch } = pickBudgetInput(req.body);
+      if (scopeType !== undefined || scopeId !== undefined) {
+        throw invalidRequest('a budget\'s scope cannot be changed', scopeType !== undefined ? 'scopeType' : 'scopeId');
+      }
+      const budget = budgetService.updateBudget(req.params.id, patch);
+      if (!budget) {
+        return sendRouteError(res, 404, 'budget_not_found', `Budget ${req.params.id} not found`);
+      }
+      res.json({ budget });
+    } catch (error) {
+      return sendBudgetError(res, error, 'Update');
+    }
+  });
+
+  /**
+   * DELETE /orchestration/budgets/:id
+   * Remove a budget, lifting any block it holds.
+   */
+  router.delete('/:id', (req, res) => {
+    try {
+      if (!budgetService.deleteBudget(req.params.id)) {
+        return sendRouteError(res, 404, 'budget_not_found', `Budget ${req.params.id} not found`);
+      }
+      res.json({ deleted: true, budgetId: req.params.id });
+    } catch (error) {
+      return sendBudgetError(res, error, 'Delete');
+    }
+  });
+
+  /**
+   * POST /orchestration/budgets/:id/override
+   * Lift an exceeded hard cap. Body: { reason?, expiresAt? }. Recorded as an
+   * operator_override action on the budget's gate run.
+   */
+  router.post('/:id/override', (req, res) => {
+    try {
+      const result = budgetService.override(req.params.id, {
+        reason: req.body?.reason,
+        expiresAt: req.body?.expiresAt ?? req.body?.expires_at,
+        tokenName: req.auth?.tokenName || null
+      });
+      res.json(result);
+    } catch (error) {
+      return sendBudgetError(res, error, 'Override');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createBudgetsRouter
+};
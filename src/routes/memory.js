@@ -5,6 +5,8 @@
  * - Artifacts: Store and retrieve code/file artifacts
  * - Findings: Share insights and issues between agents
  * - Context: Store conversation summaries for handoff
+ * - Search: Ranked full-text search across memory-bearing records
+ * - Embeddings: Optional semantic recall of related items in memory bundles
  */
 
 const express = require('express');
@@ -150,6 +152,20 @@ function normalizeReadModelError(error) {
   return null;
 }
 
+/**
+ * Text that describes what a bundle's scope is about, used to recall
+ * semantically related items from other tasks and roots.
+ */
+function buildRelevanceQuery(db, bundle, scopeType, scopeId) {
+  const parts = [];
+  if (scopeType === 'task' && typeof db.getTask === 'function') {
+    const task = db.getTask(scopeId);
+    parts.push(task?.title, task?.brief);
+  }
+  parts.push(bundle.brief, ...(Array.isArray(bundle.pendingItems) ? bundle.pendingItems : []));
+  return parts.filter((part) => typeof part === 'string' && part.trim()).join('\n');
+}
+
 /**
  * Create the memory router
  * @returns {express.Router}
@@ -158,6 +174,7 @@ function createMemoryRouter(options = {}) {
   const router = express.Router();
   const db = options.db || getDB();
   const getMaintenanceService = options.getMemoryMaintenanceService || peekMemoryMaintenanceService;
+  const embeddingIndex = options.embeddingIndex || null;
 
   // ============================================================
   // Memory Bundle Endpoints
@@ -165,15 +182,20 @@ function createMemoryRouter(options = {}) {
 
   /**
    * GET /orchestration/memory/bundle/:scopeId
-   * Get a consolidated memory bundle for a run, root, room, task, or project
+   * Get a consolidated memory bundle for a run, root, room, task, or project.
+   * When the embedding index is enabled, relevantMemories lists the top
+   * `relevant` (default 5, 0 to skip) semantically similar items from other
+   * tasks and roots, ranked against `relevant_query` or the scope's own brief.
    */
-  router.get('/bundle/:scopeId', (req, res) => {
+  router.get('/bundle/:scopeId', async (req, res) => {
     try {
       const { scopeId } = req.params;
       const {
         scope_type = 'task',
         recent_runs_limit = 3,
-        include_raw_pointers = 'true'
+        include_raw_pointers = 'true',
+        relevant,
+        relevant_query
       } = req.query;
 
       if (!MEMORY_BUNDLE_SCOPE_TYPES.has(scope_type)) {
@@ -202,6 +224,24 @@ function createMemoryRouter(options = {}) {
         });
       }
 
+      const relevantLimit = parseIntegerQuery(relevant, { fallback: 5, min: 0, max: 50, param: 'relevant' });
+      if (embeddingIndex?.enabled && relevantLimit > 0) {
+        // Indexing is left to the background sweep and POST /embeddings/sync;
+        // recall is best effort so an embedder outage never fails the bundle
+        const query = String(relevant_query || '').trim() || buildRelevanceQuery(db, bundle, scope_type, scopeId);
+        try {
+          bundle.relevantMemories = await embeddingIndex.findRelevant(query, {
+            k: relevantLimit,
+            excludeTaskId: scope_type === 'task' ? scopeId : null,
+            excludeRootSessionId: scope_type === 'root' ? scopeId : null
+          });
+        } catch (error) {
+          console.warn('[memory/bundle] Relevant memory recall failed:', error.message);
+          bundle.relevantMemories = [];
+          bundle.relevantMemoriesError = { code: 'embedder_unavailable', message: error.message };
+        }
+      }
+
       res.json(bundle);
     } catch (error) {
       console.error('[memory/bundle] Get error:', error.message);
@@ -363,6 +403,33 @@ function createMemoryRouter(options = {}) {
     }
   });
 
+  /**
+   * POST /orchestration/memory/embeddings/sync
+   * Embed new and changed memory items now instead of waiting for the sweep
+   */
+  router.post('/embeddings/sync', async (req, res) => {
+    try {
+      if (!embeddingIndex?.enabled) {
+        return sendRouteError(
+          res,
+          503,
+          'service_unavailable',
+          'memory embedding index is disabled; set CLIAGENTS_MEMORY_EMBEDDINGS=1'
+        );
+      }
+      const limit = parseIntegerQuery(req.body?.limit, { fallback: 50, min: 1, max: 500, param: 'limit' });
+      res.json(await embeddingIndex.sync({ limit }));
+    } catch (error) {
+      console.error('[memory/embeddings/sync] Error:', error.message);
+      if (error.code === 'invalid_request') {
+        return sendRouteError(res, 400, error.code, error.message, error.param);
+      }
+      res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+  });
+
   // ============================================================
   // Artifact Endpoints
   // ============================================================
@@ -734,6 +801,7 @@ function createMemoryRouter(options = {}) {
   /**
    * GET /orchestration/memory/query
    * Query the canonical memory read model with source provenance.
+   * source_table/source_id narrow it to one source row.
    */
   router.get('/query', (req, res) => {
     try {
@@ -772,6 +840,8 @@ function createMemoryRouter(options = {}) {
       const filters = {
         ...buildMemoryReadModelOptions(req.query),
         types,
+        sourceTable: req.query.source_table || req.query.sourceTable || undefined,
+        sourceId: req.query.source_id || req.query.sourceId || undefined,
         q: req.query.q || undefined,
         since,
         until,
@@ -824,6 +894,107 @@ function createMemoryRouter(options = {}) {
     }
   });
 
+  /**
+   * GET /orchestration/memory/search
+   * Ranked full-text search over messages, room messages, findings, context,
+   * memory snapshots, and root IO output, with highlighted snippets
+   * (`mark=html` wraps matches in <mark>, `mark=markdown` in **).
+   */
+  router.get('/search', (req, res) => {
+    try {
+      if (typeof db.searchMemory !== 'function') {
+        return sendRouteError(res, 503, 'service_unavailable', 'memory search is not configured');
+      }
+      if (!String(req.query.q || '').trim()) {
+        return sendRouteError(res, 400, 'invalid_request', 'q is required', 'q');
+      }
+
+      const requestedLimit = parseIntegerQuery(req.query.limit, {
+        fallback: 20,
+        min: 1,
+        max: 200,
+        param: 'limit'
+      });
+      const offset = parseIntegerQuery(req.query.offset, {
+        fallback: 0,
+        min: 0,
+        param: 'offset'
+      });
+      const sort = String(req.query.sort || 'relevance').trim().toLowerCase();
+      if (!['relevance', 'recent'].includes(sort)) {
+        return sendRouteError(res, 400, 'invalid_request', 'sort must be relevance or recent', 'sort');
+      }
+      const mark = String(req.query.mark || 'html').trim().toLowerCase();
+      if (!['html', 'markdown'].includes(mark)) {
+        return sendRouteError(res, 400, 'invalid_request', 'mark must be html or markdown', 'mark');
+      }
+      const scope = buildMemoryReadModelOptions(req.query);
+      const filters = {
+        q: String(req.query.q).trim(),
+        raw: parseBooleanQuery(req.query.raw, false),
+        sources: parseCsvQuery(req.query.sources),
+        rootSessionId: scope.rootSessionId,
+        taskId: scope.taskId,
+        runId: scope.runId,
+        roomId: scope.roomId,
+        terminalId: scope.terminalId,
+        since: parseIntegerQuery(req.query.since, { fallback: undefined, min: 0, param: 'since' }),
+        until: parseIntegerQuery(req.query.until, { fallback: undefined, min: 0, param: 'until' }),
+        sort
+      };
+
+      const rows = db.searchMemory({
+        ...filters,
+        highlight: mark === 'markdown' ? ['**', '**'] : ['<mark>', '</mark>'],
+        limit: requestedLimit + 1,
+        offset
+      });
+      const hasMore = rows.length > requestedLimit;
+      const hits = rows.slice(0, requestedLimit).map((hit) => {
+        const source = `source_table=${encodeURIComponent(hit.sourceTable)}&source_id=${encodeURIComponent(hit.sourceId)}`;
+        return {
+          ...hit,
+          links: {
+            record: `/orchestration/memory/query?${source}&limit=1`,
+            edges: `/orchestration/memory/edges?${source}`,
+            ...(hit.rootSessionId ? { root: `/orchestration/memory/bundle/${encodeURIComponent(hit.rootSessionId)}?scope_type=root` } : {}),
+            ...(hit.taskId ? { task: `/orchestration/memory/bundle/${encodeURIComponent(hit.taskId)}?scope_type=task` } : {})
+          }
+        };
+      });
+
+      res.json({
+        hits,
+        pagination: {
+          returned: hits.length,
+          limit: requestedLimit,
+          offset,
+          hasMore,
+          nextOffset: hasMore ? offset + hits.length : null
+        },
+        filters: {
+          ...filters,
+          rootSessionId: filters.rootSessionId || null,
+          taskId: filters.taskId || null,
+          runId: filters.runId || null,
+          roomId: filters.roomId || null,
+          terminalId: filters.terminalId || null,
+          since: filters.since ?? null,
+          until: filters.until ?? null
+        }
+      });
+    } catch (error) {
+      console.error('[memory/search] Error:', error.message);
+      const routeError = normalizeReadModelError(error);
+      if (routeError) {
+        return sendRouteError(res, routeError.status, routeError.code, routeError.message, routeError.param);
+      }
+      res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+  });
+
   /**
    * GET /orchestration/memory/edges
    * Query lineage edges from the canonical memory read model.
@@ -0,0 +1,264 @@
+/**
+ * Usage Report Routes - REST API endpoint for usage analytics
+ *
+ * Provides endpoints for:
+ * - Rolling usage up by adapter, provider, model, role, role bucket, project,
+ *   and day or hour over a time range
+ * - Exporting the same rows as CSV or NDJSON for spreadsheets and pipelines
+ */
+
+const express = require('express');
+const { getDB, USAGE_REPORT_DIMENSIONS, USAGE_REPORT_INTERVALS } = require('../database/db');
+const { parseUsageTime, describeUsagePricing } = require('../utils/usage-query');
+
+const DEFAULT_REPORT_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_GROUP_BY = ['day', 'adapter'];
+const MAX_REPORT_PERIODS = 2000;
+const MAX_REPORT_ROWS = 50000;
+const REPORT_FORMATS = ['json', 'csv', 'ndjson'];
+const INTERVAL_MS = {
+  day: 24 * 60 * 60 * 1000,
+  hour: 60 * 60 * 1000
+};
+
+// Metric columns in export order, with their CSV header names
+const REPORT_METRICS = [
+  ['recordCount', 'record_count'],
+  ['inputTokens', 'input_tokens'],
+  ['outputTokens', 'output_tokens'],
+  ['reasoningTokens', 'reasoning_tokens'],
+  ['cachedInputTokens', 'cached_input_tokens'],
+  ['totalTokens', 'total_tokens'],
+  ['reportedCostUsd', 'reported_cost_usd'],
+  ['estimatedCostUsd', 'estimated_cost_usd'],
+  ['effectiveCostUsd', 'effective_cost_usd'],
+  ['durationMs', 'duration_ms']
+];
+
+function sendRouteError(res, status, code, message, param) {
+  return res.status(status).json({
+    error: {
+      code,
+      message,
+      ...(param ? { param } : {})
+    }
+  });
+}
+
+function invalidRequest(message, param) {
+  const error = new Error(message);
+  error.code = 'invalid_request';
+  error.param = param;
+  return error;
+}
+
+function parseIntegerQuery(value, { fallback, min = 0, max = Number.MAX_SAFE_INTEGER, param }) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < min || String(parsed) !== String(value).trim()) {
+    throw invalidRequest(`${param} must be an integer >= ${min}`, param);
+  }
+  return Math.min(parsed, max);
+}
+
+function parseEnumQuery(value, allowed, param) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const text = String(value).trim();
+  if (!allowed.includes(text)) {
+    throw invalidRequest(`${param} must be one of ${allowed.join(', ')}`, param);
+  }
+  return text;
+}
+
+function parseGroupBy(value) {
+  if (value === undefined || value === null || value === '') {
+    return [...DEFAULT_GROUP_BY];
+  }
+  const dimensions = String(value).split(',').map((entry) => entry.trim()).filter(Boolean);
+  for (const dimension of dimensions) {
+    if (!USAGE_REPORT_DIMENSIONS.includes(dimension)) {
+      throw invalidRequest(`group_by entries must be among ${USAGE_REPORT_DIMENSIONS.join(', ')}`, 'group_by');
+    }
+  }
+  if (new Set(dimensions).size !== dimensions.length) {
+    throw invalidRequest('group_by must not repeat a dimension', 'group_by');
+  }
+  if (dimensions.filter((dimension) => USAGE_REPORT_INTERVALS.includes(dimension)).length > 1) {
+    throw invalidRequest('group_by may include only one of day or hour', 'group_by');
+  }
+  // The time dimension always leads so rows and exports read chronologically
+  return [
+    ...dimensions.filter((dimension) => USAGE_REPORT_INTERVALS.includes(dimension)),
+    ...dimensions.filter((dimension) => !USAGE_REPORT_INTERVALS.includes(dimension))
+  ];
+}
+
+function formatPeriod(timestamp, interval) {
+  const iso = new Date(timestamp).toISOString();
+  return interval === 'day' ? iso.slice(0, 10) : `${iso.slice(0, 13)}:00:00Z`;
+}
+
+/**
+ * Every UTC day or hour label touched by [since, until), matching the labels
+ * listUsageReport produces.
+ */
+function listPeriods(since, until, interval) {
+  const step = INTERVAL_MS[interval];
+  const periods = [];
+  for (let start = Math.floor(since / step) * step; start < until; start += step) {
+    periods.push(formatPeriod(start, interval));
+  }
+  return periods;
+}
+
+/**
+ * Dense per-period points for each combination of the non-time dimensions,
+ * zero-filled so charts do not have to fill gaps.
+ */
+function buildSeries(rows, groupBy, interval, periods) {
+  const dimensions = groupBy.filter((dimension) => dimension !== interval);
+  const series = new Map();
+  for (const row of rows) {
+    const key = {};
+    for (const dimension of dimensions) {
+      key[dimension] = row[dimension];
+    }
+    const seriesKey = JSON.stringify(dimensions.map((dimension) => row[dimension]));
+    if (!series.has(seriesKey)) {
+      series.set(seriesKey, {
+        key,
+        label: dimensions.map((dimension) => row[dimension]).join(' / ') || 'all',
+        byPeriod: new Map(),
+        totals: Object.fromEntries(REPORT_METRICS.map(([field]) => [field, 0]))
+      });
+    }
+    const entry = series.get(seriesKey);
+    entry.byPeriod.set(row[interval], row);
+    for (const [field] of REPORT_METRICS) {
+      entry.totals[field] += row[field] || 0;
+    }
+  }
+
+  return [...series.values()]
+    .sort((left, right) => right.totals.totalTokens - left.totals.totalTokens || (left.label < right.label ? -1 : 1))
+    .map(({ key, label, byPeriod, totals }) => ({
+      key,
+      label,
+      totals,
+      points: periods.map((period) => {
+        const row = byPeriod.get(period);
+        return {
+          period,
+          ...Object.fromEntries(REPORT_METRICS.map(([field]) => [field, row ? row[field] || 0 : 0]))
+        };
+      })
+    }));
+}
+
+// Quote per RFC 4180 and keep spreadsheet apps from evaluating text as a formula
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows, groupBy) {
+  const header = [...groupBy, ...REPORT_METRICS.map(([, column]) => column)];
+  const lines = [header.join(',')];
+  for (const row of rows) {
+    lines.push([
+      ...groupBy.map((dimension) => escapeCsvValue(row[dimension])),
+      ...REPORT_METRICS.map(([field]) => escapeCsvValue(row[field] || 0))
+    ].join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function createUsageReportRouter(options = {}) {
+  const router = express.Router();
+  const db = options.db || getDB();
+  const now = typeof options.now === 'function' ? options.now : Date.now;
+
+  /**
+   * GET /orchestration/usage/report
+   * Usage rolled up over a time range (default: the last 7 days).
+   * Query: since, until, group_by (comma-separated, default day,adapter),
+   * adapter, project_id, root_session_id, task_id, limit, and
+   * format=json|csv|ndjson. JSON responses also carry zero-filled series per
+   * non-time group when grouped by day or hour.
+   */
+  router.get('/', (req, res) => {
+    try {
+      const format = parseEnumQuery(req.query.format, REPORT_FORMATS, 'format') || 'json';
+      const until = parseUsageTime(req.query.until, 'until') ?? now();
+      const since = parseUsageTime(req.query.since, 'since') ?? until - DEFAULT_REPORT_RANGE_MS;
+      if (since >= until) {
+        throw invalidRequest('since must be before until', 'since');
+      }
+      const groupBy = parseGroupBy(req.query.group_by ?? req.query.groupBy);
+      const interval = groupBy.find((dimension) => USAGE_REPORT_INTERVALS.includes(dimension)) || null;
+      const periods = interval ? listPeriods(since, until, interval) : null;
+      if (periods && periods.length > MAX_REPORT_PERIODS) {
+        throw invalidRequest(`range spans ${periods.length} ${interval}s; narrow it to at most ${MAX_REPORT_PERIODS}`, 'since');
+      }
+      const filters = {
+        adapter: req.query.adapter ? String(req.query.adapter) : undefined,
+        projectId: req.query.project_id ? String(req.query.project_id) : undefined,
+        rootSessionId: req.query.root_session_id ? String(req.query.root_session_id) : undefined,
+        taskId: req.query.task_id ? String(req.query.task_id) : undefined
+      };
+      const limit = parseIntegerQuery(req.query.limit, { fallback: 5000, min: 1, max: MAX_REPORT_ROWS, param: 'limit' });
+
+      const { rows, truncated } = db.listUsageReport({ ...filters, since, until, groupBy, limit });
+      const range = {
+        since,
+        until,
+        sinceIso: new Date(since).toISOString(),
+        untilIso: new Date(until).toISOString()
+      };
+
+      if (format !== 'json') {
+        const stamp = `${range.sinceIso.slice(0, 10)}_${range.untilIso.slice(0, 10)}`;
+        res.set('X-Usage-Report-Truncated', truncated ? 'true' : 'false');
+        res.set('Content-Disposition', `attachment; filename="cliagents-usage-${stamp}.${format}"`);
+        if (format === 'csv') {
+          res.type('text/csv; charset=utf-8');
+          return res.send(formatCsv(rows, groupBy));
+        }
+        res.type('application/x-ndjson; charset=utf-8');
+        return res.send(rows.map((row) => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : ''));
+      }
+
+      res.json({
+        range,
+        groupBy,
+        interval,
+        filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined)),
+        totals: db.summarizeUsage({ ...filters, since, until }),
+        rows,
+        truncated,
+        ...(interval ? { periods, series: buildSeries(rows, groupBy, interval, periods) } : {}),
+        pricing: describeUsagePricing(db)
+      });
+    } catch (error) {
+      if (error.code === 'invalid_request') {
+        return sendRouteError(res, 400, error.code, error.message, error.param);
+      }
+      console.error('[usage-report] Report error:', error.message);
+      return sendRouteError(res, 500, 'internal_error', error.message);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUsageReportRouter };
@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * Broker audit log helpers.
+ *
+ * Entries live in the append-only `audit_log` table (migration 0030) and are
+ * hash-chained: each entry hash covers the previous hash plus the canonical
+ * entry, so an exported log can be verified without the database. Arguments
+ * are clipped and passed through redactSecretObject before they are stored.
+ */
+
+const crypto = require('crypto');
+const { redactSecretObject, redactSecretsInText } = require('./secret-redaction');
+
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+const AUDIT_CHANNELS = Object.freeze(['http', 'mcp', 'ws', 'cli']);
+const AUDIT_OUTCOMES = Object.freeze(['success', 'error', 'denied']);
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const MAX_ARG_STRING_CHARS = 2000;
+const MAX_ARGS_JSON_CHARS = 16000;
+const MAX_ERROR_CHARS = 500;
+
+// The MCP server reports tool invocations here; the report is the audit entry
+const AUDIT_EXCLUDED_PATHS = new Set(['/orchestration/audit/mcp']);
+
+function clipLongStrings(value, depth = 0) {
+  if (typeof value === 'string') {
+    return value.length > MAX_ARG_STRING_CHARS
+      ? `${value.slice(0, MAX_ARG_STRING_CHARS)}… [${value.length - MAX_ARG_STRING_CHARS} more chars]`
+      : value;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 8) {
+    return '[nested]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => clipLongStrings(entry, depth + 1));
+  }
+  const output = {};
+  for (const [key, entry] of Object.entries(value)) {
+    output[key] = clipLongStrings(entry, depth + 1);
+  }
+  return output;
+}
+
+/**
+ * Redact and bound request or tool arguments for storage.
+ *
+ * @returns {Object|null} Redacted arguments, or a truncated preview when the
+ *   redacted JSON is still too large
+ */
+function prepareAuditArgs(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) {
+    return null;
+  }
+  const redacted = redactSecretObject(clipLongStrings(value));
+  const json = JSON.stringify(redacted);
+  if (json.length <= MAX_ARGS_JSON_CHARS) {
+    return redacted;
+  }
+  return {
+    truncated: true,
+    size: json.length,
+    preview: json.slice(0, MAX_ARGS_JSON_CHARS)
+  };
+}
+
+function normalizeAuditError(error) {
+  if (error === undefined || error === null || error === '') {
+    return null;
+  }
+  const text = redactSecretsInText(String(error instanceof Error ? error.message : error)).content;
+  return text.length > MAX_ERROR_CHARS ? `${text.slice(0, MAX_ERROR_CHARS)}…` : text;
+}
+
+function outcomeForStatus(statusCode) {
+  if (statusCode === 401 || statusCode === 403) {
+    return 'denied';
+  }
+  return statusCode >= 400 ? 'error' : 'success';
+}
+
+/**
+ * Hash of one entry chained to its predecessor. Fields are hashed as a fixed
+ * ordered array so key order in exported JSON does not matter.
+ */
+function computeAuditEntryHash(prevHash, entry) {
+  const canonical = JSON.stringify([
+    entry.entryId,
+    entry.channel,
+    entry.action,
+    entry.method ?? null,
+    entry.path ?? null,
+    entry.actorSource ?? null,
+    entry.tokenName ?? null,
+    entry.tokenId ?? null,
+    entry.args ?? null,
+    entry.outcome,
+    entry.statusCode ?? null,
+    entry.error ?? null,
+    entry.durationMs ?? null,
+    entry.createdAt
+  ]);
+  return crypto.createHash('sha256').update(`${prevHash}\n${canonical}`, 'utf8').digest('hex');
+}
+
+/**
+ * Check a run of entries (ascending seq) against the chain.
+ *
+ * @param {Object[]} entries
+ * @param {Object} [options]
+ * @param {string} [options.prevHash] - Hash preceding the first entry (genesis by default)
+ * @returns {{ valid: boolean, checked: number, lastHash: string, brokenAt: { seq, entryId, reason } | null }}
+ */
+function verifyAuditEntries(entries, options = {}) {
+  let prevHash = options.prevHash || AUDIT_GENESIS_HASH;
+  let checked = 0;
+  for (const entry of entries) {
+    let reason = null;
+    if (entry.prevHash !== prevHash) {
+      reason = 'prev_hash does not match the preceding entry';
+    } else if (computeAuditEntryHash(prevHash, entry) !== entry.entryHash) {
+      reason = 'entry_hash does not match the entry contents';
+    }
+    if (reason) {
+      return {
+        valid: false,
+        checked,
+        lastHash: prevHash,
+        brokenAt: { seq: entry.seq ?? null, entryId: entry.entryId ?? null, reason }
+      };
+    }
+    prevHash = entry.entryHash;
+    checked += 1;
+  }
+  return { valid: true, checked, lastHash: prevHash, brokenAt: null };
+}
+
+function extractResponseError(body) {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+  if (typeof body.error === 'string') {
+    return body.error;
+  }
+  return body.error?.message || null;
+}
+
+/**
+ * Express middleware that records every mutating request once the response
+ * finishes. Mount it before authentication so denied calls are recorded too;
+ * `req.auth` is read when the response finishes.
+ *
+ * @param {Object} options
+ * @param {Function} options.getDb - Returns the orchestration DB, or null while
+ *   orchestration is disabled (nothing is recorded then)
+ */
+function createAuditMiddleware(options = {}) {
+  const getDb = typeof options.getDb === 'function' ? options.getDb : () => null;
+  const logger = options.logger || console;
+
+  return function auditMutatingRequests(req, res, next) {
+    if (!MUTATING_METHODS.has(req.method) || AUDIT_EXCLUDED_PATHS.has(req.path)) {
+      return next();
+    }
+
+    const startedAt = Date.now();
+    const method = req.method;
+    const requestPath = req.path;
+    let responseError = null;
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseError = extractResponseError(body);
+      return originalJson(body);
+    };
+
+    res.on('finish', () => {
+      const db = getDb();
+      if (!db || typeof db.appendAuditEntry !== 'function') {
+        return;
+      }
+      const outcome = outcomeForStatus(res.statusCode);
+      const args = {};
+      if (req.query && Object.keys(req.query).length > 0) {
+        args.query = req.query;
+      }
+      if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+        args.body = req.body;
+      }
+      try {
+        db.appendAuditEntry({
+          channel: 'http',
+          action: `${method} ${requestPath}`,
+          method,
+          path: requestPath,
+          actorSource: req.auth?.source || null,
+          tokenName: req.auth?.tokenName || null,
+          tokenId: req.auth?.tokenId || null,
+          args,
+          outcome,
+          statusCode: res.statusCode,
+          error: outcome === 'success' ? null : responseError,
+          durationMs: Date.now() - startedAt
+        });
+      } catch (error) {
+        logger.warn(`[audit] Failed to record ${method} ${requestPath}: ${error.message}`);
+      }
+    });
+
+    return next();
+  };
+}
+
+module.exports = {
+  AUDIT_CHANNELS,
+  AUDIT_GENESIS_HASH,
+  AUDIT_OUTCOMES,
+  computeAuditEntryHash,
+  createAuditMiddleware,
+  normalizeAuditError,
+  outcomeForStatus,
+  prepareAuditArgs,
+  verifyAuditEntries
+};
@@ -0,0 +1,529 @@
+/**
+ * Anthropic-Compatible API Layer
+ *
+ * Provides an Anthropic Messages endpoint (/v1/messages) next to the
+ * OpenAI-compatible one. Requests are converted to the chat-completions shape
+ * and share its prompt building, image handling, and tool call emulation;
+ * replies come back as content blocks with `stop_reason` and `usage`, or as
+ * Anthropic SSE events (`message_start`, `content_block_delta`, ...).
+ *
+ * @license MIT
+ * @copyright 2025 cliagents contributors
+ */
+
+const express = require('express');
+const {
+  cleanupImages,
+  detectRateLimitError,
+  generateId,
+  selectAvailableCandidates,
+  sendWithFallback,
+  translateOpenAIRequest
+} = require('./openai-compat');
+const { resolveModelAlias, resolveModelAliasStatic } = require('./model-aliases');
+const { ToolCallStreamParser, parseToolCalls } = require('./tool-calling');
+
+/**
+ * Claude model names → Claude Code. Other names resolve through the
+ * configured model aliases, as on /v1/chat/completions.
+ */
+const CLAUDE_MODEL_MAP = {
+  'claude-opus-4-7': { adapter: 'claude-code', model: 'claude-opus-4-7' },
+  'claude-opus-4-6': { adapter: 'claude-code', model: 'claude-opus-4-6' },
+  'claude-opus-4-5': { adapter: 'claude-code', model: 'claude-opus-4-5-20250514' },
+  'claude-sonnet-4-6': { adapter: 'claude-code', model: 'claude-sonnet-4-6' },
+  'claude-sonnet-4-5': { adapter: 'claude-code', model: 'claude-sonnet-4-5-20250514' },
+  'claude-haiku-4-5': { adapter: 'claude-code', model: 'claude-haiku-4-5' },
+  'claude-opus-latest': { adapter: 'claude-code', model: 'opus' },
+  'claude-sonnet-latest': { adapter: 'claude-code', model: 'sonnet' },
+  'claude-haiku-latest': { adapter: 'claude-code', model: 'haiku' }
+};
+
+class AnthropicRequestError extends Error {
+  constructor(message, status = 400, type = 'invalid_request_error') {
+    super(message);
+    this.name = 'AnthropicRequestError';
+    this.status = status;
+    this.type = type;
+  }
+}
+
+function blockText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content
+    .map((block) => (block?.type === 'text' ? block.text : block?.type === 'image' ? '[image]' : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+function convertImageBlock(block, location) {
+  const source = block.source || {};
+  if (source.type === 'base64' && source.media_type && source.data) {
+    return { type: 'image_url', image_url: { url: `data:${source.media_type};base64,${source.data}` } };
+  }
+  if (source.type === 'url' && source.url) {
+    return { type: 'image_url', image_url: { url: source.url } };
+  }
+  throw new AnthropicRequestError(`${location}: image source must be base64 (media_type and data) or url`);
+}
+
+/**
+ * Convert Anthropic messages (+ system) to OpenAI chat messages.
+ * `tool_result` blocks become `tool` messages and `tool_use` blocks become
+ * assistant `tool_calls`.
+ */
+function convertAnthropicMessages(system, messages) {
+  const converted = [];
+  const systemText = blockText(system);
+  if (systemText) {
+    converted.push({ role: 'system', content: systemText });
+  }
+
+  messages.forEach((message, messageIndex) => {
+    if (!message || !['user', 'assistant'].includes(message.role)) {
+      throw new AnthropicRequestError(`messages.${messageIndex}.role: must be "user" or "assistant"`);
+    }
+    if (typeof message.content === 'string') {
+      converted.push({ role: message.role, content: message.content });
+      return;
+    }
+    if (!Array.isArray(message.content)) {
+      throw new AnthropicRequestError(`messages.${messageIndex}.content: field required`);
+    }
+
+    const parts = [];
+    const toolCalls = [];
+    message.content.forEach((block, blockIndex) => {
+      const location = `messages.${messageIndex}.content.${blockIndex}`;
+      switch (block?.type) {
+        case 'text':
+          parts.push({ type: 'text', text: String(block.text ?? '') });
+          break;
+        case 'image':
+          if (message.role !== 'user') {
+            throw new AnthropicRequestError(`${location}: image blocks are only allowed in user messages`);
+          }
+          parts.push(convertImageBlock(block, location));
+          break;
+        case 'tool_use':
+          if (message.role !== 'assistant') {
+            throw new AnthropicRequestError(`${location}: tool_use blocks are only allowed in assistant messages`);
+          }
+          toolCalls.push({
+            id: block.id,
+            type: 'function',
+            function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+          });
+          break;
+        case 'tool_result': {
+          if (message.role !== 'user' || !block.tool_use_id) {
+            throw new AnthropicRequestError(`${location}: tool_result blocks need a tool_use_id and a user message`);
+          }
+          const result = blockText(block.content);
+          converted.push({
+            role: 'tool',
+            tool_call_id: block.tool_use_id,
+            content: block.is_error ? `Error: ${result}` : result
+          });
+          break;
+        }
+        case 'thinking':
+        case 'redacted_thinking':
+          break;
+        default:
+          throw new AnthropicRequestError(`${location}.type: unsupported content block type ${block?.type}`);
+      }
+    });
+
+    if (toolCalls.length > 0) {
+      converted.push({ role: 'assistant', content: blockText(parts) || null, tool_calls: toolCalls });
+    } else if (parts.length > 0) {
+      converted.push({ role: message.role, content: parts });
+    }
+  });
+  return converted;
+}
+
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) {
+    return undefined;
+  }
+  switch (toolChoice.type) {
+    case 'auto':
+      return 'auto';
+    case 'any':
+      return 'required';
+    case 'none':
+      return 'none';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    default:
+      throw new AnthropicRequestError(`tool_choice.type: invalid value ${toolChoice.type}`);
+  }
+}
+
+/**
+ * Resolve a /v1/messages model name to the adapter/model candidates to try.
+ * Returns null for unknown names.
+ */
+async function resolveAnthropicModel(name, options = {}) {
+  if (Object.prototype.hasOwnProperty.call(CLAUDE_MODEL_MAP, name)) {
+    return { alias: name, candidates: [{ ...CLAUDE_MODEL_MAP[name], role: null, strategy: 'fixed' }] };
+  }
+  return resolveModelAlias(name, options);
+}
+
+function resolveAnthropicModelStatic(name) {
+  return Object.prototype.hasOwnProperty.call(CLAUDE_MODEL_MAP, name)
+    ? CLAUDE_MODEL_MAP[name]
+    : resolveModelAliasStatic(name);
+}
+
+/**
+ * Translate an Anthropic Messages request to the internal format used by
+ * the OpenAI compat layer.
+ * @param {Object} body - Messages request body
+ * @param {Object} [translateOptions]
+ * @param {Function} [translateOptions.resolveModel] - Model name → { adapter, model } or null
+ */
+function translateAnthropicRequest(body = {}, translateOptions = {}) {
+  const { model, messages, system, max_tokens, stream, temperature, top_p, stop_sequences, tools, tool_choice } = body;
+
+  if (!model || typeof model !== 'string') {
+    throw new AnthropicRequestError('model: field required');
+  }
+  if (!Number.isInteger(max_tokens) || max_tokens < 1) {
+    throw new AnthropicRequestError('max_tokens: field required (positive integer)');
+  }
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new AnthropicRequestError('messages: at least one message is required');
+  }
+  const resolveModel = translateOptions.resolveModel || resolveAnthropicModelStatic;
+  const mapping = resolveModel(model);
+  if (!mapping) {
+    throw new AnthropicRequestError(`model: ${model}`, 404, 'not_found_error');
+  }
+  if (tools !== undefined && !Array.isArray(tools)) {
+    throw new AnthropicRequestError('tools: expected an array');
+  }
+
+  try {
+    return translateOpenAIRequest({
+      model,
+      messages: convertAnthropicMessages(system, messages),
+      stream,
+      temperature,
+      top_p,
+      max_tokens,
+      stop: stop_sequences,
+      timeout: body.timeout,
+      tools: tools?.map((tool) => ({
+        type: 'function',
+        function: { name: tool?.name, description: tool?.description, parameters: tool?.input_schema }
+      })),
+      tool_choice: convertToolChoice(tool_choice),
+      parallel_tool_calls: tool_choice?.disable_parallel_tool_use === true ? false : undefined
+    }, { resolveModel: () => mapping });
+  } catch (error) {
+    if (error instanceof AnthropicRequestError) {
+      throw error;
+    }
+    throw new AnthropicRequestError(error.message);
+  }
+}
+
+function buildToolUseBlock(toolCall) {
+  return {
+    type: 'tool_use',
+    id: toolCall.id.replace(/^call_/, 'toolu_'),
+    name: toolCall.function.name,
+    input: JSON.parse(toolCall.function.arguments)
+  };
+}
+
+function buildUsage(metadata) {
+  return {
+    input_tokens: metadata?.inputTokens || 0,
+    output_tokens: metadata?.outputTokens || 0
+  };
+}
+
+/**
+ * Translate an agent reply to an Anthropic Messages response (non-streaming)
+ */
+function translateToAnthropicResponse(content, metadata, requestModel, toolCalls = []) {
+  const blocks = [];
+  if (content || toolCalls.length === 0) {
+    blocks.push({ type: 'text', text: content || '' });
+  }
+  blocks.push(...toolCalls.map(buildToolUseBlock));
+
+  return {
+    id: `msg_${generateId()}`,
+    type: 'message',
+    role: 'assistant',
+    model: requestModel,
+    content: blocks,
+    stop_reason: toolCalls.length > 0 ? 'tool_use' : 'end_turn',
+    stop_sequence: null,
+    usage: buildUsage(metadata)
+  };
+}
+
+function sendAnthropicError(res, status, type, message) {
+  res.status(status).json({ type: 'error', error: { type, message } });
+}
+
+/**
+ * Create the Anthropic-compatible router
+ * @param {SessionManager} sessionManager - The session manager instance
+ */
+function createAnthropicRouter(sessionManager) {
+  const router = express.Router();
+
+  /**
+   * POST /v1/messages
+   * Anthropic Messages-compatible endpoint
+   */
+  router.post('/messages', async (req, res) => {
+    let sessionId = null;
+    let createdImages = [];
+
+    try {
+      const resolution = typeof req.body?.model === 'string'
+        ? await resolveAnthropicModel(req.body.model, { sessionManager })
+        : null;
+      const {
+        systemPrompt, message, stream, options, timeout: requestTimeout, images,
+        tools, parallelToolCalls
+      } = translateAnthropicRequest(req.body, { resolveModel: () => resolution?.candidates[0] || null });
+
+      if (images) createdImages = images;
+
+      const { available: candidates, skipped } = await selectAvailableCandidates(sessionManager, resolution.candidates);
+      if (candidates.length === 0) {
+        const uninstalled = skipped.find((candidate) => candidate.reason === 'not_installed');
+        return uninstalled
+          ? sendAnthropicError(res, 503, 'api_error',
+            `model: ${req.body.model} is not available; the CLI for '${uninstalled.adapter}' is not installed`)
+          : sendAnthropicError(res, 404, 'not_found_error',
+            `model: ${req.body.model} is not available; the adapter '${skipped[0].adapter}' is not registered`);
+      }
+
+      // Resolve timeout: body > header > default
+      const effectiveTimeout = requestTimeout
+        || (req.headers['x-request-timeout'] ? parseInt(req.headers['x-request-timeout'], 10) : null)
+        || null;
+      if (effectiveTimeout) {
+        options.timeout = effectiveTimeout;
+      }
+
+      if (images && images.length > 0) {
+        options.images = images;
+      }
+      const sendReply = (buffered) => sendWithFallback(sessionManager, candidates, {
+        buildSessionOptions: ({ adapter, model }) => ({
+          adapter,
+          model,
+          systemPrompt,
+          workDir: process.cwd(),
+          temperature: options.temperature,
+          top_p: options.top_p,
+          max_output_tokens: options.max_output_tokens,
+          jsonMode: adapter === 'gemini-cli' ? true : options.jsonMode,
+          images
+        }),
+        message,
+        options,
+        buffered,
+        logLabel: 'Anthropic Compat',
+        onSession: (id) => {
+          sessionId = id;
+        }
+      });
+
+      if (!stream) {
+        let finalContent = '';
+        let finalMetadata = {};
+        for await (const chunk of sendReply(true)) {
+          if (chunk.type === 'progress' && chunk.progressType === 'assistant' && chunk.content) {
+            finalContent += chunk.content;
+          } else if (chunk.type === 'result') {
+            if (chunk.content) {
+              finalContent = chunk.content;
+            }
+            finalMetadata = chunk.metadata || {};
+          } else if (chunk.type === 'error') {
+            const errorMsg = chunk.content || 'Unknown adapter error';
+            return detectRateLimitError(errorMsg)
+              ? sendAnthropicError(res, 429, 'rate_limit_error', errorMsg)
+              : sendAnthropicError(res, 500, 'api_error', errorMsg);
+          }
+        }
+
+        if (detectRateLimitError(finalContent)) {
+          return sendAnthropicError(res, 429, 'rate_limit_error', finalContent);
+        }
+
+        const { content, toolCalls } = tools
+          ? parseToolCalls(finalContent, tools, { parallelToolCalls })
+          : { content: finalContent, toolCalls: [] };
+        return res.json(translateToAnthropicResponse(content, finalMetadata, req.body.model, toolCalls));
+      }
+
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+
+      req.on('close', async () => {
+        if (sessionId) {
+          try {
+            await sessionManager.terminateSession(sessionId);
+            sessionId = null; // Prevent double cleanup in finally
+          } catch (e) {
+            // Session may already be cleaned up
+          }
+        }
+      });
+
+      const writeEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+      };
+      const toolParser = tools ? new ToolCallStreamParser(tools, { parallelToolCalls }) : null;
+      let blockIndex = -1;
+      let textBlockOpen = false;
+      let fullContent = '';
+      let finalMetadata = {};
+      const emitText = (text) => {
+        if (!text) {
+          return;
+        }
+        if (!textBlockOpen) {
+          blockIndex += 1;
+          textBlockOpen = true;
+          writeEvent('content_block_start', { index: blockIndex, content_block: { type: 'text', text: '' } });
+        }
+        writeEvent('content_block_delta', { index: blockIndex, delta: { type: 'text_delta', text } });
+      };
+      // With tools, text is held back once it may be a tool call block
+      const writeText = (text) => emitText(toolParser ? toolParser.push(text) : text);
+      const closeTextBlock = () => {
+        if (textBlockOpen) {
+          writeEvent('content_block_stop', { index: blockIndex });
+          textBlockOpen = false;
+        }
+      };
+
+      writeEvent('message_start', {
+        message: {
+          id: `msg_${generateId()}`,
+          type: 'message',
+          role: 'assistant',
+          model: req.body.model,
+          content: [],
+          stop_reason: null,
+          stop_sequence: null,
+          usage: { input_tokens: 0, output_tokens: 0 }
+        }
+      });
+
+      try {
+        for await (const chunk of sendReply(false)) {
+          if (chunk.type === 'progress' && chunk.progressType === 'assistant' && chunk.content) {
+            fullContent += chunk.content;
+            writeText(chunk.content);
+          } else if (chunk.type === 'error' && chunk.content) {
+            const errorType = detectRateLimitError(chunk.content) ? 'rate_limit_error' : 'api_error';
+            writeEvent('error', { error: { type: errorType, message: chunk.content } });
+            return res.end();
+          } else if (chunk.type === 'result') {
+            if (chunk.content && chunk.content !== fullContent) {
+              const remainingContent = chunk.content.substring(fullContent.length);
+              if (remainingContent) {
+                fullContent += remainingContent;
+                writeText(remainingContent);
+              }
+            }
+            finalMetadata = chunk.metadata || {};
+          }
+        }
+
+        if (fullContent.length < 200 && detectRateLimitError(fullContent)) {
+          writeEvent('error', { error: { type: 'rate_limit_error', message: fullContent } });
+          return res.end();
+        }
+
+        let toolCalls = [];
+        if (toolParser) {
+          const finished = toolParser.finish();
+          emitText(finished.content);
+          toolCalls = finished.toolCalls;
+        }
+        if (blockIndex === -1 && toolCalls.length === 0) {
+          // Anthropic replies always carry at least one content block
+          blockIndex = 0;
+          textBlockOpen = true;
+          writeEvent('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+        }
+        closeTextBlock();
+
+        for (const toolCall of toolCalls) {
+          const block = buildToolUseBlock(toolCall);
+          blockIndex += 1;
+          writeEvent('content_block_start', { index: blockIndex, content_block: { ...block, input: {} } });
+          writeEvent('content_block_delta', {
+            index: blockIndex,
+            delta: { type: 'input_json_delta', partial_json: toolCall.function.arguments }
+          });
+          writeEvent('content_block_stop', { index: blockIndex });
+        }
+
+        writeEvent('message_delta', {
+          delta: { stop_reason: toolCalls.length > 0 ? 'tool_use' : 'end_turn', stop_sequence: null },
+          usage: buildUsage(finalMetadata)
+        });
+        writeEvent('message_stop', {});
+        res.end();
+      } catch (streamError) {
+        writeEvent('error', { error: { type: 'api_error', message: streamError.message } });
+        res.end();
+      }
+    } catch (error) {
+      console.error('[Anthropic Compat] Error:', error.message);
+      if (error instanceof AnthropicRequestError) {
+        return sendAnthropicError(res, error.status, error.type, error.message);
+      }
+      if (detectRateLimitError(error.message)) {
+        return sendAnthropicError(res, 429, 'rate_limit_error', error.message);
+      }
+      sendAnthropicError(res, 500, 'api_error', error.message);
+    } finally {
+      if (sessionId) {
+        try {
+          await sessionManager.terminateSession(sessionId);
+        } catch (e) {
+          console.error('[Anthropic Compat] Session cleanup error:', e.message);
+        }
+      }
+      cleanupImages(createdImages);
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  AnthropicRequestError,
+  CLAUDE_MODEL_MAP,
+  convertAnthropicMessages,
+  createAnthropicRouter,
+  resolveAnthropicModel,
+  translateAnthropicRequest,
+  translateToAnthropicResponse
+};
@@ -0,0 +1,308 @@
+/**
+ * API Tokens
+ *
+ * Named, scoped bearer tokens next to the single broker API key. The broker
+ * key (env or local-api-key file) keeps full access; named tokens carry a
+ * subset of scopes so dashboards and supervisors can inspect without shell
+ * control. Tokens are stored hashed in <dataDir>/api-tokens.json and support
+ * expiry and revocation. `cliagents tokens` mints, lists and revokes them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const API_TOKENS_FILE_ENV = 'CLIAGENTS_API_TOKENS_FILE';
+const DATA_DIR_ENV = 'CLIAGENTS_DATA_DIR';
+const API_TOKENS_FILENAME = 'api-tokens.json';
+const TOKEN_PREFIX = 'cliagents-tok-';
+const TOKEN_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+const API_TOKEN_SCOPES = Object.freeze([
+  'read',           // GET/HEAD inspection outside memory
+  'memory:read',    // GET /orchestration/memory/*
+  'memory:write',   // mutating /orchestration/memory/* (implies memory:read)
+  'tasks',          // tasks, assignments, workflows, routing, rooms, terminal lifecycle
+  'terminal:input', // input, input queue/lease and messages delivered to terminals
+  'audit:write',    // POST /orchestration/audit/mcp, held by MCP servers
+  'admin'           // everything, including direct sessions, /v1 and the audit log
+]);
+
+const IMPLIED_SCOPES = Object.freeze({
+  'memory:write': ['memory:read']
+});
+
+// Checked in order; mutating requests that match no rule need admin
+const ROUTE_SCOPE_RULES = Object.freeze([
+  {
+    // Entries can never be removed, so appending needs a dedicated scope
+    pattern: /^\/orchestration\/audit\/mcp\/?$/,
+    write: 'audit:write'
+  },
+  {
+    pattern: /^\/orchestration\/audit(\/|$)/,
+    read: 'admin'
+  },
+  {
+    pattern: /^\/orchestration\/memory(\/|$)/,
+    read: 'memory:read',
+    write: 'memory:write'
+  },
+  {
+    pattern: /^\/orchestration\/(terminals\/[^/]+\/(input|input-queue|input-lease)|input-queue\/[^/]+\/[a-z]+|input-leases\/[^/]+\/[a-z]+|send_message|broadcast)\/?$/,
+    write: 'terminal:input'
+  },
+  {
+    pattern: /^\/orchestration\/(tasks|workflows|route|assign|handoff|plan-review|pr-review|consensus|discussion|rooms|runs\/reconcile|skills\/invoke|model-routing\/recommend|adapters\/readiness)(\/|$)/,
+    write: 'tasks'
+  },
+  {
+    pattern: /^\/orchestration\/terminals(\/[^/]+)?\/?$/,
+    write: 'tasks'
+  }
+]);
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+let cachedStore = { filePath: null, mtimeMs: null, tokens: [] };
+
+function normalizeEnvString(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed || null;
+}
+
+function getApiTokensFilePath(options = {}) {
+  const explicit = normalizeEnvString(options.filePath) || normalizeEnvString(process.env[API_TOKENS_FILE_ENV]);
+  if (explicit) {
+    return path.resolve(explicit);
+  }
+  const dataDir = normalizeEnvString(options.dataDir)
+    || normalizeEnvString(process.env[DATA_DIR_ENV])
+    || path.join(process.cwd(), 'data');
+  return path.resolve(dataDir, API_TOKENS_FILENAME);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token), 'utf8').digest('hex');
+}
+
+function loadTokenRecords(filePath) {
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  if (cachedStore.filePath === filePath && cachedStore.mtimeMs === stats.mtimeMs) {
+    return cachedStore.tokens;
+  }
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const tokens = Array.isArray(parsed?.tokens) ? parsed.tokens : [];
+  cachedStore = { filePath, mtimeMs: stats.mtimeMs, tokens };
+  return tokens;
+}
+
+function saveTokenRecords(filePath, tokens) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify({ version: 1, tokens }, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+  cachedStore = { filePath: null, mtimeMs: null, tokens: [] };
+}
+
+function getTokenStatus(record, now = Date.now()) {
+  if (record.revokedAt) {
+    return 'revoked';
+  }
+  if (record.expiresAt && record.expiresAt <= now) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+// Token records without the secret hash
+function describeToken(record, now = Date.now()) {
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: [...record.scopes],
+    prefix: record.prefix,
+    status: getTokenStatus(record, now),
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt || null,
+    revokedAt: record.revokedAt || null
+  };
+}
+
+function normalizeScopes(scopes) {
+  const list = (Array.isArray(scopes) ? scopes : [scopes])
+    .flatMap((scope) => String(scope || '').split(','))
+    .map((scope) => scope.trim())
+    .filter(Boolean);
+  if (list.length === 0) {
+    throw new Error(`At least one scope is required (${API_TOKEN_SCOPES.join(', ')})`);
+  }
+  for (const scope of list) {
+    if (!API_TOKEN_SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope: ${scope}. Expected one of ${API_TOKEN_SCOPES.join(', ')}`);
+    }
+  }
+  return Array.from(new Set(list));
+}
+
+/**
+ * Create a token. The plaintext token is only returned here.
+ *
+ * @param {Object} input
+ * @param {string} input.name - Unique among active tokens; attributed on operator actions
+ * @param {string[]} input.scopes
+ * @param {number} [input.expiresAt] - Epoch ms
+ * @returns {{ token: string, record: Object }}
+ */
+function mintApiToken(input = {}, options = {}) {
+  const name = String(input.name || '').trim();
+  if (!TOKEN_NAME_PATTERN.test(name)) {
+    throw new Error('Token name must be 1-64 letters, digits, dots, dashes, or underscores');
+  }
+  const scopes = normalizeScopes(input.scopes);
+  const now = Number.isFinite(options.now) ? options.now : Date.now();
+  if (input.expiresAt !== undefined && input.expiresAt !== null
+    && (!Number.isFinite(input.expiresAt) || input.expiresAt <= now)) {
+    throw new Error('Token expiry must be in the future');
+  }
+
+  const filePath = getApiTokensFilePath(options);
+  const tokens = [...loadTokenRecords(filePath)];
+  if (tokens.some((record) => record.name === name && getTokenStatus(record, now) === 'active')) {
+    throw new Error(`An active token named ${name} already exists`);
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = {
+    id: `tok_${crypto.randomBytes(8).toString('hex')}`,
+    name,
+    scopes,
+    hash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    createdAt: now,
+    expiresAt: input.expiresAt || null,
+    revokedAt: null
+  };
+  tokens.push(record);
+  saveTokenRecords(filePath, tokens);
+  return { token, record: describeToken(record, now) };
+}
+
+/**
+ * List tokens (never their secrets). Revoked and expired tokens are included
+ * only with `includeInactive`.
+ */
+function listApiTokens(options = {}) {
+  const now = Number.isFinite(options.now) ? options.now : Date.now();
+  return loadTokenRecords(getApiTokensFilePath(options))
+    .map((record) => describeToken(record, now))
+    .filter((record) => options.includeInactive || record.status === 'active');
+}
+
+/**
+ * Revoke an active token by id or name.
+ */
+function revokeApiToken(idOrName, options = {}) {
+  const key = String(idOrName || '').trim();
+  const now = Number.isFinite(options.now) ? options.now : Date.now();
+  const filePath = getApiTokensFilePath(options);
+  const tokens = loadTokenRecords(filePath).map((record) => ({ ...record }));
+  const record = tokens.find((entry) => entry.id === key)
+    || tokens.find((entry) => entry.name === key && getTokenStatus(entry, now) === 'active');
+  if (!record) {
+    throw new Error(`Token not found: ${key}`);
+  }
+  if (!record.revokedAt) {
+    record.revokedAt = now;
+    saveTokenRecords(filePath, tokens);
+  }
+  return describeToken(record, now);
+}
+
+function hasApiTokens(options = {}) {
+  try {
+    return loadTokenRecords(getApiTokensFilePath(options)).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Look up a presented bearer value among named tokens.
+ *
+ * @returns {{ status: 'active'|'revoked'|'expired', record: Object } | null}
+ */
+function findApiToken(providedKey, options = {}) {
+  if (typeof providedKey !== 'string' || !providedKey.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  let tokens;
+  try {
+    tokens = loadTokenRecords(getApiTokensFilePath(options));
+  } catch (error) {
+    console.warn(`[auth] Could not read API tokens: ${error.message}`);
+    return null;
+  }
+  const providedHash = Buffer.from(hashToken(providedKey), 'hex');
+  const record = tokens.find((entry) => {
+    const storedHash = Buffer.from(String(entry.hash || ''), 'hex');
+    return storedHash.length === providedHash.length && crypto.timingSafeEqual(storedHash, providedHash);
+  });
+  if (!record) {
+    return null;
+  }
+  return { status: getTokenStatus(record, options.now), record: describeToken(record, options.now) };
+}
+
+function scopeGrants(scopes, requiredScope) {
+  const granted = new Set();
+  for (const scope of scopes || []) {
+    granted.add(scope);
+    for (const implied of IMPLIED_SCOPES[scope] || []) {
+      granted.add(implied);
+    }
+  }
+  return granted.has('admin') || granted.has(requiredScope);
+}
+
+/**
+ * Scope a request needs. Reads outside memory need `read`; mutating routes
+ * without a narrower rule need `admin`.
+ */
+function requiredScopeForRequest(method, requestPath) {
+  const isRead = READ_METHODS.has(String(method || 'GET').toUpperCase());
+  for (const rule of ROUTE_SCOPE_RULES) {
+    if (!rule.pattern.test(requestPath)) {
+      continue;
+    }
+    const scope = isRead ? rule.read : rule.write;
+    if (scope) {
+      return scope;
+    }
+  }
+  return isRead ? 'read' : 'admin';
+}
+
+module.exports = {
+  API_TOKEN_SCOPES,
+  API_TOKEN_PREFIX: TOKEN_PREFIX,
+  findApiToken,
+  getApiTokensFilePath,
+  hasApiTokens,
+  listApiTokens,
+  mintApiToken,
+  requiredScopeForRequest,
+  revokeApiToken,
+  scopeGrants
+};
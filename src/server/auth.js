@@ -11,6 +11,12 @@ const fs = require('fs');
 const net = require('net');
 const path = require('path');
 const { sendError } = require('../utils/errors');
+const {
+  findApiToken,
+  hasApiTokens,
+  requiredScopeForRequest,
+  scopeGrants
+} = require('./api-tokens');
 
 const UNAUTH_LOCALHOST_ENV = 'CLIAGENTS_ALLOW_UNAUTHENTICATED_LOCALHOST';
 const LEGACY_API_KEY_ENV = 'CLI_AGENTS_API_KEY';
@@ -20,6 +26,13 @@ const DATA_DIR_ENV = 'CLIAGENTS_DATA_DIR';
 const LOCAL_API_KEY_FILENAME = 'local-api-key';
 const LOCAL_CONSOLE_LOGIN_VERSION = 'v1';
 const DEFAULT_LOCAL_CONSOLE_LOGIN_TTL_MS = 60 * 1000;
+const EVENT_STREAM_PATH = '/orchestration/events/stream';
+
+const UNAUTHENTICATED_LOCALHOST_PRINCIPAL = Object.freeze({
+  source: 'unauthenticated-localhost',
+  tokenName: null,
+  scopes: Object.freeze(['admin'])
+});
 
 let runtimeAuthConfig = {
   localApiKeyFilePath: null
@@ -401,11 +414,11 @@ function authenticateRequest(req, res, next) {
   }
 
   if (isUnauthenticatedLocalhostModeEnabled()) {
+    req.auth = UNAUTHENTICATED_LOCALHOST_PRINCIPAL;
     return next();
   }
 
-  const apiKey = getConfiguredApiKey();
-  if (!apiKey) {
+  if (!getConfiguredApiKey() && !hasApiTokens()) {
     return sendError(res, 'AUTH_REQUIRED', {
       message: 'Authentication required. Configure CLIAGENTS_API_KEY (or CLI_AGENTS_API_KEY).'
     });
@@ -421,24 +434,75 @@ function authenticateRequest(req, res, next) {
     providedKey = authHeader.substring(7);
   } else if (apiKeyHeader) {
     providedKey = apiKeyHeader;
+  } else if (req.method === 'GET' && req.path === EVENT_STREAM_PATH && typeof req.query?.apiKey === 'string') {
+    // EventSource cannot set headers; the event stream takes ?apiKey= like /ws
+    providedKey = req.query.apiKey;
   }
 
-  if (!validateApiKey(providedKey)) {
-    if (!providedKey) {
-       return sendError(res, 'AUTH_REQUIRED', {
-        message: 'Authentication required. Provide API key via Authorization: Bearer <key> or X-API-Key header.',
-        status: 401
-      });
-    }
+  if (!providedKey) {
+    return sendError(res, 'AUTH_REQUIRED', {
+      message: 'Authentication required. Provide API key via Authorization: Bearer <key> or X-API-Key header.',
+      status: 401
+    });
+  }
+
+  const resolved = resolveApiPrincipal(providedKey);
+  if (!resolved.principal) {
     return sendError(res, 'AUTH_FAILED', {
-      message: 'Invalid API key',
+      message: resolved.reason === 'revoked' || resolved.reason === 'expired'
+        ? `API token ${resolved.reason}`
+        : 'Invalid API key',
       status: 403
     });
   }
 
+  // Set before the scope check so denied calls are still attributed
+  req.auth = resolved.principal;
+
+  const requiredScope = requiredScopeForRequest(req.method, req.path);
+  if (!scopeGrants(resolved.principal.scopes, requiredScope)) {
+    return sendError(res, 'INSUFFICIENT_SCOPE', {
+      message: `API token ${resolved.principal.tokenName} lacks the ${requiredScope} scope required for ${req.method} ${req.path}`
+    });
+  }
+
   next();
 }
 
+/**
+ * Resolve a presented key to the caller it identifies: the broker API key
+ * (all scopes) or an active named token.
+ *
+ * @param {string} providedKey
+ * @returns {{ principal: { source, tokenName, tokenId?, scopes } | null, reason?: string }}
+ */
+function resolveApiPrincipal(providedKey) {
+  if (isUnauthenticatedLocalhostModeEnabled()) {
+    return { principal: UNAUTHENTICATED_LOCALHOST_PRINCIPAL };
+  }
+  if (!providedKey) {
+    return { principal: null, reason: 'missing' };
+  }
+  if (validateApiKey(providedKey)) {
+    return { principal: { source: 'api-key', tokenName: null, scopes: ['admin'] } };
+  }
+  const match = findApiToken(providedKey);
+  if (!match) {
+    return { principal: null, reason: 'invalid' };
+  }
+  if (match.status !== 'active') {
+    return { principal: null, reason: match.status };
+  }
+  return {
+    principal: {
+      source: 'token',
+      tokenName: match.record.name,
+      tokenId: match.record.id,
+      scopes: match.record.scopes
+    }
+  };
+}
+
 /**
  * Validate an API key against the environment variable
  * @param {string} providedKey 
@@ -484,6 +548,7 @@ function constantTimeCompare(a, b) {
 
 module.exports = {
   authenticateRequest,
+  resolveApiPrincipal,
   validateApiKey,
   getConfiguredApiKey,
   getConfiguredApiKeySource,
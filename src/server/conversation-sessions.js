@@ -0,0 +1,187 @@
+/**
+ * Conversation Sessions
+ *
+ * Opt-in stateful chats for /v1/chat/completions. A request that names a
+ * conversation (X-Cliagents-Conversation-Id header or the OpenAI `user`
+ * field) is bound to a broker session that stays alive between calls. When
+ * the new message array extends the turns that session has already seen, only
+ * the new turns are sent; any other history (edited, truncated, different
+ * system prompt or model) starts a fresh session.
+ *
+ * Bound sessions are ordinary SessionManager sessions, so idle ones are
+ * evicted by SessionManager._cleanupStaleSessions and the binding is dropped
+ * when the session terminates.
+ *
+ * @license MIT
+ * @copyright 2025 cliagents contributors
+ */
+
+const crypto = require('crypto');
+
+const CONVERSATION_HEADER = 'x-cliagents-conversation-id';
+const MAX_CONVERSATION_KEY_LENGTH = 256;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Conversation key for a request, or null when the caller did not opt in.
+ */
+function readConversationKey(req) {
+  const header = req.headers?.[CONVERSATION_HEADER];
+  const raw = typeof header === 'string' && header.trim()
+    ? header
+    : (typeof req.body?.user === 'string' ? req.body.user : '');
+  const key = raw.trim();
+  if (!key) {
+    return null;
+  }
+  if (key.length > MAX_CONVERSATION_KEY_LENGTH) {
+    throw new Error(`conversation id is invalid: longer than ${MAX_CONVERSATION_KEY_LENGTH} characters`);
+  }
+  return key;
+}
+
+function normalizeContent(content) {
+  if (!Array.isArray(content)) {
+    return typeof content === 'string' ? content.trim() : '';
+  }
+  const parts = content.map((part) => {
+    if (part?.type === 'text') return part.text || '';
+    if (part?.type === 'image_url') return { image: part.image_url?.url || null };
+    return { type: part?.type || null };
+  });
+  return parts.every((part) => typeof part === 'string') ? parts.join('\n').trim() : parts;
+}
+
+function normalizeArguments(args) {
+  if (typeof args !== 'string') {
+    return JSON.stringify(args ?? {});
+  }
+  try {
+    return JSON.stringify(JSON.parse(args));
+  } catch {
+    return args;
+  }
+}
+
+/**
+ * Stable hash of one chat message. Fields clients commonly add or drop when
+ * echoing history back (name, refusal, null vs empty content) are ignored.
+ * Must run before image data URLs are swapped for temp file paths.
+ */
+function fingerprintMessage(message) {
+  const toolCalls = Array.isArray(message?.tool_calls)
+    ? message.tool_calls.map((call) => [
+      call?.id || null,
+      call?.function?.name || null,
+      normalizeArguments(call?.function?.arguments)
+    ])
+    : [];
+  return sha256(JSON.stringify([
+    message?.role || null,
+    normalizeContent(message?.content),
+    toolCalls,
+    message?.tool_call_id || null
+  ]));
+}
+
+class ConversationSessionStore {
+  /**
+   * @param {SessionManager} sessionManager
+   */
+  constructor(sessionManager) {
+    this.sessionManager = sessionManager;
+    this.conversations = new Map(); // key -> { sessionId, adapter, model, systemPromptHash, fingerprints, busy, lastUsedAt }
+
+    if (typeof sessionManager?.on === 'function') {
+      sessionManager.on('session:terminated', ({ sessionId }) => this.forgetSession(sessionId));
+    }
+  }
+
+  /**
+   * Claim a conversation for one request and decide how to send it.
+   *
+   * @returns {Promise<{ mode: 'continue', entry, prefixLength } | { mode: 'start', reason } | { mode: 'busy' }>}
+   */
+  async begin(key, { model, systemPrompt, fingerprints }) {
+    const entry = this.conversations.get(key);
+    if (entry?.busy) {
+      return { mode: 'busy' };
+    }
+
+    const systemPromptHash = sha256(systemPrompt || '');
+    const reason = !entry
+      ? 'new'
+      : !this._isLive(entry.sessionId)
+        ? 'session_expired'
+        : entry.model !== model || entry.systemPromptHash !== systemPromptHash
+          ? 'settings_changed'
+          : !this._extends(entry.fingerprints, fingerprints)
+            ? 'history_diverged'
+            : null;
+
+    if (!reason) {
+      entry.busy = true;
+      entry.lastUsedAt = Date.now();
+      return { mode: 'continue', entry, prefixLength: entry.fingerprints.length };
+    }
+
+    this.conversations.set(key, { sessionId: null, model, systemPromptHash, fingerprints: [], busy: true, lastUsedAt: Date.now() });
+    if (entry?.sessionId) {
+      try {
+        await this.sessionManager.terminateSession(entry.sessionId);
+      } catch (e) {
+        // Session may already be cleaned up
+      }
+    }
+    return { mode: 'start', reason };
+  }
+
+  /**
+   * Keep the session for the next request. `fingerprints` covers every
+   * non-system turn the session has now seen, including its reply.
+   */
+  commit(key, { sessionId, adapter, fingerprints }) {
+    const entry = this.conversations.get(key);
+    if (!entry) {
+      return;
+    }
+    Object.assign(entry, { sessionId, adapter, fingerprints, busy: false, lastUsedAt: Date.now() });
+  }
+
+  /**
+   * Drop a conversation whose request failed; the caller closes its session.
+   */
+  release(key) {
+    this.conversations.delete(key);
+  }
+
+  forgetSession(sessionId) {
+    for (const [key, entry] of this.conversations.entries()) {
+      if (entry.sessionId === sessionId) {
+        this.conversations.delete(key);
+      }
+    }
+  }
+
+  // Adapter exits drop sessions without a terminate event
+  _isLive(sessionId) {
+    return typeof this.sessionManager.getSession !== 'function'
+      || Boolean(this.sessionManager.getSession(sessionId));
+  }
+
+  // The request repeats every turn the session has seen and adds at least one
+  _extends(seen, fingerprints) {
+    return fingerprints.length > seen.length
+      && seen.every((fingerprint, index) => fingerprints[index] === fingerprint);
+  }
+}
+
+module.exports = {
+  CONVERSATION_HEADER,
+  ConversationSessionStore,
+  fingerprintMessage,
+  readConversationKey
+};
@@ -0,0 +1,202 @@
+/**
+ * Orchestration Event Stream
+ *
+ * Server-Sent Events feed of durable session events for
+ * GET /orchestration/events/stream. Unlike the /ws broadcast, filters are
+ * applied on the server and every event carries its session_events rowid as
+ * the SSE id, so a reconnecting client (EventSource sends Last-Event-ID
+ * automatically) resumes exactly where it stopped. New events are picked up by
+ * polling the table, which also catches events written by other processes.
+ */
+
+const DEFAULT_POLL_INTERVAL_MS = 500;
+const DEFAULT_HEARTBEAT_MS = 15000;
+const POLL_BATCH_SIZE = 200;
+const MAX_REPLAY = 1000;
+
+function parseListParam(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((entry) => String(entry).split(','))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function parseNonNegativeInteger(value, param) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) {
+    const error = new Error(`${param} must be a non-negative integer`);
+    error.code = 'invalid_request';
+    error.param = param;
+    throw error;
+  }
+  return Number(text);
+}
+
+/**
+ * Build stream filters from query parameters (snake_case or camelCase).
+ */
+function parseEventStreamFilters(query = {}) {
+  return {
+    rootSessionIds: parseListParam(query.root_session_id ?? query.rootSessionId),
+    taskId: String(query.task_id ?? query.taskId ?? '').trim() || null,
+    terminalIds: parseListParam(query.terminal_id ?? query.terminalId),
+    runIds: parseListParam(query.run_id ?? query.runId),
+    eventTypes: parseListParam(query.event_type ?? query.eventType)
+  };
+}
+
+function toStreamEvent(row) {
+  return {
+    streamId: row.stream_id,
+    id: row.id,
+    rootSessionId: row.root_session_id,
+    sessionId: row.session_id,
+    parentSessionId: row.parent_session_id || null,
+    runId: row.run_id || null,
+    discussionId: row.discussion_id || null,
+    traceId: row.trace_id || null,
+    eventType: row.event_type,
+    sequenceNo: row.sequence_no,
+    originClient: row.origin_client || null,
+    payloadSummary: row.payload_summary || null,
+    payload: row.payload_json ?? null,
+    metadata: row.metadata ?? null,
+    occurredAt: row.occurred_at
+  };
+}
+
+/**
+ * Express handler for GET /orchestration/events/stream.
+ *
+ * Query: root_session_id, task_id, terminal_id, run_id, event_type (lists
+ * are comma-separated), replay=<n> to start with the last n matching events,
+ * and last_event_id as a fallback for clients that cannot set headers.
+ *
+ * @param {Object} options
+ * @param {Object} options.db - OrchestrationDB
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.heartbeatMs]
+ * @returns {Function} Handler with closeAll() to end open streams
+ */
+function createEventStreamHandler(options = {}) {
+  const db = options.db;
+  const pollIntervalMs = options.pollIntervalMs
+    || Number.parseInt(process.env.CLIAGENTS_EVENT_STREAM_POLL_MS || '', 10)
+    || DEFAULT_POLL_INTERVAL_MS;
+  const heartbeatMs = options.heartbeatMs || DEFAULT_HEARTBEAT_MS;
+  const openStreams = new Set();
+
+  function streamOrchestrationEvents(req, res) {
+    if (typeof db?.listSessionEventStream !== 'function') {
+      return res.status(503).json({
+        error: { code: 'unavailable', message: 'session event storage is not configured' }
+      });
+    }
+
+    let filters;
+    let streamQuery;
+    let cursor;
+    try {
+      filters = parseEventStreamFilters(req.query);
+      streamQuery = { ...filters, sessionIds: filters.terminalIds };
+      const lastEventId = parseNonNegativeInteger(
+        req.get('last-event-id') ?? req.query.last_event_id ?? req.query.lastEventId,
+        'Last-Event-ID'
+      );
+      const replay = parseNonNegativeInteger(req.query.replay, 'replay');
+      if (lastEventId !== undefined) {
+        cursor = lastEventId;
+      } else if (replay) {
+        const newest = db.listSessionEventStream({
+          ...streamQuery,
+          order: 'desc',
+          limit: Math.min(replay, MAX_REPLAY)
+        });
+        cursor = newest.length > 0 ? newest[newest.length - 1].stream_id - 1 : db.getLatestSessionEventStreamId();
+      } else {
+        cursor = db.getLatestSessionEventStreamId();
+      }
+    } catch (error) {
+      if (error.code === 'invalid_request') {
+        return res.status(400).json({
+          error: { code: error.code, message: error.message, param: error.param }
+        });
+      }
+      return res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    res.flushHeaders();
+    res.write(`retry: ${Math.max(1000, pollIntervalMs * 2)}\n`);
+    res.write(`event: ready\ndata: ${JSON.stringify({ cursor, filters })}\n\n`);
+
+    let closed = false;
+    let pollTimer = null;
+    const heartbeatTimer = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, heartbeatMs);
+
+    const poll = () => {
+      if (closed) {
+        return;
+      }
+      try {
+        let rows;
+        do {
+          rows = db.listSessionEventStream({
+            ...streamQuery,
+            afterStreamId: cursor,
+            limit: POLL_BATCH_SIZE
+          });
+          for (const row of rows) {
+            const event = toStreamEvent(row);
+            const eventName = String(event.eventType).replace(/[\r\n]+/g, ' ');
+            res.write(`id: ${event.streamId}\nevent: ${eventName}\ndata: ${JSON.stringify(event)}\n\n`);
+            cursor = event.streamId;
+          }
+        } while (rows.length === POLL_BATCH_SIZE && !closed);
+      } catch (error) {
+        res.write(`event: error\ndata: ${JSON.stringify({
+          error: { code: 'internal_error', message: error.message }
+        })}\n\n`);
+      }
+      pollTimer = setTimeout(poll, pollIntervalMs);
+    };
+
+    openStreams.add(res);
+    res.on('close', () => {
+      closed = true;
+      openStreams.delete(res);
+      clearInterval(heartbeatTimer);
+      clearTimeout(pollTimer);
+    });
+
+    poll();
+  }
+
+  // Open streams would otherwise keep server.close() waiting on shutdown
+  streamOrchestrationEvents.closeAll = () => {
+    for (const res of openStreams) {
+      res.end();
+    }
+  };
+
+  return streamOrchestrationEvents;
+}
+
+module.exports = {
+  createEventStreamHandler,
+  parseEventStreamFilters,
+  toStreamEvent
+};
@@ -16,6 +16,8 @@ const SessionManager = require('../core/session-manager');
 // First-party CLI adapters (from AI companies with their own LLMs)
 const { DEFAULT_BROKER_ADAPTER } = require('../adapters/active-surface');
 const { registerActiveAdapters } = require('../adapters/runtime-registry');
+const { registerConfiguredAdapters } = require('../adapters/configured-adapters');
+const { registerAdapterPlugins } = require('../adapters/adapter-plugins');
 
 // Utilities
 const { sendError, errorHandler, ErrorCodes } = require('../utils/errors');
@@ -29,13 +31,14 @@ const {
   isAdapterAuthenticated
 } = require('../utils/adapter-auth');
 const { createOpenAIRouter } = require('./openai-compat');
+const { createAnthropicRouter } = require('./anthropic-compat');
 const {
   buildApiSessionPeek,
   buildTerminalPeek
 } = require('../services/session-peek');
 const {
   authenticateRequest,
-  validateApiKey,
+  resolveApiPrincipal,
   getConfiguredApiKey,
   getConfiguredApiKeySource,
   configureAuth,
@@ -45,6 +48,8 @@ const {
   isUnauthenticatedLocalhostModeEnabled,
   assertAuthConfigurationForHost
 } = require('./auth');
+const { scopeGrants } = require('./api-tokens');
+const { createAuditMiddleware } = require('../security/audit-log');
 
 // Orchestration components
 const { PersistentSessionManager } = require('../tmux/session-manager');
@@ -52,10 +57,16 @@ const { createAllDetectors } = require('../status-detectors/factory');
 const { getDB, closeDB } = require('../database/db');
 const { RunLedgerService } = require('../orchestration/run-ledger');
 const { getMemoryMaintenanceService, resetMemoryMaintenanceService } = require('../orchestration/memory-maintenance-service');
+const { DispatchScheduler } = require('../orchestration/dispatch-scheduler');
+const { MemoryEmbeddingIndex } = require('../orchestration/memory-embedding-index');
+const { BudgetService } = require('../orchestration/budget-service');
+const { sweepInterruptedWorkflowExecutions } = require('../orchestration/task-router');
 const { getMemorySnapshotService, resetMemorySnapshotService } = require('../orchestration/memory-snapshot-service');
 const { getChildSessionSupport } = require('../orchestration/child-session-support');
 const InboxService = require('../services/inbox-service');
 const { createOrchestrationRouter } = require('./orchestration-router');
+const { createEventStreamHandler } = require('./event-stream');
+const { WebSocketTopicHub } = require('./ws-topics');
 
 function isProviderCapacityError(message) {
   const text = String(message || '');
@@ -67,6 +78,12 @@ const API_CORS_ALLOW_LOOPBACK_ENV = 'CLIAGENTS_API_CORS_ALLOW_LOOPBACK';
 const DASHBOARD_ENV_MUTATION_DISABLED_ENV = 'CLIAGENTS_DISABLE_DASHBOARD_ENV_MUTATION';
 const DASHBOARD_ENV_MUTATION_EXTRA_KEYS_ENV = 'CLIAGENTS_DASHBOARD_ENV_MUTATION_EXTRA_KEYS';
 
+// WebSocket messages that start, drive, or stop a direct session
+const WS_AUDITED_MESSAGE_TYPES = new Set(['create_session', 'send_message', 'terminate_session']);
+
+// How often the broker looks for workflow executions whose owner has died
+const WORKFLOW_OWNER_SWEEP_INTERVAL_MS = 60 * 1000;
+
 const API_ROUTE_PREFIXES = [
   '/health',
   '/openapi.json',
@@ -227,6 +244,7 @@ class AgentServer {
       limit: Number(pruneLimitOption ?? process.env.CLI_AGENTS_PRUNE_ORPHANED_TERMINALS_LIMIT ?? 1000)
     };
     this.runLedgerSweepTimer = null;
+    this.workflowOwnerSweepTimer = null;
     this.runLedgerSweepConfig = {
       enabled: process.env.RUN_LEDGER_ENABLED === '1' && (
         Number(options.orchestration?.runLedgerReconcileIntervalMs || 0) > 0 ||
@@ -244,8 +262,11 @@ class AgentServer {
       maxSessions: options.maxSessions || 10
     });
 
-    // Register the active broker adapters
+    // Register the active broker adapters, then any enabled in config/adapters.json,
+    // then adapter plugins
     registerActiveAdapters(this.sessionManager, options);
+    this.configuredAdapters = registerConfiguredAdapters(this.sessionManager, options);
+    this.adapterPlugins = registerAdapterPlugins(this.sessionManager, options);
 
     // Express app
     this.app = express();
@@ -265,6 +286,9 @@ class AgentServer {
     });
     this.app.use(express.json({ limit: '50mb' }));
 
+    // Record every mutating request (including denied ones) in the audit log
+    this.app.use(createAuditMiddleware({ getDb: () => this.orchestration?.db || null }));
+
     // Security: Add authentication middleware
     this.app.use(authenticateRequest);
 
@@ -279,6 +303,9 @@ class AgentServer {
     const openaiRouter = createOpenAIRouter(this.sessionManager);
     this.app.use('/v1', openaiRouter);
 
+    // Mount Anthropic Messages-compatible routes at /v1/messages
+    this.app.use('/v1', createAnthropicRouter(this.sessionManager));
+
     // Initialize orchestration components (optional feature)
     this._initOrchestration(options);
 
@@ -360,17 +387,40 @@ class AgentServer {
         ? new RunLedgerService(db)
         : null;
 
+      // Drains ready/deferred dispatch requests when CLIAGENTS_DISPATCH_SCHEDULER=1
+      const dispatchScheduler = new DispatchScheduler({
+        db,
+        logger: console,
+        ...(options.orchestration?.dispatchScheduler || {})
+      });
+
+      // SSE feed of session events; kept here so stop() can end open streams
+      const eventStream = createEventStreamHandler({ db });
+
+      // Semantic recall for memory bundles when CLIAGENTS_MEMORY_EMBEDDINGS=1
+      const memoryEmbeddingIndex = new MemoryEmbeddingIndex({ db, logger: console });
+      memoryEmbeddingIndex.start();
+
+      // Evaluates spending budgets as usage records land and gates spawns on hard caps
+      const budgetService = new BudgetService({ db, runLedger: runLedger || undefined, logger: console });
+      budgetService.attach();
+
       // Store orchestration context
       this.orchestration = {
         db,
+        eventStream,
         runLedger,
         memoryMaintenance,
+        memoryEmbeddingIndex,
+        budgetService,
+        dispatchScheduler,
         sessionManager: persistentSessionManager,
         inboxService,
         enabled: true
       };
 
       this._startRunLedgerSweep();
+      this._startWorkflowOwnerSweep();
 
       // Mount orchestration routes
       const orchestrationRouter = createOrchestrationRouter({
@@ -378,9 +428,14 @@ class AgentServer {
         apiSessionManager: this.sessionManager,
         db,
         inboxService,
+        dispatchScheduler,
+        eventStream,
+        memoryEmbeddingIndex,
+        budgetService,
         host: this.host
       });
       this.app.use('/orchestration', orchestrationRouter);
+      dispatchScheduler.start();
 
       // Forward orchestration events to WebSocket clients
       this._setupOrchestrationEvents();
@@ -438,13 +493,50 @@ class AgentServer {
     this.runLedgerSweepTimer = null;
   }
 
+  /**
+   * Mark workflow executions of dead brokers interrupted at startup, then keep
+   * checking so executions of a peer that dies later do not stay "running".
+   */
+  _startWorkflowOwnerSweep() {
+    const db = this.orchestration?.db;
+    if (!db) {
+      return;
+    }
+
+    const sweep = () => {
+      try {
+        const interrupted = sweepInterruptedWorkflowExecutions(db);
+        if (interrupted > 0) {
+          console.log(`[AgentServer] Marked ${interrupted} workflow execution(s) interrupted`);
+        }
+      } catch (error) {
+        console.warn('[AgentServer] Workflow owner sweep failed:', error.message);
+      }
+    };
+
+    sweep();
+    this.workflowOwnerSweepTimer = setInterval(sweep, WORKFLOW_OWNER_SWEEP_INTERVAL_MS);
+    if (typeof this.workflowOwnerSweepTimer.unref === 'function') {
+      this.workflowOwnerSweepTimer.unref();
+    }
+  }
+
+  _stopWorkflowOwnerSweep() {
+    if (!this.workflowOwnerSweepTimer) {
+      return;
+    }
+
+    clearInterval(this.workflowOwnerSweepTimer);
+    this.workflowOwnerSweepTimer = null;
+  }
+
   /**
    * Set up WebSocket events for orchestration
    */
   _setupOrchestrationEvents() {
     if (!this.orchestration) return;
 
-    const { sessionManager, inboxService } = this.orchestration;
+    const { sessionManager, inboxService, budgetService } = this.orchestration;
 
     // Terminal events
     sessionManager.on('terminal-created', (data) => {
@@ -471,25 +563,27 @@ class AgentServer {
     inboxService.on('message-failed', (data) => {
       this._broadcastOrchestrationEvent('message-failed', data);
     });
+
+    // Budget events
+    if (budgetService) {
+      budgetService.on('budget-warning', (data) => {
+        this._broadcastOrchestrationEvent('budget-warning', data);
+      });
+
+      budgetService.on('budget-exceeded', (data) => {
+        this._broadcastOrchestrationEvent('budget-exceeded', data);
+      });
+    }
   }
 
   /**
-   * Broadcast orchestration event to all connected WebSocket clients
+   * Broadcast orchestration event to connected WebSocket clients
    */
   _broadcastOrchestrationEvent(type, data) {
     if (!this.wss) return;
 
-    const message = JSON.stringify({
-      type: `orchestration:${type}`,
-      ...data,
-      timestamp: Date.now()
-    });
-
-    this.wss.clients.forEach((client) => {
-      if (client.readyState === 1) { // OPEN
-        client.send(message);
-      }
-    });
+    // Unsubscribed clients still get everything; subscribed ones only their topics
+    this.wsTopics.publish(type, data);
   }
 
   _buildSessionPeek(sessionId, options = {}) {
@@ -596,6 +690,9 @@ class AgentServer {
           const adapterInfo = {
             name,
             ...adapter.getInfo(),
+            source: this.configuredAdapters.registered.includes(name)
+              ? 'config'
+              : (this.adapterPlugins.plugins.some((plugin) => plugin.name === name) ? 'plugin' : 'builtin'),
             available,
             authenticated: auth.authenticated,
             authenticationReason: auth.reason,
@@ -603,11 +700,15 @@ class AgentServer {
           };
           // Include available models if adapter supports them
           if (typeof adapter.getAvailableModels === 'function') {
-            adapterInfo.models = adapter.getAvailableModels();
+            adapterInfo.models = await adapter.getAvailableModels();
           }
           adapters.push(adapterInfo);
         }
-        res.json({ adapters });
+        res.json({
+          adapters,
+          configErrors: this.configuredAdapters.errors,
+          pluginErrors: this.adapterPlugins.errors
+        });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -1316,6 +1417,37 @@ class AgentServer {
     });
   }
 
+  /**
+   * Append a WebSocket session mutation to the audit log, like the HTTP audit
+   * middleware does for mutating requests. Read-only messages are skipped.
+   */
+  _auditWebSocketMessage(auth, msg, sessionId, { outcome, error = null, startedAt }) {
+    if (!msg || !WS_AUDITED_MESSAGE_TYPES.has(msg.type)) {
+      return;
+    }
+    const db = this.orchestration?.db;
+    if (!db || typeof db.appendAuditEntry !== 'function') {
+      return;
+    }
+    const { type, ...args } = msg;
+    try {
+      db.appendAuditEntry({
+        channel: 'ws',
+        action: `ws ${type}`,
+        path: '/ws',
+        actorSource: auth?.source || null,
+        tokenName: auth?.tokenName || null,
+        tokenId: auth?.tokenId || null,
+        args: { ...args, sessionId: sessionId || args.sessionId || null },
+        outcome,
+        error: outcome === 'success' ? null : error,
+        durationMs: Date.now() - startedAt
+      });
+    } catch (auditError) {
+      console.warn(`[audit] Failed to record ws ${type}: ${auditError.message}`);
+    }
+  }
+
   _setupWebSocket(server) {
     this.wss = new WebSocketServer({ 
       server, 
@@ -1327,34 +1459,49 @@ class AgentServer {
 
         // Explicit localhost-only development override.
         if (isUnauthenticatedLocalhostModeEnabled()) {
+          info.req.auth = resolveApiPrincipal(null).principal;
           return cb(true);
         }
 
-        // Check query param
-        if (queryKey && validateApiKey(queryKey)) {
-          return cb(true);
-        }
-
-        // Check protocol header (often used for token passing in browsers)
-        if (protocols) {
-          const parts = protocols.split(',').map(p => p.trim());
-          for (const p of parts) {
-            if (validateApiKey(p)) {
-              return cb(true);
-            }
+        // Check query param, then the protocol header (often used for token passing in browsers)
+        const candidates = [
+          queryKey,
+          ...(protocols ? protocols.split(',').map(p => p.trim()) : [])
+        ].filter(Boolean);
+        for (const candidate of candidates) {
+          const { principal } = resolveApiPrincipal(candidate);
+          if (principal) {
+            info.req.auth = principal;
+            return cb(true);
           }
         }
 
         cb(false, 401, 'Unauthorized');
       }
     });
+    this.wsTopics = new WebSocketTopicHub({ getDb: () => this.orchestration?.db || null });
 
-    this.wss.on('connection', (ws) => {
+    this.wss.on('connection', (ws, req) => {
       let sessionId = null;
+      const scopes = req.auth?.scopes || [];
+      this.wsTopics.attach(ws);
 
       ws.on('message', async (data) => {
+        let msg = null;
+        let auditError = null;
+        const startedAt = Date.now();
+        const sessionIdBefore = sessionId;
         try {
-          const msg = JSON.parse(data.toString());
+          msg = JSON.parse(data.toString());
+
+          // Direct sessions run CLIs with tool access; watching one only needs read
+          const requiredScope = ['join_session', 'ping', 'subscribe', 'unsubscribe'].includes(msg.type) ? 'read' : 'admin';
+          if (!scopeGrants(scopes, requiredScope)) {
+            const error = `API token ${req.auth?.tokenName} lacks the ${requiredScope} scope required for ${msg.type}`;
+            ws.send(JSON.stringify({ type: 'error', error }));
+            this._auditWebSocketMessage(req.auth, msg, sessionIdBefore, { outcome: 'denied', error, startedAt });
+            return;
+          }
 
           switch (msg.type) {
             case 'create_session':
@@ -1401,7 +1548,8 @@ class AgentServer {
             case 'send_message':
               if (!sessionId) {
                 ws.send(JSON.stringify({ type: 'error', error: 'No session. Create or join first.' }));
-                return;
+                auditError = 'No session. Create or join first.';
+                break;
               }
 
               // Stream response
@@ -1424,6 +1572,7 @@ class AgentServer {
                 ws.send(JSON.stringify({ type: 'complete' }));
               } catch (error) {
                 ws.send(JSON.stringify({ type: 'error', error: error.message }));
+                auditError = error;
               }
               break;
 
@@ -1436,16 +1585,35 @@ class AgentServer {
               }
               break;
 
+            case 'subscribe': {
+              const subscription = this.wsTopics.subscribe(ws, msg.topics, { since: msg.since });
+              ws.send(JSON.stringify({ type: 'subscribed', ...subscription }));
+              break;
+            }
+
+            case 'unsubscribe': {
+              const subscription = this.wsTopics.unsubscribe(ws, msg.topics);
+              ws.send(JSON.stringify({ type: 'unsubscribed', ...subscription }));
+              break;
+            }
+
             case 'ping':
               ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
               break;
           }
+          this._auditWebSocketMessage(req.auth, msg, sessionId || sessionIdBefore, {
+            outcome: auditError ? 'error' : 'success',
+            error: auditError,
+            startedAt
+          });
         } catch (error) {
           ws.send(JSON.stringify({ type: 'error', error: error.message }));
+          this._auditWebSocketMessage(req.auth, msg, sessionId || sessionIdBefore, { outcome: 'error', error, startedAt });
         }
       });
 
       ws.on('close', () => {
+        this.wsTopics.detach(ws);
         if (sessionId && this.wsClients.has(sessionId)) {
           this.wsClients.get(sessionId).delete(ws);
           if (this.wsClients.get(sessionId).size === 0) {
@@ -1649,13 +1817,26 @@ class AgentServer {
    */
   async stop() {
     this._stopRunLedgerSweep();
+    this._stopWorkflowOwnerSweep();
     if (this.orchestration?.memoryMaintenance && typeof this.orchestration.memoryMaintenance.stop === 'function') {
       this.orchestration.memoryMaintenance.stop();
     }
+    if (this.orchestration?.dispatchScheduler) {
+      this.orchestration.dispatchScheduler.stop();
+    }
+    if (this.orchestration?.memoryEmbeddingIndex) {
+      this.orchestration.memoryEmbeddingIndex.stop();
+    }
+    if (this.orchestration?.budgetService) {
+      this.orchestration.budgetService.detach();
+    }
     resetMemoryMaintenanceService();
     resetMemorySnapshotService();
 
     // Stop orchestration background loops first (prevents hanging process on tests/shutdown)
+    if (this.orchestration?.eventStream) {
+      this.orchestration.eventStream.closeAll();
+    }
     if (this.orchestration?.inboxService && typeof this.orchestration.inboxService.stop === 'function') {
       this.orchestration.inboxService.stop();
     }
@@ -1679,6 +1860,7 @@ class AgentServer {
         } catch {}
       }
 
+      this.wsTopics.stop();
       await new Promise((resolve) => this.wss.close(resolve));
       this.wss = null;
       this.wsClients.clear();
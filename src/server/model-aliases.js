@@ -0,0 +1,214 @@
+/**
+ * Model Aliases
+ *
+ * Model names accepted by the compat endpoints, loaded from the
+ * `modelAliases` section of config/model-routing.json (built-in defaults when
+ * the section is absent). Each alias is one of:
+ *
+ *   { "adapter": "gemini-cli", "model": "gemini-2.5-pro" }   fixed target
+ *   { "adapter": "codex-cli", "role": "review" }              model picked by
+ *                                                             ModelRoutingService.recommendModel
+ *   { "fallback": ["gpt-4o", { "adapter": ... }] }            aliases/targets tried in order
+ *
+ * Keys starting with `_` are comments. Invalid aliases (missing adapter,
+ * unknown or cyclic fallback references) are left out and reported as errors.
+ *
+ * @license MIT
+ * @copyright 2025 cliagents contributors
+ */
+
+const { getModelRoutingService } = require('../services/model-routing');
+
+const DEFAULT_MODEL_ALIASES = Object.freeze({
+  // OpenAI models → Codex CLI (use 'default' — Codex picks the best available model)
+  'gpt-4': { adapter: 'codex-cli', model: 'default' },
+  'gpt-4o': { adapter: 'codex-cli', model: 'default' },
+  'gpt-4o-mini': { adapter: 'codex-cli', model: 'default' },
+  'gpt-4-turbo': { adapter: 'codex-cli', model: 'default' },
+  'gpt-3.5-turbo': { adapter: 'codex-cli', model: 'default' },
+  'o3-mini': { adapter: 'codex-cli', model: 'default' },
+  'o4-mini': { adapter: 'codex-cli', model: 'default' },
+
+  // Gemini models → Gemini CLI (for agentic dev work with tool use)
+  'gemini-2.5-flash': { adapter: 'gemini-cli', model: 'gemini-2.5-flash' },
+  'gemini-2.5-pro': { adapter: 'gemini-cli', model: 'gemini-2.5-pro' },
+  'gemini-3-pro-preview': { adapter: 'gemini-cli', model: 'gemini-3-pro-preview' },
+  'gemini-pro': { adapter: 'gemini-cli', model: 'default' },
+
+  // Qwen models → Qwen CLI
+  'qwen-max': { adapter: 'qwen-cli', model: 'qwen-max' },
+  'qwen-plus': { adapter: 'qwen-cli', model: 'qwen-plus' }
+});
+
+const MAX_FALLBACK_DEPTH = 8;
+
+function normalizeTarget(raw, location) {
+  const adapter = String(raw?.adapter || '').trim();
+  if (!adapter) {
+    throw new Error(`${location}: adapter is required`);
+  }
+  const model = String(raw.model || '').trim() || null;
+  const role = String(raw.role || '').trim() || null;
+  return { adapter, model, role };
+}
+
+function normalizeAliasDefinition(name, raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${name}: expected an object`);
+  }
+  const description = String(raw.description || '').trim() || null;
+  if (raw.fallback !== undefined) {
+    if (!Array.isArray(raw.fallback) || raw.fallback.length === 0) {
+      throw new Error(`${name}: fallback must be a non-empty array`);
+    }
+    return {
+      name,
+      description,
+      fallback: raw.fallback.map((entry, index) => (
+        typeof entry === 'string' ? entry.trim() : normalizeTarget(entry, `${name}.fallback[${index}]`)
+      ))
+    };
+  }
+  return { name, description, ...normalizeTarget(raw, name) };
+}
+
+function expandAlias(name, aliases, trail = []) {
+  if (trail.includes(name)) {
+    throw new Error(`fallback cycle ${[...trail, name].join(' -> ')}`);
+  }
+  if (trail.length >= MAX_FALLBACK_DEPTH) {
+    throw new Error(`fallback chain deeper than ${MAX_FALLBACK_DEPTH}`);
+  }
+  const definition = aliases.get(name);
+  if (!definition) {
+    throw new Error(`unknown alias ${name}`);
+  }
+  if (!definition.fallback) {
+    return [{ adapter: definition.adapter, model: definition.model, role: definition.role }];
+  }
+  return definition.fallback.flatMap((entry) => (
+    typeof entry === 'string' ? expandAlias(entry, aliases, [...trail, name]) : [entry]
+  ));
+}
+
+const loadCache = new WeakMap();
+
+/**
+ * Load and validate the configured aliases.
+ *
+ * @returns {{ aliases: Map<string, Object>, errors: Array<{alias, message}>, source: 'config'|'builtin' }}
+ */
+function loadModelAliases(routingService = getModelRoutingService()) {
+  const configured = routingService.getModelAliases();
+  const cached = loadCache.get(routingService);
+  if (cached && cached.configured === configured) {
+    return cached.result;
+  }
+
+  const aliases = new Map();
+  const errors = [];
+  for (const [name, raw] of Object.entries(configured || DEFAULT_MODEL_ALIASES)) {
+    if (name.startsWith('_')) {
+      continue;
+    }
+    try {
+      aliases.set(name, normalizeAliasDefinition(name, raw));
+    } catch (error) {
+      errors.push({ alias: name, message: error.message });
+    }
+  }
+  for (const [name, definition] of [...aliases.entries()]) {
+    if (!definition.fallback) {
+      continue;
+    }
+    try {
+      definition.targets = expandAlias(name, aliases);
+    } catch (error) {
+      errors.push({ alias: name, message: `${name}: ${error.message}` });
+      aliases.delete(name);
+    }
+  }
+  for (const error of errors) {
+    console.warn(`[Model Aliases] Skipping alias: ${error.message}`);
+  }
+
+  const result = { aliases, errors, source: configured ? 'config' : 'builtin' };
+  loadCache.set(routingService, { configured, result });
+  return result;
+}
+
+async function resolveTarget(target, sessionManager, routingService) {
+  if (!target.role) {
+    return { adapter: target.adapter, model: target.model || 'default', role: null, strategy: 'fixed' };
+  }
+  const adapterInstance = sessionManager?.adapters?.get(target.adapter) || null;
+  const availableModels = typeof adapterInstance?.getAvailableModels === 'function'
+    ? await adapterInstance.getAvailableModels()
+    : [];
+  const recommendation = routingService.recommendModel({
+    adapter: target.adapter,
+    role: target.role,
+    availableModels
+  });
+  return {
+    adapter: target.adapter,
+    model: recommendation.selectedModel || target.model || 'default',
+    role: target.role,
+    strategy: recommendation.selectedModel ? recommendation.strategy : 'role-default'
+  };
+}
+
+/**
+ * Resolve an alias to the ordered adapter/model candidates to try. Returns
+ * null for unknown names. Without a session manager, role targets use the
+ * alias `model` (or 'default').
+ */
+async function resolveModelAlias(name, options = {}) {
+  const routingService = options.routingService || getModelRoutingService();
+  const { aliases } = loadModelAliases(routingService);
+  const definition = aliases.get(name);
+  if (!definition) {
+    return null;
+  }
+
+  const targets = definition.targets || expandAlias(name, aliases);
+  const candidates = [];
+  const seen = new Set();
+  for (const target of targets) {
+    const resolved = options.sessionManager
+      ? await resolveTarget(target, options.sessionManager, routingService)
+      : { adapter: target.adapter, model: target.model || 'default', role: target.role, strategy: 'static' };
+    const key = `${resolved.adapter}:${resolved.model}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      candidates.push(resolved);
+    }
+  }
+  return {
+    alias: name,
+    description: definition.description,
+    kind: definition.fallback ? 'fallback' : definition.role ? 'role' : 'model',
+    candidates
+  };
+}
+
+/**
+ * First candidate of an alias without consulting adapters; used where a
+ * synchronous answer is needed (request translation defaults).
+ */
+function resolveModelAliasStatic(name, routingService = getModelRoutingService()) {
+  const { aliases } = loadModelAliases(routingService);
+  const definition = aliases.get(name);
+  if (!definition) {
+    return null;
+  }
+  const [first] = definition.targets || expandAlias(name, aliases);
+  return { adapter: first.adapter, model: first.model || 'default' };
+}
+
+module.exports = {
+  DEFAULT_MODEL_ALIASES,
+  loadModelAliases,
+  resolveModelAlias,
+  resolveModelAliasStatic
+};
@@ -17,30 +17,16 @@ const express = require('express');
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-
-/**
- * Model mapping: active broker model names → CLI adapters
- */
-const MODEL_MAP = {
-  // OpenAI models → Codex CLI (use 'default' — Codex picks the best available model)
-  'gpt-4': { adapter: 'codex-cli', model: 'default' },
-  'gpt-4o': { adapter: 'codex-cli', model: 'default' },
-  'gpt-4o-mini': { adapter: 'codex-cli', model: 'default' },
-  'gpt-4-turbo': { adapter: 'codex-cli', model: 'default' },
-  'gpt-3.5-turbo': { adapter: 'codex-cli', model: 'default' },
-  'o3-mini': { adapter: 'codex-cli', model: 'default' },
-  'o4-mini': { adapter: 'codex-cli', model: 'default' },
-
-  // Gemini models → Gemini CLI (for agentic dev work with tool use)
-  'gemini-2.5-flash': { adapter: 'gemini-cli', model: 'gemini-2.5-flash' },
-  'gemini-2.5-pro': { adapter: 'gemini-cli', model: 'gemini-2.5-pro' },
-  'gemini-3-pro-preview': { adapter: 'gemini-cli', model: 'gemini-3-pro-preview' },
-  'gemini-pro': { adapter: 'gemini-cli', model: 'default' },
-
-  // Qwen models → Qwen CLI
-  'qwen-max': { adapter: 'qwen-cli', model: 'qwen-max' },
-  'qwen-plus': { adapter: 'qwen-cli', model: 'qwen-plus' }
-};
+const {
+  ToolCallStreamParser,
+  buildToolInstructions,
+  formatToolCallBlock,
+  normalizeToolChoice,
+  normalizeTools,
+  parseToolCalls
+} = require('./tool-calling');
+const { loadModelAliases, resolveModelAlias, resolveModelAliasStatic } = require('./model-aliases');
+const { ConversationSessionStore, fingerprintMessage, readConversationKey } = require('./conversation-sessions');
 
 /**
  * Generate a unique ID for responses
@@ -126,9 +112,12 @@ function extractImagesFromMessages(messages) {
 
 /**
  * Build a single prompt from OpenAI messages array
- * For stateless compatibility, we concatenate all messages
+ * For stateless compatibility, we concatenate all messages. Assistant tool
+ * calls are rendered as `<tool_calls>` blocks and `tool` messages as results
+ * labelled with the tool name and call id. `priorMessages` are turns the agent
+ * has already seen; they are not rendered but name the tools their calls used.
  */
-function buildPromptFromMessages(messages) {
+function buildPromptFromMessages(messages, priorMessages = []) {
   const nonSystemMessages = messages.filter(m => m.role !== 'system');
 
   if (nonSystemMessages.length === 0) {
@@ -156,6 +145,12 @@ function buildPromptFromMessages(messages) {
   }
 
   // Multiple messages - format as conversation
+  const toolNamesById = new Map();
+  for (const msg of priorMessages) {
+    for (const call of Array.isArray(msg.tool_calls) ? msg.tool_calls : []) {
+      toolNamesById.set(call.id, call.function?.name);
+    }
+  }
   let prompt = '';
   for (const msg of nonSystemMessages) {
     const content = formatContent(msg.content);
@@ -163,7 +158,15 @@ function buildPromptFromMessages(messages) {
     if (msg.role === 'user') {
       prompt += `User: ${content}\n\n`;
     } else if (msg.role === 'assistant') {
-      prompt += `Assistant: ${content}\n\n`;
+      const toolCalls = Array.isArray(msg.tool_calls) ? msg.tool_calls : [];
+      for (const call of toolCalls) {
+        toolNamesById.set(call.id, call.function?.name);
+      }
+      const parts = [content, toolCalls.length > 0 ? formatToolCallBlock(toolCalls) : null].filter(Boolean);
+      prompt += `Assistant: ${parts.join('\n')}\n\n`;
+    } else if (msg.role === 'tool') {
+      const toolName = toolNamesById.get(msg.tool_call_id) || msg.name || 'tool';
+      prompt += `Tool result (${toolName}, ${msg.tool_call_id}): ${content}\n\n`;
     }
   }
 
@@ -259,9 +262,16 @@ function detectRateLimitError(text) {
 
 /**
  * Translate OpenAI request format to internal format
+ * @param {Object} body - Chat completions request body
+ * @param {Object} [translateOptions]
+ * @param {Function} [translateOptions.resolveModel] - Model name → { adapter, model } or null
+ *   (default: first target of the configured model alias)
  */
-function translateOpenAIRequest(body) {
+function translateOpenAIRequest(body, translateOptions = {}) {
   const { model, messages, stream, temperature, max_tokens, top_p, stop, response_format, timeout } = body;
+  const tools = normalizeTools(body.tools);
+  const toolChoice = normalizeToolChoice(body.tool_choice, tools);
+  const parallelToolCalls = body.parallel_tool_calls !== false;
 
   if (!messages || !Array.isArray(messages) || messages.length === 0) {
     throw new Error('messages is required and must be a non-empty array');
@@ -269,12 +279,17 @@ function translateOpenAIRequest(body) {
 
   // Validate message format
   for (const msg of messages) {
-    if (!msg.role || msg.content === undefined || msg.content === null) {
+    // Assistant turns that only call tools carry no content
+    const hasToolCalls = msg.role === 'assistant' && Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0;
+    if (!msg.role || ((msg.content === undefined || msg.content === null) && !hasToolCalls)) {
       throw new Error('Each message must have role and content fields');
     }
-    if (!['system', 'user', 'assistant'].includes(msg.role)) {
+    if (!['system', 'user', 'assistant', 'tool'].includes(msg.role)) {
       throw new Error(`Invalid message role: ${msg.role}`);
     }
+    if (msg.role === 'tool' && !msg.tool_call_id) {
+      throw new Error('tool_call_id is required on tool messages');
+    }
   }
 
   // Extract images
@@ -290,7 +305,8 @@ function translateOpenAIRequest(body) {
     throw new Error('No user message found in messages array');
   }
 
-  const mapping = MODEL_MAP[model];
+  const resolveModel = translateOptions.resolveModel || ((name) => resolveModelAliasStatic(name));
+  const mapping = typeof model === 'string' ? resolveModel(model) : null;
   if (!mapping) {
     throw new Error(`Model '${model}' not found`);
   }
@@ -323,6 +339,13 @@ function translateOpenAIRequest(body) {
       : jsonInstruction;
   }
 
+  const toolInstructions = buildToolInstructions(tools, toolChoice, { parallelToolCalls });
+  if (toolInstructions) {
+    systemPrompt = systemPrompt
+      ? `${systemPrompt}\n\n${toolInstructions}`
+      : toolInstructions;
+  }
+
   return {
     adapter: mapping.adapter,
     model: mapping.model,
@@ -332,15 +355,23 @@ function translateOpenAIRequest(body) {
     options,
     responseFormat: response_format || null,
     timeout: timeout || null,
-    images
+    images,
+    // Tools the reply may call; null when tool calling is off for this request
+    tools: toolInstructions ? tools : null,
+    toolChoice,
+    parallelToolCalls
   };
 }
 
 /**
  * Translate internal response to OpenAI format (non-streaming)
+ * With `toolCalls`, the message carries them and finishes with `tool_calls`.
  */
-function translateToOpenAIResponse(content, metadata, requestModel, startTime) {
+function translateToOpenAIResponse(content, metadata, requestModel, startTime, toolCalls = []) {
   const id = `chatcmpl-${generateId()}`;
+  const message = toolCalls.length > 0
+    ? { role: 'assistant', content: content || null, tool_calls: toolCalls }
+    : { role: 'assistant', content: content || '' };
 
   return {
     id,
@@ -349,12 +380,9 @@ function translateToOpenAIResponse(content, metadata, requestModel, startTime) {
     model: requestModel,
     choices: [{
       index: 0,
-      message: {
-        role: 'assistant',
-        content: content || ''
-      },
+      message,
       logprobs: null,
-      finish_reason: 'stop'
+      finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop'
     }],
     usage: {
       prompt_tokens: metadata?.inputTokens || 0,
@@ -392,12 +420,136 @@ function createStreamChunk(id, content, finishReason = null, isFirst = false) {
   return chunk;
 }
 
+/**
+ * Create a streaming chunk that delivers complete tool calls
+ */
+function createToolCallsChunk(id, toolCalls) {
+  const chunk = createStreamChunk(id, null);
+  chunk.choices[0].delta.tool_calls = toolCalls.map((call, index) => ({ index, ...call }));
+  return chunk;
+}
+
+/**
+ * Split alias candidates into those whose adapter is registered and installed
+ * and the reasons the others were skipped.
+ */
+async function selectAvailableCandidates(sessionManager, candidates) {
+  const available = [];
+  const skipped = [];
+  for (const candidate of candidates) {
+    const adapterInstance = sessionManager.adapters.get(candidate.adapter);
+    if (!adapterInstance) {
+      skipped.push({ ...candidate, reason: 'not_registered' });
+    } else if (!(await adapterInstance.isAvailable())) {
+      skipped.push({ ...candidate, reason: 'not_installed' });
+    } else {
+      available.push(candidate);
+    }
+  }
+  return { available, skipped };
+}
+
+function classifyFallbackFailure(text, failure, adapterInstance) {
+  if (detectRateLimitError(text)) {
+    return 'rate_limit';
+  }
+  const failureClass = typeof adapterInstance?.classifyFailure === 'function'
+    ? adapterInstance.classifyFailure(failure)
+    : null;
+  return failureClass === 'rate_limit' || failureClass === 'auth' ? failureClass : null;
+}
+
+/**
+ * Send a message to the first candidate that answers, yielding the adapter's
+ * stream chunks. A candidate that fails with a rate-limit or auth error
+ * before producing assistant output is terminated and the next one is tried;
+ * the last candidate's output is passed through as is. With `buffered`, a
+ * candidate's chunks are held until it finishes, so a reply that is only a
+ * rate-limit notice also moves on to the next candidate.
+ *
+ * @param {SessionManager} sessionManager
+ * @param {Array<{adapter, model}>} candidates - Available candidates in order
+ * @param {Object} request
+ * @param {Function} request.buildSessionOptions - candidate → createSession options
+ * @param {string} request.message
+ * @param {Object} request.options - sendStream options
+ * @param {boolean} [request.buffered]
+ * @param {Function} [request.onSession] - Called with the live session id and its candidate (null once closed)
+ * @param {string} [request.logLabel]
+ */
+async function* sendWithFallback(sessionManager, candidates, request) {
+  const onSession = request.onSession || (() => {});
+  for (let index = 0; index < candidates.length; index += 1) {
+    const candidate = candidates[index];
+    const isLast = index === candidates.length - 1;
+    const holdChunks = request.buffered && !isLast;
+    const adapterInstance = sessionManager.adapters.get(candidate.adapter);
+    const pending = [];
+    let sessionId = null;
+    let produced = false;
+    let failure = null;
+
+    try {
+      const session = await sessionManager.createSession(request.buildSessionOptions(candidate));
+      sessionId = session.sessionId;
+      onSession(sessionId, candidate);
+      for await (const chunk of sessionManager.sendStream(sessionId, request.message, request.options)) {
+        if (!isLast && (!produced || holdChunks) && chunk.type === 'error') {
+          failure = classifyFallbackFailure(chunk.content, chunk, adapterInstance);
+          if (failure) {
+            break;
+          }
+        }
+        if (chunk.type === 'progress' && chunk.progressType === 'assistant' && chunk.content) {
+          produced = true;
+        }
+        if (holdChunks) {
+          pending.push(chunk);
+        } else {
+          yield chunk;
+        }
+      }
+      if (!failure && holdChunks) {
+        const result = pending.find((chunk) => chunk.type === 'result' && chunk.content);
+        const content = result
+          ? result.content
+          : pending.filter((chunk) => chunk.type === 'progress' && chunk.progressType === 'assistant')
+            .map((chunk) => chunk.content || '')
+            .join('');
+        failure = detectRateLimitError(content) ? 'rate_limit' : null;
+      }
+    } catch (error) {
+      failure = isLast || (produced && !holdChunks)
+        ? null
+        : classifyFallbackFailure(error.message, error, adapterInstance);
+      if (!failure) {
+        throw error;
+      }
+    }
+
+    if (!failure) {
+      yield* pending;
+      return;
+    }
+    console.warn(`[${request.logLabel || 'OpenAI Compat'}] ${candidate.adapter}/${candidate.model} failed (${failure}); trying ${candidates[index + 1].adapter}/${candidates[index + 1].model}`);
+    if (sessionId) {
+      try {
+        await sessionManager.terminateSession(sessionId);
+      } catch (e) {
+        // Session may already be cleaned up
+      }
+      onSession(null);
+    }
+  }
+}
+
 /**
  * Create the OpenAI-compatible router
  * @param {SessionManager} sessionManager - The session manager instance
  */
 function createOpenAIRouter(sessionManager) {
   const router = express.Router();
+  const conversations = new ConversationSessionStore(sessionManager);
 
   /**
    * POST /v1/chat/completions
@@ -406,34 +558,51 @@ function createOpenAIRouter(sessionManager) {
   router.post('/chat/completions', async (req, res) => {
     const startTime = Date.now();
     let sessionId = null;
+    let sessionAdapter = null;
     let createdImages = [];
+    // Set once a conversation-bound session should outlive this request
+    let conversationKey = null;
+    let keepSession = false;
 
     try {
+      conversationKey = readConversationKey(req);
+      // Hash the turns before image data URLs are replaced with temp files
+      const turns = Array.isArray(req.body?.messages)
+        ? req.body.messages.filter((msg) => msg && msg.role !== 'system')
+        : [];
+      const turnFingerprints = conversationKey ? turns.map(fingerprintMessage) : [];
+
+      // Resolve the model alias to the adapter/model candidates to try
+      const resolution = typeof req.body?.model === 'string'
+        ? await resolveModelAlias(req.body.model, { sessionManager })
+        : null;
+
       // Translate request
-      const { adapter, model, systemPrompt, message, stream, options, responseFormat, timeout: requestTimeout, images } =
-        translateOpenAIRequest(req.body);
+      const {
+        systemPrompt, message, stream, options, responseFormat, timeout: requestTimeout, images,
+        tools, parallelToolCalls
+      } = translateOpenAIRequest(req.body, { resolveModel: () => resolution?.candidates[0] || null });
 
       if (images) createdImages = images;
 
-      // Check if adapter is available
-      if (!sessionManager.adapters.has(adapter)) {
-        return res.status(400).json({
-          error: {
-            message: `Model '${req.body.model}' is not available. The adapter '${adapter}' is not registered.`,
-            type: 'invalid_request_error',
-            param: 'model',
-            code: 'model_not_found'
-          }
-        });
-      }
-
-      const adapterInstance = sessionManager.adapters.get(adapter);
-      const isAvailable = await adapterInstance.isAvailable();
-
-      if (!isAvailable) {
+      // Check that at least one candidate adapter is available
+      const { available: candidates, skipped } = await selectAvailableCandidates(sessionManager, resolution.candidates);
+      if (candidates.length === 0) {
+        const [first] = skipped;
+        if (skipped.every((candidate) => candidate.reason === 'not_registered')) {
+          return res.status(400).json({
+            error: {
+              message: `Model '${req.body.model}' is not available. The adapter '${first.adapter}' is not registered.`,
+              type: 'invalid_request_error',
+              param: 'model',
+              code: 'model_not_found'
+            }
+          });
+        }
+        const uninstalled = skipped.find((candidate) => candidate.reason === 'not_installed');
         return res.status(503).json({
           error: {
-            message: `Model '${req.body.model}' is not available. The CLI for '${adapter}' is not installed.`,
+            message: `Model '${req.body.model}' is not available. The CLI for '${uninstalled.adapter}' is not installed.`,
             type: 'server_error',
             param: 'model',
             code: 'model_unavailable'
@@ -449,8 +618,8 @@ function createOpenAIRouter(sessionManager) {
         options.timeout = effectiveTimeout;
       }
 
-      // Create ephemeral session
-      const sessionOptions = {
+      // Ephemeral session options for each candidate
+      const buildSessionOptions = ({ adapter, model }) => ({
         adapter,
         model,
         systemPrompt,
@@ -461,15 +630,64 @@ function createOpenAIRouter(sessionManager) {
         jsonSchema: options.jsonSchema,
         jsonMode: adapter === 'gemini-cli' ? true : options.jsonMode,
         images
-      };
-
-      const session = await sessionManager.createSession(sessionOptions);
-      sessionId = session.sessionId;
+      });
 
       // Pass images to send options so adapters can access image files
       if (images && images.length > 0) {
         options.images = images;
       }
+      let sendReply = (buffered) => sendWithFallback(sessionManager, candidates, {
+        buildSessionOptions,
+        message,
+        options,
+        buffered,
+        onSession: (id, candidate) => {
+          sessionId = id;
+          sessionAdapter = candidate?.adapter || null;
+        }
+      });
+
+      // Stateful conversation: send only the new turns to the bound session
+      let keepConversation = () => {};
+      if (conversationKey) {
+        const conversation = await conversations.begin(conversationKey, {
+          model: req.body.model,
+          systemPrompt,
+          fingerprints: turnFingerprints
+        });
+        if (conversation.mode === 'busy') {
+          const busyKey = conversationKey;
+          conversationKey = null; // Leave the in-flight request's binding alone
+          return res.status(409).json({
+            error: {
+              message: `Conversation '${busyKey}' already has a request in progress`,
+              type: 'invalid_request_error',
+              param: null,
+              code: 'conversation_busy'
+            }
+          });
+        }
+        if (conversation.mode === 'continue') {
+          const { entry, prefixLength } = conversation;
+          const newTurns = turns.slice(prefixLength);
+          const turnMessage = buildPromptFromMessages(newTurns, turns.slice(0, prefixLength));
+          if (options.images) {
+            options.images = options.images.filter((image) => turnMessage.includes(image.path));
+          }
+          sessionId = entry.sessionId;
+          sessionAdapter = entry.adapter;
+          sendReply = () => sessionManager.sendStream(entry.sessionId, turnMessage, options);
+        }
+        res.setHeader('X-Cliagents-Conversation', conversation.mode === 'continue' ? 'continued' : 'started');
+        keepConversation = (reply) => {
+          conversations.commit(conversationKey, {
+            sessionId,
+            adapter: sessionAdapter,
+            fingerprints: [...turnFingerprints, fingerprintMessage(reply)]
+          });
+          keepSession = true;
+        };
+      }
 
       if (stream) {
         // Streaming response
@@ -484,7 +702,7 @@ function createOpenAIRouter(sessionManager) {
         // Handle client disconnect to clean up resources
         req.on('close', async () => {
           clientDisconnected = true;
-          if (sessionId) {
+          if (sessionId && !keepSession) {
             try {
               await sessionManager.terminateSession(sessionId);
               sessionId = null; // Prevent double cleanup in finally
@@ -495,6 +713,18 @@ function createOpenAIRouter(sessionManager) {
         });
         let isFirst = true;
         let fullContent = '';
+        // Content as the client sees it, and whether the adapter reported an error
+        let sentContent = '';
+        let adapterFailed = false;
+        // With tools, text is held back once it may be a tool call block
+        const toolParser = tools ? new ToolCallStreamParser(tools, { parallelToolCalls }) : null;
+        const writeContent = (text) => {
+          const safe = toolParser ? toolParser.push(text) : text;
+          if (safe) {
+            sentContent += safe;
+            res.write(`data: ${JSON.stringify(createStreamChunk(id, safe))}\n\n`);
+          }
+        };
 
         try {
           // Send initial chunk with role
@@ -503,24 +733,24 @@ function createOpenAIRouter(sessionManager) {
           isFirst = false;
 
           // Stream content
-          for await (const chunk of sessionManager.sendStream(sessionId, message, options)) {
+          for await (const chunk of sendReply(false)) {
             if (chunk.type === 'progress' && chunk.progressType === 'assistant' && chunk.content) {
               fullContent += chunk.content;
-              const streamChunk = createStreamChunk(id, chunk.content);
-              res.write(`data: ${JSON.stringify(streamChunk)}\n\n`);
+              writeContent(chunk.content);
             } else if (chunk.type === 'error' && chunk.content && detectRateLimitError(chunk.content)) {
               // Rate limit error from adapter — send as SSE error event
               res.write(`data: ${JSON.stringify({ error: { message: chunk.content, type: 'rate_limit_error', code: 'rate_limit_exceeded' } })}\n\n`);
               res.write('data: [DONE]\n\n');
               res.end();
               return;
+            } else if (chunk.type === 'error') {
+              adapterFailed = true;
             } else if (chunk.type === 'result' && chunk.content) {
               // If we get a final result with content we haven't streamed
               if (chunk.content && chunk.content !== fullContent) {
                 const remainingContent = chunk.content.substring(fullContent.length);
                 if (remainingContent) {
-                  const streamChunk = createStreamChunk(id, remainingContent);
-                  res.write(`data: ${JSON.stringify(streamChunk)}\n\n`);
+                  writeContent(remainingContent);
                 }
               }
             }
@@ -534,8 +764,27 @@ function createOpenAIRouter(sessionManager) {
             return;
           }
 
+          let finishReason = 'stop';
+          let streamedToolCalls = [];
+          if (toolParser) {
+            const { content: restContent, toolCalls } = toolParser.finish();
+            if (restContent) {
+              sentContent += restContent;
+              res.write(`data: ${JSON.stringify(createStreamChunk(id, restContent))}\n\n`);
+            }
+            if (toolCalls.length > 0) {
+              res.write(`data: ${JSON.stringify(createToolCallsChunk(id, toolCalls))}\n\n`);
+              finishReason = 'tool_calls';
+              streamedToolCalls = toolCalls;
+            }
+          }
+
+          if (!adapterFailed && !clientDisconnected) {
+            keepConversation({ role: 'assistant', content: sentContent, tool_calls: streamedToolCalls });
+          }
+
           // Send final chunk with finish_reason
-          const finalChunk = createStreamChunk(id, null, 'stop');
+          const finalChunk = createStreamChunk(id, null, finishReason);
           res.write(`data: ${JSON.stringify(finalChunk)}\n\n`);
           res.write('data: [DONE]\n\n');
           res.end();
@@ -552,7 +801,7 @@ function createOpenAIRouter(sessionManager) {
         let finalContent = '';
         let finalMetadata = {};
 
-        for await (const chunk of sessionManager.sendStream(sessionId, message, options)) {
+        for await (const chunk of sendReply(true)) {
           if (chunk.type === 'progress' && chunk.progressType === 'assistant' && chunk.content) {
             finalContent += chunk.content;
           } else if (chunk.type === 'result') {
@@ -585,12 +834,23 @@ function createOpenAIRouter(sessionManager) {
           });
         }
 
+        const { content: replyContent, toolCalls } = tools
+          ? parseToolCalls(finalContent, tools, { parallelToolCalls })
+          : { content: finalContent, toolCalls: [] };
+        if (toolCalls.length > 0) {
+          const response = translateToOpenAIResponse(replyContent, finalMetadata, req.body.model, startTime, toolCalls);
+          keepConversation(response.choices[0].message);
+          return res.json(response);
+        }
+
         // Extract JSON from response if json_object or json_schema mode requested
         if (responseFormat && (responseFormat.type === 'json_object' || responseFormat.type === 'json_schema')) {
           finalContent = extractJsonFromResponse(finalContent);
         }
 
-        res.json(translateToOpenAIResponse(finalContent, finalMetadata, req.body.model, startTime));
+        const response = translateToOpenAIResponse(finalContent, finalMetadata, req.body.model, startTime);
+        keepConversation(response.choices[0].message);
+        res.json(response);
       }
 
     } catch (error) {
@@ -629,8 +889,11 @@ function createOpenAIRouter(sessionManager) {
         }
       });
     } finally {
-      // Clean up session
-      if (sessionId) {
+      // Clean up session unless a conversation keeps it for the next turn
+      if (conversationKey && !keepSession) {
+        conversations.release(conversationKey);
+      }
+      if (sessionId && !keepSession) {
         try {
           await sessionManager.terminateSession(sessionId);
         } catch (e) {
@@ -643,35 +906,50 @@ function createOpenAIRouter(sessionManager) {
     }
   });
 
+  // Adapter name -> isAvailable(), cached per request
+  const checkAdapters = () => {
+    const checked = new Map();
+    return async (adapterName) => {
+      if (!checked.has(adapterName)) {
+        const adapter = sessionManager.adapters.get(adapterName);
+        checked.set(adapterName, adapter ? await adapter.isAvailable() : false);
+      }
+      return checked.get(adapterName);
+    };
+  };
+
+  const describeModel = async (name, isAdapterAvailable) => {
+    const resolution = await resolveModelAlias(name);
+    const adapters = [...new Set(resolution.candidates.map((candidate) => candidate.adapter))];
+    let available = false;
+    for (const adapterName of adapters) {
+      if (await isAdapterAvailable(adapterName)) {
+        available = true;
+        break;
+      }
+    }
+    return {
+      id: name,
+      object: 'model',
+      created: 1700000000,
+      owned_by: resolution.candidates[0].adapter,
+      available,
+      registered: adapters.some((adapterName) => sessionManager.adapters.has(adapterName))
+    };
+  };
+
   /**
    * GET /v1/models
-   * Returns available models based on which CLI adapters are installed
+   * Returns every configured model alias, with `available` telling whether
+   * one of its adapters is installed
    */
   router.get('/models', async (req, res) => {
     try {
+      const isAdapterAvailable = checkAdapters();
       const models = [];
-      const checkedAdapters = new Map();
-
-      for (const [modelName, mapping] of Object.entries(MODEL_MAP)) {
-        // Cache adapter availability checks
-        if (!checkedAdapters.has(mapping.adapter)) {
-          const adapter = sessionManager.adapters.get(mapping.adapter);
-          if (adapter) {
-            const isAvailable = await adapter.isAvailable();
-            checkedAdapters.set(mapping.adapter, isAvailable);
-          } else {
-            checkedAdapters.set(mapping.adapter, false);
-          }
-        }
-
-        if (checkedAdapters.get(mapping.adapter)) {
-          models.push({
-            id: modelName,
-            object: 'model',
-            created: 1700000000,
-            owned_by: mapping.adapter
-          });
-        }
+      for (const name of loadModelAliases().aliases.keys()) {
+        const { registered, ...model } = await describeModel(name, isAdapterAvailable);
+        models.push(model);
       }
 
       res.json({
@@ -696,9 +974,8 @@ function createOpenAIRouter(sessionManager) {
    */
   router.get('/models/:model', async (req, res) => {
     const modelName = req.params.model;
-    const mapping = MODEL_MAP[modelName];
 
-    if (!mapping) {
+    if (!loadModelAliases().aliases.has(modelName)) {
       return res.status(404).json({
         error: {
           message: `Model '${modelName}' not found`,
@@ -709,8 +986,8 @@ function createOpenAIRouter(sessionManager) {
       });
     }
 
-    const adapter = sessionManager.adapters.get(mapping.adapter);
-    if (!adapter) {
+    const { registered, ...model } = await describeModel(modelName, checkAdapters());
+    if (!registered) {
       return res.status(404).json({
         error: {
           message: `Model '${modelName}' not available (adapter not registered)`,
@@ -721,15 +998,7 @@ function createOpenAIRouter(sessionManager) {
       });
     }
 
-    const isAvailable = await adapter.isAvailable();
-
-    res.json({
-      id: modelName,
-      object: 'model',
-      created: 1700000000,
-      owned_by: mapping.adapter,
-      available: isAvailable
-    });
+    res.json(model);
   });
 
   return router;
@@ -737,9 +1006,12 @@ function createOpenAIRouter(sessionManager) {
 
 module.exports = {
   createOpenAIRouter,
-  MODEL_MAP,
+  generateId,
+  cleanupImages,
   translateOpenAIRequest,
   translateToOpenAIResponse,
+  selectAvailableCandidates,
+  sendWithFallback,
   buildPromptFromMessages,
   extractSystemPrompt,
   extractJsonFromResponse,
@@ -10,11 +10,14 @@
 
 const express = require('express');
 const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
 const { handoff } = require('../orchestration/handoff');
 const { assign } = require('../orchestration/assign');
 const { runConsensus } = require('../orchestration/consensus');
 const { runDiscussion } = require('../orchestration/discussion-runner');
-const { runPlanReview, runPrReview } = require('../orchestration/review-protocols');
+const { runPlanReview, runPrReview, summarizeReviewDecision } = require('../orchestration/review-protocols');
+const { buildBranchReviewInput } = require('../orchestration/branch-review');
 const { RunLedgerService } = require('../orchestration/run-ledger');
 const { buildRootSessionSnapshot, listRootSessionSummaries } = require('../orchestration/root-session-monitor');
 const { normalizeSessionEvents } = require('../orchestration/event-normalizer');
@@ -28,15 +31,31 @@ const {
 } = require('../orchestration/managed-root-launch');
 const { getChildSessionSupport } = require('../orchestration/child-session-support');
 const { AdapterReadinessService } = require('../orchestration/adapter-readiness');
+const { DispatchScheduler } = require('../orchestration/dispatch-scheduler');
+const { BudgetService } = require('../orchestration/budget-service');
 const { prepareTaskAssignmentWorktree } = require('../orchestration/task-worktree');
+const { WorktreeRegistry, parseByteSize } = require('../orchestration/worktree-registry');
 const {
   buildAssignmentBranchPlan,
+  finalizeConflictResolution,
   integrateAssignmentBranch,
   normalizeWritePaths,
+  readAssignmentDiff,
   readBranchSnapshot,
+  readConflictContext,
   readDiffStats,
+  removeConflictScratchWorktree,
+  runCheckCommand,
   shouldAllocateBranch
 } = require('../orchestration/assignment-branching');
+const {
+  isVerificationCurrent,
+  normalizeVerifyCommands,
+  readAssignmentHead,
+  recordVerificationSkip,
+  resolveVerifyCommands,
+  runAssignmentVerification
+} = require('../orchestration/assignment-verification');
 const { sendMessage, broadcastMessage } = require('../orchestration/send-message');
 const {
   createBrowserPerceptionEngineClient,
@@ -46,7 +65,14 @@ const {
 const { getAgentProfiles, resolveProfile } = require('../services/agent-profiles');
 const { deriveSessionState } = require('../services/session-peek');
 const { createMemoryRouter } = require('../routes/memory');
+const { createAuditRouter } = require('../routes/audit');
+const { createBudgetsRouter } = require('../routes/budgets');
+const { createUsageReportRouter } = require('../routes/usage-report');
+const { createEventStreamHandler } = require('./event-stream');
 const { isAdapterAuthenticated } = require('../utils/adapter-auth');
+const { scopeGrants } = require('./api-tokens');
+const { parseUsageTime, describeUsagePricing } = require('../utils/usage-query');
+const { getAdapterPlugin, getAdapterPluginReport } = require('../adapters/adapter-plugins');
 const { redactSecretsInText } = require('../security/secret-redaction');
 const {
   RUNTIME_HOSTS,
@@ -77,6 +103,7 @@ function createOrchestrationRouter(context) {
     Number.parseInt(process.env.CLIAGENTS_DISPATCH_STALE_MS || '', 10) || 10 * 60 * 1000
   );
   const runLedger = runLedgerWritesEnabled || runLedgerReadsEnabled ? new RunLedgerService(db) : null;
+  const eventStream = context.eventStream || createEventStreamHandler({ db });
   const providerSessionRegistry = getProviderSessionRegistry();
   const bpeClient = createBrowserPerceptionEngineClient({
     baseUrl: context.browserPerceptionEngine?.baseUrl,
@@ -88,6 +115,37 @@ function createOrchestrationRouter(context) {
     apiSessionManager,
     adapterAuthInspector: adapterAuthInspector || isAdapterAuthenticated
   });
+  // The broker passes its running scheduler; otherwise keep an idle one for queue readouts
+  const dispatchScheduler = context.dispatchScheduler || new DispatchScheduler({ db, enabled: false });
+  dispatchScheduler.registerExecutor('assignment_start', launchScheduledAssignmentStart);
+  // The broker passes its attached service; otherwise spawns are still checked against stored budgets
+  const budgetService = context.budgetService || (db?.listBudgetsForScopes ? new BudgetService({ db }) : null);
+  const MERGE_CONFLICT_MODES = new Set(['fail', 'record', 'resolve']);
+  // Resolver terminal id -> conflicted assignment; completion triggers the merge check.
+  // Rebuilt from stored conflicts so resolvers outlive a broker restart.
+  const pendingMergeResolutions = new Map();
+  if (typeof db?.listTaskAssignmentsByMergeConflictStatus === 'function') {
+    try {
+      for (const assignment of db.listTaskAssignmentsByMergeConflictStatus('resolving')) {
+        const resolverTerminalId = assignment.metadata.mergeConflict.resolver?.terminalId;
+        if (resolverTerminalId) {
+          pendingMergeResolutions.set(resolverTerminalId, { taskId: assignment.taskId, assignmentId: assignment.id });
+        }
+      }
+    } catch (error) {
+      console.warn('[orchestration/integrate] Could not restore pending merge resolutions:', error.message);
+    }
+  }
+  const activeMergeCompletions = new Set();
+  // Assignment id -> in-flight verification, so concurrent gates share one run
+  const activeVerifications = new Map();
+  const worktreeRegistry = db?.upsertTaskWorktree
+    ? new WorktreeRegistry({ db, resolveAssignmentStatus: (assignment) => deriveTaskAssignmentStatus(assignment) })
+    : null;
+  if (typeof sessionManager?.on === 'function') {
+    // Downstream assignments wait on upstream terminals finishing their work
+    sessionManager.on('status-change', handleAssignmentTerminalStatusChange);
+  }
   const roomService = db
     ? new RoomService({
         db,
@@ -212,7 +270,8 @@ function createOrchestrationRouter(context) {
       breakdowns,
       attribution: typeof db.summarizeUsageAttribution === 'function'
         ? db.summarizeUsageAttribution(filters)
-        : null
+        : null,
+      pricing: describeUsagePricing(db)
     };
   }
 
@@ -923,6 +982,32 @@ function createOrchestrationRouter(context) {
     return true;
   }
 
+  const BUDGET_NEXT_ACTION = 'raise the budget limits or record an override with POST /orchestration/budgets/:id/override';
+
+  // Refuse new child spawns and assignment starts under an exceeded hard-cap budget
+  function requireWithinBudget(res, endpoint, scopes = {}) {
+    if (!budgetService || (!scopes.rootSessionId && !scopes.taskId)) {
+      return false;
+    }
+    try {
+      budgetService.assertSpawnAllowed(scopes, { action: endpoint });
+      return false;
+    } catch (error) {
+      if (error.code !== 'budget_exceeded') {
+        throw error;
+      }
+      res.status(409).json({
+        error: {
+          code: error.code,
+          message: error.message,
+          nextAction: BUDGET_NEXT_ACTION,
+          budgets: error.budgets
+        }
+      });
+      return true;
+    }
+  }
+
   function projectExecutionControlPlane(resolvedControlPlane) {
     if (!resolvedControlPlane?.rootSessionId) {
       return {
@@ -1242,16 +1327,120 @@ function createOrchestrationRouter(context) {
     };
   }
 
-  function buildTaskAssignmentPayload(assignment) {
-    const terminal = resolveTaskAssignmentTerminalSnapshot(assignment);
+  function deriveTaskAssignmentStatus(assignment, terminal = resolveTaskAssignmentTerminalSnapshot(assignment)) {
     const terminalStatus = terminal?.status || null;
     const storedStatus = String(assignment?.status || 'queued').trim().toLowerCase() || 'queued';
     const storedStatusOverridesTerminal = ['completed', 'failed', 'cancelled', 'superseded'].includes(storedStatus);
-    const status = storedStatusOverridesTerminal
+    return storedStatusOverridesTerminal
       ? normalizeTaskAssignmentStatus(storedStatus, 'queued')
       : (assignment?.terminalId
       ? normalizeTaskAssignmentStatus(terminalStatus, normalizeTaskAssignmentStatus(storedStatus, 'queued'))
       : normalizeTaskAssignmentStatus(storedStatus, 'queued'));
+  }
+
+  function isTaskAssignmentDependencySatisfied(upstream, condition, upstreamStatus = deriveTaskAssignmentStatus(upstream)) {
+    if (!upstream) {
+      return false;
+    }
+    if (condition === 'integrated') {
+      return upstream.branchStatus === 'integrated' || Boolean(upstream.integratedAt);
+    }
+    if (upstreamStatus !== 'completed') {
+      return false;
+    }
+    // Completion only counts once the upstream's verify commands have passed
+    return !assignmentRequiresVerification(upstream)
+      || upstream.metadata?.verification?.status === 'passed'
+      || Boolean(upstream.integratedAt);
+  }
+
+  /**
+   * Upstream edges of an assignment with their current satisfaction.
+   * state: none (no edges), waiting, satisfied, or unsatisfiable when an
+   * upstream ended without meeting its condition.
+   */
+  function describeTaskAssignmentDependencies(assignment, options = {}) {
+    if (!assignment?.id || typeof db?.listTaskAssignmentDependencies !== 'function') {
+      return { state: 'none', dependsOn: [] };
+    }
+
+    const edges = options.edges || db.listTaskAssignmentDependencies({ taskAssignmentId: assignment.id });
+    const lookup = options.lookup || ((assignmentId) => db.getTaskAssignment(assignmentId));
+    const dependsOn = edges.map((edge) => {
+      const upstream = lookup(edge.dependsOnAssignmentId);
+      const status = upstream ? deriveTaskAssignmentStatus(upstream) : 'missing';
+      return {
+        assignmentId: edge.dependsOnAssignmentId,
+        condition: edge.condition,
+        status,
+        branchStatus: upstream?.branchStatus || null,
+        satisfied: isTaskAssignmentDependencySatisfied(upstream, edge.condition, status)
+      };
+    });
+
+    let state = 'none';
+    if (dependsOn.length > 0) {
+      if (dependsOn.every((dependency) => dependency.satisfied)) {
+        state = 'satisfied';
+      } else if (dependsOn.some((dependency) => (
+        !dependency.satisfied
+        && ['failed', 'cancelled', 'superseded', 'missing'].includes(dependency.status)
+      ))) {
+        state = 'unsatisfiable';
+      } else {
+        state = 'waiting';
+      }
+    }
+    return { state, dependsOn };
+  }
+
+  function assignmentRequiresVerification(assignment, task = null) {
+    try {
+      const owner = task || (assignment?.taskId && typeof db?.getTask === 'function' ? db.getTask(assignment.taskId) : null);
+      return resolveVerifyCommands(owner, assignment).length > 0;
+    } catch {
+      // Unparseable verify config still gates; running it reports the error
+      return true;
+    }
+  }
+
+  /**
+   * Verify-command summary for assignment payloads. status: none (no
+   * commands), pending (never run), running, passed, or failed.
+   */
+  function describeAssignmentVerification(assignment) {
+    const task = assignment?.taskId && typeof db?.getTask === 'function' ? db.getTask(assignment.taskId) : null;
+    let commands = [];
+    let configError = null;
+    try {
+      commands = resolveVerifyCommands(task, assignment);
+    } catch (error) {
+      configError = error.message;
+    }
+    const last = assignment?.metadata?.verification || null;
+    let status = last?.status || (commands.length > 0 || configError ? 'pending' : 'none');
+    if (assignment?.id && activeVerifications.has(assignment.id)) {
+      status = 'running';
+    }
+    return {
+      required: commands.length > 0 || Boolean(configError),
+      commands: commands.map((spec) => ({ name: spec.name, command: spec.command })),
+      status,
+      configError,
+      headSha: last?.headSha || null,
+      reason: last?.reason || null,
+      runId: last?.runId || null,
+      completedAt: last?.completedAt || null
+    };
+  }
+
+  function buildTaskAssignmentPayload(assignment) {
+    const terminal = resolveTaskAssignmentTerminalSnapshot(assignment);
+    const terminalStatus = terminal?.status || null;
+    const storedStatus = String(assignment?.status || 'queued').trim().toLowerCase() || 'queued';
+    const status = deriveTaskAssignmentStatus(assignment, terminal);
+    const dependencies = describeTaskAssignmentDependencies(assignment);
+    const verification = describeAssignmentVerification(assignment);
     const usageSummary = typeof db?.summarizeUsage === 'function'
       ? db.summarizeUsage({ taskAssignmentId: assignment?.id || null })
       : null;
@@ -1312,6 +1501,9 @@ function createOrchestrationRouter(context) {
       terminalStatus,
       isolation,
       branch,
+      dependsOn: dependencies.dependsOn,
+      dependencyState: dependencies.state,
+      verification,
       dispatch: dispatchRequests[0] || null,
       dispatchRequests,
       taskSessionBindings,
@@ -1672,7 +1864,18 @@ function createOrchestrationRouter(context) {
         forceFreshSession: req.body?.forceFreshSession === true,
         systemPromptProvided: Boolean(req.body?.systemPrompt),
         sessionLabel: req.body?.sessionLabel || null,
-        workspaceRoot: task.workspaceRoot || null
+        workspaceRoot: task.workspaceRoot || null,
+        // Replayed by the dispatch scheduler when a deferred start becomes due
+        launch: {
+          parentSessionId: executionControlPlane.parentSessionId || null,
+          sessionKind: executionControlPlane.sessionKind || null,
+          originClient: executionControlPlane.originClient || null,
+          externalSessionRef: executionControlPlane.externalSessionRef || null,
+          lineageDepth: executionControlPlane.lineageDepth ?? null,
+          sessionMetadata: executionControlPlane.sessionMetadata || null,
+          systemPrompt: req.body?.systemPrompt || null,
+          workingDirectory: req.body?.workingDirectory || null
+        }
       }
     };
 
@@ -1761,6 +1964,426 @@ function createOrchestrationRouter(context) {
     });
   }
 
+  function buildAssignmentStartLaunchOptions(req) {
+    return {
+      systemPrompt: req.body?.systemPrompt || null,
+      workingDirectory: req.body?.workingDirectory || null,
+      sessionLabel: req.body?.sessionLabel || null,
+      preferReuse: req.body?.preferReuse,
+      forceFreshSession: req.body?.forceFreshSession
+    };
+  }
+
+  /**
+   * Spawn a claimed assignment_start dispatch: prepare the worktree, route the
+   * assignment through the task router, bind the session, and mark the
+   * dispatch spawned. Shared by the start route and the dispatch scheduler.
+   */
+  async function spawnAssignmentStart({
+    task,
+    assignment,
+    dispatchRequest,
+    executionControlPlane,
+    requestedReasoningEffort,
+    launch = {}
+  }) {
+    const preparedWorktree = assignment.worktreePath
+      ? prepareTaskAssignmentWorktree(task, assignment)
+      : null;
+    worktreeRegistry?.recordPrepared(task, assignment, preparedWorktree);
+    const preparedBranchSnapshot = assignment.branchName || preparedWorktree?.worktreeBranch
+      ? readBranchSnapshot(task.workspaceRoot, assignment.branchName || preparedWorktree?.worktreeBranch)
+      : null;
+    const workingDirectory = preparedWorktree?.workingDirectory
+      || task.workspaceRoot
+      || launch.workingDirectory
+      || null;
+    const sessionMetadata = {
+      ...(executionControlPlane.sessionMetadata || {}),
+      taskId: task.id,
+      taskAssignmentId: assignment.id,
+      taskRole: assignment.role,
+      taskTitle: task.title
+    };
+    if (task.workspaceRoot && !sessionMetadata.workspaceRoot) {
+      sessionMetadata.workspaceRoot = task.workspaceRoot;
+    }
+
+    const contextSnapshot = createAssignmentStartContextSnapshot({
+      task,
+      assignment,
+      dispatchRequest,
+      workingDirectory,
+      reasoningEffort: requestedReasoningEffort
+    });
+
+    const result = await getTaskRouter().routeTask(assignment.instructions, {
+      forceRole: normalizeTaskAssignmentRoutingRole(assignment.role),
+      forceAdapter: assignment.adapter || undefined,
+      model: assignment.model || undefined,
+      reasoningEffort: requestedReasoningEffort || undefined,
+      systemPrompt: launch.systemPrompt || null,
+      workDir: workingDirectory || undefined,
+      sessionLabel: launch.sessionLabel || null,
+      rootSessionId: executionControlPlane.rootSessionId,
+      parentSessionId: executionControlPlane.parentSessionId,
+      sessionKind: executionControlPlane.sessionKind || null,
+      originClient: executionControlPlane.originClient,
+      externalSessionRef: executionControlPlane.externalSessionRef,
+      lineageDepth: executionControlPlane.lineageDepth,
+      sessionMetadata,
+      preferReuse: launch.preferReuse,
+      forceFreshSession: launch.forceFreshSession
+    });
+
+    const now = Date.now();
+    const terminalDetails = resolveStartedTerminalDetails(result.terminalId);
+    let taskSessionBinding = null;
+    if (db?.createTaskSessionBinding) {
+      taskSessionBinding = db.createTaskSessionBinding({
+        rootSessionId: executionControlPlane.rootSessionId || task.rootSessionId || null,
+        taskId: task.id,
+        taskAssignmentId: assignment.id,
+        adapter: result.adapter || assignment.adapter || 'unknown',
+        model: result.model || assignment.model || null,
+        reasoningEffort: result.reasoningEffort || requestedReasoningEffort || null,
+        terminalId: result.terminalId,
+        providerSessionId: terminalDetails.providerThreadRef || null,
+        runtimeHost: terminalDetails.runtimeHost || null,
+        runtimeFidelity: terminalDetails.runtimeFidelity || null,
+        reusePolicy: launch.forceFreshSession === true
+          ? 'force_fresh_session'
+          : (launch.preferReuse === false ? 'no_reuse' : 'prefer_compatible_reuse'),
+        reuseDecision: result.reuse || {
+          reused: result.reused === true,
+          reason: result.reuseReason || null
+        },
+        metadata: {
+          dispatchRequestId: dispatchRequest?.id || null,
+          contextSnapshotId: contextSnapshot?.id || null,
+          routeProfile: result.profile || null,
+          routeTaskType: result.taskType || null,
+          routeAttempts: result.routeAttempts || 1,
+          routeRetried: result.routeRetried === true,
+          routeRetryReason: result.routeRetryReason || null
+        },
+        createdAt: now,
+        lastVerifiedAt: now
+      });
+    }
+    dispatchRequest = updateAssignmentStartDispatch(dispatchRequest, {
+      status: 'spawned',
+      terminalId: result.terminalId,
+      runId: terminalDetails.runId || null,
+      boundSessionId: taskSessionBinding?.id || null,
+      dispatchedAt: now,
+      updatedAt: now,
+      metadata: {
+        spawned: true,
+        adapter: result.adapter || assignment.adapter || null,
+        model: result.model || assignment.model || null,
+        reasoningEffort: result.reasoningEffort || requestedReasoningEffort || null,
+        reused: result.reused === true,
+        reuseReason: result.reuseReason || null,
+        routeAttempts: result.routeAttempts || 1
+      }
+    }) || dispatchRequest;
+    const updatedAssignment = db.updateTaskAssignment(assignment.id, {
+      terminalId: result.terminalId,
+      adapter: result.adapter || assignment.adapter || null,
+      model: result.model || assignment.model || null,
+      reasoningEffort: result.reasoningEffort || assignment.reasoningEffort || null,
+      status: 'running',
+      worktreePath: preparedWorktree?.worktreePath || assignment.worktreePath || null,
+      worktreeBranch: preparedWorktree?.worktreeBranch || assignment.worktreeBranch || null,
+      branchName: assignment.branchName || preparedWorktree?.worktreeBranch || null,
+      branchStatus: assignment.branchName || assignment.worktreeBranch || preparedWorktree?.worktreeBranch
+        ? 'running'
+        : assignment.branchStatus || null,
+      headSha: preparedBranchSnapshot?.headSha || preparedWorktree?.isolation?.head || assignment.headSha || null,
+      startedAt: now,
+      updatedAt: now,
+      metadata: {
+        ...(assignment.metadata || {}),
+        ...(preparedWorktree?.metadata || {}),
+        dispatch: {
+          dispatchRequestId: dispatchRequest?.id || null,
+          contextSnapshotId: contextSnapshot?.id || null,
+          taskSessionBindingId: taskSessionBinding?.id || null
+        },
+        routing: {
+          profile: result.profile || null,
+          taskType: result.taskType || null,
+          confidence: result.confidence ?? null
+        }
+      }
+    });
+    db.updateTask(task.id, {
+      rootSessionId: executionControlPlane.rootSessionId || task.rootSessionId || null,
+      updatedAt: now
+    });
+
+    return {
+      result,
+      assignment: updatedAssignment,
+      dispatchRequest,
+      contextSnapshot,
+      taskSessionBinding
+    };
+  }
+
+  function markAssignmentStartFailed(assignment, dispatchRequest, error) {
+    if (assignment?.id && db?.updateTaskAssignment) {
+      try {
+        const branchTracked = assignment.branchName || assignment.worktreeBranch;
+        if (branchTracked) {
+          db.updateTaskAssignment(assignment.id, {
+            branchStatus: 'failed',
+            updatedAt: Date.now()
+          });
+        }
+      } catch {}
+    }
+    if (dispatchRequest?.id && db?.updateDispatchRequest) {
+      try {
+        updateAssignmentStartDispatch(dispatchRequest, {
+          status: 'failed',
+          metadata: {
+            failed: true,
+            error: {
+              message: error.message,
+              code: error.code || null
+            }
+          }
+        });
+      } catch {}
+    }
+  }
+
+  /**
+   * Dispatch scheduler executor for assignment_start dispatches. Launch
+   * options recorded when the start was deferred are replayed here.
+   */
+  async function launchScheduledAssignmentStart(dispatchRequest) {
+    const task = dispatchRequest.taskId ? db.getTask(dispatchRequest.taskId) : null;
+    const assignment = dispatchRequest.taskAssignmentId ? db.getTaskAssignment(dispatchRequest.taskAssignmentId) : null;
+    if (!task || !assignment || assignment.taskId !== task.id) {
+      const error = new Error(`Assignment ${dispatchRequest.taskAssignmentId || 'unknown'} for dispatch ${dispatchRequest.id} not found`);
+      error.code = 'task_assignment_not_found';
+      throw error;
+    }
+
+    if (assignment.terminalId || normalizeTaskAssignmentStatus(assignment.status, 'queued') !== 'queued') {
+      const now = Date.now();
+      updateAssignmentStartDispatch(dispatchRequest, {
+        status: 'cancelled',
+        cancelledAt: now,
+        updatedAt: now,
+        metadata: {
+          cancelReason: 'assignment_not_queued',
+          assignmentStatus: assignment.status || null
+        }
+      });
+      return { cancelled: true };
+    }
+
+    const launch = dispatchRequest.metadata?.launch || {};
+    const rootSessionId = dispatchRequest.rootSessionId || task.rootSessionId || null;
+    const budgetCheck = budgetService ? budgetService.checkSpawn({ rootSessionId, taskId: task.id }) : { allowed: true };
+    if (!budgetCheck.allowed) {
+      const now = Date.now();
+      updateAssignmentStartDispatch(dispatchRequest, {
+        status: 'cancelled',
+        cancelledAt: now,
+        updatedAt: now,
+        metadata: {
+          cancelReason: 'budget_exceeded',
+          budgetIds: budgetCheck.blocking.map((budget) => budget.id)
+        }
+      });
+      return { cancelled: true };
+    }
+    try {
+      const spawned = await spawnAssignmentStart({
+        task,
+        assignment,
+        dispatchRequest,
+        executionControlPlane: projectExecutionControlPlane({
+          rootSessionId,
+          parentSessionId: launch.parentSessionId || rootSessionId,
+          sessionKind: launch.sessionKind,
+          originClient: launch.originClient,
+          externalSessionRef: launch.externalSessionRef,
+          lineageDepth: launch.lineageDepth,
+          sessionMetadata: launch.sessionMetadata
+        }),
+        requestedReasoningEffort: dispatchRequest.metadata?.requestedReasoningEffort || assignment.reasoningEffort || null,
+        launch: {
+          systemPrompt: launch.systemPrompt || null,
+          workingDirectory: launch.workingDirectory || null,
+          sessionLabel: dispatchRequest.metadata?.sessionLabel || null,
+          preferReuse: dispatchRequest.metadata?.preferReuse,
+          forceFreshSession: dispatchRequest.metadata?.forceFreshSession === true
+        }
+      });
+      return { terminalId: spawned.result.terminalId };
+    } catch (error) {
+      markAssignmentStartFailed(assignment, dispatchRequest, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Launch context for a dependency-triggered start, inherited from the most
+   * recent start of an upstream assignment so downstream work stays in the
+   * same root session lineage.
+   */
+  function resolveDependencyLaunchContext(task, upstreamIds) {
+    for (const upstreamId of upstreamIds) {
+      const upstreamDispatch = typeof db?.listDispatchRequests === 'function'
+        ? db.listDispatchRequests({ taskAssignmentId: upstreamId, requestKind: 'assignment_start', limit: 1 })[0]
+        : null;
+      if (upstreamDispatch) {
+        return {
+          rootSessionId: upstreamDispatch.rootSessionId || task.rootSessionId || null,
+          launch: upstreamDispatch.metadata?.launch || {}
+        };
+      }
+    }
+    return { rootSessionId: task.rootSessionId || null, launch: {} };
+  }
+
+  /**
+   * Queue assignment_start dispatches for queued assignments whose upstream
+   * dependencies are all satisfied and hand them to the dispatch scheduler.
+   * Assignments created with metadata.autoStart === false stay queued.
+   */
+  function startReadyDependentAssignments(taskId, options = {}) {
+    if (
+      !taskId
+      || typeof db?.listTaskAssignmentDependencies !== 'function'
+      || typeof db?.createOrCoalesceDispatchRequest !== 'function'
+    ) {
+      return [];
+    }
+    const task = db.getTask(taskId);
+    const edges = task ? db.listTaskAssignmentDependencies({ taskId: task.id }) : [];
+    if (edges.length === 0) {
+      return [];
+    }
+
+    const assignments = new Map(db.listTaskAssignments(task.id, { limit: 500 }).map((assignment) => [assignment.id, assignment]));
+    const edgesByAssignment = new Map();
+    for (const edge of edges) {
+      if (!edgesByAssignment.has(edge.taskAssignmentId)) {
+        edgesByAssignment.set(edge.taskAssignmentId, []);
+      }
+      edgesByAssignment.get(edge.taskAssignmentId).push(edge);
+    }
+
+    const queued = [];
+    for (const [assignmentId, assignmentEdges] of edgesByAssignment) {
+      const assignment = assignments.get(assignmentId);
+      if (
+        !assignment
+        || assignment.terminalId
+        || normalizeTaskAssignmentStatus(assignment.status, 'queued') !== 'queued'
+        || assignment.metadata?.autoStart === false
+      ) {
+        continue;
+      }
+      const dependencies = describeTaskAssignmentDependencies(assignment, {
+        edges: assignmentEdges,
+        lookup: (upstreamId) => assignments.get(upstreamId) || db.getTaskAssignment(upstreamId)
+      });
+      if (dependencies.state !== 'satisfied') {
+        continue;
+      }
+
+      const upstreamIds = dependencies.dependsOn.map((dependency) => dependency.assignmentId);
+      const launchContext = resolveDependencyLaunchContext(task, upstreamIds);
+      const created = db.createOrCoalesceDispatchRequest({
+        taskId: task.id,
+        taskAssignmentId: assignment.id,
+        rootSessionId: launchContext.rootSessionId,
+        requestedBy: 'dependency_graph',
+        requestKind: 'assignment_start',
+        status: 'queued',
+        coalesceKey: `task:${task.id}:assignment:${assignment.id}:start`,
+        metadata: {
+          endpoint: 'dependency_graph',
+          trigger: options.trigger || null,
+          triggeredBy: options.assignmentId || null,
+          dependsOn: upstreamIds,
+          taskTitle: task.title,
+          taskRole: assignment.role,
+          requestedAdapter: assignment.adapter || null,
+          requestedModel: assignment.model || null,
+          requestedReasoningEffort: assignment.reasoningEffort || null,
+          branchName: assignment.branchName || assignment.worktreeBranch || null,
+          baseBranch: assignment.baseBranch || null,
+          mergeTarget: assignment.mergeTarget || null,
+          writePaths: assignment.writePaths || [],
+          workspaceRoot: task.workspaceRoot || null,
+          launch: launchContext.launch
+        }
+      }, {
+        coalesceActive: true
+      });
+      if (created.dispatch?.id && !created.coalesced) {
+        queued.push(created.dispatch);
+      }
+    }
+
+    if (queued.length > 0) {
+      dispatchScheduler.runOnce().catch((error) => {
+        console.warn('[orchestration/dependencies] Auto-start sweep failed:', error.message);
+      });
+    }
+    return queued;
+  }
+
+  function handleAssignmentTerminalStatusChange(event) {
+    if (
+      !event?.terminalId
+      || normalizeTaskAssignmentStatus(event.status, null) !== 'completed'
+      || typeof db?.getTaskAssignmentByTerminalId !== 'function'
+    ) {
+      return;
+    }
+    if (pendingMergeResolutions.has(event.terminalId)) {
+      handleMergeResolverCompleted(event.terminalId);
+      return;
+    }
+    try {
+      const assignment = db.getTaskAssignmentByTerminalId(event.terminalId);
+      if (!assignment) {
+        return;
+      }
+      const task = db.getTask(assignment.taskId);
+      if (task && assignmentRequiresVerification(assignment, task)) {
+        // Dependents wait until the finished work passes its verify commands
+        ensureAssignmentVerified(task, assignment, { trigger: 'terminal_completed' }).then(({ verification }) => {
+          if (verification.status === 'passed') {
+            startReadyDependentAssignments(assignment.taskId, {
+              trigger: 'upstream_completed',
+              assignmentId: assignment.id
+            });
+          }
+        }).catch((error) => {
+          console.warn(`[orchestration/verify] Verification of assignment ${assignment.id} failed to run:`, error.message);
+        });
+        return;
+      }
+      startReadyDependentAssignments(assignment.taskId, {
+        trigger: 'upstream_completed',
+        assignmentId: assignment.id
+      });
+    } catch (error) {
+      console.warn('[orchestration/dependencies] Auto-start failed:', error.message);
+    }
+  }
+
   function acquireAssignmentWriteLease({ task, assignment, branchPlan, requestedBy = 'api' }) {
     const writePaths = branchPlan?.writePaths || assignment?.writePaths || [];
     if (!Array.isArray(writePaths) || writePaths.length === 0 || typeof db?.acquireTaskAssignmentPathLease !== 'function') {
@@ -1920,8 +2543,10 @@ function createOrchestrationRouter(context) {
         runs: '/orchestration/runs',
         usage: '/orchestration/usage/*',
         memory: '/orchestration/memory/*',
+        audit: '/orchestration/audit',
         inputQueue: '/orchestration/input-queue',
         sessionEvents: '/orchestration/session-events?normalized=1',
+        eventStream: '/orchestration/events/stream',
         adapters: '/orchestration/adapters',
         bpeScenario: '/orchestration/browser-perception-engine/scenario'
       },
@@ -2098,9 +2723,22 @@ function createOrchestrationRouter(context) {
   }
 
   // Mount shared memory routes at /orchestration/memory
-  const memoryRouter = createMemoryRouter({ db });
+  const memoryRouter = createMemoryRouter({ db, embeddingIndex: context.memoryEmbeddingIndex || null });
   router.use('/memory', memoryRouter);
 
+  // Mount the broker audit log at /orchestration/audit
+  router.use('/audit', createAuditRouter({ db }));
+
+  // Mount spending budgets at /orchestration/budgets
+  if (budgetService) {
+    router.use('/budgets', createBudgetsRouter({ db, budgetService }));
+  }
+
+  // Mount usage rollups and exports at /orchestration/usage/report
+  if (typeof db?.listUsageReport === 'function') {
+    router.use('/usage/report', createUsageReportRouter({ db }));
+  }
+
   /**
    * POST /orchestration/browser-perception-engine/session
    * Create or resume a BPE session.
@@ -2321,6 +2959,15 @@ function createOrchestrationRouter(context) {
         });
       }
 
+      let verify;
+      try {
+        verify = normalizeVerifyCommands(req.body?.verify);
+      } catch (error) {
+        return res.status(400).json({
+          error: { code: 'invalid_parameter', message: error.message, param: 'verify' }
+        });
+      }
+
       const created = db.createTask({
         id: req.body?.taskId || req.body?.id || null,
         title,
@@ -2328,7 +2975,9 @@ function createOrchestrationRouter(context) {
         brief: req.body?.brief || null,
         workspaceRoot,
         rootSessionId: req.body?.rootSessionId || null,
-        metadata: req.body?.metadata || {}
+        metadata: verify.length > 0
+          ? { ...(req.body?.metadata || {}), verify }
+          : (req.body?.metadata || {})
       });
 
       res.json(buildTaskPayload(created.id));
@@ -2443,6 +3092,15 @@ function createOrchestrationRouter(context) {
         });
       }
 
+      let verify;
+      try {
+        verify = req.body?.verify === undefined ? undefined : normalizeVerifyCommands(req.body.verify);
+      } catch (error) {
+        return res.status(400).json({
+          error: { code: 'invalid_parameter', message: error.message, param: 'verify' }
+        });
+      }
+
       const now = Date.now();
       let branchPlan = null;
       if (shouldAllocateBranch(req.body || {})) {
@@ -2497,7 +3155,12 @@ function createOrchestrationRouter(context) {
         testStatus: branchFields.patch.testStatus || null,
         reviewStatus: branchFields.patch.reviewStatus || null,
         acceptanceCriteria: req.body?.acceptanceCriteria || null,
-        metadata: req.body?.metadata || {},
+        metadata: {
+          ...(req.body?.metadata || {}),
+          ...(req.body?.autoStart === false ? { autoStart: false } : {}),
+          ...(verify !== undefined ? { verify } : {})
+        },
+        dependsOn: req.body?.dependsOn ?? req.body?.depends_on ?? [],
         status: 'queued',
         createdAt: now
       });
@@ -2526,6 +3189,9 @@ function createOrchestrationRouter(context) {
           error: { code: 'task_assignment_exists', message: error.message }
         });
       }
+      if (error?.code === 'invalid_dependency' || error?.code === 'dependency_cycle') {
+        return respondDependencyError(res, error);
+      }
       if (error?.code === 'path_lease_conflict') {
         return res.status(409).json({
           error: {
@@ -2580,6 +3246,181 @@ function createOrchestrationRouter(context) {
     }
   });
 
+  /**
+   * GET /orchestration/tasks/:taskId/assignments/:assignmentId/diff
+   * Per-file unified diff of an assignment branch against the point it forked
+   * from, with rename detection and binary markers.
+   *
+   * Query: base, head (ref overrides), path (single file), offset, limit
+   * (files per page, max 100), context (lines), maxBytes (per-file patch cap)
+   */
+  router.get('/tasks/:taskId/assignments/:assignmentId/diff', (req, res) => {
+    try {
+      if (!db?.getTask || !db?.getTaskAssignment) {
+        return res.status(503).json({
+          error: { code: 'unavailable', message: 'task assignments are not configured' }
+        });
+      }
+
+      const task = db.getTask(req.params.taskId);
+      if (!task) {
+        return res.status(404).json({
+          error: { code: 'task_not_found', message: `Task ${req.params.taskId} not found` }
+        });
+      }
+      const assignment = db.getTaskAssignment(req.params.assignmentId);
+      if (!assignment || assignment.taskId !== task.id) {
+        return res.status(404).json({
+          error: { code: 'task_assignment_not_found', message: `Assignment ${req.params.assignmentId} not found for task ${task.id}` }
+        });
+      }
+
+      const { headRef, baseRef } = resolveAssignmentDiffRefs(assignment, req.query);
+      if (!headRef || !baseRef) {
+        return res.status(409).json({
+          error: {
+            code: 'assignment_branch_missing',
+            message: `Assignment ${assignment.id} has no branch and base to diff`
+          }
+        });
+      }
+      const optionLikeRef = findOptionLikeRef({ head: headRef, base: baseRef });
+      if (optionLikeRef) {
+        return res.status(400).json({
+          error: { code: 'invalid_parameter', message: `${optionLikeRef[0]} must be a git ref`, param: optionLikeRef[0] }
+        });
+      }
+      const maxBytes = parseQueryInteger(req.query.maxBytes ?? req.query.max_bytes, null);
+
+      const diff = readAssignmentDiff(task.workspaceRoot, baseRef, headRef, {
+        path: req.query.path || null,
+        offset: req.query.offset,
+        limit: req.query.limit,
+        contextLines: req.query.context,
+        maxPatchBytes: Number.isFinite(maxBytes) && maxBytes > 0 ? maxBytes : undefined
+      });
+      res.json({
+        taskId: task.id,
+        assignmentId: assignment.id,
+        branchName: assignment.branchName || assignment.worktreeBranch || null,
+        branchStatus: assignment.branchStatus || null,
+        ...diff
+      });
+    } catch (error) {
+      if (error.code === 'diff_ref_not_found') {
+        return res.status(404).json({
+          error: { code: error.code, message: error.message }
+        });
+      }
+      res.status(500).json({
+        error: { code: 'task_assignment_diff_failed', message: error.message }
+      });
+    }
+  });
+
+  /**
+   * GET /orchestration/tasks/:taskId/graph
+   * Assignment dependency DAG with per-node status, dependency state, and a
+   * topological order. `ready` lists queued assignments that can start now.
+   */
+  router.get('/tasks/:taskId/graph', (req, res) => {
+    try {
+      if (!db?.getTask || !db?.listTaskAssignments) {
+        return res.status(503).json({
+          error: { code: 'unavailable', message: 'task assignments are not configured' }
+        });
+      }
+
+      const task = db.getTask(req.params.taskId);
+      if (!task) {
+        return res.status(404).json({
+          error: { code: 'task_not_found', message: `Task ${req.params.taskId} not found` }
+        });
+      }
+
+      const assignments = db.listTaskAssignments(task.id, { limit: 500 });
+      const assignmentsById = new Map(assignments.map((assignment) => [assignment.id, assignment]));
+      const edges = typeof db.listTaskAssignmentDependencies === 'function'
+        ? db.listTaskAssignmentDependencies({ taskId: task.id })
+        : [];
+      const nodes = assignments.map((assignment) => {
+        const dependencies = describeTaskAssignmentDependencies(assignment, {
+          edges: edges.filter((edge) => edge.taskAssignmentId === assignment.id),
+          lookup: (assignmentId) => assignmentsById.get(assignmentId) || null
+        });
+        return {
+          id: assignment.id,
+          role: assignment.role,
+          status: deriveTaskAssignmentStatus(assignment),
+          storedStatus: assignment.status,
+          branchStatus: assignment.branchStatus || null,
+          terminalId: assignment.terminalId || null,
+          adapter: assignment.adapter || null,
+          autoStart: assignment.metadata?.autoStart !== false,
+          dependencyState: dependencies.state,
+          dependsOn: dependencies.dependsOn,
+          dependents: edges
+            .filter((edge) => edge.dependsOnAssignmentId === assignment.id)
+            .map((edge) => edge.taskAssignmentId),
+          startedAt: assignment.startedAt || null,
+          completedAt: assignment.completedAt || null,
+          integratedAt: assignment.integratedAt || null
+        };
+      });
+      const nodesById = new Map(nodes.map((node) => [node.id, node]));
+
+      // Kahn's algorithm; ties keep assignment creation order
+      const remaining = new Map(nodes.map((node) => [node.id, node.dependsOn.length]));
+      const order = [];
+      let frontier = nodes.filter((node) => node.dependsOn.length === 0).map((node) => node.id);
+      while (frontier.length > 0) {
+        const next = [];
+        for (const nodeId of frontier) {
+          order.push(nodeId);
+          for (const dependentId of nodesById.get(nodeId)?.dependents || []) {
+            remaining.set(dependentId, remaining.get(dependentId) - 1);
+            if (remaining.get(dependentId) === 0) {
+              next.push(dependentId);
+            }
+          }
+        }
+        frontier = next;
+      }
+
+      res.json({
+        task: buildTaskPayload(task.id, { includeRecentRuns: false }),
+        nodes,
+        edges: edges.map((edge) => ({
+          from: edge.dependsOnAssignmentId,
+          to: edge.taskAssignmentId,
+          condition: edge.condition,
+          satisfied: nodesById.get(edge.taskAssignmentId)?.dependsOn
+            .find((dependency) => dependency.assignmentId === edge.dependsOnAssignmentId)?.satisfied === true
+        })),
+        order,
+        roots: nodes.filter((node) => node.dependsOn.length === 0).map((node) => node.id),
+        ready: nodes
+          .filter((node) => node.status === 'queued' && !node.terminalId && ['none', 'satisfied'].includes(node.dependencyState))
+          .map((node) => node.id)
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+  });
+
+  function respondDependencyError(res, error) {
+    if (error.code === 'dependency_cycle') {
+      return res.status(409).json({
+        error: { code: 'dependency_cycle', message: error.message, cycle: error.cycle || [] }
+      });
+    }
+    return res.status(400).json({
+      error: { code: 'invalid_dependency', message: error.message, param: 'dependsOn' }
+    });
+  }
+
   /**
    * PATCH /orchestration/tasks/:taskId/assignments/:assignmentId
    * Update a queued task assignment.
@@ -2650,21 +3491,37 @@ function createOrchestrationRouter(context) {
       if (req.body?.metadata !== undefined) {
         patch.metadata = req.body.metadata;
       }
+      if (req.body?.verify !== undefined) {
+        try {
+          patch.metadata = {
+            ...(patch.metadata || assignment.metadata || {}),
+            verify: normalizeVerifyCommands(req.body.verify)
+          };
+        } catch (error) {
+          return res.status(400).json({
+            error: { code: 'invalid_parameter', message: error.message, param: 'verify' }
+          });
+        }
+      }
       const branchFields = readAssignmentBranchFields(req.body || {});
       if (branchFields.error) {
         return res.status(400).json({ error: branchFields.error });
       }
       Object.assign(patch, branchFields.patch);
+      const dependsOnInput = req.body?.dependsOn ?? req.body?.depends_on;
 
       if (patch.instructions !== undefined && !patch.instructions) {
         return res.status(400).json({
           error: { code: 'invalid_parameter', message: 'instructions cannot be empty', param: 'instructions' }
         });
       }
+      if (dependsOnInput !== undefined && typeof db?.setTaskAssignmentDependencies === 'function') {
+        db.setTaskAssignmentDependencies(assignment.id, dependsOnInput);
+      }
       if (Object.keys(patch).length === 0) {
         return res.json({
           task: buildTaskPayload(task.id),
-          assignment: buildTaskAssignmentPayload(assignment)
+          assignment: buildTaskAssignmentPayload(db.getTaskAssignment(assignment.id))
         });
       }
       if (Array.isArray(patch.writePaths)) {
@@ -2705,6 +3562,9 @@ function createOrchestrationRouter(context) {
         assignment: buildTaskAssignmentPayload(updated)
       });
     } catch (error) {
+      if (error?.code === 'invalid_dependency' || error?.code === 'dependency_cycle') {
+        return respondDependencyError(res, error);
+      }
       if (error?.code === 'path_lease_conflict') {
         return res.status(409).json({
           error: {
@@ -2820,12 +3680,15 @@ function createOrchestrationRouter(context) {
 	          updatedAt: now
 	        });
 	      }
+      if (replacement && typeof db?.transferTaskAssignmentDependencies === 'function') {
+        db.transferTaskAssignmentDependencies(assignment.id, replacement.id);
+      }
       db.updateTask(task.id, { updatedAt: now });
 
       res.json({
         task: buildTaskPayload(task.id),
         assignment: buildTaskAssignmentPayload(superseded),
-        replacement: replacement ? buildTaskAssignmentPayload(replacement) : null
+        replacement: replacement ? buildTaskAssignmentPayload(db.getTaskAssignment(replacement.id)) : null
       });
     } catch (error) {
       res.status(500).json({
@@ -2873,6 +3736,17 @@ function createOrchestrationRouter(context) {
           }
         });
       }
+      const dependencies = describeTaskAssignmentDependencies(assignment);
+      if (['waiting', 'unsatisfiable'].includes(dependencies.state) && req.body?.force !== true) {
+        return res.status(409).json({
+          error: {
+            code: 'task_assignment_dependencies_unmet',
+            message: `Assignment ${assignment.id} is waiting on ${dependencies.dependsOn.filter((dependency) => !dependency.satisfied).map((dependency) => dependency.assignmentId).join(', ')}`,
+            dependencyState: dependencies.state,
+            dependsOn: dependencies.dependsOn
+          }
+        });
+      }
 
       const resolvedControlPlane = resolveRequestControlPlaneContext(req, {
         rootSessionId: req.body?.rootSessionId || task.rootSessionId || null,
@@ -2892,8 +3766,10 @@ function createOrchestrationRouter(context) {
       if (requireAttachedRoot(res, `/orchestration/tasks/${task.id}/assignments/${assignment.id}/start`, resolvedControlPlane)) {
         return;
       }
+      if (requireWithinBudget(res, `/orchestration/tasks/${task.id}/assignments/${assignment.id}/start`, { rootSessionId: resolvedControlPlane?.rootSessionId, taskId: task.id })) {
+        return;
+      }
       const executionControlPlane = projectExecutionControlPlane(resolvedControlPlane);
-      const router = getTaskRouter();
       const reasoningEffortInput = parseReasoningEffortFromBody(req.body);
       if (reasoningEffortInput.error) {
         return res.status(400).json({
@@ -2976,139 +3852,19 @@ function createOrchestrationRouter(context) {
           parentSessionId: resolvedControlPlane.parentSessionId || null
         });
       }
-      const preparedWorktree = assignment.worktreePath
-        ? prepareTaskAssignmentWorktree(task, assignment)
-        : null;
-      const preparedBranchSnapshot = assignment.branchName || preparedWorktree?.worktreeBranch
-        ? readBranchSnapshot(task.workspaceRoot, assignment.branchName || preparedWorktree?.worktreeBranch)
-        : null;
-      const workingDirectory = preparedWorktree?.workingDirectory
-        || task.workspaceRoot
-        || req.body?.workingDirectory
-        || null;
-      const sessionMetadata = {
-        ...(executionControlPlane.sessionMetadata || {}),
-        taskId: task.id,
-        taskAssignmentId: assignment.id,
-        taskRole: assignment.role,
-        taskTitle: task.title
-      };
-      if (task.workspaceRoot && !sessionMetadata.workspaceRoot) {
-        sessionMetadata.workspaceRoot = task.workspaceRoot;
-      }
-
-      contextSnapshot = createAssignmentStartContextSnapshot({
+      const spawned = await spawnAssignmentStart({
         task,
         assignment,
         dispatchRequest,
-        workingDirectory,
-        reasoningEffort: requestedReasoningEffort
-      });
-
-      const result = await router.routeTask(assignment.instructions, {
-        forceRole: normalizeTaskAssignmentRoutingRole(assignment.role),
-        forceAdapter: assignment.adapter || undefined,
-        model: assignment.model || undefined,
-        reasoningEffort: requestedReasoningEffort || undefined,
-        systemPrompt: req.body?.systemPrompt || null,
-        workDir: workingDirectory || undefined,
-        sessionLabel: req.body?.sessionLabel || null,
-        rootSessionId: executionControlPlane.rootSessionId,
-        parentSessionId: executionControlPlane.parentSessionId,
-        sessionKind: executionControlPlane.sessionKind || null,
-        originClient: executionControlPlane.originClient,
-        externalSessionRef: executionControlPlane.externalSessionRef,
-        lineageDepth: executionControlPlane.lineageDepth,
-        sessionMetadata,
-        preferReuse: req.body?.preferReuse,
-        forceFreshSession: req.body?.forceFreshSession
-      });
-
-      const now = Date.now();
-      const terminalDetails = resolveStartedTerminalDetails(result.terminalId);
-      if (db?.createTaskSessionBinding) {
-        taskSessionBinding = db.createTaskSessionBinding({
-          rootSessionId: executionControlPlane.rootSessionId || task.rootSessionId || null,
-          taskId: task.id,
-          taskAssignmentId: assignment.id,
-          adapter: result.adapter || assignment.adapter || 'unknown',
-          model: result.model || assignment.model || null,
-          reasoningEffort: result.reasoningEffort || requestedReasoningEffort || null,
-          terminalId: result.terminalId,
-          providerSessionId: terminalDetails.providerThreadRef || null,
-          runtimeHost: terminalDetails.runtimeHost || null,
-          runtimeFidelity: terminalDetails.runtimeFidelity || null,
-          reusePolicy: req.body?.forceFreshSession === true
-            ? 'force_fresh_session'
-            : (req.body?.preferReuse === false ? 'no_reuse' : 'prefer_compatible_reuse'),
-          reuseDecision: result.reuse || {
-            reused: result.reused === true,
-            reason: result.reuseReason || null
-          },
-          metadata: {
-            dispatchRequestId: dispatchRequest?.id || null,
-            contextSnapshotId: contextSnapshot?.id || null,
-            routeProfile: result.profile || null,
-            routeTaskType: result.taskType || null,
-            routeAttempts: result.routeAttempts || 1,
-            routeRetried: result.routeRetried === true,
-            routeRetryReason: result.routeRetryReason || null
-          },
-          createdAt: now,
-          lastVerifiedAt: now
-        });
-      }
-      dispatchRequest = updateAssignmentStartDispatch(dispatchRequest, {
-        status: 'spawned',
-        terminalId: result.terminalId,
-        runId: terminalDetails.runId || null,
-        boundSessionId: taskSessionBinding?.id || null,
-        dispatchedAt: now,
-        updatedAt: now,
-        metadata: {
-          spawned: true,
-          adapter: result.adapter || assignment.adapter || null,
-          model: result.model || assignment.model || null,
-          reasoningEffort: result.reasoningEffort || requestedReasoningEffort || null,
-          reused: result.reused === true,
-          reuseReason: result.reuseReason || null,
-          routeAttempts: result.routeAttempts || 1
-        }
-      }) || dispatchRequest;
-      const updatedAssignment = db.updateTaskAssignment(assignment.id, {
-        terminalId: result.terminalId,
-        adapter: result.adapter || assignment.adapter || null,
-        model: result.model || assignment.model || null,
-        reasoningEffort: result.reasoningEffort || assignment.reasoningEffort || null,
-        status: 'running',
-        worktreePath: preparedWorktree?.worktreePath || assignment.worktreePath || null,
-        worktreeBranch: preparedWorktree?.worktreeBranch || assignment.worktreeBranch || null,
-        branchName: assignment.branchName || preparedWorktree?.worktreeBranch || null,
-        branchStatus: assignment.branchName || assignment.worktreeBranch || preparedWorktree?.worktreeBranch
-          ? 'running'
-          : assignment.branchStatus || null,
-        headSha: preparedBranchSnapshot?.headSha || preparedWorktree?.isolation?.head || assignment.headSha || null,
-        startedAt: now,
-        updatedAt: now,
-        metadata: {
-          ...(assignment.metadata || {}),
-          ...(preparedWorktree?.metadata || {}),
-          dispatch: {
-            dispatchRequestId: dispatchRequest?.id || null,
-            contextSnapshotId: contextSnapshot?.id || null,
-            taskSessionBindingId: taskSessionBinding?.id || null
-          },
-          routing: {
-            profile: result.profile || null,
-            taskType: result.taskType || null,
-            confidence: result.confidence ?? null
-          }
-        }
-      });
-      db.updateTask(task.id, {
-        rootSessionId: executionControlPlane.rootSessionId || task.rootSessionId || null,
-        updatedAt: now
+        executionControlPlane,
+        requestedReasoningEffort,
+        launch: buildAssignmentStartLaunchOptions(req)
       });
+      const { result } = spawned;
+      const updatedAssignment = spawned.assignment;
+      dispatchRequest = spawned.dispatchRequest;
+      contextSnapshot = spawned.contextSnapshot;
+      taskSessionBinding = spawned.taskSessionBinding;
 
       res.json({
         task: buildTaskPayload(task.id),
@@ -3129,31 +3885,7 @@ function createOrchestrationRouter(context) {
         parentSessionId: resolvedControlPlane.parentSessionId || null
       });
     } catch (error) {
-      if (assignmentForFailure?.id && db?.updateTaskAssignment) {
-        try {
-          const branchTracked = assignmentForFailure.branchName || assignmentForFailure.worktreeBranch;
-          if (branchTracked) {
-            db.updateTaskAssignment(assignmentForFailure.id, {
-              branchStatus: 'failed',
-              updatedAt: Date.now()
-            });
-          }
-        } catch {}
-      }
-      if (dispatchRequest?.id && db?.updateDispatchRequest) {
-        try {
-          updateAssignmentStartDispatch(dispatchRequest, {
-            status: 'failed',
-            metadata: {
-              failed: true,
-              error: {
-                message: error.message,
-                code: error.code || null
-              }
-            }
-          });
-        } catch {}
-      }
+      markAssignmentStartFailed(assignmentForFailure, dispatchRequest, error);
       if (error?.code === 'path_lease_conflict') {
         return res.status(409).json({
           error: {
@@ -3217,94 +3949,816 @@ function createOrchestrationRouter(context) {
         });
       }
 
-      const now = Date.now();
-      const updated = db.updateTaskAssignment(assignment.id, {
-        ...patch,
-        updatedAt: now
+      const now = Date.now();
+      const updated = db.updateTaskAssignment(assignment.id, {
+        ...patch,
+        updatedAt: now
+      });
+      db.updateTask(task.id, { updatedAt: now });
+      if (updated.branchStatus === 'integrated' && assignment.branchStatus !== 'integrated') {
+        startReadyDependentAssignments(task.id, { trigger: 'upstream_integrated', assignmentId: assignment.id });
+      }
+
+      res.json({
+        task: buildTaskPayload(task.id),
+        assignment: buildTaskAssignmentPayload(updated)
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: { code: 'task_assignment_branch_update_failed', message: error.message }
+      });
+    }
+  });
+
+  function recordAssignmentVerification(assignmentId, verification) {
+    const latest = db.getTaskAssignment(assignmentId);
+    if (latest?.worktreePath) {
+      worktreeRegistry?.touch(verification.workingDirectory);
+    }
+    return db.updateTaskAssignment(assignmentId, {
+      testStatus: verification.status,
+      metadata: {
+        ...(latest?.metadata || {}),
+        verification
+      },
+      updatedAt: Date.now()
+    });
+  }
+
+  /**
+   * Run an assignment's verify commands and record the result on it.
+   * Concurrent callers for the same assignment share one run.
+   */
+  function verifyAssignment(task, assignment, options = {}) {
+    if (activeVerifications.has(assignment.id)) {
+      return activeVerifications.get(assignment.id);
+    }
+    const pending = runAssignmentVerification(task, assignment, {
+      trigger: options.trigger || 'api',
+      runLedger: runLedgerWritesEnabled ? runLedger : null
+    }).then((verification) => ({
+      verification,
+      assignment: recordAssignmentVerification(assignment.id, verification)
+    })).finally(() => {
+      activeVerifications.delete(assignment.id);
+    });
+    activeVerifications.set(assignment.id, pending);
+    return pending;
+  }
+
+  /**
+   * Reuse a passing verification of the branch head about to be merged, or
+   * verify now.
+   */
+  async function ensureAssignmentVerified(task, assignment, options = {}) {
+    const verification = assignment.metadata?.verification || null;
+    if (isVerificationCurrent(verification, readAssignmentHead(task, assignment))) {
+      return { verification, assignment, reused: true };
+    }
+    const result = await verifyAssignment(task, assignment, options);
+    return { ...result, reused: false };
+  }
+
+  /**
+   * Base and head refs that describe an assignment branch, unless overridden.
+   */
+  function resolveAssignmentDiffRefs(assignment, overrides = {}) {
+    return {
+      headRef: String(overrides.head || '').trim()
+        || assignment.branchName
+        || assignment.worktreeBranch
+        || assignment.headSha
+        || null,
+      baseRef: String(overrides.base || '').trim()
+        || assignment.baseSha
+        || assignment.baseBranch
+        || assignment.mergeTarget
+        || null
+    };
+  }
+
+  function findOptionLikeRef(refs) {
+    return Object.entries(refs).find(([, ref]) => String(ref || '').startsWith('-')) || null;
+  }
+
+  function respondVerificationError(res, error) {
+    const status = error.code === 'invalid_verify' ? 400 : 409;
+    return res.status(status).json({
+      error: { code: error.code, message: error.message }
+    });
+  }
+
+  function finishAssignmentIntegration(task, assignment, integration, options = {}) {
+    const now = Date.now();
+    if (assignment.pathLeaseId && typeof db?.updateTaskAssignmentPathLease === 'function') {
+      db.updateTaskAssignmentPathLease(assignment.pathLeaseId, {
+        status: 'released',
+        releasedAt: now,
+        metadata: {
+          ...(db.getTaskAssignmentPathLease(assignment.pathLeaseId)?.metadata || {}),
+          releasedBy: 'assignment_integrate',
+          integratedAt: now
+        },
+        updatedAt: now
+      });
+    }
+    const updated = db.updateTaskAssignment(assignment.id, {
+      branchStatus: 'integrated',
+      mergeTarget: integration.targetBranch,
+      headSha: integration.afterSha,
+      diffStats: integration.diffStats,
+      integratedAt: now,
+      ...(options.completeAssignment !== false ? { status: 'completed', completedAt: now } : {}),
+      ...(options.metadata ? { metadata: options.metadata } : {}),
+      updatedAt: now
+    });
+    db.updateTask(task.id, { updatedAt: now });
+    // Idle time for worktree pruning counts from the merge
+    worktreeRegistry?.touch(assignment.worktreePath);
+    const dependentStarts = startReadyDependentAssignments(task.id, {
+      trigger: 'upstream_integrated',
+      assignmentId: assignment.id
+    });
+    return { assignment: updated, dependentStarts };
+  }
+
+  function recordAssignmentMergeConflict(assignmentId, patch) {
+    const latest = db.getTaskAssignment(assignmentId);
+    return db.updateTaskAssignment(assignmentId, {
+      metadata: {
+        ...(latest?.metadata || {}),
+        mergeConflict: {
+          ...(latest?.metadata?.mergeConflict || {}),
+          ...patch
+        }
+      },
+      updatedAt: Date.now()
+    });
+  }
+
+  function buildMergeResolverPrompt(task, assignment, conflict) {
+    const context = readConflictContext(conflict.scratchWorktreePath, conflict.conflictedPaths);
+    return [
+      `Resolve a git merge conflict for task "${task.title}".`,
+      `Assignment ${assignment.id} (${assignment.role}) branch ${conflict.branchName} is being merged into ${conflict.targetBranch}.`,
+      `The merge is in progress in this worktree: ${conflict.scratchWorktreePath}`,
+      '',
+      'Conflicted files:',
+      ...conflict.conflictedPaths.map((conflictedPath) => `- ${conflictedPath}`),
+      '',
+      'Edit each conflicted file so it keeps the intent of both sides and has no conflict markers, then stage it with git add.',
+      'Do not commit, rebase, reset, or abort the merge; the broker commits the merge once your result passes its check.',
+      conflict.checkCommand ? `Check command the broker will run here: ${conflict.checkCommand}` : null,
+      '',
+      'Assignment instructions:',
+      truncateForMetadata(assignment.instructions, 2000),
+      '',
+      'Conflict context:',
+      ...context.map((entry) => [
+        `--- ${entry.path}${entry.truncated ? ' (truncated)' : ''}`,
+        entry.excerpt === null ? '(file removed on one side)' : entry.excerpt
+      ].join('\n'))
+    ].filter((line) => line !== null).join('\n');
+  }
+
+  async function spawnMergeConflictResolver(task, assignment, conflict, options = {}) {
+    const rootSessionId = options.rootSessionId || task.rootSessionId || null;
+    const executionControlPlane = projectExecutionControlPlane({
+      rootSessionId,
+      parentSessionId: options.parentSessionId || rootSessionId,
+      sessionKind: 'subagent',
+      originClient: options.originClient || null,
+      externalSessionRef: options.externalSessionRef || null,
+      lineageDepth: 1
+    });
+    if (budgetService) {
+      budgetService.assertSpawnAllowed(
+        { rootSessionId: executionControlPlane.rootSessionId, taskId: task.id },
+        { action: `merge conflict resolver for assignment ${assignment.id}` }
+      );
+    }
+    const result = await getTaskRouter().routeTask(buildMergeResolverPrompt(task, assignment, conflict), {
+      forceRole: 'implement',
+      forceAdapter: options.adapter || assignment.adapter || undefined,
+      model: options.model || undefined,
+      workDir: conflict.scratchWorktreePath,
+      rootSessionId: executionControlPlane.rootSessionId,
+      parentSessionId: executionControlPlane.parentSessionId,
+      sessionKind: executionControlPlane.sessionKind,
+      originClient: executionControlPlane.originClient,
+      externalSessionRef: executionControlPlane.externalSessionRef,
+      lineageDepth: executionControlPlane.lineageDepth,
+      sessionMetadata: {
+        taskId: task.id,
+        taskAssignmentId: assignment.id,
+        taskRole: 'merge_resolver',
+        taskTitle: task.title,
+        workspaceRoot: task.workspaceRoot || null
+      },
+      forceFreshSession: true
+    });
+    pendingMergeResolutions.set(result.terminalId, { taskId: task.id, assignmentId: assignment.id });
+    return {
+      terminalId: result.terminalId,
+      adapter: result.adapter || options.adapter || assignment.adapter || null,
+      model: result.model || options.model || null,
+      startedAt: Date.now()
+    };
+  }
+
+  /**
+   * Run the configured check in the scratch worktree, then commit the resolved
+   * merge and fast-forward the merge target. Check failures and remaining
+   * conflicts are recorded on the assignment and rethrown with their code.
+   */
+  async function completeConflictedIntegration(task, assignment, options = {}) {
+    const conflict = assignment.metadata?.mergeConflict || null;
+    if (!conflict?.scratchWorktreePath || !['conflicted', 'resolving', 'check_failed'].includes(conflict.status)) {
+      const error = new Error(`Assignment ${assignment.id} has no merge conflict awaiting completion`);
+      error.code = 'merge_conflict_not_pending';
+      throw error;
+    }
+    if (activeMergeCompletions.has(assignment.id)) {
+      const error = new Error(`Merge completion for assignment ${assignment.id} is already running`);
+      error.code = 'merge_completion_in_progress';
+      throw error;
+    }
+
+    activeMergeCompletions.add(assignment.id);
+    try {
+      const checkCommand = options.checkCommand || conflict.checkCommand || null;
+      let check = null;
+      if (checkCommand) {
+        check = await runCheckCommand(conflict.scratchWorktreePath, checkCommand);
+        if (!check.passed) {
+          recordAssignmentMergeConflict(assignment.id, {
+            status: 'check_failed',
+            lastCheck: check,
+            lastAttemptAt: Date.now(),
+            lastTrigger: options.trigger || 'api'
+          });
+          const error = new Error(`Merge check failed (exit ${check.exitCode ?? 'n/a'}${check.timedOut ? ', timed out' : ''}): ${checkCommand}`);
+          error.code = 'merge_check_failed';
+          error.check = check;
+          throw error;
+        }
+      }
+
+      let integration;
+      try {
+        integration = finalizeConflictResolution(conflict);
+      } catch (error) {
+        recordAssignmentMergeConflict(assignment.id, {
+          status: 'check_failed',
+          lastCheck: check,
+          lastError: { code: error.code || null, message: error.message },
+          lastAttemptAt: Date.now(),
+          lastTrigger: options.trigger || 'api'
+        });
+        throw error;
+      }
+
+      if (conflict.resolver?.terminalId) {
+        pendingMergeResolutions.delete(conflict.resolver.terminalId);
+      }
+      const latest = db.getTaskAssignment(assignment.id) || assignment;
+      const finished = finishAssignmentIntegration(task, latest, integration, {
+        completeAssignment: options.completeAssignment ?? conflict.completeAssignment,
+        metadata: {
+          ...(latest.metadata || {}),
+          mergeConflict: {
+            ...(latest.metadata?.mergeConflict || {}),
+            status: 'resolved',
+            lastCheck: check,
+            lastError: null,
+            resolvedAt: Date.now(),
+            mergeSha: integration.afterSha,
+            lastTrigger: options.trigger || 'api'
+          }
+        }
+      });
+      return { ...finished, integration, check };
+    } finally {
+      activeMergeCompletions.delete(assignment.id);
+    }
+  }
+
+  function handleMergeResolverCompleted(terminalId) {
+    const pending = pendingMergeResolutions.get(terminalId);
+    if (!pending) {
+      return;
+    }
+    const task = db.getTask(pending.taskId);
+    const assignment = db.getTaskAssignment(pending.assignmentId);
+    if (!task || !assignment) {
+      pendingMergeResolutions.delete(terminalId);
+      return;
+    }
+    completeConflictedIntegration(task, assignment, { trigger: 'resolver_completed' }).catch((error) => {
+      if (error.code !== 'merge_completion_in_progress') {
+        console.warn(`[orchestration/integrate] Merge for assignment ${assignment.id} not completed:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * POST /orchestration/tasks/:taskId/assignments/:assignmentId/verify
+   * Run the assignment's verify commands in its prepared worktree and record
+   * the result. Responds 200 whether or not the commands passed.
+   */
+  router.post('/tasks/:taskId/assignments/:assignmentId/verify', async (req, res) => {
+    try {
+      if (!db?.getTask || !db?.getTaskAssignment || !db?.updateTaskAssignment) {
+        return res.status(503).json({
+          error: { code: 'unavailable', message: 'task assignments are not configured' }
+        });
+      }
+
+      const task = db.getTask(req.params.taskId);
+      if (!task) {
+        return res.status(404).json({
+          error: { code: 'task_not_found', message: `Task ${req.params.taskId} not found` }
+        });
+      }
+      const assignment = db.getTaskAssignment(req.params.assignmentId);
+      if (!assignment || assignment.taskId !== task.id) {
+        return res.status(404).json({
+          error: { code: 'task_assignment_not_found', message: `Assignment ${req.params.assignmentId} not found for task ${task.id}` }
+        });
+      }
+
+      const result = await verifyAssignment(task, assignment, { trigger: 'api' });
+      db.updateTask(task.id, { updatedAt: Date.now() });
+      // A completed upstream that now passes releases dependents held on it
+      const dependentStarts = result.verification.status === 'passed'
+        ? startReadyDependentAssignments(task.id, { trigger: 'upstream_verified', assignmentId: assignment.id })
+        : [];
+      res.json({
+        task: buildTaskPayload(task.id),
+        assignment: buildTaskAssignmentPayload(result.assignment),
+        verification: result.verification,
+        dependentStarts: dependentStarts.map(buildCompactDispatchPayload)
+      });
+    } catch (error) {
+      if (['invalid_verify', 'verify_not_configured', 'assignment_worktree_missing'].includes(error.code)) {
+        return respondVerificationError(res, error);
+      }
+      res.status(500).json({
+        error: { code: 'task_assignment_verify_failed', message: error.message }
+      });
+    }
+  });
+
+  /**
+   * POST /orchestration/tasks/:taskId/assignments/:assignmentId/integrate
+   * Merge an accepted assignment branch into its merge target. Assignments
+   * with verify commands must pass them against the branch head first.
+   *
+   * Body:
+   * - onConflict: fail (default) aborts the merge; record replays it on a
+   *   scratch worktree; resolve also spawns a resolver child there
+   * - checkCommand: command that must pass in the scratch worktree before the
+   *   broker completes a resolved merge
+   * - resolverAdapter, resolverModel: resolver child overrides
+   * - discardConflict: drop a pending conflict's scratch worktree and retry
+   * - skipVerification: integrate without passing verify commands. Needs the
+   *   admin scope; recorded as an operator_override on a verification run.
+   *   skipReason explains it.
+   */
+  router.post('/tasks/:taskId/assignments/:assignmentId/integrate', async (req, res) => {
+    try {
+      if (!db?.getTask || !db?.getTaskAssignment || !db?.updateTaskAssignment) {
+        return res.status(503).json({
+          error: { code: 'unavailable', message: 'task assignments are not configured' }
+        });
+      }
+
+      const task = db.getTask(req.params.taskId);
+      if (!task) {
+        return res.status(404).json({
+          error: { code: 'task_not_found', message: `Task ${req.params.taskId} not found` }
+        });
+      }
+      const assignment = db.getTaskAssignment(req.params.assignmentId);
+      if (!assignment || assignment.taskId !== task.id) {
+        return res.status(404).json({
+          error: { code: 'task_assignment_not_found', message: `Assignment ${req.params.assignmentId} not found for task ${task.id}` }
+        });
+      }
+      if (assignment.branchStatus !== 'accepted' && req.body?.force !== true) {
+        return res.status(409).json({
+          error: {
+            code: 'assignment_branch_not_accepted',
+            message: `Assignment ${assignment.id} branch must be accepted before integration`
+          }
+        });
+      }
+      const onConflict = String(req.body?.onConflict || req.body?.on_conflict || 'fail').trim().toLowerCase();
+      if (!MERGE_CONFLICT_MODES.has(onConflict)) {
+        return res.status(400).json({
+          error: {
+            code: 'invalid_parameter',
+            message: 'onConflict must be one of fail, record, resolve',
+            param: 'onConflict'
+          }
+        });
+      }
+      const pendingConflict = assignment.metadata?.mergeConflict;
+      const hasPendingConflict = pendingConflict?.scratchWorktreePath
+        && ['conflicted', 'resolving', 'check_failed'].includes(pendingConflict.status);
+      if (hasPendingConflict && req.body?.discardConflict === true) {
+        removeConflictScratchWorktree(pendingConflict);
+        if (pendingConflict.resolver?.terminalId) {
+          pendingMergeResolutions.delete(pendingConflict.resolver.terminalId);
+        }
+        recordAssignmentMergeConflict(assignment.id, { status: 'discarded', discardedAt: Date.now() });
+      } else if (hasPendingConflict) {
+        return res.status(409).json({
+          error: {
+            code: 'merge_conflict_pending',
+            message: `Assignment ${assignment.id} has a merge conflict in ${pendingConflict.scratchWorktreePath}; complete it via /integrate/complete`,
+            conflict: pendingConflict
+          }
+        });
+      }
+      if (assignmentRequiresVerification(assignment, task)) {
+        if (req.body?.skipVerification === true) {
+          if (!scopeGrants(req.auth?.scopes, 'admin')) {
+            return res.status(403).json({
+              error: {
+                code: 'insufficient_scope',
+                message: 'skipVerification requires the admin scope',
+                param: 'skipVerification'
+              }
+            });
+          }
+          const skippedAt = Date.now();
+          const skippedHeadSha = readAssignmentHead(task, assignment);
+          const skip = recordVerificationSkip(runLedger || new RunLedgerService(db), task, assignment, {
+            headSha: skippedHeadSha,
+            reason: req.body?.skipReason || req.body?.skip_reason || null,
+            tokenName: req.auth?.tokenName || null,
+            now: skippedAt
+          });
+          recordAssignmentVerification(assignment.id, {
+            ...(assignment.metadata?.verification || { status: 'pending' }),
+            skippedAt,
+            skippedHeadSha,
+            skipRunId: skip.runId,
+            skipOperatorActionId: skip.operatorActionId
+          });
+        } else {
+          const gate = await ensureAssignmentVerified(task, assignment, { trigger: 'integrate' });
+          if (gate.verification.status !== 'passed') {
+            return res.status(409).json({
+              error: {
+                code: 'assignment_verification_failed',
+                message: `Assignment ${assignment.id} cannot be integrated: ${gate.verification.reason}`,
+                verification: gate.verification
+              },
+              assignment: buildTaskAssignmentPayload(gate.assignment)
+            });
+          }
+        }
+      }
+      const completeAssignment = req.body?.completeAssignment !== false && req.body?.complete_assignment !== false;
+      const checkCommand = String(
+        req.body?.checkCommand || req.body?.check_command || task.metadata?.mergeCheckCommand || ''
+      ).trim() || null;
+
+      let integration;
+      try {
+        integration = integrateAssignmentBranch(task, assignment, {
+          mergeTarget: req.body?.mergeTarget || req.body?.merge_target || null,
+          onConflict
+        });
+      } catch (error) {
+        if (error.code !== 'merge_conflict') {
+          throw error;
+        }
+        const updated = recordAssignmentMergeConflict(assignment.id, {
+          status: 'aborted',
+          mode: onConflict,
+          conflictedPaths: error.conflict.conflictedPaths,
+          targetBranch: error.conflict.targetBranch,
+          targetSha: error.conflict.targetSha,
+          branchName: error.conflict.branchName,
+          branchHead: error.conflict.branchHead,
+          scratchWorktreePath: null,
+          detectedAt: Date.now()
+        });
+        return res.status(409).json({
+          error: {
+            code: 'merge_conflict',
+            message: error.message,
+            conflictedPaths: error.conflict.conflictedPaths
+          },
+          assignment: buildTaskAssignmentPayload(updated)
+        });
+      }
+
+      if (integration.conflicted) {
+        const conflict = {
+          ...integration.conflict,
+          checkCommand,
+          completeAssignment
+        };
+        let resolver = null;
+        let resolverError = null;
+        if (onConflict === 'resolve') {
+          try {
+            resolver = await spawnMergeConflictResolver(task, assignment, conflict, {
+              adapter: req.body?.resolverAdapter || req.body?.resolver_adapter || null,
+              model: req.body?.resolverModel || req.body?.resolver_model || null,
+              rootSessionId: req.body?.rootSessionId || null,
+              parentSessionId: req.body?.parentSessionId || null,
+              originClient: req.body?.originClient || null,
+              externalSessionRef: req.body?.externalSessionRef || null
+            });
+          } catch (error) {
+            resolverError = { message: error.message, code: error.code || null };
+          }
+        }
+        const updated = recordAssignmentMergeConflict(assignment.id, {
+          status: resolver ? 'resolving' : 'conflicted',
+          mode: onConflict,
+          conflictedPaths: conflict.conflictedPaths,
+          targetBranch: conflict.targetBranch,
+          targetSha: conflict.targetSha,
+          branchName: conflict.branchName,
+          branchHead: conflict.branchHead,
+          repoRoot: conflict.repoRoot,
+          scratchWorktreePath: conflict.scratchWorktreePath,
+          checkCommand,
+          completeAssignment,
+          resolver,
+          resolverError,
+          lastCheck: null,
+          lastError: null,
+          detectedAt: Date.now()
+        });
+        db.updateTask(task.id, { updatedAt: Date.now() });
+
+        return res.status(202).json({
+          task: buildTaskPayload(task.id),
+          assignment: buildTaskAssignmentPayload(updated),
+          integration: null,
+          conflict: updated.metadata.mergeConflict
+        });
+      }
+
+      const finished = finishAssignmentIntegration(task, assignment, integration, { completeAssignment });
+      res.json({
+        task: buildTaskPayload(task.id),
+        assignment: buildTaskAssignmentPayload(finished.assignment),
+        integration,
+        dependentStarts: finished.dependentStarts.map(buildCompactDispatchPayload)
+      });
+    } catch (error) {
+      if (['invalid_verify', 'assignment_worktree_missing'].includes(error.code)) {
+        return respondVerificationError(res, error);
+      }
+      const status = /uncommitted changes|must be accepted/.test(error.message || '') ? 409 : 500;
+      res.status(status).json({
+        error: { code: 'task_assignment_integration_failed', message: error.message }
+      });
+    }
+  });
+
+  /**
+   * POST /orchestration/tasks/:taskId/assignments/:assignmentId/integrate/complete
+   * Complete a conflicted integration once its scratch worktree is resolved.
+   * Runs the recorded (or supplied) check command first. The broker calls this
+   * path itself when a resolver child finishes.
+   */
+  router.post('/tasks/:taskId/assignments/:assignmentId/integrate/complete', async (req, res) => {
+    try {
+      if (!db?.getTask || !db?.getTaskAssignment || !db?.updateTaskAssignment) {
+        return res.status(503).json({
+          error: { code: 'unavailable', message: 'task assignments are not configured' }
+        });
+      }
+
+      const task = db.getTask(req.params.taskId);
+      if (!task) {
+        return res.status(404).json({
+          error: { code: 'task_not_found', message: `Task ${req.params.taskId} not found` }
+        });
+      }
+      const assignment = db.getTaskAssignment(req.params.assignmentId);
+      if (!assignment || assignment.taskId !== task.id) {
+        return res.status(404).json({
+          error: { code: 'task_assignment_not_found', message: `Assignment ${req.params.assignmentId} not found for task ${task.id}` }
+        });
+      }
+
+      const completed = await completeConflictedIntegration(task, assignment, {
+        checkCommand: String(req.body?.checkCommand || req.body?.check_command || '').trim() || null,
+        completeAssignment: req.body?.completeAssignment === false || req.body?.complete_assignment === false ? false : undefined,
+        trigger: 'api'
+      });
+      res.json({
+        task: buildTaskPayload(task.id),
+        assignment: buildTaskAssignmentPayload(completed.assignment),
+        integration: completed.integration,
+        check: completed.check,
+        dependentStarts: completed.dependentStarts.map(buildCompactDispatchPayload)
+      });
+    } catch (error) {
+      if ([
+        'merge_conflict_not_pending',
+        'merge_completion_in_progress',
+        'merge_check_failed',
+        'merge_conflict_unresolved',
+        'merge_target_moved'
+      ].includes(error.code)) {
+        return res.status(409).json({
+          error: {
+            code: error.code,
+            message: error.message,
+            ...(error.check ? { check: error.check } : {}),
+            ...(error.unresolvedPaths ? { unresolvedPaths: error.unresolvedPaths } : {})
+          }
+        });
+      }
+      const status = /uncommitted changes/.test(error.message || '') ? 409 : 500;
+      res.status(status).json({
+        error: { code: 'task_assignment_integration_failed', message: error.message }
+      });
+    }
+  });
+
+  function buildScheduledDispatchPayload(entry) {
+    return {
+      ...buildCompactDispatchPayload(entry.dispatch),
+      taskId: entry.dispatch.taskId,
+      taskAssignmentId: entry.dispatch.taskAssignmentId,
+      adapter: entry.adapter || null,
+      ...(entry.blockedReason !== undefined ? { blockedReason: entry.blockedReason } : {})
+    };
+  }
+
+  /**
+   * GET /orchestration/dispatch
+   * Dispatch queue readout: scheduler state, capacity against the global and
+   * per-adapter caps, dispatches ready now (with the reason any are held back),
+   * deferred dispatches not yet due, and dispatches occupying capacity.
+   *
+   * Query params:
+   * - status, taskId, rootSessionId, requestKind: filter the `dispatches` list
+   * - limit: Max dispatches per list (default: 50)
+   */
+  router.get('/dispatch', (req, res) => {
+    try {
+      if (!db?.listDispatchRequests) {
+        return res.status(503).json({
+          error: { code: 'unavailable', message: 'dispatch requests are not configured' }
+        });
+      }
+
+      const limit = Math.min(500, Math.max(1, parseQueryInteger(req.query.limit, 50)));
+      const snapshot = dispatchScheduler.getSnapshot({ limit });
+      const dispatches = db.listDispatchRequests({
+        status: req.query.status,
+        taskId: req.query.taskId || req.query.task_id,
+        rootSessionId: req.query.rootSessionId || req.query.root_session_id,
+        requestKind: req.query.requestKind || req.query.request_kind,
+        limit
       });
-      db.updateTask(task.id, { updatedAt: now });
 
       res.json({
-        task: buildTaskPayload(task.id),
-        assignment: buildTaskAssignmentPayload(updated)
+        scheduler: snapshot.scheduler,
+        capacity: snapshot.capacity,
+        counts: {
+          ready: snapshot.ready.length,
+          deferred: snapshot.deferred.length,
+          active: snapshot.active.length
+        },
+        ready: snapshot.ready.slice(0, limit).map(buildScheduledDispatchPayload),
+        deferred: snapshot.deferred.slice(0, limit).map(buildScheduledDispatchPayload),
+        active: snapshot.active.slice(0, limit).map(buildScheduledDispatchPayload),
+        dispatches: dispatches.map(buildCompactDispatchPayload)
       });
     } catch (error) {
       res.status(500).json({
-        error: { code: 'task_assignment_branch_update_failed', message: error.message }
+        error: { code: 'dispatch_queue_failed', message: error.message }
       });
     }
   });
 
   /**
-   * POST /orchestration/tasks/:taskId/assignments/:assignmentId/integrate
-   * Merge an accepted assignment branch into its merge target.
+   * GET /orchestration/worktrees
+   * Assignment worktrees with their owner, size, last activity, and whether a
+   * prune would remove them (`disposition`).
+   *
+   * Query params:
+   * - status: active (default), removed, or all
+   * - repoRoot, taskId: filter; repoRoot also lists unregistered worktrees
+   * - measure: true to measure checkout sizes now (otherwise last measured)
    */
-  router.post('/tasks/:taskId/assignments/:assignmentId/integrate', (req, res) => {
+  router.get('/worktrees', async (req, res) => {
     try {
-      if (!db?.getTask || !db?.getTaskAssignment || !db?.updateTaskAssignment) {
+      if (!worktreeRegistry) {
         return res.status(503).json({
-          error: { code: 'unavailable', message: 'task assignments are not configured' }
+          error: { code: 'unavailable', message: 'worktree registry is not configured' }
+        });
+      }
+      const status = String(req.query.status || 'active').trim().toLowerCase();
+      if (!['active', 'removed', 'all'].includes(status)) {
+        return res.status(400).json({
+          error: { code: 'invalid_parameter', message: 'status must be active, removed, or all', param: 'status' }
         });
       }
 
-      const task = db.getTask(req.params.taskId);
-      if (!task) {
-        return res.status(404).json({
-          error: { code: 'task_not_found', message: `Task ${req.params.taskId} not found` }
+      res.json(await worktreeRegistry.list({
+        status,
+        repoRoot: req.query.repoRoot || req.query.repo_root || null,
+        taskId: req.query.taskId || req.query.task_id || null,
+        measure: parseQueryBoolean(req.query.measure, false)
+      }));
+    } catch (error) {
+      res.status(500).json({
+        error: { code: 'worktree_list_failed', message: error.message }
+      });
+    }
+  });
+
+  /**
+   * POST /orchestration/worktrees/prune
+   * Remove worktrees of integrated, abandoned, or deleted assignments.
+   *
+   * Body:
+   * - dryRun: report the plan without removing anything
+   * - minIdleHours: idle time before a worktree is pruned
+   *   (default CLIAGENTS_WORKTREE_PRUNE_MIN_IDLE_HOURS or 24)
+   * - maxTotalBytes: quota (bytes or "5G"); younger prunable worktrees are
+   *   removed least recently used first until the total fits
+   *   (default CLIAGENTS_WORKTREE_QUOTA)
+   * - includeUnowned: also prune worktrees no assignment owns
+   * - force: also remove worktrees with uncommitted changes
+   * - repoRoot, taskId: limit the prune
+   */
+  router.post('/worktrees/prune', async (req, res) => {
+    try {
+      if (!worktreeRegistry) {
+        return res.status(503).json({
+          error: { code: 'unavailable', message: 'worktree registry is not configured' }
         });
       }
-      const assignment = db.getTaskAssignment(req.params.assignmentId);
-      if (!assignment || assignment.taskId !== task.id) {
-        return res.status(404).json({
-          error: { code: 'task_assignment_not_found', message: `Assignment ${req.params.assignmentId} not found for task ${task.id}` }
+      const body = req.body || {};
+      if (body.maxTotalBytes !== undefined && body.maxTotalBytes !== null && parseByteSize(body.maxTotalBytes) === null) {
+        return res.status(400).json({
+          error: { code: 'invalid_parameter', message: 'maxTotalBytes must be a byte count such as 1073741824 or "5G"', param: 'maxTotalBytes' }
         });
       }
-      if (assignment.branchStatus !== 'accepted' && req.body?.force !== true) {
-        return res.status(409).json({
-          error: {
-            code: 'assignment_branch_not_accepted',
-            message: `Assignment ${assignment.id} branch must be accepted before integration`
-          }
+      if (body.minIdleHours !== undefined && body.minIdleHours !== null
+        && !(Number.parseFloat(body.minIdleHours) >= 0)) {
+        return res.status(400).json({
+          error: { code: 'invalid_parameter', message: 'minIdleHours must be a non-negative number', param: 'minIdleHours' }
         });
       }
 
-      const integration = integrateAssignmentBranch(task, assignment, {
-        mergeTarget: req.body?.mergeTarget || req.body?.merge_target || null
+      res.json(await worktreeRegistry.prune({
+        dryRun: body.dryRun === true,
+        minIdleHours: body.minIdleHours ?? undefined,
+        maxTotalBytes: body.maxTotalBytes ?? undefined,
+        includeUnowned: body.includeUnowned === true,
+        force: body.force === true,
+        repoRoot: body.repoRoot || null,
+        taskId: body.taskId || null
+      }));
+    } catch (error) {
+      res.status(500).json({
+        error: { code: 'worktree_prune_failed', message: error.message }
       });
-      const now = Date.now();
-      if (assignment.pathLeaseId && typeof db?.updateTaskAssignmentPathLease === 'function') {
-        db.updateTaskAssignmentPathLease(assignment.pathLeaseId, {
-          status: 'released',
-          releasedAt: now,
-          metadata: {
-            ...(db.getTaskAssignmentPathLease(assignment.pathLeaseId)?.metadata || {}),
-            releasedBy: 'assignment_integrate',
-            integratedAt: now
-          },
-          updatedAt: now
+    }
+  });
+
+  /**
+   * GET /orchestration/dispatch/:dispatchRequestId
+   * One dispatch request with its metadata and liveness.
+   */
+  router.get('/dispatch/:dispatchRequestId', (req, res) => {
+    try {
+      const dispatch = db?.getDispatchRequest ? db.getDispatchRequest(req.params.dispatchRequestId) : null;
+      if (!dispatch) {
+        return res.status(404).json({
+          error: { code: 'dispatch_not_found', message: `Dispatch ${req.params.dispatchRequestId} not found` }
         });
       }
-      const completeAssignment = req.body?.completeAssignment !== false && req.body?.complete_assignment !== false;
-      const updated = db.updateTaskAssignment(assignment.id, {
-        branchStatus: 'integrated',
-        mergeTarget: integration.targetBranch,
-        headSha: integration.afterSha,
-        diffStats: integration.diffStats,
-        integratedAt: now,
-        ...(completeAssignment ? { status: 'completed', completedAt: now } : {}),
-        updatedAt: now
-      });
-      db.updateTask(task.id, { updatedAt: now });
 
       res.json({
-        task: buildTaskPayload(task.id),
-        assignment: buildTaskAssignmentPayload(updated),
-        integration
+        dispatch: {
+          ...buildCompactDispatchPayload(dispatch),
+          taskId: dispatch.taskId,
+          taskAssignmentId: dispatch.taskAssignmentId,
+          requestedBy: dispatch.requestedBy,
+          metadata: dispatch.metadata
+        }
       });
     } catch (error) {
-      const status = /uncommitted changes|must be accepted/.test(error.message || '') ? 409 : 500;
-      res.status(status).json({
-        error: { code: 'task_assignment_integration_failed', message: error.message }
+      res.status(500).json({
+        error: { code: 'dispatch_read_failed', message: error.message }
       });
     }
   });
@@ -3719,6 +5173,9 @@ function createOrchestrationRouter(context) {
       if (requireAttachedRoot(res, '/orchestration/discussion', resolvedControlPlane)) {
         return;
       }
+      if (requireWithinBudget(res, '/orchestration/discussion', { rootSessionId: resolvedControlPlane?.rootSessionId })) {
+        return;
+      }
       const executionControlPlane = projectExecutionControlPlane(resolvedControlPlane);
 
       const result = await runDiscussion(apiSessionManager || sessionManager, message, {
@@ -3799,6 +5256,9 @@ function createOrchestrationRouter(context) {
       if (requireAttachedRoot(res, '/orchestration/consensus', resolvedControlPlane)) {
         return;
       }
+      if (requireWithinBudget(res, '/orchestration/consensus', { rootSessionId: resolvedControlPlane?.rootSessionId })) {
+        return;
+      }
       const executionControlPlane = projectExecutionControlPlane(resolvedControlPlane);
 
       const result = await runConsensus(apiSessionManager || sessionManager, message, {
@@ -3862,6 +5322,9 @@ function createOrchestrationRouter(context) {
       if (requireAttachedRoot(res, '/orchestration/plan-review', resolvedControlPlane)) {
         return;
       }
+      if (requireWithinBudget(res, '/orchestration/plan-review', { rootSessionId: resolvedControlPlane?.rootSessionId })) {
+        return;
+      }
       const executionControlPlane = projectExecutionControlPlane(resolvedControlPlane);
 
       const result = await runPlanReview(apiSessionManager || sessionManager, req.body, {
@@ -3897,9 +5360,102 @@ function createOrchestrationRouter(context) {
     }
   });
 
+  function prReviewError(status, code, message, extra = {}) {
+    return { status, error: { code, message, ...extra } };
+  }
+
+  /**
+   * Work out what a pr-review request reviews: an assignment branch
+   * (`assignmentId`, optionally with `taskId`), two git refs (`baseRef` and
+   * `headRef`) in `workspaceRoot` or the task workspace, or null when the
+   * caller supplies the PR content.
+   */
+  function resolvePrReviewSource(body) {
+    const taskId = String(body.taskId || '').trim() || null;
+    const assignmentId = String(body.assignmentId || '').trim() || null;
+    const hasRefs = Boolean(body.baseRef || body.headRef);
+    if (!assignmentId && !hasRefs) {
+      return { source: null, task: taskId && db?.getTask ? db.getTask(taskId) : null };
+    }
+    if ((assignmentId || taskId) && (!db?.getTask || !db?.getTaskAssignment)) {
+      return prReviewError(503, 'unavailable', 'task assignments are not configured');
+    }
+
+    let task = null;
+    let assignment = null;
+    if (assignmentId) {
+      assignment = db.getTaskAssignment(assignmentId);
+      if (!assignment || (taskId && assignment.taskId !== taskId)) {
+        return prReviewError(404, 'task_assignment_not_found', taskId
+          ? `Assignment ${assignmentId} not found for task ${taskId}`
+          : `Assignment ${assignmentId} not found`);
+      }
+      task = db.getTask(assignment.taskId);
+    } else if (taskId) {
+      task = db.getTask(taskId);
+      if (!task) {
+        return prReviewError(404, 'task_not_found', `Task ${taskId} not found`);
+      }
+    }
+
+    const refs = assignment
+      ? resolveAssignmentDiffRefs(assignment, { base: body.baseRef, head: body.headRef })
+      : { baseRef: String(body.baseRef || '').trim() || null, headRef: String(body.headRef || '').trim() || null };
+    if (assignment && (!refs.baseRef || !refs.headRef)) {
+      return prReviewError(409, 'assignment_branch_missing', `Assignment ${assignment.id} has no branch and base to review`);
+    }
+    if (!refs.baseRef || !refs.headRef) {
+      return prReviewError(400, 'missing_parameter', 'baseRef and headRef are required together', { param: 'baseRef|headRef' });
+    }
+    const optionLikeRef = findOptionLikeRef({ baseRef: refs.baseRef, headRef: refs.headRef });
+    if (optionLikeRef) {
+      return prReviewError(400, 'invalid_parameter', `${optionLikeRef[0]} must be a git ref`, { param: optionLikeRef[0] });
+    }
+    const workspaceRoot = String(body.workspaceRoot || '').trim()
+      || task?.workspaceRoot
+      || String(body.workingDirectory || '').trim()
+      || null;
+    if (!workspaceRoot) {
+      return prReviewError(400, 'missing_parameter', 'workspaceRoot is required to review git refs', { param: 'workspaceRoot' });
+    }
+
+    // Reviewers work in the assignment worktree when it is still on disk
+    const worktreePath = assignment?.worktreePath && fs.existsSync(assignment.worktreePath)
+      ? assignment.worktreePath
+      : null;
+    return {
+      task,
+      assignment,
+      source: {
+        workspaceRoot,
+        ...refs,
+        workDir: worktreePath || workspaceRoot
+      }
+    };
+  }
+
+  function recordAssignmentReview(assignmentId, review) {
+    const latest = db.getTaskAssignment(assignmentId);
+    return db.updateTaskAssignment(assignmentId, {
+      reviewStatus: review.verdict || review.status,
+      metadata: {
+        ...(latest?.metadata || {}),
+        review
+      },
+      updatedAt: Date.now()
+    });
+  }
+
   /**
    * POST /orchestration/pr-review
    * Run multi-agent pull request review using direct adapter sessions.
+   *
+   * Instead of `summary`/`diff`, the review input can be built from a branch:
+   * - assignmentId (+ optional taskId): review the assignment branch against
+   *   its base; the verdict and blockers are stored on the assignment
+   * - baseRef + headRef: review two refs in `workspaceRoot` (or the task
+   *   workspace when `taskId` is given)
+   * - maxDiffBytes: budget for patches included in the review input
    */
   router.post('/pr-review', async (req, res) => {
     try {
@@ -3913,6 +5469,37 @@ function createOrchestrationRouter(context) {
         sessionMetadata
       } = req.body || {};
 
+      const resolvedSource = resolvePrReviewSource(req.body || {});
+      if (resolvedSource.error) {
+        return res.status(resolvedSource.status).json({ error: resolvedSource.error });
+      }
+      const { task, assignment, source } = resolvedSource;
+      let reviewPayload = req.body || {};
+      let reviewInput = null;
+      if (source) {
+        try {
+          reviewInput = buildBranchReviewInput(source.workspaceRoot, source.baseRef, source.headRef, {
+            title: assignment
+              ? `Assignment ${assignment.id} (${assignment.role}) of task ${task?.title || assignment.taskId}`
+              : null,
+            description: assignment?.instructions || null,
+            context: reviewPayload.context || null,
+            maxDiffBytes: parseQueryInteger(reviewPayload.maxDiffBytes, null)
+          });
+        } catch (error) {
+          const status = error.code === 'diff_ref_not_found' ? 404 : 500;
+          return res.status(status).json({
+            error: { code: error.code || 'pr_review_input_failed', message: error.message }
+          });
+        }
+        reviewPayload = {
+          ...reviewPayload,
+          summary: reviewPayload.summary || reviewInput.summary,
+          diff: reviewPayload.diff || reviewInput.diff,
+          context: reviewInput.context
+        };
+      }
+
       const resolvedControlPlane = resolveRequestControlPlaneContext(req, {
         rootSessionId,
         parentSessionId,
@@ -3929,11 +5516,14 @@ function createOrchestrationRouter(context) {
       if (requireAttachedRoot(res, '/orchestration/pr-review', resolvedControlPlane)) {
         return;
       }
+      if (requireWithinBudget(res, '/orchestration/pr-review', { rootSessionId: resolvedControlPlane?.rootSessionId })) {
+        return;
+      }
       const executionControlPlane = projectExecutionControlPlane(resolvedControlPlane);
 
-      const result = await runPrReview(apiSessionManager || sessionManager, req.body, {
+      const result = await runPrReview(apiSessionManager || sessionManager, reviewPayload, {
         timeout,
-        workDir: workingDirectory,
+        workDir: workingDirectory || source?.workDir,
         runLedger: runLedgerWritesEnabled ? runLedger : null,
         db,
         sessionEventsEnabled: sessionGraphWritesEnabled && sessionEventsEnabled,
@@ -3941,11 +5531,39 @@ function createOrchestrationRouter(context) {
         parentSessionId: executionControlPlane.parentSessionId,
         originClient: executionControlPlane.originClient,
         externalSessionRef: executionControlPlane.externalSessionRef,
-        sessionMetadata: executionControlPlane.sessionMetadata
-      });
+        sessionMetadata: executionControlPlane.sessionMetadata,
+        taskId: task?.id || null,
+        runMetadata: reviewInput
+          ? {
+              taskAssignmentId: assignment?.id || null,
+              baseRef: reviewInput.source.baseRef,
+              headRef: reviewInput.source.headRef,
+              headSha: reviewInput.source.headSha
+            }
+          : undefined
+      });
+
+      let reviewedAssignment = null;
+      let review = null;
+      if (assignment) {
+        review = {
+          ...summarizeReviewDecision(result),
+          baseRef: reviewInput.source.baseRef,
+          headRef: reviewInput.source.headRef,
+          headSha: reviewInput.source.headSha,
+          mergeBaseSha: reviewInput.source.mergeBaseSha,
+          reviewedAt: Date.now()
+        };
+        reviewedAssignment = recordAssignmentReview(assignment.id, review);
+        db.updateTask(assignment.taskId, { updatedAt: Date.now() });
+      }
 
       res.json({
         ...result,
+        ...(reviewInput ? { reviewInput: reviewInput.source } : {}),
+        ...(reviewedAssignment
+          ? { review, assignment: buildTaskAssignmentPayload(reviewedAssignment) }
+          : {}),
         rootSessionId: resolvedControlPlane.rootSessionId || result.rootSessionId || null,
         attachedRoot: resolvedControlPlane.attachedRoot === true,
         reusedAttachedRoot: resolvedControlPlane.reusedAttachedRoot === true
@@ -4767,6 +6385,81 @@ function createOrchestrationRouter(context) {
     }
   });
 
+  /**
+   * GET /orchestration/usage/prices
+   * The model price table used to estimate usage cost.
+   */
+  router.get('/usage/prices', (req, res) => {
+    try {
+      if (typeof db?.getPriceTable !== 'function') {
+        return res.status(503).json({
+          error: { code: 'unavailable', message: 'usage cost estimation is not configured' }
+        });
+      }
+      const priceTable = db.getPriceTable();
+      res.json({
+        priceTableVersion: priceTable.getVersion(),
+        source: priceTable.configPath ? path.relative(process.cwd(), priceTable.configPath) : null,
+        prices: priceTable.listPrices().map((entry) => ({
+          ...entry,
+          effectiveFrom: new Date(entry.effectiveFrom).toISOString(),
+          effectiveUntil: entry.effectiveUntil === null ? null : new Date(entry.effectiveUntil).toISOString()
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+  });
+
+  /**
+   * POST /orchestration/usage/recompute-costs
+   * Re-estimate stored usage records with the current price table, optionally
+   * limited to a time range, adapter, root session, or task. Reported cost is
+   * left untouched. { dryRun: true } reports the change without writing it.
+   * Budgets covering the rewritten records are re-evaluated afterwards.
+   */
+  router.post('/usage/recompute-costs', (req, res) => {
+    try {
+      if (typeof db?.recomputeUsageCostEstimates !== 'function') {
+        return res.status(503).json({
+          error: { code: 'unavailable', message: 'usage cost estimation is not configured' }
+        });
+      }
+      const body = req.body || {};
+      const result = db.recomputeUsageCostEstimates({
+        since: parseUsageTime(body.since, 'since', { code: 'invalid_parameter' }),
+        until: parseUsageTime(body.until, 'until', { code: 'invalid_parameter' }),
+        adapter: body.adapter || undefined,
+        rootSessionId: body.rootSessionId || body.root_session_id || undefined,
+        taskId: body.taskId || body.task_id || undefined,
+        dryRun: body.dryRun === true || body.dry_run === true
+      });
+      const budgets = !result.dryRun && budgetService
+        ? budgetService.evaluateForScopes(result.affectedScopes)
+        : [];
+      res.json({
+        ...result,
+        budgets: budgets.map((budget) => ({
+          id: budget.id,
+          scopeType: budget.scopeType,
+          scopeId: budget.scopeId,
+          state: budget.state
+        }))
+      });
+    } catch (error) {
+      if (error.code === 'invalid_parameter') {
+        return res.status(400).json({
+          error: { code: error.code, message: error.message, param: error.param }
+        });
+      }
+      res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+  });
+
   function normalizeInputQueueKind(value) {
     const normalized = String(value || 'message').trim().toLowerCase();
     return ['message', 'approval', 'denial'].includes(normalized) ? normalized : 'message';
@@ -5639,6 +7332,10 @@ function createOrchestrationRouter(context) {
         forceFreshSession
       } = req.body;
 
+      if (requireWithinBudget(res, '/orchestration/terminals', { rootSessionId })) {
+        return;
+      }
+
       const terminal = await sessionManager.createTerminal({
         adapter,
         agentProfile,
@@ -5942,13 +7639,15 @@ function createOrchestrationRouter(context) {
           runtimeContract: typeof runtimeAdapter?.getContract === 'function'
             ? runtimeAdapter.getContract()
             : null,
-          defaultAllowedTools: configuredAdapter?.defaultAllowedTools || null
+          defaultAllowedTools: configuredAdapter?.defaultAllowedTools || null,
+          plugin: getAdapterPlugin(name)
         };
       }
 
       res.json({
         count: adapters.length,
-        adapters: adapterDetails
+        adapters: adapterDetails,
+        pluginErrors: getAdapterPluginReport().errors
       });
 
     } catch (error) {
@@ -6038,6 +7737,13 @@ function createOrchestrationRouter(context) {
     }
   });
 
+  /**
+   * GET /orchestration/events/stream
+   * Server-Sent Events feed of session events, filtered by root session, task,
+   * terminal, run, or event type. Resumes from Last-Event-ID.
+   */
+  router.get('/events/stream', eventStream);
+
   /**
    * GET /orchestration/session-events
    * Replay session control-plane events by root/session linkage.
@@ -6619,7 +8325,11 @@ function createOrchestrationRouter(context) {
       taskRouter = new TaskRouter(sessionManager, {
         apiSessionManager,
         adapterAuthInspector,
-        adapterReadinessService
+        adapterReadinessService,
+        workflowRegistry: context.workflowRegistry || null,
+        runLedger: runLedgerWritesEnabled ? runLedger : null,
+        budgetService,
+        db
       });
     }
     return taskRouter;
@@ -6691,6 +8401,9 @@ function createOrchestrationRouter(context) {
       if (requireAttachedRoot(res, '/orchestration/route', resolvedControlPlane)) {
         return;
       }
+      if (requireWithinBudget(res, '/orchestration/route', { rootSessionId: resolvedControlPlane?.rootSessionId })) {
+        return;
+      }
       const executionControlPlane = projectExecutionControlPlane(resolvedControlPlane);
 
       const router = getTaskRouter();
@@ -6808,6 +8521,10 @@ function createOrchestrationRouter(context) {
   /**
    * POST /orchestration/workflows/:name
    * Execute a predefined workflow
+   *
+   * Body:
+   * - wait: Wait for the workflow to finish (default: true). With wait=false the
+   *   route returns 202 with the execution status once the workflow has started.
    */
   router.post('/workflows/:name', async (req, res) => {
     try {
@@ -6853,10 +8570,13 @@ function createOrchestrationRouter(context) {
       if (requireAttachedRoot(res, `/orchestration/workflows/${name}`, resolvedControlPlane)) {
         return;
       }
+      if (requireWithinBudget(res, `/orchestration/workflows/${name}`, { rootSessionId: resolvedControlPlane?.rootSessionId })) {
+        return;
+      }
       const executionControlPlane = projectExecutionControlPlane(resolvedControlPlane);
 
       const router = getTaskRouter();
-      const result = await router.executeWorkflow(name, message, {
+      const workflowOptions = {
         model,
         modelsByAdapter,
         workDir: workingDirectory,
@@ -6869,15 +8589,21 @@ function createOrchestrationRouter(context) {
         sessionMetadata: executionControlPlane.sessionMetadata,
         preferReuse,
         forceFreshSession
-      });
-
-      res.json({
-        ...result,
+      };
+      const controlPlaneFields = {
         rootSessionId: resolvedControlPlane.rootSessionId || null,
         parentSessionId: resolvedControlPlane.parentSessionId || null,
         attachedRoot: resolvedControlPlane.attachedRoot === true,
         reusedAttachedRoot: resolvedControlPlane.reusedAttachedRoot === true
-      });
+      };
+
+      if (req.body.wait === false) {
+        const status = router.startWorkflow(name, message, workflowOptions);
+        return res.status(202).json({ ...status, ...controlPlaneFields });
+      }
+
+      const result = await router.executeWorkflow(name, message, workflowOptions);
+      res.json({ ...result, ...controlPlaneFields });
 
     } catch (error) {
       res.status(500).json({
@@ -6888,12 +8614,76 @@ function createOrchestrationRouter(context) {
 
   /**
    * GET /orchestration/workflows
-   * List available workflows
+   * List available workflows (built-in plus project/personal definition files).
+   * With includeErrors=1, returns { workflows, errors, directories } so callers can
+   * see definition files that failed validation.
    */
   router.get('/workflows', (req, res) => {
     try {
       const router = getTaskRouter();
-      res.json(router.getWorkflows());
+      const workflows = router.getWorkflows();
+      if (!parseQueryBoolean(req.query.includeErrors ?? req.query.include_errors, false)) {
+        return res.json(workflows);
+      }
+
+      res.json({
+        workflows,
+        errors: router.getWorkflowLoadErrors(),
+        directories: router.workflowRegistry.getDirectories()
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+  });
+
+  /**
+   * GET /orchestration/workflows/executions
+   * List persisted workflow executions, newest first
+   *
+   * Query params:
+   * - status: running | interrupted | completed | failed | cancelled (comma-separated)
+   * - workflow: Filter by workflow name
+   * - rootSessionId: Filter by root session
+   * - limit: Max results (default 50)
+   */
+  router.get('/workflows/executions', (req, res) => {
+    try {
+      const status = String(req.query.status || '')
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean);
+      const executions = getTaskRouter().listWorkflowExecutions({
+        status,
+        workflowName: req.query.workflow || null,
+        rootSessionId: req.query.rootSessionId || req.query.root_session_id || null,
+        limit: req.query.limit
+      });
+      res.json({ executions, count: executions.length });
+    } catch (error) {
+      res.status(500).json({
+        error: { code: 'internal_error', message: error.message }
+      });
+    }
+  });
+
+  /**
+   * GET /orchestration/workflows/:name/definition
+   * Get one resolved workflow definition including per-step role/adapter
+   */
+  router.get('/workflows/:name/definition', (req, res) => {
+    try {
+      const { name } = req.params;
+      const definition = getTaskRouter().getWorkflowDefinition(name);
+
+      if (!definition) {
+        return res.status(404).json({
+          error: { code: 'workflow_not_found', message: `Workflow ${name} not found` }
+        });
+      }
+
+      res.json(definition);
     } catch (error) {
       res.status(500).json({
         error: { code: 'internal_error', message: error.message }
@@ -6903,7 +8693,8 @@ function createOrchestrationRouter(context) {
 
   /**
    * GET /orchestration/workflows/:id/status
-   * Get workflow execution status
+   * Get workflow execution status, including executed steps and the
+   * branch/loop/goto/condition decisions taken so far
    */
   router.get('/workflows/:id/status', (req, res) => {
     try {
@@ -6926,6 +8717,77 @@ function createOrchestrationRouter(context) {
     }
   });
 
+  const sendWorkflowControlError = (res, error, workflowId) => {
+    if (error.code === 'not_found') {
+      return res.status(404).json({
+        error: { code: 'workflow_not_found', message: `Workflow ${workflowId} not found` }
+      });
+    }
+    if (['workflow_running', 'workflow_not_resumable', 'workflow_not_cancellable', 'workflow_cancelled'].includes(error.code)) {
+      return res.status(409).json({
+        error: { code: error.code, message: error.message }
+      });
+    }
+    if (error.code === 'workflow_store_unavailable') {
+      return res.status(503).json({
+        error: { code: error.code, message: error.message }
+      });
+    }
+    return res.status(500).json({
+      error: { code: 'workflow_error', message: error.message }
+    });
+  };
+
+  /**
+   * POST /orchestration/workflows/:id/resume
+   * Resume an interrupted, failed, or cancelled workflow execution from its
+   * last completed step.
+   *
+   * Body:
+   * - wait: Wait for the workflow to finish (default: true). With wait=false the
+   *   route returns 202 with the execution status once the resume has started.
+   * - reason: Optional operator note recorded on the run ledger
+   */
+  router.post('/workflows/:id/resume', async (req, res) => {
+    const { id } = req.params;
+    try {
+      const router = getTaskRouter();
+      const reason = typeof req.body?.reason === 'string' ? req.body.reason : null;
+      const tokenName = req.auth?.tokenName || null;
+
+      if (req.body?.wait === false) {
+        const status = router.startWorkflowResume(id, { reason, tokenName });
+        return res.status(202).json(status);
+      }
+
+      const result = await router.resumeWorkflow(id, { reason, tokenName });
+      res.json({
+        ...result,
+        resumeCount: router.getWorkflowStatus(id)?.resumeCount || null
+      });
+    } catch (error) {
+      sendWorkflowControlError(res, error, id);
+    }
+  });
+
+  /**
+   * POST /orchestration/workflows/:id/cancel
+   * Cancel a workflow execution. Running workflows stop before their next step.
+   *
+   * Body:
+   * - reason: Optional cancellation reason
+   */
+  router.post('/workflows/:id/cancel', (req, res) => {
+    const { id } = req.params;
+    try {
+      const reason = typeof req.body?.reason === 'string' ? req.body.reason : null;
+      const status = getTaskRouter().cancelWorkflow(id, { reason, tokenName: req.auth?.tokenName || null });
+      res.json(status);
+    } catch (error) {
+      sendWorkflowControlError(res, error, id);
+    }
+  });
+
   // ============================================
   // Skills System Endpoints
   // ============================================
@@ -0,0 +1,271 @@
+/**
+ * Tool Calling Emulation
+ *
+ * CLI agents have no native function-calling channel, so the compat layers
+ * describe the caller's tools in the system prompt and ask the agent to answer
+ * with a `<tool_calls>` block when it wants one run. The block is parsed back
+ * into structured calls; everything outside it is ordinary assistant text.
+ *
+ *   <tool_calls>
+ *   [{"name": "get_weather", "arguments": {"city": "Paris"}}]
+ *   </tool_calls>
+ *
+ * @license MIT
+ * @copyright 2025 cliagents contributors
+ */
+
+const crypto = require('crypto');
+
+const TOOL_CALLS_OPEN_TAG = '<tool_calls>';
+const TOOL_CALLS_CLOSE_TAG = '</tool_calls>';
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+function generateToolCallId() {
+  return `call_${crypto.randomBytes(12).toString('base64url')}`;
+}
+
+/**
+ * Validate OpenAI `tools` and return them as [{ name, description, parameters }].
+ * Returns null when no tools were given.
+ */
+function normalizeTools(tools) {
+  if (tools === undefined || tools === null) {
+    return null;
+  }
+  if (!Array.isArray(tools)) {
+    throw new Error('tools is invalid: expected an array');
+  }
+
+  const seen = new Set();
+  return tools.map((tool, index) => {
+    if (!tool || tool.type !== 'function' || !tool.function || typeof tool.function !== 'object') {
+      throw new Error(`tools[${index}] is invalid: only {"type":"function","function":{...}} tools are supported`);
+    }
+    const name = String(tool.function.name || '').trim();
+    if (!name) {
+      throw new Error(`tools[${index}].function.name is required`);
+    }
+    if (!TOOL_NAME_PATTERN.test(name)) {
+      throw new Error(`tools[${index}].function.name is invalid: use letters, digits, underscores, or dashes`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`tools[${index}].function.name is invalid: duplicate tool ${name}`);
+    }
+    seen.add(name);
+    return {
+      name,
+      description: String(tool.function.description || '').trim() || null,
+      parameters: tool.function.parameters && typeof tool.function.parameters === 'object'
+        ? tool.function.parameters
+        : { type: 'object', properties: {} }
+    };
+  });
+}
+
+/**
+ * Normalize OpenAI `tool_choice` to { mode: 'auto'|'none'|'required'|'function', name }.
+ */
+function normalizeToolChoice(toolChoice, tools) {
+  if (toolChoice === undefined || toolChoice === null) {
+    return { mode: tools && tools.length > 0 ? 'auto' : 'none', name: null };
+  }
+  if (typeof toolChoice === 'string') {
+    if (!['auto', 'none', 'required'].includes(toolChoice)) {
+      throw new Error(`tool_choice is invalid: ${toolChoice}`);
+    }
+    if (toolChoice !== 'none' && (!tools || tools.length === 0)) {
+      throw new Error(`tool_choice "${toolChoice}" is invalid without tools`);
+    }
+    return { mode: toolChoice, name: null };
+  }
+
+  const name = String(toolChoice?.function?.name || '').trim();
+  if (toolChoice?.type !== 'function' || !name) {
+    throw new Error('tool_choice is invalid: expected "auto", "none", "required", or {"type":"function","function":{"name":...}}');
+  }
+  if (!tools || !tools.some((tool) => tool.name === name)) {
+    throw new Error(`tool_choice is invalid: unknown tool ${name}`);
+  }
+  return { mode: 'function', name };
+}
+
+/**
+ * System prompt section that describes the tools and the reply protocol.
+ * Returns null when tools are off for this request.
+ */
+function buildToolInstructions(tools, toolChoice = { mode: 'auto' }, options = {}) {
+  if (!tools || tools.length === 0 || toolChoice.mode === 'none') {
+    return null;
+  }
+
+  const lines = [
+    'You can call the tools below. The caller runs them and sends back the results; you cannot run them yourself.',
+    '',
+    'Tools:'
+  ];
+  for (const tool of tools) {
+    lines.push(`- ${tool.name}${tool.description ? `: ${tool.description}` : ''}`);
+    lines.push(`  Parameters (JSON Schema): ${JSON.stringify(tool.parameters)}`);
+  }
+  lines.push(
+    '',
+    'To call tools, end your reply with a tool call block and write nothing after it:',
+    TOOL_CALLS_OPEN_TAG,
+    '[{"name": "<tool name>", "arguments": {<arguments matching the tool parameters>}}]',
+    TOOL_CALLS_CLOSE_TAG,
+    options.parallelToolCalls === false
+      ? 'Call at most one tool per reply.'
+      : 'List several calls in the array to run them in parallel.',
+    'Tool results come back in later messages as "Tool result". Without a tool call block your reply is the final answer.'
+  );
+  if (toolChoice.mode === 'required') {
+    lines.push('You must call at least one tool in this reply.');
+  } else if (toolChoice.mode === 'function') {
+    lines.push(`You must call the tool ${toolChoice.name} in this reply.`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render earlier assistant tool calls the same way the agent is asked to
+ * write them, so multi-turn transcripts stay consistent.
+ */
+function formatToolCallBlock(toolCalls) {
+  const calls = toolCalls.map((call) => {
+    let args = call.function?.arguments ?? call.arguments ?? {};
+    if (typeof args === 'string') {
+      try {
+        args = JSON.parse(args);
+      } catch {}
+    }
+    return { name: call.function?.name || call.name, arguments: args };
+  });
+  return `${TOOL_CALLS_OPEN_TAG}\n${JSON.stringify(calls)}\n${TOOL_CALLS_CLOSE_TAG}`;
+}
+
+function stripCodeFence(text) {
+  const fenced = text.trim().match(/^```[a-zA-Z]*\s*\n?([\s\S]*?)\n?```$/);
+  return fenced ? fenced[1].trim() : text.trim();
+}
+
+function parseToolCallBlock(blockText, tools, options = {}) {
+  let parsed;
+  try {
+    parsed = JSON.parse(stripCodeFence(blockText));
+  } catch {
+    return null;
+  }
+  if (parsed && !Array.isArray(parsed) && Array.isArray(parsed.tool_calls)) {
+    parsed = parsed.tool_calls;
+  }
+  const entries = Array.isArray(parsed) ? parsed : [parsed];
+  const known = new Set((tools || []).map((tool) => tool.name));
+
+  const toolCalls = [];
+  for (const entry of entries) {
+    const name = String(entry?.name || entry?.function?.name || '').trim();
+    if (!known.has(name)) {
+      continue;
+    }
+    let args = entry.arguments ?? entry.function?.arguments ?? entry.parameters ?? {};
+    if (typeof args === 'string') {
+      try {
+        args = JSON.parse(args || '{}');
+      } catch {
+        continue;
+      }
+    }
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      continue;
+    }
+    toolCalls.push({
+      id: generateToolCallId(),
+      type: 'function',
+      function: { name, arguments: JSON.stringify(args) }
+    });
+  }
+
+  if (toolCalls.length === 0) {
+    return null;
+  }
+  return options.parallelToolCalls === false ? toolCalls.slice(0, 1) : toolCalls;
+}
+
+/**
+ * Split an agent reply into assistant text and OpenAI-style tool calls.
+ * Blocks that do not parse or name no known tool are left in the text.
+ *
+ * @returns {{ content: string|null, toolCalls: Array }}
+ */
+function parseToolCalls(text, tools, options = {}) {
+  const source = typeof text === 'string' ? text : '';
+  const start = source.indexOf(TOOL_CALLS_OPEN_TAG);
+  if (start === -1 || !tools || tools.length === 0) {
+    return { content: source, toolCalls: [] };
+  }
+  const bodyStart = start + TOOL_CALLS_OPEN_TAG.length;
+  const end = source.indexOf(TOOL_CALLS_CLOSE_TAG, bodyStart);
+  const toolCalls = parseToolCallBlock(source.slice(bodyStart, end === -1 ? undefined : end), tools, options);
+  if (!toolCalls) {
+    return { content: source, toolCalls: [] };
+  }
+  const content = source.slice(0, start).trim();
+  return { content: content || null, toolCalls };
+}
+
+/**
+ * Incremental parser for streamed replies. `push` returns the text that is
+ * safe to forward: everything before a tool call block, holding back a tail
+ * that could be the start of one. `finish` returns the rest of the text and
+ * the parsed tool calls.
+ */
+class ToolCallStreamParser {
+  constructor(tools, options = {}) {
+    this.tools = tools;
+    this.options = options;
+    this.text = '';
+    this.emitted = 0;
+  }
+
+  push(delta) {
+    this.text += delta || '';
+    const blockStart = this.text.indexOf(TOOL_CALLS_OPEN_TAG);
+    let safeEnd = blockStart === -1 ? this.text.length : blockStart;
+    if (blockStart === -1) {
+      for (let length = Math.min(TOOL_CALLS_OPEN_TAG.length - 1, this.text.length); length > 0; length -= 1) {
+        if (TOOL_CALLS_OPEN_TAG.startsWith(this.text.slice(-length))) {
+          safeEnd = this.text.length - length;
+          break;
+        }
+      }
+    }
+    if (safeEnd <= this.emitted) {
+      return '';
+    }
+    const safe = this.text.slice(this.emitted, safeEnd);
+    this.emitted = safeEnd;
+    return safe;
+  }
+
+  finish() {
+    const { toolCalls } = parseToolCalls(this.text, this.tools, this.options);
+    if (toolCalls.length > 0) {
+      return { content: '', toolCalls };
+    }
+    const rest = this.text.slice(this.emitted);
+    this.emitted = this.text.length;
+    return { content: rest, toolCalls: [] };
+  }
+}
+
+module.exports = {
+  TOOL_CALLS_OPEN_TAG,
+  TOOL_CALLS_CLOSE_TAG,
+  ToolCallStreamParser,
+  buildToolInstructions,
+  formatToolCallBlock,
+  generateToolCallId,
+  normalizeToolChoice,
+  normalizeTools,
+  parseToolCalls
+};
@@ -0,0 +1,384 @@
+/**
+ * WebSocket Topic Subscriptions
+ *
+ * Lets /ws clients narrow orchestration traffic to `root:<id>`,
+ * `terminal:<id>`, `task:<id>` and `room:<id>` topics. Clients that never
+ * subscribe keep the original behaviour and receive every orchestration
+ * event. Subscribed clients also receive the durable session events of their
+ * topics, keyed by the session_events rowid (`seq`), so a reconnecting client
+ * can subscribe with `since: <last seq>` and replay what it missed.
+ *
+ * Backpressure is tracked per client: once a socket's send buffer passes the
+ * high-water mark, live events for it are dropped (and counted) and session
+ * event polling pauses. When the buffer drains, the client gets a `dropped`
+ * notice and session events resume from its cursor, so none of those are lost.
+ */
+
+const { toStreamEvent } = require('./event-stream');
+
+const TOPIC_KINDS = Object.freeze(['root', 'terminal', 'task', 'room']);
+const TOPIC_PATTERN = /^(root|terminal|task|room):(.+)$/;
+const MAX_TOPICS_PER_CLIENT = 100;
+const DEFAULT_POLL_INTERVAL_MS = 500;
+const DEFAULT_HIGH_WATER_MARK = 1024 * 1024;
+const POLL_BATCH_SIZE = 200;
+const WS_OPEN = 1;
+
+/**
+ * Validate and normalize a list of topic strings.
+ *
+ * @param {*} topics
+ * @returns {string[]} Unique `kind:id` topics
+ */
+function parseTopics(topics) {
+  const list = Array.isArray(topics) ? topics : [topics];
+  const parsed = new Set();
+  for (const entry of list) {
+    const match = typeof entry === 'string' ? entry.trim().match(TOPIC_PATTERN) : null;
+    const id = match ? match[2].trim() : '';
+    if (!id) {
+      throw new Error(`Invalid topic ${JSON.stringify(entry)}; expected one of ${TOPIC_KINDS.map((kind) => `${kind}:<id>`).join(', ')}`);
+    }
+    parsed.add(`${match[1]}:${id}`);
+  }
+  return Array.from(parsed);
+}
+
+// Terminals named by an orchestration event (terminal and inbox events)
+function eventTerminalIds(data = {}) {
+  return [data.terminalId, data.senderId, data.receiverId]
+    .filter((value) => typeof value === 'string' && value);
+}
+
+class WebSocketTopicHub {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getDb - Returns the orchestration DB, or null
+   *   while orchestration is disabled (only terminal topics match live events then)
+   * @param {number} [options.pollIntervalMs]
+   * @param {number} [options.highWaterMark] - Buffered bytes before a client counts as lagging
+   * @param {number} [options.lowWaterMark] - Buffered bytes below which a lagging client resumes
+   * @param {Object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.getDb = typeof options.getDb === 'function' ? options.getDb : () => null;
+    this.pollIntervalMs = options.pollIntervalMs
+      || Number.parseInt(process.env.CLIAGENTS_EVENT_STREAM_POLL_MS || '', 10)
+      || DEFAULT_POLL_INTERVAL_MS;
+    this.highWaterMark = options.highWaterMark || DEFAULT_HIGH_WATER_MARK;
+    this.lowWaterMark = options.lowWaterMark ?? Math.floor(this.highWaterMark / 4);
+    this.logger = options.logger || console;
+    this.clients = new Map(); // ws -> client state
+    this.terminalRoots = new Map(); // terminalId -> root session id (or null)
+  }
+
+  attach(ws) {
+    const state = {
+      ws,
+      subscribed: false,
+      topics: new Set(),
+      scope: { rootSessionIds: [], sessionIds: [], topicsByRoot: new Map() },
+      cursor: null,
+      lagging: false,
+      dropped: 0,
+      pollTimer: null
+    };
+    this.clients.set(ws, state);
+    return state;
+  }
+
+  detach(ws) {
+    const state = this.clients.get(ws);
+    if (state) {
+      clearTimeout(state.pollTimer);
+      this.clients.delete(ws);
+    }
+  }
+
+  /**
+   * Add topics for a client. `since` sets the session event cursor (replay
+   * everything after that seq); otherwise a first subscription starts at the tail.
+   *
+   * @returns {{ topics: string[], cursor: number|null }}
+   */
+  subscribe(ws, topics, options = {}) {
+    const state = this.clients.get(ws) || this.attach(ws);
+    const parsed = parseTopics(topics);
+    if (parsed.length === 0) {
+      throw new Error('topics must list at least one topic');
+    }
+    const since = options.since;
+    if (since !== undefined && since !== null && !(Number.isInteger(since) && since >= 0)) {
+      throw new Error('since must be a non-negative integer');
+    }
+    const merged = new Set([...state.topics, ...parsed]);
+    if (merged.size > MAX_TOPICS_PER_CLIENT) {
+      throw new Error(`A client may subscribe to at most ${MAX_TOPICS_PER_CLIENT} topics`);
+    }
+
+    const db = this.getDb();
+    if (Number.isInteger(since)) {
+      if (typeof db?.listSessionEventStream !== 'function') {
+        throw new Error('Replay requires session event storage, which is not configured');
+      }
+      state.cursor = since;
+    } else if (state.cursor === null && typeof db?.getLatestSessionEventStreamId === 'function') {
+      state.cursor = db.getLatestSessionEventStreamId();
+    }
+
+    state.subscribed = true;
+    state.topics = merged;
+    this._refreshScope(state);
+    this._schedulePoll(state, 0);
+    return { topics: Array.from(state.topics), cursor: state.cursor };
+  }
+
+  /**
+   * Remove topics (all of them when none are given). The client stays in
+   * filtered mode, so an empty subscription receives nothing.
+   *
+   * @returns {{ topics: string[] }}
+   */
+  unsubscribe(ws, topics) {
+    const state = this.clients.get(ws);
+    if (!state) {
+      return { topics: [] };
+    }
+    const removed = topics === undefined || topics === null ? Array.from(state.topics) : parseTopics(topics);
+    for (const topic of removed) {
+      state.topics.delete(topic);
+    }
+    this._refreshScope(state);
+    if (state.topics.size === 0) {
+      clearTimeout(state.pollTimer);
+      state.pollTimer = null;
+    }
+    return { topics: Array.from(state.topics) };
+  }
+
+  /**
+   * Deliver an orchestration event to unsubscribed clients and to subscribed
+   * clients whose topics it touches.
+   */
+  publish(type, data = {}) {
+    if (this.clients.size === 0) {
+      return;
+    }
+    const base = { type: `orchestration:${type}`, ...data, timestamp: Date.now() };
+    const broadcast = JSON.stringify(base);
+    const terminals = eventTerminalIds(data);
+    let roots = null;
+
+    for (const state of this.clients.values()) {
+      if (!state.subscribed) {
+        this._sendLive(state, broadcast);
+        continue;
+      }
+      if (state.topics.size === 0) {
+        continue;
+      }
+      if (roots === null) {
+        roots = this._resolveEventRoots(data, terminals);
+      }
+      const topics = this._matchTopics(state, roots, terminals);
+      if (topics.length > 0) {
+        this._sendLive(state, JSON.stringify({ ...base, topics }));
+      }
+    }
+
+    if (type === 'terminal-destroyed' && data.terminalId) {
+      this.terminalRoots.delete(data.terminalId);
+    }
+  }
+
+  stop() {
+    for (const state of this.clients.values()) {
+      clearTimeout(state.pollTimer);
+    }
+    this.clients.clear();
+    this.terminalRoots.clear();
+  }
+
+  _resolveEventRoots(data, terminals) {
+    const roots = new Set();
+    if (typeof data.rootSessionId === 'string' && data.rootSessionId) {
+      roots.add(data.rootSessionId);
+    }
+    const db = this.getDb();
+    for (const terminalId of terminals) {
+      let root = this.terminalRoots.get(terminalId) || null;
+      if (!root) {
+        try {
+          root = db?.getTerminal?.(terminalId)?.root_session_id || null;
+        } catch (error) {
+          this.logger.warn(`[ws-topics] Failed to resolve root for ${terminalId}: ${error.message}`);
+        }
+        // Only resolved roots are cached; the root may be recorded later
+        if (root) {
+          this.terminalRoots.set(terminalId, root);
+        }
+      }
+      if (root) {
+        roots.add(root);
+      }
+    }
+    return roots;
+  }
+
+  _matchTopics(state, roots, terminals) {
+    const topics = new Set();
+    for (const terminalId of terminals) {
+      if (state.topics.has(`terminal:${terminalId}`)) {
+        topics.add(`terminal:${terminalId}`);
+      }
+    }
+    for (const root of roots) {
+      for (const topic of state.scope.topicsByRoot.get(root) || []) {
+        topics.add(topic);
+      }
+    }
+    return Array.from(topics);
+  }
+
+  // Resolve root, task and room topics to root session ids
+  _refreshScope(state) {
+    const db = this.getDb();
+    const topicsByRoot = new Map();
+    const sessionIds = [];
+    const addRoot = (root, topic) => {
+      if (!root) {
+        return;
+      }
+      if (!topicsByRoot.has(root)) {
+        topicsByRoot.set(root, []);
+      }
+      topicsByRoot.get(root).push(topic);
+    };
+
+    for (const topic of state.topics) {
+      const [, kind, id] = topic.match(TOPIC_PATTERN);
+      try {
+        if (kind === 'root') {
+          addRoot(id, topic);
+        } else if (kind === 'terminal') {
+          sessionIds.push(id);
+        } else if (kind === 'task' && typeof db?.listTaskRootSessionIds === 'function') {
+          for (const root of db.listTaskRootSessionIds(id)) {
+            addRoot(root, topic);
+          }
+        } else if (kind === 'room' && typeof db?.getRoom === 'function') {
+          addRoot(db.getRoom(id)?.rootSessionId, topic);
+        }
+      } catch (error) {
+        this.logger.warn(`[ws-topics] Failed to resolve ${topic}: ${error.message}`);
+      }
+    }
+
+    state.scope = {
+      rootSessionIds: Array.from(topicsByRoot.keys()),
+      sessionIds,
+      topicsByRoot
+    };
+  }
+
+  _schedulePoll(state, delayMs = this.pollIntervalMs) {
+    clearTimeout(state.pollTimer);
+    state.pollTimer = setTimeout(() => this._poll(state), delayMs);
+  }
+
+  _poll(state) {
+    state.pollTimer = null;
+    if (this.clients.get(state.ws) !== state || state.topics.size === 0) {
+      return;
+    }
+    if (state.ws.readyState !== WS_OPEN) {
+      this._schedulePoll(state);
+      return;
+    }
+    this._checkDrained(state);
+
+    const db = this.getDb();
+    if (!state.lagging && state.cursor !== null && typeof db?.listSessionEventStream === 'function') {
+      try {
+        // Tasks gain roots as runs and rooms are created
+        this._refreshScope(state);
+        this._deliverSessionEvents(state, db);
+      } catch (error) {
+        this.logger.warn(`[ws-topics] Session event poll failed: ${error.message}`);
+      }
+    }
+    this._schedulePoll(state);
+  }
+
+  _deliverSessionEvents(state, db) {
+    const { rootSessionIds, sessionIds, topicsByRoot } = state.scope;
+    if (rootSessionIds.length === 0 && sessionIds.length === 0) {
+      return;
+    }
+    let rows;
+    do {
+      rows = db.listSessionEventStream({
+        rootSessionIds,
+        sessionIds,
+        matchAny: true,
+        afterStreamId: state.cursor,
+        limit: POLL_BATCH_SIZE
+      });
+      for (const row of rows) {
+        const topics = [...(topicsByRoot.get(row.root_session_id) || [])];
+        if (state.topics.has(`terminal:${row.session_id}`)) {
+          topics.push(`terminal:${row.session_id}`);
+        }
+        state.ws.send(JSON.stringify({
+          type: 'session_event',
+          seq: row.stream_id,
+          topics,
+          event: toStreamEvent(row)
+        }));
+        state.cursor = row.stream_id;
+        if (state.ws.bufferedAmount > this.highWaterMark) {
+          // The rest is read from the cursor once the socket drains
+          state.lagging = true;
+          return;
+        }
+      }
+    } while (rows.length === POLL_BATCH_SIZE);
+  }
+
+  _sendLive(state, message) {
+    if (state.ws.readyState !== WS_OPEN) {
+      return;
+    }
+    this._checkDrained(state);
+    if (state.lagging) {
+      state.dropped += 1;
+      return;
+    }
+    state.ws.send(message);
+    if (state.ws.bufferedAmount > this.highWaterMark) {
+      state.lagging = true;
+    }
+  }
+
+  _checkDrained(state) {
+    if (!state.lagging || state.ws.bufferedAmount > this.lowWaterMark) {
+      return;
+    }
+    state.lagging = false;
+    if (state.dropped > 0) {
+      state.ws.send(JSON.stringify({
+        type: 'dropped',
+        count: state.dropped,
+        cursor: state.cursor,
+        timestamp: Date.now()
+      }));
+      state.dropped = 0;
+    }
+  }
+}
+
+module.exports = {
+  TOPIC_KINDS,
+  WebSocketTopicHub,
+  parseTopics
+};
@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * Model price table
+ *
+ * Loads per adapter/model token prices from config/model-pricing.json (or
+ * CLIAGENTS_PRICE_TABLE) and estimates the USD cost of a usage record. The
+ * table is versioned: `_meta.version`, or a content hash when the file does
+ * not set one, is stamped on every estimate so history can be recomputed
+ * after the table changes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const RATE_FIELDS = Object.freeze([
+  'inputPerMillion',
+  'cachedInputPerMillion',
+  'outputPerMillion',
+  'reasoningPerMillion'
+]);
+
+function parseEffectiveDate(value, field, index) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const parsed = typeof value === 'number' ? value : Date.parse(String(value));
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`prices[${index}].${field} must be a date`);
+  }
+  return parsed;
+}
+
+function normalizePriceEntry(entry, index) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`prices[${index}] must be an object`);
+  }
+  const adapter = String(entry.adapter || '').trim();
+  if (!adapter) {
+    throw new Error(`prices[${index}].adapter is required`);
+  }
+  const model = String(entry.model || '*').trim() || '*';
+  const rates = {};
+  for (const field of RATE_FIELDS) {
+    if (entry[field] === undefined || entry[field] === null) {
+      rates[field] = null;
+      continue;
+    }
+    const rate = Number(entry[field]);
+    if (!Number.isFinite(rate) || rate < 0) {
+      throw new Error(`prices[${index}].${field} must be a non-negative number`);
+    }
+    rates[field] = rate;
+  }
+  if (rates.inputPerMillion === null && rates.outputPerMillion === null) {
+    throw new Error(`prices[${index}] needs inputPerMillion or outputPerMillion`);
+  }
+  const effectiveFrom = parseEffectiveDate(entry.effectiveFrom, 'effectiveFrom', index) ?? 0;
+  const effectiveUntil = parseEffectiveDate(entry.effectiveUntil, 'effectiveUntil', index);
+  if (effectiveUntil !== null && effectiveUntil <= effectiveFrom) {
+    throw new Error(`prices[${index}].effectiveUntil must be after effectiveFrom`);
+  }
+  return {
+    id: `${adapter}:${model}@${new Date(effectiveFrom).toISOString().slice(0, 10)}`,
+    adapter,
+    model,
+    ...rates,
+    effectiveFrom,
+    effectiveUntil
+  };
+}
+
+/**
+ * How specifically an entry's model pattern matches; -1 when it does not.
+ * Exact names beat prefixes, longer prefixes beat shorter ones, `*` is last.
+ */
+function modelMatchRank(pattern, model) {
+  const normalizedModel = String(model || '').trim().toLowerCase();
+  const normalizedPattern = pattern.toLowerCase();
+  if (normalizedPattern === '*') {
+    return 0;
+  }
+  if (!normalizedModel) {
+    return -1;
+  }
+  if (normalizedPattern.endsWith('*')) {
+    const prefix = normalizedPattern.slice(0, -1);
+    return normalizedModel.startsWith(prefix) ? 1 + prefix.length : -1;
+  }
+  return normalizedPattern === normalizedModel ? 10000 : -1;
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+class ModelPriceTable {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.configPath = options.configPath
+      || env.CLIAGENTS_PRICE_TABLE
+      || path.join(process.cwd(), 'config', 'model-pricing.json');
+    this.version = null;
+    this.prices = [];
+    this.lastModified = 0;
+    if (options.table) {
+      this._apply(options.table, JSON.stringify(options.table));
+      this.configPath = null;
+    } else {
+      this.reload();
+    }
+  }
+
+  /**
+   * Re-read the config file when it changed on disk. An invalid table throws
+   * and leaves the previously loaded prices in place.
+   */
+  reload() {
+    if (!this.configPath) {
+      return;
+    }
+    let stats;
+    try {
+      stats = fs.statSync(this.configPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.version = null;
+        this.prices = [];
+        this.lastModified = 0;
+        return;
+      }
+      throw error;
+    }
+    if (stats.mtimeMs <= this.lastModified) {
+      return;
+    }
+    const content = fs.readFileSync(this.configPath, 'utf8');
+    try {
+      this._apply(JSON.parse(content), content);
+    } catch (error) {
+      throw new Error(`Invalid price table ${this.configPath}: ${error.message}`);
+    }
+    this.lastModified = stats.mtimeMs;
+  }
+
+  _apply(config, content) {
+    const prices = Array.isArray(config?.prices) ? config.prices : null;
+    if (!prices) {
+      throw new Error('prices must be an array');
+    }
+    this.prices = prices.map(normalizePriceEntry);
+    this.version = String(config._meta?.version || '').trim()
+      || crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+  }
+
+  getVersion() {
+    this.reload();
+    return this.version;
+  }
+
+  listPrices() {
+    this.reload();
+    return this.prices.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Price entry in effect for an adapter/model at a point in time
+   */
+  findPrice({ adapter, model, at = Date.now() } = {}) {
+    this.reload();
+    const normalizedAdapter = String(adapter || '').trim();
+    let best = null;
+    let bestRank = -1;
+    for (const entry of this.prices) {
+      if (entry.adapter !== normalizedAdapter && entry.adapter !== '*') {
+        continue;
+      }
+      if (at < entry.effectiveFrom || (entry.effectiveUntil !== null && at >= entry.effectiveUntil)) {
+        continue;
+      }
+      const modelRank = modelMatchRank(entry.model, model);
+      if (modelRank < 0) {
+        continue;
+      }
+      const rank = modelRank * 2 + (entry.adapter === normalizedAdapter ? 1 : 0);
+      if (rank > bestRank || (rank === bestRank && entry.effectiveFrom > best.effectiveFrom)) {
+        best = entry;
+        bestRank = rank;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Estimated USD cost of one usage record, or null when no price applies.
+   * Cached input is billed at the cached rate (the input rate when unset)
+   * and the rest of the input at the input rate.
+   */
+  estimate(record = {}) {
+    const price = this.findPrice({
+      adapter: record.adapter,
+      model: record.model,
+      at: Number.isFinite(record.createdAt) ? record.createdAt : Date.now()
+    });
+    if (!price) {
+      return { estimatedCostUsd: null, priceId: null, version: this.version };
+    }
+    const inputTokens = Math.max(0, Number(record.inputTokens) || 0);
+    const cachedInputTokens = Math.min(inputTokens, Math.max(0, Number(record.cachedInputTokens) || 0));
+    const inputRate = price.inputPerMillion ?? 0;
+    const cost = (inputTokens - cachedInputTokens) * inputRate
+      + cachedInputTokens * (price.cachedInputPerMillion ?? inputRate)
+      + Math.max(0, Number(record.outputTokens) || 0) * (price.outputPerMillion ?? 0)
+      + Math.max(0, Number(record.reasoningTokens) || 0) * (price.reasoningPerMillion ?? 0);
+    return {
+      estimatedCostUsd: roundUsd(cost / 1e6),
+      priceId: price.id,
+      version: this.version
+    };
+  }
+}
+
+let instance = null;
+
+function getModelPriceTable(options = {}) {
+  if (!instance) {
+    instance = new ModelPriceTable(options);
+  }
+  return instance;
+}
+
+module.exports = {
+  ModelPriceTable,
+  getModelPriceTable
+};
@@ -58,6 +58,15 @@ class ModelRoutingService {
     return this.rawConfig.adapters?.[adapter] || null;
   }
 
+  /**
+   * Raw `modelAliases` section, or null when the config does not define one.
+   */
+  getModelAliases() {
+    this.reload();
+    const aliases = this.rawConfig.modelAliases;
+    return aliases && typeof aliases === 'object' && !Array.isArray(aliases) ? aliases : null;
+  }
+
   _normalizeTaskKey({ role, taskType }) {
     const raw = String(taskType || role || 'default').trim().toLowerCase();
     return TASK_KEY_ALIASES[raw] || raw || 'default';
@@ -23,13 +23,20 @@ const DETECTOR_REGISTRY = {
 
 const ACTIVE_DETECTOR_ADAPTERS = [...MANAGED_ROOT_ADAPTERS];
 
+// Adapters outside the managed-root surface that registered a detector (adapter plugins)
+const CUSTOM_DETECTOR_ADAPTERS = new Set();
+
+function isActiveDetectorAdapter(adapter) {
+  return ACTIVE_DETECTOR_ADAPTERS.includes(adapter) || CUSTOM_DETECTOR_ADAPTERS.has(adapter);
+}
+
 /**
  * Create a status detector for the given adapter
  * @param {string} adapter - Adapter name
  * @returns {BaseStatusDetector} - Status detector instance
  */
 function createDetector(adapter) {
-  if (!ACTIVE_DETECTOR_ADAPTERS.includes(adapter)) {
+  if (!isActiveDetectorAdapter(adapter)) {
     console.warn(`No active status detector for adapter: ${adapter}. Using base detector.`);
     return new BaseStatusDetector();
   }
@@ -49,7 +56,7 @@ function createDetector(adapter) {
  * @returns {Array<string>}
  */
 function getSupportedAdapters() {
-  return [...ACTIVE_DETECTOR_ADAPTERS];
+  return [...ACTIVE_DETECTOR_ADAPTERS, ...CUSTOM_DETECTOR_ADAPTERS];
 }
 
 /**
@@ -58,7 +65,7 @@ function getSupportedAdapters() {
  * @returns {boolean}
  */
 function hasDetector(adapter) {
-  return ACTIVE_DETECTOR_ADAPTERS.includes(adapter);
+  return isActiveDetectorAdapter(adapter);
 }
 
 /**
@@ -68,6 +75,9 @@ function hasDetector(adapter) {
  */
 function registerDetector(adapter, DetectorClass) {
   DETECTOR_REGISTRY[adapter] = DetectorClass;
+  if (!ACTIVE_DETECTOR_ADAPTERS.includes(adapter)) {
+    CUSTOM_DETECTOR_ADAPTERS.add(adapter);
+  }
 }
 
 /**
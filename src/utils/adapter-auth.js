@@ -9,6 +9,8 @@ const { spawn, execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { getConfiguredAdapterDefinition } = require('../adapters/configured-adapters');
+const { getAdapterPluginAuthState } = require('../adapters/adapter-plugins');
 
 const QWEN_OAUTH_DISCONTINUED_REASON =
   'Qwen OAuth was discontinued upstream on 2026-04-15. Run "qwen auth" and switch to API Key or Coding Plan.';
@@ -494,10 +496,36 @@ function spawnInteractiveLogin(adapterName) {
  * This is a fast, synchronous check that doesn't spawn processes.
  * For definitive verification, use testAdapterAuth() instead.
  */
+/**
+ * Auth state for an adapter registered from config/adapters.json: its key
+ * env var when one is configured, otherwise what the class can tell.
+ */
+function getConfiguredAdapterAuthState(definition) {
+  if (definition.apiKeyEnv) {
+    return checkEnvVar(definition.apiKeyEnv)
+      ? { authenticated: true, reason: `${definition.apiKeyEnv} is set` }
+      : { authenticated: false, reason: `${definition.apiKeyEnv} is not set` };
+  }
+  if (definition.className === 'openai-compat') {
+    return { authenticated: true, reason: 'No API key configured (keyless endpoint)' };
+  }
+  if (definition.className === 'gemini-api') {
+    const envVar = ['GEMINI_API_KEY', 'GOOGLE_API_KEY', 'GOOGLE_CLOUD_PROJECT'].find((name) => checkEnvVar(name));
+    return envVar
+      ? { authenticated: true, reason: `${envVar} is set` }
+      : { authenticated: false, reason: 'Set GEMINI_API_KEY or GOOGLE_CLOUD_PROJECT for the Gemini API' };
+  }
+  return { authenticated: null, reason: `Authentication for ${definition.className} is managed by its CLI and not checked by the broker` };
+}
+
 function isAdapterAuthenticated(adapterName) {
   const config = ADAPTER_AUTH_CONFIG[adapterName];
   if (!config) {
-    return { authenticated: false, reason: 'Unknown adapter' };
+    const definition = getConfiguredAdapterDefinition(adapterName);
+    if (definition) {
+      return getConfiguredAdapterAuthState(definition);
+    }
+    return getAdapterPluginAuthState(adapterName) || { authenticated: false, reason: 'Unknown adapter' };
   }
 
   switch (adapterName) {
@@ -49,6 +49,11 @@ const ErrorCodes = {
     status: 403,
     message: 'Authentication failed'
   },
+  INSUFFICIENT_SCOPE: {
+    code: 'insufficient_scope',
+    status: 403,
+    message: 'The API token does not grant access to this route'
+  },
 
   // Server errors (5xx)
   INTERNAL_ERROR: {
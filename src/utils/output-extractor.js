@@ -562,6 +562,16 @@ function getStatusMarkers(adapter) {
   };
 }
 
+/**
+ * Register the extraction strategy for an adapter (adapter plugins)
+ *
+ * @param {string} adapter - Adapter name
+ * @param {Object} strategy - { extract(output), stableMarkers?, runningMarkers?, errorMarkers? }
+ */
+function registerOutputStrategy(adapter, strategy) {
+  ADAPTER_STRATEGIES[adapter] = strategy;
+}
+
 /**
  * Get list of supported adapters
  * @returns {string[]} - Array of adapter names
@@ -575,5 +585,6 @@ module.exports = {
   stripAnsiCodes,
   getStatusMarkers,
   getSupportedAdapters,
+  registerOutputStrategy,
   ADAPTER_STRATEGIES
 };
@@ -0,0 +1,467 @@
+/**
+ * Simple YAML Parser
+ *
+ * Parses the YAML subset used by broker config files (workflow definitions and
+ * similar declarative documents) without pulling in a full YAML dependency.
+ *
+ * Supported:
+ * - Block mappings and block sequences (including `- key: value` items)
+ * - Plain, single-quoted, and double-quoted scalars
+ * - Booleans, null (`null`, `~`), integers, and floats
+ * - Flow sequences `[a, b]` and flow mappings `{ a: 1 }`
+ * - Literal (`|`) and folded (`>`) block scalars with `-`/`+` chomping
+ * - `#` comments and a leading `---` document marker
+ *
+ * Not supported: anchors/aliases, tags, multi-document streams, complex keys.
+ */
+
+class YamlParseError extends Error {
+  constructor(message, lineNumber = null) {
+    super(lineNumber ? `${message} (line ${lineNumber})` : message);
+    this.name = 'YamlParseError';
+    this.lineNumber = lineNumber;
+  }
+}
+
+// A quote opens a quoted scalar only where a scalar can start: at the start of
+// the line or after `key: `, `- `, `[`, `{`, or `,`. Anywhere else it belongs
+// to a plain scalar, as in `don't`.
+function opensQuotedScalar(text, index) {
+  const before = text.slice(0, index).trimEnd();
+  if (before === '') {
+    return true;
+  }
+  const last = before[before.length - 1];
+  if (last === '[' || last === '{' || last === ',') {
+    return true;
+  }
+  return (last === ':' || last === '-') && before.length < index;
+}
+
+function stripComment(text) {
+  let quote = null;
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        index++;
+      } else if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if ((char === '"' || char === '\'') && opensQuotedScalar(text, index)) {
+      quote = char;
+      continue;
+    }
+    if (char === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+      return text.slice(0, index);
+    }
+  }
+  return text;
+}
+
+function countIndent(raw) {
+  const match = raw.match(/^ */);
+  return match ? match[0].length : 0;
+}
+
+function parseDoubleQuoted(text, lineNumber) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new YamlParseError(`Invalid double-quoted string ${text}`, lineNumber);
+  }
+}
+
+function parsePlainScalar(text) {
+  const value = text.trim();
+  if (value === '' || value === '~' || value === 'null' || value === 'Null' || value === 'NULL') {
+    return null;
+  }
+  if (/^(true|True|TRUE)$/.test(value)) {
+    return true;
+  }
+  if (/^(false|False|FALSE)$/.test(value)) {
+    return false;
+  }
+  if (/^[-+]?\d+$/.test(value)) {
+    return Number.parseInt(value, 10);
+  }
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(value)) {
+    return Number.parseFloat(value);
+  }
+  return value;
+}
+
+/**
+ * Parse a flow collection (`[...]` / `{...}`) or a quoted/plain scalar.
+ */
+function parseFlowValue(text, lineNumber) {
+  let position = 0;
+
+  const skipWhitespace = () => {
+    while (position < text.length && /\s/.test(text[position])) {
+      position++;
+    }
+  };
+
+  const readQuoted = () => {
+    const quote = text[position];
+    let end = position + 1;
+    if (quote === '"') {
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      if (end >= text.length) {
+        throw new YamlParseError('Unterminated double-quoted string', lineNumber);
+      }
+      const value = parseDoubleQuoted(text.slice(position, end + 1), lineNumber);
+      position = end + 1;
+      return value;
+    }
+    let value = '';
+    while (end < text.length) {
+      if (text[end] === '\'' && text[end + 1] === '\'') {
+        value += '\'';
+        end += 2;
+        continue;
+      }
+      if (text[end] === '\'') {
+        position = end + 1;
+        return value;
+      }
+      value += text[end];
+      end++;
+    }
+    throw new YamlParseError('Unterminated single-quoted string', lineNumber);
+  };
+
+  const readPlain = (terminators) => {
+    const start = position;
+    while (position < text.length && !terminators.includes(text[position])) {
+      position++;
+    }
+    return parsePlainScalar(text.slice(start, position));
+  };
+
+  const readValue = (terminators) => {
+    skipWhitespace();
+    const char = text[position];
+    if (char === '[') {
+      return readSequence();
+    }
+    if (char === '{') {
+      return readMapping();
+    }
+    if (char === '"' || char === '\'') {
+      return readQuoted();
+    }
+    return readPlain(terminators);
+  };
+
+  function readSequence() {
+    const items = [];
+    position++;
+    skipWhitespace();
+    if (text[position] === ']') {
+      position++;
+      return items;
+    }
+    while (position < text.length) {
+      items.push(readValue([',', ']']));
+      skipWhitespace();
+      if (text[position] === ',') {
+        position++;
+        continue;
+      }
+      if (text[position] === ']') {
+        position++;
+        return items;
+      }
+      break;
+    }
+    throw new YamlParseError('Unterminated flow sequence', lineNumber);
+  }
+
+  function readMapping() {
+    const result = {};
+    position++;
+    skipWhitespace();
+    if (text[position] === '}') {
+      position++;
+      return result;
+    }
+    while (position < text.length) {
+      skipWhitespace();
+      const key = (text[position] === '"' || text[position] === '\'')
+        ? readQuoted()
+        : readPlain([':', ',', '}']);
+      skipWhitespace();
+      if (text[position] !== ':') {
+        throw new YamlParseError(`Expected ':' after flow mapping key ${key}`, lineNumber);
+      }
+      position++;
+      result[String(key)] = readValue([',', '}']);
+      skipWhitespace();
+      if (text[position] === ',') {
+        position++;
+        continue;
+      }
+      if (text[position] === '}') {
+        position++;
+        return result;
+      }
+      break;
+    }
+    throw new YamlParseError('Unterminated flow mapping', lineNumber);
+  }
+
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('[') && !trimmed.startsWith('{') && !trimmed.startsWith('"') && !trimmed.startsWith('\'')) {
+    return parsePlainScalar(trimmed);
+  }
+
+  position = text.indexOf(trimmed[0]);
+  const value = readValue([]);
+  skipWhitespace();
+  if (position < text.length) {
+    throw new YamlParseError(`Unexpected trailing content: ${text.slice(position).trim()}`, lineNumber);
+  }
+  return value;
+}
+
+function splitMappingEntry(text) {
+  if (text.startsWith('"') || text.startsWith('\'')) {
+    const quote = text[0];
+    let end = 1;
+    while (end < text.length && text[end] !== quote) {
+      end += text[end] === '\\' && quote === '"' ? 2 : 1;
+    }
+    const rest = text.slice(end + 1);
+    const match = rest.match(/^\s*:(?:\s+(.*))?$/);
+    if (!match) {
+      return null;
+    }
+    const key = quote === '"' ? JSON.parse(text.slice(0, end + 1)) : text.slice(1, end).replace(/''/g, '\'');
+    return { key, value: match[1] || '' };
+  }
+
+  const match = text.match(/^([^\s:[\]{},#][^:]*?)\s*:(?:\s+(.*))?$/);
+  if (!match) {
+    return null;
+  }
+  return { key: match[1], value: match[2] || '' };
+}
+
+class Parser {
+  constructor(source) {
+    this.rawLines = String(source || '').replace(/\r\n/g, '\n').replace(/\t/g, '  ').split('\n');
+    this.lines = this.rawLines.map((raw, index) => ({
+      raw,
+      lineNumber: index + 1,
+      indent: countIndent(raw),
+      text: stripComment(raw).trim()
+    }));
+    this.index = 0;
+  }
+
+  skipBlank() {
+    while (this.index < this.lines.length && !this.lines[this.index].text) {
+      this.index++;
+    }
+  }
+
+  peek() {
+    this.skipBlank();
+    return this.index < this.lines.length ? this.lines[this.index] : null;
+  }
+
+  parseDocument() {
+    const first = this.peek();
+    if (first && first.indent === 0 && first.text === '---') {
+      this.index++;
+    }
+    const start = this.peek();
+    if (!start) {
+      return null;
+    }
+    const value = this.parseBlock(start.indent);
+    const trailing = this.peek();
+    if (trailing) {
+      throw new YamlParseError(`Unexpected content '${trailing.text}'`, trailing.lineNumber);
+    }
+    return value;
+  }
+
+  parseBlock(indent) {
+    const line = this.peek();
+    if (!line) {
+      return null;
+    }
+    if (line.text === '-' || line.text.startsWith('- ')) {
+      return this.parseSequence(indent);
+    }
+    if (splitMappingEntry(line.text)) {
+      return this.parseMapping(indent);
+    }
+    this.index++;
+    return parseFlowValue(line.text, line.lineNumber);
+  }
+
+  parseSequence(indent) {
+    const items = [];
+    while (true) {
+      const line = this.peek();
+      if (!line || line.indent < indent) {
+        break;
+      }
+      if (line.indent > indent) {
+        throw new YamlParseError('Unexpected indentation in sequence', line.lineNumber);
+      }
+      if (!(line.text === '-' || line.text.startsWith('- '))) {
+        break;
+      }
+
+      const itemText = line.text.slice(1).trim();
+      if (!itemText) {
+        this.index++;
+        const next = this.peek();
+        items.push(next && next.indent > indent ? this.parseBlock(next.indent) : null);
+        continue;
+      }
+
+      if (splitMappingEntry(itemText) && !itemText.startsWith('{') && !itemText.startsWith('[')) {
+        // `- key: value` starts a mapping whose keys align with the first key.
+        const itemIndent = line.indent + line.raw.slice(line.indent).indexOf(itemText.charAt(0), 1);
+        this.lines[this.index] = {
+          ...line,
+          indent: itemIndent,
+          text: itemText
+        };
+        items.push(this.parseMapping(itemIndent));
+        continue;
+      }
+
+      this.index++;
+      items.push(this.parseInlineValue(itemText, line, indent));
+    }
+    return items;
+  }
+
+  parseMapping(indent) {
+    const result = {};
+    while (true) {
+      const line = this.peek();
+      if (!line || line.indent < indent) {
+        break;
+      }
+      if (line.indent > indent) {
+        throw new YamlParseError('Unexpected indentation in mapping', line.lineNumber);
+      }
+      if (line.text === '-' || line.text.startsWith('- ')) {
+        break;
+      }
+
+      const entry = splitMappingEntry(line.text);
+      if (!entry) {
+        throw new YamlParseError(`Expected 'key: value' but found '${line.text}'`, line.lineNumber);
+      }
+      if (Object.prototype.hasOwnProperty.call(result, entry.key)) {
+        throw new YamlParseError(`Duplicate key '${entry.key}'`, line.lineNumber);
+      }
+      this.index++;
+
+      if (!entry.value) {
+        const next = this.peek();
+        if (next && next.indent > indent) {
+          result[entry.key] = this.parseBlock(next.indent);
+        } else if (next && next.indent === indent && (next.text === '-' || next.text.startsWith('- '))) {
+          result[entry.key] = this.parseSequence(indent);
+        } else {
+          result[entry.key] = null;
+        }
+        continue;
+      }
+
+      result[entry.key] = this.parseInlineValue(entry.value, line, indent);
+    }
+    return result;
+  }
+
+  parseInlineValue(valueText, line, parentIndent) {
+    const blockMatch = valueText.match(/^([|>])([-+]?)$/);
+    if (blockMatch) {
+      return this.parseBlockScalar(blockMatch[1], blockMatch[2], parentIndent);
+    }
+    return parseFlowValue(valueText, line.lineNumber);
+  }
+
+  parseBlockScalar(style, chomping, parentIndent) {
+    const collected = [];
+    let blockIndent = null;
+
+    while (this.index < this.lines.length) {
+      const line = this.lines[this.index];
+      const isBlank = line.raw.trim() === '';
+      if (!isBlank) {
+        if (line.indent <= parentIndent) {
+          break;
+        }
+        if (blockIndent === null) {
+          blockIndent = line.indent;
+        }
+        if (line.indent < blockIndent) {
+          break;
+        }
+      }
+      collected.push(isBlank ? '' : line.raw.slice(blockIndent));
+      this.index++;
+    }
+
+    let trailingBlankCount = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailingBlankCount++;
+    }
+
+    let body;
+    if (style === '|') {
+      body = collected.join('\n');
+    } else {
+      // Folded scalars join adjacent lines with spaces; blank lines become newlines.
+      body = collected.reduce((acc, current) => {
+        if (current === '') {
+          return `${acc}\n`;
+        }
+        if (!acc || acc.endsWith('\n')) {
+          return `${acc}${current}`;
+        }
+        return `${acc} ${current}`;
+      }, '');
+    }
+
+    if (chomping === '-' || collected.length === 0) {
+      return body;
+    }
+    if (chomping === '+') {
+      return `${body}\n${'\n'.repeat(trailingBlankCount)}`;
+    }
+    return `${body}\n`;
+  }
+}
+
+/**
+ * Parse a YAML document in the supported subset.
+ * @param {string} source - YAML text
+ * @returns {*} Parsed value (object, array, scalar, or null for empty documents)
+ * @throws {YamlParseError} When the document uses unsupported or malformed syntax
+ */
+function parseYaml(source) {
+  return new Parser(source).parseDocument();
+}
+
+module.exports = {
+  parseYaml,
+  YamlParseError
+};
@@ -0,0 +1,45 @@
+/**
+ * Usage Query Helpers
+ *
+ * Shared by the usage endpoints in the orchestration router and the usage
+ * report router so both read time ranges and report pricing the same way.
+ */
+
+/**
+ * Parse epoch milliseconds or an ISO 8601 date; undefined when absent.
+ * Throws an error carrying `code` and `param` for the route to turn into a 400.
+ */
+function parseUsageTime(value, param, options = {}) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const text = String(value).trim();
+  const parsed = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+  if (!Number.isFinite(parsed)) {
+    const error = new Error(`${param} must be epoch milliseconds or an ISO 8601 date`);
+    error.code = options.code || 'invalid_request';
+    error.param = param;
+    throw error;
+  }
+  return parsed;
+}
+
+/**
+ * Version of the price table behind estimatedCostUsd; costUsd and
+ * reportedCostUsd are provider-reported. Null when the store has no table.
+ */
+function describeUsagePricing(db) {
+  if (typeof db?.getPriceTable !== 'function') {
+    return null;
+  }
+  try {
+    return { priceTableVersion: db.getPriceTable().getVersion() };
+  } catch (error) {
+    return { priceTableVersion: null, error: error.message };
+  }
+}
+
+module.exports = {
+  parseUsageTime,
+  describeUsagePricing
+};
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SessionManager = require('../src/core/session-manager');
+const {
+  getAdapterPlugin,
+  getAdapterPluginReport,
+  normalizePluginBundle,
+  registerAdapterPlugins
+} = require('../src/adapters/adapter-plugins');
+const { createDetector, hasDetector } = require('../src/status-detectors/factory');
+const { getParser } = require('../src/interceptor/prompt-parsers');
+const { extractOutput, getStatusMarkers } = require('../src/utils/output-extractor');
+const { isAdapterAuthenticated } = require('../src/utils/adapter-auth');
+const { TerminalStatus } = require('../src/models/terminal-status');
+
+const ACME_PLUGIN = `
+module.exports = ({ BaseLLMAdapter, BaseStatusDetector, BasePromptParser, TerminalStatus }) => {
+  class AcmeAdapter extends BaseLLMAdapter {
+    constructor(options) {
+      super(options);
+      this.sessions = new Set();
+    }
+    async isAvailable() { return true; }
+    async spawn(sessionId) { this.sessions.add(sessionId); return { sessionId }; }
+    async *send(sessionId, message) { yield { type: 'result', content: 'acme: ' + message }; }
+    async terminate(sessionId) { this.sessions.delete(sessionId); }
+    isSessionActive(sessionId) { return this.sessions.has(sessionId); }
+    getActiveSessions() { return Array.from(this.sessions); }
+  }
+
+  class AcmeDetector extends BaseStatusDetector {
+    constructor() {
+      super({ IDLE: /acme> $/, PROCESSING: /thinking/ });
+    }
+  }
+
+  class AcmePromptParser extends BasePromptParser {
+    _parsePrompt(output) {
+      const match = output.match(/Allow (\\S+)\\?/);
+      return match ? { toolName: 'Bash', args: { command: match[1] }, rawPrompt: match[0], adapter: this.adapter } : null;
+    }
+  }
+
+  return {
+    apiVersion: 1,
+    name: 'acme-cli',
+    version: '2.3.0',
+    Adapter: AcmeAdapter,
+    StatusDetector: AcmeDetector,
+    PromptParser: AcmePromptParser,
+    outputStrategy: {
+      extract: (output) => output.split('ANSWER:').pop().trim(),
+      stableMarkers: ['acme> ']
+    },
+    checkAuth: () => ({ authenticated: true, reason: 'acme token found' })
+  };
+};
+`;
+
+const BETA_PLUGIN = `
+module.exports = ({ BaseLLMAdapter }) => ({
+  apiVersion: 1,
+  name: 'beta-cli',
+  createAdapter: (options) => Object.assign(new (class extends BaseLLMAdapter {
+    async isAvailable() { return true; }
+    async spawn() { return {}; }
+    async *send() {}
+    async terminate() {}
+    isSessionActive() { return false; }
+    getActiveSessions() { return []; }
+  })(options), { command: options.command })
+});
+`;
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+function quietly(fn) {
+  const originalWarn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = originalWarn;
+  }
+}
+
+function testBundleValidation() {
+  const Adapter = class {};
+  assert.throws(() => normalizePluginBundle(null), /must export an object/);
+  assert.throws(() => normalizePluginBundle({ name: 'Bad Name', apiVersion: 1, Adapter }), /adapter names use lowercase/);
+  assert.throws(() => normalizePluginBundle({ name: 'acme', Adapter }), /apiVersion must be 1 \(got none\)/);
+  assert.throws(() => normalizePluginBundle({ name: 'codex-cli', apiVersion: 1, Adapter }), /taken by a built-in adapter/);
+  assert.throws(() => normalizePluginBundle({ name: 'acme', apiVersion: 1 }), /createAdapter\(options\) or an Adapter class/);
+  assert.throws(
+    () => normalizePluginBundle({ name: 'acme', apiVersion: 1, Adapter, StatusDetector: class {} }),
+    /StatusDetector must be a class with detectStatus/
+  );
+  assert.throws(
+    () => normalizePluginBundle({ name: 'acme', apiVersion: 1, Adapter, outputStrategy: { stableMarkers: [] } }),
+    /outputStrategy must be an object with extract/
+  );
+  assert.throws(
+    () => normalizePluginBundle({ name: 'acme', apiVersion: 1, Adapter, outputStrategy: { extract: () => '', errorMarkers: [1] } }),
+    /outputStrategy.errorMarkers must be an array/
+  );
+  console.log('✅ plugin bundles are checked before anything is registered');
+}
+
+async function testDiscoveryAndRegistration() {
+  const projectRoot = makeTempDir('cliagents-adapter-plugins-');
+  const pluginDir = path.join(projectRoot, 'plugins');
+  const manager = new SessionManager();
+  try {
+    writeFile(path.join(pluginDir, 'acme-cli', 'index.js'), ACME_PLUGIN);
+    writeFile(path.join(pluginDir, 'broken.js'), 'throw new Error("boom");');
+    writeFile(path.join(pluginDir, 'half-done.js'), `
+      module.exports = { apiVersion: 1, name: 'half-done', createAdapter: () => ({ isAvailable: async () => true }) };
+    `);
+    writeFile(path.join(pluginDir, 'notes.txt'), 'ignored');
+    writeFile(path.join(projectRoot, 'vendor', 'beta-cli', 'index.js'), BETA_PLUGIN);
+    writeFile(path.join(projectRoot, 'vendor', 'beta-cli', 'package.json'), JSON.stringify({ name: 'beta-cli', version: '0.4.1' }));
+
+    const configPath = path.join(projectRoot, 'adapters.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      adapters: {},
+      plugins: [
+        { module: './vendor/beta-cli', options: { command: '/opt/beta/bin/beta' } },
+        '@acme/not-installed',
+        { module: './vendor/off', enabled: false }
+      ]
+    }));
+
+    const report = quietly(() => registerAdapterPlugins(manager, {
+      projectRoot,
+      adapterPluginDirs: ['plugins'],
+      adaptersConfigPath: configPath
+    }));
+
+    assert.deepStrictEqual(report.plugins.map((plugin) => plugin.name), ['acme-cli', 'beta-cli']);
+    assert.deepStrictEqual(manager.getAdapterNames(), ['acme-cli', 'beta-cli']);
+    assert.deepStrictEqual(report.plugins[0].components, ['adapter', 'statusDetector', 'promptParser', 'outputStrategy']);
+    assert.strictEqual(report.plugins[0].version, '2.3.0');
+    assert.strictEqual(report.plugins[1].source, 'path');
+    assert.strictEqual(report.plugins[1].version, '0.4.1');
+    assert.strictEqual(manager.getAdapter('beta-cli').command, '/opt/beta/bin/beta', 'config options reach createAdapter');
+
+    assert.deepStrictEqual(report.errors.map((error) => error.plugin), [
+      path.join(pluginDir, 'broken.js'),
+      path.join(pluginDir, 'half-done.js'),
+      '@acme/not-installed'
+    ]);
+    assert(/boom/.test(report.errors[0].message));
+    assert.strictEqual(report.errors[1].adapter, 'half-done');
+    assert(/does not satisfy the adapter contract \(missing spawn\(\)/.test(report.errors[1].message));
+    assert(/Cannot find module/.test(report.errors[2].message));
+    assert.strictEqual(getAdapterPluginReport(), report);
+    assert.strictEqual(getAdapterPlugin('acme-cli').path, path.join(pluginDir, 'acme-cli', 'index.js'));
+    assert.strictEqual(getAdapterPlugin('half-done'), null);
+
+    const session = await manager.createSession({ adapter: 'acme-cli' });
+    const reply = await manager.send(session.sessionId, 'ping');
+    assert.strictEqual(reply.text, 'acme: ping');
+
+    assert(hasDetector('acme-cli'));
+    const detector = createDetector('acme-cli');
+    assert.strictEqual(detector.detectStatus('working... thinking'), TerminalStatus.PROCESSING);
+    const parsed = getParser('acme-cli').parse('Allow rm?', TerminalStatus.WAITING_PERMISSION);
+    assert.deepStrictEqual(parsed.args, { command: 'rm' });
+    assert.strictEqual(extractOutput('noise\nANSWER: 42\n', 'acme-cli'), '42');
+    assert.deepStrictEqual(getStatusMarkers('acme-cli').stableMarkers, ['acme> ']);
+    assert.deepStrictEqual(isAdapterAuthenticated('acme-cli'), { authenticated: true, reason: 'acme token found' });
+    assert.strictEqual(isAdapterAuthenticated('beta-cli').authenticated, null);
+
+    const again = quietly(() => registerAdapterPlugins(manager, {
+      projectRoot,
+      adapterPluginDirs: ['plugins'],
+      adaptersConfigPath: path.join(projectRoot, 'missing.json')
+    }));
+    assert.deepStrictEqual(again.plugins, []);
+    assert(again.errors.some((error) => /acme-cli: an adapter with this name is already registered/.test(error.message)));
+  } finally {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      await manager.shutdown();
+    } finally {
+      console.log = originalLog;
+    }
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  }
+  console.log('✅ plugins are discovered, validated, and wired into detectors, parsers, and extractors');
+}
+
+async function run() {
+  testBundleValidation();
+  await testDiscoveryAndRegistration();
+}
+
+run().then(() => {
+  console.log('\nAdapter plugin tests passed');
+}).catch((error) => {
+  console.error('\nAdapter plugin tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+
+const { createAnthropicRouter, translateAnthropicRequest } = require('../src/server/anthropic-compat');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed += 1;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed += 1;
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+  }
+}
+
+const PIXEL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+const WEATHER_TOOL = {
+  name: 'get_weather',
+  description: 'Current weather for a city',
+  input_schema: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+};
+
+// Session manager whose agent replies with a canned answer per call
+function createScriptedSessionManager(replies) {
+  const sessions = [];
+  const sent = [];
+  return {
+    sessions,
+    sent,
+    adapters: new Map([
+      ['claude-code', { isAvailable: async () => true }],
+      ['codex-cli', { isAvailable: async () => false }]
+    ]),
+    async createSession(options) {
+      sessions.push(options);
+      return { sessionId: `session-${sessions.length}` };
+    },
+    async *sendStream(sessionId, message, options) {
+      sent.push({ message, options, imageExists: (options.images || []).map((image) => fs.existsSync(image.path)) });
+      const reply = replies.shift();
+      const middle = Math.floor(reply.length / 2);
+      yield { type: 'progress', progressType: 'assistant', content: reply.slice(0, middle) };
+      yield { type: 'progress', progressType: 'assistant', content: reply.slice(middle) };
+      yield { type: 'result', content: reply, metadata: { inputTokens: 42, outputTokens: 7 } };
+    },
+    async terminateSession() {}
+  };
+}
+
+function parseSse(text) {
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map((frame) => {
+      const [eventLine, dataLine] = frame.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+}
+
+async function run() {
+  console.log('Anthropic compatibility tests\n');
+
+  await test('translateAnthropicRequest maps system, content blocks, and Claude models', async () => {
+    const result = translateAnthropicRequest({
+      model: 'claude-sonnet-4-6',
+      max_tokens: 256,
+      system: [{ type: 'text', text: 'Be brief.' }],
+      messages: [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: [{ type: 'text', text: 'Hello!' }] },
+        { role: 'user', content: [{ type: 'text', text: 'How are you?' }] }
+      ],
+      stop_sequences: ['END']
+    });
+    assert.strictEqual(result.adapter, 'claude-code');
+    assert.strictEqual(result.model, 'claude-sonnet-4-6');
+    assert.strictEqual(result.systemPrompt, 'Be brief.');
+    assert.strictEqual(result.message, 'User: Hi\n\nAssistant: Hello!\n\nUser: How are you?');
+    assert.deepStrictEqual(result.options.stop, ['END']);
+    assert.strictEqual(result.options.max_output_tokens, 256);
+  });
+
+  await test('translateAnthropicRequest validates required fields and models', async () => {
+    assert.throws(
+      () => translateAnthropicRequest({ model: 'claude-sonnet-4-6', messages: [{ role: 'user', content: 'Hi' }] }),
+      (error) => error.status === 400 && /max_tokens/.test(error.message)
+    );
+    assert.throws(
+      () => translateAnthropicRequest({ model: 'claude-nope', max_tokens: 10, messages: [{ role: 'user', content: 'Hi' }] }),
+      (error) => error.status === 404 && error.type === 'not_found_error'
+    );
+    assert.throws(
+      () => translateAnthropicRequest({
+        model: 'claude-sonnet-4-6',
+        max_tokens: 10,
+        messages: [{ role: 'user', content: [{ type: 'document', source: {} }] }]
+      }),
+      /messages\.0\.content\.0\.type: unsupported content block type document/
+    );
+  });
+
+  const sessionManager = createScriptedSessionManager([
+    'A red pixel.',
+    'Checking.\n<tool_calls>\n[{"name":"get_weather","arguments":{"city":"Paris"}}]\n</tool_calls>',
+    'It is 18C in Paris.',
+    'Streaming hello world.',
+    'Looking.\n<tool_calls>[{"name":"get_weather","arguments":{"city":"Oslo"}}]</tool_calls>'
+  ]);
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+  app.use('/v1', createAnthropicRouter(sessionManager));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const post = (body) => fetch(`http://127.0.0.1:${server.address().port}/v1/messages`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'anthropic-version': '2023-06-01' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    await test('messages return content blocks, stop_reason, and usage; image blocks reach the adapter', async () => {
+      const response = await post({
+        model: 'claude-haiku-4-5',
+        max_tokens: 100,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'image', source: { type: 'base64', media_type: 'image/png', data: PIXEL_PNG } },
+            { type: 'text', text: 'What is this?' }
+          ]
+        }]
+      });
+      assert.strictEqual(response.status, 200);
+      const data = await response.json();
+      assert.strictEqual(data.type, 'message');
+      assert.strictEqual(data.role, 'assistant');
+      assert.strictEqual(data.model, 'claude-haiku-4-5');
+      assert(data.id.startsWith('msg_'));
+      assert.deepStrictEqual(data.content, [{ type: 'text', text: 'A red pixel.' }]);
+      assert.strictEqual(data.stop_reason, 'end_turn');
+      assert.deepStrictEqual(data.usage, { input_tokens: 42, output_tokens: 7 });
+
+      const [sent] = sessionManager.sent;
+      assert.strictEqual(sent.options.images.length, 1);
+      assert.deepStrictEqual(sent.imageExists, [true]);
+      assert(sent.message.includes('[Attached image: /tmp/cliagents-images/'));
+      assert(!fs.existsSync(sent.options.images[0].path), 'temp images are removed after the reply');
+      assert.strictEqual(sessionManager.sessions[0].adapter, 'claude-code');
+    });
+
+    let toolUse = null;
+    await test('tool calls come back as tool_use blocks with stop_reason tool_use', async () => {
+      const response = await post({
+        model: 'claude-sonnet-4-6',
+        max_tokens: 100,
+        tools: [WEATHER_TOOL],
+        messages: [{ role: 'user', content: 'Weather in Paris?' }]
+      });
+      const data = await response.json();
+      assert.strictEqual(data.stop_reason, 'tool_use');
+      assert.strictEqual(data.content[0].text, 'Checking.');
+      toolUse = data.content[1];
+      assert.strictEqual(toolUse.type, 'tool_use');
+      assert(toolUse.id.startsWith('toolu_'));
+      assert.deepStrictEqual(toolUse.input, { city: 'Paris' });
+      assert(sessionManager.sessions[1].systemPrompt.includes('- get_weather: Current weather for a city'));
+    });
+
+    await test('tool_result blocks are threaded into the next turn', async () => {
+      const response = await post({
+        model: 'claude-sonnet-4-6',
+        max_tokens: 100,
+        tools: [WEATHER_TOOL],
+        messages: [
+          { role: 'user', content: 'Weather in Paris?' },
+          { role: 'assistant', content: [{ type: 'text', text: 'Checking.' }, toolUse] },
+          { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolUse.id, content: [{ type: 'text', text: '18C' }] }] }
+        ]
+      });
+      const data = await response.json();
+      assert.strictEqual(data.stop_reason, 'end_turn');
+      assert.strictEqual(data.content[0].text, 'It is 18C in Paris.');
+      const prompt = sessionManager.sent[2].message;
+      assert(prompt.includes('Assistant: Checking.\n<tool_calls>'));
+      assert(prompt.includes(`Tool result (get_weather, ${toolUse.id}): 18C`));
+    });
+
+    await test('streaming emits the Anthropic SSE event sequence with usage', async () => {
+      const response = await post({
+        model: 'claude-sonnet-4-6',
+        max_tokens: 100,
+        stream: true,
+        messages: [{ role: 'user', content: 'Say hello' }]
+      });
+      assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+      const events = parseSse(await response.text());
+      assert.deepStrictEqual(events.map((entry) => entry.event), [
+        'message_start',
+        'content_block_start',
+        'content_block_delta',
+        'content_block_delta',
+        'content_block_stop',
+        'message_delta',
+        'message_stop'
+      ]);
+      assert(events.every((entry) => entry.data.type === entry.event));
+      assert.strictEqual(events[0].data.message.model, 'claude-sonnet-4-6');
+      const text = events.filter((entry) => entry.event === 'content_block_delta').map((entry) => entry.data.delta.text).join('');
+      assert.strictEqual(text, 'Streaming hello world.');
+      assert.strictEqual(events[5].data.delta.stop_reason, 'end_turn');
+      assert.deepStrictEqual(events[5].data.usage, { input_tokens: 42, output_tokens: 7 });
+    });
+
+    await test('streamed tool calls become tool_use blocks with input_json_delta', async () => {
+      const response = await post({
+        model: 'claude-sonnet-4-6',
+        max_tokens: 100,
+        stream: true,
+        tools: [WEATHER_TOOL],
+        tool_choice: { type: 'any' },
+        messages: [{ role: 'user', content: 'Weather in Oslo?' }]
+      });
+      const events = parseSse(await response.text());
+      const starts = events.filter((entry) => entry.event === 'content_block_start');
+      assert.deepStrictEqual(starts.map((entry) => entry.data.content_block.type), ['text', 'tool_use']);
+      assert.strictEqual(starts[1].data.index, 1);
+      assert.strictEqual(starts[1].data.content_block.name, 'get_weather');
+      const jsonDelta = events.find((entry) => entry.data.delta?.type === 'input_json_delta');
+      assert.deepStrictEqual(JSON.parse(jsonDelta.data.delta.partial_json), { city: 'Oslo' });
+      const text = events.filter((entry) => entry.data.delta?.type === 'text_delta').map((entry) => entry.data.delta.text).join('');
+      assert.strictEqual(text, 'Looking.\n');
+      assert.strictEqual(events.find((entry) => entry.event === 'message_delta').data.delta.stop_reason, 'tool_use');
+      assert(sessionManager.sessions[4].systemPrompt.includes('You must call at least one tool in this reply.'));
+    });
+
+    await test('errors use the Anthropic error envelope', async () => {
+      const missing = await post({ model: 'claude-sonnet-4-6', messages: [{ role: 'user', content: 'Hi' }] });
+      assert.strictEqual(missing.status, 400);
+      assert.deepStrictEqual(await missing.json(), {
+        type: 'error',
+        error: { type: 'invalid_request_error', message: 'max_tokens: field required (positive integer)' }
+      });
+
+      const unavailable = await post({ model: 'gpt-4o', max_tokens: 10, messages: [{ role: 'user', content: 'Hi' }] });
+      assert.strictEqual(unavailable.status, 503);
+      assert.strictEqual((await unavailable.json()).error.type, 'api_error');
+
+      const unknown = await post({ model: 'claude-unknown', max_tokens: 10, messages: [{ role: 'user', content: 'Hi' }] });
+      assert.strictEqual(unknown.status, 404);
+      assert.strictEqual((await unknown.json()).error.type, 'not_found_error');
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  console.log(`\n${passed} passed, 0 failed`);
+}
+
+run();
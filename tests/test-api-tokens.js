@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const AgentServer = require('../src/server');
+const { OrchestrationDB } = require('../src/database/db');
+const { RunLedgerService } = require('../src/orchestration/run-ledger');
+const { parseTokensArgs } = require('../src/index');
+const {
+  findApiToken,
+  listApiTokens,
+  mintApiToken,
+  requiredScopeForRequest,
+  revokeApiToken,
+  scopeGrants
+} = require('../src/server/api-tokens');
+
+const AUTH_ENV_KEYS = [
+  'CLIAGENTS_API_KEY',
+  'CLI_AGENTS_API_KEY',
+  'CLIAGENTS_ALLOW_UNAUTHENTICATED_LOCALHOST',
+  'CLIAGENTS_DATA_DIR',
+  'CLIAGENTS_API_TOKENS_FILE'
+];
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function testRouteScopes() {
+  const cases = [
+    ['GET', '/adapters', 'read'],
+    ['GET', '/orchestration/runs/run_1', 'read'],
+    ['GET', '/orchestration/terminals/t1/output', 'read'],
+    ['GET', '/orchestration/memory/stats', 'memory:read'],
+    ['POST', '/orchestration/memory/findings', 'memory:write'],
+    ['DELETE', '/orchestration/memory/artifacts/task/key', 'memory:write'],
+    ['POST', '/orchestration/terminals/t1/input', 'terminal:input'],
+    ['POST', '/orchestration/input-queue/in_1/approve', 'terminal:input'],
+    ['POST', '/orchestration/send_message', 'terminal:input'],
+    ['POST', '/orchestration/tasks', 'tasks'],
+    ['PATCH', '/orchestration/tasks/task_1/assignments/a1', 'tasks'],
+    ['POST', '/orchestration/workflows/wf_1/cancel', 'tasks'],
+    ['POST', '/orchestration/terminals', 'tasks'],
+    ['DELETE', '/orchestration/terminals/t1', 'tasks'],
+    ['POST', '/orchestration/terminals/t1/trim-history', 'admin'],
+    ['POST', '/orchestration/root-sessions/launch', 'admin'],
+    ['POST', '/sessions', 'admin'],
+    ['POST', '/v1/chat/completions', 'admin'],
+    ['GET', '/orchestration/audit', 'admin'],
+    ['POST', '/orchestration/audit/mcp', 'audit:write']
+  ];
+  for (const [method, requestPath, expected] of cases) {
+    assert.strictEqual(requiredScopeForRequest(method, requestPath), expected, `${method} ${requestPath}`);
+  }
+
+  assert(scopeGrants(['admin'], 'terminal:input'));
+  assert(scopeGrants(['memory:write'], 'memory:read'));
+  assert(!scopeGrants(['read'], 'memory:read'));
+  assert(!scopeGrants(['memory:read'], 'memory:write'));
+  assert(!scopeGrants(['read', 'tasks'], 'audit:write'), 'read-only tokens cannot append to the audit log');
+  console.log('✅ routes map to the scope they need, mutating fallbacks need admin');
+}
+
+function testTokenStore() {
+  const dir = makeTempDir('cliagents-api-tokens-');
+  const storeOptions = { filePath: path.join(dir, 'api-tokens.json') };
+  try {
+    const { token, record } = mintApiToken({ name: 'ops-dashboard', scopes: ['read', 'read'] }, storeOptions);
+    assert(token.startsWith('cliagents-tok-'));
+    assert.deepStrictEqual(record.scopes, ['read']);
+    assert.strictEqual(record.status, 'active');
+    assert(!fs.readFileSync(storeOptions.filePath, 'utf8').includes(token), 'only the hash is stored');
+    assert.strictEqual((fs.statSync(storeOptions.filePath).mode & 0o777), 0o600);
+
+    assert.throws(() => mintApiToken({ name: 'ops-dashboard', scopes: ['read'] }, storeOptions), /already exists/);
+    assert.throws(() => mintApiToken({ name: 'x', scopes: ['root'] }, storeOptions), /Unknown scope: root/);
+    assert.throws(() => mintApiToken({ name: 'x', scopes: [] }, storeOptions), /At least one scope/);
+    assert.throws(() => mintApiToken({ name: 'bad name', scopes: ['read'] }, storeOptions), /Token name must be/);
+    assert.throws(() => mintApiToken({ name: 'x', scopes: ['read'], expiresAt: Date.now() - 1 }, storeOptions), /in the future/);
+
+    const shortLived = mintApiToken({ name: 'short', scopes: ['tasks'], expiresAt: Date.now() + 1000 }, storeOptions);
+    assert.strictEqual(findApiToken(token, storeOptions).record.name, 'ops-dashboard');
+    assert.strictEqual(findApiToken(shortLived.token, { ...storeOptions, now: Date.now() + 5000 }).status, 'expired');
+    assert.strictEqual(findApiToken('cliagents-tok-unknown', storeOptions), null);
+
+    assert.strictEqual(revokeApiToken('ops-dashboard', storeOptions).status, 'revoked');
+    assert.strictEqual(findApiToken(token, storeOptions).status, 'revoked');
+    assert.deepStrictEqual(listApiTokens(storeOptions).map((entry) => entry.name), ['short']);
+    assert.deepStrictEqual(
+      listApiTokens({ ...storeOptions, includeInactive: true }).map((entry) => [entry.name, entry.status]),
+      [['ops-dashboard', 'revoked'], ['short', 'active']]
+    );
+    assert(listApiTokens(storeOptions).every((entry) => !('hash' in entry)));
+
+    mintApiToken({ name: 'ops-dashboard', scopes: ['read'] }, storeOptions);
+    assert.throws(() => revokeApiToken('missing', storeOptions), /Token not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const parsed = parseTokensArgs(['mint', '--name', 'sup', '--scope', 'read,tasks', '--scope', 'memory:read', '--expires', '2d'], 0);
+  assert.deepStrictEqual(parsed.scopes, ['read', 'tasks', 'memory:read']);
+  assert.strictEqual(parsed.expiresAt, 2 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(parseTokensArgs(['revoke', 'sup']).name, 'sup');
+  assert.throws(() => parseTokensArgs(['mint']), /requires --name/);
+  assert.throws(() => parseTokensArgs(['mint', '--name', 'x', '--expires', 'soon']), /Invalid --expires/);
+  console.log('✅ tokens are minted hashed, expire, and can be revoked');
+}
+
+async function testHttpScopes() {
+  const snapshot = {};
+  for (const key of AUTH_ENV_KEYS) {
+    snapshot[key] = process.env[key];
+    delete process.env[key];
+  }
+  const dataDir = makeTempDir('cliagents-api-tokens-http-');
+  process.env.CLIAGENTS_API_KEY = 'primary-test-key';
+  process.env.CLIAGENTS_API_TOKENS_FILE = path.join(dataDir, 'api-tokens.json');
+
+  const server = new AgentServer({
+    host: '127.0.0.1',
+    port: 0,
+    cleanupOrphans: false,
+    orchestration: { enabled: false, dataDir }
+  });
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    await server.start();
+  } finally {
+    console.log = originalLog;
+  }
+  const baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+  const call = async (method, requestPath, token) => {
+    const response = await fetch(baseUrl + requestPath, {
+      method,
+      headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+      body: method === 'GET' ? undefined : '{}'
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  };
+
+  try {
+    const reader = mintApiToken({ name: 'ops-dashboard', scopes: ['read'] });
+    const supervisor = mintApiToken({ name: 'supervisor', scopes: ['read', 'memory:write'] });
+
+    assert.strictEqual((await call('GET', '/adapters', reader.token)).status, 200);
+    const denied = await call('POST', '/sessions', reader.token);
+    assert.strictEqual(denied.status, 403);
+    assert.strictEqual(denied.body.error.code, 'insufficient_scope');
+    assert(/ops-dashboard lacks the admin scope/.test(denied.body.error.message));
+    assert.strictEqual((await call('GET', '/orchestration/memory/stats', reader.token)).status, 403);
+    assert.notStrictEqual((await call('GET', '/orchestration/memory/stats', supervisor.token)).status, 403);
+    assert.notStrictEqual((await call('POST', '/sessions', 'primary-test-key')).status, 403, 'the broker key keeps full access');
+
+    revokeApiToken('ops-dashboard');
+    const revoked = await call('GET', '/adapters', reader.token);
+    assert.strictEqual(revoked.status, 403);
+    assert.strictEqual(revoked.body.error.message, 'API token revoked');
+
+    const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/ws?apiKey=${encodeURIComponent(supervisor.token)}`);
+    const replies = [];
+    await new Promise((resolve, reject) => {
+      ws.on('message', (data) => {
+        replies.push(JSON.parse(data.toString()));
+        if (replies.length === 3) resolve();
+      });
+      ws.on('open', () => {
+        ws.send(JSON.stringify({ type: 'ping' }));
+        ws.send(JSON.stringify({ type: 'create_session', adapter: 'codex-cli' }));
+      });
+      ws.on('error', reject);
+    });
+    ws.close();
+    assert.deepStrictEqual(replies.map((reply) => reply.type), ['connected', 'pong', 'error']);
+    assert(/lacks the admin scope required for create_session/.test(replies[2].error));
+  } finally {
+    console.log = () => {};
+    try {
+      await server.stop();
+    } finally {
+      console.log = originalLog;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    for (const key of AUTH_ENV_KEYS) {
+      if (typeof snapshot[key] === 'string') {
+        process.env[key] = snapshot[key];
+      } else {
+        delete process.env[key];
+      }
+    }
+  }
+  console.log('✅ HTTP and WebSocket requests are limited to the token scopes');
+}
+
+function testOperatorActionAttribution() {
+  const rootDir = makeTempDir('cliagents-api-tokens-db-');
+  const db = new OrchestrationDB({ dbPath: path.join(rootDir, 'cliagents.db'), dataDir: rootDir });
+  try {
+    const ledger = new RunLedgerService(db);
+    const runId = ledger.createRun({
+      kind: 'implementation-run',
+      status: 'running',
+      hashInput: { message: 'attribution' },
+      inputSummary: 'attribution',
+      workingDirectory: rootDir,
+      initiator: 'api-token-test'
+    });
+    const action = ledger.appendOperatorAction({ runId, actionKind: 'operator_cancel', tokenName: 'supervisor' });
+    assert.strictEqual(action.tokenName, 'supervisor');
+    assert.strictEqual(ledger.appendOperatorAction({ runId, actionKind: 'operator_resume' }).tokenName, null);
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ operator actions record the token name');
+}
+
+async function run() {
+  testRouteScopes();
+  testTokenStore();
+  await testHttpScopes();
+  testOperatorActionAttribution();
+}
+
+run().then(() => {
+  console.log('\nAPI token tests passed');
+}).catch((error) => {
+  console.error('\nAPI token tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function runGit(cwd, args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).trim();
+}
+
+function writeFile(repoDir, fileName, content) {
+  fs.mkdirSync(path.dirname(path.join(repoDir, fileName)), { recursive: true });
+  fs.writeFileSync(path.join(repoDir, fileName), content);
+}
+
+function initRepo(repoDir) {
+  fs.mkdirSync(repoDir, { recursive: true });
+  runGit(repoDir, ['init', '-b', 'main']);
+  runGit(repoDir, ['config', 'user.email', 'cliagents-test@example.com']);
+  runGit(repoDir, ['config', 'user.name', 'cliagents test']);
+  writeFile(repoDir, 'README.md', 'readme\n');
+  writeFile(repoDir, 'src/app.js', 'const a = 1;\nconst b = 2;\nmodule.exports = { a, b };\n');
+  writeFile(repoDir, 'src/legacy.js', Array.from({ length: 20 }, (_, index) => `line ${index + 1}`).join('\n') + '\n');
+  writeFile(repoDir, 'obsolete.txt', 'remove me\n');
+  runGit(repoDir, ['add', '.']);
+  runGit(repoDir, ['commit', '-m', 'initial commit']);
+}
+
+// Branch with one added, modified, renamed, deleted, and binary file; main moves on afterwards
+function buildAssignmentBranch(repoDir, branchName) {
+  runGit(repoDir, ['checkout', '-b', branchName]);
+  writeFile(repoDir, 'src/app.js', 'const a = 1;\nconst b = 3;\nmodule.exports = { a, b };\n');
+  writeFile(repoDir, 'docs/new.md', '# New\n\nAdded on the branch.\n');
+  runGit(repoDir, ['mv', 'src/legacy.js', 'src/renamed.js']);
+  fs.appendFileSync(path.join(repoDir, 'src/renamed.js'), 'line 21\n');
+  runGit(repoDir, ['rm', '-q', 'obsolete.txt']);
+  writeFile(repoDir, 'assets/logo.bin', Buffer.from([0, 1, 2, 3, 0, 255, 254, 0]));
+  runGit(repoDir, ['add', '-A']);
+  runGit(repoDir, ['commit', '-m', `${branchName} changes`]);
+  runGit(repoDir, ['checkout', 'main']);
+  writeFile(repoDir, 'README.md', 'readme moved on main\n');
+  runGit(repoDir, ['commit', '-am', 'main moves on']);
+}
+
+function createFakeSessionManager() {
+  const sessionManager = new EventEmitter();
+  sessionManager.createTerminal = async () => {
+    throw new Error('diff tests do not start terminals');
+  };
+  sessionManager.getTerminal = () => null;
+  return sessionManager;
+}
+
+async function run() {
+  const rootDir = makeTempDir('cliagents-assignment-diff-');
+  const repoDir = path.join(rootDir, 'repo');
+  initRepo(repoDir);
+  buildAssignmentBranch(repoDir, 'task/review');
+
+  const db = new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir
+  });
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    db,
+    sessionManager: createFakeSessionManager(),
+    adapterAuthInspector: () => ({ authenticated: true, reason: null })
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body) => {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  try {
+    const taskRes = await call('POST', '/orchestration/tasks', { title: 'Review lane', workspaceRoot: repoDir });
+    const taskId = taskRes.data.task.id;
+    const created = await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'review',
+      role: 'executor',
+      adapter: 'codex-cli',
+      instructions: 'Make the branch changes.',
+      branchName: 'task/review',
+      baseBranch: 'main',
+      mergeTarget: 'main'
+    });
+    assert.strictEqual(created.status, 200);
+    await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'plain',
+      role: 'reviewer',
+      adapter: 'codex-cli',
+      instructions: 'No branch here.'
+    });
+    const diffRoute = (assignmentId, query = '') => `/orchestration/tasks/${taskId}/assignments/${assignmentId}/diff${query}`;
+
+    const full = await call('GET', diffRoute('review'));
+    assert.strictEqual(full.status, 200);
+    assert.strictEqual(full.data.branchName, 'task/review');
+    assert.strictEqual(full.data.mergeBaseSha, runGit(repoDir, ['merge-base', 'main', 'task/review']));
+    assert.strictEqual(full.data.headSha, runGit(repoDir, ['rev-parse', 'task/review']));
+    assert.deepStrictEqual(full.data.totals, { files: 5, additions: 5, deletions: 2, binary: 1 });
+    const byPath = new Map(full.data.files.map((file) => [file.path, file]));
+    assert(!byPath.has('README.md'), 'changes made on main after the fork are not part of the branch diff');
+
+    assert.strictEqual(byPath.get('src/app.js').status, 'modified');
+    assert(byPath.get('src/app.js').patch.includes('-const b = 2;\n+const b = 3;'));
+    assert.strictEqual(byPath.get('docs/new.md').status, 'added');
+    assert.strictEqual(byPath.get('docs/new.md').additions, 3);
+    assert.strictEqual(byPath.get('obsolete.txt').status, 'deleted');
+
+    const renamed = byPath.get('src/renamed.js');
+    assert.strictEqual(renamed.status, 'renamed');
+    assert.strictEqual(renamed.oldPath, 'src/legacy.js');
+    assert(renamed.similarity >= 90);
+    assert(renamed.patch.includes('rename from src/legacy.js'));
+    assert(renamed.patch.includes('+line 21'));
+
+    const binary = byPath.get('assets/logo.bin');
+    assert.strictEqual(binary.binary, true);
+    assert.strictEqual(binary.patch, null);
+    assert.strictEqual(binary.additions, null);
+
+    const firstPage = await call('GET', diffRoute('review', '?limit=2'));
+    assert.strictEqual(firstPage.data.files.length, 2);
+    assert.deepStrictEqual(firstPage.data.pagination, { limit: 2, offset: 0, total: 5, returned: 2, hasMore: true });
+    const lastPage = await call('GET', diffRoute('review', '?limit=2&offset=4'));
+    assert.strictEqual(lastPage.data.files.length, 1);
+    assert.strictEqual(lastPage.data.pagination.hasMore, false);
+
+    const filtered = await call('GET', diffRoute('review', '?path=src/legacy.js&maxBytes=40'));
+    assert.strictEqual(filtered.data.files.length, 1);
+    assert.strictEqual(filtered.data.files[0].path, 'src/renamed.js');
+    assert.strictEqual(filtered.data.files[0].truncated, true);
+    assert.strictEqual(filtered.data.files[0].patch.length, 40);
+    assert(filtered.data.files[0].patchBytes > 40);
+
+    const noBranch = await call('GET', diffRoute('plain'));
+    assert.strictEqual(noBranch.status, 409);
+    assert.strictEqual(noBranch.data.error.code, 'assignment_branch_missing');
+
+    const unknownBase = await call('GET', diffRoute('review', '?base=no-such-branch'));
+    assert.strictEqual(unknownBase.status, 404);
+    assert.strictEqual(unknownBase.data.error.code, 'diff_ref_not_found');
+
+    const optionRef = await call('GET', diffRoute('review', '?base=--output=/tmp/x'));
+    assert.strictEqual(optionRef.status, 400);
+    assert.strictEqual(optionRef.data.error.param, 'base');
+
+    const missing = await call('GET', diffRoute('nope'));
+    assert.strictEqual(missing.status, 404);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ assignment diffs list renamed, binary, and paged files against the fork point');
+}
+
+run().then(() => {
+  console.log('\nAssignment diff tests passed');
+}).catch((error) => {
+  console.error('\nAssignment diff tests failed:', error);
+  process.exit(1);
+});
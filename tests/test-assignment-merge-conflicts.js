@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { BudgetService } = require('../src/orchestration/budget-service');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+const { runCheckCommand } = require('../src/orchestration/assignment-branching');
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function runGit(cwd, args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).trim();
+}
+
+function initRepo(repoDir) {
+  fs.mkdirSync(repoDir, { recursive: true });
+  runGit(repoDir, ['init', '-b', 'main']);
+  runGit(repoDir, ['config', 'user.email', 'cliagents-test@example.com']);
+  runGit(repoDir, ['config', 'user.name', 'cliagents test']);
+  fs.writeFileSync(path.join(repoDir, 'notes.txt'), 'base\n', 'utf8');
+  fs.writeFileSync(path.join(repoDir, 'config.txt'), 'base\n', 'utf8');
+  fs.writeFileSync(path.join(repoDir, 'docs.txt'), 'base\n', 'utf8');
+  runGit(repoDir, ['add', '.']);
+  runGit(repoDir, ['commit', '-m', 'initial commit']);
+}
+
+// Commit `branchContent` on a new branch and `mainContent` on main for the same file
+function divergeFile(repoDir, branchName, fileName, branchContent, mainContent) {
+  runGit(repoDir, ['checkout', '-b', branchName]);
+  fs.writeFileSync(path.join(repoDir, fileName), branchContent, 'utf8');
+  runGit(repoDir, ['commit', '-am', `${branchName} edits ${fileName}`]);
+  runGit(repoDir, ['checkout', 'main']);
+  fs.writeFileSync(path.join(repoDir, fileName), mainContent, 'utf8');
+  runGit(repoDir, ['commit', '-am', `main edits ${fileName}`]);
+}
+
+function createFakeSessionManager() {
+  const sessionManager = new EventEmitter();
+  const terminals = new Map();
+  sessionManager.createCalls = [];
+  sessionManager.sendCalls = [];
+  sessionManager.createTerminal = async (options = {}) => {
+    const terminalId = `term-${sessionManager.createCalls.length + 1}`;
+    sessionManager.createCalls.push({ ...options, terminalId });
+    terminals.set(terminalId, {
+      terminalId,
+      adapter: options.adapter || 'codex-cli',
+      status: 'processing',
+      rootSessionId: options.rootSessionId || null,
+      activeRun: null
+    });
+    return { terminalId, reused: false, reuseReason: null };
+  };
+  sessionManager.sendInput = async (terminalId, message) => {
+    sessionManager.sendCalls.push({ terminalId, message });
+    return { terminalId };
+  };
+  sessionManager.getTerminal = (terminalId) => terminals.get(terminalId) || null;
+  sessionManager.finish = (terminalId) => {
+    terminals.get(terminalId).status = 'completed';
+    sessionManager.emit('status-change', { terminalId, status: 'completed' });
+  };
+  return sessionManager;
+}
+
+async function waitFor(predicate, label) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    if (predicate()) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  assert.fail(`timed out waiting for ${label}`);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function testCheckCommandTimeoutKillsChildren() {
+  const rootDir = makeTempDir('cliagents-check-timeout-');
+  const pidFile = path.join(rootDir, 'sleep.pid');
+  try {
+    // The background sleep holds the shell's stdout open after the shell dies
+    const result = await runCheckCommand(rootDir, `sleep 30 & echo $! > ${pidFile}; wait`, { timeoutMs: 500 });
+    assert.strictEqual(result.timedOut, true);
+    assert.strictEqual(result.passed, false);
+    assert(result.durationMs < 5000, `check should stop at its timeout, took ${result.durationMs}ms`);
+    const sleepPid = Number.parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+    await waitFor(() => !isProcessAlive(sleepPid), 'the background sleep to be killed');
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ a timed-out check command returns on time and kills the processes it started');
+}
+
+async function run() {
+  await testCheckCommandTimeoutKillsChildren();
+
+  const rootDir = makeTempDir('cliagents-merge-conflicts-');
+  const repoDir = path.join(rootDir, 'repo');
+  initRepo(repoDir);
+  divergeFile(repoDir, 'task/notes', 'notes.txt', 'from branch\n', 'from main\n');
+  divergeFile(repoDir, 'task/config', 'config.txt', 'branch config\n', 'main config\n');
+  divergeFile(repoDir, 'task/docs', 'docs.txt', 'branch docs\n', 'main docs\n');
+
+  const db = new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir
+  });
+  const sessionManager = createFakeSessionManager();
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    db,
+    sessionManager,
+    adapterAuthInspector: () => ({ authenticated: true, reason: null })
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body) => {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  try {
+    const taskRes = await call('POST', '/orchestration/tasks', { title: 'Conflicting lanes', workspaceRoot: repoDir });
+    const taskId = taskRes.data.task.id;
+    const createAssignment = async (assignmentId, branchName) => {
+      const created = await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+        assignmentId,
+        role: 'executor',
+        adapter: 'codex-cli',
+        instructions: `Edit files on ${branchName}.`,
+        branchName,
+        baseBranch: 'main',
+        mergeTarget: 'main'
+      });
+      assert.strictEqual(created.status, 200);
+      const accepted = await call('PATCH', `/orchestration/tasks/${taskId}/assignments/${assignmentId}/branch`, {
+        branchStatus: 'accepted'
+      });
+      assert.strictEqual(accepted.data.assignment.branch.status, 'accepted');
+    };
+    await createAssignment('notes', 'task/notes');
+    await createAssignment('config', 'task/config');
+    await createAssignment('docs', 'task/docs');
+    const integrateRoute = (assignmentId) => `/orchestration/tasks/${taskId}/assignments/${assignmentId}/integrate`;
+
+    // Default mode aborts the merge and leaves the workspace clean
+    const failed = await call('POST', integrateRoute('notes'), {});
+    assert.strictEqual(failed.status, 409);
+    assert.strictEqual(failed.data.error.code, 'merge_conflict');
+    assert.deepStrictEqual(failed.data.error.conflictedPaths, ['notes.txt']);
+    assert.strictEqual(failed.data.assignment.metadata.mergeConflict.status, 'aborted');
+    assert.strictEqual(runGit(repoDir, ['status', '--porcelain']), '');
+    assert.strictEqual(fs.readFileSync(path.join(repoDir, 'notes.txt'), 'utf8'), 'from main\n');
+
+    const invalid = await call('POST', integrateRoute('notes'), { onConflict: 'merge-anyway' });
+    assert.strictEqual(invalid.status, 400);
+
+    // Record mode keeps the conflicted merge on a scratch worktree
+    const recorded = await call('POST', integrateRoute('notes'), {
+      onConflict: 'record',
+      checkCommand: 'grep -qx combined notes.txt'
+    });
+    assert.strictEqual(recorded.status, 202);
+    const conflict = recorded.data.conflict;
+    assert.strictEqual(conflict.status, 'conflicted');
+    assert.deepStrictEqual(conflict.conflictedPaths, ['notes.txt']);
+    assert.strictEqual(conflict.checkCommand, 'grep -qx combined notes.txt');
+    assert(fs.readFileSync(path.join(conflict.scratchWorktreePath, 'notes.txt'), 'utf8').includes('<<<<<<<'));
+    assert.strictEqual(runGit(repoDir, ['status', '--porcelain']), '');
+
+    const pending = await call('POST', integrateRoute('notes'), { onConflict: 'record' });
+    assert.strictEqual(pending.status, 409);
+    assert.strictEqual(pending.data.error.code, 'merge_conflict_pending');
+
+    const unresolved = await call('POST', `${integrateRoute('notes')}/complete`, { checkCommand: 'true' });
+    assert.strictEqual(unresolved.status, 409);
+    assert.strictEqual(unresolved.data.error.code, 'merge_conflict_unresolved');
+    assert.deepStrictEqual(unresolved.data.error.unresolvedPaths, ['notes.txt']);
+
+    fs.writeFileSync(path.join(conflict.scratchWorktreePath, 'notes.txt'), 'from branch\n', 'utf8');
+    const checkFailed = await call('POST', `${integrateRoute('notes')}/complete`);
+    assert.strictEqual(checkFailed.status, 409);
+    assert.strictEqual(checkFailed.data.error.code, 'merge_check_failed');
+    assert.strictEqual(checkFailed.data.error.check.exitCode, 1);
+    assert.strictEqual(db.getTaskAssignment('notes').metadata.mergeConflict.status, 'check_failed');
+
+    fs.writeFileSync(path.join(conflict.scratchWorktreePath, 'notes.txt'), 'combined\n', 'utf8');
+    const completed = await call('POST', `${integrateRoute('notes')}/complete`);
+    assert.strictEqual(completed.status, 200);
+    assert.strictEqual(completed.data.check.passed, true);
+    assert.deepStrictEqual(completed.data.integration.resolvedConflicts, ['notes.txt']);
+    assert.strictEqual(completed.data.assignment.branch.status, 'integrated');
+    assert.strictEqual(completed.data.assignment.status, 'completed');
+    assert.strictEqual(completed.data.assignment.metadata.mergeConflict.status, 'resolved');
+    assert.strictEqual(fs.readFileSync(path.join(repoDir, 'notes.txt'), 'utf8'), 'combined\n');
+    assert.strictEqual(runGit(repoDir, ['rev-list', '--parents', '-n', '1', 'HEAD']).split(' ').length, 3);
+    assert(!fs.existsSync(conflict.scratchWorktreePath), 'scratch worktree should be removed after completion');
+
+    // An exceeded hard cap on the root refuses the resolver child
+    db.addUsageRecord({ terminalId: 'term-usage', rootSessionId: 'root-capped', adapter: 'codex-cli', inputTokens: 25, totalTokens: 25 });
+    new BudgetService({ db }).createBudget({ scopeType: 'root', scopeId: 'root-capped', maxTokens: 10 });
+    const spawnsBefore = sessionManager.createCalls.length;
+    const capped = await call('POST', integrateRoute('config'), { onConflict: 'resolve', rootSessionId: 'root-capped' });
+    assert.strictEqual(capped.status, 202);
+    assert.strictEqual(capped.data.conflict.status, 'conflicted');
+    assert.strictEqual(capped.data.conflict.resolver, null);
+    assert.strictEqual(capped.data.conflict.resolverError.code, 'budget_exceeded');
+    assert.strictEqual(sessionManager.createCalls.length, spawnsBefore);
+
+    // Resolve mode spawns a resolver child and completes the merge when it finishes
+    const resolving = await call('POST', integrateRoute('config'), {
+      discardConflict: true,
+      onConflict: 'resolve',
+      checkCommand: 'grep -qx merged config.txt',
+      rootSessionId: 'root-merge'
+    });
+    assert.strictEqual(resolving.status, 202);
+    assert.strictEqual(resolving.data.conflict.status, 'resolving');
+    const resolverTerminalId = resolving.data.conflict.resolver.terminalId;
+    const scratchPath = resolving.data.conflict.scratchWorktreePath;
+    const resolverCall = sessionManager.createCalls.find((entry) => entry.terminalId === resolverTerminalId);
+    assert.strictEqual(resolverCall.workDir, scratchPath);
+    assert.strictEqual(resolverCall.rootSessionId, 'root-merge');
+    const resolverPrompt = sessionManager.sendCalls.find((entry) => entry.terminalId === resolverTerminalId).message;
+    assert(resolverPrompt.includes('config.txt'));
+    assert(resolverPrompt.includes('grep -qx merged config.txt'));
+
+    fs.writeFileSync(path.join(scratchPath, 'config.txt'), 'merged\n', 'utf8');
+    sessionManager.finish(resolverTerminalId);
+    await waitFor(() => db.getTaskAssignment('config').branchStatus === 'integrated', 'resolved merge to integrate');
+    const config = db.getTaskAssignment('config');
+    assert.strictEqual(config.metadata.mergeConflict.status, 'resolved');
+    assert.strictEqual(config.metadata.mergeConflict.lastTrigger, 'resolver_completed');
+    assert.strictEqual(fs.readFileSync(path.join(repoDir, 'config.txt'), 'utf8'), 'merged\n');
+    assert.strictEqual(runGit(repoDir, ['status', '--porcelain']), '');
+
+    // A broker restarted while a resolver runs still completes the merge when it finishes
+    const docsResolving = await call('POST', integrateRoute('docs'), { onConflict: 'resolve', rootSessionId: 'root-merge' });
+    assert.strictEqual(docsResolving.status, 202);
+    const docsConflict = docsResolving.data.conflict;
+    const restartedManager = createFakeSessionManager();
+    createOrchestrationRouter({
+      db,
+      sessionManager: restartedManager,
+      adapterAuthInspector: () => ({ authenticated: true, reason: null })
+    });
+    fs.writeFileSync(path.join(docsConflict.scratchWorktreePath, 'docs.txt'), 'merged docs\n', 'utf8');
+    restartedManager.emit('status-change', { terminalId: docsConflict.resolver.terminalId, status: 'completed' });
+    await waitFor(() => db.getTaskAssignment('docs').branchStatus === 'integrated', 'restarted broker to integrate');
+    assert.strictEqual(db.getTaskAssignment('docs').metadata.mergeConflict.lastTrigger, 'resolver_completed');
+    assert.strictEqual(fs.readFileSync(path.join(repoDir, 'docs.txt'), 'utf8'), 'merged docs\n');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ conflicted integrations are recorded, resolved on a scratch worktree, and completed after the check passes');
+}
+
+run().then(() => {
+  console.log('\nAssignment merge conflict tests passed');
+}).catch((error) => {
+  console.error('\nAssignment merge conflict tests failed:', error);
+  process.exit(1);
+});
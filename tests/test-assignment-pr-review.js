@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function runGit(cwd, args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).trim();
+}
+
+function initRepo(repoDir) {
+  fs.mkdirSync(repoDir, { recursive: true });
+  runGit(repoDir, ['init', '-b', 'main']);
+  runGit(repoDir, ['config', 'user.email', 'cliagents-test@example.com']);
+  runGit(repoDir, ['config', 'user.name', 'cliagents test']);
+  fs.writeFileSync(path.join(repoDir, 'math.js'), 'function add(a, b) {\n  return a + b;\n}\n', 'utf8');
+  runGit(repoDir, ['add', '.']);
+  runGit(repoDir, ['commit', '-m', 'initial commit']);
+  runGit(repoDir, ['checkout', '-b', 'task/subtract']);
+  fs.appendFileSync(path.join(repoDir, 'math.js'), 'function subtract(a, b) {\n  return a + b;\n}\n');
+  runGit(repoDir, ['commit', '-am', 'Add subtract helper']);
+  runGit(repoDir, ['checkout', 'main']);
+}
+
+// Reviewers flag a blocker; the judge keeps it and asks for a revision
+function createReviewSessionManager() {
+  const createCalls = [];
+  const sendCalls = [];
+  const blocker = { id: 'B1', severity: 'high', issue: 'subtract adds', evidence: 'return a + b', fix: 'use a - b' };
+  return {
+    createCalls,
+    sendCalls,
+    async createSession(options) {
+      createCalls.push(options);
+      return { sessionId: options.sessionId };
+    },
+    async send(sessionId, message) {
+      sendCalls.push({ sessionId, message });
+      const isJudge = message.includes('You are the final judge for a pr-review workflow.');
+      return {
+        result: JSON.stringify({
+          verdict: 'revise',
+          summary: isJudge ? 'subtract is wrong' : 'found a bug',
+          blockers: [blocker],
+          risks: ['arithmetic regression'],
+          testGaps: ['no subtract test']
+        })
+      };
+    },
+    async terminateSession() {}
+  };
+}
+
+async function run() {
+  const rootDir = makeTempDir('cliagents-assignment-pr-review-');
+  const repoDir = path.join(rootDir, 'repo');
+  initRepo(repoDir);
+
+  const db = new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir
+  });
+  const apiSessionManager = createReviewSessionManager();
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    db,
+    sessionManager: apiSessionManager,
+    apiSessionManager,
+    adapterAuthInspector: () => ({ authenticated: true, reason: null })
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body) => {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  try {
+    const taskRes = await call('POST', '/orchestration/tasks', { title: 'Math helpers', workspaceRoot: repoDir });
+    const taskId = taskRes.data.task.id;
+    await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'subtract',
+      role: 'executor',
+      adapter: 'codex-cli',
+      instructions: 'Add a subtract helper.',
+      branchName: 'task/subtract',
+      baseBranch: 'main',
+      mergeTarget: 'main'
+    });
+    await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'notes',
+      role: 'reviewer',
+      adapter: 'codex-cli',
+      instructions: 'No branch.'
+    });
+
+    // Assignment mode builds the input from the branch and records the verdict
+    const reviewed = await call('POST', '/orchestration/pr-review', { taskId, assignmentId: 'subtract' });
+    assert.strictEqual(reviewed.status, 200);
+    assert.strictEqual(reviewed.data.decision.verdict, 'revise');
+    const reviewerMessage = apiSessionManager.sendCalls[0].message;
+    assert(reviewerMessage.includes('Assignment subtract (executor) of task Math helpers'));
+    assert(reviewerMessage.includes('Add a subtract helper.'));
+    assert(reviewerMessage.includes('Add subtract helper (cliagents test)'), 'commit log is part of the summary');
+    assert(reviewerMessage.includes('+function subtract(a, b) {'), 'branch diff is part of the input');
+    assert(reviewerMessage.includes('- modified math.js (+3 -0)'), 'touched files are part of the context');
+    assert.strictEqual(apiSessionManager.createCalls[0].workDir, repoDir);
+
+    assert.strictEqual(reviewed.data.reviewInput.headSha, runGit(repoDir, ['rev-parse', 'task/subtract']));
+    assert.strictEqual(reviewed.data.reviewInput.commits.length, 1);
+    assert.strictEqual(reviewed.data.review.verdict, 'revise');
+    assert.strictEqual(reviewed.data.review.source, 'judge');
+    assert.strictEqual(reviewed.data.review.summary, 'subtract is wrong');
+    assert.deepStrictEqual(reviewed.data.review.blockers.map((entry) => entry.issue), ['subtract adds']);
+    assert.strictEqual(reviewed.data.assignment.reviewStatus, 'revise');
+
+    const stored = db.getTaskAssignment('subtract');
+    assert.strictEqual(stored.reviewStatus, 'revise');
+    assert.strictEqual(stored.metadata.review.headSha, reviewed.data.reviewInput.headSha);
+    assert.deepStrictEqual(stored.metadata.review.testGaps, ['no subtract test']);
+
+    // Git-ref mode reviews any two refs without touching assignments
+    const sendCount = apiSessionManager.sendCalls.length;
+    const refs = await call('POST', '/orchestration/pr-review', {
+      workspaceRoot: repoDir,
+      baseRef: 'main',
+      headRef: 'task/subtract',
+      judge: false
+    });
+    assert.strictEqual(refs.status, 200);
+    assert.strictEqual(refs.data.review, undefined);
+    assert.deepStrictEqual(refs.data.reviewInput.files.map((file) => file.path), ['math.js']);
+    assert(apiSessionManager.sendCalls[sendCount].message.includes('Branch task/subtract against main'));
+
+    const missingAssignment = await call('POST', '/orchestration/pr-review', { taskId, assignmentId: 'nope' });
+    assert.strictEqual(missingAssignment.status, 404);
+    assert.strictEqual(missingAssignment.data.error.code, 'task_assignment_not_found');
+
+    const noBranch = await call('POST', '/orchestration/pr-review', { assignmentId: 'notes' });
+    assert.strictEqual(noBranch.status, 409);
+    assert.strictEqual(noBranch.data.error.code, 'assignment_branch_missing');
+
+    const halfRefs = await call('POST', '/orchestration/pr-review', { workspaceRoot: repoDir, baseRef: 'main' });
+    assert.strictEqual(halfRefs.status, 400);
+    assert.strictEqual(halfRefs.data.error.param, 'baseRef|headRef');
+
+    const unknownRef = await call('POST', '/orchestration/pr-review', { taskId, baseRef: 'main', headRef: 'task/missing' });
+    assert.strictEqual(unknownRef.status, 404);
+    assert.strictEqual(unknownRef.data.error.code, 'diff_ref_not_found');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ pr-review builds its input from assignment branches or git refs and stores the verdict');
+}
+
+run().then(() => {
+  console.log('\nAssignment pr-review tests passed');
+}).catch((error) => {
+  console.error('\nAssignment pr-review tests failed:', error);
+  process.exit(1);
+});
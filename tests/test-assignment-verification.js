@@ -0,0 +1,416 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { RunLedgerService } = require('../src/orchestration/run-ledger');
+const { DispatchScheduler } = require('../src/orchestration/dispatch-scheduler');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function runGit(cwd, args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).trim();
+}
+
+function initRepo(repoDir) {
+  fs.mkdirSync(repoDir, { recursive: true });
+  runGit(repoDir, ['init', '-b', 'main']);
+  runGit(repoDir, ['config', 'user.email', 'cliagents-test@example.com']);
+  runGit(repoDir, ['config', 'user.name', 'cliagents test']);
+  fs.writeFileSync(path.join(repoDir, 'README.md'), '# verify\n', 'utf8');
+  runGit(repoDir, ['add', '.']);
+  runGit(repoDir, ['commit', '-m', 'initial commit']);
+}
+
+function createFakeSessionManager() {
+  const sessionManager = new EventEmitter();
+  const terminals = new Map();
+  sessionManager.createCalls = [];
+  sessionManager.createTerminal = async (options = {}) => {
+    const terminalId = `term-${sessionManager.createCalls.length + 1}`;
+    sessionManager.createCalls.push({ ...options, terminalId });
+    terminals.set(terminalId, {
+      terminalId,
+      adapter: options.adapter || 'codex-cli',
+      status: 'processing',
+      rootSessionId: options.rootSessionId || null,
+      activeRun: null
+    });
+    return { terminalId, reused: false, reuseReason: null };
+  };
+  sessionManager.sendInput = async (terminalId) => ({ terminalId });
+  sessionManager.getTerminal = (terminalId) => terminals.get(terminalId) || null;
+  sessionManager.finish = (terminalId) => {
+    terminals.get(terminalId).status = 'completed';
+    sessionManager.emit('status-change', { terminalId, status: 'completed' });
+  };
+  return sessionManager;
+}
+
+async function waitFor(predicate, label) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    if (predicate()) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  assert.fail(`timed out waiting for ${label}`);
+}
+
+async function startServer(rootDir, sessionManager, scheduler = null) {
+  const db = new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir
+  });
+  const app = express();
+  app.use(express.json());
+  // Stand-in for the auth middleware: x-test-scopes names the caller's token scopes
+  app.use((req, res, next) => {
+    if (req.get('x-test-scopes')) {
+      req.auth = { source: 'api-token', tokenName: 'ops', scopes: req.get('x-test-scopes').split(',') };
+    }
+    next();
+  });
+  app.use('/orchestration', createOrchestrationRouter({
+    db,
+    sessionManager,
+    ...(scheduler ? { dispatchScheduler: scheduler(db) } : {}),
+    adapterAuthInspector: () => ({ authenticated: true, reason: null })
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body, headers = {}) => {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+  };
+  const close = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+  };
+  return { db, call, close };
+}
+
+async function testIntegrationWaitsForPassingVerification() {
+  const rootDir = makeTempDir('cliagents-verify-gate-');
+  const repoDir = path.join(rootDir, 'repo');
+  initRepo(repoDir);
+  const { db, call, close } = await startServer(rootDir, createFakeSessionManager());
+  const ledger = new RunLedgerService(db);
+
+  try {
+    const invalidTask = await call('POST', '/orchestration/tasks', {
+      title: 'Bad verify',
+      workspaceRoot: repoDir,
+      verify: [{ name: 'empty' }]
+    });
+    assert.strictEqual(invalidTask.status, 400);
+    assert.strictEqual(invalidTask.data.error.param, 'verify');
+
+    const taskRes = await call('POST', '/orchestration/tasks', {
+      title: 'Verified lane',
+      workspaceRoot: repoDir,
+      verify: ['test -f feature.txt', { name: 'lint', command: 'echo lint ok' }]
+    });
+    const taskId = taskRes.data.task.id;
+    assert.deepStrictEqual(taskRes.data.task.metadata.verify.map((spec) => spec.name), ['verify-1', 'lint']);
+
+    const created = await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'feature',
+      role: 'executor',
+      adapter: 'codex-cli',
+      instructions: 'Add feature.txt.',
+      autoBranch: true,
+      mergeTarget: 'main'
+    });
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual(created.data.assignment.verification.required, true);
+    assert.strictEqual(created.data.assignment.verification.status, 'pending');
+
+    const optedOut = await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'notes',
+      role: 'executor',
+      instructions: 'Take notes.',
+      verify: []
+    });
+    assert.strictEqual(optedOut.data.assignment.verification.required, false);
+    assert.strictEqual(optedOut.data.assignment.verification.status, 'none');
+
+    const verifyRoute = `/orchestration/tasks/${taskId}/assignments/feature/verify`;
+    const failed = await call('POST', verifyRoute);
+    assert.strictEqual(failed.status, 200);
+    const failedVerification = failed.data.verification;
+    assert.strictEqual(failedVerification.status, 'failed');
+    assert(failedVerification.reason.includes('test -f feature.txt'));
+    assert.strictEqual(failedVerification.commands[0].exitCode, 1);
+    assert.strictEqual(failedVerification.commands[1].stdoutTail, 'lint ok\n');
+    assert.strictEqual(failedVerification.workingDirectory, created.data.assignment.worktreePath);
+    assert.strictEqual(failed.data.assignment.branch.testStatus, 'failed');
+    assert.strictEqual(failed.data.assignment.verification.status, 'failed');
+    // The run ledger is off in this router; the gate still holds
+    assert.strictEqual(failedVerification.runId, null);
+
+    const worktreePath = created.data.assignment.worktreePath;
+    await call('PATCH', `/orchestration/tasks/${taskId}/assignments/feature/branch`, { branchStatus: 'accepted' });
+    const blocked = await call('POST', `/orchestration/tasks/${taskId}/assignments/feature/integrate`, {});
+    assert.strictEqual(blocked.status, 409);
+    assert.strictEqual(blocked.data.error.code, 'assignment_verification_failed');
+    assert.strictEqual(blocked.data.error.verification.commands[0].passed, false);
+    assert.strictEqual(runGit(repoDir, ['ls-files', 'feature.txt']), '');
+
+    fs.writeFileSync(path.join(worktreePath, 'feature.txt'), 'feature\n', 'utf8');
+    runGit(worktreePath, ['add', 'feature.txt']);
+    runGit(worktreePath, ['commit', '-m', 'add feature']);
+    const integrated = await call('POST', `/orchestration/tasks/${taskId}/assignments/feature/integrate`, {});
+    assert.strictEqual(integrated.status, 200);
+    assert.strictEqual(integrated.data.assignment.branch.status, 'integrated');
+    assert.strictEqual(integrated.data.assignment.verification.status, 'passed');
+    assert.strictEqual(integrated.data.assignment.metadata.verification.trigger, 'integrate');
+    assert.strictEqual(
+      integrated.data.assignment.metadata.verification.headSha,
+      runGit(worktreePath, ['rev-parse', 'HEAD'])
+    );
+    assert.strictEqual(runGit(repoDir, ['ls-files', 'feature.txt']), 'feature.txt');
+    assert.strictEqual(ledger.listRuns({}).length, 0);
+  } finally {
+    await close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ integration runs verify commands in the assignment worktree and blocks until they pass');
+}
+
+async function testVerificationRunLedger() {
+  const rootDir = makeTempDir('cliagents-verify-ledger-');
+  const repoDir = path.join(rootDir, 'repo');
+  initRepo(repoDir);
+  const previousRunLedger = process.env.RUN_LEDGER_ENABLED;
+  process.env.RUN_LEDGER_ENABLED = '1';
+  const { db, call, close } = await startServer(rootDir, createFakeSessionManager());
+  const ledger = new RunLedgerService(db);
+
+  try {
+    const taskRes = await call('POST', '/orchestration/tasks', { title: 'Ledger', workspaceRoot: repoDir });
+    const taskId = taskRes.data.task.id;
+    await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'checked',
+      role: 'executor',
+      instructions: 'Make the check pass.',
+      autoBranch: true,
+      verify: [{ name: 'check', command: 'test -f done.txt || { echo "done.txt missing" >&2; exit 3; }' }]
+    });
+
+    const first = await call('POST', `/orchestration/tasks/${taskId}/assignments/checked/verify`);
+    const firstRunId = first.data.verification.runId;
+    assert(firstRunId, 'verification should be recorded as a run');
+    const failedDetail = ledger.getRunDetail(firstRunId);
+    assert.strictEqual(failedDetail.run.status, 'failed');
+    assert.strictEqual(failedDetail.run.taskId, taskId);
+    assert.strictEqual(failedDetail.outputs.length, 1);
+    assert.strictEqual(failedDetail.outputs[0].outputKind, 'participant_error');
+    assert.strictEqual(failedDetail.outputs[0].metadata.exitCode, 3);
+    assert(failedDetail.outputs[0].fullText.includes('done.txt missing'));
+    assert.strictEqual(failedDetail.participants[0].participantRole, 'verifier');
+    assert.strictEqual(failedDetail.activeBlockedState.blockedReason, 'blocked_by_gate');
+    assert(failedDetail.activeBlockedState.blockingDetail.includes('exited 3'));
+    assert.strictEqual(first.data.verification.blockedStateId, failedDetail.activeBlockedState.id);
+
+    const worktreePath = first.data.assignment.worktreePath;
+    fs.writeFileSync(path.join(worktreePath, 'done.txt'), 'done\n', 'utf8');
+    runGit(worktreePath, ['add', 'done.txt']);
+    runGit(worktreePath, ['commit', '-m', 'done']);
+    const second = await call('POST', `/orchestration/tasks/${taskId}/assignments/checked/verify`);
+    assert.strictEqual(second.data.verification.status, 'passed');
+    const passedDetail = ledger.getRunDetail(second.data.verification.runId);
+    assert.strictEqual(passedDetail.run.status, 'completed');
+    assert.strictEqual(passedDetail.outputs[0].outputKind, 'participant_final');
+    assert.strictEqual(passedDetail.isBlocked, false);
+    const cleared = ledger.getRunDetail(firstRunId).blockedStates[0];
+    assert.strictEqual(cleared.unblockReason, 'verification_passed');
+  } finally {
+    if (previousRunLedger === undefined) delete process.env.RUN_LEDGER_ENABLED;
+    else process.env.RUN_LEDGER_ENABLED = previousRunLedger;
+    await close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ verify commands are recorded as run outputs with a blocked state on failure');
+}
+
+async function testDependentsWaitForVerification() {
+  const rootDir = makeTempDir('cliagents-verify-deps-');
+  const sessionManager = createFakeSessionManager();
+  let scheduler = null;
+  const { db, call, close } = await startServer(rootDir, sessionManager, (openedDb) => {
+    scheduler = new DispatchScheduler({ db: openedDb, enabled: false, maxConcurrent: 4 });
+    return scheduler;
+  });
+
+  try {
+    const taskRes = await call('POST', '/orchestration/tasks', { title: 'Pipeline', workspaceRoot: rootDir });
+    const taskId = taskRes.data.task.id;
+    await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'plan',
+      role: 'planner',
+      adapter: 'codex-cli',
+      instructions: 'Write the plan.',
+      verify: ['test -f plan.md']
+    });
+    await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'build',
+      role: 'executor',
+      adapter: 'codex-cli',
+      instructions: 'Build from the plan.',
+      dependsOn: ['plan']
+    });
+
+    const started = await call('POST', `/orchestration/tasks/${taskId}/assignments/plan/start`, { rootSessionId: 'root-verify' });
+    assert.strictEqual(started.status, 200);
+    sessionManager.finish('term-1');
+    await waitFor(() => db.getTaskAssignment('plan').metadata?.verification?.status === 'failed', 'plan verification');
+    const planRes = await call('GET', `/orchestration/tasks/${taskId}/assignments`);
+    const build = planRes.data.assignments.find((assignment) => assignment.id === 'build');
+    assert.strictEqual(build.dependencyState, 'waiting');
+    assert.strictEqual(db.getTaskAssignment('plan').metadata.verification.trigger, 'terminal_completed');
+    assert.strictEqual(sessionManager.createCalls.length, 1);
+
+    fs.writeFileSync(path.join(rootDir, 'plan.md'), '# plan\n', 'utf8');
+    const verified = await call('POST', `/orchestration/tasks/${taskId}/assignments/plan/verify`);
+    assert.strictEqual(verified.data.verification.status, 'passed');
+    assert.strictEqual(verified.data.dependentStarts.length, 1);
+    await waitFor(() => sessionManager.createCalls.length === 2, 'build to start');
+    await scheduler.waitForIdle();
+    assert.strictEqual(db.getTaskAssignment('build').terminalId, 'term-2');
+  } finally {
+    await close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ dependents of an assignment with verify commands wait for a passing verification');
+}
+
+async function testHungVerifyCommandTimesOut() {
+  const rootDir = makeTempDir('cliagents-verify-timeout-');
+  const repoDir = path.join(rootDir, 'repo');
+  initRepo(repoDir);
+  const { call, close } = await startServer(rootDir, createFakeSessionManager());
+
+  try {
+    const taskRes = await call('POST', '/orchestration/tasks', { title: 'Hung check', workspaceRoot: repoDir });
+    const taskId = taskRes.data.task.id;
+    await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'hung',
+      role: 'executor',
+      instructions: 'Never finishes verifying.',
+      autoBranch: true,
+      // The backgrounded sleep keeps the shell's output pipes open
+      verify: [{ name: 'hang', command: 'sleep 30 & wait', timeoutMs: 500 }]
+    });
+
+    const startedAt = Date.now();
+    const verified = await call('POST', `/orchestration/tasks/${taskId}/assignments/hung/verify`);
+    assert(Date.now() - startedAt < 5000, 'verify should return once the command times out');
+    assert.strictEqual(verified.status, 200);
+    assert.strictEqual(verified.data.verification.status, 'failed');
+    assert.strictEqual(verified.data.verification.commands[0].timedOut, true);
+    assert(verified.data.verification.reason.includes('timed out'));
+  } finally {
+    await close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ a hung verify command fails the gate at its timeout');
+}
+
+async function testSkipVerificationNeedsAdmin() {
+  const rootDir = makeTempDir('cliagents-verify-skip-');
+  const repoDir = path.join(rootDir, 'repo');
+  initRepo(repoDir);
+  const { db, call, close } = await startServer(rootDir, createFakeSessionManager());
+  const ledger = new RunLedgerService(db);
+
+  try {
+    const taskRes = await call('POST', '/orchestration/tasks', {
+      title: 'Skipped lane',
+      workspaceRoot: repoDir,
+      verify: ['test -f feature.txt']
+    });
+    const taskId = taskRes.data.task.id;
+    const created = await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      assignmentId: 'hotfix',
+      role: 'executor',
+      instructions: 'Ship the hotfix.',
+      autoBranch: true,
+      mergeTarget: 'main'
+    });
+    const failed = await call('POST', `/orchestration/tasks/${taskId}/assignments/hotfix/verify`);
+    assert.strictEqual(failed.data.verification.status, 'failed');
+    const worktreePath = created.data.assignment.worktreePath;
+    fs.writeFileSync(path.join(worktreePath, 'hotfix.txt'), 'hotfix\n', 'utf8');
+    runGit(worktreePath, ['add', 'hotfix.txt']);
+    runGit(worktreePath, ['commit', '-m', 'add hotfix']);
+    await call('PATCH', `/orchestration/tasks/${taskId}/assignments/hotfix/branch`, { branchStatus: 'accepted' });
+
+    const integrateRoute = `/orchestration/tasks/${taskId}/assignments/hotfix/integrate`;
+    const skip = { skipVerification: true, skipReason: 'verify host is down' };
+    for (const headers of [{}, { 'x-test-scopes': 'tasks' }]) {
+      const denied = await call('POST', integrateRoute, skip, headers);
+      assert.strictEqual(denied.status, 403);
+      assert.strictEqual(denied.data.error.code, 'insufficient_scope');
+    }
+    assert.strictEqual(runGit(repoDir, ['ls-files', 'hotfix.txt']), '', 'a refused skip merges nothing');
+    assert.strictEqual(ledger.listRuns({}).length, 0);
+
+    const integrated = await call('POST', integrateRoute, skip, { 'x-test-scopes': 'admin' });
+    assert.strictEqual(integrated.status, 200);
+    assert.strictEqual(integrated.data.assignment.branch.status, 'integrated');
+    assert.strictEqual(runGit(repoDir, ['ls-files', 'hotfix.txt']), 'hotfix.txt');
+
+    const verification = integrated.data.assignment.metadata.verification;
+    assert.strictEqual(verification.skippedHeadSha, runGit(worktreePath, ['rev-parse', 'HEAD']));
+    const [action] = ledger.listOperatorActions(verification.skipRunId);
+    assert.strictEqual(action.actionId, verification.skipOperatorActionId);
+    assert.strictEqual(action.actionKind, 'operator_override');
+    assert.strictEqual(action.tokenName, 'ops');
+    assert.strictEqual(action.payload.reason, 'verify host is down');
+    const blockedStates = ledger.listRunBlockedStates(verification.skipRunId);
+    assert.deepStrictEqual(blockedStates.map((state) => state.blockedReason), ['blocked_by_gate']);
+    assert.strictEqual(blockedStates[0].metadata.gate, 'assignment_verification');
+    assert.strictEqual(ledger.getActiveBlockedState(verification.skipRunId), null, 'the override lifts the gate');
+  } finally {
+    await close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ skipping verification needs the admin scope and is recorded as an operator override');
+}
+
+async function run() {
+  await testIntegrationWaitsForPassingVerification();
+  await testSkipVerificationNeedsAdmin();
+  await testHungVerifyCommandTimesOut();
+  await testVerificationRunLedger();
+  await testDependentsWaitForVerification();
+}
+
+run().then(() => {
+  console.log('\nAssignment verification tests passed');
+}).catch((error) => {
+  console.error('\nAssignment verification tests failed:', error);
+  process.exit(1);
+});
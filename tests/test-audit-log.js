@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const AgentServer = require('../src/server');
+const { OrchestrationDB } = require('../src/database/db');
+const { createAuditRouter } = require('../src/routes/audit');
+const { authenticateRequest } = require('../src/server/auth');
+const { mintApiToken } = require('../src/server/api-tokens');
+const { createAuditMiddleware, verifyAuditEntries } = require('../src/security/audit-log');
+const { handleAuditCommand, handleTokensCommand, parseAuditArgs } = require('../src/index');
+
+const ENV_KEYS = [
+  'CLIAGENTS_API_KEY',
+  'CLI_AGENTS_API_KEY',
+  'CLIAGENTS_ALLOW_UNAUTHENTICATED_LOCALHOST',
+  'CLIAGENTS_API_TOKENS_FILE',
+  'CLIAGENTS_URL'
+];
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+async function quietly(fn) {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+}
+
+function testChainAndRedaction() {
+  const rootDir = makeTempDir('cliagents-audit-db-');
+  const db = new OrchestrationDB({ dbPath: path.join(rootDir, 'cliagents.db'), dataDir: rootDir });
+  try {
+    const first = db.appendAuditEntry({
+      channel: 'http',
+      action: 'POST /orchestration/terminals/t1/input',
+      method: 'post',
+      path: '/orchestration/terminals/t1/input',
+      actorSource: 'token',
+      tokenName: 'supervisor',
+      args: { body: { message: 'deploy with OPENAI_API_KEY=sk-live-abcdefghijklmnop', apiKey: 'plain-secret' } },
+      outcome: 'success',
+      statusCode: 200
+    });
+    assert.strictEqual(first.seq, 1);
+    assert.strictEqual(first.method, 'POST');
+    assert.strictEqual(first.prevHash, '0'.repeat(64));
+    assert.strictEqual(first.args.body.apiKey, '[REDACTED_SECRET]');
+    assert(!JSON.stringify(first.args).includes('sk-live-abcdefghijklmnop'));
+
+    const second = db.appendAuditEntry({
+      channel: 'mcp',
+      action: 'delegate_task',
+      args: { message: 'x'.repeat(50000) },
+      outcome: 'error',
+      error: 'Routing failed'
+    });
+    assert.strictEqual(second.prevHash, first.entryHash);
+    assert(second.args.message.length < 2100, 'long strings are clipped before storage');
+    db.appendAuditEntry({ channel: 'http', action: 'DELETE /orchestration/terminals/t1', method: 'DELETE', outcome: 'denied', statusCode: 403 });
+
+    assert.throws(() => db.appendAuditEntry({ channel: 'sms', action: 'x', outcome: 'success' }), /Invalid audit channel/);
+    assert.throws(() => db.appendAuditEntry({ channel: 'http', action: 'x', outcome: 'maybe' }), /Invalid audit outcome/);
+
+    assert.deepStrictEqual(db.listAuditEntries().map((entry) => entry.seq), [3, 2, 1]);
+    assert.deepStrictEqual(db.listAuditEntries({ channel: 'http', order: 'asc' }).map((entry) => entry.seq), [1, 3]);
+    assert.deepStrictEqual(db.listAuditEntries({ tokenName: 'supervisor' }).map((entry) => entry.seq), [1]);
+    assert.deepStrictEqual(db.listAuditEntries({ pathPrefix: '/orchestration/terminals/t1/' }).map((entry) => entry.seq), [1]);
+    assert.deepStrictEqual(db.listAuditEntries({ afterSeq: 1, order: 'asc', limit: 1 }).map((entry) => entry.seq), [2]);
+    assert.deepStrictEqual(db.verifyAuditChain(), {
+      valid: true,
+      checked: 3,
+      headSeq: 3,
+      headHash: db.listAuditEntries({ limit: 1 })[0].entryHash,
+      brokenAt: null
+    });
+
+    assert.throws(() => db.db.prepare("UPDATE audit_log SET outcome = 'success' WHERE seq = 3").run(), /append-only/);
+    assert.throws(() => db.db.prepare('DELETE FROM audit_log WHERE seq = 1').run(), /append-only/);
+
+    db.db.exec('DROP TRIGGER trg_audit_log_no_update');
+    db.db.prepare("UPDATE audit_log SET token_name = 'someone-else' WHERE seq = 1").run();
+    const broken = db.verifyAuditChain();
+    assert.strictEqual(broken.valid, false);
+    assert.strictEqual(broken.brokenAt.seq, 1);
+    assert(/entry_hash does not match/.test(broken.brokenAt.reason));
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ audit entries are redacted, hash-chained, append-only, and tampering is detected');
+}
+
+async function testHttpMcpAndCli() {
+  const snapshot = {};
+  for (const key of ENV_KEYS) {
+    snapshot[key] = process.env[key];
+    delete process.env[key];
+  }
+  const rootDir = makeTempDir('cliagents-audit-http-');
+  process.env.CLIAGENTS_API_KEY = 'primary-test-key';
+  process.env.CLIAGENTS_API_TOKENS_FILE = path.join(rootDir, 'api-tokens.json');
+  const db = new OrchestrationDB({ dbPath: path.join(rootDir, 'cliagents.db'), dataDir: rootDir });
+
+  const app = express();
+  app.use(express.json());
+  app.use(createAuditMiddleware({ getDb: () => db }));
+  app.use(authenticateRequest);
+  app.post('/orchestration/terminals/:id/input', (req, res) => res.json({ delivered: true }));
+  app.delete('/orchestration/terminals/:id', (req, res) => res.status(404).json({
+    error: { code: 'not_found', message: 'Terminal not found' }
+  }));
+  app.use('/orchestration/audit', createAuditRouter({ db }));
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, requestPath, key, body) => {
+    const response = await fetch(baseUrl + requestPath, {
+      method,
+      headers: { authorization: `Bearer ${key}`, 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  };
+  // The audit entry is written when the response finishes
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  try {
+    const supervisor = mintApiToken({ name: 'supervisor', scopes: ['read', 'terminal:input'] });
+    const reader = mintApiToken({ name: 'reader', scopes: ['read'] });
+
+    assert.strictEqual((await call('POST', '/orchestration/terminals/t1/input', supervisor.token, {
+      message: 'hello',
+      password: 'hunter2'
+    })).status, 200);
+    assert.strictEqual((await call('POST', '/orchestration/terminals/t1/input', reader.token, { message: 'nope' })).status, 403);
+    assert.strictEqual((await call('DELETE', '/orchestration/terminals/t9', 'primary-test-key')).status, 404);
+    assert.strictEqual((await call('GET', '/orchestration/audit', reader.token)).status, 403, 'reading the audit log needs admin');
+    await settle();
+
+    const listed = await call('GET', '/orchestration/audit?order=asc', 'primary-test-key');
+    assert.strictEqual(listed.status, 200);
+    const [delivered, denied, missing] = listed.body.entries;
+    assert.strictEqual(listed.body.entries.length, 3, 'reads are not audited');
+    assert.strictEqual(delivered.action, 'POST /orchestration/terminals/t1/input');
+    assert.strictEqual(delivered.tokenName, 'supervisor');
+    assert.strictEqual(delivered.actorSource, 'token');
+    assert.deepStrictEqual(delivered.args, { body: { message: 'hello', password: '[REDACTED_SECRET]' } });
+    assert.strictEqual(delivered.outcome, 'success');
+    assert.strictEqual(denied.tokenName, 'reader', 'denied calls are attributed');
+    assert.strictEqual(denied.outcome, 'denied');
+    assert(/lacks the terminal:input scope/.test(denied.error));
+    assert.strictEqual(missing.actorSource, 'api-key');
+    assert.strictEqual(missing.outcome, 'error');
+    assert.strictEqual(missing.error, 'Terminal not found');
+
+    const filtered = await call('GET', '/orchestration/audit?token_name=reader&outcome=denied', 'primary-test-key');
+    assert.deepStrictEqual(filtered.body.entries.map((entry) => entry.seq), [denied.seq]);
+    assert.strictEqual((await call('GET', '/orchestration/audit?channel=sms', 'primary-test-key')).body.error.param, 'channel');
+    const paged = await call('GET', '/orchestration/audit?limit=2', 'primary-test-key');
+    assert.deepStrictEqual(paged.body.pagination, {
+      returned: 2, limit: 2, order: 'desc', hasMore: true, nextAfterSeq: null, nextBeforeSeq: denied.seq
+    });
+
+    process.env.CLIAGENTS_URL = baseUrl;
+    const mcp = require('../src/mcp/cliagents-mcp-server');
+    const originalWrite = process.stdout.write;
+    const responses = [];
+    process.stdout.write = (chunk) => {
+      responses.push(JSON.parse(String(chunk)));
+      return true;
+    };
+    try {
+      await mcp.handleRequest({
+        jsonrpc: '2.0',
+        id: 7,
+        method: 'tools/call',
+        params: { name: 'no_such_tool', arguments: { api_key: 'sk-live-abcdefghijklmnop', note: 'x' } }
+      });
+    } finally {
+      process.stdout.write = originalWrite;
+    }
+    assert.strictEqual(responses[0].error.message, 'Unknown tool: no_such_tool');
+    const mcpEntries = (await call('GET', '/orchestration/audit?channel=mcp', 'primary-test-key')).body.entries;
+    assert.strictEqual(mcpEntries.length, 1, 'the MCP report is not double-recorded as an HTTP call');
+    assert.strictEqual(mcpEntries[0].action, 'no_such_tool');
+    assert.strictEqual(mcpEntries[0].actorSource, 'api-key');
+    assert.strictEqual(mcpEntries[0].outcome, 'error');
+    assert.deepStrictEqual(mcpEntries[0].args, { api_key: '[REDACTED_SECRET]', note: 'x' });
+
+    const callJson = async (route) => {
+      const response = await call('GET', route, 'primary-test-key');
+      assert.strictEqual(response.status, 200, route);
+      return response.body;
+    };
+    const exportPath = path.join(rootDir, 'audit.ndjson');
+    await quietly(() => handleAuditCommand(['export', '--output', exportPath], { callCliagentsJson: callJson }));
+    const lines = fs.readFileSync(exportPath, 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 4);
+    assert.strictEqual(verifyAuditEntries(lines.map((line) => JSON.parse(line))).valid, true);
+
+    const verifyOutput = [];
+    const originalLog = console.log;
+    console.log = (line) => verifyOutput.push(line);
+    try {
+      await handleAuditCommand(['verify', '--file', exportPath]);
+      await handleAuditCommand(['verify'], { callCliagentsJson: callJson });
+    } finally {
+      console.log = originalLog;
+    }
+    assert.deepStrictEqual(verifyOutput, [
+      'Audit chain intact: 4 entries verified',
+      'Audit chain intact: 4 entries verified'
+    ]);
+
+    fs.writeFileSync(exportPath, lines.map((line, index) => (
+      index === 1 ? line.replace('"tokenName":"reader"', '"tokenName":"supervisor"') : line
+    )).join('\n'));
+    await assert.rejects(
+      () => quietly(() => handleAuditCommand(['verify', '--file', exportPath])),
+      /audit chain verification failed/
+    );
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    for (const key of ENV_KEYS) {
+      if (typeof snapshot[key] === 'string') {
+        process.env[key] = snapshot[key];
+      } else {
+        delete process.env[key];
+      }
+    }
+  }
+
+  const parsed = parseAuditArgs(['list', '--since', '2h', '--token', 'supervisor', '--channel', 'mcp'], 10 * 60 * 60 * 1000);
+  assert.strictEqual(parsed.since, 8 * 60 * 60 * 1000);
+  assert.strictEqual(parsed.tokenName, 'supervisor');
+  assert.throws(() => parseAuditArgs(['export', '--format', 'csv']), /Invalid --format/);
+  assert.throws(() => parseAuditArgs(['rotate']), /Unknown audit action/);
+  console.log('✅ mutating HTTP calls and MCP tool calls are recorded, queried, exported, and verified');
+}
+
+async function testCliAndWebSocketAuditing() {
+  const rootDir = makeTempDir('cliagents-audit-tokens-');
+  const db = new OrchestrationDB({ dbPath: path.join(rootDir, 'cliagents.db'), dataDir: rootDir });
+  const dependencies = { tokenStoreOptions: { dataDir: rootDir }, auditDb: db };
+  try {
+    await quietly(() => handleTokensCommand(['mint', '--name', 'ci-bot', '--scope', 'read,tasks'], dependencies));
+    await quietly(() => handleTokensCommand(['revoke', 'ci-bot'], dependencies));
+    await assert.rejects(
+      () => quietly(() => handleTokensCommand(['revoke', 'ghost'], dependencies)),
+      /ghost/
+    );
+
+    const recordWs = AgentServer.prototype._auditWebSocketMessage.bind({ orchestration: { db } });
+    const auth = { source: 'token', tokenName: 'ci-bot', tokenId: 'tok_1' };
+    recordWs(auth, { type: 'ping' }, null, { outcome: 'success', startedAt: Date.now() });
+    recordWs(auth, { type: 'create_session', adapter: 'codex-cli' }, null, {
+      outcome: 'denied', error: 'lacks the admin scope', startedAt: Date.now()
+    });
+    recordWs(auth, { type: 'send_message', message: 'token=sk-live-abcdefghijklmnop' }, 'sess-1', {
+      outcome: 'success', startedAt: Date.now()
+    });
+    const wsEntries = db.listAuditEntries({ channel: 'ws', order: 'asc' });
+    assert.deepStrictEqual(wsEntries.map((entry) => [entry.action, entry.outcome]), [
+      ['ws create_session', 'denied'],
+      ['ws send_message', 'success']
+    ], 'read-only messages such as ping are not audited');
+    assert.strictEqual(wsEntries[0].tokenName, 'ci-bot');
+    assert.strictEqual(wsEntries[1].args.sessionId, 'sess-1');
+    assert(!wsEntries[1].args.message.includes('sk-live-abcdefghijklmnop'));
+
+    const entries = db.listAuditEntries({ channel: 'cli', order: 'asc' });
+    assert.deepStrictEqual(entries.map((entry) => [entry.channel, entry.action, entry.outcome]), [
+      ['cli', 'tokens mint', 'success'],
+      ['cli', 'tokens revoke', 'success'],
+      ['cli', 'tokens revoke', 'error']
+    ]);
+    assert.strictEqual(entries[0].tokenName, 'ci-bot');
+    assert.deepStrictEqual(entries[0].args.scopes, ['read', 'tasks']);
+    assert.strictEqual(entries[1].tokenId, entries[0].tokenId, 'the revoke names the minted token');
+    assert.strictEqual(entries[0].actorSource, 'cli');
+    assert(!JSON.stringify(entries).includes('cliagents-tok-'), 'the plaintext token is never logged');
+    assert.strictEqual(verifyAuditEntries(db.listAuditEntries({ order: 'asc' })).valid, true);
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ CLI token mint/revoke and WebSocket session mutations are audited');
+}
+
+function testChannelMigrationKeepsChain() {
+  const rootDir = makeTempDir('cliagents-audit-migrate-');
+  const sourceDir = path.join(__dirname, '..', 'src', 'database', 'migrations');
+  const olderDir = path.join(rootDir, 'migrations');
+  fs.mkdirSync(olderDir);
+  for (const file of fs.readdirSync(sourceDir)) {
+    if (file < '0035') {
+      fs.copyFileSync(path.join(sourceDir, file), path.join(olderDir, file));
+    }
+  }
+  const dbPath = path.join(rootDir, 'cliagents.db');
+  try {
+    const before = new OrchestrationDB({ dbPath, dataDir: rootDir, migrationsDir: olderDir });
+    before.appendAuditEntry({ channel: 'http', action: 'POST /orchestration/route', outcome: 'success' });
+    before.appendAuditEntry({ channel: 'mcp', action: 'delegate_task', outcome: 'error', error: 'boom' });
+    assert.throws(() => before.db.prepare(`
+      INSERT INTO audit_log (entry_id, channel, action, outcome, created_at, prev_hash, entry_hash)
+      VALUES ('x', 'cli', 'x', 'success', 0, 'x', 'x')
+    `).run(), /CHECK constraint/);
+    before.close();
+
+    const after = new OrchestrationDB({ dbPath, dataDir: rootDir });
+    try {
+      after.appendAuditEntry({ channel: 'ws', action: 'ws send_message', outcome: 'success' });
+      const entries = after.listAuditEntries({ order: 'asc' });
+      assert.deepStrictEqual(entries.map((entry) => entry.channel), ['http', 'mcp', 'ws']);
+      assert.strictEqual(verifyAuditEntries(entries).valid, true, 'rebuilding the table keeps the hash chain');
+      assert.throws(() => after.db.prepare('DELETE FROM audit_log').run(), /append-only/);
+    } finally {
+      after.close();
+    }
+  } finally {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ widening the audit channels keeps existing entries and the hash chain');
+}
+
+async function run() {
+  testChainAndRedaction();
+  await testHttpMcpAndCli();
+  await testCliAndWebSocketAuditing();
+  testChannelMigrationKeepsChain();
+}
+
+run().then(() => {
+  console.log('\nAudit log tests passed');
+}).catch((error) => {
+  console.error('\nAudit log tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { BudgetService } = require('../src/orchestration/budget-service');
+const { RunLedgerService } = require('../src/orchestration/run-ledger');
+const { TaskRouter, TASK_TYPES } = require('../src/orchestration/task-router');
+const { WorkflowRegistry } = require('../src/orchestration/workflow-registry');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+
+const silentLogger = { warn() {}, info() {}, log() {} };
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function createFakeSessionManager() {
+  const createCalls = [];
+  return {
+    createCalls,
+    async createTerminal(options = {}) {
+      const terminalId = `term-${createCalls.length + 1}`;
+      createCalls.push({ ...options, terminalId });
+      return { terminalId, adapter: options.adapter, reused: false, reuseReason: null };
+    },
+    async sendInput(terminalId) {
+      return { terminalId };
+    },
+    getTerminal() {
+      return null;
+    }
+  };
+}
+
+function recordUsage(db, input) {
+  db.addUsageRecord({
+    terminalId: input.terminalId || 'term-usage',
+    rootSessionId: input.rootSessionId || null,
+    taskId: input.taskId || null,
+    adapter: 'codex-cli',
+    inputTokens: input.totalTokens || 0,
+    totalTokens: input.totalTokens || 0,
+    costUsd: input.costUsd,
+    durationMs: input.durationMs,
+    createdAt: Date.now()
+  });
+}
+
+function testEvaluationAndOverrides(db) {
+  const service = new BudgetService({ db, logger: silentLogger });
+  const events = [];
+  service.on('budget-warning', (event) => events.push(['warning', event]));
+  service.on('budget-exceeded', (event) => events.push(['exceeded', event]));
+  service.attach();
+
+  try {
+    assert.throws(() => service.createBudget({ scopeType: 'root', scopeId: 'root-a' }), (error) => error.code === 'invalid_request');
+    assert.throws(() => service.createBudget({ scopeType: 'fleet', scopeId: 'x', maxTokens: 1 }), (error) => error.param === 'scopeType');
+    assert.throws(() => service.createBudget({ scopeType: 'root', scopeId: 'x', maxTokens: 1, warnThresholds: [1.5] }), (error) => error.param === 'warnThresholds');
+
+    const budget = service.createBudget({ scopeType: 'root', scopeId: 'root-a', maxTokens: 1000, warnThresholds: [0.5, 0.8] });
+    assert.strictEqual(budget.state, 'ok');
+    assert.strictEqual(budget.hardCap, true);
+    assert.throws(() => service.createBudget({ scopeType: 'root', scopeId: 'root-a', maxTokens: 5 }), (error) => error.code === 'budget_exists');
+
+    recordUsage(db, { rootSessionId: 'root-a', totalTokens: 600 });
+    recordUsage(db, { rootSessionId: 'root-a', totalTokens: 100 });
+    recordUsage(db, { rootSessionId: 'root-b', totalTokens: 5000 });
+    assert.deepStrictEqual(events.map(([type, event]) => [type, event.threshold]), [['warning', 0.5]], 'each threshold warns once');
+    assert.strictEqual(events[0][1].rootSessionId, 'root-a');
+    assert.strictEqual(db.getBudget(budget.id).state, 'warning');
+
+    recordUsage(db, { rootSessionId: 'root-a', totalTokens: 150 });
+    recordUsage(db, { rootSessionId: 'root-a', totalTokens: 200 });
+    assert.deepStrictEqual(events.map(([type]) => type), ['warning', 'warning', 'exceeded']);
+    assert.strictEqual(events[1][1].threshold, 0.8);
+    assert.deepStrictEqual(events[2][1].dimensions, [{ dimension: 'tokens', used: 1050, limit: 1000, ratio: 1.05 }]);
+
+    const exceeded = db.getBudget(budget.id);
+    assert.strictEqual(exceeded.state, 'exceeded');
+    assert(exceeded.gateRunId, 'an exceeded hard cap opens a gate run');
+    const gateRun = db.getRunById(exceeded.gateRunId);
+    assert.strictEqual(gateRun.rootSessionId, 'root-a');
+    assert.strictEqual(gateRun.metadata.budgetGate, true);
+    const blocked = db.getActiveBlockedState(exceeded.gateRunId);
+    assert.strictEqual(blocked.blockedReason, 'blocked_by_gate');
+    assert.strictEqual(blocked.metadata.gate, 'budget');
+    assert.strictEqual(blocked.metadata.budgetId, budget.id);
+
+    let check = service.checkSpawn({ rootSessionId: 'root-a' });
+    assert.strictEqual(check.allowed, false);
+    assert.deepStrictEqual(check.blocking.map((entry) => entry.id), [budget.id]);
+    assert.strictEqual(service.checkSpawn({ rootSessionId: 'root-b' }).allowed, true);
+
+    assert.throws(() => service.override(budget.id, { expiresAt: Date.now() - 1 }), (error) => error.param === 'expiresAt');
+    const overridden = service.override(budget.id, { reason: 'finish the release', tokenName: 'ops', expiresAt: Date.now() + 60_000 });
+    assert.strictEqual(overridden.budget.state, 'overridden');
+    assert.strictEqual(overridden.operatorAction.actionKind, 'operator_override');
+    assert.strictEqual(overridden.operatorAction.tokenName, 'ops');
+    assert.strictEqual(overridden.operatorAction.payload.reason, 'finish the release');
+    assert.strictEqual(db.getActiveBlockedState(exceeded.gateRunId), null);
+    assert.strictEqual(db.listRunBlockedStates(exceeded.gateRunId)[0].unblockReason, 'operator_override');
+    assert.strictEqual(service.checkSpawn({ rootSessionId: 'root-a' }).allowed, true);
+    assert.throws(() => service.override(budget.id, {}), (error) => error.code === 'budget_not_exceeded');
+
+    // Usage during an override does not re-open the gate until it expires
+    recordUsage(db, { rootSessionId: 'root-a', totalTokens: 50 });
+    assert.strictEqual(db.getBudget(budget.id).state, 'overridden');
+    const expired = service.evaluate(budget.id, { now: Date.now() + 120_000 });
+    assert.strictEqual(expired.state, 'exceeded');
+    assert.strictEqual(expired.gateRunId, exceeded.gateRunId, 'the gate run is reused');
+    assert(db.getActiveBlockedState(exceeded.gateRunId), 'an expired override re-blocks');
+
+    const raised = service.updateBudget(budget.id, { maxTokens: 10_000 });
+    assert.strictEqual(raised.state, 'ok');
+    assert.strictEqual(db.getActiveBlockedState(exceeded.gateRunId), null);
+    assert.strictEqual(db.listRunBlockedStates(exceeded.gateRunId).pop().unblockReason, 'budget_within_limits');
+
+    // Soft caps only warn; cost and wall-clock limits are measured too
+    const soft = service.createBudget({ scopeType: 'task', scopeId: 'task-soft', maxCostUsd: 0.5, maxWallClockMs: 1000, hardCap: false });
+    recordUsage(db, { taskId: 'task-soft', costUsd: 0.2, durationMs: 1200 });
+    const softState = db.getBudget(soft.id);
+    assert.strictEqual(softState.state, 'exceeded');
+    assert.strictEqual(softState.gateRunId, null);
+    assert.strictEqual(events[events.length - 1][1].dimensions.find((entry) => entry.dimension === 'wallClockMs').used, 1200);
+    assert.strictEqual(service.checkSpawn({ taskId: 'task-soft' }).allowed, true);
+  } finally {
+    service.detach();
+  }
+  console.log('✅ budgets warn at thresholds, block on hard caps, and record operator overrides');
+}
+
+async function testRoutes(db, rootDir) {
+  const service = new BudgetService({ db, logger: silentLogger });
+  service.attach();
+  const sessionManager = createFakeSessionManager();
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    db,
+    sessionManager,
+    budgetService: service,
+    adapterAuthInspector: () => ({ authenticated: true, reason: null })
+  }));
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body) => {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  try {
+    const created = await call('POST', '/orchestration/budgets', { scope_type: 'root', scope_id: 'root-gated', max_tokens: 10 });
+    assert.strictEqual(created.status, 201);
+    const budgetId = created.data.budget.id;
+    assert.strictEqual((await call('POST', '/orchestration/budgets', { scopeType: 'root', scopeId: 'root-gated', maxTokens: 5 })).status, 409);
+    assert.strictEqual((await call('POST', '/orchestration/budgets', { scopeType: 'root', scopeId: 'root-other' })).status, 400);
+    assert.strictEqual((await call('GET', '/orchestration/budgets?state=broken')).data.error.param, 'state');
+    assert.strictEqual((await call('PATCH', `/orchestration/budgets/${budgetId}`, { scopeId: 'elsewhere' })).status, 400);
+
+    recordUsage(db, { rootSessionId: 'root-gated', totalTokens: 25 });
+    const listed = await call('GET', '/orchestration/budgets?state=exceeded&scope_type=root');
+    assert.deepStrictEqual(listed.data.budgets.map((budget) => budget.id), [budgetId]);
+    assert.strictEqual(listed.data.budgets[0].usage.totalTokens, 25);
+
+    const refusedTerminal = await call('POST', '/orchestration/terminals', {
+      adapter: 'codex-cli',
+      rootSessionId: 'root-gated',
+      parentSessionId: 'root-gated'
+    });
+    assert.strictEqual(refusedTerminal.status, 409);
+    assert.strictEqual(refusedTerminal.data.error.code, 'budget_exceeded');
+    assert.strictEqual(refusedTerminal.data.error.budgets[0].id, budgetId);
+
+    const taskRes = await call('POST', '/orchestration/tasks', { title: 'Gated work', workspaceRoot: rootDir, rootSessionId: 'root-gated' });
+    const taskId = taskRes.data.task.id;
+    const assignmentRes = await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      role: 'executor',
+      adapter: 'codex-cli',
+      instructions: 'Do the work.'
+    });
+    const assignmentId = assignmentRes.data.assignment.id;
+    const startBody = { rootSessionId: 'root-gated', parentSessionId: 'root-gated', originClient: 'test', externalSessionRef: 'test:budget' };
+    const refusedStart = await call('POST', `/orchestration/tasks/${taskId}/assignments/${assignmentId}/start`, startBody);
+    assert.strictEqual(refusedStart.status, 409);
+    assert.strictEqual(refusedStart.data.error.code, 'budget_exceeded');
+    assert.strictEqual(sessionManager.createCalls.length, 0);
+
+    const check = await call('GET', '/orchestration/budgets/check?root_session_id=root-gated');
+    assert.strictEqual(check.data.allowed, false);
+    assert.strictEqual((await call('GET', '/orchestration/budgets/check')).status, 400);
+
+    const override = await call('POST', `/orchestration/budgets/${budgetId}/override`, { reason: 'approved by lead' });
+    assert.strictEqual(override.status, 200);
+    assert.strictEqual(override.data.budget.state, 'overridden');
+    assert.strictEqual((await call('POST', `/orchestration/budgets/${budgetId}/override`, {})).status, 409);
+
+    const detail = await call('GET', `/orchestration/budgets/${budgetId}`);
+    assert.strictEqual(detail.data.gate.activeBlockedState, null);
+    assert.deepStrictEqual(detail.data.gate.operatorActions.map((action) => action.actionKind), ['operator_override']);
+
+    const started = await call('POST', `/orchestration/tasks/${taskId}/assignments/${assignmentId}/start`, startBody);
+    assert.notStrictEqual(started.status, 409, JSON.stringify(started.data));
+    assert.strictEqual(sessionManager.createCalls.length, 1);
+
+    assert.strictEqual((await call('DELETE', `/orchestration/budgets/${budgetId}`)).status, 200);
+    assert.strictEqual((await call('GET', `/orchestration/budgets/${budgetId}`)).status, 404);
+  } finally {
+    service.detach();
+    await new Promise((resolve) => server.close(resolve));
+  }
+  console.log('✅ budget routes manage budgets and exceeded hard caps refuse spawns with 409');
+}
+
+async function testWorkflowStepsRecheckBudget(db, rootDir) {
+  const workflowsDir = path.join(rootDir, '.cliagents', 'workflows');
+  fs.mkdirSync(workflowsDir, { recursive: true });
+  fs.writeFileSync(path.join(workflowsDir, 'two-step.yaml'), [
+    'steps:',
+    '  - id: plan',
+    '    profile: planner',
+    '    type: plan',
+    '  - id: build',
+    '    profile: implementer',
+    '    type: implement',
+    ''
+  ].join('\n'), 'utf8');
+
+  const service = new BudgetService({ db, logger: silentLogger });
+  service.attach();
+  const runLedger = new RunLedgerService(db);
+  const spawned = [];
+  const sessionManager = {
+    async createTerminal(options) {
+      spawned.push(options.agentProfile);
+      return { terminalId: `flow-term-${spawned.length}` };
+    },
+    async sendInput() {},
+    async waitForCompletion(terminalId) {
+      // The first step alone uses more than the cap
+      recordUsage(db, { terminalId, rootSessionId: 'root-flow', totalTokens: 25 });
+      return 'done';
+    }
+  };
+  const taskRouter = new TaskRouter(sessionManager, {
+    workflowRegistry: new WorkflowRegistry({
+      projectRoot: rootDir,
+      personalDir: path.join(rootDir, 'home', '.cliagents', 'workflows'),
+      knownTaskTypes: Object.values(TASK_TYPES)
+    }),
+    workflowStepStartupDelayMs: 0,
+    db,
+    runLedger,
+    budgetService: service,
+    adapterReadinessService: { async getAdapterReadiness() { return {}; } }
+  });
+
+  try {
+    service.createBudget({ scopeType: 'root', scopeId: 'root-flow', maxTokens: 10 });
+    let workflowId = null;
+    taskRouter.on('workflow-started', (event) => { workflowId = event.workflowId; });
+    await assert.rejects(
+      () => taskRouter.executeWorkflow('two-step', 'Ship it', { rootSessionId: 'root-flow' }),
+      (error) => error.code === 'budget_exceeded' && error.budgets.length === 1
+    );
+    assert.deepStrictEqual(spawned, ['planner'], 'a running workflow spawns no child once the cap is hit');
+
+    const execution = db.getWorkflowExecutionDetail(workflowId);
+    assert.strictEqual(execution.status, 'failed');
+    assert.deepStrictEqual(execution.steps.map((step) => [step.stepId, step.status]), [['plan', 'completed'], ['build', 'failed']]);
+    const blocked = runLedger.getActiveBlockedState(execution.runId);
+    assert.strictEqual(blocked.blockedReason, 'blocked_by_gate');
+    assert.strictEqual(blocked.metadata.gate, 'budget');
+  } finally {
+    service.detach();
+    taskRouter.removeAllListeners();
+  }
+  console.log('✅ running workflows re-check hard caps before each step spawn');
+}
+
+async function run() {
+  const rootDir = makeTempDir('cliagents-budgets-');
+  const db = new OrchestrationDB({ dbPath: path.join(rootDir, 'cliagents.db'), dataDir: rootDir });
+  try {
+    testEvaluationAndOverrides(db);
+    await testRoutes(db, rootDir);
+    await testWorkflowStepsRecheckBudget(db, rootDir);
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+}
+
+run().then(() => {
+  console.log('\nBudget tests passed');
+}).catch((error) => {
+  console.error('\nBudget tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SessionManager = require('../src/core/session-manager');
+const {
+  CONFIGURABLE_ADAPTER_CLASSES,
+  createConfiguredAdapter,
+  loadAdapterDefinitions,
+  registerConfiguredAdapters
+} = require('../src/adapters/configured-adapters');
+const { AdapterReadinessService } = require('../src/orchestration/adapter-readiness');
+const { isAdapterAuthenticated } = require('../src/utils/adapter-auth');
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function writeConfig(dir, adapters) {
+  const configPath = path.join(dir, 'adapters.json');
+  fs.writeFileSync(configPath, JSON.stringify({ adapters }, null, 2));
+  return configPath;
+}
+
+function quietly(fn) {
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+}
+
+function testDefinitionValidation() {
+  const dir = makeTempDir('cliagents-configured-adapters-');
+  try {
+    const configPath = writeConfig(dir, {
+      _comment: 'ignored',
+      ollama: { class: 'openai-compat', baseURL: 'http://127.0.0.1:11434/v1', staticModels: ['llama3.1:8b', { id: 'qwen2.5-coder:7b', name: 'Qwen Coder' }] },
+      groq: { enabled: false, class: 'openai-compat', baseURL: 'https://api.groq.com/openai/v1', apiKeyEnv: 'GROQ_API_KEY' },
+      mystery: { class: 'telepathy' },
+      keyless: { class: 'openai-compat' },
+      'codex-cli': { class: 'openai-compat', baseURL: 'http://127.0.0.1:1/v1' },
+      leaky: { class: 'openai-compat', baseURL: 'http://127.0.0.1:1/v1', apiKeyEnv: 'sk-not-a-name' }
+    });
+    const { definitions, errors } = loadAdapterDefinitions(configPath);
+    assert.deepStrictEqual(definitions.map((definition) => [definition.name, definition.enabled]), [
+      ['ollama', true],
+      ['groq', false]
+    ]);
+    assert.deepStrictEqual(definitions[0].staticModels, [
+      { id: 'llama3.1:8b', name: 'llama3.1:8b' },
+      { id: 'qwen2.5-coder:7b', name: 'Qwen Coder' }
+    ]);
+    assert.deepStrictEqual(errors.map((error) => error.adapter), ['mystery', 'keyless', 'codex-cli', 'leaky']);
+    assert(/class must be one of openai-compat, gemini-api/.test(errors[0].message));
+    assert(/baseURL is required/.test(errors[1].message));
+    assert(/taken by a built-in adapter/.test(errors[2].message));
+    assert(/apiKeyEnv must be an environment variable name/.test(errors[3].message));
+
+    assert.deepStrictEqual(loadAdapterDefinitions(path.join(dir, 'missing.json')).definitions, []);
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{ nope');
+    assert.strictEqual(loadAdapterDefinitions(path.join(dir, 'broken.json')).errors.length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('✅ adapter definitions are validated and bad entries reported');
+}
+
+function testEveryClassSatisfiesTheContract() {
+  for (const className of Object.keys(CONFIGURABLE_ADAPTER_CLASSES)) {
+    const { adapter } = quietly(() => createConfiguredAdapter({
+      name: `test-${className}`,
+      className,
+      baseURL: 'http://127.0.0.1:1/v1',
+      apiKeyEnv: null,
+      staticModels: null,
+      options: {}
+    }, {}));
+    assert.strictEqual(typeof adapter.send, 'function', className);
+  }
+  console.log('✅ every configurable adapter class passes validateAdapterContract');
+}
+
+async function testRegistration() {
+  const dir = makeTempDir('cliagents-configured-adapters-');
+  const manager = new SessionManager();
+  try {
+    const configPath = writeConfig(dir, {
+      ollama: { class: 'openai-compat', providerName: 'Ollama', baseURL: 'http://127.0.0.1:1/v1', staticModels: ['llama3.1:8b'] },
+      groq: { class: 'openai-compat', baseURL: 'https://api.groq.com/openai/v1', apiKeyEnv: 'CLIAGENTS_TEST_GROQ_KEY' },
+      copilot: { class: 'github-copilot', staticModels: ['gpt-5'] },
+      off: { enabled: false, class: 'amazon-q' }
+    });
+    const result = quietly(() => registerConfiguredAdapters(manager, {
+      adaptersConfigPath: configPath,
+      env: { CLIAGENTS_TEST_GROQ_KEY: 'gsk_test_secret_value' }
+    }));
+    assert.deepStrictEqual(result.registered, ['ollama', 'groq', 'copilot']);
+    assert.deepStrictEqual(result.disabled, ['off']);
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(manager.getAdapterNames(), ['ollama', 'groq', 'copilot']);
+
+    const groq = manager.getAdapter('groq');
+    assert.strictEqual(groq.name, 'groq');
+    assert(!JSON.stringify(groq.getInfo()).includes('gsk_test_secret_value'), 'keys are not echoed in adapter info');
+    assert.deepStrictEqual(await manager.getAdapter('ollama').getAvailableModels(), [{ id: 'llama3.1:8b', name: 'llama3.1:8b' }]);
+    assert.deepStrictEqual(manager.getAdapter('copilot').getAvailableModels(), [{ id: 'gpt-5', name: 'gpt-5' }]);
+
+    assert.strictEqual(isAdapterAuthenticated('ollama').authenticated, true);
+    assert.strictEqual(isAdapterAuthenticated('groq').authenticated, false, 'auth follows the process env var');
+    process.env.CLIAGENTS_TEST_GROQ_KEY = 'set';
+    try {
+      assert.strictEqual(isAdapterAuthenticated('groq').authenticated, true);
+    } finally {
+      delete process.env.CLIAGENTS_TEST_GROQ_KEY;
+    }
+    assert.strictEqual(isAdapterAuthenticated('copilot').authenticated, null);
+
+    const again = quietly(() => registerConfiguredAdapters(manager, { adaptersConfigPath: configPath, env: {} }));
+    assert.deepStrictEqual(again.registered, []);
+    assert(again.errors.every((error) => /already registered/.test(error.message)));
+
+    const readiness = new AdapterReadinessService({
+      apiSessionManager: manager,
+      profileService: { listAdapters: () => [] }
+    });
+    assert(readiness.listKnownAdapters().includes('ollama'));
+    const snapshot = await readiness.buildRuntimeSnapshot('ollama');
+    assert.strictEqual(snapshot.authenticated, true);
+    assert.strictEqual(snapshot.available, false, 'nothing listens on the configured baseURL');
+  } finally {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      await manager.shutdown();
+    } finally {
+      console.log = originalLog;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  console.log('✅ enabled adapters register on the session manager with auth and readiness');
+}
+
+async function run() {
+  testDefinitionValidation();
+  testEveryClassSatisfiesTheContract();
+  await testRegistration();
+}
+
+run().then(() => {
+  console.log('\nConfigured adapter tests passed');
+}).catch((error) => {
+  console.error('\nConfigured adapter tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const express = require('express');
+
+const SessionManager = require('../src/core/session-manager');
+const { createOpenAIRouter } = require('../src/server/openai-compat');
+const { fingerprintMessage, readConversationKey } = require('../src/server/conversation-sessions');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed += 1;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed += 1;
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+  }
+}
+
+const WEATHER_TOOL = {
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    parameters: { type: 'object', properties: { city: { type: 'string' } } }
+  }
+};
+
+// Adapter that records what each session receives and replies from a script
+class ScriptedAdapter extends EventEmitter {
+  constructor(replies) {
+    super();
+    this.replies = replies;
+    this.spawned = [];
+    this.received = [];
+    this.terminated = [];
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  getInfo() {
+    return { name: 'codex-cli' };
+  }
+
+  isSessionActive() {
+    return true;
+  }
+
+  async spawn(sessionId, options) {
+    this.spawned.push({ sessionId, systemPrompt: options.systemPrompt });
+    return { model: options.model };
+  }
+
+  async *send(sessionId, message) {
+    this.received.push({ sessionId, message });
+    const reply = this.replies.shift();
+    yield { type: 'progress', progressType: 'assistant', content: reply };
+    yield { type: 'result', content: reply, metadata: { inputTokens: 3, outputTokens: 2 } };
+  }
+
+  async terminate(sessionId) {
+    this.terminated.push(sessionId);
+  }
+
+  async cleanup() {}
+}
+
+async function run() {
+  console.log('Conversation session tests\n');
+
+  await test('conversation keys come from the header, then the user field', async () => {
+    assert.strictEqual(readConversationKey({ headers: {}, body: {} }), null);
+    assert.strictEqual(readConversationKey({ headers: {}, body: { user: ' alice ' } }), 'alice');
+    assert.strictEqual(readConversationKey({
+      headers: { 'x-cliagents-conversation-id': 'chat-1' },
+      body: { user: 'alice' }
+    }), 'chat-1');
+    assert.throws(
+      () => readConversationKey({ headers: {}, body: { user: 'x'.repeat(300) } }),
+      /conversation id is invalid/
+    );
+  });
+
+  await test('fingerprints ignore fields clients add when echoing history', async () => {
+    assert.strictEqual(
+      fingerprintMessage({ role: 'assistant', content: 'Hello!\n' }),
+      fingerprintMessage({ role: 'assistant', content: [{ type: 'text', text: 'Hello!' }], name: 'bot', refusal: null })
+    );
+    assert.strictEqual(
+      fingerprintMessage({ role: 'assistant', content: null, tool_calls: [{ id: 'call_1', function: { name: 'f', arguments: '{"a": 1}' } }] }),
+      fingerprintMessage({ role: 'assistant', content: '', tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'f', arguments: '{"a":1}' } }] })
+    );
+    assert.notStrictEqual(
+      fingerprintMessage({ role: 'user', content: 'Hi' }),
+      fingerprintMessage({ role: 'assistant', content: 'Hi' })
+    );
+  });
+
+  const adapter = new ScriptedAdapter([
+    'Hello! How can I help?',
+    'Paris is the capital.',
+    'About 2.1 million.',
+    'Checking.\n<tool_calls>[{"name":"get_weather","arguments":{"city":"Oslo"}}]</tool_calls>',
+    'It is 4C in Oslo.',
+    'Fresh start.',
+    'Streamed hello.',
+    'Streamed follow-up.',
+    'Stateless reply.'
+  ]);
+  const sessionManager = new SessionManager({ sessionTimeout: 60 * 1000 });
+  sessionManager.registerAdapter('codex-cli', adapter);
+  const app = express();
+  app.use(express.json());
+  app.use('/v1', createOpenAIRouter(sessionManager));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const chat = async (body, conversationId) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/v1/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        ...(conversationId ? { 'x-cliagents-conversation-id': conversationId } : {})
+      },
+      body: JSON.stringify({ model: 'gpt-4o', ...body })
+    });
+    const conversation = response.headers.get('x-cliagents-conversation');
+    if (body.stream) {
+      return { status: response.status, conversation, text: await response.text() };
+    }
+    return { status: response.status, conversation, data: await response.json() };
+  };
+
+  try {
+    await test('follow-up turns reuse the bound session and send only the new turn', async () => {
+      const system = { role: 'system', content: 'Be brief.' };
+      const history = [system, { role: 'user', content: 'Hi' }];
+      const first = await chat({ messages: history }, 'chat-1');
+      assert.strictEqual(first.status, 200);
+      assert.strictEqual(first.conversation, 'started');
+      history.push(first.data.choices[0].message, { role: 'user', content: 'Capital of France?' });
+
+      const second = await chat({ messages: history }, 'chat-1');
+      assert.strictEqual(second.conversation, 'continued');
+      assert.strictEqual(second.data.choices[0].message.content, 'Paris is the capital.');
+      history.push(second.data.choices[0].message, { role: 'user', content: 'Population?' });
+
+      const third = await chat({ messages: history }, 'chat-1');
+      assert.strictEqual(third.conversation, 'continued');
+
+      assert.strictEqual(adapter.spawned.length, 1, 'one CLI session for the whole conversation');
+      assert.strictEqual(adapter.spawned[0].systemPrompt, 'Be brief.');
+      assert.deepStrictEqual(adapter.received.map((entry) => entry.message), ['Hi', 'Capital of France?', 'Population?']);
+      assert(adapter.received.every((entry) => entry.sessionId === adapter.spawned[0].sessionId));
+      assert.strictEqual(sessionManager.sessions.size, 1, 'the bound session stays open between requests');
+    });
+
+    await test('tool results are sent as the new turn with the tool name from history', async () => {
+      const history = [{ role: 'user', content: 'Weather in Oslo?' }];
+      const call = await chat({ messages: history, tools: [WEATHER_TOOL] }, 'chat-tools');
+      const message = call.data.choices[0].message;
+      assert.strictEqual(message.tool_calls.length, 1);
+      history.push(message, { role: 'tool', tool_call_id: message.tool_calls[0].id, content: '4C' });
+
+      const answer = await chat({ messages: history, tools: [WEATHER_TOOL] }, 'chat-tools');
+      assert.strictEqual(answer.conversation, 'continued');
+      assert.strictEqual(adapter.received.at(-1).message, `Tool result (get_weather, ${message.tool_calls[0].id}): 4C`);
+    });
+
+    await test('edited history starts a new session and closes the old one', async () => {
+      const boundSession = adapter.spawned[0].sessionId;
+      const edited = await chat({
+        messages: [
+          { role: 'system', content: 'Be brief.' },
+          { role: 'user', content: 'Hi' },
+          { role: 'assistant', content: 'Something else' },
+          { role: 'user', content: 'Again?' }
+        ]
+      }, 'chat-1');
+      assert.strictEqual(edited.conversation, 'started');
+      assert(adapter.terminated.includes(boundSession));
+      assert(adapter.received.at(-1).message.startsWith('User: Hi\n\nAssistant: Something else'));
+    });
+
+    await test('streamed replies are remembered for the next turn', async () => {
+      const history = [{ role: 'user', content: 'Say hello' }];
+      const first = await chat({ messages: history, stream: true }, 'chat-stream');
+      assert.strictEqual(first.conversation, 'started');
+      assert(first.text.includes('Streamed hello.'));
+      history.push({ role: 'assistant', content: 'Streamed hello.' }, { role: 'user', content: 'And again' });
+
+      const second = await chat({ messages: history, stream: true }, 'chat-stream');
+      assert.strictEqual(second.conversation, 'continued');
+      assert.strictEqual(adapter.received.at(-1).message, 'And again');
+    });
+
+    await test('requests without a conversation id stay stateless', async () => {
+      const before = sessionManager.sessions.size;
+      const reply = await chat({ messages: [{ role: 'user', content: 'One-off' }] });
+      assert.strictEqual(reply.status, 200);
+      assert.strictEqual(reply.conversation, null);
+      assert.strictEqual(sessionManager.sessions.size, before);
+    });
+
+    await test('idle conversation sessions are evicted by the session manager', async () => {
+      assert(sessionManager.sessions.size >= 2);
+      for (const session of sessionManager.sessions.values()) {
+        session.lastActivity -= 2 * 60 * 1000;
+      }
+      const evicted = await sessionManager._cleanupStaleSessions();
+      assert(evicted >= 2);
+      assert.strictEqual(sessionManager.sessions.size, 0);
+
+      const spawnedBefore = adapter.spawned.length;
+      const resumed = await chat({
+        messages: [
+          { role: 'user', content: 'Say hello' },
+          { role: 'assistant', content: 'Streamed hello.' },
+          { role: 'user', content: 'And again' },
+          { role: 'assistant', content: 'Streamed follow-up.' },
+          { role: 'user', content: 'Still there?' }
+        ]
+      }, 'chat-stream');
+      assert.strictEqual(resumed.conversation, 'started');
+      assert.strictEqual(adapter.spawned.length, spawnedBefore + 1);
+      assert(adapter.received.at(-1).message.startsWith('User: Say hello'));
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      await sessionManager.shutdown();
+    } finally {
+      console.log = originalLog;
+    }
+  }
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  console.log(`\n${passed} passed, 0 failed`);
+}
+
+run();
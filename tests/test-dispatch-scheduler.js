@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { DispatchScheduler, parseAdapterLimits } = require('../src/orchestration/dispatch-scheduler');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function openDb(rootDir) {
+  return new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir
+  });
+}
+
+function createDispatch(db, id, input = {}) {
+  return db.createDispatchRequest({
+    id,
+    requestKind: 'assignment_start',
+    status: 'queued',
+    metadata: { requestedAdapter: input.adapter || null },
+    ...input
+  });
+}
+
+function createFakeSessionManager() {
+  const createCalls = [];
+  const terminals = new Map();
+  return {
+    createCalls,
+    async createTerminal(options = {}) {
+      const terminalId = `term-${createCalls.length + 1}`;
+      createCalls.push({ ...options, terminalId });
+      terminals.set(terminalId, {
+        terminalId,
+        adapter: options.adapter || 'codex-cli',
+        status: 'processing',
+        rootSessionId: options.rootSessionId || null,
+        parentSessionId: options.parentSessionId || null,
+        activeRun: null
+      });
+      return { terminalId, reused: false, reuseReason: null };
+    },
+    async sendInput(terminalId) {
+      return { terminalId };
+    },
+    getTerminal(terminalId) {
+      return terminals.get(terminalId) || null;
+    }
+  };
+}
+
+function testParseAdapterLimits() {
+  assert.deepStrictEqual(parseAdapterLimits('codex-cli=2, gemini-cli=1,bad,=3,claude-code=x'), {
+    'codex-cli': 2,
+    'gemini-cli': 1
+  });
+  assert.deepStrictEqual(parseAdapterLimits({ 'codex-cli': 0 }), { 'codex-cli': 0 });
+  assert.deepStrictEqual(parseAdapterLimits(null), {});
+
+  const scheduler = new DispatchScheduler({
+    env: {
+      CLIAGENTS_DISPATCH_SCHEDULER: '1',
+      CLIAGENTS_DISPATCH_MAX_CONCURRENT: '7',
+      CLIAGENTS_DISPATCH_ADAPTER_LIMITS: 'codex-cli=2'
+    }
+  });
+  assert.strictEqual(scheduler.enabled, true);
+  assert.strictEqual(scheduler.maxConcurrent, 7);
+  assert.deepStrictEqual(scheduler.adapterLimits, { 'codex-cli': 2 });
+  console.log('✅ dispatch scheduler reads caps from options and environment');
+}
+
+async function testSweepHonorsCapsAndDeferTimes() {
+  const rootDir = makeTempDir('cliagents-dispatch-scheduler-');
+  const db = openDb(rootDir);
+  const now = Date.now();
+
+  try {
+    // Live claim by another supervisor occupies one codex-cli slot
+    createDispatch(db, 'dispatch-active-codex', { adapter: 'codex-cli', createdAt: now - 5000 });
+    assert.strictEqual(db.claimDispatchRequest('dispatch-active-codex', { claimOwner: 'other', now: now - 4000 }).claimed, true);
+
+    createDispatch(db, 'dispatch-codex', { adapter: 'codex-cli', createdAt: now - 3000 });
+    createDispatch(db, 'dispatch-gemini', { adapter: 'gemini-cli', createdAt: now - 2500 });
+    createDispatch(db, 'dispatch-due', { status: 'deferred', deferUntil: now - 4000, createdAt: now - 10000 });
+    createDispatch(db, 'dispatch-later', { status: 'deferred', deferUntil: now + 60_000, createdAt: now - 9000 });
+    createDispatch(db, 'dispatch-expired-claim', { adapter: 'gemini-cli', createdAt: now - 2000 });
+    db.claimDispatchRequest('dispatch-expired-claim', { claimOwner: 'crashed', ttlMs: 1, now: now - 1000 });
+    createDispatch(db, 'dispatch-overflow', { createdAt: now - 1000 });
+    createDispatch(db, 'dispatch-other-kind', { requestKind: 'room_turn', createdAt: now - 500 });
+
+    const ready = db.listReadyDispatchRequests({ now, requestKinds: ['assignment_start'] });
+    assert.deepStrictEqual(ready.map((dispatch) => dispatch.id), [
+      'dispatch-due',
+      'dispatch-codex',
+      'dispatch-gemini',
+      'dispatch-expired-claim',
+      'dispatch-overflow'
+    ]);
+
+    const launched = [];
+    let releaseLaunches = null;
+    const launchesHeld = new Promise((resolve) => { releaseLaunches = resolve; });
+    const scheduler = new DispatchScheduler({
+      db,
+      enabled: false,
+      maxConcurrent: 4,
+      adapterLimits: { 'codex-cli': 1 },
+      owner: 'scheduler-a',
+      logger: { warn() {} }
+    });
+    scheduler.registerExecutor('assignment_start', async (dispatch) => {
+      launched.push(dispatch.id);
+      await launchesHeld;
+      db.updateDispatchRequest(dispatch.id, { status: 'spawned', terminalId: `term-${dispatch.id}` });
+    });
+
+    const sweep = await scheduler.runOnce({ now });
+    assert.deepStrictEqual(sweep.started.map((dispatch) => dispatch.id), [
+      'dispatch-due',
+      'dispatch-gemini',
+      'dispatch-expired-claim'
+    ]);
+    assert.deepStrictEqual(sweep.blocked.map((entry) => [entry.dispatch.id, entry.reason]), [
+      ['dispatch-codex', 'adapter_capacity:codex-cli'],
+      ['dispatch-overflow', 'global_capacity']
+    ]);
+    assert(sweep.started.every((dispatch) => dispatch.claimOwner === 'scheduler-a'));
+    assert.strictEqual(db.getDispatchRequest('dispatch-later').status, 'deferred');
+    assert.strictEqual(db.getDispatchRequest('dispatch-other-kind').status, 'queued');
+
+    const capacity = scheduler.getCapacity({ now });
+    assert.strictEqual(capacity.active, 4);
+    assert.strictEqual(capacity.available, 0);
+    assert.deepStrictEqual(capacity.adapters['codex-cli'], { limit: 1, active: 1, available: 0 });
+    assert.strictEqual(capacity.adapters['gemini-cli'].active, 2);
+
+    // A second broker cannot claim what the first one holds
+    const competitor = new DispatchScheduler({ db, enabled: false, maxConcurrent: 10, owner: 'scheduler-b', logger: { warn() {} } });
+    competitor.registerExecutor('assignment_start', async () => {
+      throw new Error('competitor should not launch');
+    });
+    const competing = await competitor.runOnce({ now });
+    assert.deepStrictEqual(competing.started.map((dispatch) => dispatch.id), ['dispatch-codex', 'dispatch-overflow']);
+    const conflict = db.claimDispatchRequest('dispatch-gemini', { claimOwner: 'scheduler-b', now });
+    assert.strictEqual(conflict.claimed, false);
+    assert.strictEqual(conflict.reason, 'already_claimed');
+    await competitor.waitForIdle();
+    assert.strictEqual(db.getDispatchRequest('dispatch-codex').status, 'failed');
+    assert.strictEqual(db.getDispatchRequest('dispatch-codex').metadata.error.message, 'competitor should not launch');
+
+    releaseLaunches();
+    await scheduler.waitForIdle();
+    assert.deepStrictEqual(launched, ['dispatch-due', 'dispatch-gemini', 'dispatch-expired-claim']);
+    assert.strictEqual(db.getDispatchRequest('dispatch-due').status, 'spawned');
+    assert.deepStrictEqual(scheduler.lastSweep.started, ['dispatch-due', 'dispatch-gemini', 'dispatch-expired-claim']);
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ dispatch sweeps claim due work atomically under global and per-adapter caps');
+}
+
+async function testScheduledAssignmentStartAndQueueRoutes() {
+  const rootDir = makeTempDir('cliagents-dispatch-routes-');
+  const db = openDb(rootDir);
+  const sessionManager = createFakeSessionManager();
+  const scheduler = new DispatchScheduler({ db, enabled: false, maxConcurrent: 2, adapterLimits: { 'codex-cli': 1 } });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    db,
+    sessionManager,
+    dispatchScheduler: scheduler,
+    adapterAuthInspector: () => ({ authenticated: true, reason: null })
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body) => {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  try {
+    const taskRes = await call('POST', '/orchestration/tasks', { title: 'Scheduled work', workspaceRoot: rootDir });
+    const taskId = taskRes.data.task.id;
+    const assignmentRes = await call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      role: 'executor',
+      adapter: 'codex-cli',
+      instructions: 'Run when the window opens.'
+    });
+    const assignmentId = assignmentRes.data.assignment.id;
+
+    const deferredRes = await call('POST', `/orchestration/tasks/${taskId}/assignments/${assignmentId}/start`, {
+      rootSessionId: 'root-scheduler',
+      parentSessionId: 'root-scheduler',
+      originClient: 'test',
+      externalSessionRef: 'test:scheduler',
+      sessionLabel: 'nightly',
+      deferUntil: Date.now() + 60_000
+    });
+    assert.strictEqual(deferredRes.status, 202);
+    const dispatchId = deferredRes.data.dispatch.dispatchRequestId;
+
+    let queue = await call('GET', '/orchestration/dispatch');
+    assert.strictEqual(queue.status, 200);
+    assert.deepStrictEqual(queue.data.scheduler.requestKinds, ['assignment_start']);
+    assert.strictEqual(queue.data.scheduler.running, false);
+    assert.strictEqual(queue.data.counts.deferred, 1);
+    assert.strictEqual(queue.data.counts.ready, 0);
+    assert.strictEqual(queue.data.deferred[0].id, dispatchId);
+    assert.strictEqual(queue.data.deferred[0].adapter, 'codex-cli');
+    assert.strictEqual(queue.data.capacity.maxConcurrent, 2);
+
+    // Nothing is due yet
+    assert.deepStrictEqual((await scheduler.runOnce()).started, []);
+
+    db.updateDispatchRequest(dispatchId, { deferUntil: Date.now() - 1 });
+    queue = await call('GET', '/orchestration/dispatch');
+    assert.strictEqual(queue.data.counts.ready, 1);
+    assert.strictEqual(queue.data.ready[0].blockedReason, null);
+    assert.strictEqual(queue.data.ready[0].liveness.state, 'ready');
+
+    const sweep = await scheduler.runOnce();
+    assert.deepStrictEqual(sweep.started.map((dispatch) => dispatch.id), [dispatchId]);
+    await scheduler.waitForIdle();
+
+    assert.strictEqual(sessionManager.createCalls.length, 1);
+    assert.strictEqual(sessionManager.createCalls[0].adapter, 'codex-cli');
+    assert.strictEqual(sessionManager.createCalls[0].rootSessionId, 'root-scheduler');
+    assert.strictEqual(sessionManager.createCalls[0].parentSessionId, 'root-scheduler');
+    assert.strictEqual(sessionManager.createCalls[0].originClient, 'test');
+    assert.strictEqual(sessionManager.createCalls[0].sessionLabel, 'nightly');
+
+    const assignment = db.getTaskAssignment(assignmentId);
+    assert.strictEqual(assignment.status, 'running');
+    assert.strictEqual(assignment.terminalId, 'term-1');
+
+    const detail = await call('GET', `/orchestration/dispatch/${dispatchId}`);
+    assert.strictEqual(detail.status, 200);
+    assert.strictEqual(detail.data.dispatch.status, 'spawned');
+    assert.strictEqual(detail.data.dispatch.terminalId, 'term-1');
+    assert.strictEqual(detail.data.dispatch.claimOwner, scheduler.owner);
+    assert.strictEqual(detail.data.dispatch.metadata.launch.externalSessionRef, 'test:scheduler');
+
+    queue = await call('GET', `/orchestration/dispatch?taskId=${taskId}`);
+    assert.deepStrictEqual(queue.data.dispatches.map((dispatch) => dispatch.status), ['spawned']);
+    assert.deepStrictEqual(queue.data.scheduler.lastSweep.started, [dispatchId]);
+
+    // A due dispatch whose assignment already started is cancelled, not spawned twice
+    db.createDispatchRequest({
+      id: 'dispatch-stale-start',
+      taskId,
+      taskAssignmentId: assignmentId,
+      requestKind: 'assignment_start',
+      status: 'deferred',
+      deferUntil: Date.now() - 1
+    });
+    await scheduler.runOnce();
+    await scheduler.waitForIdle();
+    assert.strictEqual(sessionManager.createCalls.length, 1);
+    const stale = db.getDispatchRequest('dispatch-stale-start');
+    assert.strictEqual(stale.status, 'cancelled');
+    assert.strictEqual(stale.metadata.cancelReason, 'assignment_not_queued');
+
+    const missing = await call('GET', '/orchestration/dispatch/dispatch-missing');
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.data.error.code, 'dispatch_not_found');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ scheduler launches due assignment starts and /orchestration/dispatch reports the queue');
+}
+
+async function run() {
+  testParseAdapterLimits();
+  await testSweepHonorsCapsAndDeferTimes();
+  await testScheduledAssignmentStartAndQueueRoutes();
+}
+
+run().catch((error) => {
+  console.error('\nDispatch scheduler tests failed:', error);
+  process.exit(1);
+});
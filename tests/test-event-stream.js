@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { authenticateRequest } = require('../src/server/auth');
+const { mintApiToken } = require('../src/server/api-tokens');
+const { createEventStreamHandler, parseEventStreamFilters } = require('../src/server/event-stream');
+
+const ENV_KEYS = [
+  'CLIAGENTS_API_KEY',
+  'CLI_AGENTS_API_KEY',
+  'CLIAGENTS_ALLOW_UNAUTHENTICATED_LOCALHOST',
+  'CLIAGENTS_API_TOKENS_FILE'
+];
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function addEvent(db, rootSessionId, sessionId, eventType) {
+  return db.addSessionEvent({
+    rootSessionId,
+    sessionId,
+    eventType,
+    payloadSummary: `${eventType} on ${sessionId}`,
+    payloadJson: { sessionId }
+  });
+}
+
+/**
+ * Open an SSE stream and collect events until `count` non-ready events arrive.
+ */
+async function collectEvents(url, { headers = {}, count, timeoutMs = 3000, onReady } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const response = await fetch(url, { headers, signal: controller.signal });
+  if (!response.ok) {
+    clearTimeout(timer);
+    return { status: response.status, body: await response.json() };
+  }
+  const decoder = new TextDecoder();
+  const events = [];
+  let ready = null;
+  let buffer = '';
+  try {
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const fields = {};
+        for (const line of block.split('\n')) {
+          const match = line.match(/^(id|event|data): (.*)$/);
+          if (match) {
+            fields[match[1]] = match[2];
+          }
+        }
+        if (fields.event === 'ready') {
+          ready = JSON.parse(fields.data);
+          if (onReady) {
+            await onReady(ready);
+          }
+        } else if (fields.data) {
+          events.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+        }
+      }
+      if (events.length >= count) {
+        break;
+      }
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      throw error;
+    }
+  } finally {
+    clearTimeout(timer);
+    controller.abort();
+  }
+  return { status: response.status, contentType: response.headers.get('content-type'), ready, events };
+}
+
+function testFilterParsing() {
+  assert.deepStrictEqual(parseEventStreamFilters({
+    root_session_id: 'r1,r2',
+    terminalId: ['t1', 't2'],
+    event_type: 'message_sent',
+    task_id: ' task_1 '
+  }), {
+    rootSessionIds: ['r1', 'r2'],
+    taskId: 'task_1',
+    terminalIds: ['t1', 't2'],
+    runIds: [],
+    eventTypes: ['message_sent']
+  });
+  console.log('✅ stream filters accept comma lists in snake_case or camelCase');
+}
+
+async function testStream() {
+  const snapshot = {};
+  for (const key of ENV_KEYS) {
+    snapshot[key] = process.env[key];
+    delete process.env[key];
+  }
+  const rootDir = makeTempDir('cliagents-event-stream-');
+  process.env.CLIAGENTS_API_KEY = 'primary-test-key';
+  process.env.CLIAGENTS_API_TOKENS_FILE = path.join(rootDir, 'api-tokens.json');
+  const db = new OrchestrationDB({ dbPath: path.join(rootDir, 'cliagents.db'), dataDir: rootDir });
+  const eventStream = createEventStreamHandler({ db, pollIntervalMs: 20 });
+
+  const app = express();
+  app.use(authenticateRequest);
+  app.get('/orchestration/events/stream', eventStream);
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const streamUrl = `http://127.0.0.1:${server.address().port}/orchestration/events/stream`;
+  const auth = { authorization: 'Bearer primary-test-key' };
+
+  try {
+    addEvent(db, 'root_a', 'term_a1', 'session_started');
+    addEvent(db, 'root_b', 'term_b1', 'session_started');
+    addEvent(db, 'root_a', 'term_a1', 'message_sent');
+    addEvent(db, 'root_a', 'term_a2', 'message_sent');
+    db.createTask({ title: 'Stream me', rootSessionId: 'root_b' });
+    const taskId = db.db.prepare('SELECT id FROM tasks LIMIT 1').get().id;
+
+    // Without a cursor the stream starts at the tail and only sends new events
+    const live = await collectEvents(`${streamUrl}?root_session_id=root_a&event_type=message_sent`, {
+      headers: auth,
+      count: 1,
+      onReady: () => {
+        addEvent(db, 'root_b', 'term_b1', 'message_sent');
+        addEvent(db, 'root_a', 'term_a1', 'session_ended');
+        addEvent(db, 'root_a', 'term_a2', 'message_sent');
+      }
+    });
+    assert.strictEqual(live.status, 200);
+    assert.strictEqual(live.contentType, 'text/event-stream');
+    assert.deepStrictEqual(live.ready.filters.rootSessionIds, ['root_a']);
+    assert.strictEqual(live.events.length, 1);
+    assert.strictEqual(live.events[0].event, 'message_sent');
+    assert.strictEqual(live.events[0].data.sessionId, 'term_a2');
+    assert.strictEqual(live.events[0].data.id, db.listSessionEventStream({ order: 'desc', limit: 1 })[0].id);
+    assert.deepStrictEqual(live.events[0].data.payload, { sessionId: 'term_a2' });
+
+    // Last-Event-ID resumes after the given stream id
+    const resumed = await collectEvents(`${streamUrl}?terminal_id=term_a1`, {
+      headers: { ...auth, 'last-event-id': '1' },
+      count: 2
+    });
+    assert.deepStrictEqual(resumed.events.map((entry) => entry.event), ['message_sent', 'session_ended']);
+    assert(resumed.events[0].id < resumed.events[1].id, 'stream ids increase');
+
+    const replayed = await collectEvents(`${streamUrl}?replay=2&task_id=${taskId}`, { headers: auth, count: 2 });
+    assert.deepStrictEqual(replayed.events.map((entry) => `${entry.data.rootSessionId}:${entry.event}`), [
+      'root_b:session_started',
+      'root_b:message_sent'
+    ]);
+
+    const reader = mintApiToken({ name: 'console-reader', scopes: ['read'] });
+    const viaQuery = await collectEvents(
+      `${streamUrl}?apiKey=${encodeURIComponent(reader.token)}&last_event_id=0&event_type=session_ended`,
+      { count: 1 }
+    );
+    assert.strictEqual(viaQuery.events[0].event, 'session_ended', 'EventSource clients can pass the key as a query parameter');
+
+    const invalid = await collectEvents(streamUrl, { headers: { ...auth, 'last-event-id': 'abc' }, count: 0 });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.error.param, 'Last-Event-ID');
+    assert.strictEqual((await collectEvents(streamUrl, { count: 0 })).status, 401);
+  } finally {
+    eventStream.closeAll();
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+    for (const key of ENV_KEYS) {
+      if (typeof snapshot[key] === 'string') {
+        process.env[key] = snapshot[key];
+      } else {
+        delete process.env[key];
+      }
+    }
+  }
+  console.log('✅ the SSE stream filters on the server and resumes from Last-Event-ID');
+}
+
+async function run() {
+  testFilterParsing();
+  await testStream();
+}
+
+run().then(() => {
+  console.log('\nEvent stream tests passed');
+}).catch((error) => {
+  console.error('\nEvent stream tests failed:', error);
+  process.exit(1);
+});
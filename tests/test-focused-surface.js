@@ -23,6 +23,13 @@ const TEST_FILES = [
   'test-root-io-events.js',
   'test-agent-control-foundation.js',
   'test-long-horizon-dispatch-foundation.js',
+  'test-dispatch-scheduler.js',
+  'test-task-assignment-dependencies.js',
+  'test-assignment-merge-conflicts.js',
+  'test-assignment-verification.js',
+  'test-assignment-diff.js',
+  'test-assignment-pr-review.js',
+  'test-worktree-registry.js',
   'test-memory-read-model-projections.js',
   'test-memory-query-insights.js',
   'test-usage-ledger.js',
@@ -53,6 +60,9 @@ const TEST_FILES = [
   'test-room-continuity.js',
   'test-review-protocols.js',
   'test-workflow-time-budgets.js',
+  'test-workflow-registry.js',
+  'test-workflow-conditions.js',
+  'test-workflow-executions.js',
   'test-persistence-v1-slice-b.js',
   'test-review-routes.js',
   'test-run-ledger-routes.js',
@@ -61,7 +71,21 @@ const TEST_FILES = [
   'test-gemini-resume-resilience.js',
   'test-console-ui.js',
   'test-openai-compat.js',
+  'test-anthropic-compat.js',
+  'test-model-aliases.js',
+  'test-conversation-sessions.js',
+  'test-configured-adapters.js',
+  'test-adapter-plugins.js',
   'test-auth-fail-closed.js',
+  'test-api-tokens.js',
+  'test-audit-log.js',
+  'test-event-stream.js',
+  'test-ws-topics.js',
+  'test-memory-search.js',
+  'test-memory-embeddings.js',
+  'test-budgets.js',
+  'test-model-pricing.js',
+  'test-usage-report.js',
   'test-dashboard-env-security.js',
   'test-mcp-delegate-task.js',
   'test-mcp-task-tools.js',
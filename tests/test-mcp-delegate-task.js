@@ -41,7 +41,10 @@ async function startFakeCliagentsServer() {
     lastRouteBody: null,
     lastRouteHeaders: null,
     routeBodies: [],
-    lastTerminalInput: null
+    lastTerminalInput: null,
+    workflows: ['code-review', 'feature', 'bugfix', 'full-cycle', 'research']
+      .map((name) => ({ name, source: 'builtin' })),
+    workflowBodies: []
   };
 
   const server = http.createServer(async (req, res) => {
@@ -83,6 +86,22 @@ async function startFakeCliagentsServer() {
       return writeJson(routeStatus, routeBody);
     }
 
+    if (req.method === 'GET' && req.url === '/orchestration/workflows') {
+      return writeJson(200, state.workflows);
+    }
+
+    const workflowMatch = req.url.match(/^\/orchestration\/workflows\/([^/]+)$/);
+    if (req.method === 'POST' && workflowMatch) {
+      const body = await readBody();
+      state.workflowBodies.push({ name: decodeURIComponent(workflowMatch[1]), body });
+      return writeJson(body.wait === false ? 202 : 200, {
+        workflowId: 'wf-started-1',
+        name: decodeURIComponent(workflowMatch[1]),
+        status: body.wait === false ? 'running' : 'completed',
+        results: []
+      });
+    }
+
     const outputMatch = req.url.match(/^\/orchestration\/terminals\/([^/]+)\/output$/);
     if (req.method === 'GET' && outputMatch) {
       return writeJson(200, { output: state.scenario.output || 'No output captured' });
@@ -523,6 +542,26 @@ async function run() {
     assert(fakeServer.state.routeBodies.every((body) => body.originClient === 'opencode'));
     assert(fakeServer.state.routeBodies.every((body) => body.sessionKind === 'workflow'));
     assert(fakeServer.state.routeBodies.every((body) => body.sessionMetadata.toolName === 'run_workflow'));
+    assert.strictEqual(fakeServer.state.workflowBodies.length, 0, 'built-in fan-out does not start a broker execution');
+
+    // A project definition shadowing a built-in name runs on the broker without blocking
+    fakeServer.state.routeBodies = [];
+    fakeServer.state.workflows = [{ name: 'feature', source: 'project' }, { name: 'docs-pass', source: 'personal' }];
+    for (const name of ['feature', 'docs-pass']) {
+      const startedResult = await mod.handleRunWorkflow({ workflow: name, message: 'Run the project workflow' });
+      const startedText = startedResult.content[0].text;
+      assert(startedText.includes(`Workflow Started: ${name}`));
+      assert(startedText.includes('workflow_id: wf-started-1'));
+    }
+    assert.strictEqual(fakeServer.state.routeBodies.length, 0, 'shadowed and custom workflows are not fanned out');
+    assert.deepStrictEqual(fakeServer.state.workflowBodies.map((entry) => [entry.name, entry.body.wait]), [
+      ['feature', false],
+      ['docs-pass', false]
+    ]);
+    assert(fakeServer.state.workflowBodies.every((entry) => entry.body.rootSessionId === 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'));
+    fakeServer.state.workflows = ['code-review', 'feature', 'bugfix', 'full-cycle', 'research']
+      .map((name) => ({ name, source: 'builtin' }));
+    fakeServer.state.workflowBodies = [];
 
     fakeServer.state.routeBodies = [];
     fakeServer.state.statusPolls.clear();
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { createMemoryRouter } = require('../src/routes/memory');
+const {
+  MemoryEmbeddingIndex,
+  createEmbedderFromEnv,
+  createHashingEmbedder,
+  createOpenAICompatibleEmbedder,
+  loadModuleEmbedder
+} = require('../src/orchestration/memory-embedding-index');
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function dot(left, right) {
+  return left.reduce((sum, value, index) => sum + value * right[index], 0);
+}
+
+async function testEmbedders(rootDir) {
+  const hashing = createHashingEmbedder({ dimensions: 64 });
+  assert.strictEqual(hashing.id, 'hashing-v1:64');
+  const [first, again, related, unrelated] = await hashing.embed([
+    'Postgres ledger migration needs a dual write window',
+    'Postgres ledger migration needs a dual write window',
+    'dual write window for the ledger migration',
+    'lunch plans for friday'
+  ]);
+  assert.strictEqual(first.length, 64);
+  assert.deepStrictEqual(Array.from(first), Array.from(again), 'hashing is deterministic');
+  assert(Math.abs(dot(first, first) - 1) < 1e-5, 'vectors are L2-normalized');
+  assert(dot(first, related) > dot(first, unrelated) + 0.3, 'shared vocabulary ranks higher');
+  assert.strictEqual(createEmbedderFromEnv({}).id, 'hashing-v1:256');
+  assert.throws(() => createEmbedderFromEnv({ CLIAGENTS_EMBEDDER: 'word2vec' }), /Unknown CLIAGENTS_EMBEDDER/);
+
+  const requests = [];
+  const remote = createOpenAICompatibleEmbedder({
+    baseUrl: 'http://127.0.0.1:11434/v1/',
+    model: 'nomic-embed-text',
+    apiKey: 'local-key',
+    fetch: async (url, init) => {
+      requests.push({ url, init });
+      return {
+        ok: true,
+        json: async () => ({ data: [{ index: 1, embedding: [0, 2] }, { index: 0, embedding: [3, 4] }] })
+      };
+    }
+  });
+  assert.strictEqual(remote.id, 'openai:nomic-embed-text');
+  const vectors = await remote.embed(['a', 'b']);
+  assert.deepStrictEqual(vectors.map((vector) => Array.from(vector).map((value) => Number(value.toFixed(3)))), [[0.6, 0.8], [0, 1]]);
+  assert.strictEqual(requests[0].url, 'http://127.0.0.1:11434/v1/embeddings');
+  assert.strictEqual(requests[0].init.headers.Authorization, 'Bearer local-key');
+  assert.deepStrictEqual(JSON.parse(requests[0].init.body), { model: 'nomic-embed-text', input: ['a', 'b'] });
+
+  const modulePath = path.join(rootDir, 'length-embedder.js');
+  fs.writeFileSync(modulePath, `module.exports = {
+    createEmbedder: (options) => ({ id: 'length:' + options.model, embed: async (texts) => texts.map((t) => [t.length, 1]) })
+  };\n`);
+  const local = loadModuleEmbedder(modulePath, { model: 'test' });
+  assert.strictEqual(local.id, 'length:test');
+  assert.strictEqual((await local.embed(['abc']))[0].length, 2);
+  console.log('✅ hashing, OpenAI-compatible, and module embedders produce normalized vectors');
+}
+
+function seed(db) {
+  db.registerTerminal('term_old', 'cliagents-old', 'main', 'codex-cli', null, 'worker', null, null, {
+    rootSessionId: 'root_old'
+  });
+  db.createTask({ id: 'task_old', title: 'Billing ledger migration', rootSessionId: 'root_old' });
+  db.createTask({ id: 'task_new', title: 'Ledger dual write rollout', brief: 'Ship the ledger dual write window', rootSessionId: 'root_new' });
+
+  db.upsertMemorySnapshot({
+    scope: 'task',
+    scopeId: 'task_old',
+    taskId: 'task_old',
+    rootSessionId: 'root_old',
+    brief: 'Migrated the billing ledger to Postgres behind a dual write window.',
+    keyDecisions: ['Keep the dual write window open for two weeks', 'Postgres is the system of record'],
+    generationTrigger: 'manual'
+  });
+  db.storeFinding('task_old', 'term_old', 'Ledger writes are not idempotent during the dual write window.', {
+    type: 'bug',
+    severity: 'high'
+  });
+  db.storeContext('task_old', 'term_old', {
+    summary: 'Handoff: ledger backfill finished, reconciliation pending',
+    keyDecisions: ['Reconcile nightly until cutover']
+  });
+  for (let index = 0; index < 7; index += 1) {
+    db.addMessage('term_old', index % 2 ? 'assistant' : 'user', `ledger migration step ${index}`);
+  }
+  db.addMessage('term_old', 'tool', 'tool output is not embedded');
+  db.storeFinding('task_new', 'term_old', 'The rollout flag for dual write is missing.', { type: 'bug' });
+}
+
+async function testIndexSync(db) {
+  const index = new MemoryEmbeddingIndex({ db, enabled: true, embedder: createHashingEmbedder({ dimensions: 128 }) });
+  const first = await index.sync();
+  // snapshot + 2 decisions, context + 1 decision, 2 findings, 2 message windows
+  assert.deepStrictEqual({ embedded: first.embedded, unchanged: first.unchanged }, { embedded: 9, unchanged: 0 });
+  const rows = db.listMemoryEmbeddings({ embedderId: 'hashing-v1:128' });
+  assert.deepStrictEqual(
+    rows.map((row) => row.itemType).sort(),
+    ['decision', 'decision', 'decision', 'finding', 'finding', 'message_window', 'message_window', 'snapshot', 'snapshot']
+  );
+  const windows = rows.filter((row) => row.itemType === 'message_window').sort((a, b) => a.itemKey.localeCompare(b.itemKey));
+  assert.deepStrictEqual(windows.map((row) => row.itemKey), ['messages:term_old:0', 'messages:term_old:1']);
+  assert.strictEqual(windows[0].rootSessionId, 'root_old');
+  assert.strictEqual(windows[1].content, 'user: ledger migration step 6');
+
+  const windowEdges = db.listMemorySummaryEdges({ parentScopeType: 'memory_embedding', parentScopeId: windows[0].embeddingId });
+  assert.strictEqual(windowEdges.length, 6, 'each window links to the messages it covers');
+  assert(windowEdges.every((edge) => edge.childScopeType === 'message' && edge.edgeKind === 'derived_from'));
+  const finding = rows.find((row) => row.itemType === 'finding' && row.taskId === 'task_old');
+  assert.strictEqual(finding.rootSessionId, 'root_old', 'findings inherit the root of the terminal that stored them');
+  assert.strictEqual(
+    db.listMemorySummaryEdges({ parentScopeType: 'memory_embedding', parentScopeId: finding.embeddingId })[0].childScopeId,
+    finding.sourceId
+  );
+
+  assert.strictEqual((await index.sync()).embedded, 0, 'a second sync has nothing to do');
+
+  // A new message grows the partial window; a re-written snapshot swaps its decisions
+  db.addMessage('term_old', 'assistant', 'ledger migration step 7');
+  db.upsertMemorySnapshot({
+    scope: 'task',
+    scopeId: 'task_old',
+    taskId: 'task_old',
+    rootSessionId: 'root_old',
+    brief: 'Migrated the billing ledger to Postgres behind a dual write window.',
+    keyDecisions: ['Postgres is the system of record'],
+    generationTrigger: 'manual',
+    updatedAt: Date.now() + 1000
+  });
+  const second = await index.sync();
+  assert.deepStrictEqual({ embedded: second.embedded, unchanged: second.unchanged, pruned: second.pruned },
+    { embedded: 1, unchanged: 2, pruned: 1 });
+  assert.strictEqual(db.getMemoryEmbedding('hashing-v1:128', 'messages:term_old:1').content,
+    'user: ledger migration step 6\nassistant: ledger migration step 7');
+  assert.strictEqual(db.listMemoryEmbeddings({ embedderId: 'hashing-v1:128', itemTypes: ['decision'] }).length, 2);
+
+  const findingId = db.db.prepare("SELECT id FROM findings WHERE task_id = 'task_old'").get().id;
+  const findingEmbedding = db.getMemoryEmbedding('hashing-v1:128', `findings:${findingId}`);
+  db.deleteFinding(findingId);
+  assert.strictEqual((await index.sync()).pruned, 1, 'embeddings of deleted rows are pruned');
+  assert.strictEqual(db.listMemorySummaryEdges({ parentScopeType: 'memory_embedding', parentScopeId: findingEmbedding.embeddingId }).length, 0);
+
+  // Rows without text must not be re-selected by every sweep
+  db.createTask({ id: 'task_blank', title: 'Blank notes', rootSessionId: 'root_old' });
+  db.upsertMemorySnapshot({ scope: 'task', scopeId: 'task_blank', taskId: 'task_blank', generationTrigger: 'manual' });
+  db.db.prepare("UPDATE memory_snapshots SET brief = '' WHERE scope_id = 'task_blank'").run();
+  db.storeContext('task_blank', 'term_old', { summary: '' });
+  const blankSync = await index.sync();
+  assert.deepStrictEqual({ groups: blankSync.groups, embedded: blankSync.embedded }, { groups: 2, embedded: 0 });
+  assert.deepStrictEqual(db.listMemoryEmbeddingCandidates({ embedderId: 'hashing-v1:128' }), [],
+    'empty snapshots and handoffs are recorded so later sweeps skip them');
+  assert(db.listMemoryEmbeddings({ embedderId: 'hashing-v1:128' }).every((row) => row.taskId !== 'task_blank'),
+    'placeholders are never recalled');
+
+  const relevant = await index.findRelevant('ledger dual write window', { k: 3, excludeTaskId: 'task_new' });
+  assert.strictEqual(relevant.length, 3);
+  assert(relevant.every((item) => item.taskId !== 'task_new'), 'the excluded task is never recalled');
+  assert(relevant.every((item, position) => position === 0 || item.score <= relevant[position - 1].score));
+  assert.strictEqual(relevant[0].sourceTable, 'memory_snapshots');
+  assert.deepStrictEqual(relevant[0].lineage.map((source) => source.scopeType), ['memory_snapshot']);
+  assert.deepStrictEqual(await index.findRelevant('   '), []);
+  console.log('✅ the index embeds new and changed items, prunes stale ones, and keeps lineage edges');
+}
+
+async function testBundleRoute(db) {
+  const index = new MemoryEmbeddingIndex({ db, enabled: true });
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration/memory', createMemoryRouter({ db, embeddingIndex: index }));
+  app.use('/plain/memory', createMemoryRouter({ db }));
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const modulePath = require.resolve('../src/mcp/cliagents-mcp-server');
+  const previousUrl = process.env.CLIAGENTS_URL;
+  try {
+    const empty = await request('GET', '/orchestration/memory/bundle/task_new?scope_type=task&relevant=2');
+    assert.deepStrictEqual(empty.body.relevantMemories, [], 'bundles read the index without syncing it');
+
+    await index.sync();
+    const bundle = await request('GET', '/orchestration/memory/bundle/task_new?scope_type=task&relevant=2');
+    assert.strictEqual(bundle.status, 200);
+    assert.strictEqual(bundle.body.relevantMemories.length, 2);
+    assert(bundle.body.relevantMemories.every((item) => item.taskId !== 'task_new'));
+    assert(bundle.body.relevantMemories[0].content.includes('dual write'), 'the task title and brief drive recall');
+
+    const byQuery = await request('GET', '/orchestration/memory/bundle/task_new?relevant=1&relevant_query=reconcile+nightly');
+    assert.strictEqual(byQuery.body.relevantMemories[0].content, 'Reconcile nightly until cutover');
+    assert.strictEqual((await request('GET', '/orchestration/memory/bundle/task_new?relevant=0')).body.relevantMemories, undefined);
+    assert.strictEqual((await request('GET', '/plain/memory/bundle/task_new')).body.relevantMemories, undefined,
+      'bundles are unchanged when the index is not configured');
+    assert.strictEqual((await request('GET', '/orchestration/memory/bundle/task_new?relevant=-1')).body.error.param, 'relevant');
+
+    const sync = await request('POST', '/orchestration/memory/embeddings/sync', { limit: 10 });
+    assert.strictEqual(sync.status, 200);
+    assert.strictEqual(sync.body.embedderId, 'hashing-v1:256');
+    assert.strictEqual((await request('POST', '/plain/memory/embeddings/sync')).status, 503);
+
+    delete require.cache[modulePath];
+    process.env.CLIAGENTS_URL = `${baseUrl}`;
+    const mcp = require('../src/mcp/cliagents-mcp-server');
+    const result = await mcp.handleGetMemoryBundle({ scopeId: 'task_new' });
+    assert(result.content[0].text.includes('### Related Past Work'));
+  } finally {
+    delete require.cache[modulePath];
+    if (previousUrl === undefined) {
+      delete process.env.CLIAGENTS_URL;
+    } else {
+      process.env.CLIAGENTS_URL = previousUrl;
+    }
+    await new Promise((resolve) => server.close(resolve));
+  }
+  console.log('✅ memory bundles include top-k related past items when the index is enabled');
+}
+
+async function testBundleSurvivesEmbedderFailure(db) {
+  const index = new MemoryEmbeddingIndex({
+    db,
+    enabled: true,
+    embedder: { id: 'hashing-v1:256', embed: async () => { throw new Error('embedder offline'); } }
+  });
+  const app = express();
+  app.use('/orchestration/memory', createMemoryRouter({ db, embeddingIndex: index }));
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/orchestration/memory/bundle/task_new?scope_type=task`);
+    const body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(body.scopeId, 'task_new');
+    assert.deepStrictEqual(body.relevantMemories, []);
+    assert.deepStrictEqual(body.relevantMemoriesError, { code: 'embedder_unavailable', message: 'embedder offline' });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+  console.log('✅ memory bundles are still served when the embedder fails');
+}
+
+async function run() {
+  const rootDir = makeTempDir('cliagents-memory-embeddings-');
+  const db = new OrchestrationDB({ dbPath: path.join(rootDir, 'cliagents.db'), dataDir: rootDir });
+  try {
+    await testEmbedders(rootDir);
+    seed(db);
+    await testIndexSync(db);
+    await testBundleRoute(db);
+    await testBundleSurvivesEmbedderFailure(db);
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+}
+
+run().then(() => {
+  console.log('\nMemory embedding tests passed');
+}).catch((error) => {
+  console.error('\nMemory embedding tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { createMemoryRouter } = require('../src/routes/memory');
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function seed(db) {
+  db.registerTerminal('term_search', 'cliagents-search', 'main', 'codex-cli', null, 'worker', null, null, {
+    rootSessionId: 'root_search'
+  });
+  db.createTask({ id: 'task_search', title: 'Billing rewrite', rootSessionId: 'root_search' });
+  db.createRoom({ id: 'room_search', rootSessionId: 'root_room', taskId: 'task_search', title: 'Design room' });
+
+  db.addMessage('term_search', 'assistant', 'We decided to keep Postgres for the billing ledger.');
+  db.addMessage('term_search', 'user', 'Unrelated chatter about lunch plans.');
+  db.addRoomMessage({ roomId: 'room_search', role: 'assistant', content: 'Migrating billing to Postgres needs a dual-write window.' });
+  db.storeFinding('task_search', 'term_search', 'Ledger writes are not idempotent; retries double charge.', {
+    type: 'bug',
+    severity: 'high'
+  });
+  db.storeContext('task_search', 'term_search', {
+    summary: 'Billing rewrite handoff',
+    keyDecisions: ['Postgres stays as the system of record']
+  });
+  db.appendRootIoEvent({
+    rootSessionId: 'root_search',
+    terminalId: 'term_search',
+    eventKind: 'output',
+    contentFull: 'Running migration 042_ledger_idempotency_keys ... done'
+  });
+  db.appendRootIoEvent({
+    rootSessionId: 'root_search',
+    terminalId: 'term_search',
+    eventKind: 'input',
+    contentFull: 'please run the ledger idempotency migration'
+  });
+}
+
+function testIndexAndRanking(db) {
+  const hits = db.searchMemory({ q: 'postgres' });
+  assert.deepStrictEqual(hits.map((hit) => hit.sourceTable).sort(), ['context', 'messages', 'room_messages']);
+  for (const hit of hits) {
+    assert(/<mark>Postgres<\/mark>/.test(hit.snippet), `snippet highlights the match: ${hit.snippet}`);
+  }
+  const message = hits.find((hit) => hit.sourceTable === 'messages');
+  assert.strictEqual(message.rootSessionId, 'root_search');
+  assert.strictEqual(message.terminalId, 'term_search');
+  assert.strictEqual(message.taskId, null);
+  const roomHit = hits.find((hit) => hit.sourceTable === 'room_messages');
+  assert.deepStrictEqual([roomHit.roomId, roomHit.rootSessionId, roomHit.taskId], ['room_search', 'root_room', 'task_search']);
+  assert(hits.every((hit, index) => index === 0 || hit.score <= hits[index - 1].score), 'hits are ranked');
+
+  assert.deepStrictEqual(db.searchMemory({ q: 'decide' }).map((hit) => hit.sourceTable), ['messages'], 'words are stemmed');
+  assert.deepStrictEqual(db.searchMemory({ q: '"billing ledger"' }).map((hit) => hit.sourceTable), ['messages']);
+  assert.strictEqual(db.searchMemory({ q: '"ledger billing"' }).length, 0, 'phrases keep word order');
+  assert.deepStrictEqual(db.searchMemory({ q: 'idempot*' }).map((hit) => hit.sourceTable).sort(), ['findings', 'root_io_events'],
+    'root IO output is indexed but input is not');
+  assert.strictEqual(db.searchMemory({ q: 'lunch OR charge' }).length, 2);
+  assert.strictEqual(db.searchMemory({ q: 'postgres', sources: 'context,findings' }).length, 1);
+  assert.strictEqual(db.searchMemory({ q: 'postgres', rootSessionId: 'root_room' }).length, 1);
+  assert.deepStrictEqual(db.searchMemory({ q: 'high' }).map((hit) => hit.title), ['bug <mark>high</mark>'], 'titles are searchable');
+  assert.strictEqual(db.searchMemory({ q: '(ledger) writes!' }).length, 1, 'punctuation never reaches FTS5 syntax');
+  assert.throws(() => db.searchMemory({ q: '((' }), (error) => error.code === 'invalid_request' && error.param === 'q');
+  assert.throws(() => db.searchMemory({ q: 'NEAR(', raw: true }), /invalid search query/);
+  assert.throws(() => db.searchMemory({ q: 'x', sources: ['tasks'] }), (error) => error.param === 'sources');
+
+  const findingId = db.db.prepare('SELECT id FROM findings LIMIT 1').get().id;
+  db.deleteFinding(findingId);
+  assert.strictEqual(db.searchMemory({ q: 'double charge' }).length, 0, 'deleted rows leave the index');
+  db.db.prepare("UPDATE messages SET content = 'We decided on CockroachDB instead.' WHERE role = 'assistant'").run();
+  assert.strictEqual(db.searchMemory({ q: 'cockroachdb' }).length, 1, 'updated content is re-indexed');
+  console.log('✅ the FTS index stays in sync and ranks stemmed, phrase, and prefix matches');
+}
+
+async function testRouteAndMcpTool(db) {
+  const app = express();
+  app.use('/orchestration/memory', createMemoryRouter({ db }));
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const get = async (url) => {
+    const response = await fetch(`${baseUrl}${url}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  const modulePath = require.resolve('../src/mcp/cliagents-mcp-server');
+  const previousUrl = process.env.CLIAGENTS_URL;
+  try {
+    const search = await get('/orchestration/memory/search?q=postgres&limit=1');
+    assert.strictEqual(search.status, 200);
+    assert.strictEqual(search.body.hits.length, 1);
+    assert.deepStrictEqual(search.body.pagination, { returned: 1, limit: 1, offset: 0, hasMore: true, nextOffset: 1 });
+    const next = await get('/orchestration/memory/search?q=postgres&limit=1&offset=1');
+    assert.strictEqual(next.body.hits.length, 1);
+    assert.strictEqual(next.body.pagination.hasMore, false);
+
+    const roomHit = (await get('/orchestration/memory/search?q=dual+write&sources=room_messages&mark=markdown')).body.hits[0];
+    assert(roomHit.snippet.includes('**dual**-**write**'));
+    assert.strictEqual(roomHit.links.record, `/orchestration/memory/query?source_table=room_messages&source_id=${roomHit.sourceId}&limit=1`);
+    const linked = await get(roomHit.links.record);
+    assert.strictEqual(linked.status, 200);
+    assert.deepStrictEqual(linked.body.records.map((record) => [record.sourceTable, record.sourceId]), [[roomHit.sourceTable, roomHit.sourceId]],
+      'record links resolve to the matched row, not the newest one');
+    assert.strictEqual(roomHit.links.task, '/orchestration/memory/bundle/task_search?scope_type=task');
+    const lineage = await get(roomHit.links.edges);
+    assert.strictEqual(lineage.status, 200, 'edge links resolve against the memory read model');
+
+    assert.strictEqual((await get('/orchestration/memory/search')).body.error.param, 'q');
+    assert.strictEqual((await get('/orchestration/memory/search?q=x&sort=oldest')).body.error.param, 'sort');
+    assert.strictEqual((await get('/orchestration/memory/search?q=x&sources=tasks')).body.error.param, 'sources');
+
+    delete require.cache[modulePath];
+    process.env.CLIAGENTS_URL = baseUrl;
+    const mcp = require('../src/mcp/cliagents-mcp-server');
+    const tool = mcp.TOOLS.find((entry) => entry.name === 'search_memory');
+    assert.deepStrictEqual(tool.inputSchema.required, ['query']);
+    const result = await mcp.handleSearchMemory({ query: 'dual write', taskId: 'task_search' });
+    const text = result.content[0].text;
+    assert(text.includes('## Memory Search: dual write'));
+    assert(text.includes('**dual**-**write**'));
+    assert(text.includes('room=room_search'));
+    const empty = await mcp.handleSearchMemory({ query: 'kubernetes' });
+    assert.strictEqual(empty.content[0].text, 'No memory matches "kubernetes".');
+  } finally {
+    delete require.cache[modulePath];
+    if (previousUrl === undefined) {
+      delete process.env.CLIAGENTS_URL;
+    } else {
+      process.env.CLIAGENTS_URL = previousUrl;
+    }
+    await new Promise((resolve) => server.close(resolve));
+  }
+  console.log('✅ GET /memory/search pages ranked hits with lineage links and search_memory wraps it');
+}
+
+async function run() {
+  const rootDir = makeTempDir('cliagents-memory-search-');
+  const db = new OrchestrationDB({ dbPath: path.join(rootDir, 'cliagents.db'), dataDir: rootDir });
+  try {
+    seed(db);
+    testIndexAndRanking(db);
+    await testRouteAndMcpTool(db);
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+}
+
+run().then(() => {
+  console.log('\nMemory search tests passed');
+}).catch((error) => {
+  console.error('\nMemory search tests failed:', error);
+  process.exit(1);
+});
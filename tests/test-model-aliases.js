@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ModelRoutingService, getModelRoutingService } = require('../src/services/model-routing');
+const { DEFAULT_MODEL_ALIASES, loadModelAliases, resolveModelAlias } = require('../src/server/model-aliases');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    passed += 1;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed += 1;
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+  }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cliagents-model-aliases-'));
+
+function writeConfig(name, config) {
+  const configPath = path.join(tempDir, `${name}.json`);
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  return configPath;
+}
+
+const ROUTING_CONFIG = {
+  modelAliases: {
+    _comment: 'test aliases',
+    'fast-gemini': { adapter: 'gemini-cli', model: 'gemini-2.5-flash' },
+    'qwen-plus': { adapter: 'qwen-cli', model: 'qwen-plus' },
+    'codex-review': { adapter: 'codex-cli', role: 'review', description: 'Review lane' },
+    'fast-lane': { fallback: ['fast-gemini', { adapter: 'qwen-cli', model: 'qwen-plus' }, 'qwen-plus'] },
+    'loop-a': { fallback: ['loop-b'] },
+    'loop-b': { fallback: ['loop-a'] },
+    dangling: { fallback: ['nope'] },
+    broken: { model: 'no-adapter' }
+  },
+  adapters: {
+    'codex-cli': {
+      taskFamilies: { default: ['mini'], review: ['big', 'mini'] },
+      families: {
+        big: { providers: { openai: ['gpt-5.5'] } },
+        mini: { providers: { openai: ['o4-mini'] } }
+      }
+    }
+  }
+};
+
+// The compat routers resolve aliases through the shared routing service
+const routingService = getModelRoutingService({ configPath: writeConfig('routing', ROUTING_CONFIG) });
+
+// Session manager whose adapters reply from a per-adapter script
+function createScriptedSessionManager(adapters) {
+  const sessions = [];
+  const terminated = [];
+  return {
+    sessions,
+    terminated,
+    adapters: new Map(Object.entries(adapters).map(([name, adapter]) => [name, {
+      isAvailable: async () => adapter.installed !== false,
+      getAvailableModels: () => adapter.models || []
+    }])),
+    async createSession(options) {
+      sessions.push(options);
+      return { sessionId: `session-${sessions.length}`, adapter: options.adapter };
+    },
+    async *sendStream(sessionId) {
+      const { adapter } = sessions[Number(sessionId.split('-')[1]) - 1];
+      const reply = adapters[adapter].replies.shift();
+      if (reply.error) {
+        yield { type: 'error', content: reply.error };
+        return;
+      }
+      yield { type: 'progress', progressType: 'assistant', content: reply.text };
+      yield { type: 'result', content: reply.text, metadata: { inputTokens: 5, outputTokens: 3 } };
+    },
+    async terminateSession(sessionId) {
+      terminated.push(sessionId);
+    }
+  };
+}
+
+async function withServer(sessionManager, fn) {
+  const { createOpenAIRouter } = require('../src/server/openai-compat');
+  const { createAnthropicRouter } = require('../src/server/anthropic-compat');
+  const app = express();
+  app.use(express.json());
+  app.use('/v1', createOpenAIRouter(sessionManager));
+  app.use('/v1', createAnthropicRouter(sessionManager));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  try {
+    await fn(baseUrl);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+function postJson(url, body) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+async function run() {
+  console.log('Model alias tests\n');
+
+  await test('aliases load from config with invalid entries reported', async () => {
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    let loaded;
+    try {
+      loaded = loadModelAliases(routingService);
+    } finally {
+      console.warn = originalWarn;
+    }
+    assert.strictEqual(loaded.source, 'config');
+    assert.deepStrictEqual([...loaded.aliases.keys()], ['fast-gemini', 'qwen-plus', 'codex-review', 'fast-lane']);
+    const messages = loaded.errors.map((error) => error.message).sort();
+    assert.strictEqual(messages.length, 4);
+    assert(messages.some((message) => message.startsWith('broken: adapter is required')));
+    assert(messages.some((message) => message.includes('unknown alias nope')));
+    assert(messages.some((message) => message.includes('fallback cycle loop-a -> loop-b -> loop-a')));
+    assert.strictEqual(loadModelAliases(routingService), loaded, 'unchanged config is not re-parsed');
+  });
+
+  await test('builtin aliases are used when the config has no modelAliases section', async () => {
+    const bare = new ModelRoutingService({ configPath: writeConfig('bare', { adapters: {} }) });
+    const loaded = loadModelAliases(bare);
+    assert.strictEqual(loaded.source, 'builtin');
+    assert.deepStrictEqual([...loaded.aliases.keys()], Object.keys(DEFAULT_MODEL_ALIASES));
+    const resolution = await resolveModelAlias('gpt-4o', { routingService: bare });
+    assert.deepStrictEqual(resolution.candidates.map(({ adapter, model }) => ({ adapter, model })), [
+      { adapter: 'codex-cli', model: 'default' }
+    ]);
+  });
+
+  await test('role aliases pick the model through the routing policy', async () => {
+    const sessionManager = createScriptedSessionManager({
+      'codex-cli': { models: [{ id: 'o4-mini' }, { id: 'gpt-5.5' }], replies: [] }
+    });
+    const resolution = await resolveModelAlias('codex-review', { sessionManager, routingService });
+    assert.strictEqual(resolution.kind, 'role');
+    assert.strictEqual(resolution.description, 'Review lane');
+    assert.strictEqual(resolution.candidates.length, 1);
+    assert.strictEqual(resolution.candidates[0].adapter, 'codex-cli');
+    assert.strictEqual(resolution.candidates[0].model, 'gpt-5.5');
+    assert.strictEqual(resolution.candidates[0].role, 'review');
+  });
+
+  await test('fallback aliases expand nested aliases in order without duplicates', async () => {
+    const resolution = await resolveModelAlias('fast-lane', { routingService });
+    assert.strictEqual(resolution.kind, 'fallback');
+    assert.deepStrictEqual(resolution.candidates.map(({ adapter, model }) => `${adapter}/${model}`), [
+      'gemini-cli/gemini-2.5-flash',
+      'qwen-cli/qwen-plus'
+    ]);
+    assert.strictEqual(await resolveModelAlias('loop-a', { routingService }), null);
+    assert.strictEqual(await resolveModelAlias('gpt-4o', { routingService }), null);
+  });
+
+  await test('chat completions fall back past a rate-limited adapter', async () => {
+    const sessionManager = createScriptedSessionManager({
+      'gemini-cli': { replies: [{ error: 'Rate limit exceeded, retry in 60s' }, { text: 'Gemini streamed.' }] },
+      'qwen-cli': { replies: [{ text: 'Qwen answered.' }] }
+    });
+    const originalWarn = console.warn;
+    console.warn = () => {};
+    try {
+      await withServer(sessionManager, async (baseUrl) => {
+        const response = await postJson(`${baseUrl}/chat/completions`, {
+          model: 'fast-lane',
+          messages: [{ role: 'user', content: 'Hi' }]
+        });
+        assert.strictEqual(response.status, 200);
+        const data = await response.json();
+        assert.strictEqual(data.model, 'fast-lane');
+        assert.strictEqual(data.choices[0].message.content, 'Qwen answered.');
+        assert.deepStrictEqual(sessionManager.sessions.map((session) => session.adapter), ['gemini-cli', 'qwen-cli']);
+        assert.deepStrictEqual(sessionManager.sessions.map((session) => session.model), ['gemini-2.5-flash', 'qwen-plus']);
+        assert(sessionManager.terminated.includes('session-1'), 'the rate-limited session is closed');
+
+        const streamed = await postJson(`${baseUrl}/chat/completions`, {
+          model: 'fast-lane',
+          stream: true,
+          messages: [{ role: 'user', content: 'Hi' }]
+        });
+        const body = await streamed.text();
+        assert(body.includes('Gemini streamed.'));
+        assert.strictEqual(sessionManager.sessions[2].adapter, 'gemini-cli');
+      });
+    } finally {
+      console.warn = originalWarn;
+    }
+  });
+
+  await test('unknown and unavailable aliases map to 400 and 503', async () => {
+    const sessionManager = createScriptedSessionManager({
+      'gemini-cli': { installed: false, replies: [] }
+    });
+    await withServer(sessionManager, async (baseUrl) => {
+      const unknown = await postJson(`${baseUrl}/chat/completions`, {
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'Hi' }]
+      });
+      assert.strictEqual(unknown.status, 400);
+      assert.strictEqual((await unknown.json()).error.code, 'model_not_found');
+
+      const unavailable = await postJson(`${baseUrl}/chat/completions`, {
+        model: 'fast-lane',
+        messages: [{ role: 'user', content: 'Hi' }]
+      });
+      assert.strictEqual(unavailable.status, 503);
+
+      const viaMessages = await postJson(`${baseUrl}/messages`, {
+        model: 'fast-gemini',
+        max_tokens: 10,
+        messages: [{ role: 'user', content: 'Hi' }]
+      });
+      assert.strictEqual(viaMessages.status, 503);
+      assert.strictEqual((await viaMessages.json()).error.type, 'api_error');
+    });
+  });
+
+  await test('/v1/models lists the configured aliases with availability', async () => {
+    const sessionManager = createScriptedSessionManager({
+      'gemini-cli': { replies: [] },
+      'qwen-cli': { installed: false, replies: [] }
+    });
+    await withServer(sessionManager, async (baseUrl) => {
+      const listed = await (await fetch(`${baseUrl}/models`)).json();
+      assert.deepStrictEqual(listed.data.map((model) => [model.id, model.owned_by, model.available]), [
+        ['fast-gemini', 'gemini-cli', true],
+        ['qwen-plus', 'qwen-cli', false],
+        ['codex-review', 'codex-cli', false],
+        ['fast-lane', 'gemini-cli', true]
+      ]);
+
+      const one = await fetch(`${baseUrl}/models/fast-lane`);
+      assert.strictEqual(one.status, 200);
+      assert.strictEqual((await one.json()).id, 'fast-lane');
+      assert.strictEqual((await fetch(`${baseUrl}/models/codex-review`)).status, 404);
+      assert.strictEqual((await fetch(`${baseUrl}/models/gpt-4o`)).status, 404);
+    });
+  });
+
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  console.log(`\n${passed} passed, 0 failed`);
+}
+
+run();
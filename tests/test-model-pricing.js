@@ -0,0 +1,237 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { ModelPriceTable } = require('../src/services/model-pricing');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+const { handleUsageCommand, parseUsageArgs } = require('../src/index');
+
+const JUNE = Date.parse('2026-06-15T00:00:00Z');
+const AUGUST = Date.parse('2026-08-15T00:00:00Z');
+
+const TABLE_V1 = {
+  _meta: { version: 'v1' },
+  prices: [
+    { adapter: 'gemini-cli', model: '*', inputPerMillion: 1, outputPerMillion: 4, effectiveFrom: '2026-01-01' },
+    { adapter: 'gemini-cli', model: 'gemini-2.5-flash*', inputPerMillion: 0.5, cachedInputPerMillion: 0.1, outputPerMillion: 2, reasoningPerMillion: 2, effectiveFrom: '2026-01-01', effectiveUntil: '2026-07-01' },
+    { adapter: 'gemini-cli', model: 'gemini-2.5-flash*', inputPerMillion: 0.25, outputPerMillion: 1, effectiveFrom: '2026-07-01' },
+    { adapter: 'gemini-cli', model: 'gemini-2.5-flash-lite', inputPerMillion: 0.1, outputPerMillion: 0.4, effectiveFrom: '2026-01-01' }
+  ]
+};
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function testPriceTable(rootDir) {
+  const table = new ModelPriceTable({ table: TABLE_V1 });
+  assert.strictEqual(table.getVersion(), 'v1');
+  assert.strictEqual(table.findPrice({ adapter: 'gemini-cli', model: 'gemini-2.5-flash-lite', at: JUNE }).model, 'gemini-2.5-flash-lite',
+    'exact model names beat prefixes');
+  assert.strictEqual(table.findPrice({ adapter: 'gemini-cli', model: 'gemini-2.5-flash-001', at: JUNE }).inputPerMillion, 0.5);
+  assert.strictEqual(table.findPrice({ adapter: 'gemini-cli', model: 'gemini-2.5-flash-001', at: AUGUST }).inputPerMillion, 0.25,
+    'effective dates pick the price in force when the usage happened');
+  assert.strictEqual(table.findPrice({ adapter: 'gemini-cli', model: null, at: JUNE }).model, '*');
+  assert.strictEqual(table.findPrice({ adapter: 'qwen-cli', model: 'qwen-max', at: JUNE }), null);
+
+  const estimate = table.estimate({
+    adapter: 'gemini-cli',
+    model: 'gemini-2.5-flash',
+    inputTokens: 1_000_000,
+    cachedInputTokens: 400_000,
+    outputTokens: 100_000,
+    reasoningTokens: 50_000,
+    createdAt: JUNE
+  });
+  // 600k * 0.5 + 400k * 0.1 + 100k * 2 + 50k * 2, per million
+  assert.deepStrictEqual(estimate, { estimatedCostUsd: 0.64, priceId: 'gemini-cli:gemini-2.5-flash*@2026-01-01', version: 'v1' });
+  assert.strictEqual(table.estimate({ adapter: 'qwen-cli', inputTokens: 10 }).estimatedCostUsd, null);
+
+  assert.throws(() => new ModelPriceTable({ table: { prices: [{ model: 'x', inputPerMillion: 1 }] } }), /adapter is required/);
+  assert.throws(() => new ModelPriceTable({ table: { prices: [{ adapter: 'a', inputPerMillion: -1 }] } }), /non-negative/);
+  assert.throws(() => new ModelPriceTable({ table: { prices: [{ adapter: 'a' }] } }), /needs inputPerMillion or outputPerMillion/);
+  assert.match(new ModelPriceTable({ table: { prices: [] } }).getVersion(), /^[0-9a-f]{12}$/, 'unversioned tables get a content hash');
+
+  const configPath = path.join(rootDir, 'pricing.json');
+  fs.writeFileSync(configPath, JSON.stringify(TABLE_V1));
+  const fromFile = new ModelPriceTable({ env: { CLIAGENTS_PRICE_TABLE: configPath } });
+  assert.strictEqual(fromFile.getVersion(), 'v1');
+  fs.writeFileSync(configPath, JSON.stringify({ _meta: { version: 'v2' }, prices: [] }));
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(configPath, later, later);
+  assert.strictEqual(fromFile.getVersion(), 'v2', 'the table reloads when the file changes');
+  assert.strictEqual(new ModelPriceTable({ env: { CLIAGENTS_PRICE_TABLE: path.join(rootDir, 'missing.json') } }).getVersion(), null);
+
+  const repoTable = new ModelPriceTable({ configPath: path.join(__dirname, '..', 'config', 'model-pricing.json') });
+  assert(repoTable.findPrice({ adapter: 'gemini-cli', model: 'gemini-2.5-pro' }), 'the shipped table prices Gemini');
+  assert(repoTable.findPrice({ adapter: 'qwen-cli', model: 'qwen3-coder-plus' }), 'the shipped table prices Qwen');
+  for (const model of ['opencode-go/minimax-m2.7', 'minimax-coding-plan/MiniMax-M2.7', 'opencode-go/qwen3.6-plus', 'openrouter/zhipuai/glm-4.0']) {
+    assert(repoTable.findPrice({ adapter: 'opencode-cli', model }), `the shipped table prices OpenCode ${model}`);
+  }
+  console.log('✅ price table matches adapter/model/effective date and estimates cost');
+}
+
+function testUsageEstimatesAndRecompute(db) {
+  db.addUsageRecord({ terminalId: 'term-g', rootSessionId: 'root-price', adapter: 'gemini-cli', model: 'gemini-2.5-flash', inputTokens: 1_000_000, outputTokens: 500_000, createdAt: JUNE });
+  db.addUsageRecord({ terminalId: 'term-g', rootSessionId: 'root-price', adapter: 'gemini-cli', model: 'gemini-2.5-flash', inputTokens: 1_000_000, createdAt: AUGUST });
+  db.addUsageRecord({ terminalId: 'term-c', rootSessionId: 'root-price', adapter: 'claude-code', model: 'claude-sonnet', inputTokens: 1000, costUsd: 0.25, createdAt: AUGUST });
+
+  const summary = db.summarizeUsage({ rootSessionId: 'root-price' });
+  assert.strictEqual(summary.costUsd, 0.25, 'costUsd stays provider-reported');
+  assert.strictEqual(summary.reportedCostUsd, 0.25);
+  assert.strictEqual(summary.estimatedCostUsd, 1.75);
+  assert.strictEqual(summary.effectiveCostUsd, 2, 'effective cost prefers reported cost and falls back to estimates');
+  assert.strictEqual(summary.reportedCostRecordCount, 1);
+  assert.strictEqual(summary.estimatedCostRecordCount, 2);
+
+  const records = db.listUsageRecords({ rootSessionId: 'root-price', limit: 10 });
+  const claude = records.find((record) => record.adapter === 'claude-code');
+  assert.strictEqual(claude.reportedCostUsd, 0.25);
+  assert.strictEqual(claude.estimatedCostUsd, null);
+  assert.strictEqual(records.find((record) => record.created_at === JUNE).price_table_version, 'v1');
+
+  db.priceTable = new ModelPriceTable({
+    table: {
+      _meta: { version: 'v2' },
+      prices: [
+        ...TABLE_V1.prices,
+        { adapter: 'claude-code', model: '*', inputPerMillion: 3, outputPerMillion: 15, effectiveFrom: '2026-01-01' },
+        { adapter: 'gemini-cli', model: 'gemini-2.5-flash*', inputPerMillion: 0.3, outputPerMillion: 1, effectiveFrom: '2026-08-01' }
+      ]
+    }
+  });
+  const preview = db.recomputeUsageCostEstimates({ rootSessionId: 'root-price', dryRun: true });
+  assert.strictEqual(preview.updated, 3);
+  assert.strictEqual(db.summarizeUsage({ rootSessionId: 'root-price' }).estimatedCostUsd, 1.75, 'dry runs do not write');
+
+  const onlyGemini = db.recomputeUsageCostEstimates({ rootSessionId: 'root-price', adapter: 'gemini-cli', since: AUGUST });
+  assert.deepStrictEqual([onlyGemini.scanned, onlyGemini.updated], [1, 1]);
+  assert.strictEqual(onlyGemini.estimatedCostUsdAfter, 0.3);
+
+  const all = db.recomputeUsageCostEstimates({ batchSize: 1 });
+  assert.strictEqual(all.priceTableVersion, 'v2');
+  assert.strictEqual(all.updated, 2, 'records already on the current estimate are skipped');
+  const recomputed = db.summarizeUsage({ rootSessionId: 'root-price' });
+  assert.strictEqual(recomputed.estimatedCostUsd, 1.8 + 0.003);
+  assert.strictEqual(recomputed.reportedCostUsd, 0.25, 'reported cost is never rewritten');
+  console.log('✅ usage records keep reported and estimated cost apart and recompute with new prices');
+}
+
+async function testRoutesAndCli(db) {
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    db,
+    sessionManager: { getTerminal: () => null },
+    adapterAuthInspector: () => ({ authenticated: true, reason: null })
+  }));
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const callJson = async (route, options = {}) => {
+    const response = await fetch(baseUrl + route, {
+      method: options.method || 'GET',
+      headers: { 'content-type': 'application/json' },
+      body: options.body ? JSON.stringify(options.body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      const error = new Error(data.error.message);
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+    return data;
+  };
+
+  const originalLog = console.log;
+  try {
+    const usage = await callJson('/orchestration/usage/roots/root-price?breakdown=adapter');
+    assert.strictEqual(usage.pricing.priceTableVersion, 'v2');
+    assert.strictEqual(usage.summary.reportedCostUsd, 0.25);
+    const gemini = usage.breakdowns.adapter.find((entry) => entry.key === 'gemini-cli');
+    assert.strictEqual(gemini.costUsd, 0);
+    assert.strictEqual(gemini.estimatedCostUsd, 1.8);
+
+    const prices = await callJson('/orchestration/usage/prices');
+    assert.strictEqual(prices.priceTableVersion, 'v2');
+    assert.strictEqual(prices.prices[0].effectiveFrom, '2026-01-01T00:00:00.000Z');
+
+    await assert.rejects(
+      callJson('/orchestration/usage/recompute-costs', { method: 'POST', body: { since: 'last tuesday' } }),
+      (error) => error.status === 400 && error.data.error.param === 'since'
+    );
+
+    assert.deepStrictEqual(parseUsageArgs(['recompute-costs', '--since', '2h', '--adapter', 'gemini-cli', '--dry-run'], 10 * 60 * 60 * 1000), {
+      action: 'recompute-costs',
+      since: 8 * 60 * 60 * 1000,
+      until: null,
+      adapter: 'gemini-cli',
+      rootSessionId: null,
+      dryRun: true,
+      json: false
+    });
+    assert.throws(() => parseUsageArgs(['rebuild']), /Unknown usage action/);
+    assert.throws(() => parseUsageArgs([]), /requires an action/);
+
+    const lines = [];
+    console.log = (line) => lines.push(line);
+    await handleUsageCommand(['recompute-costs', '--dry-run'], { callCliagentsJson: callJson });
+    await handleUsageCommand(['prices'], { callCliagentsJson: callJson });
+    console.log = originalLog;
+    assert.strictEqual(lines[0], 'Would update 0 of 3 usage records with price table v2');
+    assert(lines.some((line) => line.startsWith('Price table v2')));
+
+    db.addUsageRecord({ terminalId: 'term-o', rootSessionId: 'root-budget', adapter: 'opencode-cli', model: 'opencode-go/glm-5.1', inputTokens: 1_000_000, createdAt: AUGUST });
+    const { budget } = await callJson('/orchestration/budgets', {
+      method: 'POST',
+      body: { scopeType: 'root', scopeId: 'root-budget', maxCostUsd: 0.5, hardCap: false }
+    });
+    assert.strictEqual(budget.state, 'ok', 'unpriced usage does not count toward a cost budget');
+    db.priceTable = new ModelPriceTable({ configPath: path.join(__dirname, '..', 'config', 'model-pricing.json') });
+    const preview = await callJson('/orchestration/usage/recompute-costs', { method: 'POST', body: { rootSessionId: 'root-budget', dryRun: true } });
+    assert.deepStrictEqual(preview.budgets, [], 'dry runs do not re-evaluate budgets');
+    assert.strictEqual(db.getBudget(budget.id).state, 'ok');
+    const recomputed = await callJson('/orchestration/usage/recompute-costs', { method: 'POST', body: { rootSessionId: 'root-budget' } });
+    assert.strictEqual(recomputed.updated, 1);
+    assert.deepStrictEqual(recomputed.affectedScopes, [{ rootSessionId: 'root-budget', taskId: null, projectId: null }]);
+    assert.deepStrictEqual(recomputed.budgets, [{ id: budget.id, scopeType: 'root', scopeId: 'root-budget', state: 'exceeded' }]);
+    assert.strictEqual(db.getBudget(budget.id).state, 'exceeded', 'budgets see recomputed costs without waiting for new usage');
+  } finally {
+    console.log = originalLog;
+    await new Promise((resolve) => server.close(resolve));
+  }
+  console.log('✅ usage routes report pricing, recompute estimates, and re-evaluate budgets through the broker');
+}
+
+async function run() {
+  const rootDir = makeTempDir('cliagents-model-pricing-');
+  const db = new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir,
+    priceTable: new ModelPriceTable({ table: TABLE_V1 })
+  });
+  try {
+    testPriceTable(rootDir);
+    testUsageEstimatesAndRecompute(db);
+    await testRoutesAndCli(db);
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+}
+
+run().then(() => {
+  console.log('\nModel pricing tests passed');
+}).catch((error) => {
+  console.error('\nModel pricing tests failed:', error);
+  process.exit(1);
+});
@@ -3,8 +3,10 @@
 'use strict';
 
 const assert = require('assert');
+const express = require('express');
 
-const { translateOpenAIRequest } = require('../src/server/openai-compat');
+const { createOpenAIRouter, translateOpenAIRequest, buildPromptFromMessages } = require('../src/server/openai-compat');
+const { ToolCallStreamParser, parseToolCalls } = require('../src/server/tool-calling');
 
 let passed = 0;
 let failed = 0;
@@ -43,8 +45,224 @@ test('translateOpenAIRequest rejects undefined content entries', () => {
   );
 });
 
-if (failed > 0) {
-  process.exit(1);
+const WEATHER_TOOL = {
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    description: 'Current weather for a city',
+    parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+  }
+};
+
+test('translateOpenAIRequest puts tool schemas and the reply protocol in the system prompt', () => {
+  const result = translateOpenAIRequest({
+    model: 'gpt-4o',
+    messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Weather in Paris?' }],
+    tools: [WEATHER_TOOL],
+    tool_choice: { type: 'function', function: { name: 'get_weather' } },
+    parallel_tool_calls: false
+  });
+  assert(result.systemPrompt.startsWith('Be brief.'));
+  assert(result.systemPrompt.includes('- get_weather: Current weather for a city'));
+  assert(result.systemPrompt.includes('"required":["city"]'));
+  assert(result.systemPrompt.includes('You must call the tool get_weather in this reply.'));
+  assert(result.systemPrompt.includes('Call at most one tool per reply.'));
+  assert.strictEqual(result.tools[0].name, 'get_weather');
+  assert.strictEqual(result.parallelToolCalls, false);
+});
+
+test('translateOpenAIRequest leaves the prompt alone with tool_choice none', () => {
+  const result = translateOpenAIRequest({
+    model: 'gpt-4o',
+    messages: [{ role: 'user', content: 'Hi' }],
+    tools: [WEATHER_TOOL],
+    tool_choice: 'none'
+  });
+  assert.strictEqual(result.systemPrompt, null);
+  assert.strictEqual(result.tools, null);
+});
+
+test('translateOpenAIRequest rejects malformed tools and tool messages', () => {
+  assert.throws(
+    () => translateOpenAIRequest({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }], tools: [{ type: 'retrieval' }] }),
+    /tools\[0\] is invalid/
+  );
+  assert.throws(
+    () => translateOpenAIRequest({
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: 'Hi' }],
+      tools: [WEATHER_TOOL],
+      tool_choice: { type: 'function', function: { name: 'get_time' } }
+    }),
+    /unknown tool get_time/
+  );
+  assert.throws(
+    () => translateOpenAIRequest({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }, { role: 'tool', content: '{}' }] }),
+    /tool_call_id is required/
+  );
+});
+
+test('buildPromptFromMessages threads tool calls and results into the transcript', () => {
+  const prompt = buildPromptFromMessages([
+    { role: 'user', content: 'Weather in Paris?' },
+    {
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"tempC":18}' }
+  ]);
+  assert(prompt.includes('Assistant: <tool_calls>\n[{"name":"get_weather","arguments":{"city":"Paris"}}]\n</tool_calls>'));
+  assert(prompt.includes('Tool result (get_weather, call_1): {"tempC":18}'));
+});
+
+test('parseToolCalls splits text from tool calls and ignores unknown tools', () => {
+  const tools = [{ name: 'get_weather' }];
+  const parsed = parseToolCalls(
+    'Checking.\n<tool_calls>\n```json\n[{"name":"get_weather","arguments":{"city":"Paris"}},{"name":"rm_rf","arguments":{}}]\n```\n</tool_calls>',
+    tools
+  );
+  assert.strictEqual(parsed.content, 'Checking.');
+  assert.strictEqual(parsed.toolCalls.length, 1);
+  assert.strictEqual(parsed.toolCalls[0].type, 'function');
+  assert.deepStrictEqual(JSON.parse(parsed.toolCalls[0].function.arguments), { city: 'Paris' });
+  assert(parsed.toolCalls[0].id.startsWith('call_'));
+
+  const broken = parseToolCalls('<tool_calls>not json</tool_calls>', tools);
+  assert.strictEqual(broken.toolCalls.length, 0);
+  assert.strictEqual(broken.content, '<tool_calls>not json</tool_calls>');
+});
+
+test('ToolCallStreamParser holds back text that may open a tool call block', () => {
+  const parser = new ToolCallStreamParser([{ name: 'get_weather' }]);
+  assert.strictEqual(parser.push('Let me check <tool'), 'Let me check ');
+  assert.strictEqual(parser.push('_calls>[{"name":"get_weather",'), '');
+  assert.strictEqual(parser.push('"arguments":{"city":"Oslo"}}]</tool_calls>'), '');
+  const finished = parser.finish();
+  assert.strictEqual(finished.content, '');
+  assert.strictEqual(finished.toolCalls[0].function.name, 'get_weather');
+
+  const plain = new ToolCallStreamParser([{ name: 'get_weather' }]);
+  assert.strictEqual(plain.push('1 <'), '1 ');
+  assert.strictEqual(plain.push(' 2'), '< 2');
+  assert.deepStrictEqual(plain.finish(), { content: '', toolCalls: [] });
+});
+
+// Session manager whose agent replies with a canned answer per call
+function createScriptedSessionManager(replies) {
+  const sent = [];
+  return {
+    sent,
+    adapters: new Map([['codex-cli', { isAvailable: async () => true }]]),
+    async createSession(options) {
+      return { sessionId: `session-${sent.length}`, options };
+    },
+    async *sendStream(sessionId, message) {
+      sent.push(message);
+      const reply = replies.shift();
+      const middle = Math.floor(reply.length / 2);
+      yield { type: 'progress', progressType: 'assistant', content: reply.slice(0, middle) };
+      yield { type: 'progress', progressType: 'assistant', content: reply.slice(middle) };
+      yield { type: 'result', content: reply, metadata: { inputTokens: 10, outputTokens: 5 } };
+    },
+    async terminateSession() {}
+  };
+}
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    passed += 1;
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed += 1;
+    console.log(`❌ ${name}`);
+    console.log(`   Error: ${error.message}`);
+  }
 }
 
-console.log(`\n${passed} passed, 0 failed`);
+async function runRouteTests() {
+  const toolReply = 'Looking it up.\n<tool_calls>\n[{"name":"get_weather","arguments":{"city":"Paris"}}]\n</tool_calls>';
+  const sessionManager = createScriptedSessionManager([toolReply, 'It is 18C in Paris.', toolReply]);
+  const app = express();
+  app.use(express.json());
+  app.use('/v1', createOpenAIRouter(sessionManager));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const post = (body) => fetch(`http://127.0.0.1:${server.address().port}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    let firstCall = null;
+    await asyncTest('chat completions return parsed tool calls with finish_reason tool_calls', async () => {
+      const response = await post({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Weather in Paris?' }], tools: [WEATHER_TOOL] });
+      assert.strictEqual(response.status, 200);
+      const data = await response.json();
+      const choice = data.choices[0];
+      assert.strictEqual(choice.finish_reason, 'tool_calls');
+      assert.strictEqual(choice.message.content, 'Looking it up.');
+      assert.strictEqual(choice.message.tool_calls[0].function.name, 'get_weather');
+      assert.strictEqual(choice.message.tool_calls[0].function.arguments, '{"city":"Paris"}');
+      firstCall = choice.message.tool_calls[0];
+    });
+
+    await asyncTest('tool results are sent back to the agent on the next turn', async () => {
+      const response = await post({
+        model: 'gpt-4o',
+        tools: [WEATHER_TOOL],
+        messages: [
+          { role: 'user', content: 'Weather in Paris?' },
+          { role: 'assistant', content: null, tool_calls: [firstCall] },
+          { role: 'tool', tool_call_id: firstCall.id, content: '{"tempC":18}' }
+        ]
+      });
+      const data = await response.json();
+      assert.strictEqual(data.choices[0].finish_reason, 'stop');
+      assert.strictEqual(data.choices[0].message.content, 'It is 18C in Paris.');
+      assert.strictEqual(data.choices[0].message.tool_calls, undefined);
+      assert(sessionManager.sent[1].includes(`Tool result (get_weather, ${firstCall.id}): {"tempC":18}`));
+    });
+
+    await asyncTest('streamed tool calls arrive as a tool_calls delta, not as text', async () => {
+      const response = await post({
+        model: 'gpt-4o',
+        stream: true,
+        messages: [{ role: 'user', content: 'Weather in Paris?' }],
+        tools: [WEATHER_TOOL]
+      });
+      const events = (await response.text())
+        .split('\n\n')
+        .filter((line) => line.startsWith('data: ') && line !== 'data: [DONE]')
+        .map((line) => JSON.parse(line.slice(6)));
+      const text = events.map((event) => event.choices[0].delta.content || '').join('');
+      assert.strictEqual(text.trim(), 'Looking it up.');
+      const toolDeltas = events.filter((event) => event.choices[0].delta.tool_calls);
+      assert.strictEqual(toolDeltas.length, 1);
+      const [call] = toolDeltas[0].choices[0].delta.tool_calls;
+      assert.strictEqual(call.index, 0);
+      assert.strictEqual(call.function.name, 'get_weather');
+      assert.strictEqual(events[events.length - 1].choices[0].finish_reason, 'tool_calls');
+    });
+
+    await asyncTest('invalid tools are rejected with 400', async () => {
+      const response = await post({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }], tools: 'get_weather' });
+      assert.strictEqual(response.status, 400);
+      const data = await response.json();
+      assert.strictEqual(data.error.type, 'invalid_request_error');
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+runRouteTests().then(() => {
+  if (failed > 0) {
+    process.exit(1);
+  }
+
+  console.log(`\n${passed} passed, 0 failed`);
+});
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { DispatchScheduler } = require('../src/orchestration/dispatch-scheduler');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function openDb(rootDir) {
+  return new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir
+  });
+}
+
+function createFakeSessionManager() {
+  const sessionManager = new EventEmitter();
+  const terminals = new Map();
+  sessionManager.createCalls = [];
+  sessionManager.terminals = terminals;
+  sessionManager.createTerminal = async (options = {}) => {
+    const terminalId = `term-${sessionManager.createCalls.length + 1}`;
+    sessionManager.createCalls.push({ ...options, terminalId });
+    terminals.set(terminalId, {
+      terminalId,
+      adapter: options.adapter || 'codex-cli',
+      status: 'processing',
+      rootSessionId: options.rootSessionId || null,
+      parentSessionId: options.parentSessionId || null,
+      activeRun: null
+    });
+    return { terminalId, reused: false, reuseReason: null };
+  };
+  sessionManager.sendInput = async (terminalId) => ({ terminalId });
+  sessionManager.getTerminal = (terminalId) => terminals.get(terminalId) || null;
+  sessionManager.finish = (terminalId) => {
+    terminals.get(terminalId).status = 'completed';
+    sessionManager.emit('status-change', { terminalId, status: 'completed' });
+  };
+  return sessionManager;
+}
+
+async function waitFor(predicate, label) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    if (predicate()) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.fail(`timed out waiting for ${label}`);
+}
+
+function testDependencyStoreAndCycleDetection() {
+  const rootDir = makeTempDir('cliagents-assignment-deps-');
+  const db = openDb(rootDir);
+
+  try {
+    db.createTask({ id: 'task-a', title: 'Graph', workspaceRoot: rootDir });
+    db.createTask({ id: 'task-b', title: 'Other', workspaceRoot: rootDir });
+    const assign = (id, dependsOn, taskId = 'task-a') => db.createTaskAssignment({
+      id,
+      taskId,
+      role: 'executor',
+      instructions: `Do ${id}`,
+      dependsOn
+    });
+
+    assign('plan');
+    assign('build', ['plan']);
+    assign('review', [{ assignmentId: 'build', condition: 'integrated' }]);
+    assign('elsewhere', [], 'task-b');
+
+    assert.deepStrictEqual(
+      db.listTaskAssignmentDependencies({ taskId: 'task-a' }).map((edge) => [edge.taskAssignmentId, edge.dependsOnAssignmentId, edge.condition]),
+      [['build', 'plan', 'completed'], ['review', 'build', 'integrated']]
+    );
+
+    assert.throws(
+      () => db.setTaskAssignmentDependencies('plan', ['review']),
+      (error) => error.code === 'dependency_cycle'
+        && JSON.stringify(error.cycle) === JSON.stringify(['plan', 'review', 'build', 'plan'])
+    );
+    assert.deepStrictEqual(db.listTaskAssignmentDependencies({ taskAssignmentId: 'plan' }), []);
+    assert.throws(() => db.setTaskAssignmentDependencies('plan', ['plan']), (error) => error.code === 'invalid_dependency');
+    assert.throws(() => db.setTaskAssignmentDependencies('plan', ['elsewhere']), (error) => error.code === 'invalid_dependency');
+    assert.throws(
+      () => db.setTaskAssignmentDependencies('plan', [{ assignmentId: 'build', condition: 'merged' }]),
+      (error) => error.code === 'invalid_dependency'
+    );
+    assert.throws(() => assign('orphan', ['missing']), (error) => error.code === 'invalid_dependency');
+    assert.strictEqual(db.getTaskAssignment('orphan'), null);
+
+    // Replacing edges drops the old ones
+    db.setTaskAssignmentDependencies('review', ['plan', 'build']);
+    assert.deepStrictEqual(
+      db.listTaskAssignmentDependencies({ taskAssignmentId: 'review' }).map((edge) => edge.dependsOnAssignmentId).sort(),
+      ['build', 'plan']
+    );
+
+    // A replacement inherits upstream edges and downstream waits on it instead
+    assign('build-retry');
+    db.transferTaskAssignmentDependencies('build', 'build-retry');
+    assert.deepStrictEqual(
+      db.listTaskAssignmentDependencies({ taskAssignmentId: 'build-retry' }).map((edge) => edge.dependsOnAssignmentId),
+      ['plan']
+    );
+    assert.deepStrictEqual(
+      db.listTaskAssignmentDependencies({ taskAssignmentId: 'review' }).map((edge) => edge.dependsOnAssignmentId).sort(),
+      ['build-retry', 'plan']
+    );
+    assert.deepStrictEqual(db.listTaskAssignmentDependencies({ dependsOnAssignmentId: 'build' }), []);
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ assignment dependencies persist per task and reject cycles');
+}
+
+async function testGraphRouteAndAutoStart() {
+  const rootDir = makeTempDir('cliagents-assignment-graph-');
+  const db = openDb(rootDir);
+  const sessionManager = createFakeSessionManager();
+  const scheduler = new DispatchScheduler({ db, enabled: false, maxConcurrent: 4 });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    db,
+    sessionManager,
+    dispatchScheduler: scheduler,
+    adapterAuthInspector: () => ({ authenticated: true, reason: null })
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body) => {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  try {
+    const taskRes = await call('POST', '/orchestration/tasks', { title: 'Pipeline', workspaceRoot: rootDir });
+    const taskId = taskRes.data.task.id;
+    const create = (body) => call('POST', `/orchestration/tasks/${taskId}/assignments`, {
+      role: 'executor',
+      adapter: 'codex-cli',
+      ...body
+    });
+
+    assert.strictEqual((await create({ assignmentId: 'plan', role: 'planner', instructions: 'Plan it.' })).status, 200);
+    const buildRes = await create({ assignmentId: 'build', instructions: 'Build it.', dependsOn: ['plan'] });
+    assert.strictEqual(buildRes.status, 200);
+    assert.strictEqual(buildRes.data.assignment.dependencyState, 'waiting');
+    assert.deepStrictEqual(buildRes.data.assignment.dependsOn.map((dependency) => dependency.assignmentId), ['plan']);
+    await create({
+      assignmentId: 'review',
+      role: 'reviewer',
+      instructions: 'Review it.',
+      dependsOn: [{ assignmentId: 'build', condition: 'integrated' }]
+    });
+    await create({ assignmentId: 'docs', instructions: 'Document it.', dependsOn: ['plan'], autoStart: false });
+
+    const badRes = await create({ instructions: 'Orphan.', dependsOn: ['missing'] });
+    assert.strictEqual(badRes.status, 400);
+    assert.strictEqual(badRes.data.error.code, 'invalid_dependency');
+
+    await create({ assignmentId: 'x', instructions: 'X.' });
+    await create({ assignmentId: 'y', instructions: 'Y.', dependsOn: ['x'] });
+    const cycleRes = await call('PATCH', `/orchestration/tasks/${taskId}/assignments/x`, { dependsOn: ['y'] });
+    assert.strictEqual(cycleRes.status, 409);
+    assert.strictEqual(cycleRes.data.error.code, 'dependency_cycle');
+    assert.deepStrictEqual(cycleRes.data.error.cycle, ['x', 'y', 'x']);
+
+    let graph = await call('GET', `/orchestration/tasks/${taskId}/graph`);
+    assert.strictEqual(graph.status, 200);
+    assert.deepStrictEqual(graph.data.order, ['plan', 'x', 'build', 'docs', 'y', 'review']);
+    assert.deepStrictEqual(graph.data.roots, ['plan', 'x']);
+    assert.deepStrictEqual(graph.data.ready, ['plan', 'x']);
+    assert.deepStrictEqual(graph.data.edges.find((edge) => edge.to === 'review'), {
+      from: 'build',
+      to: 'review',
+      condition: 'integrated',
+      satisfied: false
+    });
+    const planNode = graph.data.nodes.find((node) => node.id === 'plan');
+    assert.deepStrictEqual(planNode.dependents, ['build', 'docs']);
+    assert.strictEqual(graph.data.nodes.find((node) => node.id === 'docs').autoStart, false);
+
+    const blockedStart = await call('POST', `/orchestration/tasks/${taskId}/assignments/build/start`, {
+      rootSessionId: 'root-dag',
+      parentSessionId: 'root-dag',
+      originClient: 'test',
+      externalSessionRef: 'test:dag'
+    });
+    assert.strictEqual(blockedStart.status, 409);
+    assert.strictEqual(blockedStart.data.error.code, 'task_assignment_dependencies_unmet');
+
+    const planStart = await call('POST', `/orchestration/tasks/${taskId}/assignments/plan/start`, {
+      rootSessionId: 'root-dag',
+      parentSessionId: 'root-dag',
+      originClient: 'test',
+      externalSessionRef: 'test:dag'
+    });
+    assert.strictEqual(planStart.status, 200);
+    assert.strictEqual(sessionManager.createCalls.length, 1);
+
+    // Upstream completion queues the dependent start and the scheduler launches it
+    sessionManager.finish('term-1');
+    await waitFor(() => sessionManager.createCalls.length === 2, 'build to start');
+    await scheduler.waitForIdle();
+    assert.strictEqual(sessionManager.createCalls[1].rootSessionId, 'root-dag');
+    const build = db.getTaskAssignment('build');
+    assert.strictEqual(build.terminalId, 'term-2');
+    const buildDispatch = db.listDispatchRequests({ taskAssignmentId: 'build' })[0];
+    assert.strictEqual(buildDispatch.status, 'spawned');
+    assert.strictEqual(buildDispatch.metadata.trigger, 'upstream_completed');
+    assert.strictEqual(buildDispatch.metadata.triggeredBy, 'plan');
+    assert.strictEqual(db.getTaskAssignment('docs').terminalId, null);
+
+    // Completing build is not enough for an integrated edge
+    sessionManager.finish('term-2');
+    await scheduler.waitForIdle();
+    assert.strictEqual(sessionManager.createCalls.length, 2);
+    graph = await call('GET', `/orchestration/tasks/${taskId}/graph`);
+    assert.strictEqual(graph.data.nodes.find((node) => node.id === 'review').dependencyState, 'waiting');
+    assert.deepStrictEqual(graph.data.ready, ['docs', 'x']);
+
+    const integrated = await call('PATCH', `/orchestration/tasks/${taskId}/assignments/build/branch`, {
+      branchStatus: 'integrated'
+    });
+    assert.strictEqual(integrated.status, 200);
+    await waitFor(() => sessionManager.createCalls.length === 3, 'review to start');
+    await scheduler.waitForIdle();
+    assert.strictEqual(db.getTaskAssignment('review').terminalId, 'term-3');
+
+    graph = await call('GET', `/orchestration/tasks/${taskId}/graph`);
+    assert.strictEqual(graph.data.nodes.find((node) => node.id === 'review').status, 'running');
+    assert(graph.data.edges.filter((edge) => edge.to !== 'y').every((edge) => edge.satisfied));
+
+    const missingGraph = await call('GET', '/orchestration/tasks/task-missing/graph');
+    assert.strictEqual(missingGraph.status, 404);
+    assert.strictEqual(missingGraph.data.error.code, 'task_not_found');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ task graph route reports the DAG and dependents auto-start when upstreams finish');
+}
+
+async function run() {
+  testDependencyStoreAndCycleDetection();
+  await testGraphRouteAndAutoStart();
+}
+
+run().catch((error) => {
+  console.error('\nTask assignment dependency tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { ModelPriceTable } = require('../src/services/model-pricing');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MONDAY = Date.parse('2026-10-05T00:00:00Z');
+
+const PRICES = {
+  _meta: { version: 'report-v1' },
+  prices: [
+    { adapter: 'gemini-cli', model: '*', inputPerMillion: 1, outputPerMillion: 4, effectiveFrom: '2026-01-01' }
+  ]
+};
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function seedUsage(db) {
+  const records = [
+    { adapter: 'codex-cli', model: 'gpt-5', role: 'worker', projectId: 'proj-a', inputTokens: 100, outputTokens: 50, costUsd: 0.5, createdAt: MONDAY + 2 * 60 * 60 * 1000 },
+    { adapter: 'codex-cli', model: 'gpt-5', role: 'planner', projectId: 'proj-a', inputTokens: 10, outputTokens: 10, createdAt: MONDAY + 3 * 60 * 60 * 1000 },
+    { adapter: 'gemini-cli', model: 'gemini-2.5-pro', role: 'judge', projectId: 'proj-b', inputTokens: 1_000_000, outputTokens: 0, createdAt: MONDAY + 5 * 60 * 60 * 1000 },
+    { adapter: 'gemini-cli', model: 'gemini-2.5-pro', role: 'architect', inputTokens: 200, outputTokens: 100, createdAt: MONDAY + 2 * DAY },
+    { adapter: 'qwen-cli', model: '=HYPERLINK("x")', role: 'reviewer', inputTokens: 5, outputTokens: 5, createdAt: MONDAY + 2 * DAY + 60 * 1000 },
+    // Outside the reported week
+    { adapter: 'codex-cli', model: 'gpt-5', role: 'worker', inputTokens: 9999, outputTokens: 0, createdAt: MONDAY - DAY }
+  ];
+  for (const [index, record] of records.entries()) {
+    db.addUsageRecord({
+      terminalId: `term-${index}`,
+      rootSessionId: 'root-report',
+      metadata: { participantRole: record.role },
+      ...record
+    });
+  }
+}
+
+function testDatabaseRollups(db) {
+  const range = { since: MONDAY, until: MONDAY + 7 * DAY };
+
+  const byAdapter = db.listUsageReport({ ...range, groupBy: ['adapter'] });
+  assert.strictEqual(byAdapter.truncated, false);
+  assert.deepStrictEqual(byAdapter.rows.map((row) => [row.adapter, row.totalTokens]), [
+    ['gemini-cli', 1_000_300],
+    ['codex-cli', 170],
+    ['qwen-cli', 10]
+  ], 'rows outside the range are excluded and the largest consumer comes first');
+  const codex = byAdapter.rows.find((row) => row.adapter === 'codex-cli');
+  assert.strictEqual(codex.reportedCostUsd, 0.5);
+  assert.strictEqual(codex.recordCount, 2);
+  const gemini = byAdapter.rows.find((row) => row.adapter === 'gemini-cli');
+  assert.strictEqual(gemini.estimatedCostUsd, 1.0006);
+  assert.strictEqual(gemini.effectiveCostUsd, 1.0006, 'unreported cost falls back to the estimate');
+
+  const byDay = db.listUsageReport({ ...range, groupBy: ['day', 'adapter'] }).rows;
+  assert.deepStrictEqual(byDay.map((row) => [row.day, row.adapter]), [
+    ['2026-10-05', 'gemini-cli'],
+    ['2026-10-05', 'codex-cli'],
+    ['2026-10-07', 'gemini-cli'],
+    ['2026-10-07', 'qwen-cli']
+  ]);
+
+  const byHour = db.listUsageReport({ ...range, groupBy: ['hour'] }).rows;
+  assert.strictEqual(byHour[0].hour, '2026-10-05T02:00:00Z');
+
+  const byBucket = db.listUsageReport({ ...range, groupBy: ['bucket'] }).rows;
+  const planning = byBucket.find((row) => row.bucket === 'planning');
+  assert.strictEqual(planning.recordCount, 2, 'planner and architect roles fold into one planning bucket');
+  assert.strictEqual(planning.totalTokens, 320);
+  assert.deepStrictEqual(byBucket.map((row) => row.bucket).sort(), ['execution', 'judging', 'planning']);
+
+  const byRole = db.listUsageReport({ ...range, groupBy: ['role', 'bucket'] }).rows;
+  assert.strictEqual(byRole.find((row) => row.role === 'architect').bucket, 'planning');
+  assert.strictEqual(byRole.find((row) => row.role === 'reviewer').bucket, 'execution');
+
+  const byProject = db.listUsageReport({ ...range, groupBy: ['project'] }).rows;
+  assert.deepStrictEqual(byProject.map((row) => row.project).sort(), ['proj-a', 'proj-b', 'unassigned']);
+
+  const filtered = db.listUsageReport({ ...range, groupBy: ['model'], adapter: 'codex-cli', limit: 1 });
+  assert.deepStrictEqual(filtered.rows.map((row) => row.model), ['gpt-5']);
+  const limited = db.listUsageReport({ ...range, groupBy: ['adapter'], limit: 1 });
+  assert.strictEqual(limited.rows.length, 1);
+  assert.strictEqual(limited.truncated, true);
+
+  assert.throws(() => db.listUsageReport({ groupBy: ['terminal'] }), /Unsupported usage report dimension: terminal/);
+  console.log('✅ usage report rolls up by adapter, time, role bucket, and project within a range');
+}
+
+async function testReportRoutes(db) {
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    db,
+    sessionManager: { getTerminal: () => null },
+    adapterAuthInspector: () => ({ authenticated: true, reason: null })
+  }));
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, '127.0.0.1', () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const week = `since=${new Date(MONDAY).toISOString()}&until=${MONDAY + 7 * DAY}`;
+
+  try {
+    let response = await fetch(`${baseUrl}/orchestration/usage/report?${week}`);
+    assert.strictEqual(response.status, 200);
+    const report = await response.json();
+    assert.deepStrictEqual(report.groupBy, ['day', 'adapter'], 'reports default to daily per-adapter rollups');
+    assert.strictEqual(report.interval, 'day');
+    assert.strictEqual(report.range.sinceIso, '2026-10-05T00:00:00.000Z');
+    assert.strictEqual(report.periods.length, 7);
+    assert.strictEqual(report.totals.recordCount, 5);
+    assert.strictEqual(report.pricing.priceTableVersion, 'report-v1');
+    const geminiSeries = report.series.find((entry) => entry.key.adapter === 'gemini-cli');
+    assert.strictEqual(geminiSeries.label, 'gemini-cli');
+    assert.strictEqual(geminiSeries.points.length, 7, 'series are zero-filled across the range');
+    assert.deepStrictEqual(geminiSeries.points.map((point) => point.totalTokens), [1_000_000, 0, 300, 0, 0, 0, 0]);
+    assert.strictEqual(geminiSeries.totals.totalTokens, 1_000_300);
+
+    response = await fetch(`${baseUrl}/orchestration/usage/report?${week}&group_by=adapter,hour&project_id=proj-a`);
+    const hourly = await response.json();
+    assert.deepStrictEqual(hourly.groupBy, ['hour', 'adapter'], 'the time dimension leads');
+    assert.strictEqual(hourly.periods.length, 7 * 24);
+    assert.deepStrictEqual(hourly.filters, { projectId: 'proj-a' });
+    assert.strictEqual(hourly.totals.totalTokens, 170);
+
+    response = await fetch(`${baseUrl}/orchestration/usage/report?${week}&group_by=bucket`);
+    const buckets = await response.json();
+    assert.strictEqual(buckets.interval, null);
+    assert.strictEqual(buckets.series, undefined);
+
+    response = await fetch(`${baseUrl}/orchestration/usage/report?${week}&group_by=day,model&format=csv`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.strictEqual(response.headers.get('content-disposition'), 'attachment; filename="cliagents-usage-2026-10-05_2026-10-12.csv"');
+    const csvLines = (await response.text()).trimEnd().split('\r\n');
+    assert.strictEqual(csvLines[0], 'day,model,record_count,input_tokens,output_tokens,reasoning_tokens,cached_input_tokens,total_tokens,reported_cost_usd,estimated_cost_usd,effective_cost_usd,duration_ms');
+    assert.strictEqual(csvLines.length, 5);
+    assert(csvLines.includes('2026-10-07,"\'=HYPERLINK(""x"")",1,5,5,0,0,10,0,0,0,0'),
+      'text cells are quoted and cannot run as spreadsheet formulas');
+
+    response = await fetch(`${baseUrl}/orchestration/usage/report?${week}&group_by=adapter&format=ndjson`);
+    assert.match(response.headers.get('content-type'), /^application\/x-ndjson/);
+    const ndjson = (await response.text()).trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepStrictEqual(ndjson.map((row) => row.adapter), ['gemini-cli', 'codex-cli', 'qwen-cli']);
+
+    const badQueries = [
+      ['group_by=terminal', 'group_by'],
+      ['group_by=day,hour', 'group_by'],
+      ['group_by=adapter,adapter', 'group_by'],
+      ['format=xlsx', 'format'],
+      ['since=yesterday', 'since'],
+      [`since=${MONDAY}&until=${MONDAY}`, 'since'],
+      [`since=${MONDAY - 400 * DAY}&until=${MONDAY}&group_by=hour`, 'since'],
+      ['limit=0', 'limit']
+    ];
+    for (const [query, param] of badQueries) {
+      response = await fetch(`${baseUrl}/orchestration/usage/report?${query}`);
+      const body = await response.json();
+      assert.strictEqual(response.status, 400, query);
+      assert.strictEqual(body.error.code, 'invalid_request', query);
+      assert.strictEqual(body.error.param, param, query);
+    }
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+  console.log('✅ /orchestration/usage/report returns time series and exports CSV and NDJSON');
+}
+
+function testDashboardPanel() {
+  const html = fs.readFileSync(path.join(__dirname, '..', 'public', 'dashboard.html'), 'utf8');
+  assert(html.includes('id="usage-panel"'), 'the dashboard has a usage panel');
+  assert(html.includes('/orchestration/usage/report'), 'the usage panel reads the report API');
+  assert(html.includes("format: 'csv'"), 'the usage panel offers a CSV export');
+  console.log('✅ dashboard renders a usage panel backed by the report API');
+}
+
+async function run() {
+  const rootDir = makeTempDir('cliagents-usage-report-');
+  const db = new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir,
+    priceTable: new ModelPriceTable({ table: PRICES })
+  });
+  try {
+    seedUsage(db);
+    testDatabaseRollups(db);
+    await testReportRoutes(db);
+    testDashboardPanel();
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+}
+
+run().then(() => {
+  console.log('\nUsage report tests passed');
+}).catch((error) => {
+  console.error('\nUsage report tests failed:', error);
+  process.exit(1);
+});
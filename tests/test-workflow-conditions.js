@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  evaluateCondition,
+  validateConditionExpression,
+  buildConditionScope
+} = require('../src/orchestration/workflow-conditions');
+const { WorkflowRegistry, validateWorkflowDefinition } = require('../src/orchestration/workflow-registry');
+const { TaskRouter, TASK_TYPES } = require('../src/orchestration/task-router');
+const { RunLedgerService } = require('../src/orchestration/run-ledger');
+const { OrchestrationDB } = require('../src/database/db');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+
+process.chdir(path.resolve(__dirname, '..'));
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function writeWorkflow(rootDir, name, content) {
+  const dir = path.join(rootDir, '.cliagents', 'workflows');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, name), content, 'utf8');
+}
+
+function createRegistry(rootDir) {
+  return new WorkflowRegistry({
+    projectRoot: rootDir,
+    personalDir: path.join(rootDir, 'home', '.cliagents', 'workflows'),
+    knownTaskTypes: Object.values(TASK_TYPES)
+  });
+}
+
+// Replies are queued per agent profile; each step pops the next reply.
+function createScriptedSessionManager(replies) {
+  const calls = [];
+  let counter = 0;
+  const terminals = new Map();
+  return {
+    calls,
+    async createTerminal(options) {
+      counter += 1;
+      const terminalId = `term-${counter}`;
+      terminals.set(terminalId, options.agentProfile);
+      calls.push(options.agentProfile);
+      return { terminalId };
+    },
+    async sendInput() {},
+    async waitForCompletion(terminalId) {
+      const queue = replies[terminals.get(terminalId)] || [];
+      const reply = queue.length > 1 ? queue.shift() : queue[0];
+      if (reply instanceof Error) {
+        throw reply;
+      }
+      return reply || 'done';
+    }
+  };
+}
+
+function createRouter(rootDir, sessionManager, runLedger = null) {
+  return new TaskRouter(sessionManager, {
+    workflowRegistry: createRegistry(rootDir),
+    workflowStepStartupDelayMs: 0,
+    runLedger,
+    adapterReadinessService: { async getAdapterReadiness() { return {}; } }
+  });
+}
+
+function testExpressionEvaluation() {
+  const scope = buildConditionScope({
+    results: [
+      { profile: 'tester', status: 'completed', output: 'All tests passed.\nNo issues found.' },
+      {
+        profile: 'review_codex-cli',
+        status: 'completed',
+        output: 'Summary below\n```json\n{ "verdict": "Revise", "blockers": [{ "id": "B1" }], "score": 7 }\n```'
+      }
+    ],
+    stepsById: {
+      tests: { status: 'failed', exitStatus: 2, output: 'FAIL src/auth.test.js' }
+    },
+    iteration: 2,
+    input: 'Ship the release',
+    workflowName: 'release'
+  });
+
+  assert.strictEqual(evaluateCondition("previous.verdict == 'revise'", scope), true);
+  assert.strictEqual(evaluateCondition('previous.json.score >= 7 && previous.json.blockers[0].id == "B1"', scope), true);
+  assert.strictEqual(evaluateCondition('steps.tests.exitStatus != 0', scope), true);
+  assert.strictEqual(evaluateCondition('steps.tests.output matches /fail\\s+src/i', scope), true);
+  assert.strictEqual(evaluateCondition("steps['tests'].output contains 'auth'", scope), true);
+  assert.strictEqual(evaluateCondition('not (iteration < 2) and workflow.name == "release"', scope), true);
+  assert.strictEqual(evaluateCondition('steps.missing.verdict == null', scope), true);
+  assert.strictEqual(evaluateCondition('input matches "^Ship"', scope), true);
+
+  const cleanScope = buildConditionScope({
+    results: [{ status: 'completed', output: 'Reviewed everything: no issues found, zero bugs.' }]
+  });
+  assert.strictEqual(evaluateCondition('hasIssues', cleanScope), false, '"no issues found" must not count as issues');
+  assert.strictEqual(evaluateCondition('previous.exitStatus == 0', cleanScope), true);
+
+  const approvedScope = buildConditionScope({
+    results: [{ status: 'completed', output: '{"verdict":"approve","summary":"error handling looks fine"}' }]
+  });
+  assert.strictEqual(evaluateCondition('hasIssues', approvedScope), false, 'a structured verdict wins over keywords');
+
+  const failingScope = buildConditionScope({
+    results: [{ status: 'completed', output: 'Found 2 bugs in the parser.' }]
+  });
+  assert.strictEqual(evaluateCondition('hasIssues', failingScope), true);
+
+  assert.match(validateConditionExpression('previos.verdict == "approve"'), /unknown identifier 'previos'/);
+  assert.match(validateConditionExpression('previous.verdict =='), /Unexpected end of expression/);
+  assert.match(validateConditionExpression('previous.output matches 42'), /'matches' requires a regex/);
+  assert.strictEqual(validateConditionExpression('hasIssues'), null);
+  console.log('✅ condition expressions cover verdicts, exit status, regex, and JSON fields');
+}
+
+function testControlStepValidation() {
+  const knownTaskTypes = Object.values(TASK_TYPES);
+  const valid = validateWorkflowDefinition('valid-branching', {
+    steps: [
+      { id: 'review', role: 'review' },
+      { if: "previous.verdict == 'approve'", then: [{ role: 'document' }], else: [{ role: 'fix' }] },
+      { loop: [{ role: 'test', id: 'tests' }], until: 'steps.tests.exitStatus == 0', maxIterations: 2 },
+      { goto: 'review', when: 'hasIssues' }
+    ]
+  }, { knownTaskTypes });
+  assert.deepStrictEqual(valid.errors, []);
+  assert.strictEqual(valid.workflow.steps[3].maxIterations, 3, 'goto should default to 3 iterations');
+
+  const invalid = validateWorkflowDefinition('invalid-branching', {
+    steps: [
+      { id: 'review', role: 'review' },
+      { if: 'previous.verdict ==', then: [] },
+      { loop: [{ goto: 'review' }], maxIterations: 0 },
+      { goto: 'nowhere' },
+      { id: 'review', role: 'test' }
+    ]
+  }, { knownTaskTypes });
+  assert.strictEqual(invalid.workflow, null);
+  const errors = invalid.errors.join('\n');
+  assert.match(errors, /steps\[1\]\.if: Unexpected end of expression/);
+  assert.match(errors, /steps\[1\]\.then must be a non-empty array/);
+  assert.match(errors, /steps\[2\] requires until/);
+  assert.match(errors, /steps\[2\]\.maxIterations must be an integer/);
+  assert.match(errors, /steps\[2\]\.loop\[0\] goto is only supported on top-level steps/);
+  assert.match(errors, /steps\[3\]\.goto references unknown top-level step id 'nowhere'/);
+  assert.match(errors, /steps\[4\]\.id 'review' is already used/);
+  console.log('✅ workflow validation checks branch, loop, and goto steps');
+}
+
+async function testBranchLoopAndGotoExecution() {
+  const rootDir = makeTempDir('cliagents-workflow-branching-');
+  writeWorkflow(rootDir, 'branching.yaml', `
+steps:
+  - id: review
+    role: review
+    adapter: codex-cli
+    passOutput: true
+  - id: gate
+    if: previous.verdict == 'approve'
+    then:
+      - role: document
+        adapter: codex-cli
+    else:
+      - id: fix-loop
+        loop:
+          - id: tests
+            role: test
+            adapter: codex-cli
+            continueOnError: true
+        until: steps.tests.exitStatus == 0
+        maxIterations: 3
+  - profile: fixer
+    type: fix
+    condition: hasIssues
+  - id: rereview
+    goto: review
+    when: steps.review.verdict != 'approve'
+    maxIterations: 1
+`);
+
+  const sessionManager = createScriptedSessionManager({
+    'review_codex-cli': ['{"verdict":"revise"}', '{"verdict":"revise"}'],
+    'test_codex-cli': [new Error('tests failed'), 'all green'],
+    fixer: ['Patched it.']
+  });
+  const router = createRouter(rootDir, sessionManager);
+
+  const result = await router.executeWorkflow('branching', 'Ship it');
+  assert.strictEqual(result.status, 'completed');
+
+  // review → 2x tests (fail, pass) → fixer → goto review → tests (pass) → fixer → goto exhausted
+  assert.deepStrictEqual(sessionManager.calls, [
+    'review_codex-cli',
+    'test_codex-cli',
+    'test_codex-cli',
+    'fixer',
+    'review_codex-cli',
+    'test_codex-cli',
+    'fixer'
+  ]);
+  assert.strictEqual(result.results[1].status, 'failed');
+  assert.strictEqual(result.results[1].exitStatus, 1);
+
+  const outcomes = result.decisions.map((decision) => `${decision.stepId || decision.path}:${decision.kind}:${decision.outcome}`);
+  assert.deepStrictEqual(outcomes, [
+    'gate:branch:else',
+    'fix-loop:loop:repeat',
+    'fix-loop:loop:exit',
+    'steps[2]:condition:run',
+    'rereview:goto:jump',
+    'gate:branch:else',
+    'fix-loop:loop:exit',
+    'steps[2]:condition:run',
+    'rereview:goto:max_iterations_reached'
+  ]);
+  assert.strictEqual(result.decisions[0].expression, "previous.verdict == 'approve'");
+  assert.strictEqual(result.decisions[0].result, false);
+
+  const status = router.getWorkflowStatus(result.workflowId);
+  assert.strictEqual(status.status, 'completed');
+  assert.strictEqual(status.decisions.length, 9);
+  assert.strictEqual(status.steps.length, 7);
+  assert.strictEqual(status.steps[1].path, 'steps[1].else[0].loop[0]');
+  assert.strictEqual(status.steps[1].iteration, 1);
+  assert.strictEqual(status.steps[2].iteration, 2);
+
+  fs.rmSync(rootDir, { recursive: true, force: true });
+  console.log('✅ TaskRouter executes if/else, loop-until, and bounded goto steps');
+}
+
+async function testDecisionsRecordedInRunLedgerAndStatusRoute() {
+  const rootDir = makeTempDir('cliagents-workflow-ledger-');
+  writeWorkflow(rootDir, 'approve-path.yaml', `
+steps:
+  - role: review
+    adapter: codex-cli
+  - if: previous.verdict == 'approve'
+    then:
+      - role: document
+        adapter: codex-cli
+    else:
+      - role: fix
+        adapter: codex-cli
+  - role: fix
+    adapter: codex-cli
+    condition: hasIssues
+`);
+
+  const db = new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir
+  });
+  const runLedger = new RunLedgerService(db);
+  const sessionManager = createScriptedSessionManager({
+    'review_codex-cli': ['```json\n{"verdict":"approve","summary":"No issues found"}\n```'],
+    'document_codex-cli': ['Docs updated.']
+  });
+  const router = createRouter(rootDir, sessionManager, runLedger);
+
+  try {
+    const result = await router.executeWorkflow('approve-path', 'Review docs change');
+    assert.deepStrictEqual(sessionManager.calls, ['review_codex-cli', 'document_codex-cli']);
+    assert(result.runId, 'workflow should create a run ledger entry');
+
+    const detail = runLedger.getRunDetail(result.runId);
+    assert.strictEqual(detail.run.kind, 'implementation-run');
+    assert.strictEqual(detail.run.status, 'completed');
+    assert.strictEqual(detail.run.decisionSource, 'workflow_conditions');
+    assert(detail.run.decisionSummary.includes('branch: then'));
+    assert(detail.run.decisionSummary.includes('condition: skip'));
+    assert.strictEqual(detail.participants.length, 2);
+    assert.strictEqual(detail.outputs.filter((output) => output.outputKind === 'participant_final').length, 2);
+
+    const decisionSteps = detail.steps.filter((step) => step.stepKey.startsWith('decision-'));
+    assert.strictEqual(decisionSteps.length, 2);
+    const branchStep = decisionSteps.find((step) => step.metadata.decision.kind === 'branch');
+    assert.strictEqual(branchStep.metadata.decision.outcome, 'then');
+    assert.strictEqual(branchStep.metadata.decision.expression, "previous.verdict == 'approve'");
+
+    const status = router.getWorkflowStatus(result.workflowId);
+    assert.strictEqual(status.runId, result.runId);
+    assert.deepStrictEqual(
+      status.decisions.map((decision) => [decision.kind, decision.outcome]),
+      [['branch', 'then'], ['condition', 'skip']]
+    );
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ workflow decisions are recorded on the run ledger and workflow status');
+}
+
+async function testStatusRouteShowsDecisions() {
+  const rootDir = makeTempDir('cliagents-workflow-status-route-');
+  writeWorkflow(rootDir, 'skip-fix.yaml', `
+steps:
+  - profile: tester
+    type: test
+  - profile: fixer
+    type: fix
+    condition: previous.output matches /FAIL/
+`);
+
+  const created = [];
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    sessionManager: {
+      async createTerminal(options) {
+        created.push(options.agentProfile);
+        return { terminalId: `term-route-${created.length}` };
+      },
+      async sendInput() {},
+      async waitForCompletion() {
+        return 'PASS 12 tests';
+      }
+    },
+    apiSessionManager: null,
+    db: { db: null },
+    workflowRegistry: createRegistry(rootDir),
+    adapterAuthInspector() {
+      return { authenticated: true, reason: 'test' };
+    }
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const runRes = await fetch(`${baseUrl}/orchestration/workflows/skip-fix`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Run the tests' })
+    });
+    const runBody = await runRes.json();
+    assert.strictEqual(runRes.status, 200, JSON.stringify(runBody));
+    assert.deepStrictEqual(created, ['tester']);
+    assert.strictEqual(runBody.decisions[0].outcome, 'skip');
+
+    const statusRes = await fetch(`${baseUrl}/orchestration/workflows/${runBody.workflowId}/status`);
+    assert.strictEqual(statusRes.status, 200);
+    const status = await statusRes.json();
+    assert.strictEqual(status.status, 'completed');
+    assert.strictEqual(status.decisions.length, 1);
+    assert.strictEqual(status.decisions[0].kind, 'condition');
+    assert.strictEqual(status.decisions[0].expression, 'previous.output matches /FAIL/');
+    assert.strictEqual(status.decisions[0].path, 'steps[1]');
+    assert.strictEqual(status.steps[0].profile, 'tester');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ GET /orchestration/workflows/:id/status reports the branch taken');
+}
+
+async function run() {
+  testExpressionEvaluation();
+  testControlStepValidation();
+  await testBranchLoopAndGotoExecution();
+  await testDecisionsRecordedInRunLedgerAndStatusRoute();
+  await testStatusRouteShowsDecisions();
+}
+
+run().catch((error) => {
+  console.error('\nWorkflow condition tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,496 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { WorkflowRegistry } = require('../src/orchestration/workflow-registry');
+const { TaskRouter, TASK_TYPES, sweepInterruptedWorkflowExecutions } = require('../src/orchestration/task-router');
+const { RunLedgerService } = require('../src/orchestration/run-ledger');
+const { OrchestrationDB } = require('../src/database/db');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+
+process.chdir(path.resolve(__dirname, '..'));
+
+const THREE_STEP_WORKFLOW = `
+steps:
+  - id: plan
+    profile: planner
+    type: plan
+  - id: build
+    profile: implementer
+    type: implement
+  - id: verify
+    profile: tester
+    type: test
+`;
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function writeWorkflow(rootDir, name, content) {
+  const dir = path.join(rootDir, '.cliagents', 'workflows');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, name), content, 'utf8');
+}
+
+function createRegistry(rootDir) {
+  return new WorkflowRegistry({
+    projectRoot: rootDir,
+    personalDir: path.join(rootDir, 'home', '.cliagents', 'workflows'),
+    knownTaskTypes: Object.values(TASK_TYPES)
+  });
+}
+
+function openDb(rootDir) {
+  return new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir
+  });
+}
+
+// Each reply handler receives the agent profile and returns output or throws.
+function createSessionManager(reply) {
+  const calls = [];
+  const terminals = new Map();
+  return {
+    calls,
+    async createTerminal(options) {
+      const terminalId = `term-${calls.length + 1}`;
+      terminals.set(terminalId, options.agentProfile);
+      calls.push(options.agentProfile);
+      return { terminalId };
+    },
+    async sendInput() {},
+    async waitForCompletion(terminalId) {
+      return reply(terminals.get(terminalId));
+    }
+  };
+}
+
+// Owner id of a broker process on this host that has already exited
+function deadOwnerId() {
+  const { pid } = spawnSync(process.execPath, ['-e', '']);
+  return `${os.hostname()}:${pid}:0bad0bad`;
+}
+
+function createRouter(rootDir, sessionManager, db, runLedger = null) {
+  return new TaskRouter(sessionManager, {
+    workflowRegistry: createRegistry(rootDir),
+    workflowStepStartupDelayMs: 0,
+    db,
+    runLedger,
+    adapterReadinessService: { async getAdapterReadiness() { return {}; } }
+  });
+}
+
+async function testResumeAfterRestartReplaysCompletedSteps() {
+  const rootDir = makeTempDir('cliagents-workflow-resume-');
+  writeWorkflow(rootDir, 'three-step.yaml', THREE_STEP_WORKFLOW);
+  const db = openDb(rootDir);
+  const runLedger = new RunLedgerService(db);
+
+  try {
+    let implementerFails = true;
+    const firstManager = createSessionManager((profile) => {
+      if (profile === 'implementer' && implementerFails) {
+        throw new Error('adapter crashed');
+      }
+      return `${profile} done`;
+    });
+    const firstRouter = createRouter(rootDir, firstManager, db, runLedger);
+
+    let workflowId = null;
+    firstRouter.on('workflow-started', (event) => { workflowId = event.workflowId; });
+    await assert.rejects(
+      () => firstRouter.executeWorkflow('three-step', 'Ship the feature'),
+      /adapter crashed/
+    );
+    assert.deepStrictEqual(firstManager.calls, ['planner', 'implementer']);
+
+    const failed = db.getWorkflowExecutionDetail(workflowId);
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.definition.steps.length, 3);
+    assert.strictEqual(failed.initialMessage, 'Ship the feature');
+    assert.deepStrictEqual(failed.steps.map((step) => [step.stepId, step.status]), [
+      ['plan', 'completed'],
+      ['build', 'failed']
+    ]);
+    assert.strictEqual(failed.steps[0].result.output, 'planner done');
+
+    // Simulate a broker that died mid-step: the row is still "running" under an old owner
+    db.updateWorkflowExecution(workflowId, { status: 'running', ownerId: deadOwnerId(), completedAt: null });
+    implementerFails = false;
+    const secondManager = createSessionManager((profile) => `${profile} done`);
+    const secondRouter = createRouter(rootDir, secondManager, db, runLedger);
+    assert.strictEqual(db.getWorkflowExecution(workflowId).status, 'interrupted');
+    assert.strictEqual(secondRouter.getWorkflowStatus(workflowId).status, 'interrupted');
+
+    const listed = secondRouter.listWorkflowExecutions({ status: ['interrupted'] });
+    assert.deepStrictEqual(listed.map((execution) => execution.workflowId), [workflowId]);
+
+    const result = await secondRouter.resumeWorkflow(workflowId, { reason: 'broker restarted' });
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(secondManager.calls, ['implementer', 'tester'], 'completed steps must not start new terminals');
+    assert.deepStrictEqual(result.results.map((step) => step.output), ['planner done', 'implementer done', 'tester done']);
+
+    const completed = db.getWorkflowExecutionDetail(workflowId);
+    assert.strictEqual(completed.status, 'completed');
+    assert.strictEqual(completed.resumeCount, 1);
+    assert.strictEqual(completed.error, null);
+    assert.deepStrictEqual(completed.steps.map((step) => step.status), ['completed', 'completed', 'completed']);
+
+    const status = secondRouter.getWorkflowStatus(workflowId);
+    assert.strictEqual(status.status, 'completed');
+    assert.strictEqual(status.resumeCount, 1);
+
+    const detail = runLedger.getRunDetail(result.runId);
+    assert.strictEqual(detail.run.status, 'completed');
+    const resumeAction = detail.operatorActions.find((action) => action.actionKind === 'operator_resume');
+    assert(resumeAction, 'resume should be recorded as an operator action');
+    assert.strictEqual(resumeAction.payload.reason, 'broker restarted');
+    assert.strictEqual(resumeAction.payload.previousStatus, 'interrupted');
+
+    await assert.rejects(() => secondRouter.resumeWorkflow(workflowId), { code: 'workflow_not_resumable' });
+    await assert.rejects(() => secondRouter.resumeWorkflow('wf-missing'), { code: 'not_found' });
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ interrupted workflows resume from the last completed step after a restart');
+}
+
+async function testResumeReplaysBranchDecisions() {
+  const rootDir = makeTempDir('cliagents-workflow-resume-branch-');
+  writeWorkflow(rootDir, 'review-loop.yaml', `
+steps:
+  - id: review
+    role: review
+    adapter: codex-cli
+  - id: gate
+    if: steps.review.output contains 'approve'
+    then:
+      - id: docs
+        role: document
+        adapter: codex-cli
+    else:
+      - id: fix
+        role: fix
+        adapter: codex-cli
+  - id: final
+    role: test
+    adapter: codex-cli
+`);
+  const db = openDb(rootDir);
+
+  try {
+    let testerFails = true;
+    const manager = createSessionManager((profile) => {
+      if (profile === 'review_codex-cli') return 'approve';
+      if (profile === 'test_codex-cli' && testerFails) throw new Error('tests flaked');
+      return `${profile} done`;
+    });
+    const router = createRouter(rootDir, manager, db);
+    let workflowId = null;
+    router.on('workflow-started', (event) => { workflowId = event.workflowId; });
+
+    await assert.rejects(() => router.executeWorkflow('review-loop', 'Review it'), /tests flaked/);
+    assert.strictEqual(db.getWorkflowExecutionDetail(workflowId).decisions.length, 1);
+
+    testerFails = false;
+    manager.calls.length = 0;
+    const result = await router.resumeWorkflow(workflowId);
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(manager.calls, ['test_codex-cli']);
+    assert.deepStrictEqual(result.decisions.map((decision) => decision.outcome), ['then']);
+
+    const stored = db.getWorkflowExecutionDetail(workflowId);
+    assert.strictEqual(stored.decisions.length, 1, 'replayed decisions must not be stored twice');
+    assert.deepStrictEqual(stored.steps.map((step) => step.stepId), ['review', 'docs', 'final']);
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ resumed workflows replay recorded branch decisions once');
+}
+
+async function testCancelActiveAndInterruptedWorkflows() {
+  const rootDir = makeTempDir('cliagents-workflow-cancel-');
+  writeWorkflow(rootDir, 'three-step.yaml', THREE_STEP_WORKFLOW);
+  const db = openDb(rootDir);
+  const runLedger = new RunLedgerService(db);
+
+  try {
+    let releasePlanner = null;
+    const plannerStarted = new Promise((resolve) => {
+      releasePlanner = resolve;
+    });
+    let finishPlanner = null;
+    const manager = createSessionManager((profile) => {
+      if (profile === 'planner') {
+        releasePlanner();
+        return new Promise((resolve) => { finishPlanner = () => resolve('plan ready'); });
+      }
+      return `${profile} done`;
+    });
+    const router = createRouter(rootDir, manager, db, runLedger);
+    let workflowId = null;
+    router.on('workflow-started', (event) => { workflowId = event.workflowId; });
+
+    const execution = router.executeWorkflow('three-step', 'Ship it');
+    await plannerStarted;
+    await new Promise((resolve) => setImmediate(resolve));
+
+    await assert.rejects(() => router.resumeWorkflow(workflowId), { code: 'workflow_running' });
+    const requested = router.cancelWorkflow(workflowId, { reason: 'scope changed' });
+    assert.strictEqual(requested.status, 'running');
+    assert(requested.cancelRequestedAt instanceof Date);
+
+    finishPlanner();
+    await assert.rejects(execution, { code: 'workflow_cancelled' });
+    assert.deepStrictEqual(manager.calls, ['planner'], 'no step should start after cancellation');
+
+    const cancelled = db.getWorkflowExecutionDetail(workflowId);
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.match(cancelled.error, /scope changed/);
+    assert.deepStrictEqual(cancelled.steps.map((step) => step.status), ['completed']);
+    const run = runLedger.getRunDetail(cancelled.runId);
+    assert.strictEqual(run.run.status, 'cancelled');
+    assert(run.operatorActions.some((action) => action.actionKind === 'operator_cancel'));
+    assert.throws(() => router.cancelWorkflow(workflowId), { code: 'workflow_not_cancellable' });
+
+    // A cancelled workflow can be resumed and picks up after the planner
+    const resumed = await router.resumeWorkflow(workflowId);
+    assert.strictEqual(resumed.status, 'completed');
+    assert.deepStrictEqual(manager.calls, ['planner', 'implementer', 'tester']);
+
+    // Interrupted executions are cancelled immediately
+    const otherId = 'wf-interrupted-test';
+    db.createWorkflowExecution({
+      workflowExecutionId: otherId,
+      workflowName: 'three-step',
+      definition: createRegistry(rootDir).getWorkflow('three-step'),
+      initialMessage: 'Orphaned',
+      ownerId: 'dead-broker',
+      createdAt: Date.now()
+    });
+    db.markInterruptedWorkflowExecutions(['dead-broker']);
+    const immediate = router.cancelWorkflow(otherId);
+    assert.strictEqual(immediate.status, 'cancelled');
+    assert.strictEqual(db.getWorkflowExecution(otherId).status, 'cancelled');
+    assert.throws(() => router.cancelWorkflow('wf-missing'), { code: 'not_found' });
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ cancel stops running workflows before their next step and closes interrupted ones');
+}
+
+function testSweepOnlyInterruptsDeadOwners() {
+  const rootDir = makeTempDir('cliagents-workflow-owners-');
+  writeWorkflow(rootDir, 'three-step.yaml', THREE_STEP_WORKFLOW);
+  const db = openDb(rootDir);
+  const now = Date.now();
+  const stale = now - 10 * 60 * 1000;
+  const owners = {
+    'wf-live-peer': { ownerId: `${os.hostname()}:${process.pid}:feedface`, heartbeatAt: now },
+    'wf-dead-pid': { ownerId: deadOwnerId(), heartbeatAt: now },
+    'wf-remote-fresh': { ownerId: 'other-host:4242:cafecafe', heartbeatAt: now },
+    'wf-remote-stale': { ownerId: 'other-host:4343:deadbeef', heartbeatAt: stale },
+    'wf-reused-pid': { ownerId: `${os.hostname()}:${process.pid}:abcdabcd`, heartbeatAt: stale },
+    'wf-no-owner': { ownerId: null, heartbeatAt: now }
+  };
+
+  try {
+    const definition = createRegistry(rootDir).getWorkflow('three-step');
+    for (const [workflowExecutionId, { ownerId, heartbeatAt }] of Object.entries(owners)) {
+      db.createWorkflowExecution({ workflowExecutionId, workflowName: 'three-step', definition, initialMessage: 'x', ownerId });
+      db.updateWorkflowExecution(workflowExecutionId, { ownerHeartbeatAt: heartbeatAt });
+    }
+
+    assert.strictEqual(sweepInterruptedWorkflowExecutions(db, { now }), 4);
+    const statuses = Object.fromEntries(Object.keys(owners).map((id) => [id, db.getWorkflowExecution(id).status]));
+    assert.deepStrictEqual(statuses, {
+      'wf-live-peer': 'running',
+      'wf-dead-pid': 'interrupted',
+      'wf-remote-fresh': 'running',
+      'wf-remote-stale': 'interrupted',
+      'wf-reused-pid': 'interrupted',
+      'wf-no-owner': 'interrupted'
+    }, 'live brokers sharing the database keep their executions');
+
+    // Heartbeats keep owners alive past the stale window; silent owners age out
+    db.touchWorkflowExecutionOwner(owners['wf-live-peer'].ownerId, { now: now + 4 * 60 * 1000 });
+    db.touchWorkflowExecutionOwner('other-host:4242:cafecafe', { now: now + 4 * 60 * 1000 });
+    assert.strictEqual(sweepInterruptedWorkflowExecutions(db, { now: now + 8 * 60 * 1000 }), 0);
+    assert.strictEqual(sweepInterruptedWorkflowExecutions(db, { now: now + 10 * 60 * 1000 }), 2);
+    assert.strictEqual(db.getWorkflowExecution('wf-remote-fresh').status, 'interrupted');
+  } finally {
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ the interrupted-workflow sweep only touches executions of dead owners');
+}
+
+async function testWorkflowControlRoutes() {
+  const rootDir = makeTempDir('cliagents-workflow-routes-');
+  writeWorkflow(rootDir, 'three-step.yaml', THREE_STEP_WORKFLOW);
+  const db = openDb(rootDir);
+
+  // Seed a failed execution; the broker routes resume its last step.
+  const seedRouter = createRouter(rootDir, createSessionManager((profile) => {
+    if (profile === 'tester') {
+      throw new Error('adapter crashed');
+    }
+    return `${profile} done`;
+  }), db);
+  await assert.rejects(() => seedRouter.executeWorkflow('three-step', 'Ship it'), /adapter crashed/);
+
+  const resumedCalls = [];
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    sessionManager: createSessionManager((profile) => {
+      resumedCalls.push(profile);
+      return `${profile} done`;
+    }),
+    apiSessionManager: null,
+    db,
+    workflowRegistry: createRegistry(rootDir),
+    adapterAuthInspector() {
+      return { authenticated: true, reason: 'test' };
+    }
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const post = (url, body = {}) => fetch(`${baseUrl}${url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    const listRes = await fetch(`${baseUrl}/orchestration/workflows/executions?status=failed`);
+    assert.strictEqual(listRes.status, 200);
+    const listBody = await listRes.json();
+    assert.strictEqual(listBody.count, 1);
+    const workflowId = listBody.executions[0].workflowId;
+    assert.strictEqual(listBody.executions[0].name, 'three-step');
+
+    const resumeRes = await post(`/orchestration/workflows/${workflowId}/resume`, { wait: false, reason: 'retry' });
+    assert.strictEqual(resumeRes.status, 202);
+    const resumeBody = await resumeRes.json();
+    assert.strictEqual(resumeBody.status, 'running');
+    assert.strictEqual(resumeBody.resumeCount, 1);
+
+    let status = null;
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+      const statusRes = await fetch(`${baseUrl}/orchestration/workflows/${workflowId}/status`);
+      status = await statusRes.json();
+      if (status.status !== 'running') break;
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+    assert.strictEqual(status.status, 'completed');
+    assert.deepStrictEqual(status.steps.map((step) => step.stepId), ['plan', 'build', 'verify']);
+    assert.deepStrictEqual(resumedCalls, ['tester']);
+
+    const resumeAgain = await post(`/orchestration/workflows/${workflowId}/resume`);
+    assert.strictEqual(resumeAgain.status, 409);
+    assert.strictEqual((await resumeAgain.json()).error.code, 'workflow_not_resumable');
+
+    const cancelDone = await post(`/orchestration/workflows/${workflowId}/cancel`);
+    assert.strictEqual(cancelDone.status, 409);
+
+    const cancelMissing = await post('/orchestration/workflows/wf-missing/cancel');
+    assert.strictEqual(cancelMissing.status, 404);
+    assert.strictEqual((await cancelMissing.json()).error.code, 'workflow_not_found');
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ workflow execution routes list, resume, and cancel persisted workflows');
+}
+
+async function testMcpWorkflowControlTools() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+      const status = {
+        name: 'three-step',
+        status: req.url.endsWith('/cancel') ? 'cancelled' : (req.url.endsWith('/resume') ? 'running' : 'interrupted'),
+        runId: 'run-1',
+        resumeCount: req.url.endsWith('/resume') ? 1 : 0,
+        steps: [{ stepId: 'plan', path: 'steps[0]', profile: 'planner', status: 'completed', terminalId: 'term-1' }],
+        decisions: [{ stepId: 'gate', path: 'steps[1]', kind: 'branch', expression: 'hasIssues', outcome: 'else' }]
+      };
+      res.writeHead(req.url.endsWith('/resume') ? 202 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(status));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const modulePath = require.resolve('../src/mcp/cliagents-mcp-server');
+  const previousUrl = process.env.CLIAGENTS_URL;
+  process.env.CLIAGENTS_URL = `http://127.0.0.1:${server.address().port}`;
+  delete require.cache[modulePath];
+
+  try {
+    const mod = require(modulePath);
+    for (const name of ['get_workflow_status', 'resume_workflow', 'cancel_workflow']) {
+      assert(mod.TOOLS.some((tool) => tool.name === name), `${name} should be registered`);
+    }
+
+    const statusText = (await mod.handleGetWorkflowStatus({ workflowId: 'wf-1' })).content[0].text;
+    assert(statusText.includes('Status: interrupted'));
+    assert(statusText.includes('- plan: planner completed [term-1]'));
+    assert(statusText.includes('- gate branch (hasIssues): else'));
+
+    const resumeText = (await mod.handleResumeWorkflow({ workflowId: 'wf-1', reason: 'retry' })).content[0].text;
+    assert(resumeText.includes('Resume started'));
+    assert.deepStrictEqual(requests[1], {
+      method: 'POST',
+      url: '/orchestration/workflows/wf-1/resume',
+      body: { reason: 'retry', wait: false }
+    });
+
+    const cancelText = (await mod.handleCancelWorkflow({ workflowId: 'wf-1' })).content[0].text;
+    assert(cancelText.includes('Status: cancelled'));
+    assert.strictEqual(requests[2].url, '/orchestration/workflows/wf-1/cancel');
+  } finally {
+    delete require.cache[modulePath];
+    if (previousUrl === undefined) {
+      delete process.env.CLIAGENTS_URL;
+    } else {
+      process.env.CLIAGENTS_URL = previousUrl;
+    }
+    await new Promise((resolve) => server.close(resolve));
+  }
+  console.log('✅ MCP workflow status/resume/cancel tools call the broker routes');
+}
+
+async function run() {
+  await testResumeAfterRestartReplaysCompletedSteps();
+  await testResumeReplaysBranchDecisions();
+  await testCancelActiveAndInterruptedWorkflows();
+  testSweepOnlyInterruptsDeadOwners();
+  await testWorkflowControlRoutes();
+  await testMcpWorkflowControlTools();
+}
+
+run().catch((error) => {
+  console.error('\nWorkflow execution tests failed:', error);
+  process.exit(1);
+});
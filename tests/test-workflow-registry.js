@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { parseYaml } = require('../src/utils/simple-yaml');
+const { WorkflowRegistry, validateWorkflowDefinition } = require('../src/orchestration/workflow-registry');
+const { TaskRouter, TASK_TYPES } = require('../src/orchestration/task-router');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+
+process.chdir(path.resolve(__dirname, '..'));
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function writeFile(dir, name, content) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content, 'utf8');
+  return filePath;
+}
+
+function bumpMtime(filePath) {
+  const future = new Date(Date.now() + 5000);
+  fs.utimesSync(filePath, future, future);
+}
+
+function createRegistry(rootDir) {
+  return new WorkflowRegistry({
+    projectRoot: rootDir,
+    personalDir: path.join(rootDir, 'home', '.cliagents', 'workflows'),
+    knownTaskTypes: Object.values(TASK_TYPES)
+  });
+}
+
+function testSimpleYamlParsesWorkflowShapes() {
+  const parsed = parseYaml(`
+---
+# release pipeline
+displayName: "Release Review"
+aggregateResults: true
+steps:
+  - role: review
+    adapter: codex-cli   # inline comment
+    parallel: true
+  - profile: fixer
+    type: fix
+    condition: hasIssues
+notes: |
+  first line
+  second line
+tags: [release, 'nightly run', { owner: infra }]
+`);
+
+  assert.strictEqual(parsed.displayName, 'Release Review');
+  assert.strictEqual(parsed.aggregateResults, true);
+  assert.deepStrictEqual(parsed.steps, [
+    { role: 'review', adapter: 'codex-cli', parallel: true },
+    { profile: 'fixer', type: 'fix', condition: 'hasIssues' }
+  ]);
+  assert.strictEqual(parsed.notes, 'first line\nsecond line\n');
+  assert.deepStrictEqual(parsed.tags, ['release', 'nightly run', { owner: 'infra' }]);
+
+  const comments = parseYaml([
+    "description: don't panic # note",
+    "title: 'keep # this' # drop",
+    "owner: O'Brien's team",
+    "hint: it's a [draft] # todo",
+    "items:",
+    "  - 'quoted # kept'",
+    "  - plain's value # gone"
+  ].join('\n'));
+  assert.deepStrictEqual(comments, {
+    description: "don't panic",
+    title: 'keep # this',
+    owner: "O'Brien's team",
+    hint: "it's a [draft]",
+    items: ['quoted # kept', "plain's value"]
+  }, 'apostrophes inside plain scalars do not hide trailing comments');
+
+  assert.throws(() => parseYaml('steps:\n  - a\n bad: indent'), /line 3/);
+  console.log('✅ simple YAML parser handles workflow definition shapes');
+}
+
+function testValidationRejectsMalformedSteps() {
+  const { workflow, errors } = validateWorkflowDefinition('broken', {
+    steps: [
+      { type: 'review-bugs' },
+      { profile: 'tester', role: 'test', type: 'test' },
+      { profile: 'fixer', type: 'repair' },
+      { role: 'fix', condition: 'always', parallel: true, retries: 2 }
+    ]
+  }, { knownTaskTypes: Object.values(TASK_TYPES) });
+
+  assert.strictEqual(workflow, null);
+  assert(errors.some((error) => error.includes('steps[0] requires either profile or role')));
+  assert(errors.some((error) => error.includes('steps[1] must set profile or role, not both')));
+  assert(errors.some((error) => error.includes("steps[2] has unknown type 'repair'")));
+  assert(errors.some((error) => error.includes("steps[3] has unknown field 'retries'")));
+  assert(errors.some((error) => error.includes("steps[3].condition: unknown identifier 'always'")));
+  assert(errors.some((error) => error.includes('condition is not supported on parallel steps')));
+
+  const emptySteps = validateWorkflowDefinition('empty', { steps: [] });
+  assert.deepStrictEqual(emptySteps.errors, ['steps must be a non-empty array']);
+  console.log('✅ workflow validation reports malformed definitions');
+}
+
+function testRegistryLoadsShadowsAndHotReloads() {
+  const rootDir = makeTempDir('cliagents-workflow-registry-');
+  const projectDir = path.join(rootDir, '.cliagents', 'workflows');
+  const personalDir = path.join(rootDir, 'home', '.cliagents', 'workflows');
+
+  writeFile(projectDir, 'release-review.yaml', `
+displayName: Release Review
+description: Review a release branch before tagging
+steps:
+  - role: review
+    adapter: codex-cli
+    passOutput: true
+  - profile: tester
+    type: test
+`);
+  writeFile(projectDir, 'feature.json', JSON.stringify({
+    displayName: 'Project Feature',
+    steps: [{ profile: 'implementer', type: 'implement' }]
+  }));
+  writeFile(personalDir, 'release-review.yml', `
+steps:
+  - profile: planner
+    type: plan
+`);
+  writeFile(personalDir, 'triage.yml', `
+id: nightly-triage
+steps:
+  - role: research
+`);
+  const brokenPath = writeFile(projectDir, 'broken.yaml', `
+steps:
+  - profile: fixer
+    type: not-a-type
+`);
+
+  const registry = createRegistry(rootDir);
+  const names = registry.listNames();
+
+  assert(names.includes('code-review'), 'built-in workflows should remain available');
+  assert(names.includes('release-review'));
+  assert(names.includes('nightly-triage'), 'id should override the file name');
+  assert(!names.includes('broken'), 'invalid definitions should not be registered');
+
+  const releaseReview = registry.getWorkflow('release-review');
+  assert.strictEqual(releaseReview.source, 'project', 'project definitions should shadow personal ones');
+  assert.strictEqual(releaseReview.name, 'Release Review');
+  assert.deepStrictEqual(releaseReview.steps[0], { role: 'review', adapter: 'codex-cli', passOutput: true });
+
+  const feature = registry.getWorkflow('feature');
+  assert.strictEqual(feature.source, 'project', 'project definitions should shadow built-ins');
+  assert.strictEqual(feature.name, 'Project Feature');
+
+  const errors = registry.listErrors();
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].path, brokenPath);
+  assert(errors[0].errors[0].includes("unknown type 'not-a-type'"));
+
+  fs.writeFileSync(brokenPath, 'steps:\n  - profile: fixer\n    type: fix\n', 'utf8');
+  bumpMtime(brokenPath);
+  assert(registry.listNames().includes('broken'), 'fixed definitions should load without restart');
+  assert.strictEqual(registry.listErrors().length, 0);
+
+  fs.rmSync(path.join(projectDir, 'feature.json'));
+  assert.strictEqual(registry.getWorkflow('feature').source, 'builtin', 'removing an override should restore the built-in');
+
+  fs.rmSync(rootDir, { recursive: true, force: true });
+  console.log('✅ WorkflowRegistry loads, shadows, and hot reloads definition files');
+}
+
+async function testTaskRouterExecutesCustomWorkflow() {
+  const rootDir = makeTempDir('cliagents-workflow-router-');
+  writeFile(path.join(rootDir, '.cliagents', 'workflows'), 'review-then-test.yaml', `
+steps:
+  - role: review
+    adapter: codex-cli
+    passOutput: true
+  - profile: tester
+    type: test
+`);
+
+  const createCalls = [];
+  const sendCalls = [];
+  const sessionManager = {
+    async createTerminal(options) {
+      createCalls.push(options);
+      return { terminalId: `term-custom-${createCalls.length}` };
+    },
+    async sendInput(terminalId, message) {
+      sendCalls.push({ terminalId, message });
+    },
+    async waitForCompletion(terminalId) {
+      return `output from ${terminalId}`;
+    }
+  };
+
+  const router = new TaskRouter(sessionManager, {
+    workflowRegistry: createRegistry(rootDir),
+    workflowStepStartupDelayMs: 0,
+    adapterReadinessService: { async getAdapterReadiness() { return {}; } }
+  });
+
+  const result = await router.executeWorkflow('review-then-test', 'Review the release branch', {
+    model: 'test-model'
+  });
+
+  assert.strictEqual(result.status, 'completed');
+  assert.strictEqual(result.results.length, 2);
+  assert.strictEqual(createCalls[0].adapter, 'codex-cli');
+  assert.strictEqual(createCalls[0].agentProfile, 'review_codex-cli');
+  assert.strictEqual(createCalls[1].agentProfile, 'tester');
+  assert(sendCalls[1].message.includes('output from term-custom-1'), 'passOutput should feed the next step');
+  assert.strictEqual(result.results[0].type, 'review');
+
+  const definition = router.getWorkflowDefinition('review-then-test');
+  assert.strictEqual(definition.source, 'project');
+  assert.strictEqual(definition.steps[0].role, 'review');
+  assert.strictEqual(definition.steps[1].role, 'test');
+  assert.strictEqual(definition.steps[1].adapter, router.profiles.tester.adapter);
+
+  await assert.rejects(
+    () => router.executeWorkflow('missing-workflow', 'noop'),
+    /Unknown workflow: missing-workflow\. Available: .*review-then-test/
+  );
+
+  const finished = new Promise((resolve) => router.once('workflow-completed', resolve));
+  const started = router.startWorkflow('review-then-test', 'Review the hotfix branch');
+  assert.strictEqual(started.status, 'running', 'startWorkflow returns before the steps finish');
+  assert.strictEqual(started.name, 'review-then-test');
+  const completed = await finished;
+  assert.strictEqual(completed.workflowId, started.workflowId);
+  assert.strictEqual(router.getWorkflowStatus(started.workflowId).status, 'completed');
+  assert.throws(() => router.startWorkflow('missing-workflow', 'noop'), /Unknown workflow/);
+
+  fs.rmSync(rootDir, { recursive: true, force: true });
+  console.log('✅ TaskRouter executes user-defined workflows');
+}
+
+async function testWorkflowRoutesExposeDefinitionsAndErrors() {
+  const rootDir = makeTempDir('cliagents-workflow-routes-');
+  const projectDir = path.join(rootDir, '.cliagents', 'workflows');
+  writeFile(projectDir, 'docs-pass.yaml', 'description: Docs pass\nsteps:\n  - role: document\n');
+  writeFile(projectDir, 'invalid.json', '{ "steps": "nope" }');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    sessionManager: {},
+    apiSessionManager: null,
+    db: { db: null },
+    workflowRegistry: createRegistry(rootDir),
+    adapterAuthInspector() {
+      return { authenticated: true, reason: 'test' };
+    }
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    const list = await fetch(`${baseUrl}/orchestration/workflows`).then((res) => res.json());
+    assert(Array.isArray(list), 'default listing should stay an array');
+    const docsPass = list.find((workflow) => workflow.name === 'docs-pass');
+    assert.strictEqual(docsPass.source, 'project');
+    assert.strictEqual(docsPass.steps, 1);
+    assert(list.some((workflow) => workflow.name === 'feature' && workflow.source === 'builtin'));
+
+    const verbose = await fetch(`${baseUrl}/orchestration/workflows?includeErrors=1`).then((res) => res.json());
+    assert.strictEqual(verbose.errors.length, 1);
+    assert(verbose.errors[0].path.endsWith('invalid.json'));
+    assert.strictEqual(verbose.directories.project, projectDir);
+
+    const definitionRes = await fetch(`${baseUrl}/orchestration/workflows/docs-pass/definition`);
+    assert.strictEqual(definitionRes.status, 200);
+    const definition = await definitionRes.json();
+    assert.strictEqual(definition.description, 'Docs pass');
+    assert.strictEqual(definition.steps[0].role, 'document');
+
+    const missing = await fetch(`${baseUrl}/orchestration/workflows/nope/definition`);
+    assert.strictEqual(missing.status, 404);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ workflow routes expose definitions and load errors');
+}
+
+async function testMcpListWorkflowsTool() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      workflows: [
+        { name: 'release-review', displayName: 'Release Review', description: 'Release gate', steps: 2, source: 'project', path: '/repo/.cliagents/workflows/release-review.yaml' },
+        { name: 'feature', displayName: 'Feature Development', description: 'Plan, implement, and test', steps: 3, source: 'builtin', path: null }
+      ],
+      errors: [{ name: 'broken', source: 'personal', path: '/home/.cliagents/workflows/broken.yaml', errors: ['steps must be a non-empty array'] }]
+    }));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  const modulePath = require.resolve('../src/mcp/cliagents-mcp-server');
+  const previousUrl = process.env.CLIAGENTS_URL;
+  process.env.CLIAGENTS_URL = `http://127.0.0.1:${server.address().port}`;
+  delete require.cache[modulePath];
+
+  try {
+    const mod = require(modulePath);
+    assert(mod.TOOLS.some((tool) => tool.name === 'list_workflows'));
+    const runTool = mod.TOOLS.find((tool) => tool.name === 'run_workflow');
+    assert.strictEqual(runTool.inputSchema.properties.workflow.enum, undefined, 'run_workflow should accept custom names');
+
+    const result = await mod.handleListWorkflows({});
+    const text = result.content[0].text;
+    assert(text.includes('## Project Workflows'));
+    assert(text.includes('### release-review'));
+    assert(text.includes('## Builtin Workflows'));
+    assert(text.includes('broken.yaml: steps must be a non-empty array'));
+  } finally {
+    delete require.cache[modulePath];
+    if (previousUrl === undefined) {
+      delete process.env.CLIAGENTS_URL;
+    } else {
+      process.env.CLIAGENTS_URL = previousUrl;
+    }
+    await new Promise((resolve) => server.close(resolve));
+  }
+  console.log('✅ MCP list_workflows reports project, personal, and built-in workflows');
+}
+
+async function run() {
+  testSimpleYamlParsesWorkflowShapes();
+  testValidationRejectsMalformedSteps();
+  testRegistryLoadsShadowsAndHotReloads();
+  await testTaskRouterExecutesCustomWorkflow();
+  await testWorkflowRoutesExposeDefinitionsAndErrors();
+  await testMcpListWorkflowsTool();
+}
+
+run().catch((error) => {
+  console.error('\nWorkflow registry tests failed:', error);
+  process.exit(1);
+});
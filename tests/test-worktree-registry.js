@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { createOrchestrationRouter } = require('../src/server/orchestration-router');
+const { prepareTaskAssignmentWorktree } = require('../src/orchestration/task-worktree');
+const {
+  WorktreeRegistry,
+  measureDirectorySize,
+  parseByteSize,
+  resolvePrunePolicy
+} = require('../src/orchestration/worktree-registry');
+
+function makeTempDir(prefix) {
+  return fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), prefix)));
+}
+
+function runGit(cwd, args) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe']
+  }).trim();
+}
+
+function initRepo(repoDir) {
+  fs.mkdirSync(repoDir, { recursive: true });
+  runGit(repoDir, ['init', '-b', 'main']);
+  runGit(repoDir, ['config', 'user.email', 'cliagents-test@example.com']);
+  runGit(repoDir, ['config', 'user.name', 'cliagents test']);
+  fs.writeFileSync(path.join(repoDir, 'README.md'), 'readme\n'.repeat(200), 'utf8');
+  runGit(repoDir, ['add', '.']);
+  runGit(repoDir, ['commit', '-m', 'initial commit']);
+}
+
+function createFakeSessionManager() {
+  const sessionManager = new EventEmitter();
+  sessionManager.createTerminal = async () => {
+    throw new Error('worktree registry tests do not start terminals');
+  };
+  sessionManager.getTerminal = () => null;
+  return sessionManager;
+}
+
+function testPolicyParsing() {
+  assert.strictEqual(parseByteSize(2048), 2048);
+  assert.strictEqual(parseByteSize('512M'), 512 * 1024 * 1024);
+  assert.strictEqual(parseByteSize('5gb'), 5 * 1024 ** 3);
+  assert.strictEqual(parseByteSize('1.5k'), 1536);
+  assert.strictEqual(parseByteSize('lots'), null);
+  assert.strictEqual(parseByteSize(''), null);
+
+  const defaults = resolvePrunePolicy({}, {});
+  assert.strictEqual(defaults.minIdleMs, 24 * 60 * 60 * 1000);
+  assert.strictEqual(defaults.maxTotalBytes, null);
+  const fromEnv = resolvePrunePolicy({}, {
+    CLIAGENTS_WORKTREE_PRUNE_MIN_IDLE_HOURS: '2',
+    CLIAGENTS_WORKTREE_QUOTA: '1G'
+  });
+  assert.strictEqual(fromEnv.minIdleMs, 2 * 60 * 60 * 1000);
+  assert.strictEqual(fromEnv.maxTotalBytes, 1024 ** 3);
+  assert.strictEqual(resolvePrunePolicy({ minIdleHours: 0 }, fromEnv).minIdleMs, 0);
+  console.log('✅ prune policy reads byte sizes, options, and env defaults');
+}
+
+async function testListAndPrune() {
+  const rootDir = makeTempDir('cliagents-worktree-registry-');
+  const repoDir = path.join(rootDir, 'repo');
+  const worktreeRoot = path.join(rootDir, 'repo-worktrees');
+  initRepo(repoDir);
+
+  const db = new OrchestrationDB({
+    dbPath: path.join(rootDir, 'cliagents.db'),
+    dataDir: rootDir
+  });
+  const registry = new WorktreeRegistry({ db });
+  const app = express();
+  app.use(express.json());
+  app.use('/orchestration', createOrchestrationRouter({
+    db,
+    sessionManager: createFakeSessionManager(),
+    adapterAuthInspector: () => ({ authenticated: true, reason: null })
+  }));
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const call = async (method, route, body) => {
+    const response = await fetch(baseUrl + route, {
+      method,
+      headers: { 'content-type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  try {
+    const taskRes = await call('POST', '/orchestration/tasks', { title: 'Worktree cleanup', workspaceRoot: repoDir });
+    const task = taskRes.data.task;
+    const worktreeOf = (name) => path.join(worktreeRoot, name);
+    for (const name of ['merged', 'live', 'gone', 'messy', 'failed']) {
+      const created = await call('POST', `/orchestration/tasks/${task.id}/assignments`, {
+        assignmentId: name,
+        role: 'executor',
+        adapter: 'codex-cli',
+        instructions: `Work on ${name}.`,
+        worktreePath: worktreeOf(name),
+        worktreeBranch: `task/${name}`
+      });
+      assert.strictEqual(created.status, 200);
+      const assignment = db.getTaskAssignment(name);
+      registry.recordPrepared(task, assignment, prepareTaskAssignmentWorktree(task, assignment));
+      assert(fs.existsSync(path.join(worktreeOf(name), 'README.md')));
+    }
+    runGit(repoDir, ['worktree', 'add', '-q', '-b', 'manual', worktreeOf('manual')]);
+
+    db.updateTaskAssignment('merged', { branchStatus: 'integrated' });
+    db.updateTaskAssignment('messy', { branchStatus: 'integrated' });
+    db.updateTaskAssignment('failed', { status: 'failed' });
+    fs.writeFileSync(path.join(worktreeOf('messy'), 'scratch.txt'), 'uncommitted\n');
+    fs.rmSync(worktreeOf('gone'), { recursive: true, force: true });
+
+    const listed = await call('GET', `/orchestration/worktrees?repoRoot=${encodeURIComponent(repoDir)}&measure=true`);
+    assert.strictEqual(listed.status, 200);
+    const byPath = new Map(listed.data.worktrees.map((entry) => [entry.worktreePath, entry]));
+    assert.strictEqual(byPath.size, 6);
+    assert.strictEqual(byPath.get(worktreeOf('merged')).disposition, 'integrated');
+    assert.strictEqual(byPath.get(worktreeOf('merged')).taskAssignmentId, 'merged');
+    assert.strictEqual(byPath.get(worktreeOf('merged')).branch, 'task/merged');
+    assert(byPath.get(worktreeOf('merged')).sizeBytes >= 1400, 'checkout size is measured');
+    assert.strictEqual(byPath.get(worktreeOf('live')).disposition, 'active');
+    assert.strictEqual(byPath.get(worktreeOf('gone')).disposition, 'missing');
+    assert.strictEqual(byPath.get(worktreeOf('messy')).dirty, true);
+    assert.strictEqual(byPath.get(worktreeOf('failed')).disposition, 'abandoned');
+    assert.strictEqual(byPath.get(worktreeOf('manual')).disposition, 'unowned');
+    assert.strictEqual(byPath.get(worktreeOf('manual')).registryStatus, 'unregistered');
+    assert.strictEqual(listed.data.summary.existing, 5);
+    assert.strictEqual(listed.data.summary.unmeasured, 0);
+    assert.strictEqual(db.getTaskWorktree(worktreeOf('merged')).sizeBytes, byPath.get(worktreeOf('merged')).sizeBytes);
+
+    let ticked = false;
+    setImmediate(() => { ticked = true; });
+    assert.strictEqual(await measureDirectorySize(worktreeOf('merged')), byPath.get(worktreeOf('merged')).sizeBytes);
+    assert(ticked, 'measuring a checkout yields to the event loop');
+
+    // Only a quota makes prune walk the checkouts again; otherwise stored sizes are reported
+    const measuredSize = byPath.get(worktreeOf('merged')).sizeBytes;
+    const sizeOf = (result, name) => [...result.data.pruned, ...result.data.kept]
+      .find((entry) => path.basename(entry.worktreePath) === name).sizeBytes;
+    db.updateTaskWorktree(worktreeOf('merged'), { sizeBytes: 1 });
+    const stored = await call('POST', '/orchestration/worktrees/prune', { dryRun: true, minIdleHours: 1000 });
+    assert.strictEqual(sizeOf(stored, 'merged'), 1);
+    const remeasured = await call('POST', '/orchestration/worktrees/prune', { dryRun: true, minIdleHours: 1000, maxTotalBytes: '1T' });
+    assert.strictEqual(sizeOf(remeasured, 'merged'), measuredSize);
+    assert.strictEqual(db.getTaskWorktree(worktreeOf('merged')).sizeBytes, measuredSize);
+
+    // Recent worktrees are only pruned when missing or over quota
+    const recent = await call('POST', '/orchestration/worktrees/prune', { dryRun: true, minIdleHours: 1000 });
+    assert.strictEqual(recent.status, 200);
+    assert.deepStrictEqual(recent.data.pruned.map((entry) => [entry.taskAssignmentId, entry.trigger]), [['gone', 'missing']]);
+    const keptReasons = Object.fromEntries(recent.data.kept.map((entry) => [path.basename(entry.worktreePath), entry.reason]));
+    assert.deepStrictEqual(keptReasons, {
+      merged: 'too_recent',
+      live: 'assignment_active',
+      messy: 'dirty',
+      failed: 'too_recent',
+      manual: 'unowned'
+    });
+
+    const overQuota = await call('POST', '/orchestration/worktrees/prune', {
+      dryRun: true,
+      minIdleHours: 1000,
+      maxTotalBytes: remeasured.data.totalBytes - 1
+    });
+    assert.strictEqual(overQuota.data.pruned.filter((entry) => entry.trigger === 'quota').length, 1);
+    assert.strictEqual(overQuota.data.quotaExceeded, false);
+    assert(fs.existsSync(worktreeOf('merged')) && fs.existsSync(worktreeOf('failed')), 'dry runs leave worktrees alone');
+
+    const pruned = await call('POST', '/orchestration/worktrees/prune', { minIdleHours: 0 });
+    assert.strictEqual(pruned.status, 200);
+    assert.deepStrictEqual(pruned.data.pruned.map((entry) => path.basename(entry.worktreePath)).sort(), ['failed', 'gone', 'merged']);
+    assert.strictEqual(pruned.data.failed.length, 0);
+    assert(pruned.data.reclaimedBytes > 0);
+    assert(!fs.existsSync(worktreeOf('merged')));
+    assert(!fs.existsSync(worktreeOf('failed')));
+    const gitWorktrees = runGit(repoDir, ['worktree', 'list', '--porcelain']);
+    assert(!gitWorktrees.includes(worktreeOf('gone')), 'git forgets missing worktrees');
+    assert(!gitWorktrees.includes(worktreeOf('merged')));
+    assert.strictEqual(db.getTaskWorktree(worktreeOf('merged')).status, 'removed');
+    assert.strictEqual(db.getTaskWorktree(worktreeOf('merged')).removedReason, 'integrated:age');
+    assert.strictEqual(db.getTaskWorktree(worktreeOf('gone')).removedReason, 'missing:missing');
+    assert(fs.existsSync(worktreeOf('live')) && fs.existsSync(worktreeOf('messy')) && fs.existsSync(worktreeOf('manual')));
+
+    const forced = await call('POST', '/orchestration/worktrees/prune', { minIdleHours: 0, includeUnowned: true, force: true });
+    assert.deepStrictEqual(forced.data.pruned.map((entry) => path.basename(entry.worktreePath)).sort(), ['manual', 'messy']);
+    assert(!fs.existsSync(worktreeOf('messy')) && !fs.existsSync(worktreeOf('manual')));
+    assert(fs.existsSync(worktreeOf('live')));
+
+    const removed = await call('GET', '/orchestration/worktrees?status=removed');
+    assert.deepStrictEqual(removed.data.worktrees.map((entry) => entry.taskAssignmentId).sort(), ['failed', 'gone', 'merged', 'messy']);
+    assert(removed.data.worktrees.every((entry) => entry.disposition === 'removed' && entry.removedAt));
+
+    const badQuota = await call('POST', '/orchestration/worktrees/prune', { maxTotalBytes: 'lots' });
+    assert.strictEqual(badQuota.status, 400);
+    assert.strictEqual(badQuota.data.error.param, 'maxTotalBytes');
+    const badStatus = await call('GET', '/orchestration/worktrees?status=bogus');
+    assert.strictEqual(badStatus.status, 400);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ worktree listing and pruning follow assignment state, idle time, quota, and dirtiness');
+}
+
+async function run() {
+  testPolicyParsing();
+  await testListAndPrune();
+}
+
+run().then(() => {
+  console.log('\nWorktree registry tests passed');
+}).catch((error) => {
+  console.error('\nWorktree registry tests failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { OrchestrationDB } = require('../src/database/db');
+const { WebSocketTopicHub, parseTopics } = require('../src/server/ws-topics');
+
+function makeTempDir(prefix) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Minimal stand-in for a ws socket; bufferedAmount is set by the test.
+ */
+function createSocket() {
+  return {
+    readyState: 1,
+    bufferedAmount: 0,
+    messages: [],
+    send(message) {
+      this.messages.push(JSON.parse(message));
+    },
+    take(type) {
+      const matching = this.messages.filter((message) => message.type === type);
+      this.messages = this.messages.filter((message) => message.type !== type);
+      return matching;
+    }
+  };
+}
+
+function addEvent(db, rootSessionId, sessionId, eventType) {
+  return db.addSessionEvent({
+    rootSessionId,
+    sessionId,
+    eventType,
+    payloadSummary: `${eventType} on ${sessionId}`,
+    payloadJson: { sessionId }
+  });
+}
+
+function testTopicParsing() {
+  assert.deepStrictEqual(parseTopics(['root:r1', ' terminal:t1 ', 'root:r1']), ['root:r1', 'terminal:t1']);
+  assert.deepStrictEqual(parseTopics('task:task_1'), ['task:task_1']);
+  assert.throws(() => parseTopics(['session:abc']), /Invalid topic/);
+  assert.throws(() => parseTopics(['root:  ']), /Invalid topic/);
+  console.log('✅ topics are validated and de-duplicated');
+}
+
+async function testSubscriptions() {
+  const rootDir = makeTempDir('cliagents-ws-topics-');
+  const db = new OrchestrationDB({ dbPath: path.join(rootDir, 'cliagents.db'), dataDir: rootDir });
+  const hub = new WebSocketTopicHub({ getDb: () => db, pollIntervalMs: 10, highWaterMark: 1000, lowWaterMark: 100 });
+
+  try {
+    db.registerTerminal('term_a1', 'cliagents-a1', 'main', 'codex-cli', null, 'worker', null, null, { rootSessionId: 'root_a' });
+    db.registerTerminal('term_b1', 'cliagents-b1', 'main', 'codex-cli', null, 'worker', null, null, { rootSessionId: 'root_b' });
+    db.createTask({ id: 'task_b', title: 'Task B', rootSessionId: 'root_b' });
+    db.createRoom({ id: 'room_c', rootSessionId: 'root_c', title: 'Room C' });
+
+    const legacy = createSocket();
+    const byRoot = createSocket();
+    const byTask = createSocket();
+    const byRoom = createSocket();
+    for (const ws of [legacy, byRoot, byTask, byRoom]) {
+      hub.attach(ws);
+    }
+    assert.deepStrictEqual(hub.subscribe(byRoot, ['root:root_a']).topics, ['root:root_a']);
+    hub.subscribe(byTask, ['task:task_b']);
+    hub.subscribe(byRoom, 'room:room_c');
+
+    // Live orchestration events are routed through the terminal's root
+    hub.publish('status-change', { terminalId: 'term_a1', status: 'processing' });
+    hub.publish('message-queued', { messageId: 'm1', senderId: 'term_a1', receiverId: 'term_b1' });
+    assert.strictEqual(legacy.take('orchestration:status-change').length, 1, 'unsubscribed clients keep the full broadcast');
+    assert.strictEqual(legacy.take('orchestration:message-queued').length, 1);
+    assert.deepStrictEqual(byRoot.take('orchestration:status-change')[0].topics, ['root:root_a']);
+    assert.strictEqual(byRoot.take('orchestration:message-queued').length, 1);
+    assert.strictEqual(byTask.take('orchestration:status-change').length, 0);
+    assert.deepStrictEqual(byTask.take('orchestration:message-queued')[0].topics, ['task:task_b']);
+    assert.strictEqual(byRoom.messages.length, 0);
+
+    // Durable session events reach subscribers of their root, task, room, or terminal
+    addEvent(db, 'root_a', 'term_a1', 'message_sent');
+    addEvent(db, 'root_b', 'term_b1', 'message_sent');
+    addEvent(db, 'root_c', 'root_c', 'discussion_started');
+    await wait(50);
+    const rootEvents = byRoot.take('session_event');
+    assert.deepStrictEqual(rootEvents.map((entry) => entry.event.rootSessionId), ['root_a']);
+    assert.deepStrictEqual(rootEvents[0].topics, ['root:root_a']);
+    assert.deepStrictEqual(byTask.take('session_event').map((entry) => entry.event.sessionId), ['term_b1']);
+    assert.deepStrictEqual(byRoom.take('session_event').map((entry) => entry.event.eventType), ['discussion_started']);
+
+    // Unsubscribing everything leaves the client filtered and silent
+    assert.deepStrictEqual(hub.unsubscribe(byRoom).topics, []);
+    hub.publish('terminal-created', { terminalId: 'term_c1', adapter: 'codex-cli' });
+    addEvent(db, 'root_c', 'root_c', 'discussion_round_completed');
+    await wait(50);
+    assert.strictEqual(byRoom.messages.length, 0);
+    assert.strictEqual(legacy.take('orchestration:terminal-created').length, 1);
+
+    // A reconnecting client replays from the last seq it saw
+    const lastSeen = rootEvents[0].seq;
+    addEvent(db, 'root_a', 'term_a1', 'session_ended');
+    addEvent(db, 'root_b', 'term_b1', 'session_ended');
+    const reconnected = createSocket();
+    hub.attach(reconnected);
+    const subscription = hub.subscribe(reconnected, ['terminal:term_a1', 'terminal:term_b1'], { since: lastSeen });
+    assert.strictEqual(subscription.cursor, lastSeen);
+    await wait(50);
+    const replayed = reconnected.take('session_event');
+    assert.deepStrictEqual(replayed.map((entry) => `${entry.event.sessionId}:${entry.event.eventType}`), [
+      'term_b1:message_sent',
+      'term_a1:session_ended',
+      'term_b1:session_ended'
+    ]);
+    assert(replayed.every((entry, index) => index === 0 || entry.seq > replayed[index - 1].seq), 'seq increases');
+    assert.throws(() => hub.subscribe(reconnected, ['root:root_a'], { since: -1 }), /since/);
+
+    // A lagging client drops live events and pauses session events until it drains
+    byRoot.messages = [];
+    byRoot.bufferedAmount = 5000;
+    hub.publish('status-change', { terminalId: 'term_a1', status: 'idle' });
+    hub.publish('status-change', { terminalId: 'term_a1', status: 'processing' });
+    assert.deepStrictEqual(byRoot.take('orchestration:status-change').map((entry) => entry.status), ['idle'],
+      'the send that crosses the high-water mark goes out; later ones are dropped');
+    addEvent(db, 'root_a', 'term_a1', 'message_sent');
+    addEvent(db, 'root_a', 'term_a1', 'session_ended');
+    await wait(50);
+    assert.strictEqual(byRoot.messages.length, 0, 'session events wait while the client lags');
+
+    byRoot.bufferedAmount = 0;
+    await wait(50);
+    assert.strictEqual(byRoot.take('dropped')[0].count, 1);
+    assert.deepStrictEqual(byRoot.take('session_event').map((entry) => entry.event.eventType), ['message_sent', 'session_ended']);
+    hub.publish('status-change', { terminalId: 'term_a1', status: 'idle' });
+    assert.strictEqual(byRoot.take('orchestration:status-change').length, 1);
+
+    hub.detach(byRoot);
+    hub.publish('status-change', { terminalId: 'term_a1', status: 'idle' });
+    assert.strictEqual(byRoot.messages.length, 0);
+  } finally {
+    hub.stop();
+    db.close();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  }
+  console.log('✅ topic subscribers get matching live and session events, replay by seq, and apply backpressure');
+}
+
+function testLateRootResolution() {
+  const terminalRows = new Map([['term_late', { terminal_id: 'term_late', root_session_id: null }]]);
+  const hub = new WebSocketTopicHub({
+    getDb: () => ({ getTerminal: (terminalId) => terminalRows.get(terminalId) || null }),
+    pollIntervalMs: 60_000
+  });
+  try {
+    const byRoot = createSocket();
+    hub.attach(byRoot);
+    hub.subscribe(byRoot, ['root:root_late']);
+
+    hub.publish('status-change', { terminalId: 'term_late', status: 'processing' });
+    assert.strictEqual(byRoot.take('orchestration:status-change').length, 0);
+
+    // The root is recorded after the first event; later events must still find it
+    terminalRows.set('term_late', { terminal_id: 'term_late', root_session_id: 'root_late' });
+    hub.publish('status-change', { terminalId: 'term_late', status: 'idle' });
+    assert.deepStrictEqual(byRoot.take('orchestration:status-change').map((entry) => entry.topics), [['root:root_late']]);
+    assert.strictEqual(hub.terminalRoots.get('term_late'), 'root_late');
+  } finally {
+    hub.stop();
+  }
+  console.log('✅ terminals whose root is recorded late still reach root subscribers');
+}
+
+async function run() {
+  testTopicParsing();
+  await testSubscriptions();
+  testLateRootResolution();
+}
+
+run().then(() => {
+  console.log('\nWebSocket topic tests passed');
+}).catch((error) => {
+  console.error('\nWebSocket topic tests failed:', error);
+  process.exit(1);
+});